@@ -1,6 +1,10 @@
 import 'dotenv/config';
 import app from './src/app.js';
 import connectDB from './src/utils/connectDB.js';
+import QRCode from './src/models/QRCode.js';
+import { scanQueue } from './src/services/ScanQueueService.js';
+import { qrScheduler } from './src/services/QRScheduleService.js';
+import { qrBatchWorker } from './src/services/QRBatchService.js';
 import { logInfo, logError, logSuccess, logWarn } from './src/utils/logger.js';
 
 const PORT = process.env.PORT || 5000;
@@ -12,6 +16,21 @@ async function startServer() {
         // Підключення до MongoDB
         await connectDB();
 
+        // Коди QR, створених до появи QRCode.codes (shortCode + aliases)
+        const backfilledCodes = await QRCode.backfillCodes();
+        if (backfilledCodes > 0) {
+            logInfo('QR codes backfilled', { count: backfilledCodes });
+        }
+
+        // Черга сканів (durable backend відновлює незаписані скани)
+        await scanQueue.start();
+
+        // Розклад QR кодів (scheduled → active → expired, сповіщення власників)
+        qrScheduler.start();
+
+        // Пакетне створення QR кодів з CSV (великі файли, перервані рестартом jobs)
+        qrBatchWorker.start();
+
         // Запуск сервера
         const server = app.listen(PORT, () => {
             logSuccess(`Server running on port ${PORT}`, {
@@ -28,7 +47,10 @@ async function startServer() {
             });
 
             // Закриваємо сервер gracefully
-            server.close(() => {
+            server.close(async () => {
+                await qrScheduler.stop();
+                await qrBatchWorker.stop();
+                await scanQueue.drain();
                 process.exit(1);
             });
         });
@@ -41,20 +63,27 @@ async function startServer() {
             process.exit(1);
         });
 
-        // Graceful shutdown
-        process.on('SIGTERM', () => {
-            logWarn('SIGTERM received, shutting down gracefully...');
-            server.close(() => {
-                logInfo('Process terminated');
-            });
-        });
+        // Graceful shutdown: нові запити не приймаються, черга сканів дописується в БД
+        let isShuttingDown = false;
+
+        const shutdown = (signal) => {
+            if (isShuttingDown) {
+                return;
+            }
+            isShuttingDown = true;
 
-        process.on('SIGINT', () => {
-            logWarn('SIGINT received, shutting down gracefully...');
-            server.close(() => {
+            logWarn(`${signal} received, shutting down gracefully...`);
+            server.close(async () => {
+                await qrScheduler.stop();
+                await qrBatchWorker.stop();
+                await scanQueue.drain();
                 logInfo('Process terminated');
+                process.exit(0);
             });
-        });
+        };
+
+        process.on('SIGTERM', () => shutdown('SIGTERM'));
+        process.on('SIGINT', () => shutdown('SIGINT'));
 
         return server;
     } catch (error) {
@@ -8,6 +8,7 @@ import { logInfo } from './utils/logger.js';
 // Middleware imports
 import errorMiddleware, { notFoundMiddleware } from './middleware/errorMiddleware.js';
 import router from './routes/index.js';
+import scanRoutes from './routes/scanRoutes.js';
 
 // Routes imports (створимо пізніше)
 // import routes from './routes/index.js';
@@ -15,6 +16,29 @@ import router from './routes/index.js';
 // Ініціалізація Express app
 const app = express();
 
+// ============================================
+// PROXY
+// ============================================
+
+/**
+ * Довірені proxy для req.ip (X-Forwarded-For)
+ * TRUST_PROXY: кількість proxy перед app (1), або IP / підмережі через кому
+ * (loopback, 10.0.0.0/8). Без значення заголовок ігнорується - req.ip це адреса з'єднання.
+ */
+const parseTrustProxy = (value) => {
+    if (!value) {
+        return false;
+    }
+
+    if (/^\d+$/.test(value)) {
+        return Number(value);
+    }
+
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+};
+
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // ============================================
 // SECURITY MIDDLEWARE
 // ============================================
@@ -72,7 +96,13 @@ if (process.env.NODE_ENV === 'production') {
 
 // JSON parser
 app.use(express.json({
-    limit: '10mb'
+    limit: '10mb',
+    // Сирий body потрібен для перевірки підпису payment webhook
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/payments/webhook')) {
+            req.rawBody = buf;
+        }
+    }
 }));
 
 // URL-encoded parser
@@ -127,6 +157,9 @@ app.get('/', (req, res) => {
 
 app.use('/api', router);
 
+// Публічний redirect для QR сканувань (QR images кодують ${API_URL}/s/:shortCode)
+app.use('/s', scanRoutes);
+
 // Тимчасовий роут для тестування
 app.get('/api/test', (req, res) => {
     logInfo('Test endpoint called');
@@ -19,8 +19,23 @@ export const FINGERPRINT = {
     },
 
     // Дефолтний формат (щоденний)
-    DEFAULT_DATE_FORMAT: DATE_FORMAT.DAILY
-}
+    DEFAULT_DATE_FORMAT: 'YYYY-MM-DD'
+};
+
+// ============================================
+// ATTRIBUTION (QR скан → перегляд сайту → заявка)
+// ============================================
+
+export const ATTRIBUTION = {
+    QUERY_PARAM: 'qrh',              // ?qrh=TOKEN в redirect URL після скану
+    TTL_SECONDS: 24 * 60 * 60,       // Токен дійсний добу (відвідувач може повернутись до сайту)
+    MAX_TOKEN_LENGTH: 512
+};
+
+// Перегляди публічних сайтів
+export const WEBSITE_VIEW = {
+    DEDUP_WINDOW_MINUTES: 30         // Повторний перегляд з того ж fingerprint не рахується
+};
 
 // ============================================
 // GEOLOCATION
@@ -36,6 +51,31 @@ export const GEOLOCATION = {
     // Timeout для запитів (5 секунд)
     REQUEST_TIMEOUT: 5000,
 
+    // Порядок провайдерів (перший успішний результат перемагає)
+    // Перевизначається через GEO_PROVIDERS=maxmind,ip-api,ipapi
+    PROVIDER: {
+        MAXMIND: 'maxmind',   // Офлайн база (GeoLite2-City.mmdb)
+        IP_API: 'ip-api',     // ip-api.com
+        IPAPI: 'ipapi'        // ipapi.co
+    },
+    DEFAULT_PROVIDERS: ['maxmind', 'ip-api', 'ipapi'],
+
+    // Шлях до MaxMind бази (перевизначається через GEOIP_DB_PATH)
+    MAXMIND_DB_PATH: 'data/GeoLite2-City.mmdb',
+
+    // LRU + TTL кеш результатів (ключ - /24 для IPv4, /48 для IPv6)
+    CACHE: {
+        MAX_ENTRIES: 10000,
+        TTL_MS: 6 * 60 * 60 * 1000,        // 6 годин
+        EMPTY_TTL_MS: 10 * 60 * 1000       // 10 хвилин для Unknown (всі провайдери недоступні)
+    },
+
+    // Circuit breaker для віддалених провайдерів
+    CIRCUIT_BREAKER: {
+        FAILURE_THRESHOLD: 5,              // Помилок підряд до відкриття
+        RESET_TIMEOUT_MS: 60 * 1000        // Пауза до пробного запиту (half-open)
+    },
+
     // Дефолтні значення
     DEFAULT_LOCATION: {
         country: 'Unknown',
@@ -75,7 +115,15 @@ export const WEBSITE_STATUS = {
 export const QR_STATUS = {
     ACTIVE: 'active',
     INACTIVE: 'inactive',
-    ARCHIVED: 'archived'
+    ARCHIVED: 'archived',
+    SCHEDULED: 'scheduled',     // startsAt ще не настав (виставляє система)
+    EXPIRED: 'expired'          // expiresAt минув або вичерпано maxScans (виставляє система)
+};
+
+// Що бачить відвідувач після закінчення терміну дії QR коду
+export const QR_EXPIRED_BEHAVIOR = {
+    ERROR_PAGE: 'error_page',   // Вбудована сторінка помилки
+    REDIRECT: 'redirect'        // Redirect на expiredUrl
 };
 
 // Типи пристроїв
@@ -100,6 +148,26 @@ export const REQUEST_STATUS = {
     CANCELLED: 'cancelled'
 };
 
+// Джерела заявок
+export const REQUEST_SOURCE = {
+    QR_CODE: 'qr_code',     // Відвідувач прийшов через QR скан
+    DIRECT: 'direct',       // Прямий перехід на сайт
+    REFERRAL: 'referral'    // Перехід з іншого сайту
+};
+
+// Обмеження для заявок
+export const REQUEST_LIMITS = {
+    CUSTOMER_NAME: {
+        MIN_LENGTH: 2,
+        MAX_LENGTH: 100
+    },
+    MESSAGE: {
+        MAX_LENGTH: 1000
+    },
+    MAX_ITEMS_PER_ORDER: 50,
+    MAX_ITEM_QUANTITY: 100
+};
+
 // ============================================
 // ТАРИФНІ ПЛАНИ (для майбутнього)
 // ============================================
@@ -136,6 +204,28 @@ export const PAYMENT_STATUS = {
     REFUNDED: 'refunded'
 };
 
+// Платіжні провайдери (fake - локальний провайдер для розробки та тестів)
+export const PAYMENT_PROVIDER = {
+    FAKE: 'fake',
+    STRIPE: 'stripe',
+    PAYPAL: 'paypal'
+};
+
+// Нормалізовані типи webhook подій (провайдер → QRHub)
+export const PAYMENT_EVENT = {
+    SUCCEEDED: 'payment.succeeded',
+    FAILED: 'payment.failed',
+    REFUNDED: 'payment.refunded'
+};
+
+export const PAYMENT_SETTINGS = {
+    DEFAULT_PROVIDER: PAYMENT_PROVIDER.FAKE,
+    SIGNATURE_HEADER: 'x-qrhub-signature',
+    SIGNATURE_TOLERANCE_SECONDS: 300,    // Максимальний вік webhook (захист від replay)
+    FULFILLMENT_CLAIM_TTL_MS: 5 * 60 * 1000, // Після цього незавершене застосування наслідків можна повторити
+    DEFAULT_CURRENCY: 'EUR'              // Ціни планів в EUR
+};
+
 // ============================================
 // MVP ЛІМІТИ
 // ============================================
@@ -150,14 +240,23 @@ export const MVP_LIMITS = {
 };
 
 // ============================================
-// ТАРИФНІ ЛІМІТИ (для майбутнього)
+// ТАРИФНІ ЛІМІТИ
 // ============================================
 
 export const PLAN_LIMITS = {
+    free: {
+        maxBusinesses: MVP_LIMITS.MAX_BUSINESSES_PER_USER,
+        maxWebsitesPerBusiness: MVP_LIMITS.MAX_WEBSITES_PER_BUSINESS,
+        maxQRCodesPerWebsite: MVP_LIMITS.MAX_QR_CODES_PER_WEBSITE,
+        maxProductsPerCatalog: MVP_LIMITS.MAX_PRODUCTS_PER_CATALOG,
+        price: 0,
+        creationFee: 10                 // EUR за створення бізнесу
+    },
     starter: {
         maxBusinesses: -1,              // -1 = unlimited
         maxWebsitesPerBusiness: 1,
         maxQRCodesPerWebsite: 1,
+        maxProductsPerCatalog: 100,
         price: 5,                       // EUR
         creationFee: 10                 // EUR за створення бізнесу
     },
@@ -165,6 +264,7 @@ export const PLAN_LIMITS = {
         maxBusinesses: -1,              // unlimited
         maxWebsitesPerBusiness: 3,
         maxQRCodesPerWebsite: 5,
+        maxProductsPerCatalog: 500,
         price: 20,                      // EUR
         creationFee: 7                  // EUR за створення (знижка 30%)
     },
@@ -172,11 +272,32 @@ export const PLAN_LIMITS = {
         maxBusinesses: -1,              // unlimited
         maxWebsitesPerBusiness: -1,     // unlimited
         maxQRCodesPerWebsite: -1,       // unlimited
+        maxProductsPerCatalog: -1,      // unlimited
         price: 'custom',
         creationFee: 0                  // Безкоштовно для enterprise
     }
 };
 
+// Ключі лімітів, які перевіряються при створенні ресурсів
+export const PLAN_LIMIT_KEYS = {
+    BUSINESSES: 'maxBusinesses',
+    WEBSITES_PER_BUSINESS: 'maxWebsitesPerBusiness',
+    QR_CODES_PER_WEBSITE: 'maxQRCodesPerWebsite',
+    PRODUCTS_PER_CATALOG: 'maxProductsPerCatalog'
+};
+
+// Періодичність оплати
+export const BILLING_CYCLE = {
+    MONTHLY: 'monthly',
+    YEARLY: 'yearly'
+};
+
+export const SUBSCRIPTION_SETTINGS = {
+    DEFAULT_PLAN: SUBSCRIPTION_PLAN.FREE,   // План без підписки або після завершення
+    TRIAL_PLAN: SUBSCRIPTION_PLAN.PRO,      // План на час trial
+    TRIAL_DAYS: 14
+};
+
 // ============================================
 // ВАЛЮТИ
 // ============================================
@@ -190,7 +311,7 @@ export const CURRENCY = {
 export const DEFAULT_CURRENCY = CURRENCY.UAH;
 
 // ============================================
-// РЕФЕРАЛЬНА ПРОГРАМА (для майбутнього)
+// РЕФЕРАЛЬНА ПРОГРАМА
 // ============================================
 
 export const REFERRAL = {
@@ -200,7 +321,19 @@ export const REFERRAL = {
         2: 15,  // 2 реферали = 15% знижка
         3: 20   // 3 реферали = 20% знижка
     },
-    MIN_SUBSCRIPTION_MONTHS: 3       // Мінімум оплачених місяців для активації
+    MIN_SUBSCRIPTION_MONTHS: 3,      // Мінімум оплачених місяців для активації
+    CODE_LENGTH: 8,
+    // Алфавіт коду (uppercase, без схожих символів: 0/O, 1/I/L)
+    CODE_ALPHABET: '23456789ABCDEFGHJKMNPQRSTUVWXYZ',
+    CODE_PATTERN: /^[A-Z0-9]{6,20}$/i
+};
+
+// Статуси реферала
+export const REFERRAL_STATUS = {
+    PENDING: 'pending',      // Зареєструвався, умови активації ще не виконані
+    ACTIVE: 'active',        // Створив бізнес та оплатив мінімум місяців
+    INACTIVE: 'inactive',    // Був активним, але оплату повернуто
+    EXPIRED: 'expired'
 };
 
 // ============================================
@@ -217,6 +350,103 @@ export const QR_CODE_SETTINGS = {
     }
 };
 
+// Форма модулів стилізованого QR
+export const QR_MODULE_STYLE = {
+    SQUARE: 'square',
+    ROUNDED: 'rounded',     // Заокруглені зовнішні кути груп модулів
+    DOT: 'dot'
+};
+
+export const QR_GRADIENT_TYPE = {
+    LINEAR: 'linear',
+    RADIAL: 'radial'
+};
+
+// Рамка з call-to-action ("Скануй для меню")
+export const QR_FRAME_STYLE = {
+    NONE: 'none',
+    BOX: 'box',             // Рамка навколо QR, текст знизу всередині рамки
+    BANNER: 'banner'        // Смуга з текстом під QR
+};
+
+export const QR_STYLE = {
+    LOGO_SIZE_RATIO: 0.22,          // Частка сторони QR під логотип (з error correction H)
+    LOGO_PADDING_MODULES: 1,        // Порожні модулі навколо логотипу
+    LOGO_RASTER_SIZE: 300,          // px, логотип вбудовується в SVG як PNG
+    MIN_CONTRAST_RATIO: 4,          // Модулі / фон (WCAG contrast ratio)
+    MIN_FRAME_TEXT_CONTRAST: 3,     // Текст рамки / колір рамки
+    FRAME_TEXT_MAX_LENGTH: 30
+};
+
+// Вміст QR: url - redirect на targetUrl, решта - типізований payload
+export const QR_PAYLOAD_TYPE = {
+    URL: 'url',
+    VCARD: 'vcard',         // Контакт: .vcf через /s/:shortCode
+    WIFI: 'wifi',           // Підключення до мережі
+    SMS: 'sms',
+    EMAIL: 'email',
+    GEO: 'geo',             // Точка на карті: redirect на карти через /s/:shortCode
+    EVENT: 'event'          // Подія: .ics через /s/:shortCode
+};
+
+export const QR_WIFI_ENCRYPTION = {
+    WPA: 'WPA',             // WPA / WPA2 / WPA3
+    WEP: 'WEP',
+    NONE: 'nopass'
+};
+
+export const QR_PAYLOAD = {
+    // Кодують shortUrl - скан рахується, /s/:shortCode віддає вміст.
+    // Wi-Fi / SMS / email кодуються напряму: камера телефону обробляє їх без браузера
+    TRACKABLE_TYPES: [QR_PAYLOAD_TYPE.URL, QR_PAYLOAD_TYPE.VCARD, QR_PAYLOAD_TYPE.GEO, QR_PAYLOAD_TYPE.EVENT],
+    TEXT_MAX_LENGTH: 100,           // Імена, назви, тема листа
+    NOTE_MAX_LENGTH: 300,           // Примітка vCard, опис події
+    MESSAGE_MAX_LENGTH: 160,        // Текст SMS / листа (кодується в image)
+    WIFI_PASSWORD_MAX_LENGTH: 63,   // WPA passphrase
+    // Більше - щільний QR, який погано сканується (кирилиця в mailto - 6 байт на символ)
+    STATIC_MAX_BYTES: 900,
+    MAP_URL: 'https://www.google.com/maps/search/?api=1&query='
+};
+
+// Формати завантаження QR (png / svg - збережені в S3, pdf / eps - генеруються на запит)
+export const QR_DOWNLOAD_FORMAT = {
+    PNG: 'png',
+    SVG: 'svg',
+    PDF: 'pdf',
+    EPS: 'eps'
+};
+
+export const QR_PRINT_UNIT = {
+    MM: 'mm',
+    INCH: 'in'
+};
+
+export const QR_PRINT_LAYOUT = {
+    SINGLE: 'single',       // Один QR, сторінка = розмір + bleed (+ мітки)
+    SHEET: 'sheet'          // Аркуш A4, заповнений наліпками
+};
+
+export const QR_PRINT = {
+    DEFAULT_SIZE_MM: 50,            // Ширина QR (з рамкою) по лінії обрізу
+    MIN_SIZE_MM: 15,
+    MAX_SIZE_MM: 500,
+    DEFAULT_DPI: 300,
+    MIN_DPI: 72,
+    MAX_DPI: 1200,
+    MAX_BLEED_MM: 10,
+    MAX_PNG_PIXELS: 40000000,       // ~A4 при 600 DPI
+    CROP_MARK_OFFSET_MM: 3,         // Мінімальний відступ мітки від лінії обрізу
+    CROP_MARK_LENGTH_MM: 5,
+    CROP_MARK_WIDTH_PT: 0.25,
+    SHEET_WIDTH_MM: 210,            // A4
+    SHEET_HEIGHT_MM: 297,
+    SHEET_MARGIN_MM: 10,
+    SHEET_GAP_MM: 5,
+    SHEET_MAX_QR_CODES: 50,
+    SHEET_MAX_COPIES: 100,
+    SHEET_MAX_STICKERS: 500         // qrcodeIds x copies
+};
+
 // ============================================
 // SHORT CODE SETTINGS (для nanoid)
 // ============================================
@@ -228,7 +458,169 @@ export const SHORT_CODE_SETTINGS = {
     DEFAULT_LENGTH: 8,
     // Мінімальна та максимальна довжина
     MIN_LENGTH: 6,
-    MAX_LENGTH: 20
+    MAX_LENGTH: 20,
+    // Додаткові коди QR (включно з попередніми shortCode після перейменування)
+    MAX_ALIASES: 10,
+    // Коди, зайняті маршрутами /s (на додачу до SLUG_RULES.RESERVED_SLUGS)
+    RESERVED_CODES: ['health', 'preview']
+};
+
+// ============================================
+// SCAN PIPELINE
+// ============================================
+
+// Кеш shortCode → targetUrl для redirect (без запиту до БД)
+export const REDIRECT_CACHE = {
+    MAX_ENTRIES: 10000,
+    TTL_MS: 60 * 1000,              // Інші інстанси бачать зміни QR не пізніше ніж за хвилину
+    NOT_FOUND_TTL_MS: 10 * 1000     // Невідомі shortCode (захист БД від перебору)
+};
+
+// Ліміт сканів одного IP на один QR код (в пам'яті)
+export const SCAN_RATE_LIMIT = {
+    MAX_SCANS: 10,
+    WINDOW_MS: 60 * 1000,
+    MAX_TRACKED: 50000              // Пар ip + shortCode у пам'яті
+};
+
+// Захист QR коду: redirect тільки після введення пароля / PIN
+export const QR_ACCESS_TYPE = {
+    NONE: 'none',
+    PASSWORD: 'password',
+    PIN: 'pin'                      // Тільки цифри
+};
+
+export const QR_ACCESS = {
+    PASSWORD_MIN_LENGTH: 4,
+    PASSWORD_MAX_LENGTH: 64,
+    PIN_MIN_LENGTH: 4,
+    PIN_MAX_LENGTH: 8,
+    HASH_ROUNDS: 10,                // bcrypt
+    MAX_FAILED_ATTEMPTS: 5,         // Невдалих спроб ip + shortCode за вікно
+    LOCKOUT_WINDOW_MS: 15 * 60 * 1000,
+    MAX_TRACKED: 50000              // Пар ip + shortCode у пам'яті
+};
+
+// Причина, з якої скан визнано ботом
+export const BOT_REASON = {
+    HEAD_REQUEST: 'head_request',           // HEAD замість GET (перевірка посилання)
+    PREFETCH: 'prefetch',                   // Purpose/Sec-Purpose: prefetch, preview
+    MISSING_USER_AGENT: 'missing_user_agent',
+    USER_AGENT: 'user_agent',               // Crawler, link preview, CLI, бібліотека
+    IP_RANGE: 'ip_range'                    // Відомі діапазони crawler IP
+};
+
+export const BOT_DETECTION = {
+    // Значення заголовків Purpose / Sec-Purpose / X-Purpose / X-Moz
+    PREFETCH_PURPOSES: ['prefetch', 'prerender', 'preview'],
+
+    // Security scanners та preview, яких немає в ua-parser-js
+    EXTRA_USER_AGENT_PATTERNS: [
+        /headlesschrome/i,
+        /phantomjs/i,
+        /barracuda/i,
+        /proofpoint/i,
+        /mimecast/i,
+        /urlscan/i,
+        /safelinks/i,
+        /scanner/i,
+        /preview/i
+    ],
+
+    // Локальний список діапазонів (перевизначається через BOT_IP_RANGES_FILE)
+    IP_RANGES_FILE: 'src/config/botIpRanges.json'
+};
+
+// Умовні redirect правила QR коду (перше співпадіння визначає URL)
+export const REDIRECT_RULES = {
+    MAX_RULES: 20,                  // Правил на один QR код
+    MAX_CONDITION_VALUES: 50,       // Значень в одній умові (countries, cities...)
+    GEO_LOOKUP_TIMEOUT_MS: 300      // Скільки redirect чекає на геолокацію для country/city правил
+};
+
+// A/B split: default destination ділиться між варіантами за вагою
+export const SPLIT_TEST = {
+    MIN_VARIANTS: 2,
+    MAX_VARIANTS: 10,
+    MIN_WEIGHT: 1,
+    MAX_WEIGHT: 100
+};
+
+// Фонова перевірка розкладу QR кодів (scheduled → active, active → expired)
+export const QR_SCHEDULE_JOB = {
+    INTERVAL_MS: 60 * 1000,
+    BATCH_SIZE: 200                 // QR кодів, що закінчились, за один прохід
+};
+
+// Пакетне створення QR кодів з CSV
+export const QR_BATCH_STATUS = {
+    PENDING: 'pending',             // Чекає на фоновий job
+    PROCESSING: 'processing',
+    COMPLETED: 'completed',         // Оброблено всі рядки (частина могла не створитись)
+    FAILED: 'failed'                // Job перервано помилкою
+};
+
+export const QR_BATCH = {
+    MAX_ROWS: 1000,
+    SYNC_MAX_ROWS: 20,              // Більші файли обробляє фоновий job (202 Accepted)
+    COLUMNS: ['name', 'targetUrl', 'description', 'primaryColor', 'backgroundColor', 'shortCode'],
+    REQUIRED_COLUMNS: ['name', 'targetUrl'],
+    MAX_REPORTED_ERRORS: 500,       // Помилок валідації у звіті job
+    JOB_INTERVAL_MS: 5 * 1000,
+    STALE_AFTER_MS: 5 * 60 * 1000,  // processing без heartbeat - інстанс впав, job підхоплює інший
+    RETENTION_DAYS: 30              // Звіт job (створені QR коди не видаляються)
+};
+
+// Дії, що створюють ревізію QR коду (QRCodeRevision)
+export const QR_REVISION_ACTION = {
+    BASELINE: 'baseline',           // Стан QR, створеного до історії ревізій (перед першою зміною)
+    CREATE: 'create',
+    UPDATE: 'update',
+    ROLLBACK: 'rollback',
+    REGENERATE: 'regenerate',       // Новий image (regenerate / міграція на shortUrl)
+    ACTIVATE: 'activate',
+    DEACTIVATE: 'deactivate',
+    DELETE: 'delete'
+};
+
+export const QR_REVISION = {
+    // Поля QRCode у snapshot ревізії (стан після зміни)
+    TRACKED_FIELDS: [
+        'name', 'description', 'targetUrl', 'payloadType', 'payload', 'campaignId',
+        'redirectRules', 'splitVariants', 'status',
+        'startsAt', 'expiresAt', 'maxScans', 'expiredBehavior', 'expiredUrl', 'accessType',
+        'shortCode', 'aliases',
+        'primaryColor', 'backgroundColor', 'style', 'logoUrl', 'qrImageUrl', 'qrSvgUrl', 'encodedUrl'
+    ],
+    // Відновлюються при rollback. Не відновлюються: статус (activate / deactivate),
+    // коди (надруковані QR), захист (секрет не зберігається), кампанія
+    ROLLBACK_FIELDS: [
+        'name', 'description', 'targetUrl', 'payloadType', 'payload', 'redirectRules', 'splitVariants',
+        'startsAt', 'expiresAt', 'maxScans', 'expiredBehavior', 'expiredUrl',
+        'primaryColor', 'backgroundColor', 'style', 'logoUrl'
+    ],
+    // null в snapshot - прибрати обмеження (в інших полях null - значення не було, пропускається)
+    CLEARABLE_FIELDS: ['startsAt', 'expiresAt', 'maxScans', 'expiredUrl'],
+    // Зміна будь-якого - маркер на графіках аналітики
+    DESTINATION_FIELDS: ['targetUrl', 'payloadType', 'payload', 'redirectRules', 'splitVariants'],
+    HISTORY_DEFAULT_LIMIT: 20,
+    MAX_MARKERS: 100,               // Маркерів зміни destination у звіті аналітики
+    MAX_RECORD_ATTEMPTS: 3          // Номер ревізії зайнято паралельною зміною - повтор
+};
+
+// Черга сканів: batch insert QRScan + $inc лічильників QRCode
+export const SCAN_QUEUE = {
+    BACKEND: {
+        MEMORY: 'memory',           // Втрачається при падінні процесу
+        FILE: 'file'                // JSONL журнал, відновлюється після рестарту
+    },
+    DEFAULT_BACKEND: 'memory',      // Перевизначається через SCAN_QUEUE_BACKEND
+    FILE_PATH: 'data/scan-queue.jsonl', // Перевизначається через SCAN_QUEUE_FILE
+    BATCH_SIZE: 200,
+    FLUSH_INTERVAL_MS: 1000,
+    MAX_PENDING: 10000,             // Backpressure: понад це redirect чекає на flush
+    BACKPRESSURE_TIMEOUT_MS: 1000,  // Після цього скан відкидається
+    DRAIN_TIMEOUT_MS: 10000         // Graceful shutdown
 };
 
 // ============================================
@@ -241,13 +633,49 @@ export const PAGINATION = {
     MAX_LIMIT: 100
 };
 
+// ============================================
+// ANALYTICS
+// ============================================
+
+export const ANALYTICS = {
+    // Розмір часового bucket для графіків
+    GRANULARITY: {
+        HOUR: 'hour',
+        DAY: 'day',
+        WEEK: 'week',     // ISO тиждень (Пн-Нд)
+        MONTH: 'month'
+    },
+    DEFAULT_GRANULARITY: 'day',
+    DEFAULT_TIMEZONE: 'UTC',
+
+    // Періоди (в днях)
+    DEFAULT_PERIOD_DAYS: 30,
+    MAX_PERIOD_DAYS: 730,
+    MAX_HOURLY_PERIOD_DAYS: 31,
+
+    // Кількість записів у breakdown (країни, міста, QR коди)
+    BREAKDOWN_LIMIT: 10
+};
+
 // ============================================
 // JWT
 // ============================================
 
 export const JWT = {
-    EXPIRES_IN: process.env.JWT_EXPIRES_IN || '7d',
-    REFRESH_EXPIRES_IN: '30d'
+    EXPIRES_IN: process.env.JWT_EXPIRES_IN || '15m',   // Короткоживучий access token
+    REFRESH_EXPIRES_IN: '30d',
+    REFRESH_TTL_DAYS: 30,            // Термін дії refresh token (сесії)
+    ROTATED_TOKENS_HISTORY: 20,      // Скільки використаних refresh tokens пам'ятаємо для reuse detection
+    LOGIN_CODE_TTL_SECONDS: 60,      // Одноразовий код з OAuth redirect → POST /api/auth/token
+    OAUTH_STATE_TTL_SECONDS: 600     // Час на проходження Google consent screen
+};
+
+// Причини відкликання сесії
+export const SESSION_REVOKE_REASON = {
+    LOGOUT: 'logout',                // Вихід з цього пристрою
+    LOGOUT_ALL: 'logout_all',        // Вихід з усіх пристроїв
+    REVOKED: 'revoked',              // Користувач завершив сесію зі списку
+    TOKEN_REUSE: 'token_reuse'       // Повторне використання refresh token (можлива крадіжка)
 };
 
 // ============================================
@@ -281,12 +709,33 @@ export const PRODUCT_FILE_TYPES = {
     }
 };
 
+// Галерея товару: з кожного завантаженого зображення генеруються WebP варіанти
+// (вписуються в MAX_SIZE x MAX_SIZE, без збільшення; EXIF не зберігається)
+export const PRODUCT_IMAGE = {
+    VARIANTS: {
+        thumbnail: { MAX_SIZE: 200, QUALITY: 75 },
+        medium: { MAX_SIZE: 600, QUALITY: 80 },
+        large: { MAX_SIZE: 1200, QUALITY: 82 }
+    },
+    // Варіант для product.image (обкладинка товару в каталозі)
+    PRIMARY_VARIANT: 'medium',
+    CONTENT_TYPE: 'image/webp',
+    EXTENSION: '.webp',
+    MAX_INPUT_PIXELS: 40000000 // Захист від "decompression bomb"
+};
+
 // Типи файлів для QR Codes
 export const QR_FILE_TYPES = {
     IMAGE: {
         ALLOWED_TYPES: ['image/png'], // QR тільки PNG
         MAX_SIZE: 2 * 1024 * 1024, // 2MB
         FOLDER: 'qrcodes'
+    },
+    BATCH_CSV: {
+        // Браузери / Windows віддають CSV під різними MIME types
+        ALLOWED_TYPES: ['text/csv', 'application/csv', 'text/plain', 'application/vnd.ms-excel'],
+        EXTENSION: '.csv',
+        MAX_SIZE: 1 * 1024 * 1024 // 1MB
     }
 };
 
@@ -355,12 +804,50 @@ export const PRODUCT_LIMITS = {
     DESCRIPTION: {
         MAX_LENGTH: 500
     },
+    CATEGORY: {
+        MAX_LENGTH: 50,
+        SLUG_MAX_LENGTH: 60,            // Транслітерація подовжує назву (щ → shch)
+        DESCRIPTION_MAX_LENGTH: 300,
+        MAX_PER_CATALOG: 50
+    },
     PRICE: {
         MIN: 0,
         MAX: 999999.99
+    },
+    // Варіанти товару (розмір, вага) з власною ціною
+    VARIANT: {
+        NAME_MAX_LENGTH: 50,
+        MAX_COUNT: 20
+    },
+    // Додаткові опції (сироп, соус), ціна додається до ціни варіанта
+    OPTION: {
+        NAME_MAX_LENGTH: 50,
+        MAX_COUNT: 30
+    },
+    // Мітки (vegan, spicy) - фільтр на публічному сайті
+    TAG: {
+        MAX_LENGTH: 30,
+        MAX_COUNT: 10,
+        PATTERN: /^[\p{Ll}\p{N}]+(?:-[\p{Ll}\p{N}]+)*$/u
+    },
+    // Галерея зображень товару (PRODUCT_IMAGE)
+    IMAGE: {
+        MAX_COUNT: 8
     }
 };
 
+// ============================================
+// PUBLIC API (SSR)
+// ============================================
+
+// HTTP кешування публічних endpoints (/api/public/websites)
+export const PUBLIC_CACHE = {
+    MAX_AGE_SECONDS: 60,                    // Браузер / CDN
+    STALE_WHILE_REVALIDATE_SECONDS: 300,    // Віддавати застарілу копію поки оновлюється
+    PRODUCTS_DEFAULT_LIMIT: 50,
+    PRODUCTS_MAX_LIMIT: 100
+};
+
 // ============================================
 // QR CODE-SPECIFIC CONSTANTS
 // ============================================
@@ -379,6 +866,39 @@ export const QR_CODE_LIMITS = {
     }
 };
 
+// ============================================
+// CAMPAIGN-SPECIFIC CONSTANTS
+// ============================================
+
+// Ліміти для Campaign
+export const CAMPAIGN_LIMITS = {
+    NAME: {
+        MIN_LENGTH: 2,
+        MAX_LENGTH: 100
+    },
+    DESCRIPTION: {
+        MAX_LENGTH: 500
+    },
+    MAX_ASSIGN_QRCODES: 100         // QR кодів за один запит POST /campaigns/:id/qrcodes
+};
+
+// UTM параметри, які кампанія додає до destination при redirect
+export const CAMPAIGN_UTM = {
+    // Поле Campaign.utm → query параметр
+    PARAMS: {
+        source: 'utm_source',
+        medium: 'utm_medium',
+        campaign: 'utm_campaign',
+        term: 'utm_term',
+        content: 'utm_content'
+    },
+    DEFAULT_SOURCE: 'qrhub',
+    DEFAULT_MEDIUM: 'qr',
+    VALUE_MAX_LENGTH: 100,
+    // Літери (в т.ч. кирилиця), цифри, _ - . +
+    VALUE_PATTERN: /^[\p{L}\p{N}_.+-]+$/u
+};
+
 // ============================================
 // HELPER FUNCTIONS
 // ============================================
@@ -394,7 +914,7 @@ export const isValidStatus = (status, statusEnum) => {
  * Отримує ліміти для конкретного плану
  */
 export const getPlanLimits = (plan) => {
-    return PLAN_LIMITS[plan] || PLAN_LIMITS.starter;
+    return PLAN_LIMITS[plan] || PLAN_LIMITS[SUBSCRIPTION_SETTINGS.DEFAULT_PLAN];
 };
 
 /**
@@ -428,22 +948,59 @@ export default {
     WEBSITE_TYPE,
     WEBSITE_STATUS,
     QR_STATUS,
+    QR_EXPIRED_BEHAVIOR,
     DEVICE_TYPE,
     REQUEST_TYPE,
     REQUEST_STATUS,
+    REQUEST_SOURCE,
+    REQUEST_LIMITS,
     SUBSCRIPTION_PLAN,
     SUBSCRIPTION_STATUS,
     PAYMENT_TYPE,
     PAYMENT_STATUS,
+    PAYMENT_PROVIDER,
+    PAYMENT_EVENT,
+    PAYMENT_SETTINGS,
     MVP_LIMITS,
     PLAN_LIMITS,
+    PLAN_LIMIT_KEYS,
+    BILLING_CYCLE,
+    SUBSCRIPTION_SETTINGS,
     CURRENCY,
     DEFAULT_CURRENCY,
     REFERRAL,
+    REFERRAL_STATUS,
     QR_CODE_SETTINGS,
+    QR_MODULE_STYLE,
+    QR_GRADIENT_TYPE,
+    QR_FRAME_STYLE,
+    QR_STYLE,
+    QR_PAYLOAD_TYPE,
+    QR_WIFI_ENCRYPTION,
+    QR_PAYLOAD,
+    QR_DOWNLOAD_FORMAT,
+    QR_PRINT_UNIT,
+    QR_PRINT_LAYOUT,
+    QR_PRINT,
     SHORT_CODE_SETTINGS,
+    REDIRECT_CACHE,
+    SCAN_RATE_LIMIT,
+    QR_ACCESS_TYPE,
+    QR_ACCESS,
+    REDIRECT_RULES,
+    SPLIT_TEST,
+    QR_SCHEDULE_JOB,
+    QR_BATCH_STATUS,
+    QR_BATCH,
+    QR_REVISION_ACTION,
+    QR_REVISION,
+    BOT_REASON,
+    BOT_DETECTION,
+    SCAN_QUEUE,
     PAGINATION,
+    ANALYTICS,
     JWT,
+    SESSION_REVOKE_REASON,
     BUSINESS_FILE_TYPES,
     WEBSITE_FILE_TYPES,
     PRODUCT_FILE_TYPES,
@@ -452,7 +1009,10 @@ export default {
     CONTACT_VALIDATION,
     WEBSITE_SEO,
     PRODUCT_LIMITS,
+    PUBLIC_CACHE,
     QR_CODE_LIMITS,
+    CAMPAIGN_LIMITS,
+    CAMPAIGN_UTM,
     isValidStatus,
     getPlanLimits,
     isLimitReached,
@@ -0,0 +1,26 @@
+/**
+ * Profanity List
+ * Недопустимі слова для custom shortCode та aliases
+ *
+ * Перевірка - входження в нормалізований код (lowercase, без дефісів,
+ * цифри-замінники літер: 0→o, 1→i, 3→e, 4→a, 5→s, 7→t).
+ * Тому тут немає коротких слів, що трапляються всередині звичайних
+ * ('anal' → analytics, 'rape' → grape, 'manda' → mandarin).
+ *
+ * Українська / російська - латинською транслітерацією (shortCode тільки a-z0-9).
+ */
+
+const PROFANITY_LIST = [
+    // English
+    'fuck', 'shit', 'bitch', 'cunt', 'pussy', 'whore', 'slut', 'bastard',
+    'nigger', 'nigga', 'faggot', 'porn', 'nazi', 'hitler', 'wank', 'twat',
+    'motherf', 'dickhead', 'asshole',
+
+    // Українська / російська (транслітерація)
+    'huy', 'huilo', 'huylo', 'khuy', 'xuy', 'pizd', 'pyzd', 'blyad', 'blyat',
+    'bliad', 'suka', 'cyka', 'yebat', 'yobany', 'yebal', 'mudak', 'pidor',
+    'pidar', 'pidaras', 'gandon', 'zalupa', 'shluha', 'shlyuha', 'govno',
+    'dermo'
+];
+
+export default PROFANITY_LIST;
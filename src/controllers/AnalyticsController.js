@@ -0,0 +1,227 @@
+/**
+ * AnalyticsController
+ * HTTP обробка запитів для аналітики
+ *
+ * Відповідальність:
+ * - Приймає req, res
+ * - Витягує дані з req.params, req.query
+ * - Викликає AnalyticsService для бізнес-логіки
+ * - Формує HTTP відповідь через responseFormatter
+ *
+ * Спільні query params для всіх endpoints:
+ * - startDate, endDate: ISO дата (default: останні 30 днів)
+ * - granularity: hour|day|week|month (default: day)
+ * - timezone: IANA timezone (default: UTC)
+ */
+
+import AnalyticsService from '../services/AnalyticsService.js';
+import { success } from '../utils/responseFormatter.js';
+import { logInfo, logError } from '../utils/logger.js';
+
+class AnalyticsController {
+    constructor() {
+        // Dependency Injection
+        this.analyticsService = new AnalyticsService();
+    }
+
+    /**
+     * GET /api/analytics/qrcode/:id
+     * Аналітика QR коду
+     *
+     * @access Private
+     */
+    getQRCodeAnalytics = async (req, res, next) => {
+        try {
+            const { id } = req.params;
+            const userId = req.userId;
+
+            logInfo('Controller: Getting QR code analytics', {
+                qrCodeId: id,
+                userId,
+                query: req.query
+            });
+
+            // Викликаємо сервіс
+            const analytics = await this.analyticsService.getQRCodeAnalytics(id, userId, req.query);
+
+            // Формуємо відповідь
+            return success(res, 'Аналітику QR коду успішно отримано', analytics);
+
+        } catch (error) {
+            logError('Controller: Failed to get QR code analytics', {
+                qrCodeId: req.params.id,
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
+    /**
+     * GET /api/analytics/qrcode/:id/bots
+     * Відфільтрований bot трафік QR коду
+     *
+     * @access Private
+     */
+    getQRCodeBotReport = async (req, res, next) => {
+        try {
+            const { id } = req.params;
+            const userId = req.userId;
+
+            logInfo('Controller: Getting QR code bot report', {
+                qrCodeId: id,
+                userId,
+                query: req.query
+            });
+
+            // Викликаємо сервіс
+            const report = await this.analyticsService.getQRCodeBotReport(id, userId, req.query);
+
+            // Формуємо відповідь
+            return success(res, 'Звіт по bot трафіку успішно отримано', report);
+
+        } catch (error) {
+            logError('Controller: Failed to get QR code bot report', {
+                qrCodeId: req.params.id,
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
+    /**
+     * GET /api/analytics/website/:id
+     * Аналітика сайту
+     *
+     * @access Private
+     */
+    getWebsiteAnalytics = async (req, res, next) => {
+        try {
+            const { id } = req.params;
+            const userId = req.userId;
+
+            logInfo('Controller: Getting website analytics', {
+                websiteId: id,
+                userId,
+                query: req.query
+            });
+
+            // Викликаємо сервіс
+            const analytics = await this.analyticsService.getWebsiteAnalytics(id, userId, req.query);
+
+            // Формуємо відповідь
+            return success(res, 'Аналітику сайту успішно отримано', analytics);
+
+        } catch (error) {
+            logError('Controller: Failed to get website analytics', {
+                websiteId: req.params.id,
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
+    /**
+     * GET /api/analytics/business/:id
+     * Аналітика бізнесу
+     *
+     * @access Private
+     */
+    getBusinessAnalytics = async (req, res, next) => {
+        try {
+            const { id } = req.params;
+            const userId = req.userId;
+
+            logInfo('Controller: Getting business analytics', {
+                businessId: id,
+                userId,
+                query: req.query
+            });
+
+            // Викликаємо сервіс
+            const analytics = await this.analyticsService.getBusinessAnalytics(id, userId, req.query);
+
+            // Формуємо відповідь
+            return success(res, 'Аналітику бізнесу успішно отримано', analytics);
+
+        } catch (error) {
+            logError('Controller: Failed to get business analytics', {
+                businessId: req.params.id,
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
+    /**
+     * GET /api/analytics/campaign/:id
+     * Аналітика кампанії (скани, унікальні, перегляди, заявки, розбивка по QR кодах)
+     *
+     * @access Private
+     */
+    getCampaignAnalytics = async (req, res, next) => {
+        try {
+            const { id } = req.params;
+            const userId = req.userId;
+
+            logInfo('Controller: Getting campaign analytics', {
+                campaignId: id,
+                userId,
+                query: req.query
+            });
+
+            // Викликаємо сервіс
+            const analytics = await this.analyticsService.getCampaignAnalytics(id, userId, req.query);
+
+            // Формуємо відповідь
+            return success(res, 'Аналітику кампанії успішно отримано', analytics);
+
+        } catch (error) {
+            logError('Controller: Failed to get campaign analytics', {
+                campaignId: req.params.id,
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
+    /**
+     * GET /api/analytics/dashboard
+     * Зведена статистика по всіх бізнесах користувача
+     *
+     * @access Private
+     */
+    getDashboardStats = async (req, res, next) => {
+        try {
+            const userId = req.userId;
+
+            logInfo('Controller: Getting dashboard stats', {
+                userId,
+                query: req.query
+            });
+
+            // Викликаємо сервіс
+            const stats = await this.analyticsService.getDashboardStats(userId, req.query);
+
+            // Формуємо відповідь
+            return success(res, 'Статистику dashboard успішно отримано', stats);
+
+        } catch (error) {
+            logError('Controller: Failed to get dashboard stats', {
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+export default AnalyticsController;
@@ -27,6 +27,9 @@ class AuthController {
     /**
      * GET /api/auth/google
      * Генерує URL для Google OAuth та редіректить користувача
+     *
+     * Query params:
+     * - ref: реферальний код запрошувача (опціонально)
      */
     googleAuth = async (req, res, next) => {
         try {
@@ -35,8 +38,10 @@ class AuthController {
                 userAgent: req.get('user-agent')
             });
 
-            // Отримуємо URL для Google OAuth
-            const authUrl = this.authService.getGoogleAuthUrl();
+            // Отримуємо URL для Google OAuth (реферальний код іде в state)
+            const authUrl = this.authService.getGoogleAuthUrl({
+                referralCode: typeof req.query.ref === 'string' ? req.query.ref : null
+            });
 
             // Редіректимо користувача на Google
             res.redirect(authUrl);
@@ -52,12 +57,13 @@ class AuthController {
     /**
      * GET /api/auth/google/callback
      * Обробляє callback від Google після авторизації
-     * Створює/логінить користувача, генерує JWT
+     * Створює/логінить користувача, створює сесію з одноразовим кодом входу
+     * Токени в URL не передаються - фронтенд обмінює код через POST /api/auth/token
      */
     googleCallback = async (req, res, next) => {
         try {
             // Отримуємо authorization code з query params
-            const { code } = req.query;
+            const { code, state } = req.query;
 
             if (!code) {
                 logError('Google callback without code');
@@ -69,12 +75,15 @@ class AuthController {
             });
 
             // Викликаємо сервіс для обробки callback
-            const result = await this.authService.handleGoogleCallback(code);
+            const result = await this.authService.handleGoogleCallback(code, state, {
+                userAgent: req.get('user-agent'),
+                ip: req.ip
+            });
 
-            // Редіректимо на фронтенд з токеном
+            // Редіректимо на фронтенд з одноразовим кодом входу
             const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
-            // const redirectUrl = `${frontendUrl}/auth/callback?token=${result.token}`;
-            const redirectUrl = `${frontendUrl}?token=${result.token}`;
+            // const redirectUrl = `${frontendUrl}/auth/callback?loginCode=${result.loginCode}`;
+            const redirectUrl = `${frontendUrl}?loginCode=${encodeURIComponent(result.loginCode)}`;
 
             res.redirect(redirectUrl);
 
@@ -121,16 +130,16 @@ class AuthController {
 
     /**
      * POST /api/auth/logout
-     * Logout користувача (для майбутнього - invalidate token)
+     * Logout з поточного пристрою (відкликає сесію access token)
      */
     logout = async (req, res, next) => {
         try {
             const userId = req.userId;
 
-            logInfo('User logging out', { userId });
+            logInfo('User logging out', { userId, sessionId: req.sessionId });
 
             // Викликаємо logout в сервісі
-            await this.authService.logout(userId);
+            await this.authService.logout(userId, req.sessionId);
 
             return success(res, 'Logged out successfully');
 
@@ -144,23 +153,116 @@ class AuthController {
     };
 
     /**
-     * POST /api/auth/refresh (для майбутнього)
-     * Оновлює JWT токен за допомогою refresh token
+     * POST /api/auth/logout-all
+     * Logout з усіх пристроїв (відкликає всі сесії)
+     */
+    logoutAll = async (req, res, next) => {
+        try {
+            const userId = req.userId;
+
+            logInfo('User logging out from all devices', { userId });
+
+            // Викликаємо сервіс
+            const revokedSessions = await this.authService.logoutAll(userId);
+
+            return success(res, 'Logged out from all devices successfully', { revokedSessions });
+
+        } catch (err) {
+            logError('Error logging out from all devices', {
+                userId: req.userId,
+                error: err.message
+            });
+            next(err);
+        }
+    };
+
+    /**
+     * GET /api/auth/sessions
+     * Активні сесії користувача з інформацією про пристрій
+     */
+    getSessions = async (req, res, next) => {
+        try {
+            const userId = req.userId;
+
+            logInfo('Getting user sessions', { userId });
+
+            // Викликаємо сервіс
+            const sessions = await this.authService.getSessions(userId, req.sessionId);
+
+            return success(res, 'Sessions retrieved successfully', { sessions });
+
+        } catch (err) {
+            logError('Error getting sessions', {
+                userId: req.userId,
+                error: err.message
+            });
+            next(err);
+        }
+    };
+
+    /**
+     * DELETE /api/auth/sessions/:id
+     * Завершити сесію на іншому пристрої
+     */
+    revokeSession = async (req, res, next) => {
+        try {
+            const userId = req.userId;
+            const { id } = req.params;
+
+            logInfo('Revoking session', { userId, sessionId: id });
+
+            // Викликаємо сервіс
+            await this.authService.revokeSession(userId, id);
+
+            return success(res, 'Session revoked successfully');
+
+        } catch (err) {
+            logError('Error revoking session', {
+                userId: req.userId,
+                sessionId: req.params.id,
+                error: err.message
+            });
+            next(err);
+        }
+    };
+
+    /**
+     * POST /api/auth/token
+     * Обмінює одноразовий код входу (з OAuth redirect) на пару токенів
+     */
+    exchangeLoginCode = async (req, res, next) => {
+        try {
+            const { loginCode } = req.body;
+
+            logInfo('Exchanging login code', { ip: req.ip });
+
+            // Викликаємо сервіс (код стає недійсним)
+            const tokens = await this.authService.exchangeLoginCode(loginCode, { ip: req.ip });
+
+            return success(res, 'Login code exchanged successfully', tokens);
+
+        } catch (err) {
+            logError('Error exchanging login code', {
+                error: err.message
+            });
+            next(err);
+        }
+    };
+
+    /**
+     * POST /api/auth/refresh
+     * Ротує refresh token і видає нову пару токенів
      */
     refreshToken = async (req, res, next) => {
         try {
             const { refreshToken } = req.body;
 
-            if (!refreshToken) {
-                return error(res, 'Refresh token is required', 400);
-            }
+            logInfo('Refreshing tokens', { ip: req.ip });
 
-            // TODO: Implement refresh token logic in AuthService
-            // const result = await this.authService.refreshToken(refreshToken);
+            // Викликаємо сервіс (старий refresh token стає недійсним)
+            const tokens = await this.authService.refreshTokens(refreshToken, { ip: req.ip });
 
-            return success(res, 'Token refreshed successfully', {
-                message: 'Not implemented yet'
-            });
+            return success(res, 'Token refreshed successfully', tokens);
 
         } catch (err) {
             logError('Error refreshing token', {
@@ -171,4 +273,4 @@ class AuthController {
     };
 }
 
-export default AuthController;
\ No newline at end of file
+export default AuthController;
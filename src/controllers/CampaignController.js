@@ -0,0 +1,264 @@
+/**
+ * CampaignController
+ * HTTP обробка запитів для маркетингових кампаній
+ *
+ * Відповідальність:
+ * - Приймає req, res
+ * - Витягує дані з req.body, req.params, req.query
+ * - Викликає CampaignService для бізнес-логіки
+ * - Формує HTTP відповідь через responseFormatter
+ *
+ * Аналітика кампанії - AnalyticsController (GET /api/analytics/campaign/:id)
+ */
+
+import CampaignService from '../services/CampaignService.js';
+import { success, created, noContent } from '../utils/responseFormatter.js';
+import { logInfo, logError } from '../utils/logger.js';
+
+class CampaignController {
+    constructor() {
+        // Dependency Injection
+        this.campaignService = new CampaignService();
+    }
+
+    // ============================================
+    // CRUD ENDPOINTS
+    // ============================================
+
+    /**
+     * GET /api/campaigns
+     * Отримати кампанії користувача
+     *
+     * Query params:
+     * - businessId: MongoDB ObjectId
+     * - page: Number (default: 1)
+     * - limit: Number (default: 10)
+     *
+     * @access Private
+     */
+    getAllCampaigns = async (req, res, next) => {
+        try {
+            const userId = req.userId;
+
+            logInfo('Controller: Getting all campaigns', {
+                userId,
+                query: req.query
+            });
+
+            const result = await this.campaignService.getUserCampaigns(userId, {
+                businessId: req.query.businessId,
+                page: req.query.page,
+                limit: req.query.limit
+            });
+
+            return success(res, 'Кампанії успішно отримані', result);
+
+        } catch (error) {
+            logError('Controller: Failed to get campaigns', {
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
+    /**
+     * GET /api/campaigns/:id
+     * Отримати кампанію з її QR кодами
+     *
+     * @access Private
+     */
+    getCampaignById = async (req, res, next) => {
+        try {
+            const { id } = req.params;
+            const userId = req.userId;
+
+            logInfo('Controller: Getting campaign by ID', {
+                campaignId: id,
+                userId
+            });
+
+            const campaign = await this.campaignService.getCampaignDetails(id, userId);
+
+            return success(res, 'Кампанію успішно отримано', campaign);
+
+        } catch (error) {
+            logError('Controller: Failed to get campaign', {
+                campaignId: req.params.id,
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
+    /**
+     * POST /api/campaigns
+     * Створити кампанію
+     *
+     * Body:
+     * - businessId: String (required)
+     * - name: String (required)
+     * - description: String (optional)
+     * - utm: Object (optional) - source, medium, campaign, term, content
+     * - overrideExisting: Boolean (optional) - перезаписувати utm_* в targetUrl
+     *
+     * @access Private
+     */
+    createCampaign = async (req, res, next) => {
+        try {
+            const userId = req.userId;
+
+            logInfo('Controller: Creating campaign', {
+                userId,
+                name: req.body.name
+            });
+
+            const campaign = await this.campaignService.createCampaign(userId, req.body);
+
+            return created(res, 'Кампанію успішно створено', campaign);
+
+        } catch (error) {
+            logError('Controller: Failed to create campaign', {
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
+    /**
+     * PATCH /api/campaigns/:id
+     * Оновити кампанію
+     *
+     * @access Private
+     */
+    updateCampaign = async (req, res, next) => {
+        try {
+            const { id } = req.params;
+            const userId = req.userId;
+
+            logInfo('Controller: Updating campaign', {
+                campaignId: id,
+                userId,
+                fields: Object.keys(req.body)
+            });
+
+            const campaign = await this.campaignService.updateCampaign(id, userId, req.body);
+
+            return success(res, 'Кампанію успішно оновлено', campaign);
+
+        } catch (error) {
+            logError('Controller: Failed to update campaign', {
+                campaignId: req.params.id,
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
+    /**
+     * DELETE /api/campaigns/:id
+     * Видалити кампанію (soft delete, QR коди відв'язуються)
+     *
+     * @access Private
+     */
+    deleteCampaign = async (req, res, next) => {
+        try {
+            const { id } = req.params;
+            const userId = req.userId;
+
+            logInfo('Controller: Deleting campaign', {
+                campaignId: id,
+                userId
+            });
+
+            await this.campaignService.deleteCampaign(id, userId);
+
+            return noContent(res);
+
+        } catch (error) {
+            logError('Controller: Failed to delete campaign', {
+                campaignId: req.params.id,
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
+    // ============================================
+    // QR CODES ENDPOINTS
+    // ============================================
+
+    /**
+     * POST /api/campaigns/:id/qrcodes
+     * Додати QR коди до кампанії
+     *
+     * Body:
+     * - qrcodeIds: Array<String> (required) - QR коди того ж бізнесу
+     *
+     * @access Private
+     */
+    assignQRCodes = async (req, res, next) => {
+        try {
+            const { id } = req.params;
+            const userId = req.userId;
+
+            logInfo('Controller: Assigning QR codes to campaign', {
+                campaignId: id,
+                userId,
+                count: req.body.qrcodeIds.length
+            });
+
+            const result = await this.campaignService.assignQRCodes(id, userId, req.body.qrcodeIds);
+
+            return success(res, 'QR коди додано до кампанії', result);
+
+        } catch (error) {
+            logError('Controller: Failed to assign QR codes to campaign', {
+                campaignId: req.params.id,
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
+    /**
+     * DELETE /api/campaigns/:id/qrcodes
+     * Прибрати QR коди з кампанії
+     *
+     * Body:
+     * - qrcodeIds: Array<String> (required)
+     *
+     * @access Private
+     */
+    removeQRCodes = async (req, res, next) => {
+        try {
+            const { id } = req.params;
+            const userId = req.userId;
+
+            logInfo('Controller: Removing QR codes from campaign', {
+                campaignId: id,
+                userId,
+                count: req.body.qrcodeIds.length
+            });
+
+            const result = await this.campaignService.removeQRCodes(id, userId, req.body.qrcodeIds);
+
+            return success(res, 'QR коди прибрано з кампанії', result);
+
+        } catch (error) {
+            logError('Controller: Failed to remove QR codes from campaign', {
+                campaignId: req.params.id,
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+}
+
+export default CampaignController;
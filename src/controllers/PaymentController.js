@@ -0,0 +1,234 @@
+/**
+ * PaymentController
+ * HTTP обробка запитів для платежів
+ *
+ * Відповідальність:
+ * - Приймає req, res
+ * - Витягує дані з req.body, req.params, req.query (webhook - req.rawBody)
+ * - Викликає PaymentService для бізнес-логіки
+ * - Формує HTTP відповідь через responseFormatter
+ */
+
+import PaymentService from '../services/PaymentService.js';
+import { success, created } from '../utils/responseFormatter.js';
+import { logInfo, logError } from '../utils/logger.js';
+
+class PaymentController {
+    constructor() {
+        // Dependency Injection
+        this.paymentService = new PaymentService();
+    }
+
+    // ============================================
+    // PUBLIC ENDPOINTS
+    // ============================================
+
+    /**
+     * POST /api/payments/webhook/:provider
+     * Webhook від платіжного провайдера
+     *
+     * Підпис перевіряється по сирому body (req.rawBody, див. app.js)
+     *
+     * @access Public (підпис провайдера замість authMiddleware)
+     */
+    handleWebhook = async (req, res, next) => {
+        try {
+            const { provider } = req.params;
+
+            logInfo('Controller: Received payment webhook', { provider });
+
+            // Викликаємо сервіс
+            const result = await this.paymentService.handleWebhook(provider, req.rawBody, req.headers);
+
+            // Формуємо відповідь (200 навіть для дублікатів - провайдер не повторює)
+            return success(res, 'Webhook прийнято', result);
+
+        } catch (error) {
+            logError('Controller: Failed to handle payment webhook', {
+                provider: req.params.provider,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
+    // ============================================
+    // PROTECTED ENDPOINTS
+    // ============================================
+
+    /**
+     * POST /api/payments/subscription
+     * Створити платіж за підписку
+     *
+     * Body:
+     * - plan (required): starter|pro
+     * - billingCycle: monthly|yearly (default: monthly)
+     *
+     * @access Private
+     */
+    createSubscriptionPayment = async (req, res, next) => {
+        try {
+            const userId = req.userId;
+
+            logInfo('Controller: Creating subscription payment', {
+                userId,
+                plan: req.body.plan
+            });
+
+            // Викликаємо сервіс
+            const result = await this.paymentService.createSubscriptionPayment(userId, req.body);
+
+            // Формуємо відповідь
+            return created(res, 'Платіж успішно створено', result);
+
+        } catch (error) {
+            logError('Controller: Failed to create subscription payment', {
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
+    /**
+     * POST /api/payments/business-creation
+     * Створити платіж за створення бізнесу
+     *
+     * Body:
+     * - businessId (required)
+     *
+     * @access Private
+     */
+    createBusinessCreationPayment = async (req, res, next) => {
+        try {
+            const userId = req.userId;
+            const { businessId } = req.body;
+
+            logInfo('Controller: Creating business creation payment', {
+                userId,
+                businessId
+            });
+
+            // Викликаємо сервіс
+            const result = await this.paymentService.createBusinessCreationPayment(userId, businessId);
+
+            // Формуємо відповідь
+            return created(res, 'Платіж успішно створено', result);
+
+        } catch (error) {
+            logError('Controller: Failed to create business creation payment', {
+                userId: req.userId,
+                businessId: req.body.businessId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
+    /**
+     * GET /api/payments
+     * Історія платежів користувача
+     *
+     * Query params:
+     * - type, status
+     * - page: Number (default: 1)
+     * - limit: Number (default: 20)
+     *
+     * @access Private
+     */
+    getPayments = async (req, res, next) => {
+        try {
+            const userId = req.userId;
+
+            logInfo('Controller: Getting payments', {
+                userId,
+                query: req.query
+            });
+
+            // Викликаємо сервіс
+            const result = await this.paymentService.getUserPayments(userId, req.query);
+
+            // Формуємо відповідь
+            return success(res, 'Платежі успішно отримано', result);
+
+        } catch (error) {
+            logError('Controller: Failed to get payments', {
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
+    /**
+     * GET /api/payments/:id
+     * Отримати платіж
+     *
+     * @access Private
+     */
+    getPaymentById = async (req, res, next) => {
+        try {
+            const { id } = req.params;
+            const userId = req.userId;
+
+            logInfo('Controller: Getting payment', { paymentId: id, userId });
+
+            // Викликаємо сервіс
+            const payment = await this.paymentService.getPaymentById(id, userId);
+
+            // Формуємо відповідь
+            return success(res, 'Платіж успішно отримано', payment);
+
+        } catch (error) {
+            logError('Controller: Failed to get payment', {
+                paymentId: req.params.id,
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
+    /**
+     * POST /api/payments/:id/simulate
+     * Симулювати подію провайдера (тільки fake провайдер, не production)
+     *
+     * Body:
+     * - event (required): succeeded|failed|refunded
+     * - failureReason
+     *
+     * @access Private
+     */
+    simulateWebhook = async (req, res, next) => {
+        try {
+            const { id } = req.params;
+            const userId = req.userId;
+
+            logInfo('Controller: Simulating payment webhook', {
+                paymentId: id,
+                userId,
+                event: req.body.event
+            });
+
+            // Викликаємо сервіс
+            const result = await this.paymentService.simulateWebhook(id, userId, req.body);
+
+            // Формуємо відповідь
+            return success(res, 'Подію платежу симульовано', result);
+
+        } catch (error) {
+            logError('Controller: Failed to simulate payment webhook', {
+                paymentId: req.params.id,
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+export default PaymentController;
@@ -4,7 +4,7 @@
  * 
  * Відповідальність:
  * - Приймає req, res
- * - Витягує дані з req.body, req.params, req.query, req.file
+ * - Витягує дані з req.body, req.params, req.query, req.files
  * - Викликає ProductService для бізнес-логіки
  * - Формує HTTP відповідь через responseFormatter
  */
@@ -35,6 +35,8 @@ class ProductController {
      * - minPrice: Number
      * - maxPrice: Number
      * - currency: UAH|EUR|USD
+     * - categoryId: Category ID
+     * - tag: String (vegan, spicy...)
      * - page: Number (default: 1)
      * - limit: Number (default: 10)
      * - sortBy: order|name|price|createdAt|updatedAt (default: 'order')
@@ -58,6 +60,8 @@ class ProductController {
                 minPrice: req.query.minPrice ? Number(req.query.minPrice) : undefined,
                 maxPrice: req.query.maxPrice ? Number(req.query.maxPrice) : undefined,
                 currency: req.query.currency,
+                categoryId: req.query.categoryId,
+                tag: req.query.tag,
                 page: req.query.page,
                 limit: req.query.limit,
                 sortBy: req.query.sortBy,
@@ -128,14 +132,16 @@ class ProductController {
      * Body:
      * - websiteId (required)
      * - name (required)
-     * - price (required)
-     * - description
+     * - price (required без variants)
+     * - description, categoryId, tags
+     * - variants: [{ name, price, isAvailable }] - ціна товару = мінімальна ціна варіанта
+     * - options: [{ name, price, isAvailable }]
      * - currency (default: 'UAH')
      * - isAvailable (default: true)
      * - order
      * 
-     * File:
-     * - image (optional, multipart/form-data)
+     * Files:
+     * - images (optional, multipart/form-data) - до PRODUCT_LIMITS.IMAGE.MAX_COUNT, перше - обкладинка
      * 
      * @access Private
      */
@@ -143,7 +149,7 @@ class ProductController {
         try {
             const userId = req.userId;
             const productData = req.body; // З validateBody
-            const file = req.file; // З uploadSingle('image')
+            const files = req.files || []; // З uploadMultiple('images')
 
             logInfo('Controller: Creating product', {
                 userId,
@@ -156,7 +162,7 @@ class ProductController {
                 productData.websiteId,
                 userId,
                 productData,
-                file
+                files
             );
 
             // Формуємо відповідь (201 Created)
@@ -179,11 +185,11 @@ class ProductController {
      * - id: Product ID
      * 
      * Body:
-     * - name, description, price, currency
+     * - name, description, price, currency, categoryId, tags
+     * - variants, options (повний список; _id - зберегти існуючий)
      * - isAvailable, order
      * 
-     * File:
-     * - image (optional, multipart/form-data)
+     * Зображення - /api/products/:id/images
      * 
      * @access Private
      */
@@ -192,7 +198,6 @@ class ProductController {
             const { id } = req.params;
             const userId = req.userId;
             const updateData = req.body; // З validateBody
-            const file = req.file; // З uploadSingle('image')
 
             logInfo('Controller: Updating product', {
                 productId: id,
@@ -204,8 +209,7 @@ class ProductController {
             const product = await this.productService.updateProduct(
                 id,
                 userId,
-                updateData,
-                file
+                updateData
             );
 
             // Формуємо відповідь
@@ -333,6 +337,281 @@ class ProductController {
             next(error);
         }
     };
+
+    // ============================================
+    // IMAGE GALLERY ENDPOINTS
+    // ============================================
+
+    /**
+     * POST /api/products/:id/images
+     * Додати зображення в галерею товару (WebP варіанти генеруються на сервері)
+     *
+     * Params:
+     * - id: Product ID
+     *
+     * Files:
+     * - images (required, multipart/form-data) - до PRODUCT_LIMITS.IMAGE.MAX_COUNT з урахуванням наявних
+     *
+     * @access Private
+     */
+    addImages = async (req, res, next) => {
+        try {
+            const { id } = req.params;
+            const userId = req.userId;
+            const files = req.files || []; // З uploadMultiple('images')
+
+            logInfo('Controller: Adding product images', {
+                productId: id,
+                userId,
+                count: files.length
+            });
+
+            const product = await this.productService.addProductImages(id, userId, files);
+
+            return created(res, 'Product images added successfully', product);
+
+        } catch (error) {
+            logError('Controller: Failed to add product images', {
+                productId: req.params.id,
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
+    /**
+     * PATCH /api/products/:id/images/order
+     * Змінити порядок галереї (перше зображення - обкладинка)
+     *
+     * Body:
+     * - imageIds (required): всі ID зображень галереї в новому порядку
+     *
+     * @access Private
+     */
+    reorderImages = async (req, res, next) => {
+        try {
+            const { id } = req.params;
+            const userId = req.userId;
+
+            logInfo('Controller: Reordering product images', {
+                productId: id,
+                userId
+            });
+
+            const product = await this.productService.reorderProductImages(id, userId, req.body.imageIds);
+
+            return success(res, 'Product images reordered successfully', product);
+
+        } catch (error) {
+            logError('Controller: Failed to reorder product images', {
+                productId: req.params.id,
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
+    /**
+     * DELETE /api/products/:id/images/:imageId
+     * Видалити зображення з галереї (разом з усіма WebP варіантами)
+     *
+     * @access Private
+     */
+    removeImage = async (req, res, next) => {
+        try {
+            const { id, imageId } = req.params;
+            const userId = req.userId;
+
+            logInfo('Controller: Removing product image', {
+                productId: id,
+                imageId,
+                userId
+            });
+
+            const product = await this.productService.removeProductImage(id, userId, imageId);
+
+            return success(res, 'Product image removed successfully', product);
+
+        } catch (error) {
+            logError('Controller: Failed to remove product image', {
+                productId: req.params.id,
+                imageId: req.params.imageId,
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
+    // ============================================
+    // CATEGORY ENDPOINTS
+    // ============================================
+
+    /**
+     * GET /api/products/categories
+     * Отримати категорії каталогу
+     *
+     * Query params:
+     * - websiteId (required)
+     *
+     * @access Private
+     */
+    getCategories = async (req, res, next) => {
+        try {
+            const userId = req.userId;
+            const { websiteId } = req.query;
+
+            logInfo('Controller: Getting product categories', {
+                userId,
+                websiteId
+            });
+
+            const result = await this.productService.getWebsiteCategories(websiteId, userId);
+
+            return success(res, 'Categories retrieved successfully', result);
+
+        } catch (error) {
+            logError('Controller: Failed to get product categories', {
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
+    /**
+     * POST /api/products/categories
+     * Створити категорію каталогу
+     *
+     * Body:
+     * - websiteId (required)
+     * - name (required)
+     * - description, order
+     *
+     * @access Private
+     */
+    createCategory = async (req, res, next) => {
+        try {
+            const userId = req.userId;
+
+            logInfo('Controller: Creating product category', {
+                userId,
+                websiteId: req.body.websiteId,
+                name: req.body.name
+            });
+
+            const category = await this.productService.createCategory(userId, req.body);
+
+            return created(res, 'Category created successfully', category);
+
+        } catch (error) {
+            logError('Controller: Failed to create product category', {
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
+    /**
+     * PATCH /api/products/categories/bulk-order
+     * Масове оновлення порядку категорій
+     *
+     * Body:
+     * - websiteId (required)
+     * - orders (required): [{ categoryId, order }, ...]
+     *
+     * @access Private
+     */
+    bulkUpdateCategoryOrder = async (req, res, next) => {
+        try {
+            const userId = req.userId;
+            const { websiteId, orders } = req.body;
+
+            logInfo('Controller: Bulk updating category order', {
+                userId,
+                websiteId,
+                count: orders.length
+            });
+
+            const result = await this.productService.bulkUpdateCategoryOrder(websiteId, userId, orders);
+
+            return success(res, 'Category order updated successfully', result);
+
+        } catch (error) {
+            logError('Controller: Failed to bulk update category order', {
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
+    /**
+     * PATCH /api/products/categories/:id
+     * Оновити категорію
+     *
+     * Body:
+     * - name, description, order
+     *
+     * @access Private
+     */
+    updateCategory = async (req, res, next) => {
+        try {
+            const { id } = req.params;
+            const userId = req.userId;
+
+            logInfo('Controller: Updating product category', {
+                categoryId: id,
+                userId,
+                fields: Object.keys(req.body)
+            });
+
+            const category = await this.productService.updateCategory(id, userId, req.body);
+
+            return success(res, 'Category updated successfully', category);
+
+        } catch (error) {
+            logError('Controller: Failed to update product category', {
+                categoryId: req.params.id,
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
+    /**
+     * DELETE /api/products/categories/:id
+     * Видалити категорію (товари лишаються без категорії)
+     *
+     * @access Private
+     */
+    deleteCategory = async (req, res, next) => {
+        try {
+            const { id } = req.params;
+            const userId = req.userId;
+
+            logInfo('Controller: Deleting product category', {
+                categoryId: id,
+                userId
+            });
+
+            await this.productService.deleteCategory(id, userId);
+
+            return noContent(res);
+
+        } catch (error) {
+            logError('Controller: Failed to delete product category', {
+                categoryId: req.params.id,
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
 }
 
 // ============================================
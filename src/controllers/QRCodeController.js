@@ -10,13 +10,20 @@
  */
 
 import QRCodeService from '../services/QRCodeService.js';
+import QRBatchService from '../services/QRBatchService.js';
 import { success, created, noContent } from '../utils/responseFormatter.js';
 import { logInfo, logError } from '../utils/logger.js';
+import { NotFoundError } from '../utils/errorHandler.js';
+import { QR_DOWNLOAD_FORMAT, QR_BATCH_STATUS } from '../config/constants.js';
+
+// Query params, з якими png генерується для друку замість збереженого image
+const PRINT_QUERY_KEYS = ['size', 'bleed', 'cropMarks', 'dpi', 'layout'];
 
 class QRCodeController {
     constructor() {
         // Dependency Injection
         this.qrcodeService = new QRCodeService();
+        this.qrBatchService = new QRBatchService();
     }
 
     // ============================================
@@ -31,6 +38,7 @@ class QRCodeController {
      * - status: active|inactive|archived
      * - businessId: MongoDB ObjectId
      * - websiteId: MongoDB ObjectId
+     * - campaignId: MongoDB ObjectId
      * - page: Number (default: 1)
      * - limit: Number (default: 10)
      * - sortBy: String (default: 'createdAt')
@@ -52,6 +60,7 @@ class QRCodeController {
                 status: req.query.status,
                 businessId: req.query.businessId,
                 websiteId: req.query.websiteId,
+                campaignId: req.query.campaignId,
                 page: req.query.page,
                 limit: req.query.limit,
                 sortBy: req.query.sortBy,
@@ -118,9 +127,12 @@ class QRCodeController {
      * Body:
      * - businessId: String (required)
      * - websiteId: String (required)
+     * - campaignId: String (optional) - кампанія того ж бізнесу
      * - name: String (required)
      * - description: String (optional)
-     * - targetUrl: String (required)
+     * - targetUrl: String (required для payloadType=url)
+     * - payloadType: String (optional) - url | vcard | wifi | sms | email | geo | event
+     * - payload: Object (required для payloadType, відмінного від url)
      * - primaryColor: String (optional) - hex color
      * - backgroundColor: String (optional) - hex color
      * 
@@ -249,7 +261,13 @@ class QRCodeController {
      * - id: QR Code ID
      * 
      * Query params:
-     * - format: png|svg (default: png)
+     * - format: png|svg|pdf|eps (default: png)
+     * - size, unit (mm|in), bleed, cropMarks - друк (png, pdf, eps)
+     * - dpi - роздільна здатність png
+     * - layout: single|sheet - sheet: аркуш A4 з копіями QR
+     * 
+     * png / svg без параметрів друку - JSON з URL збереженого image,
+     * інакше - файл (Content-Disposition: attachment)
      * 
      * @access Private
      */
@@ -265,17 +283,33 @@ class QRCodeController {
                 format
             });
 
+            const isPrintRequest = format === QR_DOWNLOAD_FORMAT.PDF ||
+                format === QR_DOWNLOAD_FORMAT.EPS ||
+                PRINT_QUERY_KEYS.some(key => req.query[key] !== undefined);
+
+            if (isPrintRequest) {
+                const file = await this.qrcodeService.exportPrintQR(id, userId, { ...req.query, format });
+                return this.sendFile(res, file);
+            }
+
             // Отримуємо QR код
             const qrcode = await this.qrcodeService.getQRCodeById(id, userId);
 
+            // SVG є тільки у QR, згенерованих після появи стилізованого рендеру
+            const downloadUrl = format === 'svg' ? qrcode.qrSvgUrl : qrcode.qrImageUrl;
+
+            if (format === 'svg' && !downloadUrl) {
+                throw new NotFoundError('SVG версію ще не згенеровано - регенеруйте QR код');
+            }
+
             // Redirect на S3 URL або повертаємо URL
-            if (qrcode.qrImageUrl) {
+            if (downloadUrl) {
                 // Можна зробити redirect
                 // return res.redirect(qrcode.qrImageUrl);
 
                 // Або повернути URL для завантаження
                 return success(res, 'QR код готовий до завантаження', {
-                    downloadUrl: qrcode.qrImageUrl,
+                    downloadUrl,
                     filename: `qr-${qrcode.shortCode}.${format}`,
                     format
                 });
@@ -328,6 +362,88 @@ class QRCodeController {
         }
     };
 
+    /**
+     * POST /api/qrcodes/print-sheet
+     * PDF аркуші A4 з наліпками декількох QR кодів
+     * 
+     * Body:
+     * - qrcodeIds: Array (required) - порядок наліпок
+     * - copies: Number (default: 1) - копій кожного QR
+     * - size, unit, bleed, cropMarks
+     * 
+     * @access Private
+     */
+    exportPrintSheet = async (req, res, next) => {
+        try {
+            const userId = req.userId;
+
+            logInfo('Controller: Exporting QR print sheet', {
+                userId,
+                count: req.body.qrcodeIds.length
+            });
+
+            const file = await this.qrcodeService.exportPrintSheet(userId, req.body);
+
+            return this.sendFile(res, file);
+
+        } catch (error) {
+            logError('Controller: Failed to export QR print sheet', {
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
+    /**
+     * Відправити згенерований файл як attachment
+     * 
+     * @param {Object} res - Express response
+     * @param {Object} file - { buffer, contentType, filename }
+     */
+    sendFile = (res, file) => {
+        res.attachment(file.filename);
+        res.type(file.contentType);
+        res.set('Cache-Control', 'private, no-store');
+
+        return res.send(file.buffer);
+    };
+
+    /**
+     * POST /api/qrcodes/migrate-images
+     * Перегенерувати images старих "статичних" QR кодів так, щоб вони кодували shortUrl
+     * 
+     * Query params:
+     * - dryRun: Boolean (default: false) - тільки звіт без змін
+     * 
+     * @access Private
+     */
+    migrateQRImages = async (req, res, next) => {
+        try {
+            const userId = req.userId;
+            const dryRun = req.query.dryRun === true || req.query.dryRun === 'true';
+
+            logInfo('Controller: Migrating QR images', { userId, dryRun });
+
+            // Викликаємо сервіс
+            const report = await this.qrcodeService.migrateQRImages(userId, { dryRun });
+
+            // Формуємо відповідь
+            return success(
+                res,
+                dryRun ? 'Звіт міграції QR images сформовано' : 'Міграцію QR images завершено',
+                report
+            );
+
+        } catch (error) {
+            logError('Controller: Failed to migrate QR images', {
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
     /**
      * PATCH /api/qrcodes/:id/toggle
      * Перемкнути статус QR коду (active <-> inactive)
@@ -476,6 +592,193 @@ class QRCodeController {
         }
     };
 
+    // ============================================
+    // ІСТОРІЯ ЗМІН
+    // ============================================
+
+    /**
+     * GET /api/qrcodes/:id/history
+     * Отримати історію ревізій QR коду
+     *
+     * Query params:
+     * - page: Number (default: 1)
+     * - limit: Number (default: 20)
+     *
+     * @access Private
+     */
+    getQRCodeHistory = async (req, res, next) => {
+        try {
+            const { id } = req.params;
+            const userId = req.userId;
+
+            logInfo('Controller: Getting QR code history', {
+                qrcodeId: id,
+                userId
+            });
+
+            const history = await this.qrcodeService.getQRCodeHistory(id, userId, {
+                page: req.query.page,
+                limit: req.query.limit
+            });
+
+            return success(res, 'Історія QR коду отримана', history);
+
+        } catch (error) {
+            logError('Controller: Failed to get QR code history', {
+                qrcodeId: req.params.id,
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
+    /**
+     * POST /api/qrcodes/:id/rollback/:revision
+     * Відкотити QR код до ревізії
+     *
+     * Params:
+     * - id: QR Code ID
+     * - revision: Number - номер ревізії з історії
+     *
+     * @access Private
+     */
+    rollbackQRCode = async (req, res, next) => {
+        try {
+            const { id, revision } = req.params;
+            const userId = req.userId;
+
+            logInfo('Controller: Rolling back QR code', {
+                qrcodeId: id,
+                userId,
+                revision
+            });
+
+            const qrcode = await this.qrcodeService.rollbackQRCode(id, userId, revision);
+
+            return success(res, `QR код відкочено до ревізії ${revision}`, qrcode);
+
+        } catch (error) {
+            logError('Controller: Failed to roll back QR code', {
+                qrcodeId: req.params.id,
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
+    // ============================================
+    // BATCH (CSV)
+    // ============================================
+
+    /**
+     * POST /api/qrcodes/batch
+     * Пакетне створення QR кодів з CSV
+     * 
+     * Form-data:
+     * - file: CSV (name, targetUrl, description, primaryColor, backgroundColor, shortCode)
+     * - businessId, websiteId
+     * 
+     * 201 - файл оброблено в запиті, 202 - job обробляється у фоні
+     * 
+     * @access Private
+     */
+    createBatch = async (req, res, next) => {
+        try {
+            const userId = req.userId;
+
+            logInfo('Controller: Creating QR batch', {
+                userId,
+                websiteId: req.body.websiteId,
+                fileName: req.file?.originalname
+            });
+
+            const job = await this.qrBatchService.createBatchJob(userId, req.body, req.file);
+
+            if (job.status === QR_BATCH_STATUS.PENDING) {
+                return success(res, 'CSV прийнято - QR коди створюються у фоні', job, 202);
+            }
+
+            return created(res, 'Пакетне створення QR кодів завершено', job);
+
+        } catch (error) {
+            logError('Controller: Failed to create QR batch', {
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
+    /**
+     * GET /api/qrcodes/batch/:id
+     * Статус, прогрес та звіт batch job
+     * 
+     * Params:
+     * - id: Batch job ID
+     * 
+     * @access Private
+     */
+    getBatchJob = async (req, res, next) => {
+        try {
+            const { id } = req.params;
+            const userId = req.userId;
+
+            logInfo('Controller: Getting QR batch job', { jobId: id, userId });
+
+            const job = await this.qrBatchService.getBatchJob(id, userId);
+
+            return success(res, 'Batch job отримано', job);
+
+        } catch (error) {
+            logError('Controller: Failed to get QR batch job', {
+                jobId: req.params.id,
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
+    /**
+     * GET /api/qrcodes/batch/:id/download
+     * ZIP архів завершеного job: images, manifest.csv, errors.csv
+     * 
+     * Params:
+     * - id: Batch job ID
+     * 
+     * @access Private
+     */
+    downloadBatchArchive = async (req, res, next) => {
+        try {
+            const { id } = req.params;
+            const userId = req.userId;
+
+            logInfo('Controller: Downloading QR batch archive', { jobId: id, userId });
+
+            const { archive, filename } = await this.qrBatchService.createBatchArchive(id, userId);
+
+            res.attachment(filename);
+            res.type('application/zip');
+            res.set('Cache-Control', 'private, no-store');
+
+            // Заголовки вже відправлено - помилка тільки обриває з'єднання
+            archive.on('error', () => res.destroy());
+            res.on('close', () => archive.destroy());
+
+            archive.pipe(res);
+
+        } catch (error) {
+            logError('Controller: Failed to download QR batch archive', {
+                jobId: req.params.id,
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
     // ============================================
     // BULK OPERATIONS (для майбутнього)
     // ============================================
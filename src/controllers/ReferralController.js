@@ -0,0 +1,53 @@
+/**
+ * ReferralController
+ * HTTP обробка запитів реферальної програми
+ *
+ * Відповідальність:
+ * - Приймає req, res
+ * - Викликає ReferralService для бізнес-логіки
+ * - Формує HTTP відповідь через responseFormatter
+ */
+
+import ReferralService from '../services/ReferralService.js';
+import { success } from '../utils/responseFormatter.js';
+import { logInfo, logError } from '../utils/logger.js';
+
+class ReferralController {
+    constructor() {
+        // Dependency Injection
+        this.referralService = new ReferralService();
+    }
+
+    /**
+     * GET /api/referrals
+     * Реферальний код, поточна знижка та статус кожного запрошеного
+     *
+     * @access Private
+     */
+    getReferrals = async (req, res, next) => {
+        try {
+            const userId = req.userId;
+
+            logInfo('Controller: Getting referrals', { userId });
+
+            // Викликаємо сервіс
+            const overview = await this.referralService.getReferralOverview(userId);
+
+            // Формуємо відповідь
+            return success(res, 'Реферальну програму успішно отримано', overview);
+
+        } catch (error) {
+            logError('Controller: Failed to get referrals', {
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+export default ReferralController;
@@ -0,0 +1,264 @@
+/**
+ * RequestController
+ * HTTP обробка запитів для заявок (contact / order)
+ *
+ * Відповідальність:
+ * - Приймає req, res
+ * - Витягує дані з req.body, req.params, req.query
+ * - Викликає RequestService для бізнес-логіки
+ * - Формує HTTP відповідь через responseFormatter
+ */
+
+import RequestService from '../services/RequestService.js';
+import { success, created, noContent } from '../utils/responseFormatter.js';
+import { logInfo, logError } from '../utils/logger.js';
+
+class RequestController {
+    constructor() {
+        // Dependency Injection
+        this.requestService = new RequestService();
+    }
+
+    // ============================================
+    // PUBLIC ENDPOINTS
+    // ============================================
+
+    /**
+     * POST /api/public/requests
+     * Відправити заявку з публічного сайту
+     *
+     * Body:
+     * - websiteSlug (required)
+     * - type (required): contact|order
+     * - customerName, customerPhone (required)
+     * - customerEmail, message
+     * - items: [{ productId, variantId, optionIds, quantity }] (required для order)
+     * - qrCodeId (якщо відвідувач прийшов через QR)
+     *
+     * @access Public (NO authMiddleware)
+     */
+    createPublicRequest = async (req, res, next) => {
+        try {
+            logInfo('Controller: Creating public request (PUBLIC)', {
+                websiteSlug: req.body.websiteSlug,
+                type: req.body.type
+            });
+
+            // Викликаємо сервіс
+            const request = await this.requestService.createPublicRequest(req.body, {
+                referrer: req.get('referer') || req.get('referrer') || null
+            });
+
+            // Формуємо відповідь (201 Created)
+            return created(res, 'Заявку успішно відправлено', request);
+
+        } catch (error) {
+            logError('Controller: Failed to create public request', {
+                websiteSlug: req.body?.websiteSlug,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
+    // ============================================
+    // PROTECTED ENDPOINTS
+    // ============================================
+
+    /**
+     * GET /api/requests
+     * Отримати всі заявки користувача
+     *
+     * Query params:
+     * - businessId, websiteId: MongoDB ObjectId
+     * - type: contact|order
+     * - status: new|in_progress|completed|cancelled
+     * - dateFrom, dateTo: ISO Date
+     * - search: пошук по імені/телефону/email клієнта
+     * - page: Number (default: 1)
+     * - limit: Number (default: 20)
+     * - sortBy: String (default: 'createdAt')
+     * - sortOrder: asc|desc (default: 'desc')
+     *
+     * @access Private
+     */
+    getAllRequests = async (req, res, next) => {
+        try {
+            const userId = req.userId;
+
+            logInfo('Controller: Getting all requests', {
+                userId,
+                query: req.query
+            });
+
+            // Викликаємо сервіс
+            const result = await this.requestService.getUserRequests(userId, req.query);
+
+            // Формуємо відповідь
+            return success(res, 'Заявки успішно отримано', result);
+
+        } catch (error) {
+            logError('Controller: Failed to get requests', {
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
+    /**
+     * GET /api/requests/business/:businessId
+     * Отримати заявки конкретного бізнесу
+     *
+     * Params:
+     * - businessId: Business ID
+     *
+     * Query params: як у GET /api/requests
+     *
+     * @access Private
+     */
+    getBusinessRequests = async (req, res, next) => {
+        try {
+            const { businessId } = req.params;
+            const userId = req.userId;
+
+            logInfo('Controller: Getting business requests', {
+                businessId,
+                userId
+            });
+
+            // Викликаємо сервіс
+            const result = await this.requestService.getBusinessRequests(
+                businessId,
+                userId,
+                req.query
+            );
+
+            // Формуємо відповідь
+            return success(res, 'Заявки бізнесу успішно отримано', result);
+
+        } catch (error) {
+            logError('Controller: Failed to get business requests', {
+                businessId: req.params.businessId,
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
+    /**
+     * GET /api/requests/:id
+     * Отримати одну заявку по ID
+     *
+     * Params:
+     * - id: Request ID
+     *
+     * @access Private
+     */
+    getRequestById = async (req, res, next) => {
+        try {
+            const { id } = req.params;
+            const userId = req.userId;
+
+            logInfo('Controller: Getting request by ID', {
+                requestId: id,
+                userId
+            });
+
+            // Викликаємо сервіс
+            const request = await this.requestService.getRequestById(id, userId);
+
+            // Формуємо відповідь
+            return success(res, 'Заявку успішно отримано', request);
+
+        } catch (error) {
+            logError('Controller: Failed to get request', {
+                requestId: req.params.id,
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
+    /**
+     * PATCH /api/requests/:id
+     * Оновити статус заявки
+     *
+     * Params:
+     * - id: Request ID
+     *
+     * Body:
+     * - status (required): new|in_progress|completed|cancelled
+     *
+     * @access Private
+     */
+    updateRequest = async (req, res, next) => {
+        try {
+            const { id } = req.params;
+            const userId = req.userId;
+
+            logInfo('Controller: Updating request status', {
+                requestId: id,
+                userId,
+                status: req.body.status
+            });
+
+            // Викликаємо сервіс
+            const request = await this.requestService.updateRequestStatus(id, userId, req.body);
+
+            // Формуємо відповідь
+            return success(res, 'Статус заявки успішно оновлено', request);
+
+        } catch (error) {
+            logError('Controller: Failed to update request', {
+                requestId: req.params.id,
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
+    /**
+     * DELETE /api/requests/:id
+     * Видалити заявку (soft delete)
+     *
+     * Params:
+     * - id: Request ID
+     *
+     * @access Private
+     */
+    deleteRequest = async (req, res, next) => {
+        try {
+            const { id } = req.params;
+            const userId = req.userId;
+
+            logInfo('Controller: Deleting request', {
+                requestId: id,
+                userId
+            });
+
+            // Викликаємо сервіс
+            await this.requestService.deleteRequest(id, userId);
+
+            // Формуємо відповідь (204 No Content)
+            return noContent(res);
+
+        } catch (error) {
+            logError('Controller: Failed to delete request', {
+                requestId: req.params.id,
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+export default RequestController;
@@ -7,12 +7,22 @@
  * - Витягує shortCode з req.params
  * - Викликає ScanService для обробки
  * - Робить redirect на targetUrl
+ * - Прострочений QR: redirect на expiredUrl або сторінка помилки
+ * - Захищений QR: форма пароля / PIN, redirect після правильного введення
+ * - vCard / подія: завантаження .vcf / .ics, точка на карті: redirect на карти
  * 
  * ВАЖЛИВО: Це PUBLIC endpoint без authMiddleware!
  */
 
 import ScanService from '../services/ScanService.js';
 import { logInfo, logError, logWarn } from '../utils/logger.js';
+import {
+    NotFoundError,
+    GoneError,
+    UnauthorizedError,
+    TooManyRequestsError
+} from '../utils/errorHandler.js';
+import { QR_ACCESS_TYPE, QR_ACCESS, QR_PAYLOAD_TYPE } from '../config/constants.js';
 
 class ScanController {
     constructor() {
@@ -26,11 +36,15 @@ class ScanController {
 
     /**
      * GET /s/:shortCode
+     * POST /s/:shortCode (форма пароля / PIN захищеного QR)
      * Публічний endpoint для сканування QR та redirect
      * 
      * Params:
      * - shortCode: Короткий код QR (abc123)
      * 
+     * Body (POST, form-urlencoded):
+     * - secret: Пароль або PIN
+     * 
      * @access Public (без authMiddleware!)
      */
     scanAndRedirect = async (req, res, next) => {
@@ -53,7 +67,7 @@ class ScanController {
             const scanData = this.scanService.extractScanDataFromRequest(req);
 
             // Rate limiting перевірка (опціонально)
-            const isAllowed = await this.scanService.isRateLimitAllowed(
+            const isAllowed = this.scanService.isRateLimitAllowed(
                 scanData.ip,
                 shortCode
             );
@@ -66,19 +80,77 @@ class ScanController {
                 return this.renderErrorPage(res, 'Занадто багато запитів. Спробуйте пізніше.');
             }
 
-            // Обробка скану через Service
-            const result = await this.scanService.processScan(shortCode, scanData);
+            // Пароль / PIN тільки з POST форми (GET захищеного QR - показати форму)
+            const accessSecret = req.method === 'POST'
+                ? String(req.body?.secret ?? '')
+                : undefined;
+
+            // Обробка скану через Service (запис скану - асинхронно з черги)
+            const result = await this.scanService.processScan(shortCode, scanData, { accessSecret });
+
+            // Після POST форми - 303, щоб браузер відкрив destination через GET
+            const redirectStatus = req.method === 'POST' ? 303 : 302;
+
+            // vCard / подія - файл, точка на карті - redirect на карти
+            if (result.payloadType !== QR_PAYLOAD_TYPE.URL) {
+                const { redirectUrl, file } = await this.scanService.buildPayloadResponse(result);
+
+                logInfo('QR scan processed, serving payload', {
+                    shortCode,
+                    payloadType: result.payloadType,
+                    isQueued: result.scan.isQueued
+                });
+
+                if (redirectUrl) {
+                    return res.redirect(redirectStatus, redirectUrl);
+                }
+
+                res.attachment(file.filename);
+                res.set('Cache-Control', 'no-store');
+                return res.type(file.contentType).send(file.content);
+            }
 
             logInfo('QR scan processed, redirecting', {
                 shortCode,
                 targetUrl: result.targetUrl,
-                isUnique: result.scan.isUnique
+                isQueued: result.scan.isQueued,
+                isBot: result.scan.isBot
             });
 
-            // Redirect 302 (Temporary) на targetUrl
-            return res.redirect(302, result.targetUrl);
+            // Redirect 302 (Temporary) на targetUrl з attribution токеном
+            return res.redirect(redirectStatus, this.scanService.buildRedirectUrl(result));
 
         } catch (error) {
+            // Захищений QR: форма (повторно - з помилкою)
+            if (error instanceof UnauthorizedError && error.details?.accessType) {
+                return this.renderAccessForm(res, {
+                    accessType: error.details.accessType,
+                    error: error.details.isInvalid ? error.message : null
+                });
+            }
+
+            if (error instanceof TooManyRequestsError) {
+                return this.renderAccessForm(res, {
+                    accessType: null,
+                    error: error.message,
+                    statusCode: 429
+                });
+            }
+
+            // Прострочений QR: landing власника або сторінка помилки
+            if (error instanceof GoneError) {
+                const landingUrl = error.details?.landingUrl;
+
+                logInfo('Expired QR code scanned', {
+                    shortCode: req.params.shortCode,
+                    landingUrl
+                });
+
+                return landingUrl
+                    ? res.redirect(302, landingUrl)
+                    : this.renderErrorPage(res, error.message, 410);
+            }
+
             logError('Failed to process QR scan', {
                 shortCode: req.params.shortCode,
                 error: error.message
@@ -86,7 +158,11 @@ class ScanController {
 
             // Не викидаємо next(error), щоб не показувати технічні деталі
             // Замість цього показуємо user-friendly повідомлення
-            return this.renderErrorPage(res, 'QR код не знайдено або неактивний');
+            const message = error instanceof NotFoundError
+                ? error.message
+                : 'QR код не знайдено або неактивний';
+
+            return this.renderErrorPage(res, message);
         }
     };
 
@@ -113,19 +189,49 @@ class ScanController {
             // Обробка скану
             const result = await this.scanService.processScan(shortCode, scanData);
 
+            // Не-URL QR: вміст (vCard вже з даними бізнесу) замість targetUrl
+            const content = result.payloadType !== QR_PAYLOAD_TYPE.URL
+                ? await this.scanService.buildPayloadResponse(result)
+                : null;
+
             // Повертаємо JSON з інформацією (для SPA frontend)
             return res.status(200).json({
                 success: true,
                 message: 'QR код відскановано',
                 data: {
                     qrCode: result.qrCode,
-                    targetUrl: result.targetUrl,
+                    payloadType: result.payloadType,
+                    payload: content ? content.payload : null,
+                    targetUrl: content
+                        ? content.redirectUrl || null
+                        : this.scanService.buildRedirectUrl(result),
                     scan: result.scan,
                     redirectIn: 3 // секунд
                 }
             });
 
         } catch (error) {
+            // Захищений QR: preview не розкриває targetUrl
+            if (error instanceof UnauthorizedError && error.details?.accessType) {
+                return res.status(401).json({
+                    success: false,
+                    message: error.message,
+                    data: {
+                        accessType: error.details.accessType
+                    }
+                });
+            }
+
+            if (error instanceof GoneError) {
+                return res.status(410).json({
+                    success: false,
+                    message: error.message,
+                    data: {
+                        landingUrl: error.details?.landingUrl || null
+                    }
+                });
+            }
+
             logError('Failed to show scan preview', {
                 shortCode: req.params.shortCode,
                 error: error.message
@@ -147,8 +253,9 @@ class ScanController {
      * 
      * @param {Object} res - Express response
      * @param {String} message - Повідомлення для користувача
+     * @param {Number} statusCode - HTTP статус (404 / 410)
      */
-    renderErrorPage(res, message) {
+    renderErrorPage(res, message, statusCode = 404) {
         const html = `
             <!DOCTYPE html>
             <html lang="uk">
@@ -246,7 +353,166 @@ class ScanController {
             </html>
         `;
 
-        return res.status(404).send(html);
+        return res.status(statusCode).send(html);
+    }
+
+    // ============================================
+    // ACCESS FORM (пароль / PIN)
+    // ============================================
+
+    /**
+     * Рендерить форму пароля / PIN захищеного QR коду
+     * Форма відправляє POST на той самий URL (/s/:shortCode)
+     * 
+     * @param {Object} res - Express response
+     * @param {Object} options - { accessType, error, statusCode }
+     * @param {String|null} options.accessType - password | pin (null - форма недоступна, ліміт спроб)
+     * @param {String|null} options.error - Повідомлення про невірне значення
+     * @param {Number} options.statusCode - HTTP статус (401 / 429)
+     */
+    renderAccessForm(res, { accessType, error = null, statusCode = 401 }) {
+        const isPin = accessType === QR_ACCESS_TYPE.PIN;
+        const label = isPin ? 'PIN' : 'пароль';
+
+        const input = isPin
+            ? `<input type="password" name="secret" inputmode="numeric" pattern="[0-9]*"
+                       minlength="${QR_ACCESS.PIN_MIN_LENGTH}" maxlength="${QR_ACCESS.PIN_MAX_LENGTH}"
+                       autocomplete="off" placeholder="••••" required autofocus>`
+            : `<input type="password" name="secret" maxlength="${QR_ACCESS.PASSWORD_MAX_LENGTH}"
+                       autocomplete="current-password" placeholder="Пароль" required autofocus>`;
+
+        const form = accessType
+            ? `<form method="POST" action="">
+                    ${input}
+                    <button type="submit" class="button">Відкрити</button>
+                </form>`
+            : '';
+
+        const html = `
+            <!DOCTYPE html>
+            <html lang="uk">
+            <head>
+                <meta charset="UTF-8">
+                <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                <meta name="robots" content="noindex">
+                <title>Захищений QR код - QRHub</title>
+                <style>
+                    * {
+                        margin: 0;
+                        padding: 0;
+                        box-sizing: border-box;
+                    }
+                    body {
+                        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+                        background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+                        min-height: 100vh;
+                        display: flex;
+                        align-items: center;
+                        justify-content: center;
+                        padding: 20px;
+                    }
+                    .container {
+                        background: white;
+                        border-radius: 16px;
+                        box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
+                        padding: 48px;
+                        max-width: 500px;
+                        width: 100%;
+                        text-align: center;
+                    }
+                    .icon {
+                        width: 80px;
+                        height: 80px;
+                        background: #E0E7FF;
+                        border-radius: 50%;
+                        display: flex;
+                        align-items: center;
+                        justify-content: center;
+                        margin: 0 auto 24px;
+                        font-size: 40px;
+                    }
+                    h1 {
+                        color: #1F2937;
+                        font-size: 24px;
+                        margin-bottom: 12px;
+                        font-weight: 600;
+                    }
+                    p {
+                        color: #6B7280;
+                        font-size: 16px;
+                        line-height: 1.5;
+                        margin-bottom: 24px;
+                    }
+                    .error {
+                        color: #DC2626;
+                        font-size: 14px;
+                        margin-bottom: 16px;
+                    }
+                    input {
+                        width: 100%;
+                        padding: 14px 16px;
+                        border: 1px solid #D1D5DB;
+                        border-radius: 8px;
+                        font-size: 18px;
+                        text-align: center;
+                        margin-bottom: 16px;
+                    }
+                    input:focus {
+                        outline: none;
+                        border-color: #667eea;
+                    }
+                    .button {
+                        display: inline-block;
+                        width: 100%;
+                        border: none;
+                        cursor: pointer;
+                        background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+                        color: white;
+                        padding: 14px 32px;
+                        border-radius: 8px;
+                        font-size: 16px;
+                        font-weight: 500;
+                    }
+                    .footer {
+                        margin-top: 32px;
+                        color: #9CA3AF;
+                        font-size: 14px;
+                    }
+                    @media (max-width: 600px) {
+                        .container {
+                            padding: 32px 24px;
+                        }
+                        h1 {
+                            font-size: 20px;
+                        }
+                    }
+                </style>
+            </head>
+            <body>
+                <div class="container">
+                    <div class="icon">🔒</div>
+                    <h1>Захищений QR код</h1>
+                    <p>${accessType ? `Введіть ${label}, щоб продовжити` : 'Доступ тимчасово обмежено'}</p>
+                    ${error ? `<div class="error">${error}</div>` : ''}
+                    ${form}
+                    <div class="footer">
+                        QRHub.online - QR коди для вашого бізнесу
+                    </div>
+                </div>
+            </body>
+            </html>
+        `;
+
+        // Після правильного введення - redirect на зовнішній targetUrl;
+        // form-action 'self' з helmet заблокував би його в браузері
+        res.set(
+            'Content-Security-Policy',
+            "default-src 'self'; style-src 'self' 'unsafe-inline'; form-action 'self' http: https:"
+        );
+        // Пароль / PIN не кешується проміжними проксі
+        res.set('Cache-Control', 'no-store');
+
+        return res.status(statusCode).send(html);
     }
 
     // ============================================
@@ -360,6 +626,7 @@ class ScanController {
         return res.status(200).json({
             success: true,
             message: 'Scan service is healthy',
+            queue: await this.scanService.getQueueStats(),
             timestamp: new Date().toISOString()
         });
     };
@@ -0,0 +1,129 @@
+/**
+ * SubscriptionController
+ * HTTP обробка запитів для підписок та тарифних планів
+ *
+ * Відповідальність:
+ * - Приймає req, res
+ * - Викликає SubscriptionService для бізнес-логіки
+ * - Формує HTTP відповідь через responseFormatter
+ */
+
+import SubscriptionService from '../services/SubscriptionService.js';
+import { success, created } from '../utils/responseFormatter.js';
+import { logInfo, logError } from '../utils/logger.js';
+
+class SubscriptionController {
+    constructor() {
+        // Dependency Injection
+        this.subscriptionService = new SubscriptionService();
+    }
+
+    /**
+     * GET /api/subscriptions/plans
+     * Список тарифних планів з лімітами
+     *
+     * @access Public
+     */
+    getPlans = async (req, res, next) => {
+        try {
+            logInfo('Controller: Getting subscription plans');
+
+            const plans = this.subscriptionService.getPlans();
+
+            return success(res, 'Тарифні плани успішно отримано', plans);
+
+        } catch (error) {
+            logError('Controller: Failed to get subscription plans', {
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
+    /**
+     * GET /api/subscriptions/current
+     * Ефективний план користувача та використання лімітів
+     *
+     * @access Private
+     */
+    getCurrentSubscription = async (req, res, next) => {
+        try {
+            const userId = req.userId;
+
+            logInfo('Controller: Getting current subscription', { userId });
+
+            // Викликаємо сервіс
+            const subscription = await this.subscriptionService.getCurrentSubscription(userId);
+
+            // Формуємо відповідь
+            return success(res, 'Підписку успішно отримано', subscription);
+
+        } catch (error) {
+            logError('Controller: Failed to get current subscription', {
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
+    /**
+     * POST /api/subscriptions/trial
+     * Почати пробний період
+     *
+     * @access Private
+     */
+    startTrial = async (req, res, next) => {
+        try {
+            const userId = req.userId;
+
+            logInfo('Controller: Starting trial', { userId });
+
+            // Викликаємо сервіс
+            const subscription = await this.subscriptionService.startTrial(userId);
+
+            // Формуємо відповідь
+            return created(res, 'Пробний період успішно активовано', subscription);
+
+        } catch (error) {
+            logError('Controller: Failed to start trial', {
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
+    /**
+     * POST /api/subscriptions/cancel
+     * Скасувати підписку (діє до кінця оплаченого періоду)
+     *
+     * @access Private
+     */
+    cancelSubscription = async (req, res, next) => {
+        try {
+            const userId = req.userId;
+
+            logInfo('Controller: Cancelling subscription', { userId });
+
+            // Викликаємо сервіс
+            const subscription = await this.subscriptionService.cancelSubscription(userId);
+
+            // Формуємо відповідь
+            return success(res, 'Підписку успішно скасовано', subscription);
+
+        } catch (error) {
+            logError('Controller: Failed to cancel subscription', {
+                userId: req.userId,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+export default SubscriptionController;
@@ -10,8 +10,9 @@
  */
 
 import WebsiteService from '../services/WebsiteService.js';
-import { success, created, noContent } from '../utils/responseFormatter.js';
+import { success, cached, created, noContent } from '../utils/responseFormatter.js';
 import { logInfo, logError } from '../utils/logger.js';
+import { PUBLIC_CACHE } from '../config/constants.js';
 
 class WebsiteController {
     constructor() {
@@ -300,7 +301,7 @@ class WebsiteController {
     // ============================================
 
     /**
-     * GET /api/public/websites/:slug
+     * GET /api/websites/slug/:slug
      * Отримати website по slug (публічний доступ)
      * 
      * Params:
@@ -315,7 +316,8 @@ class WebsiteController {
             logInfo('Controller: Getting website by slug (PUBLIC)', { slug });
 
             // Викликаємо сервіс
-            const website = await this.websiteService.getWebsiteBySlug(slug);
+            const visitData = this.websiteService.extractVisitDataFromRequest(req);
+            const website = await this.websiteService.getWebsiteBySlug(slug, visitData);
 
             // Формуємо відповідь
             return success(res, 'Website retrieved successfully', website);
@@ -328,6 +330,109 @@ class WebsiteController {
             next(error);
         }
     };
+
+    /**
+     * GET /api/public/websites/:slug
+     * Публічний сайт для SSR: website + business + перша сторінка каталогу
+     *
+     * Query params:
+     * - category: slug категорії, tag: мітка - фільтри каталогу
+     * - page, limit: пагінація каталогу (товари згруповані по категоріях)
+     *
+     * Відповідь кешується (ETag + Cache-Control), перегляд - POST .../views
+     *
+     * @access Public (NO authMiddleware)
+     */
+    getPublicWebsite = async (req, res, next) => {
+        try {
+            const { slug } = req.params; // З validateParams
+
+            logInfo('Controller: Getting public website', { slug, query: req.query });
+
+            // Викликаємо сервіс
+            const result = await this.websiteService.getPublicWebsite(slug, req.query);
+
+            // Формуємо відповідь з HTTP кешуванням
+            return cached(res, 'Website retrieved successfully', result, {
+                maxAge: PUBLIC_CACHE.MAX_AGE_SECONDS,
+                staleWhileRevalidate: PUBLIC_CACHE.STALE_WHILE_REVALIDATE_SECONDS
+            });
+
+        } catch (error) {
+            logError('Controller: Failed to get public website', {
+                slug: req.params.slug,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
+    /**
+     * POST /api/public/websites/:slug/views
+     * View beacon: браузер відвідувача повідомляє про перегляд сайту
+     *
+     * Body:
+     * - qrh: attribution токен з URL сайту (redirect після QR скану)
+     * - referrer: document.referrer
+     *
+     * Не кешується (no-store), щоб кожен перегляд доходив до сервера
+     *
+     * @access Public (NO authMiddleware)
+     */
+    recordPublicView = async (req, res, next) => {
+        try {
+            const { slug } = req.params; // З validateParams
+
+            const visitData = this.websiteService.extractBeaconVisitData(req);
+            await this.websiteService.recordPublicView(slug, visitData);
+
+            res.set('Cache-Control', 'no-store');
+            return noContent(res);
+
+        } catch (error) {
+            logError('Controller: Failed to record public website view', {
+                slug: req.params.slug,
+                error: error.message
+            });
+            next(error);
+        }
+    };
+
+    /**
+     * GET /api/public/websites/:slug/products
+     * Товари публічного каталогу, згруповані по категоріях
+     *
+     * Query params:
+     * - category: slug категорії, tag: мітка - фільтри каталогу
+     * - page, limit: пагінація
+     *
+     * Відповідь кешується (ETag + Cache-Control)
+     *
+     * @access Public (NO authMiddleware)
+     */
+    getPublicWebsiteProducts = async (req, res, next) => {
+        try {
+            const { slug } = req.params; // З validateParams
+
+            logInfo('Controller: Getting public website products', { slug, query: req.query });
+
+            // Викликаємо сервіс
+            const result = await this.websiteService.getPublicWebsiteProducts(slug, req.query);
+
+            // Формуємо відповідь з HTTP кешуванням
+            return cached(res, 'Products retrieved successfully', result, {
+                maxAge: PUBLIC_CACHE.MAX_AGE_SECONDS,
+                staleWhileRevalidate: PUBLIC_CACHE.STALE_WHILE_REVALIDATE_SECONDS
+            });
+
+        } catch (error) {
+            logError('Controller: Failed to get public website products', {
+                slug: req.params.slug,
+                error: error.message
+            });
+            next(error);
+        }
+    };
 }
 
 // ============================================
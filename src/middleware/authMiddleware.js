@@ -1,16 +1,34 @@
 /**
  * Auth Middleware
  * Перевірка JWT токену та авторизація користувача
+ *
+ * Access token містить sid сесії - токени відкликаних сесій
+ * (logout, logout-all, reuse detection) відхиляються до закінчення терміну дії.
  */
 
 import jwt from 'jsonwebtoken';
 import { UnauthorizedError } from '../utils/errorHandler.js';
 import { logWarn } from '../utils/logger.js';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+
+/**
+ * Чи сесія access token ще активна
+ * @param {Object} decoded - Payload JWT
+ * @returns {Promise<Boolean>}
+ */
+const isSessionActive = async (decoded) => {
+    if (!decoded.sid) {
+        return false;
+    }
+
+    const session = await Session.findActiveById(decoded.sid).select('_id').lean();
+    return Boolean(session);
+};
 
 /**
  * Middleware для перевірки JWT токену
- * Додає req.userId для наступних middleware/controllers
+ * Додає req.userId та req.sessionId для наступних middleware/controllers
  */
 const authMiddleware = async (req, res, next) => {
     try {
@@ -46,7 +64,16 @@ const authMiddleware = async (req, res, next) => {
             throw error;
         }
 
-        // 4. Перевіряємо чи існує користувач
+        // 4. Перевіряємо чи сесію не відкликано
+        if (!(await isSessionActive(decoded))) {
+            logWarn('Token for revoked session', {
+                userId: decoded.userId,
+                sessionId: decoded.sid
+            });
+            throw new UnauthorizedError('Сесію завершено. Будь ласка, увійдіть знову.');
+        }
+
+        // 5. Перевіряємо чи існує користувач
         const user = await User.findById(decoded.userId);
 
         if (!user) {
@@ -56,7 +83,7 @@ const authMiddleware = async (req, res, next) => {
             throw new UnauthorizedError('Користувача не знайдено');
         }
 
-        // 5. Перевіряємо чи активний користувач
+        // 6. Перевіряємо чи активний користувач
         if (!user.isActive) {
             logWarn('Token for inactive user', {
                 userId: user._id,
@@ -65,8 +92,9 @@ const authMiddleware = async (req, res, next) => {
             throw new UnauthorizedError('Акаунт деактивовано');
         }
 
-        // 6. Додаємо userId до request
+        // 7. Додаємо userId до request
         req.userId = decoded.userId;
+        req.sessionId = decoded.sid;
         req.user = user; // Додаємо весь об'єкт user для зручності
 
         next();
@@ -95,10 +123,16 @@ export const optionalAuthMiddleware = async (req, res, next) => {
         }
 
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        if (!(await isSessionActive(decoded))) {
+            return next();
+        }
+
         const user = await User.findById(decoded.userId);
 
         if (user && user.isActive) {
             req.userId = decoded.userId;
+            req.sessionId = decoded.sid;
             req.user = user;
         }
 
@@ -11,6 +11,25 @@ import {
     isOperationalError
 } from '../utils/errorHandler.js';
 
+/**
+ * Додаткові поля помилки для клієнта (code, details, errors)
+ */
+const getErrorExtras = (err) => {
+    const extras = {};
+
+    if (err.code && typeof err.code === 'string') {
+        extras.code = err.code;
+    }
+    if (err.details) {
+        extras.details = err.details;
+    }
+    if (err.errors) {
+        extras.errors = err.errors;
+    }
+
+    return extras;
+};
+
 /**
  * Обробник помилок для development середовища
  */
@@ -24,6 +43,7 @@ const sendErrorDev = (err, res) => {
     res.status(err.statusCode).json({
         success: false,
         message: err.message,
+        ...getErrorExtras(err),
         error: err,
         stack: err.stack
     });
@@ -42,7 +62,8 @@ const sendErrorProd = (err, res) => {
 
         res.status(err.statusCode).json({
             success: false,
-            message: err.message
+            message: err.message,
+            ...getErrorExtras(err)
         });
     }
     // Програмні помилки - приховуємо деталі
@@ -69,32 +90,34 @@ const errorMiddleware = (err, req, res, next) => {
     err.status = err.status || 'error';
 
     // Обробка різних типів помилок
-    let error = { ...err };
-    error.message = err.message;
-
-    // Mongoose помилки
-    if (err.name === 'CastError' ||
-        err.name === 'ValidationError' ||
-        err.code === 11000) {
-        error = handleMongooseError(err);
-    }
+    // AppError передаємо як є (копія { ...err } втрачає instanceof AppError)
+    let error = err;
 
-    // JWT помилки
-    if (err.name === 'JsonWebTokenError' ||
-        err.name === 'TokenExpiredError') {
-        error = handleJWTError(err);
-    }
+    if (!(err instanceof AppError)) {
+        // Mongoose помилки
+        if (err.name === 'CastError' ||
+            (err.name === 'ValidationError' && !err.isJoi) ||
+            err.code === 11000) {
+            error = handleMongooseError(err);
+        }
+
+        // JWT помилки
+        if (err.name === 'JsonWebTokenError' ||
+            err.name === 'TokenExpiredError') {
+            error = handleJWTError(err);
+        }
 
-    // Joi validation помилки
-    if (err.name === 'ValidationError' && err.isJoi) {
-        error = new AppError(
-            'Помилка валідації',
-            422
-        );
-        error.errors = err.details.map(detail => ({
-            field: detail.path.join('.'),
-            message: detail.message
-        }));
+        // Joi validation помилки
+        if (err.name === 'ValidationError' && err.isJoi) {
+            error = new AppError(
+                'Помилка валідації',
+                422
+            );
+            error.errors = err.details.map(detail => ({
+                field: detail.path.join('.'),
+                message: detail.message
+            }));
+        }
     }
 
     // Відправляємо відповідь залежно від середовища
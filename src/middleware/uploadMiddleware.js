@@ -7,7 +7,7 @@
  */
 
 import multer from 'multer';
-import { BUSINESS_FILE_TYPES } from '../config/constants.js';
+import { BUSINESS_FILE_TYPES, QR_FILE_TYPES } from '../config/constants.js';
 import { logWarn, logError } from '../utils/logger.js';
 import { BadRequestError } from '../utils/errorHandler.js';
 
@@ -54,6 +54,26 @@ const fileFilter = (req, file, cb) => {
     }
 };
 
+/**
+ * Фільтр для CSV (пакетне створення QR кодів)
+ * MIME type CSV залежить від ОС / браузера, тому перевіряємо і розширення
+ */
+const csvFileFilter = (req, file, cb) => {
+    const { ALLOWED_TYPES, EXTENSION } = QR_FILE_TYPES.BATCH_CSV;
+    const hasCsvExtension = file.originalname.toLowerCase().endsWith(EXTENSION);
+
+    if (ALLOWED_TYPES.includes(file.mimetype) && hasCsvExtension) {
+        cb(null, true);
+    } else {
+        logWarn('Invalid CSV file uploaded', {
+            mimetype: file.mimetype,
+            originalname: file.originalname
+        });
+
+        cb(new BadRequestError('Invalid file type. Only .csv files are allowed'), false);
+    }
+};
+
 // ============================================
 // MULTER CONFIGURATION
 // ============================================
@@ -70,6 +90,18 @@ const upload = multer({
     }
 });
 
+/**
+ * Конфігурація для CSV (текстові поля form-data: businessId, websiteId)
+ */
+const csvUpload = multer({
+    storage: storage,
+    fileFilter: csvFileFilter,
+    limits: {
+        fileSize: QR_FILE_TYPES.BATCH_CSV.MAX_SIZE,
+        files: 1
+    }
+});
+
 // ============================================
 // UPLOAD MIDDLEWARE FUNCTIONS
 // ============================================
@@ -233,6 +265,58 @@ export const uploadFields = (fields) => {
     };
 };
 
+/**
+ * Middleware для завантаження одного CSV файлу
+ * 
+ * @param {String} fieldName - Назва поля в form-data
+ * @returns {Function} - Express middleware
+ * 
+ * @example
+ * router.post('/qrcodes/batch', uploadCSV('file'), controller.createBatch);
+ */
+export const uploadCSV = (fieldName) => {
+    return (req, res, next) => {
+        const uploadMiddleware = csvUpload.single(fieldName);
+
+        uploadMiddleware(req, res, (err) => {
+            if (err instanceof multer.MulterError) {
+                logError('Multer error (csv)', {
+                    error: err.message,
+                    code: err.code,
+                    field: err.field
+                });
+
+                if (err.code === 'LIMIT_FILE_SIZE') {
+                    const maxSizeMB = (QR_FILE_TYPES.BATCH_CSV.MAX_SIZE / (1024 * 1024)).toFixed(2);
+                    return next(
+                        new BadRequestError(
+                            `File size too large. Maximum size: ${maxSizeMB}MB`
+                        )
+                    );
+                }
+
+                if (err.code === 'LIMIT_FILE_COUNT') {
+                    return next(
+                        new BadRequestError('Too many files. Maximum 1 file allowed')
+                    );
+                }
+
+                if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+                    return next(
+                        new BadRequestError(`Unexpected field: ${err.field}`)
+                    );
+                }
+
+                return next(new BadRequestError(`Upload error: ${err.message}`));
+            } else if (err) {
+                return next(err);
+            }
+
+            next();
+        });
+    };
+};
+
 // ============================================
 // DEFAULT EXPORT
 // ============================================
@@ -240,5 +324,6 @@ export const uploadFields = (fields) => {
 export default {
     uploadSingle,
     uploadMultiple,
-    uploadFields
+    uploadFields,
+    uploadCSV
 };
\ No newline at end of file
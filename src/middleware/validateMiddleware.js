@@ -45,8 +45,16 @@ const validateMiddleware = (schema, source = 'body') => {
         }
 
         // Замінюємо оригінальні дані на валідовані (з правильними типами)
-        // Для query та params використовуємо Object.assign, бо вони read-only
-        if (source === 'query' || source === 'params') {
+        // В Express 5 req.query - getter, який парсить query string при кожному
+        // зверненні, тому перевизначаємо його на рівні request
+        if (source === 'query') {
+            Object.defineProperty(req, 'query', {
+                value,
+                writable: true,
+                configurable: true,
+                enumerable: true
+            });
+        } else if (source === 'params') {
             // Очищаємо старі значення
             Object.keys(req[source]).forEach(key => {
                 delete req[source][key];
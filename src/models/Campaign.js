@@ -0,0 +1,174 @@
+/**
+ * Campaign Model
+ * Mongoose схема для маркетингових кампаній бізнесу
+ *
+ * Кампанія групує QR коди одного бізнесу (QRCode.campaignId):
+ * - utm - параметри, що додаються до destination при redirect
+ *   (utm_source / utm_medium / utm_campaign / utm_term / utm_content)
+ *   і копіюються в QRScan для аналітики
+ * - overrideExisting - перезаписувати utm_*, що вже є в URL QR коду
+ *
+ * Аналітика кампанії (скани, унікальні, перегляди, заявки) рахується
+ * по campaignId у QRScan / WebsiteView / Request.
+ */
+
+import mongoose from 'mongoose';
+import { logSuccess, logInfo, logError } from '../utils/logger.js';
+import { CAMPAIGN_LIMITS, CAMPAIGN_UTM } from '../config/constants.js';
+
+const { Schema } = mongoose;
+
+const UTM_VALUE = {
+    type: String,
+    trim: true,
+    maxLength: [CAMPAIGN_UTM.VALUE_MAX_LENGTH, `UTM параметр має містити максимум ${CAMPAIGN_UTM.VALUE_MAX_LENGTH} символів`],
+    default: null
+};
+
+const campaignUTMSchema = new Schema(
+    {
+        source: { ...UTM_VALUE, default: CAMPAIGN_UTM.DEFAULT_SOURCE },
+        medium: { ...UTM_VALUE, default: CAMPAIGN_UTM.DEFAULT_MEDIUM },
+        // За замовчуванням - slug назви кампанії (CampaignService)
+        campaign: UTM_VALUE,
+        term: UTM_VALUE,
+        content: UTM_VALUE
+    },
+    { _id: false }
+);
+
+const campaignSchema = new Schema(
+    {
+        // ============================================
+        // ЗВ'ЯЗКИ
+        // ============================================
+
+        businessId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Business',
+            required: [true, 'Business ID є обов\'язковим'],
+            immutable: true,
+            index: true
+        },
+
+        // ============================================
+        // ОСНОВНА ІНФОРМАЦІЯ
+        // ============================================
+
+        name: {
+            type: String,
+            required: [true, 'Назва кампанії є обов\'язковою'],
+            trim: true,
+            minLength: [CAMPAIGN_LIMITS.NAME.MIN_LENGTH, `Назва має містити мінімум ${CAMPAIGN_LIMITS.NAME.MIN_LENGTH} символи`],
+            maxLength: [CAMPAIGN_LIMITS.NAME.MAX_LENGTH, `Назва має містити максимум ${CAMPAIGN_LIMITS.NAME.MAX_LENGTH} символів`]
+        },
+
+        description: {
+            type: String,
+            trim: true,
+            maxLength: [CAMPAIGN_LIMITS.DESCRIPTION.MAX_LENGTH, `Опис має містити максимум ${CAMPAIGN_LIMITS.DESCRIPTION.MAX_LENGTH} символів`],
+            default: ''
+        },
+
+        // ============================================
+        // UTM
+        // ============================================
+
+        utm: {
+            type: campaignUTMSchema,
+            default: () => ({})
+        },
+
+        // false - utm_*, задані вручну в targetUrl / правилі / варіанті, лишаються
+        overrideExisting: {
+            type: Boolean,
+            default: false
+        },
+
+        // ============================================
+        // SOFT DELETE
+        // ============================================
+
+        isActive: {
+            type: Boolean,
+            default: true,
+            index: true
+        },
+
+        deletedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    {
+        timestamps: true,
+        toJSON: { virtuals: true },
+        toObject: { virtuals: true }
+    }
+);
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+/**
+ * Знайти активні кампанії бізнесу
+ */
+campaignSchema.statics.findByBusinessId = function (businessId) {
+    return this.find({
+        businessId,
+        isActive: true
+    }).sort({ createdAt: -1 });
+};
+
+// ============================================
+// MIDDLEWARE HOOKS
+// ============================================
+
+// Pre-save: логування створення
+campaignSchema.pre('save', function (next) {
+    if (this.isNew) {
+        logInfo('Creating new campaign', {
+            businessId: this.businessId,
+            name: this.name
+        });
+    }
+    next();
+});
+
+// Post-save: логування успіху
+campaignSchema.post('save', function (doc, next) {
+    logSuccess('Campaign saved', {
+        campaignId: doc._id,
+        name: doc.name
+    });
+    next();
+});
+
+// Post-save error: обробка помилок
+campaignSchema.post('save', function (error, doc, next) {
+    if (error.name === 'ValidationError') {
+        logError('Campaign validation error', {
+            errors: Object.keys(error.errors)
+        });
+    } else {
+        logError('Error saving campaign', {
+            message: error.message
+        });
+    }
+    next(error);
+});
+
+// ============================================
+// INDEXES
+// ============================================
+
+campaignSchema.index({ businessId: 1, isActive: 1, createdAt: -1 });
+
+// ============================================
+// EXPORT MODEL
+// ============================================
+
+const Campaign = mongoose.model('Campaign', campaignSchema);
+
+export default Campaign;
@@ -0,0 +1,324 @@
+/**
+ * Payment Model
+ * Mongoose схема для журналу платежів (ledger)
+ *
+ * Типи платежів:
+ * - subscription: оплата періоду підписки (plan + billingCycle)
+ * - business_creation: разова оплата створення бізнесу
+ * - domain, custom_development: для майбутнього
+ *
+ * Статус змінюється тільки через webhook провайдера:
+ * pending → succeeded | failed, failed → succeeded, succeeded → refunded
+ */
+
+import mongoose from 'mongoose';
+import { logSuccess, logInfo, logError } from '../utils/logger.js';
+import {
+    PAYMENT_TYPE,
+    PAYMENT_STATUS,
+    PAYMENT_PROVIDER,
+    PAYMENT_EVENT,
+    SUBSCRIPTION_PLAN,
+    BILLING_CYCLE,
+    CURRENCY
+} from '../config/constants.js';
+
+const { Schema } = mongoose;
+
+// ============================================
+// WEBHOOK EVENT SUB-SCHEMA
+// ============================================
+
+// Оброблені події провайдера (аудит + ідемпотентність)
+const paymentEventSchema = new Schema(
+    {
+        eventId: {
+            type: String,
+            required: true
+        },
+
+        type: {
+            type: String,
+            enum: Object.values(PAYMENT_EVENT),
+            required: true
+        },
+
+        receivedAt: {
+            type: Date,
+            default: Date.now
+        }
+    },
+    { _id: false }
+);
+
+const paymentSchema = new Schema(
+    {
+        // ============================================
+        // ЗВ'ЯЗКИ
+        // ============================================
+
+        userId: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User ID є обов\'язковим'],
+            index: true
+        },
+
+        // Підписка, яку створила/продовжила оплата
+        subscriptionId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Subscription',
+            default: null
+        },
+
+        // Бізнес для оплати створення
+        businessId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Business',
+            default: null
+        },
+
+        // ============================================
+        // ТИП ТА СУМА
+        // ============================================
+
+        type: {
+            type: String,
+            enum: {
+                values: Object.values(PAYMENT_TYPE),
+                message: 'Невідомий тип платежу'
+            },
+            required: [true, 'Тип платежу є обов\'язковим']
+        },
+
+        amount: {
+            type: Number,
+            required: [true, 'Сума є обов\'язковою'],
+            min: [0, 'Сума не може бути від\'ємною']
+        },
+
+        currency: {
+            type: String,
+            enum: Object.values(CURRENCY),
+            default: CURRENCY.EUR
+        },
+
+        // Реферальна знижка у відсотках (вже врахована в amount)
+        discount: {
+            type: Number,
+            min: 0,
+            max: 100,
+            default: 0
+        },
+
+        // Для subscription платежів - що саме оплачено
+        plan: {
+            type: String,
+            enum: [...Object.values(SUBSCRIPTION_PLAN), null],
+            default: null
+        },
+
+        billingCycle: {
+            type: String,
+            enum: [...Object.values(BILLING_CYCLE), null],
+            default: null
+        },
+
+        // ============================================
+        // СТАТУС
+        // ============================================
+
+        status: {
+            type: String,
+            enum: {
+                values: Object.values(PAYMENT_STATUS),
+                message: 'Невідомий статус платежу'
+            },
+            default: PAYMENT_STATUS.PENDING,
+            index: true
+        },
+
+        paidAt: {
+            type: Date,
+            default: null
+        },
+
+        failedAt: {
+            type: Date,
+            default: null
+        },
+
+        refundedAt: {
+            type: Date,
+            default: null
+        },
+
+        failureReason: {
+            type: String,
+            default: null
+        },
+
+        // Коли застосовано наслідки останньої зміни статусу
+        // (null = webhook змінив статус, але наслідки ще не застосовано)
+        fulfilledAt: {
+            type: Date,
+            default: null
+        },
+
+        // Наслідки застосовує той, хто атомарно виставив це поле (паралельні / повторні webhook)
+        // Скидається разом зі зміною статусу; старше FULFILLMENT_CLAIM_TTL_MS - можна перехопити
+        fulfillmentClaimedAt: {
+            type: Date,
+            default: null
+        },
+
+        // ============================================
+        // ПЛАТІЖНА СИСТЕМА
+        // ============================================
+
+        provider: {
+            type: String,
+            enum: {
+                values: Object.values(PAYMENT_PROVIDER),
+                message: 'Невідомий платіжний провайдер'
+            },
+            required: [true, 'Провайдер є обов\'язковим']
+        },
+
+        providerPaymentId: {
+            type: String,
+            default: null
+        },
+
+        checkoutUrl: {
+            type: String,
+            default: null
+        },
+
+        events: {
+            type: [paymentEventSchema],
+            default: []
+        },
+
+        // ============================================
+        // ДЕТАЛІ
+        // ============================================
+
+        description: {
+            type: String,
+            trim: true,
+            default: ''
+        },
+
+        receiptUrl: {
+            type: String,
+            default: null
+        }
+    },
+    {
+        timestamps: true,
+        toJSON: { virtuals: true },
+        toObject: { virtuals: true }
+    }
+);
+
+// ============================================
+// VIRTUALS
+// ============================================
+
+/**
+ * Чи платіж успішний
+ */
+paymentSchema.virtual('isPaid').get(function () {
+    return this.status === PAYMENT_STATUS.SUCCEEDED;
+});
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+/**
+ * Знайти платіж по ID транзакції провайдера
+ */
+paymentSchema.statics.findByProviderPaymentId = function (provider, providerPaymentId) {
+    return this.findOne({ provider, providerPaymentId });
+};
+
+/**
+ * Знайти платежі користувача
+ */
+paymentSchema.statics.findByUser = function (userId, options = {}) {
+    const query = { userId };
+
+    if (options.type) {
+        query.type = options.type;
+    }
+    if (options.status) {
+        query.status = options.status;
+    }
+
+    return this.find(query).sort({ createdAt: -1 });
+};
+
+// ============================================
+// MIDDLEWARE HOOKS
+// ============================================
+
+// Pre-save: логування створення
+paymentSchema.pre('save', function (next) {
+    if (this.isNew) {
+        logInfo('Creating new payment', {
+            userId: this.userId,
+            type: this.type,
+            amount: this.amount,
+            currency: this.currency,
+            provider: this.provider
+        });
+    }
+    next();
+});
+
+// Post-save: логування успіху
+paymentSchema.post('save', function (doc, next) {
+    const action = doc.wasNew ? 'created' : 'updated';
+    logSuccess(`Payment ${action}`, {
+        paymentId: doc._id,
+        type: doc.type,
+        status: doc.status
+    });
+    next();
+});
+
+// Post-save error: обробка помилок
+paymentSchema.post('save', function (error, doc, next) {
+    if (error.name === 'ValidationError') {
+        logError('Payment validation error', {
+            errors: Object.keys(error.errors)
+        });
+    } else {
+        logError('Error saving payment', {
+            message: error.message
+        });
+    }
+    next(error);
+});
+
+// ============================================
+// INDEXES
+// ============================================
+
+// Ідемпотентність webhook: один платіж на транзакцію провайдера
+paymentSchema.index(
+    { provider: 1, providerPaymentId: 1 },
+    { unique: true, partialFilterExpression: { providerPaymentId: { $type: 'string' } } }
+);
+paymentSchema.index({ userId: 1, createdAt: -1 });
+paymentSchema.index({ businessId: 1, type: 1 });
+
+// ============================================
+// EXPORT MODEL
+// ============================================
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+export default Payment;
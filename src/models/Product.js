@@ -3,13 +3,111 @@
  * Mongoose схема для товарів каталогу
  * 
  * Використовується тільки для Website type='catalog'
+ *
+ * - categoryId - категорія каталогу (ProductCategory), order - порядок всередині категорії
+ * - variants - варіанти (розмір, вага) з власною ціною; price товару - мінімальна ціна варіанта
+ * - options - додаткові опції, ціна додається до ціни товару / варіанта
+ * - tags - мітки (vegan, spicy) для фільтра на публічному сайті
+ * - images - галерея (WebP варіанти thumbnail / medium / large), image - обкладинка
+ *   (PRODUCT_IMAGE.PRIMARY_VARIANT першого зображення галереї, синхронізує ProductService)
  */
 
 import mongoose from 'mongoose';
 import { logSuccess, logInfo, logError } from '../utils/logger.js';
+import { PRODUCT_LIMITS, PRODUCT_IMAGE } from '../config/constants.js';
 
 const { Schema } = mongoose;
 
+// Округлення ціни до 2 знаків
+const roundPrice = (val) => Math.round(val * 100) / 100;
+
+// ============================================
+// VARIANT / OPTION SUB-SCHEMAS
+// ============================================
+
+// Варіант товару (_id - для позиції замовлення)
+const productVariantSchema = new Schema(
+    {
+        name: {
+            type: String,
+            required: [true, 'Назва варіанта є обов\'язковою'],
+            trim: true,
+            maxLength: [
+                PRODUCT_LIMITS.VARIANT.NAME_MAX_LENGTH,
+                `Назва варіанта має містити максимум ${PRODUCT_LIMITS.VARIANT.NAME_MAX_LENGTH} символів`
+            ]
+        },
+
+        price: {
+            type: Number,
+            required: [true, 'Ціна варіанта є обов\'язковою'],
+            min: [0, 'Ціна не може бути від\'ємною'],
+            set: roundPrice
+        },
+
+        isAvailable: {
+            type: Boolean,
+            default: true
+        }
+    }
+);
+
+// Додаткова опція (_id - для позиції замовлення)
+const productOptionSchema = new Schema(
+    {
+        name: {
+            type: String,
+            required: [true, 'Назва опції є обов\'язковою'],
+            trim: true,
+            maxLength: [
+                PRODUCT_LIMITS.OPTION.NAME_MAX_LENGTH,
+                `Назва опції має містити максимум ${PRODUCT_LIMITS.OPTION.NAME_MAX_LENGTH} символів`
+            ]
+        },
+
+        price: {
+            type: Number,
+            default: 0,
+            min: [0, 'Ціна не може бути від\'ємною'],
+            set: roundPrice
+        },
+
+        isAvailable: {
+            type: Boolean,
+            default: true
+        }
+    }
+);
+
+// ============================================
+// IMAGE SUB-SCHEMAS
+// ============================================
+
+// Один WebP варіант зображення
+const imageVariantSchema = new Schema(
+    {
+        url: { type: String, required: true },
+        width: { type: Number, required: true },
+        height: { type: Number, required: true }
+    },
+    { _id: false }
+);
+
+// Зображення галереї (_id - для видалення / сортування)
+const productImageSchema = new Schema(
+    {
+        // Варіанти PRODUCT_IMAGE.VARIANTS
+        thumbnail: { type: imageVariantSchema, required: true },
+        medium: { type: imageVariantSchema, required: true },
+        large: { type: imageVariantSchema, required: true },
+
+        // Розміри завантаженого оригіналу (з урахуванням EXIF орієнтації)
+        width: { type: Number, required: true },
+        height: { type: Number, required: true }
+    },
+    { timestamps: { createdAt: true, updatedAt: false } }
+);
+
 const productSchema = new Schema(
     {
         // ============================================
@@ -43,15 +141,32 @@ const productSchema = new Schema(
             default: ''
         },
 
+        // Категорія каталогу (null - без категорії, в кінці каталогу)
+        categoryId: {
+            type: Schema.Types.ObjectId,
+            ref: 'ProductCategory',
+            default: null
+        },
+
+        tags: {
+            type: [String],
+            default: [],
+            validate: {
+                validator: (tags) => tags.length <= PRODUCT_LIMITS.TAG.MAX_COUNT,
+                message: `Максимум ${PRODUCT_LIMITS.TAG.MAX_COUNT} міток`
+            }
+        },
+
         // ============================================
         // ЦІНА
         // ============================================
 
+        // З варіантами - мінімальна ціна варіанта (ProductService)
         price: {
             type: Number,
             required: [true, 'Ціна товару є обов\'язковою'],
             min: [0, 'Ціна не може бути від\'ємною'],
-            set: (val) => Math.round(val * 100) / 100 // Округлення до 2 знаків
+            set: roundPrice
         },
 
         currency: {
@@ -64,16 +179,50 @@ const productSchema = new Schema(
             uppercase: true
         },
 
+        // ============================================
+        // ВАРІАНТИ ТА ОПЦІЇ
+        // ============================================
+
+        variants: {
+            type: [productVariantSchema],
+            default: [],
+            validate: {
+                validator: (variants) => variants.length <= PRODUCT_LIMITS.VARIANT.MAX_COUNT,
+                message: `Максимум ${PRODUCT_LIMITS.VARIANT.MAX_COUNT} варіантів`
+            }
+        },
+
+        options: {
+            type: [productOptionSchema],
+            default: [],
+            validate: {
+                validator: (options) => options.length <= PRODUCT_LIMITS.OPTION.MAX_COUNT,
+                message: `Максимум ${PRODUCT_LIMITS.OPTION.MAX_COUNT} опцій`
+            }
+        },
+
         // ============================================
         // ЗОБРАЖЕННЯ
         // ============================================
 
+        // Обкладинка: URL варіанта PRODUCT_IMAGE.PRIMARY_VARIANT першого зображення
+        // (у старих товарів - файл, завантажений до галереї)
         image: {
             type: String,
             default: null,
             trim: true
         },
 
+        // Порядок галереї = порядок масиву
+        images: {
+            type: [productImageSchema],
+            default: [],
+            validate: {
+                validator: (images) => images.length <= PRODUCT_LIMITS.IMAGE.MAX_COUNT,
+                message: `Максимум ${PRODUCT_LIMITS.IMAGE.MAX_COUNT} зображень`
+            }
+        },
+
         // ============================================
         // СТАТУС ТА ПОРЯДОК
         // ============================================
@@ -118,7 +267,7 @@ const productSchema = new Schema(
  * Приклад: "85.00 UAH"
  */
 productSchema.virtual('formattedPrice').get(function () {
-    return `${this.price.toFixed(2)} ${this.currency}`;
+    return Product.formatPrice(this.price, this.currency);
 });
 
 // ============================================
@@ -134,6 +283,12 @@ productSchema.index({ websiteId: 1, isAvailable: 1 });
 // Складений індекс для сортування по ціні
 productSchema.index({ websiteId: 1, price: 1 });
 
+// Складений індекс для фільтрації каталогу по категорії
+productSchema.index({ websiteId: 1, categoryId: 1, order: 1 });
+
+// Фільтр каталогу по мітці
+productSchema.index({ websiteId: 1, tags: 1 });
+
 // ============================================
 // INSTANCE METHODS
 // ============================================
@@ -174,6 +329,33 @@ productSchema.statics.findByWebsiteId = function (websiteId, options = {}) {
         .select(options.select || '-__v');
 };
 
+/**
+ * Форматована ціна з валютою (для lean документів та aggregate)
+ * Приклад: "85.00 UAH"
+ */
+productSchema.statics.formatPrice = function (price, currency) {
+    return `${price.toFixed(2)} ${currency}`;
+};
+
+/**
+ * URL всіх файлів зображень товару в S3 (варіанти галереї + обкладинка)
+ * Для очищення S3 при видаленні товару
+ */
+productSchema.statics.getImageUrls = function (product) {
+    const urls = (product.images || []).flatMap(image =>
+        Object.keys(PRODUCT_IMAGE.VARIANTS)
+            .map(name => image[name] && image[name].url)
+            .filter(Boolean)
+    );
+
+    // Обкладинка - варіант галереї, або окремий файл старого товару
+    if (product.image) {
+        urls.push(product.image);
+    }
+
+    return [...new Set(urls)];
+};
+
 /**
  * Підрахувати кількість товарів сайту
  */
@@ -0,0 +1,181 @@
+/**
+ * ProductCategory Model
+ * Mongoose схема для категорій каталогу
+ *
+ * Використовується тільки для Website type='catalog'
+ * Категорії мають власний порядок (order), товари - порядок всередині категорії.
+ * Товар без категорії (categoryId = null) показується в кінці каталогу.
+ */
+
+import mongoose from 'mongoose';
+import { logSuccess, logInfo, logError } from '../utils/logger.js';
+import { PRODUCT_LIMITS } from '../config/constants.js';
+
+const { Schema } = mongoose;
+
+const productCategorySchema = new Schema(
+    {
+        // ============================================
+        // ЗВ'ЯЗОК З WEBSITE
+        // ============================================
+
+        websiteId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Website',
+            required: [true, 'Website ID є обов\'язковим'],
+            immutable: true
+        },
+
+        // ============================================
+        // ОСНОВНА ІНФОРМАЦІЯ
+        // ============================================
+
+        name: {
+            type: String,
+            required: [true, 'Назва категорії є обов\'язковою'],
+            trim: true,
+            maxLength: [
+                PRODUCT_LIMITS.CATEGORY.MAX_LENGTH,
+                `Назва категорії має містити максимум ${PRODUCT_LIMITS.CATEGORY.MAX_LENGTH} символів`
+            ]
+        },
+
+        // Фільтр публічного каталогу (?category=slug), унікальний в межах сайту
+        slug: {
+            type: String,
+            required: [true, 'Slug категорії є обов\'язковим'],
+            trim: true,
+            lowercase: true,
+            maxLength: PRODUCT_LIMITS.CATEGORY.SLUG_MAX_LENGTH
+        },
+
+        description: {
+            type: String,
+            trim: true,
+            maxLength: [
+                PRODUCT_LIMITS.CATEGORY.DESCRIPTION_MAX_LENGTH,
+                `Опис категорії має містити максимум ${PRODUCT_LIMITS.CATEGORY.DESCRIPTION_MAX_LENGTH} символів`
+            ],
+            default: ''
+        },
+
+        // ============================================
+        // ПОРЯДОК
+        // ============================================
+
+        order: {
+            type: Number,
+            default: 0,
+            min: [0, 'Порядок не може бути від\'ємним']
+        }
+    },
+    {
+        // ============================================
+        // SCHEMA OPTIONS
+        // ============================================
+
+        timestamps: true, // createdAt, updatedAt
+
+        toJSON: {
+            transform: function (doc, ret) {
+                delete ret.__v;
+                return ret;
+            }
+        }
+    }
+);
+
+// ============================================
+// INDEXES
+// ============================================
+
+// Категорії сайту в порядку відображення
+productCategorySchema.index({ websiteId: 1, order: 1 });
+
+// Унікальний slug в межах сайту
+productCategorySchema.index({ websiteId: 1, slug: 1 }, { unique: true });
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+/**
+ * Знайти категорії сайту в порядку відображення
+ */
+productCategorySchema.statics.findByWebsiteId = function (websiteId) {
+    return this.find({ websiteId })
+        .sort({ order: 1, _id: 1 })
+        .select('-__v');
+};
+
+/**
+ * Перевірити чи зайнятий slug на сайті
+ */
+productCategorySchema.statics.isSlugTaken = async function (websiteId, slug, excludeId = null) {
+    const query = { websiteId, slug };
+
+    if (excludeId) {
+        query._id = { $ne: excludeId };
+    }
+
+    return Boolean(await this.exists(query));
+};
+
+/**
+ * Отримати максимальний order для сайту
+ */
+productCategorySchema.statics.getMaxOrder = async function (websiteId) {
+    const result = await this.findOne({ websiteId })
+        .sort({ order: -1 })
+        .select('order')
+        .lean();
+
+    return result ? result.order : 0;
+};
+
+// ============================================
+// MIDDLEWARE HOOKS
+// ============================================
+
+// Pre-save: логування створення
+productCategorySchema.pre('save', function (next) {
+    if (this.isNew) {
+        logInfo('Creating new product category', {
+            websiteId: this.websiteId,
+            name: this.name
+        });
+    }
+    next();
+});
+
+// Post-save: логування успіху
+productCategorySchema.post('save', function (doc, next) {
+    logSuccess('Product category saved', {
+        categoryId: doc._id,
+        name: doc.name,
+        websiteId: doc.websiteId
+    });
+    next();
+});
+
+// Post-save error: обробка помилок
+productCategorySchema.post('save', function (error, doc, next) {
+    if (error.name === 'ValidationError') {
+        logError('Product category validation error', {
+            errors: Object.keys(error.errors)
+        });
+    } else {
+        logError('Error saving product category', {
+            message: error.message
+        });
+    }
+    next(error);
+});
+
+// ============================================
+// EXPORT MODEL
+// ============================================
+
+const ProductCategory = mongoose.model('ProductCategory', productCategorySchema);
+
+export default ProductCategory;
@@ -0,0 +1,276 @@
+/**
+ * QRBatchJob Model
+ * Mongoose схема для пакетного створення QR кодів з CSV
+ *
+ * Job зберігає:
+ * - Рядки CSV, що пройшли валідацію (rows) - їх обробляє QRBatchService
+ * - Звіт валідації (validationErrors) та помилки створення (results зі status failed)
+ * - Створені QR коди (results) - з них формується ZIP архів з images та manifest.csv
+ *
+ * Прогрес (processedRows) оновлюється після кожного рядка, тому після
+ * падіння інстансу job продовжується з наступного необробленого рядка.
+ * Звіт видаляється через QR_BATCH.RETENTION_DAYS, створені QR коди лишаються.
+ */
+
+import mongoose from 'mongoose';
+import { logSuccess, logInfo, logError } from '../utils/logger.js';
+import { QR_BATCH_STATUS, QR_BATCH } from '../config/constants.js';
+
+const { Schema } = mongoose;
+
+// Рядок CSV після валідації (значення колонок QR_BATCH.COLUMNS)
+const batchRowSchema = new Schema(
+    {
+        line: { type: Number, required: true },
+        data: { type: Schema.Types.Mixed, required: true }
+    },
+    { _id: false }
+);
+
+// Помилка валідації рядка CSV
+const validationErrorSchema = new Schema(
+    {
+        line: { type: Number, required: true },
+        field: { type: String, default: null },
+        message: { type: String, required: true }
+    },
+    { _id: false }
+);
+
+// Результат обробки рядка
+const batchResultSchema = new Schema(
+    {
+        line: { type: Number, required: true },
+        status: {
+            type: String,
+            enum: ['created', 'failed'],
+            required: true
+        },
+        name: { type: String, default: null },
+        qrCodeId: {
+            type: Schema.Types.ObjectId,
+            ref: 'QRCode',
+            default: null
+        },
+        shortCode: { type: String, default: null },
+        shortUrl: { type: String, default: null },
+        error: { type: String, default: null }
+    },
+    { _id: false }
+);
+
+const qrBatchJobSchema = new Schema(
+    {
+        // ============================================
+        // ЗВ'ЯЗКИ
+        // ============================================
+
+        userId: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User ID є обов\'язковим'],
+            immutable: true
+        },
+
+        businessId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Business',
+            required: [true, 'Business ID є обов\'язковим'],
+            immutable: true
+        },
+
+        websiteId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Website',
+            required: [true, 'Website ID є обов\'язковим'],
+            immutable: true
+        },
+
+        // ============================================
+        // ВХІДНИЙ ФАЙЛ
+        // ============================================
+
+        fileName: {
+            type: String,
+            default: null
+        },
+
+        totalRows: {
+            type: Number,
+            default: 0
+        },
+
+        // Колонки CSV, яких немає в QR_BATCH.COLUMNS (проігноровані)
+        ignoredColumns: {
+            type: [String],
+            default: []
+        },
+
+        // Валідні рядки в черзі на створення (не віддаються в API)
+        rows: {
+            type: [batchRowSchema],
+            default: [],
+            select: false
+        },
+
+        validationErrors: {
+            type: [validationErrorSchema],
+            default: []
+        },
+
+        // Рядків з помилками валідації (validationErrors обрізається до MAX_REPORTED_ERRORS)
+        invalidRows: {
+            type: Number,
+            default: 0
+        },
+
+        // ============================================
+        // ОБРОБКА
+        // ============================================
+
+        status: {
+            type: String,
+            enum: Object.values(QR_BATCH_STATUS),
+            default: QR_BATCH_STATUS.PENDING
+        },
+
+        processedRows: {
+            type: Number,
+            default: 0
+        },
+
+        createdCount: {
+            type: Number,
+            default: 0
+        },
+
+        failedCount: {
+            type: Number,
+            default: 0
+        },
+
+        results: {
+            type: [batchResultSchema],
+            default: []
+        },
+
+        // Причина статусу failed
+        error: {
+            type: String,
+            default: null
+        },
+
+        startedAt: {
+            type: Date,
+            default: null
+        },
+
+        // Оновлюється після кожного рядка; застарілий - job підхоплює інший інстанс
+        heartbeatAt: {
+            type: Date,
+            default: null
+        },
+
+        completedAt: {
+            type: Date,
+            default: null
+        },
+
+        expiresAt: {
+            type: Date,
+            default: () => new Date(Date.now() + QR_BATCH.RETENTION_DAYS * 24 * 60 * 60 * 1000)
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+/**
+ * Захопити наступний job для обробки (атомарно - один інстанс на job)
+ * pending або processing без heartbeat (інстанс впав посеред обробки)
+ *
+ * @param {Date} now - Поточний момент
+ * @returns {Promise<Object|null>} - Job з rows або null
+ */
+qrBatchJobSchema.statics.claimNext = function (now = new Date()) {
+    const staleBefore = new Date(now.getTime() - QR_BATCH.STALE_AFTER_MS);
+
+    return this.findOneAndUpdate(
+        {
+            $or: [
+                { status: QR_BATCH_STATUS.PENDING },
+                { status: QR_BATCH_STATUS.PROCESSING, heartbeatAt: { $lt: staleBefore } }
+            ]
+        },
+        // Pipeline update: startedAt лишається від першого захоплення
+        [{
+            $set: {
+                status: QR_BATCH_STATUS.PROCESSING,
+                heartbeatAt: now,
+                startedAt: { $ifNull: ['$startedAt', now] }
+            }
+        }],
+        { new: true, sort: { createdAt: 1 } }
+    ).select('+rows');
+};
+
+// ============================================
+// MIDDLEWARE HOOKS
+// ============================================
+
+// Pre-save: логування створення
+qrBatchJobSchema.pre('save', function (next) {
+    if (this.isNew) {
+        logInfo('Creating new QR batch job', {
+            userId: this.userId,
+            totalRows: this.totalRows
+        });
+    }
+    next();
+});
+
+// Post-save: логування успіху
+qrBatchJobSchema.post('save', function (doc, next) {
+    logSuccess('QR batch job saved', {
+        jobId: doc._id,
+        status: doc.status
+    });
+    next();
+});
+
+// Post-save error: обробка помилок
+qrBatchJobSchema.post('save', function (error, doc, next) {
+    if (error.name === 'ValidationError') {
+        logError('QR batch job validation error', {
+            errors: Object.keys(error.errors)
+        });
+    } else {
+        logError('Error saving QR batch job', {
+            message: error.message
+        });
+    }
+    next(error);
+});
+
+// ============================================
+// INDEXES
+// ============================================
+
+qrBatchJobSchema.index({ userId: 1, createdAt: -1 });
+qrBatchJobSchema.index({ status: 1, createdAt: 1 });
+
+// Автоматичне видалення старих звітів
+qrBatchJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ============================================
+// EXPORT MODEL
+// ============================================
+
+const QRBatchJob = mongoose.model('QRBatchJob', qrBatchJobSchema);
+
+export default QRBatchJob;
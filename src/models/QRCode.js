@@ -6,14 +6,247 @@
  * - Сайт бізнесу (card або catalog)
  * - Зовнішній URL (для external websites)
  * - Конкретну секцію сайту (меню, акції, контакти)
+ *
+ * redirectRules - умовні правила (пристрій, ОС, країна, мова, час, номер скану).
+ * Перше співпадіння визначає destination, інакше - targetUrl.
+ *
+ * splitVariants - A/B split default destination за вагою
+ * (sticky: повторний скан того ж відвідувача веде на той самий варіант).
+ *
+ * startsAt / expiresAt / maxScans - розклад і ліміт сканів.
+ * Статуси scheduled / expired виставляє система (QRScheduleService),
+ * redirect перевіряє самі поля, тому не залежить від затримки job.
+ *
+ * accessType / accessSecretHash - захист паролем або PIN:
+ * redirect і запис скану тільки після правильного введення.
+ *
+ * aliases - додаткові коди /s/:code того ж QR. Після зміни shortCode
+ * попередній стає alias, тож вже надруковані QR продовжують працювати.
+ * codes - shortCode + aliases під одним унікальним індексом: код не може
+ * належати двом QR навіть при одночасному створенні / перейменуванні.
+ *
+ * style - форма модулів, кольори "очей", градієнт і рамка з CTA.
+ * Image генерується у PNG (qrImageUrl) і SVG (qrSvgUrl).
+ *
+ * campaignId - кампанія, що групує QR коди бізнесу: її UTM параметри
+ * додаються до destination при redirect і копіюються в QRScan.
+ *
+ * payloadType / payload - вміст QR, відмінний від URL (vCard, Wi-Fi, SMS,
+ * email, точка на карті, подія). vCard / geo / event кодують shortUrl і
+ * віддаються через /s/:shortCode (скан рахується), Wi-Fi / SMS / email
+ * кодуються в image напряму (encodedUrl - закодований рядок).
  */
 
 import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
 import { logSuccess, logInfo, logError } from '../utils/logger.js';
-import { QR_STATUS } from '../config/constants.js';
+import { ConflictError } from '../utils/errorHandler.js';
+import {
+    QR_STATUS,
+    QR_EXPIRED_BEHAVIOR,
+    QR_ACCESS_TYPE,
+    QR_ACCESS,
+    SHORT_CODE_SETTINGS,
+    DEVICE_TYPE,
+    REDIRECT_RULES,
+    SPLIT_TEST,
+    QR_MODULE_STYLE,
+    QR_GRADIENT_TYPE,
+    QR_FRAME_STYLE,
+    QR_STYLE,
+    QR_PAYLOAD_TYPE
+} from '../config/constants.js';
 
 const { Schema } = mongoose;
 
+// Статуси, які змінює розклад (inactive / archived - тільки вручну)
+export const SCHEDULABLE_STATUSES = [QR_STATUS.ACTIVE, QR_STATUS.SCHEDULED, QR_STATUS.EXPIRED];
+
+// ============================================
+// REDIRECT RULE SUBSCHEMA
+// ============================================
+
+/**
+ * Умовне правило redirect
+ * Всі задані умови мають виконатись; в межах списку - будь-яке значення.
+ * Пусті списки / відсутні об'єкти - умова не перевіряється.
+ */
+const redirectRuleSchema = new Schema(
+    {
+        name: {
+            type: String,
+            trim: true,
+            maxLength: [100, 'Назва правила має містити максимум 100 символів'],
+            default: ''
+        },
+
+        targetUrl: {
+            type: String,
+            required: [true, 'Target URL правила є обов\'язковим'],
+            trim: true,
+            validate: {
+                validator: function (v) {
+                    return /^https?:\/\/.+/.test(v);
+                },
+                message: 'Target URL правила має бути валідним URL'
+            }
+        },
+
+        conditions: {
+            devices: {
+                type: [String],
+                enum: {
+                    values: Object.values(DEVICE_TYPE),
+                    message: 'Невалідний тип пристрою в правилі'
+                },
+                default: []
+            },
+
+            // Назва ОС без версії: 'iOS', 'Android', 'Windows'
+            os: { type: [String], default: [] },
+
+            // Назви з геолокації (англійською): 'Ukraine', 'Kyiv'
+            countries: { type: [String], default: [] },
+            cities: { type: [String], default: [] },
+
+            // Мовні теги Accept-Language: 'uk' співпадає з 'uk-UA'
+            languages: { type: [String], default: [] },
+
+            // Дні тижня (0 - неділя) та години у timezone.
+            // startTime > endTime - вікно через північ (22:00-02:00)
+            timeWindow: {
+                days: { type: [Number], default: undefined },
+                startTime: { type: String, default: undefined },
+                endTime: { type: String, default: undefined },
+                timezone: { type: String, default: undefined }
+            },
+
+            // Номер скану QR коду (включно)
+            scanCount: {
+                min: { type: Number, min: 1, default: undefined },
+                max: { type: Number, min: 1, default: undefined }
+            }
+        },
+
+        isEnabled: {
+            type: Boolean,
+            default: true
+        }
+    },
+    { _id: true }
+);
+
+// ============================================
+// SPLIT VARIANT SUBSCHEMA
+// ============================================
+
+/**
+ * Варіант A/B split
+ * Частка трафіку = weight / сума weight увімкнених варіантів
+ */
+const splitVariantSchema = new Schema(
+    {
+        name: {
+            type: String,
+            required: [true, 'Назва варіанту є обов\'язковою'],
+            trim: true,
+            maxLength: [50, 'Назва варіанту має містити максимум 50 символів']
+        },
+
+        targetUrl: {
+            type: String,
+            required: [true, 'Target URL варіанту є обов\'язковим'],
+            trim: true,
+            validate: {
+                validator: function (v) {
+                    return /^https?:\/\/.+/.test(v);
+                },
+                message: 'Target URL варіанту має бути валідним URL'
+            }
+        },
+
+        weight: {
+            type: Number,
+            default: 1,
+            min: [SPLIT_TEST.MIN_WEIGHT, `Вага варіанту має бути мінімум ${SPLIT_TEST.MIN_WEIGHT}`],
+            max: [SPLIT_TEST.MAX_WEIGHT, `Вага варіанту має бути максимум ${SPLIT_TEST.MAX_WEIGHT}`]
+        },
+
+        isEnabled: {
+            type: Boolean,
+            default: true
+        }
+    },
+    { _id: true }
+);
+
+const HEX_COLOR_VALIDATOR = {
+    validator: function (v) {
+        return v === null || /^#[0-9A-Fa-f]{6}$/.test(v);
+    },
+    message: 'Колір має бути валідним hex кольором'
+};
+
+const qrStyleSchema = new Schema(
+    {
+        moduleStyle: {
+            type: String,
+            enum: {
+                values: Object.values(QR_MODULE_STYLE),
+                message: 'Невалідна форма модулів: {VALUE}'
+            },
+            default: QR_MODULE_STYLE.SQUARE
+        },
+
+        // Кольори трьох "очей" (finder patterns). null - primaryColor
+        eyeColors: {
+            outer: { type: String, trim: true, default: null, validate: HEX_COLOR_VALIDATOR },
+            inner: { type: String, trim: true, default: null, validate: HEX_COLOR_VALIDATOR }
+        },
+
+        // null - суцільний primaryColor
+        gradient: {
+            type: {
+                type: String,
+                enum: {
+                    values: Object.values(QR_GRADIENT_TYPE),
+                    message: 'Невалідний тип градієнту: {VALUE}'
+                }
+            },
+            colors: {
+                type: [{ type: String, trim: true, validate: HEX_COLOR_VALIDATOR }],
+                default: undefined
+            },
+            rotation: {
+                type: Number,
+                min: 0,
+                max: 360,
+                default: 0
+            }
+        },
+
+        frame: {
+            style: {
+                type: String,
+                enum: {
+                    values: Object.values(QR_FRAME_STYLE),
+                    message: 'Невалідний стиль рамки: {VALUE}'
+                },
+                default: QR_FRAME_STYLE.NONE
+            },
+            text: {
+                type: String,
+                trim: true,
+                maxLength: [QR_STYLE.FRAME_TEXT_MAX_LENGTH, `Текст рамки має містити максимум ${QR_STYLE.FRAME_TEXT_MAX_LENGTH} символів`],
+                default: null
+            },
+            color: { type: String, trim: true, default: null, validate: HEX_COLOR_VALIDATOR },
+            textColor: { type: String, trim: true, default: null, validate: HEX_COLOR_VALIDATOR }
+        }
+    },
+    { _id: false }
+);
+
 const qrcodeSchema = new Schema(
     {
         // ============================================
@@ -36,6 +269,28 @@ const qrcodeSchema = new Schema(
             index: true
         },
 
+        // Рядок CSV batch job, з якого створено QR: повтор рядка після рестарту не дублює QR
+        batchJobId: {
+            type: Schema.Types.ObjectId,
+            ref: 'QRBatchJob',
+            default: null,
+            immutable: true
+        },
+
+        batchLine: {
+            type: Number,
+            default: null,
+            immutable: true
+        },
+
+        // Кампанія того ж бізнесу: UTM мітки при redirect + групова аналітика
+        campaignId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Campaign',
+            default: null,
+            index: true
+        },
+
         // ============================================
         // ОСНОВНА ІНФОРМАЦІЯ
         // ============================================
@@ -55,22 +310,73 @@ const qrcodeSchema = new Schema(
             default: ''
         },
 
+        // ============================================
+        // ВМІСТ
+        // ============================================
+
+        payloadType: {
+            type: String,
+            enum: {
+                values: Object.values(QR_PAYLOAD_TYPE),
+                message: 'Невалідний тип вмісту QR коду'
+            },
+            default: QR_PAYLOAD_TYPE.URL
+        },
+
+        // Дані типу (структуру перевіряє qrcodeValidator); null для url
+        payload: {
+            type: Schema.Types.Mixed,
+            default: null
+        },
+
         // ============================================
         // URL ТА REDIRECT
         // ============================================
 
+        // Тільки для payloadType=url
         targetUrl: {
             type: String,
-            required: [true, 'Target URL є обов\'язковим'],
+            required: [
+                function () {
+                    return !this.payloadType || this.payloadType === QR_PAYLOAD_TYPE.URL;
+                },
+                'Target URL є обов\'язковим'
+            ],
             trim: true,
             validate: {
                 validator: function (v) {
-                    return /^https?:\/\/.+/.test(v);
+                    // Відсутність перевіряє required (залежить від payloadType)
+                    return v === null || /^https?:\/\/.+/.test(v);
                 },
                 message: 'Target URL має бути валідним URL'
             }
         },
 
+        // Перевіряються по порядку; _id правила зберігається в QRScan.matchedRuleId
+        redirectRules: {
+            type: [redirectRuleSchema],
+            default: [],
+            validate: {
+                validator: function (v) {
+                    return v.length <= REDIRECT_RULES.MAX_RULES;
+                },
+                message: `Максимум ${REDIRECT_RULES.MAX_RULES} redirect правил`
+            }
+        },
+
+        // Пусто - split вимкнено; _id варіанту зберігається в QRScan.variantId
+        splitVariants: {
+            type: [splitVariantSchema],
+            default: [],
+            validate: {
+                validator: function (v) {
+                    return v.length === 0 ||
+                        (v.length >= SPLIT_TEST.MIN_VARIANTS && v.length <= SPLIT_TEST.MAX_VARIANTS);
+                },
+                message: `A/B split має містити від ${SPLIT_TEST.MIN_VARIANTS} до ${SPLIT_TEST.MAX_VARIANTS} варіантів`
+            }
+        },
+
         shortCode: {
             type: String,
             required: [true, 'Short code є обов\'язковим'],
@@ -82,6 +388,31 @@ const qrcodeSchema = new Schema(
             index: true
         },
 
+        aliases: {
+            type: [{
+                type: String,
+                trim: true,
+                lowercase: true,
+                minLength: [SHORT_CODE_SETTINGS.MIN_LENGTH, `Alias має містити мінімум ${SHORT_CODE_SETTINGS.MIN_LENGTH} символів`],
+                maxLength: [SHORT_CODE_SETTINGS.MAX_LENGTH, `Alias має містити максимум ${SHORT_CODE_SETTINGS.MAX_LENGTH} символів`]
+            }],
+            default: [],
+            validate: {
+                validator: function (v) {
+                    return v.length <= SHORT_CODE_SETTINGS.MAX_ALIASES;
+                },
+                message: `QR код може мати максимум ${SHORT_CODE_SETTINGS.MAX_ALIASES} aliases`
+            }
+        },
+
+        // Усі коди /s/:code цього QR (shortCode + aliases), унікальні серед усіх QR.
+        // Синхронізуються pre-validate hook (створення) та QRCodeService (оновлення)
+        codes: {
+            type: [String],
+            default: [],
+            select: false
+        },
+
         // ============================================
         // QR IMAGE
         // ============================================
@@ -92,10 +423,27 @@ const qrcodeSchema = new Schema(
             trim: true
         },
 
+        // Векторна версія того ж image
+        qrSvgUrl: {
+            type: String,
+            trim: true,
+            default: null
+        },
+
+        // URL, який фактично закодований в image (має дорівнювати shortUrl).
+        // null - старі "статичні" QR, що кодували targetUrl напряму.
+        // Wi-Fi / SMS / email - закодований вміст (WIFI:..., SMSTO:..., mailto:...)
+        encodedUrl: {
+            type: String,
+            trim: true,
+            default: null
+        },
+
         // ============================================
-        // ДИЗАЙН (для майбутнього)
+        // ДИЗАЙН
         // ============================================
 
+        // Логотип у центрі QR (тільки файли нашого S3)
         logoUrl: {
             type: String,
             trim: true,
@@ -126,6 +474,11 @@ const qrcodeSchema = new Schema(
             }
         },
 
+        style: {
+            type: qrStyleSchema,
+            default: () => ({})
+        },
+
         // ============================================
         // СТАТУС
         // ============================================
@@ -139,6 +492,77 @@ const qrcodeSchema = new Schema(
             default: QR_STATUS.ACTIVE
         },
 
+        // ============================================
+        // РОЗКЛАД ТА ЛІМІТИ
+        // ============================================
+
+        // null - активний одразу
+        startsAt: {
+            type: Date,
+            default: null
+        },
+
+        // null - безстроковий
+        expiresAt: {
+            type: Date,
+            default: null,
+            validate: {
+                validator: function (v) {
+                    return !v || !this.startsAt || v > this.startsAt;
+                },
+                message: 'expiresAt має бути пізніше startsAt'
+            }
+        },
+
+        // null - без ліміту; рахуються тільки реальні скани (totalScans)
+        maxScans: {
+            type: Number,
+            default: null,
+            min: [1, 'maxScans має бути мінімум 1']
+        },
+
+        // Що бачить відвідувач після expiresAt / maxScans
+        expiredBehavior: {
+            type: String,
+            enum: {
+                values: Object.values(QR_EXPIRED_BEHAVIOR),
+                message: 'Невалідна поведінка для простроченого QR коду'
+            },
+            default: QR_EXPIRED_BEHAVIOR.ERROR_PAGE
+        },
+
+        expiredUrl: {
+            type: String,
+            trim: true,
+            default: null,
+            validate: {
+                validator: function (v) {
+                    return !v || /^https?:\/\/.+/.test(v);
+                },
+                message: 'Expired URL має бути валідним URL'
+            }
+        },
+
+        // ============================================
+        // ЗАХИСТ ДОСТУПУ
+        // ============================================
+
+        accessType: {
+            type: String,
+            enum: {
+                values: Object.values(QR_ACCESS_TYPE),
+                message: 'Невалідний тип захисту QR коду'
+            },
+            default: QR_ACCESS_TYPE.NONE
+        },
+
+        // bcrypt hash пароля / PIN; не повертається у відповідях API
+        accessSecretHash: {
+            type: String,
+            default: null,
+            select: false
+        },
+
         // ============================================
         // СТАТИСТИКА (кешована)
         // ============================================
@@ -160,6 +584,13 @@ const qrcodeSchema = new Schema(
             default: null
         },
 
+        // Відфільтровані запити ботів (не входять у totalScans/uniqueScans)
+        botScans: {
+            type: Number,
+            default: 0,
+            min: [0, 'Bot scans не може бути менше 0']
+        },
+
         // ============================================
         // SOFT DELETE
         // ============================================
@@ -190,8 +621,7 @@ const qrcodeSchema = new Schema(
  * Короткий URL для QR коду
  */
 qrcodeSchema.virtual('shortUrl').get(function () {
-    const baseUrl = process.env.API_URL || 'http://localhost:5000';
-    return `${baseUrl}/s/${this.shortCode}`;
+    return this.constructor.buildShortUrl(this.shortCode);
 });
 
 /**
@@ -221,9 +651,16 @@ qrcodeSchema.methods.incrementScans = async function (isUnique = false) {
 
 /**
  * Активувати QR код
+ * З урахуванням розкладу: до startsAt - scheduled, після expiresAt / maxScans - expired
  */
 qrcodeSchema.methods.activate = async function () {
-    this.status = QR_STATUS.ACTIVE;
+    this.status = this.constructor.resolveScheduledStatus({
+        status: QR_STATUS.ACTIVE,
+        startsAt: this.startsAt,
+        expiresAt: this.expiresAt,
+        maxScans: this.maxScans,
+        totalScans: this.totalScans
+    });
     return this.save();
 };
 
@@ -243,6 +680,13 @@ qrcodeSchema.methods.archive = async function () {
     return this.save();
 };
 
+/**
+ * Перевірка чи image кодує tracked shortUrl (а не targetUrl напряму)
+ */
+qrcodeSchema.methods.isDynamic = function () {
+    return this.encodedUrl === this.shortUrl;
+};
+
 /**
  * Перевірка чи активний QR код
  */
@@ -250,21 +694,104 @@ qrcodeSchema.methods.isActiveStatus = function () {
     return this.status === QR_STATUS.ACTIVE && this.isActive;
 };
 
+/**
+ * Перевірка чи захищений QR код паролем / PIN
+ */
+qrcodeSchema.methods.isProtected = function () {
+    return Boolean(this.accessType) && this.accessType !== QR_ACCESS_TYPE.NONE;
+};
+
 // ============================================
 // STATIC METHODS
 // ============================================
 
 /**
- * Знайти QR код по shortCode
+ * Побудувати короткий (tracked) URL для shortCode
+ * Використовується і для lean документів, де virtuals недоступні
+ */
+qrcodeSchema.statics.buildShortUrl = function (shortCode) {
+    const baseUrl = process.env.API_URL || 'http://localhost:5000';
+    return `${baseUrl}/s/${shortCode}`;
+};
+
+/**
+ * Статус QR коду з урахуванням розкладу та ліміту сканів
+ * inactive / archived (виставлені вручну) не змінюються
+ *
+ * @param {Object} qrcode - { status, startsAt, expiresAt, maxScans, totalScans }
+ * @param {Date} now - Момент перевірки
+ * @returns {String} - QR_STATUS
+ */
+qrcodeSchema.statics.resolveScheduledStatus = function (
+    { status, startsAt, expiresAt, maxScans, totalScans = 0 },
+    now = new Date()
+) {
+    if (!SCHEDULABLE_STATUSES.includes(status)) {
+        return status;
+    }
+
+    if (expiresAt && new Date(expiresAt) <= now) {
+        return QR_STATUS.EXPIRED;
+    }
+
+    if (maxScans && totalScans >= maxScans) {
+        return QR_STATUS.EXPIRED;
+    }
+
+    if (startsAt && new Date(startsAt) > now) {
+        return QR_STATUS.SCHEDULED;
+    }
+
+    return QR_STATUS.ACTIVE;
+};
+
+/**
+ * Hash пароля / PIN для accessSecretHash
+ *
+ * @param {String} secret - Пароль або PIN
+ * @returns {Promise<String>}
+ */
+qrcodeSchema.statics.hashAccessSecret = function (secret) {
+    return bcrypt.hash(String(secret), QR_ACCESS.HASH_ROUNDS);
+};
+
+/**
+ * Перевірка пароля / PIN (працює і з кешованим redirect, без документа)
+ *
+ * @param {String} secret - Введене значення
+ * @param {String} hash - accessSecretHash
+ * @returns {Promise<Boolean>}
+ */
+qrcodeSchema.statics.compareAccessSecret = async function (secret, hash) {
+    if (!secret || !hash) {
+        return false;
+    }
+
+    return bcrypt.compare(String(secret), hash);
+};
+
+/**
+ * Знайти QR код по shortCode або alias
+ * Включно з scheduled / expired - розклад перевіряється при кожному скані
+ * accessSecretHash потрібен ScanService для перевірки пароля / PIN, campaignId - для UTM
  */
 qrcodeSchema.statics.findByShortCode = function (shortCode) {
     return this.findOne({
-        shortCode: shortCode.toLowerCase(),
+        codes: shortCode.toLowerCase(),
         isActive: true,
-        status: QR_STATUS.ACTIVE
+        status: { $in: SCHEDULABLE_STATUSES }
     })
+        .select('+accessSecretHash')
         .populate('businessId', 'name slug')
-        .populate('websiteId', 'slug type');
+        .populate('websiteId', 'slug type')
+        .populate('campaignId', 'utm overrideExisting isActive');
+};
+
+/**
+ * QR код, створений з рядка batch job (null - рядок ще не оброблено)
+ */
+qrcodeSchema.statics.findByBatchRow = function (batchJobId, batchLine) {
+    return this.findOne({ batchJobId, batchLine }).lean();
 };
 
 /**
@@ -316,14 +843,70 @@ qrcodeSchema.statics.countByBusiness = function (businessId) {
  * Перевірити чи існує shortCode
  */
 qrcodeSchema.statics.isShortCodeExists = async function (shortCode) {
-    const qrcode = await this.findOne({ shortCode: shortCode.toLowerCase() });
+    const qrcode = await this.exists({ codes: shortCode.toLowerCase() });
     return !!qrcode;
 };
 
+/**
+ * Коди, вже зайняті іншими QR (shortCode або alias, включно з видаленими -
+ * їх надруковані коди не повинні почати вести на чужий QR)
+ *
+ * @param {Array<String>} codes - Коди для перевірки
+ * @param {String} excludeQRCodeId - QR, чиї коди не враховуються (оновлення)
+ * @returns {Promise<Array<String>>} - Зайняті коди
+ */
+qrcodeSchema.statics.findTakenShortCodes = async function (codes, excludeQRCodeId = null) {
+    const normalized = codes.map(code => code.toLowerCase());
+
+    const filter = { codes: { $in: normalized } };
+
+    if (excludeQRCodeId) {
+        filter._id = { $ne: excludeQRCodeId };
+    }
+
+    const owners = await this.find(filter).select('+codes').lean();
+    const taken = new Set(owners.flatMap(owner => owner.codes));
+
+    return normalized.filter(code => taken.has(code));
+};
+
+/**
+ * Усі коди QR для поля codes (shortCode + aliases)
+ *
+ * @param {Object} qrcode - { shortCode, aliases }
+ * @returns {Array<String>}
+ */
+qrcodeSchema.statics.buildCodes = function ({ shortCode, aliases }) {
+    return [shortCode, ...(aliases || [])];
+};
+
+/**
+ * Заповнити codes у QR, створених до появи поля (запускається при старті сервера)
+ * Без цього їх коди не потрапляють в унікальний індекс і не знаходяться redirect
+ *
+ * @returns {Promise<Number>} - Кількість оновлених QR
+ */
+qrcodeSchema.statics.backfillCodes = async function () {
+    const { modifiedCount } = await this.updateMany(
+        { 'codes.0': { $exists: false } },
+        [{ $set: { codes: { $concatArrays: [['$shortCode'], { $ifNull: ['$aliases', []] }] } } }]
+    );
+
+    return modifiedCount;
+};
+
 // ============================================
 // MIDDLEWARE HOOKS
 // ============================================
 
+// Pre-validate: codes завжди відповідають shortCode та aliases
+qrcodeSchema.pre('validate', function (next) {
+    if (this.isNew || this.isModified('shortCode') || this.isModified('aliases')) {
+        this.codes = this.constructor.buildCodes(this);
+    }
+    next();
+});
+
 // Pre-save: логування створення
 qrcodeSchema.pre('save', function (next) {
     if (this.isNew) {
@@ -367,11 +950,18 @@ qrcodeSchema.post('save', async function (doc, next) {
 
 // Post-save error: обробка помилок
 qrcodeSchema.post('save', function (error, doc, next) {
-    if (error.name === 'MongoServerError' && error.code === 11000) {
+    if (error.name === 'MongoServerError' && error.code === 11000 && error.keyPattern?.batchJobId) {
+        logError('Duplicate batch row on QR code save', {
+            batchJobId: doc.batchJobId,
+            batchLine: doc.batchLine
+        });
+        next(new ConflictError('QR код для цього рядка batch вже створено'));
+    } else if (error.name === 'MongoServerError' && error.code === 11000) {
         logError('Duplicate shortCode error on QR code save', {
-            shortCode: doc.shortCode
+            shortCode: doc.shortCode,
+            aliases: doc.aliases
         });
-        next(new Error('QR код з таким shortCode вже існує'));
+        next(new ConflictError('QR код з таким shortCode або alias вже існує'));
     } else if (error.name === 'ValidationError') {
         logError('QR code validation error', {
             errors: Object.keys(error.errors)
@@ -385,6 +975,18 @@ qrcodeSchema.post('save', function (error, doc, next) {
     }
 });
 
+// Post-update error: код зайняв інший QR між перевіркою та записом
+qrcodeSchema.post('findOneAndUpdate', function (error, res, next) {
+    if (error.name === 'MongoServerError' && error.code === 11000) {
+        logError('Duplicate code error on QR code update', {
+            code: error.keyValue?.codes
+        });
+        next(new ConflictError(`Код "${error.keyValue?.codes}" вже використовується`));
+    } else {
+        next(error);
+    }
+});
+
 // Pre-remove: логування та декремент Business.qrCodesCount
 qrcodeSchema.pre('remove', async function (next) {
     logInfo('Removing QR code', {
@@ -418,6 +1020,23 @@ qrcodeSchema.index({ websiteId: 1, createdAt: -1 });
 qrcodeSchema.index({ businessId: 1, status: 1 });
 qrcodeSchema.index({ isActive: 1, status: 1 });
 
+// Redirect по shortCode / alias та унікальність кодів між QR.
+// partial - QR до backfillCodes (порожній codes) не конфліктують між собою
+qrcodeSchema.index(
+    { codes: 1 },
+    { unique: true, partialFilterExpression: { 'codes.0': { $exists: true } } }
+);
+
+// Один QR на рядок batch job (QR, створені не з CSV, не індексуються)
+qrcodeSchema.index(
+    { batchJobId: 1, batchLine: 1 },
+    { unique: true, partialFilterExpression: { batchJobId: { $type: 'objectId' } } }
+);
+
+// Для QRScheduleService (scheduled → active, active → expired)
+qrcodeSchema.index({ status: 1, startsAt: 1 });
+qrcodeSchema.index({ status: 1, expiresAt: 1 });
+
 // Прості індекси вже створені через поля:
 // - businessId: { index: true }
 // - websiteId: { index: true }
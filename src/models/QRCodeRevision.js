@@ -0,0 +1,232 @@
+/**
+ * QRCodeRevision Model
+ * Mongoose схема для історії змін QR коду
+ *
+ * Кожна зміна QR коду (QRCodeService / CampaignService) - нова ревізія:
+ * - Хто змінив (userId) і яка дія (create / update / rollback / regenerate ...)
+ * - changes - змінені поля { field, from, to }
+ * - snapshot - стан QR коду після зміни (QR_REVISION.TRACKED_FIELDS), з нього робиться rollback
+ * - previousTargetUrl / previousImageUrl - попередній destination та image
+ *
+ * Ревізії незмінні: update операції заборонені на рівні моделі.
+ * Image попередніх ревізій лишаються в S3, тому rollback повертає той самий файл.
+ * Зміни статусу розкладом (QRScheduleService) ревізій не створюють.
+ */
+
+import mongoose from 'mongoose';
+import { logSuccess, logError } from '../utils/logger.js';
+import { QR_REVISION_ACTION } from '../config/constants.js';
+
+const { Schema } = mongoose;
+
+// Зміна одного поля
+const revisionChangeSchema = new Schema(
+    {
+        field: { type: String, required: true },
+        from: { type: Schema.Types.Mixed, default: null },
+        to: { type: Schema.Types.Mixed, default: null }
+    },
+    { _id: false }
+);
+
+const qrcodeRevisionSchema = new Schema(
+    {
+        // ============================================
+        // ЗВ'ЯЗКИ
+        // ============================================
+
+        qrCodeId: {
+            type: Schema.Types.ObjectId,
+            ref: 'QRCode',
+            required: [true, 'QR Code ID є обов\'язковим'],
+            immutable: true
+        },
+
+        // Для маркерів на графіках аналітики сайту / бізнесу / кампанії
+        businessId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Business',
+            required: [true, 'Business ID є обов\'язковим'],
+            immutable: true
+        },
+
+        websiteId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Website',
+            default: null,
+            immutable: true
+        },
+
+        // Кампанія QR коду після зміни
+        campaignId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Campaign',
+            default: null,
+            immutable: true
+        },
+
+        // null - системна зміна
+        userId: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+            immutable: true
+        },
+
+        // ============================================
+        // РЕВІЗІЯ
+        // ============================================
+
+        // 1, 2, 3... в межах QR коду
+        revision: {
+            type: Number,
+            required: [true, 'Номер ревізії є обов\'язковим'],
+            min: 1,
+            immutable: true
+        },
+
+        action: {
+            type: String,
+            enum: {
+                values: Object.values(QR_REVISION_ACTION),
+                message: 'Невалідна дія ревізії: {VALUE}'
+            },
+            required: [true, 'Дія ревізії є обов\'язковою'],
+            immutable: true
+        },
+
+        // Для action=rollback - ревізія, стан якої відновлено
+        rolledBackTo: {
+            type: Number,
+            default: null,
+            immutable: true
+        },
+
+        changes: {
+            type: [revisionChangeSchema],
+            default: [],
+            immutable: true
+        },
+
+        snapshot: {
+            type: Schema.Types.Mixed,
+            required: [true, 'Snapshot є обов\'язковим'],
+            immutable: true
+        },
+
+        // ============================================
+        // DESTINATION ТА IMAGE
+        // ============================================
+
+        // Змінено targetUrl / правила / варіанти / вміст (маркер в аналітиці)
+        destinationChanged: {
+            type: Boolean,
+            default: false,
+            immutable: true
+        },
+
+        previousTargetUrl: {
+            type: String,
+            default: null,
+            immutable: true
+        },
+
+        targetUrl: {
+            type: String,
+            default: null,
+            immutable: true
+        },
+
+        previousImageUrl: {
+            type: String,
+            default: null,
+            immutable: true
+        },
+
+        imageUrl: {
+            type: String,
+            default: null,
+            immutable: true
+        }
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false }
+    }
+);
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+/**
+ * Остання ревізія QR коду
+ */
+qrcodeRevisionSchema.statics.findLatest = function (qrCodeId) {
+    return this.findOne({ qrCodeId })
+        .sort({ revision: -1 })
+        .lean();
+};
+
+// ============================================
+// MIDDLEWARE HOOKS
+// ============================================
+
+// Ревізії незмінні: тільки створення
+const rejectUpdate = function (next) {
+    next(new Error('QR code revisions are immutable'));
+};
+
+qrcodeRevisionSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'findOneAndReplace', 'replaceOne'],
+    rejectUpdate
+);
+
+qrcodeRevisionSchema.pre('save', function (next) {
+    if (!this.isNew) {
+        return rejectUpdate(next);
+    }
+    next();
+});
+
+// Post-save: логування успіху
+qrcodeRevisionSchema.post('save', function (doc, next) {
+    logSuccess('QR code revision saved', {
+        qrCodeId: doc.qrCodeId,
+        revision: doc.revision,
+        action: doc.action
+    });
+    next();
+});
+
+// Post-save error: обробка помилок (duplicate key - паралельна зміна, QRRevisionService повторює)
+qrcodeRevisionSchema.post('save', function (error, doc, next) {
+    if (error.name === 'ValidationError') {
+        logError('QR code revision validation error', {
+            errors: Object.keys(error.errors)
+        });
+    } else if (error.code !== 11000) {
+        logError('Error saving QR code revision', {
+            message: error.message
+        });
+    }
+    next(error);
+});
+
+// ============================================
+// INDEXES
+// ============================================
+
+qrcodeRevisionSchema.index({ qrCodeId: 1, revision: -1 }, { unique: true });
+
+// Маркери зміни destination в аналітиці
+qrcodeRevisionSchema.index({ businessId: 1, destinationChanged: 1, createdAt: 1 });
+qrcodeRevisionSchema.index({ websiteId: 1, destinationChanged: 1, createdAt: 1 });
+qrcodeRevisionSchema.index({ campaignId: 1, destinationChanged: 1, createdAt: 1 });
+
+// ============================================
+// EXPORT MODEL
+// ============================================
+
+const QRCodeRevision = mongoose.model('QRCodeRevision', qrcodeRevisionSchema);
+
+export default QRCodeRevision;
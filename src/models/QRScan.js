@@ -7,14 +7,22 @@
  * - Звідки (країна, місто, IP)
  * - З якого пристрою (iOS, Android, Desktop)
  * - Fingerprint для визначення унікальних користувачів
+ * - isBot: crawler / link preview / prefetch (redirect отримують, в статистику не входять)
+ * - Яке redirect правило QR коду спрацювало (null - default targetUrl)
+ * - Варіант A/B split (null - split не застосовувався)
+ * - Кампанію та її UTM мітки (null - QR без кампанії)
  */
 
+import net from 'net';
 import mongoose from 'mongoose';
 import { logSuccess, logInfo, logError } from '../utils/logger.js';
-import { DEVICE_TYPE } from '../config/constants.js';
+import { DEVICE_TYPE, BOT_REASON } from '../config/constants.js';
 
 const { Schema } = mongoose;
 
+// Фільтр реальних сканів (старі документи без isBot - теж реальні)
+export const HUMAN_SCAN_FILTER = { isBot: { $ne: true } };
+
 const qrscanSchema = new Schema(
     {
         // ============================================
@@ -45,6 +53,14 @@ const qrscanSchema = new Schema(
             index: true
         },
 
+        // Кампанія QR коду на момент скану (null - без кампанії)
+        campaignId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Campaign',
+            default: null,
+            immutable: true
+        },
+
         // ============================================
         // ЧАС СКАНУВАННЯ
         // ============================================
@@ -80,10 +96,8 @@ const qrscanSchema = new Schema(
             required: [true, 'IP address є обов\'язковим'],
             validate: {
                 validator: function (v) {
-                    // Перевірка IPv4 або IPv6
-                    const ipv4Regex = /^(\d{1,3}\.){3}\d{1,3}$/;
-                    const ipv6Regex = /^([\da-fA-F]{1,4}:){7}[\da-fA-F]{1,4}$/;
-                    return ipv4Regex.test(v) || ipv6Regex.test(v);
+                    // Перевірка IPv4 або IPv6 (включно зі скороченим)
+                    return net.isIP(v) !== 0;
                 },
                 message: 'Невалідний формат IP адреси'
             }
@@ -132,6 +146,47 @@ const qrscanSchema = new Schema(
             index: true // Для підрахунку унікальних сканів
         },
 
+        // ============================================
+        // BOT FILTERING
+        // ============================================
+
+        isBot: {
+            type: Boolean,
+            default: false
+        },
+
+        botReason: {
+            type: String,
+            enum: {
+                values: [...Object.values(BOT_REASON), null],
+                message: 'Невалідна причина bot фільтрації'
+            },
+            default: null
+        },
+
+        // WhatsApp, Googlebot, curl... (якщо відомо)
+        botName: {
+            type: String,
+            trim: true,
+            default: null
+        },
+
+        // ============================================
+        // REDIRECT
+        // ============================================
+
+        // _id правила з QRCode.redirectRules (null - default targetUrl)
+        matchedRuleId: {
+            type: Schema.Types.ObjectId,
+            default: null
+        },
+
+        // _id варіанту з QRCode.splitVariants (null - split не застосовувався)
+        variantId: {
+            type: Schema.Types.ObjectId,
+            default: null
+        },
+
         // ============================================
         // ДОДАТКОВА ІНФОРМАЦІЯ
         // ============================================
@@ -142,7 +197,7 @@ const qrscanSchema = new Schema(
             default: null
         },
 
-        // Для майбутнього: UTM параметри
+        // UTM параметри кампанії, додані до destination при redirect
         utmSource: {
             type: String,
             trim: true,
@@ -234,6 +289,7 @@ qrscanSchema.methods.getLocation = function () {
 qrscanSchema.statics.countByQRCode = function (qrCodeId, dateFilter = {}) {
     return this.countDocuments({
         qrCodeId,
+        ...HUMAN_SCAN_FILTER,
         ...dateFilter
     });
 };
@@ -244,6 +300,7 @@ qrscanSchema.statics.countByQRCode = function (qrCodeId, dateFilter = {}) {
 qrscanSchema.statics.countUniqueByQRCode = async function (qrCodeId, dateFilter = {}) {
     const uniqueFingerprints = await this.distinct('fingerprint', {
         qrCodeId,
+        ...HUMAN_SCAN_FILTER,
         ...dateFilter
     });
     return uniqueFingerprints.length;
@@ -254,7 +311,7 @@ qrscanSchema.statics.countUniqueByQRCode = async function (qrCodeId, dateFilter
  */
 qrscanSchema.statics.getScansByDate = function (qrCodeId, dateFilter = {}) {
     return this.aggregate([
-        { $match: { qrCodeId: new mongoose.Types.ObjectId(qrCodeId), ...dateFilter } },
+        { $match: { qrCodeId: new mongoose.Types.ObjectId(qrCodeId), ...HUMAN_SCAN_FILTER, ...dateFilter } },
         {
             $group: {
                 _id: { $dateToString: { format: '%Y-%m-%d', date: '$scannedAt' } },
@@ -277,7 +334,7 @@ qrscanSchema.statics.getScansByDate = function (qrCodeId, dateFilter = {}) {
  */
 qrscanSchema.statics.getScansByHour = function (qrCodeId, dateFilter = {}) {
     return this.aggregate([
-        { $match: { qrCodeId: new mongoose.Types.ObjectId(qrCodeId), ...dateFilter } },
+        { $match: { qrCodeId: new mongoose.Types.ObjectId(qrCodeId), ...HUMAN_SCAN_FILTER, ...dateFilter } },
         {
             $group: {
                 _id: { $hour: '$scannedAt' },
@@ -300,7 +357,7 @@ qrscanSchema.statics.getScansByHour = function (qrCodeId, dateFilter = {}) {
  */
 qrscanSchema.statics.getScansByCountry = function (qrCodeId, dateFilter = {}, limit = 10) {
     return this.aggregate([
-        { $match: { qrCodeId: new mongoose.Types.ObjectId(qrCodeId), ...dateFilter } },
+        { $match: { qrCodeId: new mongoose.Types.ObjectId(qrCodeId), ...HUMAN_SCAN_FILTER, ...dateFilter } },
         {
             $group: {
                 _id: '$country',
@@ -324,7 +381,7 @@ qrscanSchema.statics.getScansByCountry = function (qrCodeId, dateFilter = {}, li
  */
 qrscanSchema.statics.getScansByCity = function (qrCodeId, dateFilter = {}, limit = 10) {
     return this.aggregate([
-        { $match: { qrCodeId: new mongoose.Types.ObjectId(qrCodeId), ...dateFilter } },
+        { $match: { qrCodeId: new mongoose.Types.ObjectId(qrCodeId), ...HUMAN_SCAN_FILTER, ...dateFilter } },
         {
             $group: {
                 _id: { city: '$city', country: '$country' },
@@ -349,7 +406,7 @@ qrscanSchema.statics.getScansByCity = function (qrCodeId, dateFilter = {}, limit
  */
 qrscanSchema.statics.getScansByDevice = function (qrCodeId, dateFilter = {}) {
     return this.aggregate([
-        { $match: { qrCodeId: new mongoose.Types.ObjectId(qrCodeId), ...dateFilter } },
+        { $match: { qrCodeId: new mongoose.Types.ObjectId(qrCodeId), ...HUMAN_SCAN_FILTER, ...dateFilter } },
         {
             $group: {
                 _id: '$device',
@@ -367,6 +424,175 @@ qrscanSchema.statics.getScansByDevice = function (qrCodeId, dateFilter = {}) {
     ]);
 };
 
+// ============================================
+// AGGREGATIONS ПО ДОВІЛЬНОМУ SCOPE
+// (QR код, сайт, бізнес, всі бізнеси користувача)
+// match - готовий $match з ObjectId та scannedAt фільтром
+// ============================================
+
+/**
+ * Загальна та унікальна кількість сканів
+ */
+qrscanSchema.statics.getScanTotals = async function (match) {
+    const [result] = await this.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: null,
+                totalScans: { $sum: 1 },
+                fingerprints: { $addToSet: '$fingerprint' }
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                totalScans: 1,
+                uniqueScans: { $size: '$fingerprints' }
+            }
+        }
+    ]);
+
+    return result || { totalScans: 0, uniqueScans: 0 };
+};
+
+/**
+ * Часова серія сканів з bucket у часовому поясі
+ *
+ * @param {Object} match - $match
+ * @param {String} format - Формат $dateToString (напр. '%Y-%m-%d')
+ * @param {String} timezone - IANA timezone
+ */
+qrscanSchema.statics.getScanSeries = function (match, format, timezone = 'UTC') {
+    return this.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: { $dateToString: { format, date: '$scannedAt', timezone } },
+                totalScans: { $sum: 1 },
+                fingerprints: { $addToSet: '$fingerprint' }
+            }
+        },
+        { $sort: { _id: 1 } },
+        {
+            $project: {
+                _id: 0,
+                bucket: '$_id',
+                totalScans: 1,
+                uniqueScans: { $size: '$fingerprints' }
+            }
+        }
+    ]);
+};
+
+/**
+ * Розподіл сканів по полю (country, device, browser, os, qrCodeId...)
+ */
+qrscanSchema.statics.getScanBreakdown = function (match, field, limit = 10) {
+    const pipeline = [
+        { $match: match },
+        {
+            $group: {
+                _id: `$${field}`,
+                totalScans: { $sum: 1 },
+                fingerprints: { $addToSet: '$fingerprint' }
+            }
+        },
+        { $sort: { totalScans: -1, _id: 1 } }
+    ];
+
+    if (limit) {
+        pipeline.push({ $limit: limit });
+    }
+
+    pipeline.push({
+        $project: {
+            _id: 0,
+            [field]: '$_id',
+            totalScans: 1,
+            uniqueScans: { $size: '$fingerprints' }
+        }
+    });
+
+    return this.aggregate(pipeline);
+};
+
+/**
+ * Скани по годинах доби (0-23) у часовому поясі
+ */
+qrscanSchema.statics.getScansByHourOfDay = function (match, timezone = 'UTC') {
+    return this.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: { $hour: { date: '$scannedAt', timezone } },
+                totalScans: { $sum: 1 }
+            }
+        },
+        { $sort: { _id: 1 } },
+        {
+            $project: {
+                _id: 0,
+                hour: '$_id',
+                totalScans: 1
+            }
+        }
+    ]);
+};
+
+/**
+ * Відфільтрований bot трафік: частка, причини, топ ботів
+ *
+ * @param {Object} match - $match без фільтра isBot (усі запити)
+ */
+qrscanSchema.statics.getBotReport = async function (match, limit = 10) {
+    const botsOnly = { $match: { isBot: true } };
+
+    const [result] = await this.aggregate([
+        { $match: match },
+        {
+            $facet: {
+                totals: [
+                    {
+                        $group: {
+                            _id: null,
+                            totalRequests: { $sum: 1 },
+                            botScans: { $sum: { $cond: ['$isBot', 1, 0] } }
+                        }
+                    }
+                ],
+                byReason: [
+                    botsOnly,
+                    { $group: { _id: '$botReason', scans: { $sum: 1 } } },
+                    { $sort: { scans: -1 } },
+                    { $project: { _id: 0, reason: '$_id', scans: 1 } }
+                ],
+                byBot: [
+                    botsOnly,
+                    {
+                        $group: {
+                            _id: { $ifNull: ['$botName', 'Unknown'] },
+                            scans: { $sum: 1 },
+                            lastSeenAt: { $max: '$scannedAt' }
+                        }
+                    },
+                    { $sort: { scans: -1 } },
+                    { $limit: limit },
+                    { $project: { _id: 0, name: '$_id', scans: 1, lastSeenAt: 1 } }
+                ]
+            }
+        }
+    ]);
+
+    const totals = result.totals[0] || { totalRequests: 0, botScans: 0 };
+
+    return {
+        totalRequests: totals.totalRequests,
+        botScans: totals.botScans,
+        byReason: result.byReason,
+        byBot: result.byBot
+    };
+};
+
 /**
  * Перевірити чи fingerprint вже сканував цей QR сьогодні
  */
@@ -377,12 +603,40 @@ qrscanSchema.statics.isUniqueScanToday = async function (qrCodeId, fingerprint)
     const scan = await this.findOne({
         qrCodeId,
         fingerprint,
+        ...HUMAN_SCAN_FILTER,
         scannedAt: { $gte: today }
     });
 
     return !scan; // true якщо не знайдено (унікальний скан)
 };
 
+/**
+ * Batch перевірка унікальності: які пари qrCodeId + fingerprint вже мають скан
+ *
+ * @param {Array<Object>} pairs - [{ qrCodeId, fingerprint, since }]
+ * @param {Array} excludeIds - Скани поточного batch (повторна спроба запису)
+ * @returns {Promise<Set<String>>} - Ключі "qrCodeId:fingerprint"
+ */
+qrscanSchema.statics.findScannedFingerprints = async function (pairs, excludeIds = []) {
+    if (pairs.length === 0) {
+        return new Set();
+    }
+
+    const scans = await this.find({
+        _id: { $nin: excludeIds },
+        ...HUMAN_SCAN_FILTER,
+        $or: pairs.map(({ qrCodeId, fingerprint, since }) => ({
+            qrCodeId,
+            fingerprint,
+            scannedAt: { $gte: since }
+        }))
+    })
+        .select('qrCodeId fingerprint')
+        .lean();
+
+    return new Set(scans.map(scan => `${scan.qrCodeId}:${scan.fingerprint}`));
+};
+
 // ============================================
 // MIDDLEWARE HOOKS
 // ============================================
@@ -434,6 +688,7 @@ qrscanSchema.post('save', function (error, doc, next) {
 // Складені індекси для агрегацій та аналітики
 qrscanSchema.index({ qrCodeId: 1, scannedAt: -1 });
 qrscanSchema.index({ businessId: 1, scannedAt: -1 });
+qrscanSchema.index({ websiteId: 1, scannedAt: -1 });
 qrscanSchema.index({ qrCodeId: 1, fingerprint: 1 });
 qrscanSchema.index({ qrCodeId: 1, device: 1 });
 qrscanSchema.index({ qrCodeId: 1, country: 1 });
@@ -441,6 +696,12 @@ qrscanSchema.index({ qrCodeId: 1, country: 1 });
 // Для підрахунку унікальних сканів
 qrscanSchema.index({ qrCodeId: 1, fingerprint: 1, scannedAt: -1 });
 
+// Для звіту по bot трафіку
+qrscanSchema.index({ qrCodeId: 1, isBot: 1, scannedAt: -1 });
+
+// Для аналітики кампаній
+qrscanSchema.index({ campaignId: 1, scannedAt: -1 });
+
 // TTL index для автоматичного видалення старих записів (опціонально)
 // Видаляти скани старші за 2 роки
 // qrscanSchema.index({ scannedAt: 1 }, { expireAfterSeconds: 63072000 }); // 2 роки
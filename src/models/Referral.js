@@ -0,0 +1,193 @@
+/**
+ * Referral Model
+ * Mongoose схема для реферальної програми
+ *
+ * Один запис на запрошеного користувача (referredUserId унікальний).
+ * Реферал стає active, коли запрошений:
+ * - створив бізнес
+ * - оплатив підписку мінімум REFERRAL.MIN_SUBSCRIPTION_MONTHS місяців
+ *
+ * Знижка реферера залежить від кількості active рефералів (REFERRAL.DISCOUNT_TIERS).
+ */
+
+import mongoose from 'mongoose';
+import { logSuccess, logInfo, logError } from '../utils/logger.js';
+import { REFERRAL, REFERRAL_STATUS } from '../config/constants.js';
+
+const { Schema } = mongoose;
+
+const referralSchema = new Schema(
+    {
+        // ============================================
+        // ЗВ'ЯЗКИ
+        // ============================================
+
+        // Хто запросив
+        referrerId: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'Referrer ID є обов\'язковим'],
+            index: true
+        },
+
+        // Кого запросили
+        referredUserId: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'Referred user ID є обов\'язковим'],
+            unique: true
+        },
+
+        // ============================================
+        // СТАТУС
+        // ============================================
+
+        status: {
+            type: String,
+            enum: {
+                values: Object.values(REFERRAL_STATUS),
+                message: 'Невідомий статус реферала'
+            },
+            default: REFERRAL_STATUS.PENDING,
+            index: true
+        },
+
+        // ============================================
+        // УМОВИ АКТИВАЦІЇ
+        // ============================================
+
+        hasCreatedBusiness: {
+            type: Boolean,
+            default: false
+        },
+
+        hasPaidSubscription: {
+            type: Boolean,
+            default: false
+        },
+
+        subscriptionMonths: {
+            type: Number,
+            default: 0,
+            min: [0, 'Кількість місяців не може бути від\'ємною']
+        },
+
+        // ============================================
+        // НАГОРОДА РЕФЕРЕРА
+        // ============================================
+
+        // Знижка реферера на момент активації (10%, 15%, 20%)
+        discountPercentage: {
+            type: Number,
+            default: 0,
+            min: 0,
+            max: 100
+        },
+
+        // ============================================
+        // ДАТИ
+        // ============================================
+
+        activatedAt: {
+            type: Date,
+            default: null
+        },
+
+        expiredAt: {
+            type: Date,
+            default: null
+        }
+    },
+    {
+        timestamps: true,
+        toJSON: { virtuals: true },
+        toObject: { virtuals: true }
+    }
+);
+
+// ============================================
+// INSTANCE METHODS
+// ============================================
+
+/**
+ * Чи виконано умови активації
+ */
+referralSchema.methods.meetsActivationRules = function () {
+    return this.hasCreatedBusiness &&
+        this.subscriptionMonths >= REFERRAL.MIN_SUBSCRIPTION_MONTHS;
+};
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+/**
+ * Знайти реферал запрошеного користувача
+ */
+referralSchema.statics.findByReferredUser = function (referredUserId) {
+    return this.findOne({ referredUserId });
+};
+
+/**
+ * Кількість активних рефералів реферера
+ */
+referralSchema.statics.countActiveByReferrer = function (referrerId) {
+    return this.countDocuments({
+        referrerId,
+        status: REFERRAL_STATUS.ACTIVE
+    });
+};
+
+// ============================================
+// MIDDLEWARE HOOKS
+// ============================================
+
+// Pre-save: логування створення
+referralSchema.pre('save', function (next) {
+    if (this.isNew) {
+        logInfo('Creating new referral', {
+            referrerId: this.referrerId,
+            referredUserId: this.referredUserId
+        });
+    }
+    next();
+});
+
+// Post-save: логування успіху
+referralSchema.post('save', function (doc, next) {
+    const action = doc.wasNew ? 'created' : 'updated';
+    logSuccess(`Referral ${action}`, {
+        referralId: doc._id,
+        status: doc.status
+    });
+    next();
+});
+
+// Post-save error: обробка помилок
+referralSchema.post('save', function (error, doc, next) {
+    if (error.name === 'ValidationError') {
+        logError('Referral validation error', {
+            errors: Object.keys(error.errors)
+        });
+    } else {
+        logError('Error saving referral', {
+            message: error.message
+        });
+    }
+    next(error);
+});
+
+// ============================================
+// INDEXES
+// ============================================
+
+referralSchema.index({ referrerId: 1, createdAt: -1 });
+referralSchema.index({ referrerId: 1, status: 1 });
+
+// ============================================
+// EXPORT MODEL
+// ============================================
+
+const Referral = mongoose.model('Referral', referralSchema);
+
+export default Referral;
@@ -0,0 +1,409 @@
+/**
+ * Request Model
+ * Mongoose схема для заявок з публічних сайтів
+ *
+ * Типи заявок:
+ * - contact: форма зв'язку (ім'я, телефон, повідомлення)
+ * - order: замовлення з каталогу (товари зі snapshot назви, варіанта, опцій та ціни)
+ */
+
+import mongoose from 'mongoose';
+import { logSuccess, logInfo, logError } from '../utils/logger.js';
+import {
+    REQUEST_TYPE,
+    REQUEST_STATUS,
+    REQUEST_SOURCE,
+    REQUEST_LIMITS,
+    CURRENCY,
+    DEFAULT_CURRENCY
+} from '../config/constants.js';
+
+const { Schema } = mongoose;
+
+// ============================================
+// ORDER ITEM SUB-SCHEMA
+// ============================================
+
+// Обрана опція товару (snapshot)
+const requestItemOptionSchema = new Schema(
+    {
+        optionId: {
+            type: Schema.Types.ObjectId,
+            required: [true, 'Option ID є обов\'язковим']
+        },
+
+        name: {
+            type: String,
+            required: [true, 'Назва опції є обов\'язковою'],
+            trim: true
+        },
+
+        price: {
+            type: Number,
+            default: 0,
+            min: [0, 'Ціна не може бути від\'ємною']
+        }
+    },
+    { _id: false }
+);
+
+const requestItemSchema = new Schema(
+    {
+        productId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Product',
+            required: [true, 'Product ID є обов\'язковим']
+        },
+
+        // Дублюємо назву та ціну на випадок видалення/зміни товару
+        productName: {
+            type: String,
+            required: [true, 'Назва товару є обов\'язковою'],
+            trim: true
+        },
+
+        // Варіант товару (розмір, вага) - null, якщо товар без варіантів
+        variantId: {
+            type: Schema.Types.ObjectId,
+            default: null
+        },
+
+        variantName: {
+            type: String,
+            default: null,
+            trim: true
+        },
+
+        options: {
+            type: [requestItemOptionSchema],
+            default: []
+        },
+
+        quantity: {
+            type: Number,
+            required: [true, 'Кількість є обов\'язковою'],
+            min: [1, 'Кількість має бути не менше 1'],
+            max: [REQUEST_LIMITS.MAX_ITEM_QUANTITY, `Кількість має бути не більше ${REQUEST_LIMITS.MAX_ITEM_QUANTITY}`]
+        },
+
+        // Ціна одиниці: варіант (або товар) + опції
+        price: {
+            type: Number,
+            required: [true, 'Ціна є обов\'язковою'],
+            min: [0, 'Ціна не може бути від\'ємною']
+        }
+    },
+    { _id: false }
+);
+
+const requestSchema = new Schema(
+    {
+        // ============================================
+        // ЗВ'ЯЗКИ
+        // ============================================
+
+        businessId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Business',
+            required: [true, 'Business ID є обов\'язковим'],
+            immutable: true,
+            index: true
+        },
+
+        websiteId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Website',
+            required: [true, 'Website ID є обов\'язковим'],
+            immutable: true,
+            index: true
+        },
+
+        // ============================================
+        // ТИП ЗАЯВКИ
+        // ============================================
+
+        type: {
+            type: String,
+            enum: {
+                values: Object.values(REQUEST_TYPE),
+                message: 'Невалідний тип заявки'
+            },
+            required: [true, 'Тип заявки є обов\'язковим'],
+            immutable: true
+        },
+
+        // ============================================
+        // КОНТАКТНІ ДАНІ КЛІЄНТА
+        // ============================================
+
+        customerName: {
+            type: String,
+            required: [true, 'Ім\'я клієнта є обов\'язковим'],
+            trim: true,
+            minLength: [REQUEST_LIMITS.CUSTOMER_NAME.MIN_LENGTH, `Ім'я має містити мінімум ${REQUEST_LIMITS.CUSTOMER_NAME.MIN_LENGTH} символи`],
+            maxLength: [REQUEST_LIMITS.CUSTOMER_NAME.MAX_LENGTH, `Ім'я має містити максимум ${REQUEST_LIMITS.CUSTOMER_NAME.MAX_LENGTH} символів`]
+        },
+
+        customerPhone: {
+            type: String,
+            required: [true, 'Телефон клієнта є обов\'язковим'],
+            trim: true
+        },
+
+        customerEmail: {
+            type: String,
+            trim: true,
+            lowercase: true,
+            default: null
+        },
+
+        message: {
+            type: String,
+            trim: true,
+            maxLength: [REQUEST_LIMITS.MESSAGE.MAX_LENGTH, `Повідомлення має містити максимум ${REQUEST_LIMITS.MESSAGE.MAX_LENGTH} символів`],
+            default: ''
+        },
+
+        // ============================================
+        // ЗАМОВЛЕННЯ
+        // ============================================
+
+        items: {
+            type: [requestItemSchema],
+            default: []
+        },
+
+        totalAmount: {
+            type: Number,
+            min: [0, 'Сума не може бути від\'ємною'],
+            default: 0
+        },
+
+        currency: {
+            type: String,
+            enum: {
+                values: Object.values(CURRENCY),
+                message: 'Невалідна валюта'
+            },
+            default: DEFAULT_CURRENCY
+        },
+
+        // ============================================
+        // СТАТУС
+        // ============================================
+
+        status: {
+            type: String,
+            enum: {
+                values: Object.values(REQUEST_STATUS),
+                message: 'Невалідний статус заявки'
+            },
+            default: REQUEST_STATUS.NEW,
+            index: true
+        },
+
+        statusChangedAt: {
+            type: Date,
+            default: null
+        },
+
+        // ============================================
+        // ДЖЕРЕЛО
+        // ============================================
+
+        source: {
+            type: String,
+            enum: {
+                values: Object.values(REQUEST_SOURCE),
+                message: 'Невалідне джерело заявки'
+            },
+            default: REQUEST_SOURCE.DIRECT
+        },
+
+        qrCodeId: {
+            type: Schema.Types.ObjectId,
+            ref: 'QRCode',
+            default: null
+        },
+
+        // Варіант A/B split (тільки з attribution токена скану)
+        variantId: {
+            type: Schema.Types.ObjectId,
+            default: null
+        },
+
+        // Кампанія QR коду (тільки з attribution токена скану)
+        campaignId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Campaign',
+            default: null
+        },
+
+        // ============================================
+        // SOFT DELETE
+        // ============================================
+
+        isActive: {
+            type: Boolean,
+            default: true,
+            index: true
+        },
+
+        deletedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    {
+        timestamps: true,
+        toJSON: { virtuals: true },
+        toObject: { virtuals: true }
+    }
+);
+
+// ============================================
+// VIRTUALS
+// ============================================
+
+/**
+ * Кількість позицій у замовленні
+ */
+requestSchema.virtual('itemsCount').get(function () {
+    return (this.items || []).reduce((sum, item) => sum + item.quantity, 0);
+});
+
+// ============================================
+// INSTANCE METHODS
+// ============================================
+
+/**
+ * Змінити статус заявки
+ */
+requestSchema.methods.setStatus = async function (status) {
+    this.status = status;
+    this.statusChangedAt = new Date();
+    return this.save();
+};
+
+/**
+ * Перевірка чи заявка ще не оброблена
+ */
+requestSchema.methods.isNewRequest = function () {
+    return this.status === REQUEST_STATUS.NEW;
+};
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+/**
+ * Знайти всі заявки бізнесу
+ */
+requestSchema.statics.findByBusiness = function (businessId, options = {}) {
+    const query = {
+        businessId,
+        isActive: true
+    };
+
+    if (options.status) {
+        query.status = options.status;
+    }
+
+    return this.find(query).sort({ createdAt: -1 });
+};
+
+/**
+ * Порахувати нові (необроблені) заявки бізнесу
+ */
+requestSchema.statics.countNewByBusiness = function (businessId) {
+    return this.countDocuments({
+        businessId,
+        isActive: true,
+        status: REQUEST_STATUS.NEW
+    });
+};
+
+/**
+ * Підрахунок заявок по статусах для списку бізнесів
+ */
+requestSchema.statics.countByStatus = async function (businessIds) {
+    const result = await this.aggregate([
+        {
+            $match: {
+                businessId: { $in: businessIds },
+                isActive: true
+            }
+        },
+        {
+            $group: {
+                _id: '$status',
+                count: { $sum: 1 }
+            }
+        }
+    ]);
+
+    return Object.values(REQUEST_STATUS).reduce((acc, status) => {
+        const found = result.find(r => r._id === status);
+        acc[status] = found ? found.count : 0;
+        return acc;
+    }, {});
+};
+
+// ============================================
+// MIDDLEWARE HOOKS
+// ============================================
+
+// Pre-save: логування створення
+requestSchema.pre('save', function (next) {
+    if (this.isNew) {
+        logInfo('Creating new request', {
+            businessId: this.businessId,
+            websiteId: this.websiteId,
+            type: this.type,
+            itemsCount: this.items.length
+        });
+    }
+    next();
+});
+
+// Post-save: логування успіху
+requestSchema.post('save', function (doc, next) {
+    const action = doc.wasNew ? 'created' : 'updated';
+    logSuccess(`Request ${action}`, {
+        requestId: doc._id,
+        type: doc.type,
+        status: doc.status
+    });
+    next();
+});
+
+// Post-save error: обробка помилок
+requestSchema.post('save', function (error, doc, next) {
+    if (error.name === 'ValidationError') {
+        logError('Request validation error', {
+            errors: Object.keys(error.errors)
+        });
+    } else {
+        logError('Error saving request', {
+            message: error.message
+        });
+    }
+    next(error);
+});
+
+// ============================================
+// INDEXES
+// ============================================
+
+requestSchema.index({ businessId: 1, createdAt: -1 });
+requestSchema.index({ businessId: 1, status: 1, createdAt: -1 });
+requestSchema.index({ websiteId: 1, createdAt: -1 });
+requestSchema.index({ campaignId: 1, createdAt: -1 });
+
+// ============================================
+// EXPORT MODEL
+// ============================================
+
+const Request = mongoose.model('Request', requestSchema);
+
+export default Request;
@@ -0,0 +1,235 @@
+/**
+ * Session Model
+ * Mongoose схема для сесій користувача (refresh token families)
+ *
+ * Одна сесія = один вхід з пристрою (Google OAuth callback).
+ * Refresh token ротується при кожному POST /api/auth/refresh:
+ * - tokenHash - SHA-256 поточного refresh token
+ * - rotatedTokenHashes - вже використані токени цієї сесії
+ *
+ * Повторне використання старого токена (reuse detection) відкликає всю сесію.
+ *
+ * loginCodeHash - одноразовий код з OAuth redirect: токени в URL не потрапляють,
+ * фронтенд обмінює код на пару токенів через POST /api/auth/token.
+ * Access token містить sid, authMiddleware відхиляє токени відкликаних сесій.
+ */
+
+import mongoose from 'mongoose';
+import { logSuccess, logInfo, logError } from '../utils/logger.js';
+import { SESSION_REVOKE_REASON, DEVICE_TYPE } from '../config/constants.js';
+
+const { Schema } = mongoose;
+
+const sessionSchema = new Schema(
+    {
+        // ============================================
+        // ЗВ'ЯЗКИ
+        // ============================================
+
+        userId: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User ID є обов\'язковим'],
+            index: true
+        },
+
+        // ============================================
+        // REFRESH TOKEN
+        // ============================================
+
+        tokenHash: {
+            type: String,
+            required: [true, 'Token hash є обов\'язковим'],
+            select: false
+        },
+
+        // Використані (ротовані) токени для reuse detection
+        rotatedTokenHashes: {
+            type: [String],
+            default: [],
+            select: false
+        },
+
+        // Одноразовий код входу (SHA-256), до обміну на токени
+        loginCodeHash: {
+            type: String,
+            default: null,
+            select: false
+        },
+
+        loginCodeExpiresAt: {
+            type: Date,
+            default: null
+        },
+
+        // ============================================
+        // ПРИСТРІЙ
+        // ============================================
+
+        device: {
+            type: String,
+            enum: Object.values(DEVICE_TYPE),
+            default: DEVICE_TYPE.OTHER
+        },
+
+        browser: {
+            type: String,
+            default: 'Unknown'
+        },
+
+        os: {
+            type: String,
+            default: 'Unknown'
+        },
+
+        userAgent: {
+            type: String,
+            default: null
+        },
+
+        ip: {
+            type: String,
+            default: null
+        },
+
+        // ============================================
+        // ЖИТТЄВИЙ ЦИКЛ
+        // ============================================
+
+        lastUsedAt: {
+            type: Date,
+            default: Date.now
+        },
+
+        expiresAt: {
+            type: Date,
+            required: [true, 'Дата закінчення є обов\'язковою']
+        },
+
+        revokedAt: {
+            type: Date,
+            default: null
+        },
+
+        revokedReason: {
+            type: String,
+            enum: [...Object.values(SESSION_REVOKE_REASON), null],
+            default: null
+        }
+    },
+    {
+        timestamps: true,
+        toJSON: { virtuals: true },
+        toObject: { virtuals: true }
+    }
+);
+
+// ============================================
+// VIRTUALS
+// ============================================
+
+/**
+ * Чи сесія активна (не відкликана і не прострочена)
+ */
+sessionSchema.virtual('isActive').get(function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+/**
+ * Знайти активну сесію по ID (для authMiddleware)
+ */
+sessionSchema.statics.findActiveById = function (sessionId) {
+    return this.findOne({
+        _id: sessionId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+};
+
+/**
+ * Активні сесії користувача
+ */
+sessionSchema.statics.findActiveByUser = function (userId) {
+    return this.find({
+        userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+};
+
+/**
+ * Відкликати всі активні сесії користувача
+ */
+sessionSchema.statics.revokeAllForUser = function (userId, reason) {
+    return this.updateMany(
+        { userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+};
+
+// ============================================
+// MIDDLEWARE HOOKS
+// ============================================
+
+// Pre-save: логування створення
+sessionSchema.pre('save', function (next) {
+    if (this.isNew) {
+        logInfo('Creating new session', {
+            userId: this.userId,
+            device: this.device,
+            browser: this.browser
+        });
+    }
+    next();
+});
+
+// Post-save: логування успіху
+sessionSchema.post('save', function (doc, next) {
+    const action = doc.wasNew ? 'created' : 'updated';
+    logSuccess(`Session ${action}`, {
+        sessionId: doc._id,
+        userId: doc.userId
+    });
+    next();
+});
+
+// Post-save error: обробка помилок
+sessionSchema.post('save', function (error, doc, next) {
+    if (error.name === 'ValidationError') {
+        logError('Session validation error', {
+            errors: Object.keys(error.errors)
+        });
+    } else {
+        logError('Error saving session', {
+            message: error.message
+        });
+    }
+    next(error);
+});
+
+// ============================================
+// INDEXES
+// ============================================
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+
+// Обмін коду входу (сесії без коду не індексуються)
+sessionSchema.index(
+    { loginCodeHash: 1 },
+    { unique: true, partialFilterExpression: { loginCodeHash: { $type: 'string' } } }
+);
+
+// Автоматичне видалення прострочених сесій
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ============================================
+// EXPORT MODEL
+// ============================================
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -0,0 +1,319 @@
+/**
+ * Subscription Model
+ * Mongoose схема для підписок користувачів на тарифні плани
+ *
+ * Життєвий цикл:
+ * - trial: пробний період до trialEndsAt
+ * - active: оплачена підписка до endDate (null = безстрокова)
+ * - cancelled: скасована, але діє до кінця оплаченого періоду (endDate)
+ * - expired: завершена, користувач повертається на free план
+ *
+ * Ліміти (max*) зберігаються в документі як snapshot плану на момент
+ * створення, щоб enterprise міг мати індивідуальні умови.
+ */
+
+import mongoose from 'mongoose';
+import { logSuccess, logInfo, logError } from '../utils/logger.js';
+import {
+    SUBSCRIPTION_PLAN,
+    SUBSCRIPTION_STATUS,
+    BILLING_CYCLE,
+    PLAN_LIMIT_KEYS,
+    CURRENCY
+} from '../config/constants.js';
+
+const { Schema } = mongoose;
+
+const subscriptionSchema = new Schema(
+    {
+        // ============================================
+        // ЗВ'ЯЗКИ
+        // ============================================
+
+        userId: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User ID є обов\'язковим'],
+            index: true
+        },
+
+        // ============================================
+        // ПЛАН
+        // ============================================
+
+        plan: {
+            type: String,
+            enum: {
+                values: Object.values(SUBSCRIPTION_PLAN),
+                message: 'Невідомий тарифний план'
+            },
+            required: [true, 'План є обов\'язковим']
+        },
+
+        status: {
+            type: String,
+            enum: {
+                values: Object.values(SUBSCRIPTION_STATUS),
+                message: 'Невідомий статус підписки'
+            },
+            default: SUBSCRIPTION_STATUS.ACTIVE,
+            index: true
+        },
+
+        // ============================================
+        // ЦІНА
+        // ============================================
+
+        price: {
+            type: Number,
+            min: [0, 'Ціна не може бути від\'ємною'],
+            default: 0
+        },
+
+        currency: {
+            type: String,
+            enum: Object.values(CURRENCY),
+            default: CURRENCY.EUR
+        },
+
+        billingCycle: {
+            type: String,
+            enum: Object.values(BILLING_CYCLE),
+            default: BILLING_CYCLE.MONTHLY
+        },
+
+        // ============================================
+        // ЗНИЖКИ
+        // ============================================
+
+        // Знижка від рефералів (0-20%)
+        discount: {
+            type: Number,
+            min: 0,
+            max: 100,
+            default: 0
+        },
+
+        discountedPrice: {
+            type: Number,
+            min: 0,
+            default: 0
+        },
+
+        // ============================================
+        // ЛІМІТИ ПЛАНУ (-1 = unlimited)
+        // ============================================
+
+        maxBusinesses: {
+            type: Number,
+            default: null
+        },
+
+        maxWebsitesPerBusiness: {
+            type: Number,
+            default: null
+        },
+
+        maxQRCodesPerWebsite: {
+            type: Number,
+            default: null
+        },
+
+        maxProductsPerCatalog: {
+            type: Number,
+            default: null
+        },
+
+        // ============================================
+        // ДАТИ
+        // ============================================
+
+        startDate: {
+            type: Date,
+            default: Date.now
+        },
+
+        endDate: {
+            type: Date,
+            default: null
+        },
+
+        nextBillingDate: {
+            type: Date,
+            default: null
+        },
+
+        trialEndsAt: {
+            type: Date,
+            default: null
+        },
+
+        cancelledAt: {
+            type: Date,
+            default: null
+        },
+
+        // ============================================
+        // ПЛАТІЖНІ ДАНІ
+        // ============================================
+
+        stripeSubscriptionId: {
+            type: String,
+            default: null
+        },
+
+        stripeCustomerId: {
+            type: String,
+            default: null
+        }
+    },
+    {
+        timestamps: true,
+        toJSON: { virtuals: true },
+        toObject: { virtuals: true }
+    }
+);
+
+// ============================================
+// VIRTUALS
+// ============================================
+
+/**
+ * Чи це пробний період
+ */
+subscriptionSchema.virtual('isTrial').get(function () {
+    return this.status === SUBSCRIPTION_STATUS.TRIAL;
+});
+
+// ============================================
+// INSTANCE METHODS
+// ============================================
+
+/**
+ * Дата, до якої підписка надає доступ до плану
+ * null = без обмеження у часі
+ */
+subscriptionSchema.methods.getAccessEndsAt = function () {
+    if (this.status === SUBSCRIPTION_STATUS.TRIAL) {
+        return this.trialEndsAt;
+    }
+    return this.endDate;
+};
+
+/**
+ * Перевірка чи підписка надає доступ до плану на вказаний момент
+ * Скасована підписка діє до кінця оплаченого періоду
+ */
+subscriptionSchema.methods.isEffective = function (now = new Date()) {
+    if (this.status === SUBSCRIPTION_STATUS.EXPIRED) {
+        return false;
+    }
+
+    const endsAt = this.getAccessEndsAt();
+
+    if (this.status === SUBSCRIPTION_STATUS.CANCELLED) {
+        return Boolean(endsAt) && endsAt > now;
+    }
+
+    return !endsAt || endsAt > now;
+};
+
+/**
+ * Ліміти підписки з урахуванням індивідуальних значень
+ *
+ * @param {Object} planLimits - Ліміти плану з PLAN_LIMITS
+ * @returns {Object}
+ */
+subscriptionSchema.methods.getLimits = function (planLimits) {
+    const limits = { ...planLimits };
+
+    for (const key of Object.values(PLAN_LIMIT_KEYS)) {
+        if (this[key] !== null && this[key] !== undefined) {
+            limits[key] = this[key];
+        }
+    }
+
+    return limits;
+};
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+/**
+ * Поточна (остання створена) не завершена підписка користувача
+ */
+subscriptionSchema.statics.findCurrentByUser = function (userId) {
+    return this.findOne({
+        userId,
+        status: { $ne: SUBSCRIPTION_STATUS.EXPIRED }
+    }).sort({ createdAt: -1 });
+};
+
+/**
+ * Чи користувач вже використовував trial
+ */
+subscriptionSchema.statics.hasUsedTrial = async function (userId) {
+    const count = await this.countDocuments({
+        userId,
+        trialEndsAt: { $ne: null }
+    });
+    return count > 0;
+};
+
+// ============================================
+// MIDDLEWARE HOOKS
+// ============================================
+
+// Pre-save: логування створення
+subscriptionSchema.pre('save', function (next) {
+    if (this.isNew) {
+        logInfo('Creating new subscription', {
+            userId: this.userId,
+            plan: this.plan,
+            status: this.status
+        });
+    }
+    next();
+});
+
+// Post-save: логування успіху
+subscriptionSchema.post('save', function (doc, next) {
+    const action = doc.wasNew ? 'created' : 'updated';
+    logSuccess(`Subscription ${action}`, {
+        subscriptionId: doc._id,
+        plan: doc.plan,
+        status: doc.status
+    });
+    next();
+});
+
+// Post-save error: обробка помилок
+subscriptionSchema.post('save', function (error, doc, next) {
+    if (error.name === 'ValidationError') {
+        logError('Subscription validation error', {
+            errors: Object.keys(error.errors)
+        });
+    } else {
+        logError('Error saving subscription', {
+            message: error.message
+        });
+    }
+    next(error);
+});
+
+// ============================================
+// INDEXES
+// ============================================
+
+subscriptionSchema.index({ userId: 1, createdAt: -1 });
+subscriptionSchema.index({ status: 1, endDate: 1 });
+subscriptionSchema.index({ status: 1, trialEndsAt: 1 });
+
+// ============================================
+// EXPORT MODEL
+// ============================================
+
+const Subscription = mongoose.model('Subscription', subscriptionSchema);
+
+export default Subscription;
@@ -0,0 +1,297 @@
+/**
+ * WebsiteView Model
+ * Mongoose схема для tracking переглядів публічних сайтів
+ *
+ * Кожен перегляд зберігає:
+ * - Коли і звідки (країна, місто, IP)
+ * - З якого пристрою
+ * - Fingerprint (як у QRScan) для унікальності та дедуплікації
+ * - Джерело: qr_code (з attribution токеном скану), referral, direct
+ *
+ * qrCodeId + scanId дозволяють будувати воронку скан → перегляд → заявка.
+ */
+
+import mongoose from 'mongoose';
+import { logSuccess, logInfo, logError } from '../utils/logger.js';
+import { DEVICE_TYPE, REQUEST_SOURCE } from '../config/constants.js';
+
+const { Schema } = mongoose;
+
+const websiteViewSchema = new Schema(
+    {
+        // ============================================
+        // ЗВ'ЯЗКИ
+        // ============================================
+
+        websiteId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Website',
+            required: [true, 'Website ID є обов\'язковим'],
+            immutable: true,
+            index: true
+        },
+
+        businessId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Business',
+            required: [true, 'Business ID є обов\'язковим'],
+            immutable: true,
+            index: true
+        },
+
+        // ============================================
+        // ATTRIBUTION
+        // ============================================
+
+        // QR код, скан якого привів на сайт
+        qrCodeId: {
+            type: Schema.Types.ObjectId,
+            ref: 'QRCode',
+            default: null,
+            immutable: true
+        },
+
+        scanId: {
+            type: Schema.Types.ObjectId,
+            ref: 'QRScan',
+            default: null,
+            immutable: true
+        },
+
+        // Варіант A/B split скану (QRCode.splitVariants._id)
+        variantId: {
+            type: Schema.Types.ObjectId,
+            default: null,
+            immutable: true
+        },
+
+        // Кампанія QR коду на момент скану
+        campaignId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Campaign',
+            default: null,
+            immutable: true
+        },
+
+        source: {
+            type: String,
+            enum: {
+                values: Object.values(REQUEST_SOURCE),
+                message: 'Невалідне джерело перегляду'
+            },
+            default: REQUEST_SOURCE.DIRECT
+        },
+
+        // ============================================
+        // ЧАС ПЕРЕГЛЯДУ
+        // ============================================
+
+        viewedAt: {
+            type: Date,
+            required: true,
+            default: Date.now
+        },
+
+        // ============================================
+        // ГЕОЛОКАЦІЯ
+        // ============================================
+
+        country: {
+            type: String,
+            trim: true,
+            default: 'Unknown'
+        },
+
+        city: {
+            type: String,
+            trim: true,
+            default: 'Unknown'
+        },
+
+        ipAddress: {
+            type: String,
+            trim: true,
+            default: null
+        },
+
+        // ============================================
+        // ПРИСТРІЙ ТА БРАУЗЕР
+        // ============================================
+
+        device: {
+            type: String,
+            enum: {
+                values: Object.values(DEVICE_TYPE),
+                message: 'Невалідний тип пристрою'
+            },
+            default: DEVICE_TYPE.OTHER
+        },
+
+        browser: {
+            type: String,
+            trim: true,
+            default: 'Unknown'
+        },
+
+        os: {
+            type: String,
+            trim: true,
+            default: 'Unknown'
+        },
+
+        userAgent: {
+            type: String,
+            trim: true,
+            default: 'Unknown'
+        },
+
+        // ============================================
+        // FINGERPRINT ДЛЯ УНІКАЛЬНОСТІ
+        // ============================================
+
+        fingerprint: {
+            type: String,
+            required: [true, 'Fingerprint є обов\'язковим'],
+            trim: true
+        },
+
+        // Перший перегляд цього fingerprint на сайті за день
+        isUnique: {
+            type: Boolean,
+            default: true
+        },
+
+        // ============================================
+        // ДОДАТКОВА ІНФОРМАЦІЯ
+        // ============================================
+
+        referrer: {
+            type: String,
+            trim: true,
+            default: null
+        }
+    },
+    {
+        timestamps: true,
+        toJSON: { virtuals: true },
+        toObject: { virtuals: true }
+    }
+);
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+/**
+ * Чи був перегляд з цього fingerprint після дати (дедуплікація оновлень сторінки)
+ */
+websiteViewSchema.statics.hasRecentView = async function (websiteId, fingerprint, since) {
+    const view = await this.exists({
+        websiteId,
+        fingerprint,
+        viewedAt: { $gte: since }
+    });
+
+    return Boolean(view);
+};
+
+/**
+ * Перевірити чи fingerprint вже переглядав сайт сьогодні
+ */
+websiteViewSchema.statics.isUniqueViewToday = async function (websiteId, fingerprint) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const view = await this.exists({
+        websiteId,
+        fingerprint,
+        viewedAt: { $gte: today }
+    });
+
+    return !view;
+};
+
+/**
+ * Загальна, унікальна та QR-атрибутована кількість переглядів
+ *
+ * @param {Object} match - $match з ObjectId та viewedAt фільтром
+ */
+websiteViewSchema.statics.getViewTotals = async function (match) {
+    const [result] = await this.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: null,
+                totalViews: { $sum: 1 },
+                uniqueViews: { $sum: { $cond: ['$isUnique', 1, 0] } },
+                qrViews: { $sum: { $cond: [{ $ne: ['$qrCodeId', null] }, 1, 0] } }
+            }
+        },
+        { $project: { _id: 0 } }
+    ]);
+
+    return result || { totalViews: 0, uniqueViews: 0, qrViews: 0 };
+};
+
+// ============================================
+// MIDDLEWARE HOOKS
+// ============================================
+
+// Pre-save: логування створення
+websiteViewSchema.pre('save', function (next) {
+    if (this.isNew) {
+        logInfo('Recording website view', {
+            websiteId: this.websiteId,
+            source: this.source,
+            qrCodeId: this.qrCodeId
+        });
+    }
+    next();
+});
+
+// Post-save: логування успіху
+websiteViewSchema.post('save', function (doc, next) {
+    if (doc.wasNew) {
+        logSuccess('Website view recorded', {
+            viewId: doc._id,
+            websiteId: doc.websiteId,
+            source: doc.source
+        });
+    }
+    next();
+});
+
+// Post-save error: обробка помилок
+websiteViewSchema.post('save', function (error, doc, next) {
+    if (error.name === 'ValidationError') {
+        logError('Website view validation error', {
+            errors: Object.keys(error.errors)
+        });
+    } else {
+        logError('Error saving website view', {
+            message: error.message
+        });
+    }
+    next(error);
+});
+
+// ============================================
+// INDEXES
+// ============================================
+
+// Складені індекси для агрегацій та аналітики
+websiteViewSchema.index({ websiteId: 1, viewedAt: -1 });
+websiteViewSchema.index({ businessId: 1, viewedAt: -1 });
+websiteViewSchema.index({ qrCodeId: 1, viewedAt: -1 });
+websiteViewSchema.index({ campaignId: 1, viewedAt: -1 });
+
+// Для дедуплікації та унікальних переглядів
+websiteViewSchema.index({ websiteId: 1, fingerprint: 1, viewedAt: -1 });
+
+// ============================================
+// EXPORT MODEL
+// ============================================
+
+const WebsiteView = mongoose.model('WebsiteView', websiteViewSchema);
+
+export default WebsiteView;
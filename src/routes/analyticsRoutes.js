@@ -0,0 +1,121 @@
+/**
+ * Analytics Routes
+ * Маршрутизація для аналітики
+ *
+ * Базовий шлях: /api/analytics
+ *
+ * Формат: Functions (не Classes!)
+ * Відповідальність: Тільки маршрутизація + middleware chain
+ */
+
+import express from 'express';
+import AnalyticsController from '../controllers/AnalyticsController.js';
+import authMiddleware from '../middleware/authMiddleware.js';
+import { validateParams, validateQuery } from '../middleware/validateMiddleware.js';
+import {
+    analyticsIdSchema,
+    analyticsQuerySchema
+} from '../validators/analyticsValidator.js';
+
+const router = express.Router();
+
+// Ініціалізуємо контролер
+const analyticsController = new AnalyticsController();
+
+// ============================================
+// PROTECTED ROUTES (з authMiddleware)
+// ============================================
+
+/**
+ * @route   GET /api/analytics/dashboard
+ * @desc    Зведена статистика по всіх бізнесах користувача
+ * @access  Private
+ * @query   startDate, endDate, granularity, timezone
+ */
+router.get(
+    '/dashboard',
+    authMiddleware,
+    validateQuery(analyticsQuerySchema),
+    analyticsController.getDashboardStats
+);
+
+/**
+ * @route   GET /api/analytics/qrcode/:id
+ * @desc    Аналітика QR коду
+ * @access  Private
+ * @params  id - QR Code ID
+ * @query   startDate, endDate, granularity, timezone
+ */
+router.get(
+    '/qrcode/:id',
+    authMiddleware,
+    validateParams(analyticsIdSchema),
+    validateQuery(analyticsQuerySchema),
+    analyticsController.getQRCodeAnalytics
+);
+
+/**
+ * @route   GET /api/analytics/qrcode/:id/bots
+ * @desc    Відфільтрований bot трафік QR коду (причини, топ ботів)
+ * @access  Private
+ * @params  id - QR Code ID
+ * @query   startDate, endDate, timezone
+ */
+router.get(
+    '/qrcode/:id/bots',
+    authMiddleware,
+    validateParams(analyticsIdSchema),
+    validateQuery(analyticsQuerySchema),
+    analyticsController.getQRCodeBotReport
+);
+
+/**
+ * @route   GET /api/analytics/website/:id
+ * @desc    Аналітика сайту (скани QR сайту + заявки)
+ * @access  Private
+ * @params  id - Website ID
+ * @query   startDate, endDate, granularity, timezone
+ */
+router.get(
+    '/website/:id',
+    authMiddleware,
+    validateParams(analyticsIdSchema),
+    validateQuery(analyticsQuerySchema),
+    analyticsController.getWebsiteAnalytics
+);
+
+/**
+ * @route   GET /api/analytics/business/:id
+ * @desc    Аналітика бізнесу
+ * @access  Private
+ * @params  id - Business ID
+ * @query   startDate, endDate, granularity, timezone
+ */
+router.get(
+    '/business/:id',
+    authMiddleware,
+    validateParams(analyticsIdSchema),
+    validateQuery(analyticsQuerySchema),
+    analyticsController.getBusinessAnalytics
+);
+
+/**
+ * @route   GET /api/analytics/campaign/:id
+ * @desc    Аналітика кампанії (скани, унікальні, заявки, розбивка по QR кодах)
+ * @access  Private
+ * @params  id - Campaign ID
+ * @query   startDate, endDate, granularity, timezone
+ */
+router.get(
+    '/campaign/:id',
+    authMiddleware,
+    validateParams(analyticsIdSchema),
+    validateQuery(analyticsQuerySchema),
+    analyticsController.getCampaignAnalytics
+);
+
+// ============================================
+// EXPORT
+// ============================================
+
+export default router;
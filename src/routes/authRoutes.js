@@ -9,6 +9,8 @@
 import express from 'express';
 import AuthController from '../controllers/AuthController.js';
 import authMiddleware from '../middleware/authMiddleware.js';
+import { validateBody, validateParams } from '../middleware/validateMiddleware.js';
+import { refreshTokenSchema, loginCodeSchema, sessionIdSchema } from '../validators/authValidator.js';
 
 const router = express.Router();
 
@@ -19,6 +21,7 @@ const authController = new AuthController();
  * @route   GET /api/auth/google
  * @desc    Ініціює Google OAuth flow, редіректить на Google
  * @access  Public
+ * @query   ref - реферальний код (опціонально)
  */
 router.get('/google', authController.googleAuth);
 
@@ -26,7 +29,7 @@ router.get('/google', authController.googleAuth);
  * @route   GET /api/auth/google/callback
  * @desc    Callback endpoint для Google OAuth
  * @access  Public
- * @query   code - authorization code від Google
+ * @query   code - authorization code від Google, state - підписаний state
  */
 router.get('/google/callback', authController.googleCallback);
 
@@ -39,16 +42,52 @@ router.get('/me', authMiddleware, authController.getMe);
 
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout користувача
+ * @desc    Logout з поточного пристрою (відкликає сесію)
  * @access  Private (потребує JWT token)
  */
 router.post('/logout', authMiddleware, authController.logout);
 
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Logout з усіх пристроїв (відкликає всі сесії)
+ * @access  Private (потребує JWT token)
+ */
+router.post('/logout-all', authMiddleware, authController.logoutAll);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    Активні сесії користувача (пристрій, браузер, ОС, останнє використання)
+ * @access  Private (потребує JWT token)
+ */
+router.get('/sessions', authMiddleware, authController.getSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Завершити сесію
+ * @access  Private (потребує JWT token)
+ * @params  id - Session ID
+ */
+router.delete(
+    '/sessions/:id',
+    authMiddleware,
+    validateParams(sessionIdSchema),
+    authController.revokeSession
+);
+
+/**
+ * @route   POST /api/auth/token
+ * @desc    Обмін одноразового коду входу (?loginCode= з OAuth redirect) на access + refresh токени
+ * @access  Public
+ * @body    loginCode (required)
+ */
+router.post('/token', validateBody(loginCodeSchema), authController.exchangeLoginCode);
+
 /**
  * @route   POST /api/auth/refresh
- * @desc    Оновити JWT токен (для майбутнього)
+ * @desc    Ротація refresh token, нова пара access + refresh токенів
  * @access  Public
+ * @body    refreshToken (required)
  */
-router.post('/refresh', authController.refreshToken);
+router.post('/refresh', validateBody(refreshTokenSchema), authController.refreshToken);
 
 export default router;
\ No newline at end of file
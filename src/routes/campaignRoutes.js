@@ -0,0 +1,138 @@
+/**
+ * Campaign Routes
+ * Маршрутизація для маркетингових кампаній
+ *
+ * Базовий шлях: /api/campaigns
+ *
+ * Формат: Functions (не Classes!)
+ * Відповідальність: Тільки маршрутизація + middleware chain
+ */
+
+import express from 'express';
+import CampaignController from '../controllers/CampaignController.js';
+import authMiddleware from '../middleware/authMiddleware.js';
+import { validateBody, validateParams, validateQuery } from '../middleware/validateMiddleware.js';
+import {
+    createCampaignSchema,
+    updateCampaignSchema,
+    campaignQRCodesSchema,
+    campaignIdSchema,
+    campaignQuerySchema
+} from '../validators/campaignValidator.js';
+
+const router = express.Router();
+
+// Ініціалізуємо контролер
+const campaignController = new CampaignController();
+
+// ============================================
+// CRUD ROUTES
+// ============================================
+
+/**
+ * @route   GET /api/campaigns
+ * @desc    Отримати кампанії користувача (з qrCodesCount)
+ * @access  Private
+ * @query   businessId, page, limit
+ */
+router.get(
+    '/',
+    authMiddleware,
+    validateQuery(campaignQuerySchema),
+    campaignController.getAllCampaigns
+);
+
+/**
+ * @route   POST /api/campaigns
+ * @desc    Створити кампанію
+ * @access  Private
+ * @body    businessId (required), name (required), description,
+ *          utm { source, medium, campaign, term, content }, overrideExisting
+ */
+router.post(
+    '/',
+    authMiddleware,
+    validateBody(createCampaignSchema),
+    campaignController.createCampaign
+);
+
+/**
+ * @route   GET /api/campaigns/:id
+ * @desc    Отримати кампанію з її QR кодами
+ * @access  Private
+ * @params  id - Campaign ID
+ */
+router.get(
+    '/:id',
+    authMiddleware,
+    validateParams(campaignIdSchema),
+    campaignController.getCampaignById
+);
+
+/**
+ * @route   PATCH /api/campaigns/:id
+ * @desc    Оновити кампанію (нові UTM діють для наступних сканів)
+ * @access  Private
+ * @params  id - Campaign ID
+ * @body    name, description, utm, overrideExisting (all optional)
+ */
+router.patch(
+    '/:id',
+    authMiddleware,
+    validateParams(campaignIdSchema),
+    validateBody(updateCampaignSchema),
+    campaignController.updateCampaign
+);
+
+/**
+ * @route   DELETE /api/campaigns/:id
+ * @desc    Видалити кампанію (soft delete, QR коди відв'язуються)
+ * @access  Private
+ * @params  id - Campaign ID
+ */
+router.delete(
+    '/:id',
+    authMiddleware,
+    validateParams(campaignIdSchema),
+    campaignController.deleteCampaign
+);
+
+// ============================================
+// QR CODES ROUTES
+// ============================================
+
+/**
+ * @route   POST /api/campaigns/:id/qrcodes
+ * @desc    Додати QR коди до кампанії (з іншої кампанії - переносяться)
+ * @access  Private
+ * @params  id - Campaign ID
+ * @body    qrcodeIds (required) - QR коди того ж бізнесу
+ */
+router.post(
+    '/:id/qrcodes',
+    authMiddleware,
+    validateParams(campaignIdSchema),
+    validateBody(campaignQRCodesSchema),
+    campaignController.assignQRCodes
+);
+
+/**
+ * @route   DELETE /api/campaigns/:id/qrcodes
+ * @desc    Прибрати QR коди з кампанії
+ * @access  Private
+ * @params  id - Campaign ID
+ * @body    qrcodeIds (required)
+ */
+router.delete(
+    '/:id/qrcodes',
+    authMiddleware,
+    validateParams(campaignIdSchema),
+    validateBody(campaignQRCodesSchema),
+    campaignController.removeQRCodes
+);
+
+// ============================================
+// EXPORT
+// ============================================
+
+export default router;
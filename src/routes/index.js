@@ -7,8 +7,13 @@
  * /api/businesses - Бізнеси ✅
  * /api/websites   - Сайти (для майбутнього)
  * /api/qrcodes    - QR коди (для майбутнього)
- * /api/analytics  - Аналітика (для майбутнього)
- * /api/requests   - Заявки (для майбутнього)
+ * /api/campaigns  - Кампанії (UTM + групування QR кодів) ✅
+ * /api/analytics  - Аналітика ✅
+ * /api/requests   - Заявки ✅
+ * /api/public     - Публічні endpoints для сайтів ✅
+ * /api/subscriptions - Підписки та тарифні плани ✅
+ * /api/payments  - Платежі та webhook провайдера ✅
+ * /api/referrals - Реферальна програма ✅
  */
 
 import express from 'express';
@@ -17,9 +22,13 @@ import businessRoutes from './businessRoutes.js';
 import websiteRoutes from './websiteRoutes.js';
 import productRoutes from './productRoutes.js';
 import qrcodeRoutes from './qrcodeRoutes.js';
-import scanRoutes from './routes/scanRoutes.js';
-// import analyticsRoutes from './analyticsRoutes.js';
-// import requestRoutes from './requestRoutes.js';
+import campaignRoutes from './campaignRoutes.js';
+import requestRoutes from './requestRoutes.js';
+import publicRoutes from './publicRoutes.js';
+import analyticsRoutes from './analyticsRoutes.js';
+import subscriptionRoutes from './subscriptionRoutes.js';
+import paymentRoutes from './paymentRoutes.js';
+import referralRoutes from './referralRoutes.js';
 
 const router = express.Router();
 
@@ -76,15 +85,39 @@ router.use('/products', productRoutes);
 router.use('/qrcodes', qrcodeRoutes);
 
 // ============================================
-// SCAN ROUTES (закоментовані поки не створені)
+// CAMPAIGNS ROUTES
 // ============================================
-app.use('/scan', scanRoutes);
+router.use('/campaigns', campaignRoutes);
 
 // ============================================
-// FUTURE ROUTES (закоментовані поки не створені)
+// REQUESTS ROUTES
 // ============================================
-// router.use('/analytics', analyticsRoutes);
-// router.use('/requests', requestRoutes);
+router.use('/requests', requestRoutes);
+
+// ============================================
+// PUBLIC ROUTES (без авторизації)
+// ============================================
+router.use('/public', publicRoutes);
+
+// ============================================
+// ANALYTICS ROUTES
+// ============================================
+router.use('/analytics', analyticsRoutes);
+
+// ============================================
+// SUBSCRIPTIONS ROUTES
+// ============================================
+router.use('/subscriptions', subscriptionRoutes);
+
+// ============================================
+// PAYMENTS ROUTES
+// ============================================
+router.use('/payments', paymentRoutes);
+
+// ============================================
+// REFERRALS ROUTES
+// ============================================
+router.use('/referrals', referralRoutes);
 
 /**
  * 404 handler для API routes
@@ -0,0 +1,120 @@
+/**
+ * Payment Routes
+ * Маршрутизація для платежів
+ *
+ * Базовий шлях: /api/payments
+ *
+ * Формат: Functions (не Classes!)
+ * Відповідальність: Тільки маршрутизація + middleware chain
+ */
+
+import express from 'express';
+import PaymentController from '../controllers/PaymentController.js';
+import authMiddleware from '../middleware/authMiddleware.js';
+import { validateBody, validateParams, validateQuery } from '../middleware/validateMiddleware.js';
+import {
+    createSubscriptionPaymentSchema,
+    createBusinessCreationPaymentSchema,
+    simulatePaymentSchema,
+    paymentIdSchema,
+    paymentProviderSchema,
+    paymentQuerySchema
+} from '../validators/paymentValidator.js';
+
+const router = express.Router();
+
+// Ініціалізуємо контролер
+const paymentController = new PaymentController();
+
+// ============================================
+// PUBLIC ROUTES (без авторизації)
+// ============================================
+
+/**
+ * @route   POST /api/payments/webhook/:provider
+ * @desc    Webhook платіжного провайдера (перевірка підпису по сирому body)
+ * @access  Public
+ * @params  provider - fake|stripe|paypal
+ */
+router.post(
+    '/webhook/:provider',
+    validateParams(paymentProviderSchema),
+    paymentController.handleWebhook
+);
+
+// ============================================
+// PROTECTED ROUTES (з authMiddleware)
+// ============================================
+
+/**
+ * @route   GET /api/payments
+ * @desc    Історія платежів користувача
+ * @access  Private
+ * @query   type, status, page, limit
+ */
+router.get(
+    '/',
+    authMiddleware,
+    validateQuery(paymentQuerySchema),
+    paymentController.getPayments
+);
+
+/**
+ * @route   POST /api/payments/subscription
+ * @desc    Створити платіж за підписку
+ * @access  Private
+ * @body    plan (required), billingCycle
+ */
+router.post(
+    '/subscription',
+    authMiddleware,
+    validateBody(createSubscriptionPaymentSchema),
+    paymentController.createSubscriptionPayment
+);
+
+/**
+ * @route   POST /api/payments/business-creation
+ * @desc    Створити платіж за створення бізнесу
+ * @access  Private
+ * @body    businessId (required)
+ */
+router.post(
+    '/business-creation',
+    authMiddleware,
+    validateBody(createBusinessCreationPaymentSchema),
+    paymentController.createBusinessCreationPayment
+);
+
+/**
+ * @route   GET /api/payments/:id
+ * @desc    Отримати платіж
+ * @access  Private
+ * @params  id - Payment ID
+ */
+router.get(
+    '/:id',
+    authMiddleware,
+    validateParams(paymentIdSchema),
+    paymentController.getPaymentById
+);
+
+/**
+ * @route   POST /api/payments/:id/simulate
+ * @desc    Симулювати подію провайдера (fake провайдер, не production)
+ * @access  Private
+ * @params  id - Payment ID
+ * @body    event (required): succeeded|failed|refunded, failureReason
+ */
+router.post(
+    '/:id/simulate',
+    authMiddleware,
+    validateParams(paymentIdSchema),
+    validateBody(simulatePaymentSchema),
+    paymentController.simulateWebhook
+);
+
+// ============================================
+// EXPORT
+// ============================================
+
+export default router;
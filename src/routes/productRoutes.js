@@ -13,14 +13,22 @@ import express from 'express';
 import ProductController from '../controllers/ProductController.js';
 import authMiddleware from '../middleware/authMiddleware.js';
 import { validateBody, validateParams, validateQuery } from '../middleware/validateMiddleware.js';
-import { uploadSingle } from '../middleware/uploadMiddleware.js';
+import { uploadMultiple } from '../middleware/uploadMiddleware.js';
+import { PRODUCT_LIMITS } from '../config/constants.js';
 import {
     createProductSchema,
     updateProductSchema,
     productIdSchema,
+    productImageParamsSchema,
     websiteIdParamSchema,
     productQuerySchema,
-    bulkUpdateOrderSchema
+    bulkUpdateOrderSchema,
+    reorderProductImagesSchema,
+    createCategorySchema,
+    updateCategorySchema,
+    categoryIdParamSchema,
+    categoryQuerySchema,
+    bulkUpdateCategoryOrderSchema
 } from '../validators/productValidator.js';
 
 const router = express.Router();
@@ -37,7 +45,7 @@ const productController = new ProductController();
  * @desc    Отримати products сайту (публічний доступ)
  * @access  Public
  * @params  websiteId - Website ID
- * @query   isAvailable, minPrice, maxPrice, currency, page, limit, sortBy, sortOrder
+ * @query   isAvailable, minPrice, maxPrice, currency, categoryId, tag, page, limit, sortBy, sortOrder
  */
 router.get(
     '/websites/:websiteId/products',
@@ -46,6 +54,78 @@ router.get(
     productController.getWebsiteProducts
 );
 
+// ============================================
+// CATEGORY ROUTES (з authMiddleware)
+// Перед /:id, щоб "categories" не сприймався як Product ID
+// ============================================
+
+/**
+ * @route   GET /api/products/categories
+ * @desc    Отримати категорії каталогу (з кількістю товарів)
+ * @access  Private
+ * @query   websiteId (required)
+ */
+router.get(
+    '/categories',
+    authMiddleware,
+    validateQuery(categoryQuerySchema),
+    productController.getCategories
+);
+
+/**
+ * @route   POST /api/products/categories
+ * @desc    Створити категорію каталогу
+ * @access  Private
+ * @body    websiteId (required), name (required), description, order
+ */
+router.post(
+    '/categories',
+    authMiddleware,
+    validateBody(createCategorySchema),
+    productController.createCategory
+);
+
+/**
+ * @route   PATCH /api/products/categories/bulk-order
+ * @desc    Масове оновлення порядку категорій (для drag-and-drop)
+ * @access  Private
+ * @body    websiteId (required), orders: [{ categoryId, order }, ...]
+ */
+router.patch(
+    '/categories/bulk-order',
+    authMiddleware,
+    validateBody(bulkUpdateCategoryOrderSchema),
+    productController.bulkUpdateCategoryOrder
+);
+
+/**
+ * @route   PATCH /api/products/categories/:id
+ * @desc    Оновити категорію
+ * @access  Private
+ * @params  id - Category ID
+ * @body    name, description, order
+ */
+router.patch(
+    '/categories/:id',
+    authMiddleware,
+    validateParams(categoryIdParamSchema),
+    validateBody(updateCategorySchema),
+    productController.updateCategory
+);
+
+/**
+ * @route   DELETE /api/products/categories/:id
+ * @desc    Видалити категорію (товари лишаються без категорії)
+ * @access  Private
+ * @params  id - Category ID
+ */
+router.delete(
+    '/categories/:id',
+    authMiddleware,
+    validateParams(categoryIdParamSchema),
+    productController.deleteCategory
+);
+
 // ============================================
 // PROTECTED ROUTES (з authMiddleware)
 // ============================================
@@ -67,14 +147,14 @@ router.get(
  * @route   POST /api/products
  * @desc    Створити новий product
  * @access  Private
- * @body    websiteId (required), name (required), price (required),
- *          description, currency, isAvailable, order
- * @file    image (optional) - multipart/form-data
+ * @body    websiteId (required), name (required), price (required без variants),
+ *          description, categoryId, tags, variants, options, currency, isAvailable, order
+ * @file    images (optional) - multipart/form-data, до PRODUCT_LIMITS.IMAGE.MAX_COUNT (перше - обкладинка)
  */
 router.post(
     '/',
     authMiddleware,
-    uploadSingle('image'), // Multer middleware для завантаження product image
+    uploadMultiple('images', PRODUCT_LIMITS.IMAGE.MAX_COUNT), // Галерея товару (WebP варіанти генерує сервіс)
     validateBody(createProductSchema),
     productController.createProduct
 );
@@ -84,14 +164,13 @@ router.post(
  * @desc    Оновити product
  * @access  Private
  * @params  id - Product ID
- * @body    name, description, price, currency, isAvailable, order
- * @file    image (optional) - multipart/form-data
+ * @body    name, description, price, categoryId, tags, variants, options, currency, isAvailable, order
+ *          (зображення - /api/products/:id/images)
  */
 router.patch(
     '/:id',
     authMiddleware,
     validateParams(productIdSchema),
-    uploadSingle('image'), // Multer middleware для оновлення product image
     validateBody(updateProductSchema),
     productController.updateProduct
 );
@@ -135,6 +214,53 @@ router.patch(
     productController.toggleAvailability
 );
 
+// ============================================
+// IMAGE GALLERY ROUTES (з authMiddleware)
+// ============================================
+
+/**
+ * @route   POST /api/products/:id/images
+ * @desc    Додати зображення в галерею товару (thumbnail / medium / large WebP, без EXIF)
+ * @access  Private
+ * @params  id - Product ID
+ * @file    images (required) - multipart/form-data, разом з наявними до PRODUCT_LIMITS.IMAGE.MAX_COUNT
+ */
+router.post(
+    '/:id/images',
+    authMiddleware,
+    validateParams(productIdSchema),
+    uploadMultiple('images', PRODUCT_LIMITS.IMAGE.MAX_COUNT),
+    productController.addImages
+);
+
+/**
+ * @route   PATCH /api/products/:id/images/order
+ * @desc    Змінити порядок галереї (перше зображення - обкладинка товару)
+ * @access  Private
+ * @params  id - Product ID
+ * @body    imageIds (required) - всі ID зображень галереї в новому порядку
+ */
+router.patch(
+    '/:id/images/order',
+    authMiddleware,
+    validateParams(productIdSchema),
+    validateBody(reorderProductImagesSchema),
+    productController.reorderImages
+);
+
+/**
+ * @route   DELETE /api/products/:id/images/:imageId
+ * @desc    Видалити зображення з галереї (всі WebP варіанти видаляються з S3)
+ * @access  Private
+ * @params  id - Product ID, imageId - Image ID
+ */
+router.delete(
+    '/:id/images/:imageId',
+    authMiddleware,
+    validateParams(productImageParamsSchema),
+    productController.removeImage
+);
+
 // ============================================
 // EXPORT
 // ============================================
@@ -0,0 +1,97 @@
+/**
+ * Public Routes
+ * Публічні endpoints для сайтів бізнесів (SSR, форми)
+ *
+ * Базовий шлях: /api/public
+ *
+ * Формат: Functions (не Classes!)
+ * Відповідальність: Тільки маршрутизація
+ *
+ * ВАЖЛИВО: Ці роути PUBLIC - БЕЗ authMiddleware!
+ */
+
+import express from 'express';
+import RequestController from '../controllers/RequestController.js';
+import WebsiteController from '../controllers/WebsiteController.js';
+import { validateBody, validateParams, validateQuery } from '../middleware/validateMiddleware.js';
+import { createPublicRequestSchema } from '../validators/requestValidator.js';
+import {
+    websiteSlugSchema,
+    publicWebsiteQuerySchema,
+    websiteViewBeaconSchema
+} from '../validators/websiteValidator.js';
+
+const router = express.Router();
+
+// Ініціалізуємо контролери
+const requestController = new RequestController();
+const websiteController = new WebsiteController();
+
+// ============================================
+// WEBSITES (SSR, кешується через ETag)
+// ============================================
+
+/**
+ * @route   GET /api/public/websites/:slug
+ * @desc    Сайт для SSR: website (SEO, cover, контакти), business, каталог
+ * @access  Public
+ * @params  slug - Website slug
+ * @query   category, tag, page, limit (для каталогу)
+ */
+router.get(
+    '/websites/:slug',
+    validateParams(websiteSlugSchema),
+    validateQuery(publicWebsiteQuerySchema),
+    websiteController.getPublicWebsite
+);
+
+/**
+ * @route   POST /api/public/websites/:slug/views
+ * @desc    View beacon з браузера відвідувача (no-store; IP / User-Agent - відвідувача)
+ * @access  Public
+ * @params  slug - Website slug
+ * @body    qrh (attribution токен з URL сайту), referrer (document.referrer)
+ */
+router.post(
+    '/websites/:slug/views',
+    validateParams(websiteSlugSchema),
+    validateBody(websiteViewBeaconSchema),
+    websiteController.recordPublicView
+);
+
+/**
+ * @route   GET /api/public/websites/:slug/products
+ * @desc    Товари каталогу, згруповані по категоріях (варіанти, опції, мітки), з пагінацією
+ * @access  Public
+ * @params  slug - Website slug
+ * @query   category (slug), tag, page, limit
+ */
+router.get(
+    '/websites/:slug/products',
+    validateParams(websiteSlugSchema),
+    validateQuery(publicWebsiteQuerySchema),
+    websiteController.getPublicWebsiteProducts
+);
+
+// ============================================
+// REQUESTS (форми зв'язку та замовлення)
+// ============================================
+
+/**
+ * @route   POST /api/public/requests
+ * @desc    Відправити заявку (contact) або замовлення (order) з сайту
+ * @access  Public
+ * @body    websiteSlug, type, customerName, customerPhone (required),
+ *          customerEmail, message, items (required для order), qrCodeId, attributionToken
+ */
+router.post(
+    '/requests',
+    validateBody(createPublicRequestSchema),
+    requestController.createPublicRequest
+);
+
+// ============================================
+// EXPORT
+// ============================================
+
+export default router;
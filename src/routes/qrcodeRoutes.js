@@ -11,6 +11,7 @@
 import express from 'express';
 import QRCodeController from '../controllers/QRCodeController.js';
 import authMiddleware from '../middleware/authMiddleware.js';
+import { uploadCSV } from '../middleware/uploadMiddleware.js';
 import { validateBody, validateParams, validateQuery } from '../middleware/validateMiddleware.js';
 import {
     createQRCodeSchema,
@@ -18,6 +19,12 @@ import {
     qrcodeIdSchema,
     qrcodeQuerySchema,
     downloadQuerySchema,
+    printSheetSchema,
+    migrateImagesQuerySchema,
+    qrcodeRevisionParamsSchema,
+    qrcodeHistoryQuerySchema,
+    batchCreateSchema,
+    batchJobIdSchema,
     bulkCreateQRCodesSchema,
     bulkDeleteQRCodesSchema
 } from '../validators/qrcodeValidator.js';
@@ -35,7 +42,7 @@ const qrcodeController = new QRCodeController();
  * @route   GET /api/qrcodes
  * @desc    Отримати всі QR коди користувача
  * @access  Private
- * @query   status, businessId, websiteId, page, limit, sortBy, sortOrder
+ * @query   status, businessId, websiteId, campaignId, page, limit, sortBy, sortOrder
  */
 router.get(
     '/',
@@ -44,6 +51,73 @@ router.get(
     qrcodeController.getAllQRCodes
 );
 
+/**
+ * @route   POST /api/qrcodes/migrate-images
+ * @desc    Перегенерувати images старих "статичних" QR кодів (кодують shortUrl замість targetUrl)
+ * @access  Private
+ * @query   dryRun - true: тільки звіт без змін (default: false)
+ */
+router.post(
+    '/migrate-images',
+    authMiddleware,
+    validateQuery(migrateImagesQuerySchema),
+    qrcodeController.migrateQRImages
+);
+
+/**
+ * @route   POST /api/qrcodes/print-sheet
+ * @desc    PDF аркуші A4 з наліпками декількох QR кодів
+ * @access  Private
+ * @body    qrcodeIds (required), copies, size, unit (mm|in), bleed, cropMarks
+ */
+router.post(
+    '/print-sheet',
+    authMiddleware,
+    validateBody(printSheetSchema),
+    qrcodeController.exportPrintSheet
+);
+
+/**
+ * @route   POST /api/qrcodes/batch
+ * @desc    Пакетне створення QR кодів з CSV (великі файли - у фоні, 202)
+ * @access  Private
+ * @body    multipart/form-data: file (CSV), businessId (required), websiteId (required)
+ *          CSV колонки: name, targetUrl (required), description, primaryColor, backgroundColor, shortCode
+ */
+router.post(
+    '/batch',
+    authMiddleware,
+    uploadCSV('file'),
+    validateBody(batchCreateSchema),
+    qrcodeController.createBatch
+);
+
+/**
+ * @route   GET /api/qrcodes/batch/:id
+ * @desc    Статус, прогрес та звіт по рядках batch job
+ * @access  Private
+ * @params  id - Batch job ID
+ */
+router.get(
+    '/batch/:id',
+    authMiddleware,
+    validateParams(batchJobIdSchema),
+    qrcodeController.getBatchJob
+);
+
+/**
+ * @route   GET /api/qrcodes/batch/:id/download
+ * @desc    ZIP архів завершеного batch job (PNG + SVG, manifest.csv, errors.csv)
+ * @access  Private
+ * @params  id - Batch job ID
+ */
+router.get(
+    '/batch/:id/download',
+    authMiddleware,
+    validateParams(batchJobIdSchema),
+    qrcodeController.downloadBatchArchive
+);
+
 /**
  * @route   GET /api/qrcodes/:id
  * @desc    Отримати один QR код по ID
@@ -62,7 +136,8 @@ router.get(
  * @desc    Створити новий QR код
  * @access  Private
  * @body    businessId (required), websiteId (required), name (required),
- *          targetUrl (required), description, primaryColor, backgroundColor
+ *          targetUrl (required для url) або payloadType + payload (vcard, wifi, sms, email, geo, event),
+ *          campaignId, description, primaryColor, backgroundColor
  */
 router.post(
     '/',
@@ -76,7 +151,7 @@ router.post(
  * @desc    Оновити QR код
  * @access  Private
  * @params  id - QR Code ID
- * @body    name, description, targetUrl, primaryColor, backgroundColor, status (all optional)
+ * @body    name, description, targetUrl, campaignId (null - відв'язати), primaryColor, backgroundColor, status (all optional)
  */
 router.patch(
     '/:id',
@@ -108,7 +183,8 @@ router.delete(
  * @desc    Завантажити QR код як файл
  * @access  Private
  * @params  id - QR Code ID
- * @query   format - png|svg (default: png)
+ * @query   format - png|svg|pdf|eps (default: png)
+ *          size, unit (mm|in), bleed, cropMarks, dpi (png), layout (single|sheet) - друк
  */
 router.get(
     '/:id/download',
@@ -183,6 +259,34 @@ router.get(
     qrcodeController.getQRCodeStats
 );
 
+/**
+ * @route   GET /api/qrcodes/:id/history
+ * @desc    Історія ревізій QR коду (хто, коли, які поля змінив)
+ * @access  Private
+ * @params  id - QR Code ID
+ * @query   page, limit
+ */
+router.get(
+    '/:id/history',
+    authMiddleware,
+    validateParams(qrcodeIdSchema),
+    validateQuery(qrcodeHistoryQuerySchema),
+    qrcodeController.getQRCodeHistory
+);
+
+/**
+ * @route   POST /api/qrcodes/:id/rollback/:revision
+ * @desc    Відкотити QR код до ревізії (вміст, розклад, дизайн та image ревізії)
+ * @access  Private
+ * @params  id - QR Code ID, revision - номер ревізії
+ */
+router.post(
+    '/:id/rollback/:revision',
+    authMiddleware,
+    validateParams(qrcodeRevisionParamsSchema),
+    qrcodeController.rollbackQRCode
+);
+
 // ============================================
 // BULK OPERATIONS (для майбутнього)
 // ============================================
@@ -0,0 +1,40 @@
+/**
+ * Referral Routes
+ * Маршрутизація для реферальної програми
+ *
+ * Базовий шлях: /api/referrals
+ * Реєстрація по коду: GET /api/auth/google?ref=CODE (authRoutes.js)
+ *
+ * Формат: Functions (не Classes!)
+ * Відповідальність: Тільки маршрутизація + middleware chain
+ */
+
+import express from 'express';
+import ReferralController from '../controllers/ReferralController.js';
+import authMiddleware from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Ініціалізуємо контролер
+const referralController = new ReferralController();
+
+// ============================================
+// PROTECTED ROUTES (з authMiddleware)
+// ============================================
+
+/**
+ * @route   GET /api/referrals
+ * @desc    Реферальний код, знижка та статус кожного запрошеного
+ * @access  Private
+ */
+router.get(
+    '/',
+    authMiddleware,
+    referralController.getReferrals
+);
+
+// ============================================
+// EXPORT
+// ============================================
+
+export default router;
@@ -0,0 +1,106 @@
+/**
+ * Request Routes
+ * Маршрутизація для заявок (inbox власника)
+ *
+ * Базовий шлях: /api/requests
+ * Публічна відправка заявок: POST /api/public/requests (publicRoutes.js)
+ *
+ * Формат: Functions (не Classes!)
+ * Відповідальність: Тільки маршрутизація + middleware chain
+ */
+
+import express from 'express';
+import RequestController from '../controllers/RequestController.js';
+import authMiddleware from '../middleware/authMiddleware.js';
+import { validateBody, validateParams, validateQuery } from '../middleware/validateMiddleware.js';
+import {
+    updateRequestSchema,
+    requestIdSchema,
+    requestBusinessIdSchema,
+    requestQuerySchema
+} from '../validators/requestValidator.js';
+
+const router = express.Router();
+
+// Ініціалізуємо контролер
+const requestController = new RequestController();
+
+// ============================================
+// PROTECTED ROUTES (з authMiddleware)
+// ============================================
+
+/**
+ * @route   GET /api/requests
+ * @desc    Отримати всі заявки користувача
+ * @access  Private
+ * @query   businessId, websiteId, type, status, dateFrom, dateTo, search,
+ *          page, limit, sortBy, sortOrder
+ */
+router.get(
+    '/',
+    authMiddleware,
+    validateQuery(requestQuerySchema),
+    requestController.getAllRequests
+);
+
+/**
+ * @route   GET /api/requests/business/:businessId
+ * @desc    Отримати заявки конкретного бізнесу
+ * @access  Private
+ * @params  businessId - Business ID
+ * @query   websiteId, type, status, dateFrom, dateTo, search, page, limit, sortBy, sortOrder
+ */
+router.get(
+    '/business/:businessId',
+    authMiddleware,
+    validateParams(requestBusinessIdSchema),
+    validateQuery(requestQuerySchema),
+    requestController.getBusinessRequests
+);
+
+/**
+ * @route   GET /api/requests/:id
+ * @desc    Отримати одну заявку по ID
+ * @access  Private
+ * @params  id - Request ID
+ */
+router.get(
+    '/:id',
+    authMiddleware,
+    validateParams(requestIdSchema),
+    requestController.getRequestById
+);
+
+/**
+ * @route   PATCH /api/requests/:id
+ * @desc    Оновити статус заявки
+ * @access  Private
+ * @params  id - Request ID
+ * @body    status (required)
+ */
+router.patch(
+    '/:id',
+    authMiddleware,
+    validateParams(requestIdSchema),
+    validateBody(updateRequestSchema),
+    requestController.updateRequest
+);
+
+/**
+ * @route   DELETE /api/requests/:id
+ * @desc    Видалити заявку (soft delete)
+ * @access  Private
+ * @params  id - Request ID
+ */
+router.delete(
+    '/:id',
+    authMiddleware,
+    validateParams(requestIdSchema),
+    requestController.deleteRequest
+);
+
+// ============================================
+// EXPORT
+// ============================================
+
+export default router;
@@ -47,6 +47,12 @@ router.get('/health', scanController.healthCheck);
  *    - Створює QRScan запис
  *    - Оновлює статистику QRCode
  * 4. Redirect 302 на targetUrl (сайт бізнесу)
+ *
+ * Не-URL QR (payloadType):
+ * - vcard - завантаження .vcf (контакт)
+ * - event - завантаження .ics (подія в календар)
+ * - geo - redirect 302 на карти
+ * Wi-Fi / SMS / email кодуються в image напряму і сюди не ведуть (404)
  */
 router.get(
     '/:shortCode',
@@ -54,6 +60,22 @@ router.get(
     scanController.scanAndRedirect
 );
 
+/**
+ * @route   POST /s/:shortCode
+ * @desc    Форма пароля / PIN захищеного QR коду → redirect на targetUrl
+ * @access  Public
+ * @params  shortCode - Короткий код QR
+ * @body    secret - Пароль або PIN (form-urlencoded)
+ * 
+ * Скан записується тільки після правильного введення.
+ * Невдалі спроби обмежені по ip + shortCode (QR_ACCESS).
+ */
+router.post(
+    '/:shortCode',
+    validateParams(shortCodeSchema),
+    scanController.scanAndRedirect
+);
+
 /**
  * @route   GET /s/:shortCode/preview
  * @desc    Сканування з проміжною сторінкою (для майбутнього)
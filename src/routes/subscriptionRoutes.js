@@ -0,0 +1,75 @@
+/**
+ * Subscription Routes
+ * Маршрутизація для підписок та тарифних планів
+ *
+ * Базовий шлях: /api/subscriptions
+ *
+ * Формат: Functions (не Classes!)
+ * Відповідальність: Тільки маршрутизація + middleware chain
+ */
+
+import express from 'express';
+import SubscriptionController from '../controllers/SubscriptionController.js';
+import authMiddleware from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Ініціалізуємо контролер
+const subscriptionController = new SubscriptionController();
+
+// ============================================
+// PUBLIC ROUTES (без авторизації)
+// ============================================
+
+/**
+ * @route   GET /api/subscriptions/plans
+ * @desc    Список тарифних планів з лімітами
+ * @access  Public
+ */
+router.get(
+    '/plans',
+    subscriptionController.getPlans
+);
+
+// ============================================
+// PROTECTED ROUTES (з authMiddleware)
+// ============================================
+
+/**
+ * @route   GET /api/subscriptions/current
+ * @desc    Ефективний план користувача та використання лімітів
+ * @access  Private
+ */
+router.get(
+    '/current',
+    authMiddleware,
+    subscriptionController.getCurrentSubscription
+);
+
+/**
+ * @route   POST /api/subscriptions/trial
+ * @desc    Почати пробний період
+ * @access  Private
+ */
+router.post(
+    '/trial',
+    authMiddleware,
+    subscriptionController.startTrial
+);
+
+/**
+ * @route   POST /api/subscriptions/cancel
+ * @desc    Скасувати підписку (діє до кінця оплаченого періоду)
+ * @access  Private
+ */
+router.post(
+    '/cancel',
+    authMiddleware,
+    subscriptionController.cancelSubscription
+);
+
+// ============================================
+// EXPORT
+// ============================================
+
+export default router;
@@ -0,0 +1,925 @@
+/**
+ * AnalyticsService
+ * Бізнес-логіка для аналітики сканувань та заявок
+ *
+ * Відповідальність:
+ * - Звіти по QR коду, сайту, бізнесу, кампанії та dashboard користувача
+ * - Часові серії з bucket (hour/day/week/month) у часовому поясі користувача
+ * - Розподіли: країни, міста, пристрої, браузери, ОС, години доби
+ * - Total vs unique скани та порівняння з попереднім періодом
+ * - Перегляди сайтів та воронка скан → перегляд → заявка (attribution)
+ * - Кампанії: скани / унікальні / заявки по UTM кампанії та її QR кодах
+ * - Скани ботів виключені зі звітів, окремий звіт по відфільтрованому трафіку
+ * - Маркери зміни destination QR кодів (ревізії) на часовій серії
+ */
+
+import mongoose from 'mongoose';
+import QRScan, { HUMAN_SCAN_FILTER } from '../models/QRScan.js';
+import QRCode from '../models/QRCode.js';
+import Business from '../models/Business.js';
+import Website from '../models/Website.js';
+import Campaign from '../models/Campaign.js';
+import Request from '../models/Request.js';
+import WebsiteView from '../models/WebsiteView.js';
+import QRCodeRevision from '../models/QRCodeRevision.js';
+import { logInfo, logSuccess, logError } from '../utils/logger.js';
+import {
+    NotFoundError,
+    ForbiddenError,
+    BadRequestError
+} from '../utils/errorHandler.js';
+import {
+    BUCKET_FORMATS,
+    parseDateInTimezone,
+    getPreviousPeriod,
+    getDaysBetween,
+    formatBucket,
+    buildBuckets
+} from '../utils/dateHelpers.js';
+import { ANALYTICS, REQUEST_TYPE, QR_REVISION } from '../config/constants.js';
+
+const { Types } = mongoose;
+
+class AnalyticsService {
+    // ============================================
+    // REPORTS
+    // ============================================
+
+    /**
+     * Аналітика QR коду
+     *
+     * @param {String} qrCodeId - ID QR коду
+     * @param {String} userId - ID користувача (для перевірки власника)
+     * @param {Object} options - { startDate, endDate, granularity, timezone }
+     * @returns {Promise<Object>} - { qrCode, period, summary, series, breakdowns, views, funnel, variants }
+     */
+    async getQRCodeAnalytics(qrCodeId, userId, options = {}) {
+        try {
+            logInfo('Getting QR code analytics', { qrCodeId, userId });
+
+            const qrcode = await this.findOwnedQRCode(qrCodeId, userId);
+
+            const period = this.resolvePeriod(options);
+
+            const [report, traffic, rules, variants] = await Promise.all([
+                this.buildScanReport({ qrCodeId: qrcode._id }, period),
+                this.getTrafficFunnel({ qrCodeId: qrcode._id }, period),
+                this.getRuleBreakdown(qrcode, period),
+                this.getVariantComparison(qrcode, period)
+            ]);
+
+            report.breakdowns.rules = rules;
+
+            logSuccess('QR code analytics retrieved', { qrCodeId });
+
+            return {
+                qrCode: {
+                    id: qrcode._id,
+                    name: qrcode.name,
+                    shortCode: qrcode.shortCode,
+                    status: qrcode.status,
+                    lifetimeScans: qrcode.totalScans,
+                    lifetimeUniqueScans: qrcode.uniqueScans,
+                    lifetimeBotScans: qrcode.botScans,
+                    lastScanAt: qrcode.lastScanAt
+                },
+                ...report,
+                ...traffic,
+                variants
+            };
+
+        } catch (error) {
+            logError('Failed to get QR code analytics', {
+                qrCodeId,
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Відфільтрований bot трафік QR коду (link preview, crawlers, prefetch)
+     *
+     * @param {String} qrCodeId - ID QR коду
+     * @param {String} userId - ID користувача
+     * @param {Object} options - { startDate, endDate, timezone }
+     * @returns {Promise<Object>} - { qrCode, period, summary, byReason, byBot }
+     */
+    async getQRCodeBotReport(qrCodeId, userId, options = {}) {
+        try {
+            logInfo('Getting QR code bot report', { qrCodeId, userId });
+
+            const qrcode = await this.findOwnedQRCode(qrCodeId, userId);
+
+            const { startDate, endDate, timezone } = this.resolvePeriod(options);
+
+            const report = await QRScan.getBotReport({
+                qrCodeId: qrcode._id,
+                scannedAt: { $gte: startDate, $lte: endDate }
+            });
+
+            logSuccess('QR code bot report retrieved', {
+                qrCodeId,
+                botScans: report.botScans
+            });
+
+            return {
+                qrCode: {
+                    id: qrcode._id,
+                    name: qrcode.name,
+                    shortCode: qrcode.shortCode,
+                    lifetimeBotScans: qrcode.botScans
+                },
+                period: { startDate, endDate, timezone },
+                summary: {
+                    totalRequests: report.totalRequests,
+                    humanScans: report.totalRequests - report.botScans,
+                    botScans: report.botScans,
+                    botRate: this.buildRate(report.botScans, report.totalRequests)
+                },
+                byReason: report.byReason,
+                byBot: report.byBot
+            };
+
+        } catch (error) {
+            logError('Failed to get QR code bot report', {
+                qrCodeId,
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Аналітика сайту (скани всіх QR сайту + заявки)
+     *
+     * @param {String} websiteId - ID сайту
+     * @param {String} userId - ID користувача
+     * @param {Object} options - { startDate, endDate, granularity, timezone }
+     * @returns {Promise<Object>}
+     */
+    async getWebsiteAnalytics(websiteId, userId, options = {}) {
+        try {
+            logInfo('Getting website analytics', { websiteId, userId });
+
+            const website = await Website.findOne({ _id: websiteId, isActive: true })
+                .populate('businessId', 'name slug userId')
+                .select('slug type metaTitle status viewsCount requestsCount businessId')
+                .lean();
+
+            if (!website) {
+                throw new NotFoundError('Сайт не знайдено');
+            }
+
+            if (website.businessId.userId.toString() !== userId.toString()) {
+                throw new ForbiddenError('Доступ до цього сайту заборонено');
+            }
+
+            const period = this.resolvePeriod(options);
+
+            const [report, topQRCodes, requests, traffic] = await Promise.all([
+                this.buildScanReport({ websiteId: website._id }, period),
+                this.getTopQRCodes({ websiteId: website._id }, period),
+                this.getRequestSummary({ websiteId: website._id }, period),
+                this.getTrafficFunnel({ websiteId: website._id }, period)
+            ]);
+
+            logSuccess('Website analytics retrieved', { websiteId });
+
+            return {
+                website: {
+                    id: website._id,
+                    slug: website.slug,
+                    type: website.type,
+                    metaTitle: website.metaTitle,
+                    status: website.status,
+                    lifetimeViews: website.viewsCount,
+                    lifetimeRequests: website.requestsCount
+                },
+                ...report,
+                ...traffic,
+                topQRCodes,
+                requests
+            };
+
+        } catch (error) {
+            logError('Failed to get website analytics', {
+                websiteId,
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Аналітика бізнесу
+     *
+     * @param {String} businessId - ID бізнесу
+     * @param {String} userId - ID користувача
+     * @param {Object} options - { startDate, endDate, granularity, timezone }
+     * @returns {Promise<Object>}
+     */
+    async getBusinessAnalytics(businessId, userId, options = {}) {
+        try {
+            logInfo('Getting business analytics', { businessId, userId });
+
+            const business = await Business.findOne({
+                _id: businessId,
+                userId,
+                isActive: true
+            })
+                .select('name slug websitesCount qrCodesCount totalScans totalRequests')
+                .lean();
+
+            if (!business) {
+                throw new NotFoundError('Бізнес не знайдено');
+            }
+
+            const period = this.resolvePeriod(options);
+
+            const [report, topQRCodes, requests, traffic] = await Promise.all([
+                this.buildScanReport({ businessId: business._id }, period),
+                this.getTopQRCodes({ businessId: business._id }, period),
+                this.getRequestSummary({ businessId: business._id }, period),
+                this.getTrafficFunnel({ businessId: business._id }, period)
+            ]);
+
+            logSuccess('Business analytics retrieved', { businessId });
+
+            return {
+                business: {
+                    id: business._id,
+                    name: business.name,
+                    slug: business.slug,
+                    websitesCount: business.websitesCount,
+                    qrCodesCount: business.qrCodesCount,
+                    lifetimeScans: business.totalScans,
+                    lifetimeRequests: business.totalRequests
+                },
+                ...report,
+                ...traffic,
+                topQRCodes,
+                requests
+            };
+
+        } catch (error) {
+            logError('Failed to get business analytics', {
+                businessId,
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Аналітика кампанії (скани з campaignId, перегляди та заявки з attribution токена)
+     * Скани рахуються за кампанією на момент скану: QR, прибраний з кампанії,
+     * лишається в розбивці зі своїми сканами
+     *
+     * @param {String} campaignId - ID кампанії
+     * @param {String} userId - ID користувача
+     * @param {Object} options - { startDate, endDate, granularity, timezone }
+     * @returns {Promise<Object>} - { campaign, period, summary, series, breakdowns, views, funnel, requests, qrCodes }
+     */
+    async getCampaignAnalytics(campaignId, userId, options = {}) {
+        try {
+            logInfo('Getting campaign analytics', { campaignId, userId });
+
+            const campaign = await Campaign.findOne({ _id: campaignId, isActive: true })
+                .populate('businessId', 'name slug userId')
+                .lean();
+
+            if (!campaign) {
+                throw new NotFoundError('Кампанію не знайдено');
+            }
+
+            if (campaign.businessId.userId.toString() !== userId.toString()) {
+                throw new ForbiddenError('Доступ до цієї кампанії заборонено');
+            }
+
+            const period = this.resolvePeriod(options);
+            const scope = { campaignId: campaign._id };
+
+            const [report, traffic, requests, qrCodes] = await Promise.all([
+                this.buildScanReport(scope, period),
+                this.getTrafficFunnel(scope, period),
+                this.getRequestSummary(scope, period),
+                this.getCampaignQRCodes(campaign._id, period)
+            ]);
+
+            logSuccess('Campaign analytics retrieved', { campaignId });
+
+            return {
+                campaign: {
+                    id: campaign._id,
+                    name: campaign.name,
+                    business: {
+                        id: campaign.businessId._id,
+                        name: campaign.businessId.name
+                    },
+                    utm: campaign.utm,
+                    overrideExisting: campaign.overrideExisting,
+                    qrCodesCount: qrCodes.filter(qrcode => qrcode.inCampaign).length
+                },
+                ...report,
+                ...traffic,
+                requests,
+                qrCodes
+            };
+
+        } catch (error) {
+            logError('Failed to get campaign analytics', {
+                campaignId,
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Dashboard користувача (по всіх бізнесах)
+     *
+     * @param {String} userId - ID користувача
+     * @param {Object} options - { startDate, endDate, granularity, timezone }
+     * @returns {Promise<Object>}
+     */
+    async getDashboardStats(userId, options = {}) {
+        try {
+            logInfo('Getting dashboard stats', { userId });
+
+            const period = this.resolvePeriod(options);
+
+            const businesses = await Business.find({ userId, isActive: true })
+                .select('name slug')
+                .lean();
+
+            const businessIds = businesses.map(b => b._id);
+            const scope = { businessId: { $in: businessIds } };
+
+            const [totalWebsites, totalQRCodes, report, byBusiness, topQRCodes, requests, traffic] = await Promise.all([
+                Website.countDocuments({ businessId: { $in: businessIds }, isActive: true }),
+                QRCode.countDocuments({ businessId: { $in: businessIds }, isActive: true }),
+                this.buildScanReport(scope, period),
+                QRScan.getScanBreakdown(this.buildMatch(scope, period.startDate, period.endDate), 'businessId', 0),
+                this.getTopQRCodes(scope, period),
+                this.getRequestSummary(scope, period),
+                this.getTrafficFunnel(scope, period)
+            ]);
+
+            // Додаємо назви бізнесів, включно з тими що без сканів
+            const businessesStats = businesses.map(business => {
+                const stats = byBusiness.find(b => b.businessId.toString() === business._id.toString());
+                return {
+                    id: business._id,
+                    name: business.name,
+                    slug: business.slug,
+                    totalScans: stats ? stats.totalScans : 0,
+                    uniqueScans: stats ? stats.uniqueScans : 0
+                };
+            });
+
+            logSuccess('Dashboard stats retrieved', { userId });
+
+            return {
+                totals: {
+                    businesses: businesses.length,
+                    websites: totalWebsites,
+                    qrCodes: totalQRCodes
+                },
+                ...report,
+                ...traffic,
+                businesses: businessesStats,
+                topQRCodes,
+                requests
+            };
+
+        } catch (error) {
+            logError('Failed to get dashboard stats', {
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    // ============================================
+    // REPORT BUILDERS
+    // ============================================
+
+    /**
+     * Побудувати звіт по сканах для scope
+     *
+     * @param {Object} scope - { qrCodeId } | { websiteId } | { businessId } | { campaignId } | { businessId: { $in } }
+     * @param {Object} period - Результат resolvePeriod()
+     * @returns {Promise<Object>} - { period, previousPeriod, summary, series, markers, breakdowns }
+     */
+    async buildScanReport(scope, period) {
+        const { startDate, endDate, granularity, timezone, previous } = period;
+
+        const match = this.buildMatch(scope, startDate, endDate);
+        const previousMatch = this.buildMatch(scope, previous.startDate, previous.endDate);
+
+        const [
+            current,
+            previousTotals,
+            series,
+            countries,
+            cities,
+            devices,
+            browsers,
+            os,
+            hours,
+            markers
+        ] = await Promise.all([
+            QRScan.getScanTotals(match),
+            QRScan.getScanTotals(previousMatch),
+            QRScan.getScanSeries(match, BUCKET_FORMATS[granularity], timezone),
+            QRScan.getScanBreakdown(match, 'country', ANALYTICS.BREAKDOWN_LIMIT),
+            QRScan.getScanBreakdown(match, 'city', ANALYTICS.BREAKDOWN_LIMIT),
+            QRScan.getScanBreakdown(match, 'device', 0),
+            QRScan.getScanBreakdown(match, 'browser', ANALYTICS.BREAKDOWN_LIMIT),
+            QRScan.getScanBreakdown(match, 'os', ANALYTICS.BREAKDOWN_LIMIT),
+            QRScan.getScansByHourOfDay(match, timezone),
+            this.getDestinationMarkers(scope, period)
+        ]);
+
+        return {
+            period: {
+                startDate,
+                endDate,
+                granularity,
+                timezone
+            },
+            previousPeriod: {
+                startDate: previous.startDate,
+                endDate: previous.endDate
+            },
+            summary: {
+                totalScans: this.buildDelta(current.totalScans, previousTotals.totalScans),
+                uniqueScans: this.buildDelta(current.uniqueScans, previousTotals.uniqueScans)
+            },
+            series: this.fillSeries(series, period),
+            markers,
+            breakdowns: {
+                countries,
+                cities,
+                devices,
+                browsers,
+                os,
+                hours: this.fillHours(hours)
+            }
+        };
+    }
+
+    /**
+     * Скани по redirect правилах QR коду
+     * ruleId null - жодне правило не співпало (default targetUrl)
+     *
+     * @param {Object} qrcode - Результат findOwnedQRCode()
+     * @param {Object} period - Результат resolvePeriod()
+     * @returns {Promise<Array>} - [{ ruleId, name, targetUrl, isDefault, isDeleted, totalScans, uniqueScans }]
+     */
+    async getRuleBreakdown(qrcode, period) {
+        const match = this.buildMatch({ qrCodeId: qrcode._id }, period.startDate, period.endDate);
+        const breakdown = await QRScan.getScanBreakdown(match, 'matchedRuleId', 0);
+
+        const rules = new Map(
+            (qrcode.redirectRules || []).map(rule => [rule._id.toString(), rule])
+        );
+
+        return breakdown.map(({ matchedRuleId, totalScans, uniqueScans }) => {
+            if (!matchedRuleId) {
+                return {
+                    ruleId: null,
+                    name: null,
+                    targetUrl: qrcode.targetUrl,
+                    isDefault: true,
+                    isDeleted: false,
+                    totalScans,
+                    uniqueScans
+                };
+            }
+
+            // Правило могло бути видалене після сканів
+            const rule = rules.get(matchedRuleId.toString());
+
+            return {
+                ruleId: matchedRuleId,
+                name: rule ? rule.name : null,
+                targetUrl: rule ? rule.targetUrl : null,
+                isDefault: false,
+                isDeleted: !rule,
+                totalScans,
+                uniqueScans
+            };
+        });
+    }
+
+    /**
+     * Порівняння варіантів A/B split: скани → перегляди сайту → заявки
+     * Перегляди та заявки прив'язуються до варіанту через attribution токен скану
+     *
+     * @param {Object} qrcode - Результат findOwnedQRCode()
+     * @param {Object} period - Результат resolvePeriod()
+     * @returns {Promise<Array>} - [{ variantId, name, targetUrl, weight, isEnabled, isDeleted,
+     *                              scans, views, requests, scanToViewRate, viewToRequestRate, scanToRequestRate }]
+     */
+    async getVariantComparison(qrcode, period) {
+        const { startDate, endDate } = period;
+        const qrCodeId = qrcode._id;
+
+        const [scans, views, requests] = await Promise.all([
+            QRScan.getScanBreakdown(
+                { ...this.buildMatch({ qrCodeId }, startDate, endDate), variantId: { $ne: null } },
+                'variantId',
+                0
+            ),
+            WebsiteView.aggregate([
+                {
+                    $match: {
+                        ...this.castScope({ qrCodeId }),
+                        variantId: { $ne: null },
+                        viewedAt: { $gte: startDate, $lte: endDate }
+                    }
+                },
+                { $group: { _id: '$variantId', count: { $sum: 1 } } }
+            ]),
+            Request.aggregate([
+                {
+                    $match: {
+                        ...this.castScope({ qrCodeId }),
+                        variantId: { $ne: null },
+                        isActive: true,
+                        createdAt: { $gte: startDate, $lte: endDate }
+                    }
+                },
+                { $group: { _id: '$variantId', count: { $sum: 1 } } }
+            ])
+        ]);
+
+        const countsById = (items) => new Map(items.map(item => [item._id.toString(), item.count]));
+        const viewCounts = countsById(views);
+        const requestCounts = countsById(requests);
+        const scanCounts = new Map(scans.map(item => [item.variantId.toString(), item]));
+
+        // Поточні варіанти (навіть без сканів) + видалені, що мають скани у періоді
+        const variantIds = new Set([
+            ...(qrcode.splitVariants || []).map(variant => variant._id.toString()),
+            ...scanCounts.keys()
+        ]);
+
+        return [...variantIds].map(variantId => {
+            const variant = (qrcode.splitVariants || []).find(item => item._id.toString() === variantId);
+            const scanStats = scanCounts.get(variantId) || { totalScans: 0, uniqueScans: 0 };
+            const viewCount = viewCounts.get(variantId) || 0;
+            const requestCount = requestCounts.get(variantId) || 0;
+
+            return {
+                variantId,
+                name: variant ? variant.name : null,
+                targetUrl: variant ? variant.targetUrl : null,
+                weight: variant ? variant.weight : null,
+                isEnabled: variant ? variant.isEnabled : false,
+                isDeleted: !variant,
+                scans: {
+                    total: scanStats.totalScans,
+                    unique: scanStats.uniqueScans
+                },
+                views: viewCount,
+                requests: requestCount,
+                scanToViewRate: this.buildRate(viewCount, scanStats.totalScans),
+                viewToRequestRate: this.buildRate(requestCount, viewCount),
+                scanToRequestRate: this.buildRate(requestCount, scanStats.totalScans)
+            };
+        });
+    }
+
+    /**
+     * Зміни destination QR кодів у періоді - маркери на графіку сканів
+     * bucket відповідає bucket серії, щоб маркер став на потрібну точку
+     *
+     * @param {Object} scope - Scope звіту (поля є в QRCodeRevision)
+     * @param {Object} period - Результат resolvePeriod()
+     * @returns {Promise<Array>} - [{ at, bucket, qrCodeId, revision, action, userId, previousTargetUrl, targetUrl, fields }]
+     */
+    async getDestinationMarkers(scope, period) {
+        const { startDate, endDate, granularity, timezone } = period;
+
+        const revisions = await QRCodeRevision.find({
+            ...this.castScope(scope),
+            destinationChanged: true,
+            createdAt: { $gte: startDate, $lte: endDate }
+        })
+            .select('qrCodeId revision action userId previousTargetUrl targetUrl changes.field createdAt')
+            .sort({ createdAt: 1 })
+            .limit(QR_REVISION.MAX_MARKERS)
+            .lean();
+
+        return revisions.map(revision => ({
+            at: revision.createdAt,
+            bucket: formatBucket(revision.createdAt, granularity, timezone),
+            qrCodeId: revision.qrCodeId,
+            revision: revision.revision,
+            action: revision.action,
+            userId: revision.userId,
+            previousTargetUrl: revision.previousTargetUrl,
+            targetUrl: revision.targetUrl,
+            fields: revision.changes.map(change => change.field)
+        }));
+    }
+
+    /**
+     * Топ QR кодів за кількістю сканів у періоді
+     */
+    async getTopQRCodes(scope, period) {
+        const match = this.buildMatch(scope, period.startDate, period.endDate);
+        const top = await QRScan.getScanBreakdown(match, 'qrCodeId', ANALYTICS.BREAKDOWN_LIMIT);
+
+        if (top.length === 0) {
+            return [];
+        }
+
+        const qrcodes = await QRCode.find({ _id: { $in: top.map(t => t.qrCodeId) } })
+            .select('name shortCode status')
+            .lean();
+
+        return top.map(item => {
+            const qrcode = qrcodes.find(q => q._id.toString() === item.qrCodeId.toString());
+            return {
+                id: item.qrCodeId,
+                name: qrcode ? qrcode.name : null,
+                shortCode: qrcode ? qrcode.shortCode : null,
+                status: qrcode ? qrcode.status : null,
+                totalScans: item.totalScans,
+                uniqueScans: item.uniqueScans
+            };
+        });
+    }
+
+    /**
+     * Скани та заявки кампанії по QR кодах у періоді
+     * Поточні QR кампанії (включно з тими, що без сканів) + QR, які вже прибрали,
+     * але їх скани у періоді належать кампанії
+     *
+     * @param {ObjectId} campaignId - ID кампанії
+     * @param {Object} period - Результат resolvePeriod()
+     * @returns {Promise<Array>} - [{ id, name, shortCode, status, inCampaign, totalScans, uniqueScans, requests }]
+     */
+    async getCampaignQRCodes(campaignId, period) {
+        const { startDate, endDate } = period;
+
+        const [scans, requests, current] = await Promise.all([
+            QRScan.getScanBreakdown(this.buildMatch({ campaignId }, startDate, endDate), 'qrCodeId', 0),
+            Request.aggregate([
+                { $match: { campaignId, isActive: true, createdAt: { $gte: startDate, $lte: endDate } } },
+                { $group: { _id: '$qrCodeId', count: { $sum: 1 } } }
+            ]),
+            QRCode.find({ campaignId, isActive: true }).select('_id').lean()
+        ]);
+
+        const scansById = new Map(scans.map(item => [item.qrCodeId.toString(), item]));
+        const requestsById = new Map(requests.filter(item => item._id).map(item => [item._id.toString(), item.count]));
+        const currentIds = new Set(current.map(qrcode => qrcode._id.toString()));
+
+        const ids = [...new Set([...currentIds, ...scansById.keys(), ...requestsById.keys()])];
+
+        const qrcodes = await QRCode.find({ _id: { $in: ids } })
+            .select('name shortCode status')
+            .lean();
+
+        return qrcodes
+            .map(qrcode => {
+                const id = qrcode._id.toString();
+                const stats = scansById.get(id);
+
+                return {
+                    id: qrcode._id,
+                    name: qrcode.name,
+                    shortCode: qrcode.shortCode,
+                    status: qrcode.status,
+                    inCampaign: currentIds.has(id),
+                    totalScans: stats ? stats.totalScans : 0,
+                    uniqueScans: stats ? stats.uniqueScans : 0,
+                    requests: requestsById.get(id) || 0
+                };
+            })
+            .sort((a, b) => b.totalScans - a.totalScans);
+    }
+
+    /**
+     * Кількість заявок у періоді з порівнянням та розбивкою по типах
+     */
+    async getRequestSummary(scope, period) {
+        const { startDate, endDate, previous } = period;
+
+        const baseQuery = { ...scope, isActive: true };
+
+        const [current, previousCount, byType] = await Promise.all([
+            Request.countDocuments({ ...baseQuery, createdAt: { $gte: startDate, $lte: endDate } }),
+            Request.countDocuments({ ...baseQuery, createdAt: { $gte: previous.startDate, $lte: previous.endDate } }),
+            Request.aggregate([
+                { $match: { ...this.castScope(scope), isActive: true, createdAt: { $gte: startDate, $lte: endDate } } },
+                { $group: { _id: '$type', count: { $sum: 1 } } }
+            ])
+        ]);
+
+        return {
+            total: this.buildDelta(current, previousCount),
+            byType: Object.values(REQUEST_TYPE).reduce((acc, type) => {
+                const found = byType.find(t => t._id === type);
+                acc[type] = found ? found.count : 0;
+                return acc;
+            }, {})
+        };
+    }
+
+    /**
+     * Перегляди сайтів та воронка скан → перегляд → заявка у періоді
+     * Перегляди та заявки з QR визначаються по attribution (qrCodeId)
+     *
+     * @returns {Promise<Object>} - { views, funnel }
+     */
+    async getTrafficFunnel(scope, period) {
+        const { startDate, endDate } = period;
+
+        const requestQuery = { ...scope, isActive: true, createdAt: { $gte: startDate, $lte: endDate } };
+        // Для scope по QR коду всі заявки вже атрибутовані
+        const qrRequestQuery = scope.qrCodeId
+            ? requestQuery
+            : { ...requestQuery, qrCodeId: { $ne: null } };
+
+        const [scans, views, qrRequests] = await Promise.all([
+            QRScan.getScanTotals(this.buildMatch(scope, startDate, endDate)),
+            WebsiteView.getViewTotals({
+                ...this.castScope(scope),
+                viewedAt: { $gte: startDate, $lte: endDate }
+            }),
+            Request.countDocuments(qrRequestQuery)
+        ]);
+
+        return {
+            views: {
+                total: views.totalViews,
+                unique: views.uniqueViews,
+                fromQRCodes: views.qrViews
+            },
+            funnel: {
+                scans: scans.totalScans,
+                views: views.qrViews,
+                requests: qrRequests,
+                scanToViewRate: this.buildRate(views.qrViews, scans.totalScans),
+                viewToRequestRate: this.buildRate(qrRequests, views.qrViews),
+                scanToRequestRate: this.buildRate(qrRequests, scans.totalScans)
+            }
+        };
+    }
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    /**
+     * Нормалізація періоду з query параметрів
+     *
+     * @param {Object} options - { startDate, endDate, granularity, timezone }
+     * @returns {Object} - { startDate, endDate, granularity, timezone, previous }
+     * @throws {BadRequestError} - Невалідний або занадто довгий період
+     */
+    resolvePeriod(options = {}) {
+        const timezone = options.timezone || ANALYTICS.DEFAULT_TIMEZONE;
+        const granularity = options.granularity || ANALYTICS.DEFAULT_GRANULARITY;
+
+        const endDate = parseDateInTimezone(options.endDate, timezone, true) || new Date();
+        const startDate = parseDateInTimezone(options.startDate, timezone)
+            || new Date(endDate.getTime() - ANALYTICS.DEFAULT_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+
+        if (startDate > endDate) {
+            throw new BadRequestError('startDate має бути раніше endDate');
+        }
+
+        const days = getDaysBetween(startDate, endDate);
+
+        if (days > ANALYTICS.MAX_PERIOD_DAYS) {
+            throw new BadRequestError(
+                `Період не може перевищувати ${ANALYTICS.MAX_PERIOD_DAYS} днів`
+            );
+        }
+
+        if (granularity === ANALYTICS.GRANULARITY.HOUR && days > ANALYTICS.MAX_HOURLY_PERIOD_DAYS) {
+            throw new BadRequestError(
+                `Погодинна деталізація доступна для періоду до ${ANALYTICS.MAX_HOURLY_PERIOD_DAYS} днів`
+            );
+        }
+
+        return {
+            startDate,
+            endDate,
+            granularity,
+            timezone,
+            previous: getPreviousPeriod(startDate, endDate)
+        };
+    }
+
+    /**
+     * Cast ObjectId в scope (aggregate не кастить типи автоматично)
+     */
+    castScope(scope) {
+        const cast = (value) => (value instanceof Types.ObjectId ? value : new Types.ObjectId(value));
+
+        return Object.entries(scope).reduce((acc, [field, value]) => {
+            acc[field] = value && value.$in
+                ? { $in: value.$in.map(cast) }
+                : cast(value);
+            return acc;
+        }, {});
+    }
+
+    /**
+     * QR код користувача (404 / 403)
+     */
+    async findOwnedQRCode(qrCodeId, userId) {
+        const qrcode = await QRCode.findOne({ _id: qrCodeId, isActive: true })
+            .populate('businessId', 'name slug userId')
+            .select('name shortCode status targetUrl redirectRules splitVariants totalScans uniqueScans botScans lastScanAt businessId websiteId')
+            .lean();
+
+        if (!qrcode) {
+            throw new NotFoundError('QR код не знайдено');
+        }
+
+        // Перевірка власника
+        if (qrcode.businessId.userId.toString() !== userId.toString()) {
+            throw new ForbiddenError('Доступ до цього QR коду заборонено');
+        }
+
+        return qrcode;
+    }
+
+    /**
+     * $match для QRScan агрегацій (тільки реальні скани, без ботів)
+     */
+    buildMatch(scope, startDate, endDate) {
+        return {
+            ...this.castScope(scope),
+            ...HUMAN_SCAN_FILTER,
+            scannedAt: { $gte: startDate, $lte: endDate }
+        };
+    }
+
+    /**
+     * Порівняння з попереднім періодом
+     *
+     * @returns {Object} - { current, previous, change, changePercent }
+     */
+    buildDelta(current, previous) {
+        return {
+            current,
+            previous,
+            change: current - previous,
+            // null - немає бази для порівняння (попередній період без даних)
+            changePercent: previous > 0
+                ? Math.round(((current - previous) / previous) * 1000) / 10
+                : null
+        };
+    }
+
+    /**
+     * Конверсія у відсотках (null - немає бази)
+     */
+    buildRate(value, base) {
+        return base > 0
+            ? Math.round((value / base) * 1000) / 10
+            : null;
+    }
+
+    /**
+     * Доповнити серію пустими bucket (графік без пропусків)
+     */
+    fillSeries(series, period) {
+        const buckets = buildBuckets(period.startDate, period.endDate, period.granularity, period.timezone);
+        const byBucket = new Map(series.map(item => [item.bucket, item]));
+
+        return buckets.map(bucket => byBucket.get(bucket) || {
+            bucket,
+            totalScans: 0,
+            uniqueScans: 0
+        });
+    }
+
+    /**
+     * Доповнити розподіл по годинах доби до 24 значень
+     */
+    fillHours(hours) {
+        return Array.from({ length: 24 }, (_, hour) => {
+            const found = hours.find(h => h.hour === hour);
+            return { hour, totalScans: found ? found.totalScans : 0 };
+        });
+    }
+}
+
+export default AnalyticsService;
@@ -11,15 +11,30 @@
  * 6. Бекенд обмінює code на Google tokens
  * 7. Бекенд отримує профіль користувача з Google
  * 8. Бекенд створює/оновлює користувача в БД
- * 9. Бекенд генерує JWT token
- * 10. Бекенд редіректить на фронтенд з JWT token
+ * 9. Бекенд створює сесію з одноразовим кодом входу (JWT.LOGIN_CODE_TTL_SECONDS)
+ * 10. Бекенд редіректить на фронтенд з кодом (?loginCode=)
+ * 11. Фронтенд обмінює код на access JWT + refresh token (POST /api/auth/token)
+ *
+ * Токени не передаються в URL: він потрапляє в історію браузера, логи
+ * серверів / проксі та Referer. Код - одноразовий і живе хвилину.
+ *
+ * Сесії: access token короткоживучий (JWT.EXPIRES_IN) і містить sid сесії.
+ * Refresh token ротується при кожному POST /api/auth/refresh, повторне
+ * використання вже ротованого токена відкликає всю сесію (reuse detection).
+ *
+ * Реферали: /api/auth/google?ref=CODE - код передається через підписаний
+ * OAuth state і застосовується тільки при створенні нового користувача.
  */
 
 import { OAuth2Client } from 'google-auth-library';
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import ReferralService from './ReferralService.js';
 import { logInfo, logSuccess, logError, logWarn } from '../utils/logger.js';
 import { UnauthorizedError, NotFoundError } from '../utils/errorHandler.js';
+import { JWT, SESSION_REVOKE_REASON } from '../config/constants.js';
+import { parseUserAgent } from '../utils/deviceDetector.js';
 import crypto from 'crypto';
 
 class AuthService {
@@ -31,6 +46,9 @@ class AuthService {
             process.env.GOOGLE_CALLBACK_URL
         );
 
+        // Dependency Injection
+        this.referralService = new ReferralService();
+
         // OAuth scopes - що ми хочемо отримати від Google
         this.scopes = [
             'https://www.googleapis.com/auth/userinfo.profile',
@@ -40,16 +58,19 @@ class AuthService {
 
     /**
      * Генерує Google OAuth URL для авторизації користувача
+     * @param {Object} options - { referralCode } з ?ref=
      * @returns {String} - Authorization URL
      */
-    getGoogleAuthUrl() {
-        logInfo('Generating Google OAuth URL');
+    getGoogleAuthUrl(options = {}) {
+        logInfo('Generating Google OAuth URL', {
+            hasReferral: Boolean(options.referralCode)
+        });
 
         const authUrl = this.oauth2Client.generateAuthUrl({
             access_type: 'offline', // Отримуємо refresh token
             scope: this.scopes,
             prompt: 'consent', // Форсимо consent screen для refresh token
-            state: this.generateState(), // CSRF захист
+            state: this.generateState({ ref: options.referralCode }), // CSRF захист + реферал
             redirect_uri: process.env.GOOGLE_CALLBACK_URL
         });
 
@@ -61,14 +82,19 @@ class AuthService {
      * Обробляє Google OAuth callback
      * Обмінює authorization code на tokens і створює/логінить користувача
      * @param {String} code - Authorization code від Google
-     * @returns {Object} - { user, token }
+     * @param {String} state - OAuth state (підписаний generateState)
+     * @param {Object} client - { userAgent, ip } для сесії
+     * @returns {Object} - { user, loginCode }
      */
-    async handleGoogleCallback(code) {
+    async handleGoogleCallback(code, state, client = {}) {
         try {
             logInfo('Processing Google OAuth callback', {
                 codePreview: code.substring(0, 10) + '...'
             });
 
+            // 0. Перевіряємо state (CSRF) та витягуємо реферальний код
+            const { ref: referralCode } = this.verifyState(state);
+
             // 1. Обмінюємо authorization code на tokens
             const { tokens } = await this.oauth2Client.getToken(code);
             this.oauth2Client.setCredentials(tokens);
@@ -101,13 +127,13 @@ class AuthService {
             };
 
             // 4. Знаходимо або створюємо користувача в БД
-            const user = await this.findOrCreateUser(googleUser);
+            const user = await this.findOrCreateUser(googleUser, { referralCode });
 
             // 5. Оновлюємо last login
             await user.updateLastLogin();
 
-            // 6. Генеруємо JWT token
-            const jwtToken = this.generateJWT(user);
+            // 6. Створюємо сесію з кодом входу (токени - після обміну коду)
+            const loginCode = await this.createSession(user, client);
 
             logSuccess('User authenticated successfully', {
                 userId: user._id,
@@ -116,7 +142,7 @@ class AuthService {
 
             return {
                 user: this.sanitizeUser(user),
-                token: jwtToken
+                loginCode
             };
 
         } catch (error) {
@@ -131,9 +157,10 @@ class AuthService {
     /**
      * Знаходить існуючого користувача або створює нового
      * @param {Object} googleUser - Дані користувача з Google
+     * @param {Object} options - { referralCode } (тільки для нових користувачів)
      * @returns {Object} - User document
      */
-    async findOrCreateUser(googleUser) {
+    async findOrCreateUser(googleUser, options = {}) {
         try {
             // Спробуємо знайти користувача по googleId
             let user = await User.findByGoogleId(googleUser.googleId);
@@ -165,15 +192,23 @@ class AuthService {
             // Якщо користувача не знайдено - створюємо нового
             logInfo('Creating new user', { email: googleUser.email });
 
+            const referrer = await this.referralService.findReferrer(options.referralCode);
+
             user = await User.create({
                 googleId: googleUser.googleId,
                 email: googleUser.email,
                 name: googleUser.name,
                 avatar: googleUser.avatar,
+                referralCode: await this.referralService.generateUniqueCode(),
+                referredBy: referrer ? referrer._id : null,
                 isActive: true
             });
 
-            logSuccess('New user created', { userId: user._id });
+            logSuccess('New user created', { userId: user._id, referredBy: user.referredBy });
+
+            if (referrer) {
+                await this.referralService.createReferral(referrer._id, user._id);
+            }
 
             return user;
 
@@ -187,27 +222,29 @@ class AuthService {
     }
 
     /**
-     * Генерує JWT token для користувача
+     * Генерує access JWT token для користувача
      * @param {Object} user - User document
+     * @param {String} sessionId - ID сесії (sid), перевіряється authMiddleware
      * @returns {String} - JWT token
      */
-    generateJWT(user) {
+    generateJWT(user, sessionId) {
         const payload = {
             userId: user._id,
             email: user.email,
-            googleId: user.googleId
+            googleId: user.googleId,
+            sid: sessionId
         };
 
         const token = jwt.sign(
             payload,
             process.env.JWT_SECRET,
             {
-                expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+                expiresIn: JWT.EXPIRES_IN,
                 issuer: 'qrhub-api'
             }
         );
 
-        logInfo('JWT token generated', { userId: user._id });
+        logInfo('JWT token generated', { userId: user._id, sessionId });
 
         return token;
     }
@@ -271,24 +308,389 @@ class AuthService {
     }
 
     /**
-     * Генерує випадковий state для CSRF захисту
-     * @returns {String} - Random state string
+     * Генерує підписаний state для CSRF захисту
+     * Формат: base64url(JSON { nonce, iat, ref }).base64url(HMAC-SHA256)
+     * @param {Object} data - Додаткові дані (напр. { ref })
+     * @returns {String} - Signed state string
+     */
+    generateState(data = {}) {
+        const payload = Buffer.from(JSON.stringify({
+            nonce: crypto.randomBytes(16).toString('hex'),
+            iat: Math.floor(Date.now() / 1000),
+            ...(data.ref ? { ref: String(data.ref).trim().toUpperCase() } : {})
+        })).toString('base64url');
+
+        return `${payload}.${this.signState(payload)}`;
+    }
+
+    /**
+     * Перевіряє підпис та термін дії state
+     * @param {String} state - State з Google callback
+     * @returns {Object} - Payload { nonce, iat, ref? }
+     */
+    verifyState(state) {
+        const [payload, signature] = String(state || '').split('.');
+
+        if (!payload || !signature) {
+            throw new UnauthorizedError('Invalid OAuth state');
+        }
+
+        const expected = Buffer.from(this.signState(payload));
+        const received = Buffer.from(signature);
+
+        if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+            throw new UnauthorizedError('Invalid OAuth state');
+        }
+
+        const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+
+        if (Math.floor(Date.now() / 1000) - data.iat > JWT.OAUTH_STATE_TTL_SECONDS) {
+            throw new UnauthorizedError('OAuth state expired');
+        }
+
+        return data;
+    }
+
+    /**
+     * HMAC підпис state (JWT_SECRET)
+     * @param {String} payload - base64url payload
+     * @returns {String}
+     */
+    signState(payload) {
+        return crypto
+            .createHmac('sha256', process.env.JWT_SECRET)
+            .update(payload)
+            .digest('base64url');
+    }
+
+    // ============================================
+    // SESSIONS & REFRESH TOKENS
+    // ============================================
+
+    /**
+     * Створює сесію з одноразовим кодом входу
+     * Refresh token видається тільки при обміні коду (exchangeLoginCode)
+     * @param {Object} user - User document
+     * @param {Object} client - { userAgent, ip }
+     * @returns {String} - Код входу
      */
-    generateState() {
-        return crypto.randomBytes(16).toString('hex');
+    async createSession(user, client = {}) {
+        const { device, browser, os, userAgent } = parseUserAgent(client.userAgent);
+
+        const session = new Session({
+            userId: user._id,
+            device,
+            browser,
+            os,
+            userAgent,
+            ip: client.ip || null,
+            expiresAt: new Date(Date.now() + JWT.REFRESH_TTL_DAYS * 24 * 60 * 60 * 1000)
+        });
+
+        const loginCode = crypto.randomBytes(32).toString('base64url');
+
+        // Refresh token сесії ще не видано: hash випадкового значення, яке ніхто не знає
+        session.tokenHash = this.hashToken(this.buildRefreshToken(session._id));
+        session.loginCodeHash = this.hashToken(loginCode);
+        session.loginCodeExpiresAt = new Date(Date.now() + JWT.LOGIN_CODE_TTL_SECONDS * 1000);
+
+        await session.save();
+
+        return loginCode;
     }
 
     /**
-     * Logout користувача (для майбутнього - invalidate token)
+     * Обмінює одноразовий код входу на пару токенів
+     * Атомарно: код спрацьовує один раз, навіть при одночасних запитах
+     * @param {String} loginCode - Код з OAuth redirect
+     * @param {Object} client - { ip }
+     * @returns {Object} - { token, refreshToken, expiresIn }
+     */
+    async exchangeLoginCode(loginCode, client = {}) {
+        try {
+            const now = new Date();
+
+            const session = await Session.findOne({
+                loginCodeHash: this.hashToken(loginCode),
+                loginCodeExpiresAt: { $gt: now },
+                revokedAt: null,
+                expiresAt: { $gt: now }
+            }).select('_id');
+
+            if (!session) {
+                throw new UnauthorizedError('Invalid or expired login code');
+            }
+
+            const refreshToken = this.buildRefreshToken(session._id);
+
+            const claimed = await Session.findOneAndUpdate(
+                { _id: session._id, loginCodeHash: this.hashToken(loginCode) },
+                {
+                    $set: {
+                        tokenHash: this.hashToken(refreshToken),
+                        loginCodeHash: null,
+                        loginCodeExpiresAt: null,
+                        lastUsedAt: now,
+                        ...(client.ip ? { ip: client.ip } : {})
+                    }
+                },
+                { new: true }
+            );
+
+            if (!claimed) {
+                throw new UnauthorizedError('Invalid or expired login code');
+            }
+
+            const user = await User.findById(claimed.userId);
+
+            if (!user || !user.isActive) {
+                await this.revokeSession(claimed.userId, claimed._id, SESSION_REVOKE_REASON.REVOKED);
+                throw new UnauthorizedError('User account is deactivated');
+            }
+
+            logSuccess('Login code exchanged', {
+                userId: user._id,
+                sessionId: claimed._id
+            });
+
+            return {
+                token: this.generateJWT(user, claimed._id),
+                refreshToken,
+                expiresIn: JWT.EXPIRES_IN
+            };
+
+        } catch (error) {
+            logError('Failed to exchange login code', {
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Ротує refresh token: старий стає недійсним, видається нова пара
+     * Повторне використання ротованого токена відкликає сесію
+     * @param {String} refreshToken - Поточний refresh token
+     * @param {Object} client - { ip }
+     * @returns {Object} - { token, refreshToken, expiresIn }
+     */
+    async refreshTokens(refreshToken, client = {}) {
+        try {
+            const sessionId = this.parseRefreshToken(refreshToken);
+
+            if (!sessionId) {
+                throw new UnauthorizedError('Invalid refresh token');
+            }
+
+            const tokenHash = this.hashToken(refreshToken);
+            const newRefreshToken = this.buildRefreshToken(sessionId);
+
+            // Атомарна ротація: спрацьовує тільки для поточного токена активної сесії
+            const session = await Session.findOneAndUpdate(
+                {
+                    _id: sessionId,
+                    tokenHash,
+                    revokedAt: null,
+                    expiresAt: { $gt: new Date() }
+                },
+                {
+                    $set: {
+                        tokenHash: this.hashToken(newRefreshToken),
+                        lastUsedAt: new Date(),
+                        ...(client.ip ? { ip: client.ip } : {})
+                    },
+                    $push: {
+                        rotatedTokenHashes: { $each: [tokenHash], $slice: -JWT.ROTATED_TOKENS_HISTORY }
+                    }
+                },
+                { new: true }
+            );
+
+            if (!session) {
+                await this.detectTokenReuse(sessionId, tokenHash);
+                throw new UnauthorizedError('Invalid or expired refresh token');
+            }
+
+            const user = await User.findById(session.userId);
+
+            if (!user || !user.isActive) {
+                await this.revokeSession(session.userId, session._id, SESSION_REVOKE_REASON.REVOKED);
+                throw new UnauthorizedError('User account is deactivated');
+            }
+
+            logSuccess('Refresh token rotated', {
+                userId: user._id,
+                sessionId: session._id
+            });
+
+            return {
+                token: this.generateJWT(user, session._id),
+                refreshToken: newRefreshToken,
+                expiresIn: JWT.EXPIRES_IN
+            };
+
+        } catch (error) {
+            logError('Failed to refresh token', {
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Активні сесії користувача
      * @param {String} userId - User ID
+     * @param {String} currentSessionId - sid поточного access token
+     * @returns {Array}
+     */
+    async getSessions(userId, currentSessionId) {
+        try {
+            const sessions = await Session.findActiveByUser(userId).lean();
+
+            return sessions.map(session => ({
+                id: session._id,
+                device: session.device,
+                browser: session.browser,
+                os: session.os,
+                ip: session.ip,
+                lastUsedAt: session.lastUsedAt,
+                expiresAt: session.expiresAt,
+                createdAt: session.createdAt,
+                isCurrent: String(session._id) === String(currentSessionId)
+            }));
+
+        } catch (error) {
+            logError('Failed to get sessions', {
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Відкликати сесію користувача
+     * @param {String} userId - User ID (власник сесії)
+     * @param {String} sessionId - Session ID
+     * @param {String} reason - SESSION_REVOKE_REASON
      * @returns {Boolean}
      */
-    async logout(userId) {
-        // В майбутньому можна додати blacklist для токенів
-        // Або використовувати Redis для session management
-        logInfo('User logged out', { userId });
+    async revokeSession(userId, sessionId, reason = SESSION_REVOKE_REASON.REVOKED) {
+        try {
+            const session = await Session.findOneAndUpdate(
+                { _id: sessionId, userId, revokedAt: null },
+                { $set: { revokedAt: new Date(), revokedReason: reason } }
+            );
+
+            if (!session) {
+                throw new NotFoundError('Session not found');
+            }
+
+            logInfo('Session revoked', { userId, sessionId, reason });
+            return true;
+
+        } catch (error) {
+            logError('Failed to revoke session', {
+                userId,
+                sessionId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Logout з поточного пристрою (відкликає сесію access token)
+     * @param {String} userId - User ID
+     * @param {String} sessionId - sid поточного access token
+     * @returns {Boolean}
+     */
+    async logout(userId, sessionId) {
+        await this.revokeSession(userId, sessionId, SESSION_REVOKE_REASON.LOGOUT);
+        logInfo('User logged out', { userId, sessionId });
         return true;
     }
+
+    /**
+     * Logout з усіх пристроїв
+     * @param {String} userId - User ID
+     * @returns {Number} - Кількість відкликаних сесій
+     */
+    async logoutAll(userId) {
+        try {
+            const result = await Session.revokeAllForUser(userId, SESSION_REVOKE_REASON.LOGOUT_ALL);
+
+            logInfo('User logged out from all devices', {
+                userId,
+                revokedSessions: result.modifiedCount
+            });
+
+            return result.modifiedCount;
+
+        } catch (error) {
+            logError('Failed to logout from all devices', {
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    // ============================================
+    // HELPER METHODS (PRIVATE)
+    // ============================================
+
+    /**
+     * Відкликає сесію, якщо пред'явлено вже ротований refresh token
+     * @param {String} sessionId - Session ID з токена
+     * @param {String} tokenHash - Hash пред'явленого токена
+     */
+    async detectTokenReuse(sessionId, tokenHash) {
+        const session = await Session.findOneAndUpdate(
+            { _id: sessionId, rotatedTokenHashes: tokenHash, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: SESSION_REVOKE_REASON.TOKEN_REUSE } }
+        );
+
+        if (session) {
+            logWarn('Refresh token reuse detected, session revoked', {
+                userId: session.userId,
+                sessionId
+            });
+        }
+    }
+
+    /**
+     * Refresh token формату `${sessionId}.${random}`
+     * @param {String} sessionId - Session ID
+     * @returns {String}
+     */
+    buildRefreshToken(sessionId) {
+        return `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+    }
+
+    /**
+     * Витягує sessionId з refresh token
+     * @param {String} refreshToken
+     * @returns {String|null}
+     */
+    parseRefreshToken(refreshToken) {
+        const [sessionId, secret] = String(refreshToken || '').split('.');
+
+        if (!/^[0-9a-f]{24}$/i.test(sessionId) || !secret) {
+            return null;
+        }
+
+        return sessionId;
+    }
+
+    /**
+     * SHA-256 hash токена (в БД зберігаються тільки hash)
+     * @param {String} token
+     * @returns {String}
+     */
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
 }
 
 export default AuthService;
\ No newline at end of file
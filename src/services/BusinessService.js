@@ -7,25 +7,28 @@
  * - Генерація унікальних slug
  * - Завантаження/видалення logo через S3Service
  * - Оновлення статистики User
- * - Перевірка лімітів MVP
+ * - Перевірка лімітів тарифного плану через SubscriptionService
  */
 
 import Business from '../models/Business.js';
 import User from '../models/User.js';
 import S3Service from './S3Service.js';
+import SubscriptionService from './SubscriptionService.js';
+import ReferralService from './ReferralService.js';
 import { generateSlug, addSuffix, isReservedSlug } from '../utils/slugGenerator.js';
 import { logInfo, logSuccess, logError, logWarn } from '../utils/logger.js';
 import {
     NotFoundError,
-    ConflictError,
     BadRequestError,
 } from '../utils/errorHandler.js';
-import { MVP_LIMITS, BUSINESS_STATUS } from '../config/constants.js';
+import { BUSINESS_STATUS, PLAN_LIMIT_KEYS, getPlanLimits } from '../config/constants.js';
 
 class BusinessService {
     constructor() {
         // Dependency Injection
         this.s3Service = new S3Service();
+        this.subscriptionService = new SubscriptionService();
+        this.referralService = new ReferralService();
     }
 
     /**
@@ -180,8 +183,9 @@ class BusinessService {
         try {
             logInfo('Creating business', { userId, name: businessData.name });
 
-            // 1. Перевірка ліміту для MVP
-            await this.checkBusinessLimit(userId);
+            // 1. Перевірка ліміту тарифного плану
+            const { plan } = await this.subscriptionService.assertCanCreate(userId, PLAN_LIMIT_KEYS.BUSINESSES);
+            const { creationFee } = getPlanLimits(plan);
 
             // 2. Генерація унікального slug
             const slug = await this.generateUniqueSlug(businessData.name);
@@ -207,8 +211,10 @@ class BusinessService {
                 address: businessData.address || {},
                 socialMedia: businessData.socialMedia || {},
                 status: BUSINESS_STATUS.ACTIVE,
-                creationPaid: true, // Для MVP автоматично true
-                creationFee: 10 // €10 за замовчуванням
+                // Оплата створення через PaymentService (webhook ставить creationPaid)
+                creationFee,
+                creationPaid: creationFee === 0,
+                creationPaidAt: creationFee === 0 ? new Date() : null
             };
 
             // 5. Створення бізнесу
@@ -220,6 +226,16 @@ class BusinessService {
                 userId
             });
 
+            // 6. Умова активації реферала (не блокує створення бізнесу)
+            try {
+                await this.referralService.recordBusinessCreated(userId);
+            } catch (referralError) {
+                logWarn('Failed to update referral after business creation', {
+                    userId,
+                    error: referralError.message
+                });
+            }
+
             // Повертаємо plain object
             return business.toObject();
 
@@ -432,31 +448,6 @@ class BusinessService {
     // HELPER METHODS (PRIVATE)
     // ============================================
 
-    /**
-     * Перевірка ліміту бізнесів для MVP
-     * 
-     * @param {String} userId - ID користувача
-     * @throws {ConflictError} - Якщо досягнуто ліміт
-     */
-    async checkBusinessLimit(userId) {
-        const businessCount = await Business.countDocuments({
-            userId,
-            isActive: true
-        });
-
-        if (businessCount >= MVP_LIMITS.MAX_BUSINESSES_PER_USER) {
-            logWarn('Business limit reached', {
-                userId,
-                current: businessCount,
-                limit: MVP_LIMITS.MAX_BUSINESSES_PER_USER
-            });
-
-            throw new ConflictError(
-                `Business limit reached. Maximum ${MVP_LIMITS.MAX_BUSINESSES_PER_USER} business allowed for MVP.`
-            );
-        }
-    }
-
     /**
      * Генерація унікального slug
      * 
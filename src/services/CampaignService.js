@@ -0,0 +1,495 @@
+/**
+ * CampaignService
+ * Бізнес-логіка для маркетингових кампаній
+ *
+ * Відповідальність:
+ * - CRUD кампаній бізнесу (soft delete)
+ * - Додавання / видалення QR кодів кампанії (тільки QR того ж бізнесу)
+ * - Інвалідація redirect кешу QR кодів при зміні UTM або складу кампанії
+ * - Ревізії QR кодів при зміні кампанії (QRRevisionService)
+ *
+ * UTM додаються при redirect (ScanService), аналітика кампанії - AnalyticsService.
+ */
+
+import Campaign from '../models/Campaign.js';
+import QRCode from '../models/QRCode.js';
+import Business from '../models/Business.js';
+import QRRevisionService from './QRRevisionService.js';
+import { generateSlug } from '../utils/slugGenerator.js';
+import { isTrackablePayloadType } from '../utils/qrGenerator.js';
+import { invalidateQRCodeRedirects } from '../utils/redirectCache.js';
+import { logInfo, logSuccess, logError } from '../utils/logger.js';
+import {
+    NotFoundError,
+    ForbiddenError,
+    BadRequestError
+} from '../utils/errorHandler.js';
+import { CAMPAIGN_UTM, QR_REVISION_ACTION, QR_REVISION } from '../config/constants.js';
+
+// Поля QR коду для ревізії при зміні кампанії
+const REVISION_SELECT = ['businessId', 'websiteId', ...QR_REVISION.TRACKED_FIELDS].join(' ');
+
+class CampaignService {
+    constructor() {
+        // Dependency Injection
+        this.revisionService = new QRRevisionService();
+    }
+
+    // ============================================
+    // CRUD ОПЕРАЦІЇ
+    // ============================================
+
+    /**
+     * Отримати кампанії користувача
+     *
+     * @param {String} userId - ID користувача
+     * @param {Object} options - { businessId, page, limit }
+     * @returns {Promise<Object>} - { campaigns (з qrCodesCount), pagination }
+     */
+    async getUserCampaigns(userId, options = {}) {
+        try {
+            logInfo('Getting user campaigns', { userId });
+
+            const { businessId, page = 1, limit = 10 } = options;
+
+            const userBusinesses = await Business.find({
+                userId,
+                isActive: true
+            }).select('_id');
+
+            const businessIds = userBusinesses.map(b => b._id);
+
+            if (businessId && !businessIds.some(id => id.toString() === businessId)) {
+                throw new ForbiddenError('Доступ до цього бізнесу заборонено');
+            }
+
+            const query = {
+                businessId: businessId || { $in: businessIds },
+                isActive: true
+            };
+
+            const skip = (page - 1) * limit;
+
+            const [campaigns, total] = await Promise.all([
+                Campaign.find(query)
+                    .select('-__v')
+                    .populate('businessId', 'name slug')
+                    .sort({ createdAt: -1 })
+                    .skip(skip)
+                    .limit(limit)
+                    .lean(),
+                Campaign.countDocuments(query)
+            ]);
+
+            // Кількість QR кодів кожної кампанії одним запитом
+            const counts = await QRCode.aggregate([
+                { $match: { campaignId: { $in: campaigns.map(c => c._id) }, isActive: true } },
+                { $group: { _id: '$campaignId', count: { $sum: 1 } } }
+            ]);
+            const countById = new Map(counts.map(item => [item._id.toString(), item.count]));
+
+            logSuccess('User campaigns retrieved', {
+                userId,
+                count: campaigns.length,
+                total
+            });
+
+            return {
+                campaigns: campaigns.map(campaign => ({
+                    ...campaign,
+                    qrCodesCount: countById.get(campaign._id.toString()) || 0
+                })),
+                pagination: {
+                    total,
+                    page: Number(page),
+                    limit: Number(limit),
+                    pages: Math.ceil(total / limit)
+                }
+            };
+
+        } catch (error) {
+            logError('Failed to get user campaigns', {
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Отримати кампанію по ID з перевіркою власника
+     *
+     * @param {String} campaignId - ID кампанії
+     * @param {String} userId - ID користувача
+     * @returns {Promise<Object>} - Campaign (lean, businessId populated)
+     */
+    async getCampaignById(campaignId, userId) {
+        try {
+            logInfo('Getting campaign by ID', { campaignId, userId });
+
+            const campaign = await Campaign.findOne({
+                _id: campaignId,
+                isActive: true
+            })
+                .populate('businessId', 'name slug userId')
+                .lean();
+
+            if (!campaign) {
+                throw new NotFoundError('Кампанію не знайдено');
+            }
+
+            if (campaign.businessId.userId.toString() !== userId.toString()) {
+                throw new ForbiddenError('Доступ до цієї кампанії заборонено');
+            }
+
+            return campaign;
+
+        } catch (error) {
+            logError('Failed to get campaign', {
+                campaignId,
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Кампанія з її QR кодами
+     *
+     * @param {String} campaignId - ID кампанії
+     * @param {String} userId - ID користувача
+     * @returns {Promise<Object>} - Campaign + qrcodes
+     */
+    async getCampaignDetails(campaignId, userId) {
+        const campaign = await this.getCampaignById(campaignId, userId);
+
+        const qrcodes = await QRCode.find({ campaignId, isActive: true })
+            .select('name shortCode targetUrl payloadType status totalScans uniqueScans qrImageUrl websiteId createdAt')
+            .populate('websiteId', 'name type slug')
+            .sort({ createdAt: -1 })
+            .lean();
+
+        return { ...campaign, qrcodes };
+    }
+
+    /**
+     * Створити кампанію
+     *
+     * @param {String} userId - ID користувача
+     * @param {Object} campaignData - { businessId, name, description, utm, overrideExisting }
+     * @returns {Promise<Object>} - Створена кампанія
+     */
+    async createCampaign(userId, campaignData) {
+        try {
+            logInfo('Creating campaign', { userId, name: campaignData.name });
+
+            const { businessId, name, description, utm = {}, overrideExisting } = campaignData;
+
+            const business = await Business.exists({ _id: businessId, userId, isActive: true });
+
+            if (!business) {
+                throw new NotFoundError('Бізнес не знайдено');
+            }
+
+            const campaign = await Campaign.create({
+                businessId,
+                name,
+                description: description || '',
+                utm: {
+                    ...this.normalizeUTM(utm),
+                    // Не передано - slug назви ('Весна 2026' → 'vesna-2026')
+                    campaign: utm.campaign !== undefined
+                        ? utm.campaign || null
+                        : this.buildDefaultUTMCampaign(name)
+                },
+                overrideExisting: Boolean(overrideExisting)
+            });
+
+            logSuccess('Campaign created', { campaignId: campaign._id });
+
+            return campaign.toObject();
+
+        } catch (error) {
+            logError('Failed to create campaign', {
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Оновити кампанію
+     * Зміна UTM / overrideExisting інвалідує redirect кеш QR кодів кампанії
+     *
+     * @param {String} campaignId - ID кампанії
+     * @param {String} userId - ID користувача
+     * @param {Object} updateData - { name, description, utm, overrideExisting }
+     * @returns {Promise<Object>} - Оновлена кампанія
+     */
+    async updateCampaign(campaignId, userId, updateData) {
+        try {
+            logInfo('Updating campaign', { campaignId, userId });
+
+            await this.getCampaignById(campaignId, userId);
+
+            const updates = {};
+
+            for (const key of ['name', 'description', 'overrideExisting']) {
+                if (updateData[key] !== undefined) {
+                    updates[key] = updateData[key];
+                }
+            }
+
+            // Тільки передані параметри (null / '' - прибрати параметр з URL)
+            for (const [field, value] of Object.entries(this.normalizeUTM(updateData.utm || {}))) {
+                updates[`utm.${field}`] = value;
+            }
+
+            const campaign = await Campaign.findByIdAndUpdate(
+                campaignId,
+                { $set: updates },
+                { new: true, runValidators: true }
+            ).lean();
+
+            if (updateData.utm !== undefined || updateData.overrideExisting !== undefined) {
+                await this.invalidateCampaignRedirects({ campaignId });
+            }
+
+            logSuccess('Campaign updated', { campaignId });
+
+            return campaign;
+
+        } catch (error) {
+            logError('Failed to update campaign', {
+                campaignId,
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Видалити кампанію (soft delete)
+     * QR коди відв'язуються і далі працюють без UTM; історія сканів лишається
+     *
+     * @param {String} campaignId - ID кампанії
+     * @param {String} userId - ID користувача
+     * @returns {Promise<Object>} - { detachedQRCodes }
+     */
+    async deleteCampaign(campaignId, userId) {
+        try {
+            logInfo('Deleting campaign', { campaignId, userId });
+
+            await this.getCampaignById(campaignId, userId);
+
+            await Campaign.findByIdAndUpdate(campaignId, {
+                $set: {
+                    isActive: false,
+                    deletedAt: new Date()
+                }
+            });
+
+            const qrcodes = await this.detachQRCodes({ campaignId }, userId);
+
+            logSuccess('Campaign deleted (soft)', { campaignId, detachedQRCodes: qrcodes.length });
+
+            return { detachedQRCodes: qrcodes.length };
+
+        } catch (error) {
+            logError('Failed to delete campaign', {
+                campaignId,
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    // ============================================
+    // QR КОДИ КАМПАНІЇ
+    // ============================================
+
+    /**
+     * Додати QR коди до кампанії (з іншої кампанії - переносяться)
+     *
+     * @param {String} campaignId - ID кампанії
+     * @param {String} userId - ID користувача
+     * @param {Array<String>} qrcodeIds - ID QR кодів того ж бізнесу
+     * @returns {Promise<Object>} - { assigned }
+     * @throws {NotFoundError} - QR код не знайдено в бізнесі кампанії
+     * @throws {BadRequestError} - Wi-Fi / SMS / email: скан не проходить через redirect
+     */
+    async assignQRCodes(campaignId, userId, qrcodeIds) {
+        try {
+            logInfo('Assigning QR codes to campaign', { campaignId, count: qrcodeIds.length });
+
+            const campaign = await this.getCampaignById(campaignId, userId);
+
+            const qrcodes = await QRCode.find({
+                _id: { $in: qrcodeIds },
+                businessId: campaign.businessId._id,
+                isActive: true
+            })
+                .select(REVISION_SELECT)
+                .lean();
+
+            if (qrcodes.length !== qrcodeIds.length) {
+                const found = new Set(qrcodes.map(qrcode => qrcode._id.toString()));
+                const missing = qrcodeIds.filter(id => !found.has(id));
+
+                throw new NotFoundError(`QR коди не знайдено в бізнесі кампанії: ${missing.join(', ')}`);
+            }
+
+            const untrackable = qrcodes.filter(qrcode => !isTrackablePayloadType(qrcode.payloadType));
+
+            if (untrackable.length > 0) {
+                throw new BadRequestError(
+                    `Кампанія недоступна для Wi-Fi / SMS / email QR: ${untrackable.map(qrcode => qrcode._id).join(', ')}`
+                );
+            }
+
+            await QRCode.updateMany(
+                { _id: { $in: qrcodeIds } },
+                { $set: { campaignId } }
+            );
+
+            qrcodes.forEach(invalidateQRCodeRedirects);
+
+            await this.recordCampaignRevisions(qrcodes, campaign._id, userId);
+
+            logSuccess('QR codes assigned to campaign', { campaignId, assigned: qrcodes.length });
+
+            return { assigned: qrcodes.length };
+
+        } catch (error) {
+            logError('Failed to assign QR codes to campaign', {
+                campaignId,
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Прибрати QR коди з кампанії (QR не з цієї кампанії ігноруються)
+     *
+     * @param {String} campaignId - ID кампанії
+     * @param {String} userId - ID користувача
+     * @param {Array<String>} qrcodeIds - ID QR кодів
+     * @returns {Promise<Object>} - { removed }
+     */
+    async removeQRCodes(campaignId, userId, qrcodeIds) {
+        try {
+            logInfo('Removing QR codes from campaign', { campaignId, count: qrcodeIds.length });
+
+            await this.getCampaignById(campaignId, userId);
+
+            const qrcodes = await this.detachQRCodes({ _id: { $in: qrcodeIds }, campaignId }, userId);
+
+            logSuccess('QR codes removed from campaign', { campaignId, removed: qrcodes.length });
+
+            return { removed: qrcodes.length };
+
+        } catch (error) {
+            logError('Failed to remove QR codes from campaign', {
+                campaignId,
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    // ============================================
+    // HELPER METHODS
+    // ============================================
+
+    /**
+     * UTM з body: тільки передані поля, '' → null
+     *
+     * @param {Object} utm - { source, medium, campaign, term, content }
+     * @returns {Object}
+     */
+    normalizeUTM(utm) {
+        const result = {};
+
+        for (const field of Object.keys(CAMPAIGN_UTM.PARAMS)) {
+            if (utm[field] !== undefined) {
+                result[field] = utm[field] || null;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * utm_campaign за замовчуванням - slug назви кампанії
+     *
+     * @param {String} name - Назва кампанії
+     * @returns {String|null} - null, якщо з назви не виходить slug
+     */
+    buildDefaultUTMCampaign(name) {
+        try {
+            return generateSlug(name, { maxLength: CAMPAIGN_UTM.VALUE_MAX_LENGTH });
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Інвалідація redirect кешу QR кодів (UTM кампанії кешуються разом з redirect)
+     *
+     * @param {Object} filter - Фільтр QRCode
+     * @returns {Promise<Array>} - QR коди { shortCode, aliases }
+     */
+    async invalidateCampaignRedirects(filter) {
+        const qrcodes = await QRCode.find(filter).select('shortCode aliases').lean();
+
+        qrcodes.forEach(invalidateQRCodeRedirects);
+
+        return qrcodes;
+    }
+
+    /**
+     * Відв'язати QR коди від кампанії
+     * Кеш інвалідується після запису - скан між ними не закешує стару кампанію
+     *
+     * @param {Object} filter - Фільтр QRCode (з campaignId)
+     * @param {String} userId - Хто відв'язав (для ревізій)
+     * @returns {Promise<Array>} - Відв'язані QR коди { shortCode, aliases }
+     */
+    async detachQRCodes(filter, userId) {
+        const qrcodes = await QRCode.find(filter).select(REVISION_SELECT).lean();
+        const ids = qrcodes.map(qrcode => qrcode._id);
+
+        await QRCode.updateMany({ _id: { $in: ids } }, { $set: { campaignId: null } });
+
+        const detached = await this.invalidateCampaignRedirects({ _id: { $in: ids } });
+
+        await this.recordCampaignRevisions(qrcodes, null, userId);
+
+        return detached;
+    }
+
+    /**
+     * Ревізії QR кодів після зміни кампанії (QR без змін пропускаються)
+     *
+     * @param {Array<Object>} qrcodes - Стан QR кодів до зміни (REVISION_SELECT)
+     * @param {String|null} campaignId - Нова кампанія (null - відв'язано)
+     * @param {String} userId - ID користувача
+     */
+    async recordCampaignRevisions(qrcodes, campaignId, userId) {
+        for (const qrcode of qrcodes) {
+            await this.revisionService.recordRevision(qrcode, { ...qrcode, campaignId }, {
+                action: QR_REVISION_ACTION.UPDATE,
+                userId
+            });
+        }
+    }
+}
+
+export default CampaignService;
@@ -0,0 +1,585 @@
+/**
+ * PaymentService
+ * Бізнес-логіка для платежів
+ *
+ * Відповідальність:
+ * - Створення платежів (підписка, оплата створення бізнесу) через адаптер провайдера
+ * - Обробка підписаних webhook (ідемпотентно по providerPaymentId + eventId)
+ * - Наслідки оплати: Business.creationPaid, продовження Subscription, refunds
+ * - Реферальна знижка на підписку та прогрес реферала запрошеного
+ * - Історія платежів користувача
+ *
+ * Статус платежу змінюється ТІЛЬКИ webhook подією провайдера.
+ */
+
+import Payment from '../models/Payment.js';
+import Business from '../models/Business.js';
+import SubscriptionService from './SubscriptionService.js';
+import ReferralService from './ReferralService.js';
+import User from '../models/User.js';
+import { getPaymentProvider, isPaymentSimulationEnabled } from './paymentProviders/index.js';
+import { logInfo, logSuccess, logError, logWarn } from '../utils/logger.js';
+import {
+    NotFoundError,
+    BadRequestError,
+    ConflictError,
+    ForbiddenError
+} from '../utils/errorHandler.js';
+import {
+    PAYMENT_TYPE,
+    PAYMENT_STATUS,
+    PAYMENT_EVENT,
+    PAYMENT_SETTINGS,
+    SUBSCRIPTION_PLAN,
+    BILLING_CYCLE,
+    PLAN_LIMITS
+} from '../config/constants.js';
+
+// Подія → новий статус та з яких статусів дозволено перехід
+const EVENT_TRANSITIONS = {
+    [PAYMENT_EVENT.SUCCEEDED]: {
+        status: PAYMENT_STATUS.SUCCEEDED,
+        from: [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.FAILED],
+        dateField: 'paidAt'
+    },
+    [PAYMENT_EVENT.FAILED]: {
+        status: PAYMENT_STATUS.FAILED,
+        from: [PAYMENT_STATUS.PENDING],
+        dateField: 'failedAt'
+    },
+    [PAYMENT_EVENT.REFUNDED]: {
+        status: PAYMENT_STATUS.REFUNDED,
+        from: [PAYMENT_STATUS.SUCCEEDED],
+        dateField: 'refundedAt'
+    }
+};
+
+// Місяців оплати за billingCycle
+const BILLING_MONTHS = {
+    [BILLING_CYCLE.MONTHLY]: 1,
+    [BILLING_CYCLE.YEARLY]: 12
+};
+
+class PaymentService {
+    constructor() {
+        // Dependency Injection
+        this.subscriptionService = new SubscriptionService();
+        this.referralService = new ReferralService();
+    }
+
+    // ============================================
+    // СТВОРЕННЯ ПЛАТЕЖІВ
+    // ============================================
+
+    /**
+     * Створити платіж за підписку
+     * Враховує реферальну знижку користувача (User.referralDiscount)
+     *
+     * @param {String} userId - ID користувача
+     * @param {Object} data - { plan, billingCycle }
+     * @returns {Promise<Object>} - { payment, checkoutUrl }
+     */
+    async createSubscriptionPayment(userId, data) {
+        try {
+            const { plan, billingCycle = BILLING_CYCLE.MONTHLY } = data;
+
+            logInfo('Creating subscription payment', { userId, plan, billingCycle });
+
+            const price = PLAN_LIMITS[plan]?.price;
+
+            if (plan === SUBSCRIPTION_PLAN.FREE || typeof price !== 'number') {
+                throw new BadRequestError(`План ${plan} не можна оплатити онлайн`);
+            }
+
+            const user = await User.findById(userId).select('referralDiscount');
+            const discount = user?.referralDiscount || 0;
+            const amount = this.roundAmount(price * BILLING_MONTHS[billingCycle] * (1 - discount / 100));
+
+            return await this.createPayment({
+                userId,
+                type: PAYMENT_TYPE.SUBSCRIPTION,
+                amount,
+                discount,
+                plan,
+                billingCycle,
+                description: `Підписка ${plan} (${billingCycle})`
+            });
+
+        } catch (error) {
+            logError('Failed to create subscription payment', {
+                userId,
+                plan: data.plan,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Створити платіж за створення бізнесу
+     *
+     * @param {String} userId - ID користувача
+     * @param {String} businessId - ID бізнесу
+     * @returns {Promise<Object>} - { payment, checkoutUrl }
+     */
+    async createBusinessCreationPayment(userId, businessId) {
+        try {
+            logInfo('Creating business creation payment', { userId, businessId });
+
+            const business = await Business.findOne({
+                _id: businessId,
+                userId,
+                isActive: true
+            });
+
+            if (!business) {
+                throw new NotFoundError('Бізнес не знайдено');
+            }
+
+            if (business.creationPaid) {
+                throw new ConflictError('Створення бізнесу вже оплачено');
+            }
+
+            if (!business.creationFee) {
+                throw new BadRequestError('Створення цього бізнесу безкоштовне');
+            }
+
+            return await this.createPayment({
+                userId,
+                businessId,
+                type: PAYMENT_TYPE.BUSINESS_CREATION,
+                amount: business.creationFee,
+                description: `Створення бізнесу "${business.name}"`
+            });
+
+        } catch (error) {
+            logError('Failed to create business creation payment', {
+                userId,
+                businessId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    // ============================================
+    // WEBHOOKS
+    // ============================================
+
+    /**
+     * Обробити webhook провайдера
+     *
+     * Ідемпотентність:
+     * - статус змінюється атомарно тільки з дозволених статусів
+     *   і тільки якщо eventId ще не оброблено
+     * - повторна доставка тієї ж події → { processed: false, reason: 'duplicate' }
+     * - якщо статус змінено, але наслідки не застосовано (fulfilledAt = null),
+     *   повторна доставка застосовує їх
+     * - наслідки застосовує тільки webhook, що атомарно захопив fulfillment (fulfillPayment)
+     *
+     * @param {String} providerName - Назва провайдера з URL
+     * @param {Buffer|String} rawBody - Сирий body
+     * @param {Object} headers - HTTP заголовки
+     * @returns {Promise<Object>} - { processed, reason?, paymentId?, status? }
+     */
+    async handleWebhook(providerName, rawBody, headers) {
+        const provider = getPaymentProvider(providerName);
+        const event = provider.verifyWebhook(rawBody, headers);
+
+        try {
+            logInfo('Processing payment webhook', {
+                provider: provider.name,
+                eventId: event.id,
+                type: event.type,
+                providerPaymentId: event.providerPaymentId
+            });
+
+            const payment = await Payment.findByProviderPaymentId(provider.name, event.providerPaymentId);
+
+            if (!payment) {
+                logWarn('Webhook for unknown payment', {
+                    provider: provider.name,
+                    providerPaymentId: event.providerPaymentId
+                });
+                return { processed: false, reason: 'unknown_payment' };
+            }
+
+            const transition = EVENT_TRANSITIONS[event.type];
+
+            if (event.type === PAYMENT_EVENT.SUCCEEDED) {
+                this.assertAmountMatches(payment, event);
+            }
+
+            const $set = {
+                status: transition.status,
+                [transition.dateField]: event.occurredAt,
+                fulfilledAt: null,
+                fulfillmentClaimedAt: null
+            };
+
+            if (event.receiptUrl) {
+                $set.receiptUrl = event.receiptUrl;
+            }
+            if (event.type === PAYMENT_EVENT.FAILED) {
+                $set.failureReason = event.failureReason;
+            }
+
+            const updated = await Payment.findOneAndUpdate(
+                {
+                    _id: payment._id,
+                    status: { $in: transition.from },
+                    'events.eventId': { $ne: event.id }
+                },
+                {
+                    $set,
+                    $push: { events: { eventId: event.id, type: event.type } }
+                },
+                { new: true }
+            );
+
+            if (!updated) {
+                // Статус вже змінено раніше, але наслідки не застосовано - повторюємо
+                // (якщо їх зараз не застосовує інший webhook)
+                if (payment.status === transition.status && !payment.fulfilledAt && await this.fulfillPayment(payment)) {
+                    return { processed: true, reason: 'fulfillment_retried', paymentId: payment._id, status: payment.status };
+                }
+
+                logInfo('Duplicate or out-of-order webhook ignored', {
+                    paymentId: payment._id,
+                    eventId: event.id,
+                    currentStatus: payment.status,
+                    eventType: event.type
+                });
+                return { processed: false, reason: 'duplicate', paymentId: payment._id, status: payment.status };
+            }
+
+            await this.fulfillPayment(updated);
+
+            logSuccess('Payment webhook processed', {
+                paymentId: updated._id,
+                status: updated.status
+            });
+
+            return { processed: true, paymentId: updated._id, status: updated.status };
+
+        } catch (error) {
+            logError('Failed to process payment webhook', {
+                provider: provider.name,
+                eventId: event.id,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Симулювати webhook (тільки fake провайдер з PAYMENT_SIMULATION_ENABLED=true, не production)
+     * Проходить повний шлях: підпис → verifyWebhook → handleWebhook
+     *
+     * @param {String} paymentId - ID платежу
+     * @param {String} userId - ID користувача
+     * @param {Object} data - { event: 'succeeded'|'failed'|'refunded', failureReason }
+     * @returns {Promise<Object>} - Результат handleWebhook + оновлений платіж
+     */
+    async simulateWebhook(paymentId, userId, data) {
+        try {
+            const payment = await this.getOwnedPayment(paymentId, userId);
+            const provider = getPaymentProvider(payment.provider);
+
+            if (!isPaymentSimulationEnabled() || !provider.supportsSimulation() || process.env.NODE_ENV === 'production') {
+                throw new ForbiddenError('Симуляція платежів недоступна');
+            }
+
+            logInfo('Simulating payment webhook', { paymentId, event: data.event });
+
+            const { rawBody, headers } = provider.buildWebhook(`payment.${data.event}`, {
+                providerPaymentId: payment.providerPaymentId,
+                amount: payment.amount,
+                currency: payment.currency,
+                failureReason: data.failureReason
+            });
+
+            const result = await this.handleWebhook(provider.name, rawBody, headers);
+            const updated = await Payment.findById(paymentId).lean();
+
+            return { ...result, payment: updated };
+
+        } catch (error) {
+            logError('Failed to simulate payment webhook', {
+                paymentId,
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    // ============================================
+    // ІСТОРІЯ ПЛАТЕЖІВ
+    // ============================================
+
+    /**
+     * Отримати платежі користувача
+     *
+     * @param {String} userId - ID користувача
+     * @param {Object} options - { type, status, page, limit }
+     * @returns {Promise<Object>} - { payments, pagination }
+     */
+    async getUserPayments(userId, options = {}) {
+        try {
+            logInfo('Getting user payments', { userId, options });
+
+            const { type, status, page = 1, limit = 20 } = options;
+
+            const query = { userId };
+            if (type) query.type = type;
+            if (status) query.status = status;
+
+            const skip = (page - 1) * limit;
+
+            const [payments, total] = await Promise.all([
+                Payment.find(query)
+                    .select('-events')
+                    .sort({ createdAt: -1 })
+                    .skip(skip)
+                    .limit(Number(limit))
+                    .lean(),
+                Payment.countDocuments(query)
+            ]);
+
+            return {
+                payments,
+                pagination: {
+                    total,
+                    page: Number(page),
+                    limit: Number(limit),
+                    pages: Math.ceil(total / limit)
+                }
+            };
+
+        } catch (error) {
+            logError('Failed to get user payments', {
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Отримати платіж по ID (з перевіркою власника)
+     *
+     * @param {String} paymentId - ID платежу
+     * @param {String} userId - ID користувача
+     * @returns {Promise<Object>}
+     */
+    async getPaymentById(paymentId, userId) {
+        try {
+            logInfo('Getting payment by ID', { paymentId, userId });
+
+            const payment = await this.getOwnedPayment(paymentId, userId);
+
+            return payment.toObject();
+
+        } catch (error) {
+            logError('Failed to get payment', {
+                paymentId,
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    // ============================================
+    // HELPER METHODS (PRIVATE)
+    // ============================================
+
+    /**
+     * Створити pending платіж та транзакцію у провайдера
+     */
+    async createPayment(data) {
+        const provider = getPaymentProvider();
+
+        const payment = await Payment.create({
+            ...data,
+            currency: PAYMENT_SETTINGS.DEFAULT_CURRENCY,
+            status: PAYMENT_STATUS.PENDING,
+            provider: provider.name
+        });
+
+        try {
+            const { providerPaymentId, checkoutUrl } = await provider.createPayment({
+                paymentId: payment._id.toString(),
+                amount: payment.amount,
+                currency: payment.currency,
+                description: payment.description,
+                metadata: {
+                    userId: data.userId.toString(),
+                    type: payment.type
+                }
+            });
+
+            payment.providerPaymentId = providerPaymentId;
+            payment.checkoutUrl = checkoutUrl;
+            await payment.save();
+
+        } catch (error) {
+            // Провайдер недоступний - платіж не може бути завершений
+            payment.status = PAYMENT_STATUS.FAILED;
+            payment.failedAt = new Date();
+            payment.failureReason = error.message;
+            await payment.save();
+            throw error;
+        }
+
+        logSuccess('Payment created', {
+            paymentId: payment._id,
+            type: payment.type,
+            amount: payment.amount,
+            provider: provider.name
+        });
+
+        return {
+            payment: payment.toObject(),
+            checkoutUrl: payment.checkoutUrl
+        };
+    }
+
+    /**
+     * Застосувати наслідки поточного статусу платежу
+     * (оплата → доступ, refund → відкликання доступу)
+     *
+     * Спочатку атомарно захоплює fulfillment: паралельні / повторні webhook
+     * не продовжують підписку і не рахують реферальні місяці двічі.
+     *
+     * @param {Object} payment - Платіж (статус, для якого застосовуються наслідки)
+     * @returns {Promise<Boolean>} - false: наслідки вже застосовано або їх застосовує інший запит
+     */
+    async fulfillPayment(payment) {
+        const claimedAt = new Date();
+        const claimExpiredAt = new Date(claimedAt.getTime() - PAYMENT_SETTINGS.FULFILLMENT_CLAIM_TTL_MS);
+
+        const claimed = await Payment.findOneAndUpdate(
+            {
+                _id: payment._id,
+                status: payment.status,
+                fulfilledAt: null,
+                $or: [
+                    { fulfillmentClaimedAt: null },
+                    { fulfillmentClaimedAt: { $lt: claimExpiredAt } }
+                ]
+            },
+            { $set: { fulfillmentClaimedAt: claimedAt } },
+            { new: true }
+        );
+
+        if (!claimed) {
+            logInfo('Payment fulfillment already applied or in progress', {
+                paymentId: payment._id,
+                status: payment.status
+            });
+            return false;
+        }
+
+        const paid = claimed.status === PAYMENT_STATUS.SUCCEEDED;
+        const refunded = claimed.status === PAYMENT_STATUS.REFUNDED;
+        const update = { fulfilledAt: new Date(), fulfillmentClaimedAt: null };
+
+        try {
+            if (claimed.type === PAYMENT_TYPE.BUSINESS_CREATION && (paid || refunded)) {
+                await Business.updateOne(
+                    { _id: claimed.businessId },
+                    {
+                        $set: {
+                            creationPaid: paid,
+                            creationPaidAt: paid ? claimed.paidAt : null
+                        }
+                    }
+                );
+
+                logInfo('Business creation payment applied', {
+                    businessId: claimed.businessId,
+                    creationPaid: paid
+                });
+            }
+
+            if (claimed.type === PAYMENT_TYPE.SUBSCRIPTION) {
+                const months = BILLING_MONTHS[claimed.billingCycle];
+
+                if (paid) {
+                    const subscription = await this.subscriptionService.activateFromPayment(claimed);
+                    update.subscriptionId = subscription._id;
+                    await this.referralService.recordSubscriptionPayment(claimed.userId, months);
+                } else if (refunded) {
+                    await this.subscriptionService.revokeFromPayment(claimed);
+                    await this.referralService.recordSubscriptionRefund(claimed.userId, months);
+                }
+            }
+
+        } catch (error) {
+            // Звільнити claim, щоб повторна доставка webhook могла застосувати наслідки
+            await Payment.updateOne(
+                { _id: claimed._id, fulfillmentClaimedAt: claimedAt },
+                { $set: { fulfillmentClaimedAt: null } }
+            );
+            throw error;
+        }
+
+        // Статус змінився під час застосування - наслідки нового статусу застосує його webhook
+        await Payment.updateOne(
+            { _id: claimed._id, fulfillmentClaimedAt: claimedAt },
+            { $set: update }
+        );
+
+        return true;
+    }
+
+    /**
+     * Сума у webhook має співпадати з сумою платежу
+     */
+    assertAmountMatches(payment, event) {
+        if (event.amount === null) {
+            return;
+        }
+
+        const sameAmount = Math.round(event.amount * 100) === Math.round(payment.amount * 100);
+        const sameCurrency = !event.currency || event.currency.toUpperCase() === payment.currency;
+
+        if (!sameAmount || !sameCurrency) {
+            logWarn('Webhook amount mismatch', {
+                paymentId: payment._id,
+                expected: `${payment.amount} ${payment.currency}`,
+                received: `${event.amount} ${event.currency}`
+            });
+            throw new BadRequestError('Сума платежу не співпадає');
+        }
+    }
+
+    /**
+     * Отримати платіж з перевіркою власника
+     */
+    async getOwnedPayment(paymentId, userId) {
+        const payment = await Payment.findById(paymentId);
+
+        if (!payment) {
+            throw new NotFoundError('Платіж не знайдено');
+        }
+
+        if (payment.userId.toString() !== userId) {
+            throw new ForbiddenError('У вас немає доступу до цього платежу');
+        }
+
+        return payment;
+    }
+
+    roundAmount(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+export default PaymentService;
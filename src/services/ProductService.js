@@ -1,11 +1,21 @@
 /**
  * ProductService
  * Бізнес-логіка для роботи з товарами
+ *
+ * - Товари каталогу з варіантами (власна ціна), опціями та мітками
+ * - Категорії каталогу з власним порядком (ProductCategory)
+ * - Галерея зображень: WebP варіанти генеруються на сервері (imageProcessor),
+ *   при видаленні товару / зображення всі варіанти видаляються з S3
  */
 
+import path from 'path';
 import Product from '../models/Product.js';
+import ProductCategory from '../models/ProductCategory.js';
 import Website from '../models/Website.js';
 import S3Service from './S3Service.js';
+import SubscriptionService from './SubscriptionService.js';
+import { generateSlug, addSuffix } from '../utils/slugGenerator.js';
+import { processProductImage } from '../utils/imageProcessor.js';
 import { logInfo, logSuccess, logError, logWarn } from '../utils/logger.js';
 import {
     NotFoundError,
@@ -13,12 +23,19 @@ import {
     BadRequestError,
     ForbiddenError
 } from '../utils/errorHandler.js';
-import { MVP_LIMITS, WEBSITE_TYPE } from '../config/constants.js';
+import {
+    PLAN_LIMIT_KEYS,
+    WEBSITE_TYPE,
+    PRODUCT_LIMITS,
+    PRODUCT_IMAGE,
+    PRODUCT_FILE_TYPES
+} from '../config/constants.js';
 
 class ProductService {
     constructor() {
         // Dependency Injection
         this.s3Service = new S3Service();
+        this.subscriptionService = new SubscriptionService();
     }
 
     // ============================================
@@ -41,6 +58,8 @@ class ProductService {
                 minPrice,
                 maxPrice,
                 currency,
+                categoryId,
+                tag,
                 page = 1,
                 limit = 10,
                 sortBy = 'order',
@@ -64,6 +83,14 @@ class ProductService {
                 query.currency = currency.toUpperCase();
             }
 
+            if (categoryId) {
+                query.categoryId = categoryId;
+            }
+
+            if (tag) {
+                query.tags = tag;
+            }
+
             // Пагінація
             const skip = (page - 1) * limit;
             const sort = { [sortBy]: sortOrder === 'asc' ? 1 : -1 };
@@ -161,32 +188,27 @@ class ProductService {
      * @param {String} websiteId - ID сайту
      * @param {String} userId - ID користувача
      * @param {Object} productData - Дані товару
-     * @param {Object} file - Файл image (від Multer)
+     * @param {Array<Object>} files - Зображення галереї (від Multer), перше - обкладинка
      * @returns {Promise<Object>} - Створений product
      */
-    async createProduct(websiteId, userId, productData, file) {
+    async createProduct(websiteId, userId, productData, files = []) {
+        let images = [];
+
         try {
             logInfo('Creating product', { websiteId, userId });
 
             // 1. Валідація що website існує, належить userId та type='catalog'
             await this.validateWebsiteForProducts(websiteId, userId);
 
-            // 2. Перевірка MVP ліміту (50 products на catalog)
-            const existingProducts = await Product.countByWebsiteId(websiteId);
+            // 2. Перевірка ліміту тарифного плану (товарів у каталозі)
+            await this.subscriptionService.assertCanCreate(userId, PLAN_LIMIT_KEYS.PRODUCTS_PER_CATALOG, { websiteId });
 
-            if (existingProducts >= MVP_LIMITS.MAX_PRODUCTS_PER_CATALOG) {
-                throw new ConflictError(
-                    `Досягнуто ліміт кількості товарів для MVP (${MVP_LIMITS.MAX_PRODUCTS_PER_CATALOG})`
-                );
-            }
-
-            // 3. Upload product image (якщо є)
-            let imageUrl = null;
+            const categoryId = await this.resolveCategoryId(websiteId, productData.categoryId);
+            const variants = productData.variants || [];
 
-            if (file) {
-                imageUrl = await this.s3Service.uploadFile(file, 'products');
-                logSuccess('Product image uploaded', { url: imageUrl });
-            }
+            // 3. Upload галереї (WebP варіанти)
+            this.assertImagesLimit(0, files.length);
+            images = await this.uploadProductImages(files);
 
             // 4. Якщо order не вказаний - взяти наступний
             let order = productData.order;
@@ -200,9 +222,14 @@ class ProductService {
                 websiteId,
                 name: productData.name,
                 description: productData.description || '',
-                price: productData.price,
+                categoryId,
+                tags: productData.tags || [],
+                price: variants.length > 0 ? this.getVariantsPrice(variants) : productData.price,
+                variants,
+                options: productData.options || [],
                 currency: productData.currency || 'UAH',
-                image: imageUrl,
+                image: this.getPrimaryImageUrl(images),
+                images,
                 isAvailable: productData.isAvailable !== undefined ? productData.isAvailable : true,
                 order
             });
@@ -216,15 +243,8 @@ class ProductService {
             return product;
 
         } catch (error) {
-            // Якщо помилка після upload - видалити файл
-            if (file && imageUrl) {
-                await this.s3Service.deleteFile(imageUrl).catch(err => {
-                    logError('Failed to cleanup uploaded image after error', {
-                        url: imageUrl,
-                        error: err.message
-                    });
-                });
-            }
+            // Якщо помилка після upload - видалити файли
+            await this.cleanupImageFiles(Product.getImageUrls({ images }));
 
             logError('Failed to create product', {
                 websiteId,
@@ -241,31 +261,28 @@ class ProductService {
      * @param {String} productId - ID товару
      * @param {String} userId - ID користувача
      * @param {Object} updateData - Дані для оновлення
-     * @param {Object} file - Новий файл image (опціонально)
      * @returns {Promise<Object>} - Оновлений product
      */
-    async updateProduct(productId, userId, updateData, file) {
+    async updateProduct(productId, userId, updateData) {
         try {
             logInfo('Updating product', { productId, userId });
 
             // 1. Перевірка власника
             const product = await this.getProductById(productId, userId);
 
-            // 2. Якщо новий image - видалити старий і upload новий
-            if (file) {
-                // Видалити старий image
-                if (product.image) {
-                    await this.s3Service.deleteFile(product.image);
-                    logInfo('Old product image deleted', { url: product.image });
-                }
+            if (updateData.categoryId !== undefined) {
+                updateData.categoryId = await this.resolveCategoryId(product.websiteId._id, updateData.categoryId);
+            }
+
+            // Ціна товару з варіантами - мінімальна ціна варіанта
+            const variants = updateData.variants !== undefined ? updateData.variants : product.variants || [];
 
-                // Upload новий
-                const newImageUrl = await this.s3Service.uploadFile(file, 'products');
-                updateData.image = newImageUrl;
-                logSuccess('New product image uploaded', { url: newImageUrl });
+            // (варіанти прибрано без нової ціни - лишається поточна)
+            if (variants.length > 0) {
+                updateData.price = this.getVariantsPrice(variants);
             }
 
-            // 3. Оновлення полів
+            // 2. Оновлення полів (галерея - окремими endpoints)
             const updatedProduct = await Product.findByIdAndUpdate(
                 productId,
                 updateData,
@@ -303,10 +320,12 @@ class ProductService {
             // 1. Перевірка власника
             const product = await this.getProductById(productId, userId);
 
-            // 2. Видалити image з S3
-            if (product.image) {
-                await this.s3Service.deleteFile(product.image);
-                logInfo('Product image deleted from S3', { url: product.image });
+            // 2. Видалити всі варіанти зображень з S3
+            const imageUrls = Product.getImageUrls(product);
+
+            if (imageUrls.length > 0) {
+                await this.s3Service.deleteMultiple(imageUrls);
+                logInfo('Product images deleted from S3', { productId, count: imageUrls.length });
             }
 
             // 3. Видалити product з БД
@@ -389,6 +408,458 @@ class ProductService {
         }
     }
 
+    // ============================================
+    // ГАЛЕРЕЯ ЗОБРАЖЕНЬ
+    // ============================================
+
+    /**
+     * Додати зображення в кінець галереї товару
+     *
+     * @param {String} productId - ID товару
+     * @param {String} userId - ID користувача
+     * @param {Array<Object>} files - Зображення (від Multer)
+     * @returns {Promise<Object>} - Оновлений product
+     */
+    async addProductImages(productId, userId, files) {
+        let images = [];
+        let isSaved = false;
+
+        try {
+            logInfo('Adding product images', { productId, userId, count: files.length });
+
+            if (files.length === 0) {
+                throw new BadRequestError('Додайте хоча б одне зображення (поле images)');
+            }
+
+            // 1. Перевірка власника та ліміту (до обробки файлів)
+            const product = await this.getProductById(productId, userId);
+            this.assertImagesLimit((product.images || []).length, files.length);
+
+            // 2. Upload WebP варіантів
+            images = await this.uploadProductImages(files);
+
+            // 3. Додавання з перевіркою ліміту в самому запиті (паралельні завантаження)
+            const updatedProduct = await Product.findOneAndUpdate(
+                {
+                    _id: productId,
+                    [`images.${PRODUCT_LIMITS.IMAGE.MAX_COUNT - images.length}`]: { $exists: false }
+                },
+                { $push: { images: { $each: images } } },
+                { new: true, runValidators: true }
+            );
+
+            if (!updatedProduct) {
+                throw new BadRequestError(
+                    `Максимум ${PRODUCT_LIMITS.IMAGE.MAX_COUNT} зображень у товару`
+                );
+            }
+
+            isSaved = true;
+
+            const result = await this.syncPrimaryImage(updatedProduct);
+
+            logSuccess('Product images added', {
+                productId,
+                count: images.length,
+                total: result.images.length
+            });
+
+            return result;
+
+        } catch (error) {
+            // Зображення не потрапили в галерею - видалити завантажені файли
+            if (!isSaved) {
+                await this.cleanupImageFiles(Product.getImageUrls({ images }));
+            }
+
+            logError('Failed to add product images', {
+                productId,
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Видалити зображення з галереї товару (всі WebP варіанти в S3)
+     *
+     * @param {String} productId - ID товару
+     * @param {String} userId - ID користувача
+     * @param {String} imageId - ID зображення в галереї
+     * @returns {Promise<Object>} - Оновлений product
+     */
+    async removeProductImage(productId, userId, imageId) {
+        try {
+            logInfo('Removing product image', { productId, userId, imageId });
+
+            // 1. Перевірка власника
+            const product = await this.getProductById(productId, userId);
+            const image = (product.images || []).find(item => item._id.toString() === imageId);
+
+            if (!image) {
+                throw new NotFoundError('Зображення не знайдено');
+            }
+
+            // 2. Видалення з галереї
+            const updatedProduct = await Product.findOneAndUpdate(
+                { _id: productId, 'images._id': imageId },
+                { $pull: { images: { _id: imageId } } },
+                { new: true }
+            );
+
+            if (!updatedProduct) {
+                throw new NotFoundError('Зображення не знайдено');
+            }
+
+            const imageUrls = Product.getImageUrls({ images: [image] });
+            const result = await this.syncPrimaryImage(updatedProduct, imageUrls);
+
+            // 3. Видалення всіх варіантів з S3
+            await this.s3Service.deleteMultiple(imageUrls);
+
+            logSuccess('Product image removed', {
+                productId,
+                imageId,
+                deletedFiles: imageUrls.length
+            });
+
+            return result;
+
+        } catch (error) {
+            logError('Failed to remove product image', {
+                productId,
+                userId,
+                imageId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Змінити порядок галереї (перше зображення - обкладинка товару)
+     *
+     * @param {String} productId - ID товару
+     * @param {String} userId - ID користувача
+     * @param {Array<String>} imageIds - Всі ID зображень галереї в новому порядку
+     * @returns {Promise<Object>} - Оновлений product
+     */
+    async reorderProductImages(productId, userId, imageIds) {
+        try {
+            logInfo('Reordering product images', { productId, userId, count: imageIds.length });
+
+            // 1. Перевірка власника
+            const product = await this.getProductById(productId, userId);
+            const imageById = new Map((product.images || []).map(image => [image._id.toString(), image]));
+
+            // 2. Новий порядок має містити кожне зображення галереї рівно один раз
+            if (imageIds.length !== imageById.size || !imageIds.every(id => imageById.has(id))) {
+                throw new BadRequestError('Порядок має містити всі зображення галереї товару');
+            }
+
+            // 3. Збереження, якщо галерею не змінено паралельно
+            const updatedProduct = await Product.findOneAndUpdate(
+                {
+                    _id: productId,
+                    images: { $size: imageIds.length },
+                    'images._id': { $all: imageIds }
+                },
+                { $set: { images: imageIds.map(id => imageById.get(id)) } },
+                { new: true, runValidators: true }
+            );
+
+            if (!updatedProduct) {
+                throw new ConflictError('Галерею товару змінено, оновіть сторінку і повторіть');
+            }
+
+            const result = await this.syncPrimaryImage(updatedProduct);
+
+            logSuccess('Product images reordered', { productId });
+
+            return result;
+
+        } catch (error) {
+            logError('Failed to reorder product images', {
+                productId,
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    // ============================================
+    // КАТЕГОРІЇ
+    // ============================================
+
+    /**
+     * Отримати категорії каталогу з кількістю товарів
+     *
+     * @param {String} websiteId - ID сайту
+     * @param {String} userId - ID користувача
+     * @returns {Promise<Object>} - { categories (з productsCount), uncategorizedCount }
+     */
+    async getWebsiteCategories(websiteId, userId) {
+        try {
+            logInfo('Getting website categories', { websiteId, userId });
+
+            const website = await this.validateWebsiteForProducts(websiteId, userId);
+
+            const [categories, counts] = await Promise.all([
+                ProductCategory.findByWebsiteId(website._id).lean(),
+                Product.aggregate([
+                    { $match: { websiteId: website._id } },
+                    { $group: { _id: '$categoryId', count: { $sum: 1 } } }
+                ])
+            ]);
+
+            const countById = new Map(counts.map(item => [String(item._id), item.count]));
+
+            logSuccess('Website categories retrieved', { websiteId, count: categories.length });
+
+            return {
+                categories: categories.map(category => ({
+                    ...category,
+                    productsCount: countById.get(category._id.toString()) || 0
+                })),
+                uncategorizedCount: countById.get('null') || 0
+            };
+
+        } catch (error) {
+            logError('Failed to get website categories', {
+                websiteId,
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Отримати категорію по ID
+     *
+     * @param {String} categoryId - ID категорії
+     * @param {String} userId - ID користувача (для перевірки власника)
+     * @returns {Promise<Object>} - ProductCategory (lean)
+     */
+    async getCategoryById(categoryId, userId) {
+        try {
+            const category = await ProductCategory.findById(categoryId).lean();
+
+            if (!category) {
+                throw new NotFoundError('Категорію не знайдено');
+            }
+
+            // Перевірка власника через сайт
+            await this.validateWebsiteForProducts(category.websiteId.toString(), userId);
+
+            return category;
+
+        } catch (error) {
+            logError('Failed to get product category', {
+                categoryId,
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Створити категорію каталогу
+     *
+     * @param {String} userId - ID користувача
+     * @param {Object} categoryData - { websiteId, name, description, order }
+     * @returns {Promise<Object>} - Створена категорія
+     * @throws {BadRequestError} - Ліміт категорій каталогу
+     * @throws {ConflictError} - Категорія з такою назвою вже існує
+     */
+    async createCategory(userId, categoryData) {
+        const { websiteId } = categoryData;
+
+        try {
+            logInfo('Creating product category', { websiteId, userId });
+
+            await this.validateWebsiteForProducts(websiteId, userId);
+
+            const count = await ProductCategory.countDocuments({ websiteId });
+
+            if (count >= PRODUCT_LIMITS.CATEGORY.MAX_PER_CATALOG) {
+                throw new BadRequestError(
+                    `Каталог може містити максимум ${PRODUCT_LIMITS.CATEGORY.MAX_PER_CATALOG} категорій`
+                );
+            }
+
+            await this.assertCategoryNameAvailable(websiteId, categoryData.name);
+
+            let order = categoryData.order;
+            if (order === undefined) {
+                order = (await ProductCategory.getMaxOrder(websiteId)) + 1;
+            }
+
+            const category = await ProductCategory.create({
+                websiteId,
+                name: categoryData.name,
+                slug: await this.generateUniqueCategorySlug(websiteId, categoryData.name),
+                description: categoryData.description || '',
+                order
+            });
+
+            logSuccess('Product category created', {
+                categoryId: category._id,
+                websiteId,
+                slug: category.slug
+            });
+
+            return category;
+
+        } catch (error) {
+            logError('Failed to create product category', {
+                websiteId,
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Оновити категорію (нова назва - новий slug)
+     *
+     * @param {String} categoryId - ID категорії
+     * @param {String} userId - ID користувача
+     * @param {Object} updateData - { name, description, order }
+     * @returns {Promise<Object>} - Оновлена категорія
+     */
+    async updateCategory(categoryId, userId, updateData) {
+        try {
+            logInfo('Updating product category', { categoryId, userId });
+
+            const category = await this.getCategoryById(categoryId, userId);
+
+            const updates = { ...updateData };
+
+            if (updates.name !== undefined && updates.name !== category.name) {
+                await this.assertCategoryNameAvailable(category.websiteId, updates.name, category._id);
+                updates.slug = await this.generateUniqueCategorySlug(category.websiteId, updates.name, category._id);
+            }
+
+            const updatedCategory = await ProductCategory.findByIdAndUpdate(
+                categoryId,
+                { $set: updates },
+                { new: true, runValidators: true }
+            );
+
+            logSuccess('Product category updated', {
+                categoryId,
+                updatedFields: Object.keys(updates)
+            });
+
+            return updatedCategory;
+
+        } catch (error) {
+            logError('Failed to update product category', {
+                categoryId,
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Видалити категорію (товари лишаються без категорії)
+     *
+     * @param {String} categoryId - ID категорії
+     * @param {String} userId - ID користувача
+     * @returns {Promise<Object>} - { uncategorizedProducts }
+     */
+    async deleteCategory(categoryId, userId) {
+        try {
+            logInfo('Deleting product category', { categoryId, userId });
+
+            const category = await this.getCategoryById(categoryId, userId);
+
+            const result = await Product.updateMany(
+                { websiteId: category.websiteId, categoryId: category._id },
+                { $set: { categoryId: null } }
+            );
+
+            await ProductCategory.findByIdAndDelete(categoryId);
+
+            logSuccess('Product category deleted', {
+                categoryId,
+                uncategorizedProducts: result.modifiedCount
+            });
+
+            return { uncategorizedProducts: result.modifiedCount };
+
+        } catch (error) {
+            logError('Failed to delete product category', {
+                categoryId,
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Масове оновлення порядку категорій (drag-and-drop)
+     *
+     * @param {String} websiteId - ID сайту
+     * @param {String} userId - ID користувача
+     * @param {Array} orderData - Масив { categoryId, order }
+     * @returns {Promise<Object>} - { modified }
+     */
+    async bulkUpdateCategoryOrder(websiteId, userId, orderData) {
+        try {
+            logInfo('Bulk updating category order', {
+                websiteId,
+                userId,
+                count: orderData.length
+            });
+
+            await this.validateWebsiteForProducts(websiteId, userId);
+
+            const categoryIds = orderData.map(item => item.categoryId);
+            const count = await ProductCategory.countDocuments({
+                _id: { $in: categoryIds },
+                websiteId
+            });
+
+            if (count !== new Set(categoryIds).size) {
+                throw new BadRequestError('Деякі категорії не належать цьому сайту');
+            }
+
+            const result = await ProductCategory.bulkWrite(orderData.map(item => ({
+                updateOne: {
+                    filter: { _id: item.categoryId },
+                    update: { $set: { order: item.order } }
+                }
+            })));
+
+            logSuccess('Category order updated', {
+                websiteId,
+                modified: result.modifiedCount
+            });
+
+            return {
+                message: 'Category order successfully updated',
+                modified: result.modifiedCount
+            };
+
+        } catch (error) {
+            logError('Failed to bulk update category order', {
+                websiteId,
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
     // ============================================
     // ВАЛІДАЦІЯ
     // ============================================
@@ -482,6 +953,218 @@ class ProductService {
         }
     }
 
+    /**
+     * Категорія товару: того ж сайту ('' / null - без категорії)
+     *
+     * @param {String} websiteId - ID сайту товару
+     * @param {String|null} categoryId - ID категорії
+     * @returns {Promise<String|null>}
+     * @throws {NotFoundError} - Категорії немає в цьому каталозі
+     */
+    async resolveCategoryId(websiteId, categoryId) {
+        if (!categoryId) {
+            return null;
+        }
+
+        const exists = await ProductCategory.exists({ _id: categoryId, websiteId });
+
+        if (!exists) {
+            throw new NotFoundError('Категорію не знайдено в цьому каталозі');
+        }
+
+        return categoryId;
+    }
+
+    /**
+     * Ціна товару з варіантами - мінімальна ціна варіанта ("від ...")
+     *
+     * @param {Array} variants - [{ price }]
+     * @returns {Number}
+     */
+    getVariantsPrice(variants) {
+        return Math.min(...variants.map(variant => Number(variant.price)));
+    }
+
+    /**
+     * Назва категорії унікальна в каталозі (без урахування регістру)
+     *
+     * @throws {ConflictError}
+     */
+    async assertCategoryNameAvailable(websiteId, name, excludeId = null) {
+        const query = { websiteId, name: name.trim() };
+
+        if (excludeId) {
+            query._id = { $ne: excludeId };
+        }
+
+        const taken = await ProductCategory.findOne(query)
+            .collation({ locale: 'uk', strength: 2 })
+            .select('_id')
+            .lean();
+
+        if (taken) {
+            throw new ConflictError('Категорія з такою назвою вже існує');
+        }
+    }
+
+    /**
+     * Унікальний в межах сайту slug категорії (kava, kava-2, ...)
+     * Назва без латинізованих символів - slug "category"
+     */
+    async generateUniqueCategorySlug(websiteId, name, excludeId = null) {
+        let baseSlug;
+
+        try {
+            baseSlug = generateSlug(name, { maxLength: PRODUCT_LIMITS.CATEGORY.SLUG_MAX_LENGTH });
+        } catch {
+            baseSlug = 'category';
+        }
+
+        let slug = baseSlug;
+        let counter = 2;
+
+        while (await ProductCategory.isSlugTaken(websiteId, slug, excludeId)) {
+            slug = addSuffix(baseSlug, counter);
+            counter++;
+        }
+
+        return slug;
+    }
+
+    /**
+     * Перевірити ліміт галереї товару
+     *
+     * @throws {BadRequestError}
+     */
+    assertImagesLimit(currentCount, addedCount) {
+        if (currentCount + addedCount > PRODUCT_LIMITS.IMAGE.MAX_COUNT) {
+            throw new BadRequestError(
+                `Максимум ${PRODUCT_LIMITS.IMAGE.MAX_COUNT} зображень у товару (зараз ${currentCount})`
+            );
+        }
+    }
+
+    /**
+     * Обробити та завантажити зображення галереї
+     * Для кожного файлу - WebP варіанти PRODUCT_IMAGE.VARIANTS без EXIF
+     * При помилці вже завантажені файли видаляються
+     *
+     * @param {Array<Object>} files - Зображення (від Multer)
+     * @returns {Promise<Array<Object>>} - Елементи Product.images
+     * @throws {BadRequestError} - Файл не вдалося обробити як зображення
+     */
+    async uploadProductImages(files) {
+        const images = [];
+        // Усі завантажені варіанти, включно з файлом, на якому сталася помилка
+        const uploadedUrls = [];
+
+        try {
+            // Послідовно: пікова пам'ять sharp обмежена одним файлом, а не всім upload
+            for (const file of files) {
+                let processed;
+
+                try {
+                    processed = await processProductImage(file.buffer);
+                } catch {
+                    throw new BadRequestError(`Не вдалося обробити зображення ${file.originalname}`);
+                }
+
+                const baseName = path.parse(file.originalname).name;
+
+                // allSettled: при помилці одного варіанта дочекатися решти, щоб прибрати і їх
+                const results = await Promise.allSettled(
+                    Object.entries(processed.variants).map(async ([name, variant]) => {
+                        const url = await this.s3Service.uploadBuffer(
+                            variant.buffer,
+                            `${baseName}-${name}${PRODUCT_IMAGE.EXTENSION}`,
+                            PRODUCT_FILE_TYPES.IMAGE.FOLDER,
+                            PRODUCT_IMAGE.CONTENT_TYPE
+                        );
+
+                        uploadedUrls.push(url);
+
+                        return [name, { url, width: variant.width, height: variant.height }];
+                    })
+                );
+
+                const failed = results.find(result => result.status === 'rejected');
+
+                if (failed) {
+                    throw failed.reason;
+                }
+
+                images.push({
+                    ...Object.fromEntries(results.map(result => result.value)),
+                    width: processed.width,
+                    height: processed.height
+                });
+            }
+
+            logSuccess('Product images uploaded', { count: images.length });
+
+            return images;
+
+        } catch (error) {
+            await this.cleanupImageFiles(uploadedUrls);
+            throw error;
+        }
+    }
+
+    /**
+     * URL обкладинки товару - варіант PRODUCT_IMAGE.PRIMARY_VARIANT першого зображення
+     */
+    getPrimaryImageUrl(images) {
+        return images.length > 0 ? images[0][PRODUCT_IMAGE.PRIMARY_VARIANT].url : null;
+    }
+
+    /**
+     * Синхронізувати product.image з першим зображенням галереї
+     * Обкладинка старого товару (файл поза галереєю) видаляється з S3
+     *
+     * @param {Object} product - Product (після зміни галереї)
+     * @param {Array<String>} removedUrls - Файли видаленого зображення (видаляє викликаючий метод)
+     * @returns {Promise<Object>} - Product з актуальним image
+     */
+    async syncPrimaryImage(product, removedUrls = []) {
+        const primaryUrl = this.getPrimaryImageUrl(product.images);
+
+        if (product.image === primaryUrl) {
+            return product;
+        }
+
+        const previousUrl = product.image;
+        const updatedProduct = await Product.findOneAndUpdate(
+            { _id: product._id, image: previousUrl },
+            { $set: { image: primaryUrl } },
+            { new: true }
+        );
+
+        const keptUrls = [...Product.getImageUrls({ images: product.images }), ...removedUrls];
+
+        if (previousUrl && !keptUrls.includes(previousUrl)) {
+            await this.cleanupImageFiles([previousUrl]);
+        }
+
+        // null - обкладинку паралельно змінив інший запит
+        return updatedProduct || product;
+    }
+
+    /**
+     * Видалити файли з S3 без помилки (очищення після невдалої операції)
+     */
+    async cleanupImageFiles(urls) {
+        if (urls.length === 0) {
+            return;
+        }
+
+        await this.s3Service.deleteMultiple(urls).catch(err => {
+            logError('Failed to cleanup product image files', {
+                count: urls.length,
+                error: err.message
+            });
+        });
+    }
+
     /**
      * Отримати кількість products для website
      * 
@@ -0,0 +1,710 @@
+/**
+ * QRBatchService
+ * Пакетне створення QR кодів з CSV
+ *
+ * Відповідальність:
+ * - Розбір CSV та валідація кожного рядка (звіт: рядок файлу, поле, повідомлення)
+ * - Створення QR кодів через QRCodeService (ліміти плану, shortCode, images в S3)
+ * - Фонова обробка великих файлів (job у БД, прогрес після кожного рядка)
+ * - ZIP архів: PNG + SVG створених QR кодів, manifest.csv та errors.csv
+ *
+ * Файли до QR_BATCH.SYNC_MAX_ROWS валідних рядків обробляються в запиті.
+ * Більші - job у статусі pending, його підхоплює qrBatchWorker (start() у server.js).
+ * Захоплення job атомарне (QRBatchJob.claimNext), тому при кількох інстансах API
+ * кожен job обробляє тільки один з них.
+ */
+
+import { once } from 'events';
+import { ZipArchive } from 'archiver';
+import QRBatchJob from '../models/QRBatchJob.js';
+import QRCode from '../models/QRCode.js';
+import Business from '../models/Business.js';
+import Website from '../models/Website.js';
+import QRCodeService from './QRCodeService.js';
+import S3Service from './S3Service.js';
+import SubscriptionService from './SubscriptionService.js';
+import { batchRowSchema } from '../validators/qrcodeValidator.js';
+import { parseCSVWithHeader, stringifyCSV } from '../utils/csvHelpers.js';
+import { checkQRReadability } from '../utils/qrRenderer.js';
+import { validateCustomShortCode } from '../utils/shortCodeGenerator.js';
+import { logInfo, logSuccess, logError } from '../utils/logger.js';
+import {
+    NotFoundError,
+    BadRequestError,
+    ConflictError,
+    ValidationError,
+    UpgradeRequiredError,
+    isOperationalError
+} from '../utils/errorHandler.js';
+import { PLAN_LIMIT_KEYS, QR_BATCH_STATUS, QR_BATCH } from '../config/constants.js';
+
+const MANIFEST_HEADER = ['line', 'name', 'shortCode', 'shortUrl', 'targetUrl', 'qrCodeId', 'png', 'svg'];
+const ERRORS_HEADER = ['line', 'field', 'message'];
+
+class QRBatchService {
+    constructor(options = {}) {
+        // Dependency Injection
+        this.qrcodeService = new QRCodeService();
+        this.s3Service = new S3Service();
+        this.subscriptionService = new SubscriptionService();
+        this.interval = options.interval || QR_BATCH.JOB_INTERVAL_MS;
+
+        this.timer = null;
+        this.running = null;
+        this.stopping = false;
+    }
+
+    // ============================================
+    // LIFECYCLE (фоновий worker)
+    // ============================================
+
+    /**
+     * Запуск періодичної обробки pending jobs (ідемпотентний)
+     * Перший прохід - одразу, щоб підхопити jobs, перервані рестартом
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.stopping = false;
+        this.timer = setInterval(() => this.run(), this.interval);
+        // Таймер не тримає процес живим
+        this.timer.unref();
+
+        logInfo('QR batch job started', { intervalMs: this.interval });
+
+        this.run();
+    }
+
+    /**
+     * Зупинка (graceful shutdown)
+     * Поточний job повертається в pending після рядка, що обробляється
+     *
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.stopping = true;
+
+        if (this.running) {
+            await this.running;
+        }
+    }
+
+    /**
+     * Один прохід (паралельні виклики чекають на той самий прохід)
+     *
+     * @returns {Promise<Number>} - Кількість оброблених jobs
+     */
+    async run() {
+        if (!this.running) {
+            this.running = this.processPendingJobs().finally(() => {
+                this.running = null;
+            });
+        }
+
+        return this.running;
+    }
+
+    /**
+     * Обробка всіх jobs у черзі по одному
+     * Помилки логуються - наступний прохід повторить
+     *
+     * @returns {Promise<Number>} - Кількість оброблених jobs
+     */
+    async processPendingJobs() {
+        let processed = 0;
+
+        try {
+            while (!this.stopping) {
+                const job = await QRBatchJob.claimNext();
+
+                if (!job) {
+                    break;
+                }
+
+                await this.processJob(job);
+                processed += 1;
+            }
+
+        } catch (error) {
+            logError('Failed to process QR batch jobs', {
+                error: error.message
+            });
+        }
+
+        return processed;
+    }
+
+    // ============================================
+    // CREATE
+    // ============================================
+
+    /**
+     * Створити batch job з CSV
+     * Невеликий файл обробляється одразу, великий - у фоні
+     *
+     * @param {String} userId - ID користувача
+     * @param {Object} target - { businessId, websiteId }
+     * @param {Object} file - multer file (buffer, originalname)
+     * @returns {Promise<Object>} - Job зі звітом валідації (та результатами, якщо оброблено в запиті)
+     * @throws {ValidationError} - Жоден рядок не пройшов валідацію (errors - звіт по рядках)
+     */
+    async createBatchJob(userId, { businessId, websiteId }, file) {
+        try {
+            logInfo('Creating QR batch job', { userId, websiteId, fileName: file?.originalname });
+
+            if (!file) {
+                throw new BadRequestError('CSV файл є обов\'язковим');
+            }
+
+            // 1. Перевірка власника business / website
+            await this.assertWebsiteAccess(userId, businessId, websiteId);
+
+            // 2. Ліміт плану: якщо вже досягнуто - не створюємо job взагалі
+            // (для кожного рядка перевіряє QRCodeService.createQRCode)
+            await this.subscriptionService.assertCanCreate(userId, PLAN_LIMIT_KEYS.QR_CODES_PER_WEBSITE, { websiteId });
+
+            // 3. Розбір та валідація рядків
+            const { rows, unknownColumns } = this.parseFile(file);
+            const { validRows, errors, invalidRows } = await this.validateRows(rows);
+
+            if (validRows.length === 0) {
+                throw new ValidationError(
+                    'CSV не містить жодного валідного рядка',
+                    errors.slice(0, QR_BATCH.MAX_REPORTED_ERRORS)
+                );
+            }
+
+            // 4. Job: невеликий файл - одразу processing в цьому запиті
+            const isSync = validRows.length <= QR_BATCH.SYNC_MAX_ROWS;
+            const now = new Date();
+
+            const job = await QRBatchJob.create({
+                userId,
+                businessId,
+                websiteId,
+                fileName: file.originalname,
+                totalRows: rows.length,
+                ignoredColumns: unknownColumns,
+                rows: validRows,
+                validationErrors: errors.slice(0, QR_BATCH.MAX_REPORTED_ERRORS),
+                invalidRows,
+                status: isSync ? QR_BATCH_STATUS.PROCESSING : QR_BATCH_STATUS.PENDING,
+                startedAt: isSync ? now : null,
+                heartbeatAt: isSync ? now : null
+            });
+
+            if (isSync) {
+                await this.processJob(job);
+            }
+
+            logSuccess('QR batch job created', {
+                jobId: job._id,
+                validRows: validRows.length,
+                invalidRows,
+                background: !isSync
+            });
+
+            return await this.getBatchJob(job._id, userId);
+
+        } catch (error) {
+            logError('Failed to create QR batch job', {
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Отримати batch job (статус, прогрес, звіт)
+     *
+     * @param {String} jobId - ID job
+     * @param {String} userId - ID користувача
+     * @returns {Promise<Object>}
+     */
+    async getBatchJob(jobId, userId) {
+        const job = await QRBatchJob.findOne({ _id: jobId, userId }).lean();
+
+        if (!job) {
+            throw new NotFoundError('Batch job не знайдено');
+        }
+
+        return {
+            ...job,
+            isFinished: this.isFinished(job)
+        };
+    }
+
+    // ============================================
+    // PROCESS
+    // ============================================
+
+    /**
+     * Створення QR кодів по рядках job
+     * Продовжує з processedRows (job, перерваний рестартом або падінням інстансу)
+     * Рядок, QR якого встиг створитись до падіння, не дублюється (createRowQRCode)
+     * Помилка рядка не зупиняє job - потрапляє в results зі status failed
+     *
+     * @param {Object} job - QRBatchJob з rows
+     * @returns {Promise<void>}
+     */
+    async processJob(job) {
+        try {
+            logInfo('Processing QR batch job', {
+                jobId: job._id,
+                fromRow: job.processedRows,
+                totalRows: job.rows.length
+            });
+
+            // Ліміт плану не зміниться посеред job - решта рядків не створюються
+            let limitError = null;
+
+            for (const row of job.rows.slice(job.processedRows)) {
+                if (this.stopping) {
+                    await QRBatchJob.updateOne(
+                        { _id: job._id },
+                        { $set: { status: QR_BATCH_STATUS.PENDING } }
+                    );
+                    logInfo('QR batch job paused for shutdown', { jobId: job._id });
+                    return;
+                }
+
+                let result;
+
+                if (limitError) {
+                    result = this.buildFailedResult(row, limitError);
+                } else {
+                    try {
+                        result = await this.createRowQRCode(job, row);
+                    } catch (error) {
+                        if (error instanceof UpgradeRequiredError) {
+                            limitError = error.message;
+                        }
+                        result = this.buildFailedResult(row, this.describeError(error));
+                    }
+                }
+
+                await QRBatchJob.updateOne(
+                    { _id: job._id },
+                    {
+                        $push: { results: result },
+                        $inc: {
+                            processedRows: 1,
+                            [result.status === 'created' ? 'createdCount' : 'failedCount']: 1
+                        },
+                        $set: { heartbeatAt: new Date() }
+                    }
+                );
+            }
+
+            await QRBatchJob.updateOne(
+                { _id: job._id },
+                {
+                    $set: {
+                        status: QR_BATCH_STATUS.COMPLETED,
+                        completedAt: new Date(),
+                        rows: []
+                    }
+                }
+            );
+
+            logSuccess('QR batch job completed', { jobId: job._id });
+
+        } catch (error) {
+            logError('QR batch job failed', {
+                jobId: job._id,
+                error: error.message
+            });
+
+            await QRBatchJob.updateOne(
+                { _id: job._id },
+                {
+                    $set: {
+                        status: QR_BATCH_STATUS.FAILED,
+                        error: error.message,
+                        completedAt: new Date()
+                    }
+                }
+            );
+        }
+    }
+
+    /**
+     * Створити QR код з рядка CSV
+     * Ідемпотентно: QR, створений до падіння між записом QR і processedRows,
+     * знаходиться по batchJobId + line і не створюється (та не рахується в ліміт) вдруге
+     *
+     * @param {Object} job - QRBatchJob
+     * @param {Object} row - { line, data }
+     * @returns {Promise<Object>} - Результат рядка (status created)
+     */
+    async createRowQRCode(job, { line, data }) {
+        let qrcode = await QRCode.findByBatchRow(job._id, line);
+
+        if (!qrcode) {
+            try {
+                qrcode = await this.qrcodeService.createQRCode(job.userId, {
+                    ...data,
+                    businessId: job.businessId,
+                    websiteId: job.websiteId
+                }, { batch: { jobId: job._id, line } });
+            } catch (error) {
+                // Той самий рядок паралельно створив інший worker (перехоплений job)
+                qrcode = await QRCode.findByBatchRow(job._id, line);
+
+                if (!qrcode) {
+                    throw error;
+                }
+            }
+        }
+
+        return {
+            line,
+            status: 'created',
+            name: qrcode.name,
+            qrCodeId: qrcode._id,
+            shortCode: qrcode.shortCode,
+            shortUrl: QRCode.buildShortUrl(qrcode.shortCode),
+            error: null
+        };
+    }
+
+    /**
+     * Результат рядка, який не вдалося створити
+     *
+     * @param {Object} row - { line, data }
+     * @param {String} message - Причина
+     * @returns {Object}
+     */
+    buildFailedResult({ line, data }, message) {
+        return {
+            line,
+            status: 'failed',
+            name: data.name,
+            qrCodeId: null,
+            shortCode: null,
+            shortUrl: null,
+            error: message
+        };
+    }
+
+    /**
+     * Текст помилки для звіту (ValidationError - з переліком проблем)
+     * Неочікувані помилки (S3, БД) - без внутрішніх деталей
+     *
+     * @param {Error} error
+     * @returns {String}
+     */
+    describeError(error) {
+        if (!isOperationalError(error)) {
+            return 'Не вдалося створити QR код - спробуйте ще раз';
+        }
+
+        const details = (error.errors || [])
+            .map(item => (typeof item === 'string' ? item : item.message))
+            .filter(Boolean);
+
+        return details.length > 0 ? `${error.message}: ${details.join('; ')}` : error.message;
+    }
+
+    // ============================================
+    // VALIDATION
+    // ============================================
+
+    /**
+     * Розбір CSV файлу (колонки QR_BATCH.COLUMNS)
+     *
+     * @param {Object} file - multer file
+     * @returns {Object} - { rows: [{ line, data }], unknownColumns }
+     * @throws {BadRequestError} - Невалідний CSV (кодування, заголовок, кількість рядків)
+     */
+    parseFile(file) {
+        try {
+            return parseCSVWithHeader(file.buffer, {
+                columns: QR_BATCH.COLUMNS,
+                requiredColumns: QR_BATCH.REQUIRED_COLUMNS,
+                maxRows: QR_BATCH.MAX_ROWS
+            });
+        } catch (error) {
+            throw new BadRequestError(error.message);
+        }
+    }
+
+    /**
+     * Валідація рядків: схема, контраст кольорів, custom shortCode
+     * (формат, дублікати у файлі, вже зайняті в БД)
+     *
+     * @param {Array} rows - [{ line, data }]
+     * @returns {Promise<Object>} - { validRows, errors: [{ line, field, message }], invalidRows }
+     */
+    async validateRows(rows) {
+        const errors = [];
+        const candidates = [];
+        const codeLines = new Map();
+
+        for (const { line, data } of rows) {
+            const rowErrors = [];
+
+            const { error, value } = batchRowSchema.validate(data, {
+                abortEarly: false,
+                stripUnknown: true
+            });
+
+            if (error) {
+                rowErrors.push(...error.details.map(detail => ({
+                    line,
+                    field: detail.path.join('.'),
+                    message: detail.message
+                })));
+            } else {
+                const { issues } = checkQRReadability(value);
+                rowErrors.push(...issues.map(message => ({ line, field: 'primaryColor', message })));
+
+                if (value.shortCode) {
+                    const { valid, errors: codeErrors } = validateCustomShortCode(value.shortCode);
+
+                    if (!valid) {
+                        rowErrors.push({ line, field: 'shortCode', message: codeErrors[0] });
+                    } else if (codeLines.has(value.shortCode)) {
+                        rowErrors.push({
+                            line,
+                            field: 'shortCode',
+                            message: `Код "${value.shortCode}" вже вказано у рядку ${codeLines.get(value.shortCode)}`
+                        });
+                    } else {
+                        codeLines.set(value.shortCode, line);
+                    }
+                }
+            }
+
+            if (rowErrors.length > 0) {
+                errors.push(...rowErrors);
+            } else {
+                candidates.push({ line, data: value });
+            }
+        }
+
+        // Зайняті коди - одним запитом для всього файлу
+        const taken = codeLines.size > 0
+            ? new Set(await QRCode.findTakenShortCodes([...codeLines.keys()]))
+            : new Set();
+
+        const validRows = [];
+
+        for (const row of candidates) {
+            if (row.data.shortCode && taken.has(row.data.shortCode)) {
+                errors.push({
+                    line: row.line,
+                    field: 'shortCode',
+                    message: `Код "${row.data.shortCode}" вже використовується`
+                });
+            } else {
+                validRows.push(row);
+            }
+        }
+
+        errors.sort((a, b) => a.line - b.line);
+
+        return {
+            validRows,
+            errors,
+            invalidRows: new Set(errors.map(item => item.line)).size
+        };
+    }
+
+    /**
+     * Перевірка, що website належить до business користувача
+     *
+     * @param {String} userId - ID користувача
+     * @param {String} businessId - ID бізнесу
+     * @param {String} websiteId - ID сайту
+     */
+    async assertWebsiteAccess(userId, businessId, websiteId) {
+        const business = await Business.exists({ _id: businessId, userId, isActive: true });
+
+        if (!business) {
+            throw new NotFoundError('Бізнес не знайдено');
+        }
+
+        const website = await Website.exists({ _id: websiteId, businessId, isActive: true });
+
+        if (!website) {
+            throw new NotFoundError('Сайт не знайдено або не належить до цього бізнесу');
+        }
+    }
+
+    // ============================================
+    // ZIP ARCHIVE
+    // ============================================
+
+    /**
+     * ZIP архів завершеного job (stream - images не тримаються в пам'яті всі разом)
+     * images/<shortCode>.png|svg, manifest.csv, errors.csv (якщо є помилки)
+     *
+     * @param {String} jobId - ID job
+     * @param {String} userId - ID користувача
+     * @returns {Promise<Object>} - { archive (Readable), filename }
+     * @throws {ConflictError} - Job ще обробляється
+     */
+    async createBatchArchive(jobId, userId) {
+        try {
+            logInfo('Creating QR batch archive', { jobId, userId });
+
+            const job = await this.getBatchJob(jobId, userId);
+
+            if (!job.isFinished) {
+                throw new ConflictError('Batch job ще обробляється - архів буде доступний після завершення');
+            }
+
+            const qrCodeIds = job.results
+                .filter(result => result.status === 'created')
+                .map(result => result.qrCodeId);
+
+            // Видалені після створення QR коди в архів не потрапляють
+            const qrcodes = await QRCode.find({ _id: { $in: qrCodeIds }, isActive: true })
+                .select('name shortCode targetUrl qrImageUrl qrSvgUrl')
+                .lean();
+
+            const archive = new ZipArchive({ zlib: { level: 6 } });
+
+            // Помилка посеред запису (S3) - обірване завантаження;
+            // archive.destroy() - клієнт розірвав з'єднання
+            this.fillBatchArchive(archive, job, qrcodes).catch((error) => {
+                if (archive.destroyed) {
+                    logInfo('QR batch archive download aborted', { jobId });
+                    return;
+                }
+
+                logError('Failed to build QR batch archive', {
+                    jobId,
+                    error: error.message
+                });
+                archive.destroy(error);
+            });
+
+            return {
+                archive,
+                filename: `qr-batch-${job._id}.zip`
+            };
+
+        } catch (error) {
+            logError('Failed to create QR batch archive', {
+                jobId,
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Запис файлів в архів по одному (з урахуванням backpressure відповіді)
+     *
+     * @param {Object} archive - ZipArchive
+     * @param {Object} job - QRBatchJob
+     * @param {Array} qrcodes - QR коди job
+     * @returns {Promise<void>}
+     */
+    async fillBatchArchive(archive, job, qrcodes) {
+        const qrcodesById = new Map(qrcodes.map(qrcode => [String(qrcode._id), qrcode]));
+        const manifestRows = [];
+        const closed = once(archive, 'close');
+
+        for (const result of job.results) {
+            const qrcode = result.qrCodeId && qrcodesById.get(String(result.qrCodeId));
+
+            if (!qrcode) {
+                continue;
+            }
+
+            const files = {};
+
+            for (const [format, url] of [['png', qrcode.qrImageUrl], ['svg', qrcode.qrSvgUrl]]) {
+                if (!url) {
+                    continue;
+                }
+
+                files[format] = `images/${qrcode.shortCode}.${format}`;
+
+                // PNG вже стиснутий
+                await this.appendEntry(archive, await this.s3Service.downloadFile(url), {
+                    name: files[format],
+                    store: format === 'png'
+                }, closed);
+            }
+
+            manifestRows.push([
+                result.line,
+                qrcode.name,
+                qrcode.shortCode,
+                QRCode.buildShortUrl(qrcode.shortCode),
+                qrcode.targetUrl,
+                String(qrcode._id),
+                files.png,
+                files.svg
+            ]);
+        }
+
+        await this.appendEntry(archive, stringifyCSV(MANIFEST_HEADER, manifestRows), { name: 'manifest.csv' }, closed);
+
+        const errorRows = [
+            ...job.validationErrors.map(item => [item.line, item.field, item.message]),
+            ...job.results
+                .filter(result => result.status === 'failed')
+                .map(result => [result.line, null, result.error])
+        ].sort((a, b) => a[0] - b[0]);
+
+        if (errorRows.length > 0) {
+            await this.appendEntry(archive, stringifyCSV(ERRORS_HEADER, errorRows), { name: 'errors.csv' }, closed);
+        }
+
+        await archive.finalize();
+    }
+
+    /**
+     * Додати файл і дочекатися, поки архів його запише
+     * Поки клієнт не забере вже стиснуті дані, наступний файл не завантажується
+     *
+     * @param {Object} archive - ZipArchive
+     * @param {Buffer|String} source - Вміст файлу
+     * @param {Object} data - { name, store }
+     * @param {Promise} closed - Закриття архіву (клієнт розірвав з'єднання)
+     * @returns {Promise<void>}
+     */
+    async appendEntry(archive, source, data, closed) {
+        const written = once(archive, 'entry');
+        archive.append(source, data);
+        await Promise.race([written, closed]);
+
+        while (!archive.destroyed && archive.readableLength > archive.readableHighWaterMark) {
+            await Promise.race([once(archive, 'data'), closed]);
+        }
+
+        if (archive.destroyed) {
+            throw new Error('Archive stream closed');
+        }
+    }
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    /**
+     * Чи job завершено (архів доступний)
+     *
+     * @param {Object} job - QRBatchJob
+     * @returns {Boolean}
+     */
+    isFinished(job) {
+        return job.status === QR_BATCH_STATUS.COMPLETED || job.status === QR_BATCH_STATUS.FAILED;
+    }
+}
+
+// Фоновий worker (start/stop у server.js)
+export const qrBatchWorker = new QRBatchService();
+
+export default QRBatchService;
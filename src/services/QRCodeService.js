@@ -4,30 +4,75 @@
  * 
  * Відповідальність:
  * - CRUD операції для QR кодів
- * - Генерація QR images та завантаження в S3
- * - Генерація унікальних shortCodes
- * - Перевірка MVP лімітів
- * - Управління статусами QR кодів
+ * - Генерація стилізованих QR images (PNG + SVG, логотип, рамка) та завантаження в S3
+ * - Типізований вміст (vCard, Wi-Fi, SMS, email, geo, подія) замість targetUrl
+ * - Друковані версії на запит: PDF / EPS / PNG з DPI, bleed, мітки обрізу, аркуш A4
+ * - Генерація унікальних shortCodes, custom shortCode та aliases
+ * - Перевірка лімітів тарифного плану через SubscriptionService
+ * - Управління статусами QR кодів (з урахуванням розкладу startsAt / expiresAt / maxScans)
+ * - Захист QR паролем / PIN (зберігається тільки bcrypt hash)
+ * - Прив'язка до кампанії бізнесу (UTM мітки при redirect)
+ * - Історія ревізій кожної зміни та rollback до ревізії (QRRevisionService);
+ *   images попередніх ревізій лишаються в S3
+ * - Інвалідація redirect кешу при зміні targetUrl/правил/варіантів/статусу/кодів
  */
 
 import QRCode from '../models/QRCode.js';
 import Business from '../models/Business.js';
+import Campaign from '../models/Campaign.js';
 import Website from '../models/Website.js';
+import QRCodeRevision from '../models/QRCodeRevision.js';
 import S3Service from './S3Service.js';
-import { generateQRCodeBuffer } from '../utils/qrGenerator.js';
-import { generateSafeShortCode } from '../utils/shortCodeGenerator.js';
+import SubscriptionService from './SubscriptionService.js';
+import AnalyticsService from './AnalyticsService.js';
+import QRRevisionService from './QRRevisionService.js';
+import { renderStyledQR, buildQRScene, checkQRReadability, prepareLogo } from '../utils/qrRenderer.js';
+import {
+    toPoints,
+    buildPrintLayout,
+    getPNGPixelSize,
+    renderPrintPDF,
+    renderPrintEPS,
+    renderPrintPNG
+} from '../utils/qrPrintExporter.js';
+import { generateSafeShortCode, validateCustomShortCode } from '../utils/shortCodeGenerator.js';
+import { encodeQRPayload, isTrackablePayloadType } from '../utils/qrGenerator.js';
+import { invalidateQRCodeRedirects } from '../utils/redirectCache.js';
 import { logInfo, logSuccess, logError, logWarn } from '../utils/logger.js';
 import {
     NotFoundError,
+    ForbiddenError,
+    BadRequestError,
     ConflictError,
-    ForbiddenError
+    ValidationError
 } from '../utils/errorHandler.js';
-import { MVP_LIMITS, QR_STATUS, SHORT_CODE_SETTINGS } from '../config/constants.js';
+import {
+    PLAN_LIMIT_KEYS,
+    QR_STATUS,
+    QR_EXPIRED_BEHAVIOR,
+    QR_ACCESS_TYPE,
+    QR_ACCESS,
+    SHORT_CODE_SETTINGS,
+    QR_DOWNLOAD_FORMAT,
+    QR_PRINT_UNIT,
+    QR_PRINT_LAYOUT,
+    QR_PRINT,
+    QR_PAYLOAD_TYPE,
+    QR_PAYLOAD,
+    QR_REVISION_ACTION,
+    QR_REVISION
+} from '../config/constants.js';
+
+// Вміст кодується в image напряму (без /s/:shortCode)
+const STATIC_PAYLOAD_TYPES = Object.values(QR_PAYLOAD_TYPE).filter(type => !isTrackablePayloadType(type));
 
 class QRCodeService {
     constructor() {
         // Dependency Injection
         this.s3Service = new S3Service();
+        this.subscriptionService = new SubscriptionService();
+        this.analyticsService = new AnalyticsService();
+        this.revisionService = new QRRevisionService();
     }
 
     // ============================================
@@ -49,6 +94,7 @@ class QRCodeService {
                 status,
                 businessId,
                 websiteId,
+                campaignId,
                 page = 1,
                 limit = 10,
                 sortBy = 'createdAt',
@@ -97,6 +143,10 @@ class QRCodeService {
                 query.websiteId = websiteId;
             }
 
+            if (campaignId) {
+                query.campaignId = campaignId;
+            }
+
             // Пагінація
             const skip = (page - 1) * limit;
             const sort = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
@@ -188,18 +238,51 @@ class QRCodeService {
      * @param {Object} qrcodeData - Дані QR коду
      * @param {String} qrcodeData.businessId - ID бізнесу
      * @param {String} qrcodeData.websiteId - ID сайту
+     * @param {String} qrcodeData.campaignId - ID кампанії того ж бізнесу (optional)
      * @param {String} qrcodeData.name - Назва QR
      * @param {String} qrcodeData.description - Опис
-     * @param {String} qrcodeData.targetUrl - URL куди веде QR
+     * @param {String} qrcodeData.targetUrl - URL куди веде QR (тільки payloadType=url)
+     * @param {String} qrcodeData.payloadType - url | vcard | wifi | sms | email | geo | event (optional)
+     * @param {Object} qrcodeData.payload - Дані типу (required для payloadType, відмінного від url)
      * @param {String} qrcodeData.primaryColor - Колір QR (optional)
      * @param {String} qrcodeData.backgroundColor - Колір фону (optional)
+     * @param {Array} qrcodeData.redirectRules - Умовні redirect правила (optional)
+     * @param {Array} qrcodeData.splitVariants - Варіанти A/B split (optional)
+     * @param {Date} qrcodeData.startsAt - Початок дії (optional)
+     * @param {Date} qrcodeData.expiresAt - Кінець дії (optional)
+     * @param {Number} qrcodeData.maxScans - Ліміт сканів (optional)
+     * @param {String} qrcodeData.expiredBehavior - error_page | redirect (optional)
+     * @param {String} qrcodeData.expiredUrl - URL для простроченого QR (optional)
+     * @param {String} qrcodeData.accessType - none | password | pin (optional)
+     * @param {String} qrcodeData.accessSecret - Пароль / PIN (required для password / pin)
+     * @param {String} qrcodeData.shortCode - Custom short code (optional, інакше генерується)
+     * @param {Array<String>} qrcodeData.aliases - Додаткові коди (optional)
+     * @param {Object} options - { batch: { jobId, line } } - рядок CSV batch job (QRBatchService)
+     * @param {Object} qrcodeData.style - Форма модулів, "очі", градієнт, рамка (optional)
+     * @param {Boolean} qrcodeData.useBusinessLogo - Логотип бізнесу в центрі QR (optional)
      * @returns {Promise<Object>} - Створений QR код
      */
-    async createQRCode(userId, qrcodeData) {
+    async createQRCode(userId, qrcodeData, options = {}) {
         try {
             logInfo('Creating QR code', { userId, name: qrcodeData.name });
 
-            const { businessId, websiteId, name, description, targetUrl, primaryColor, backgroundColor } = qrcodeData;
+            const {
+                businessId,
+                websiteId,
+                name,
+                description,
+                targetUrl,
+                primaryColor,
+                backgroundColor,
+                redirectRules,
+                splitVariants,
+                style,
+                useBusinessLogo
+            } = qrcodeData;
+
+            const schedule = this.buildSchedule(qrcodeData);
+            const access = await this.buildAccess(qrcodeData.accessType, qrcodeData.accessSecret);
+            const content = this.buildContent({ ...qrcodeData, ...schedule, ...access });
 
             // 1. Перевірка власника business
             const business = await Business.findOne({
@@ -223,42 +306,59 @@ class QRCodeService {
                 throw new NotFoundError('Сайт не знайдено або не належить до цього бізнесу');
             }
 
-            // 3. Перевірка MVP ліміту QR кодів
-            await this.checkQRLimit(websiteId);
+            // 2.1. Кампанія має належати тому ж бізнесу
+            const campaignId = await this.resolveCampaign(qrcodeData.campaignId, businessId, content.payloadType);
+
+            // 3. Перевірка ліміту тарифного плану (QR кодів на сайт)
+            await this.subscriptionService.assertCanCreate(userId, PLAN_LIMIT_KEYS.QR_CODES_PER_WEBSITE, { websiteId });
 
-            // 4. Генерація унікального shortCode
-            const shortCode = await this.generateUniqueShortCode();
+            // 4. Custom shortCode / aliases (перевірка) або генерація унікального shortCode
+            const codes = await this.resolveShortCodes(qrcodeData);
+            const shortCode = codes.shortCode || await this.generateUniqueShortCode();
 
-            // 5. Генерація QR image
+            // 5-6. Генерація QR image (кодує shortUrl, не targetUrl; Wi-Fi / SMS / email - вміст)
+            // та завантаження в S3
             const qrOptions = {
                 primaryColor: primaryColor || '#000000',
-                backgroundColor: backgroundColor || '#FFFFFF'
+                backgroundColor: backgroundColor || '#FFFFFF',
+                style: style || {},
+                logoUrl: useBusinessLogo ? this.getBusinessLogoUrl(business) : null
             };
 
-            const qrImageBuffer = await generateQRCodeBuffer(targetUrl, qrOptions);
+            this.assertReadable(qrOptions);
 
-            // 6. Завантаження QR image в S3
-            const qrImageUrl = await this.s3Service.uploadBuffer(
-                qrImageBuffer,
-                `qrcode-${shortCode}.png`,
-                'qrcodes',
-                'image/png'
+            const { qrImageUrl, qrSvgUrl, encodedUrl } = await this.renderQRImage(
+                { shortCode, ...content },
+                qrOptions
             );
 
-            logSuccess('QR image uploaded to S3', { qrImageUrl });
-
             // 7. Створення QR коду в БД
             const qrcode = await QRCode.create({
                 businessId,
                 websiteId,
+                campaignId,
                 name,
                 description: description || '',
-                targetUrl,
+                targetUrl: content.payloadType === QR_PAYLOAD_TYPE.URL ? targetUrl : undefined,
+                payloadType: content.payloadType,
+                payload: content.payload,
+                redirectRules: redirectRules || [],
+                splitVariants: splitVariants || [],
+                ...schedule,
+                ...access,
                 shortCode,
+                aliases: codes.aliases,
+                batchJobId: options.batch?.jobId || null,
+                batchLine: options.batch?.line ?? null,
                 qrImageUrl,
+                qrSvgUrl,
+                encodedUrl,
                 primaryColor: qrOptions.primaryColor,
                 backgroundColor: qrOptions.backgroundColor,
-                status: QR_STATUS.ACTIVE
+                style: qrOptions.style,
+                logoUrl: qrOptions.logoUrl,
+                // startsAt у майбутньому - scheduled
+                status: QRCode.resolveScheduledStatus({ ...schedule, status: QR_STATUS.ACTIVE })
             });
 
             logSuccess('QR code created successfully', {
@@ -266,12 +366,22 @@ class QRCodeService {
                 shortCode: qrcode.shortCode
             });
 
+            // Нові коди могли бути закешовані як "не знайдено"
+            invalidateQRCodeRedirects(qrcode);
+
             // Повертаємо з populated полями
-            return await QRCode.findById(qrcode._id)
+            const createdQRCode = await QRCode.findById(qrcode._id)
                 .populate('businessId', 'name slug')
                 .populate('websiteId', 'name type slug')
                 .lean();
 
+            await this.revisionService.recordRevision(null, createdQRCode, {
+                action: QR_REVISION_ACTION.CREATE,
+                userId
+            });
+
+            return createdQRCode;
+
         } catch (error) {
             logError('Failed to create QR code', {
                 userId,
@@ -287,20 +397,21 @@ class QRCodeService {
      * @param {String} qrcodeId - ID QR коду
      * @param {String} userId - ID користувача
      * @param {Object} updateData - Дані для оновлення
+     * @param {Object} options - Внутрішні опції rollback:
+     *                           { action, rolledBackTo, logoUrl, images: { qrImageUrl, qrSvgUrl, encodedUrl } }
      * @returns {Promise<Object>} - Оновлений QR код
      */
-    async updateQRCode(qrcodeId, userId, updateData) {
+    async updateQRCode(qrcodeId, userId, updateData, options = {}) {
         try {
             logInfo('Updating QR code', { qrcodeId, userId });
 
             // 1. Перевірка власника
             const qrcode = await this.getQRCodeById(qrcodeId, userId);
 
-            // 2. Якщо змінився targetUrl - перегенеруємо QR image
+            // 2. Image кодує shortUrl, тому зміна targetUrl не потребує перегенерації.
+            // Перегенеровуємо тільки при зміні кольорів, стилю, логотипу
+            // або вмісту Wi-Fi / SMS / email (закодований в image)
             let needsRegeneration = false;
-            if (updateData.targetUrl && updateData.targetUrl !== qrcode.targetUrl) {
-                needsRegeneration = true;
-            }
 
             if ((updateData.primaryColor || updateData.backgroundColor) &&
                 (updateData.primaryColor !== qrcode.primaryColor ||
@@ -308,8 +419,31 @@ class QRCodeService {
                 needsRegeneration = true;
             }
 
+            if (updateData.style !== undefined || updateData.useBusinessLogo !== undefined) {
+                needsRegeneration = true;
+            }
+
             // Фільтруємо дозволені поля для оновлення
-            const allowedUpdates = ['name', 'description', 'targetUrl', 'primaryColor', 'backgroundColor', 'status'];
+            const allowedUpdates = [
+                'name',
+                'description',
+                'targetUrl',
+                'payloadType',
+                'payload',
+                'campaignId',
+                'redirectRules',
+                'splitVariants',
+                'primaryColor',
+                'backgroundColor',
+                'status',
+                'startsAt',
+                'expiresAt',
+                'maxScans',
+                'expiredBehavior',
+                'expiredUrl',
+                'accessType',
+                'style'
+            ];
             const updates = {};
 
             for (const key of allowedUpdates) {
@@ -318,34 +452,109 @@ class QRCodeService {
                 }
             }
 
+            // Розклад: перевірка разом з поточними значеннями та перерахунок статусу
+            // (продовження expiresAt / maxScans повертає expired QR в active)
+            if (['startsAt', 'expiresAt', 'maxScans', 'expiredBehavior', 'expiredUrl', 'status']
+                .some(key => updates[key] !== undefined)) {
+                const schedule = this.buildSchedule({ ...qrcode, ...updates });
+
+                updates.status = QRCode.resolveScheduledStatus({
+                    ...schedule,
+                    status: updates.status || qrcode.status,
+                    totalScans: qrcode.totalScans
+                });
+            }
+
+            // Захист: новий секрет або зміна типу (password → pin потребує нового значення)
+            const currentAccessType = qrcode.accessType || QR_ACCESS_TYPE.NONE;
+            const accessType = updates.accessType || currentAccessType;
+
+            if (updateData.accessSecret !== undefined || accessType !== currentAccessType) {
+                Object.assign(updates, await this.buildAccess(accessType, updateData.accessSecret));
+            }
+
+            // Вміст: сумісність з розкладом / захистом / правилами з урахуванням поточних значень.
+            // При переході на інший тип targetUrl лишається (ігнорується) - для повернення до url
+            if (['targetUrl', 'payloadType', 'redirectRules', 'splitVariants', 'startsAt', 'expiresAt', 'maxScans', 'accessType']
+                .some(key => updates[key] !== undefined)) {
+                const content = this.buildContent({ ...qrcode, ...updates });
+
+                if (updates.payloadType !== undefined) {
+                    updates.payload = content.payload;
+
+                    if (this.getEncodedContent({ shortCode: qrcode.shortCode, ...content }) !== qrcode.encodedUrl) {
+                        needsRegeneration = true;
+                    }
+                }
+            }
+
+            // Кампанія (null - відв'язати): того ж бізнесу і тільки для QR через shortUrl
+            if (updates.campaignId !== undefined || updates.payloadType !== undefined) {
+                updates.campaignId = await this.resolveCampaign(
+                    updates.campaignId !== undefined ? updates.campaignId : qrcode.campaignId,
+                    qrcode.businessId._id,
+                    updates.payloadType || qrcode.payloadType
+                );
+            }
+
+            // Коди: новий shortCode змінює image, попередній стає alias
+            if (updateData.shortCode !== undefined || updateData.aliases !== undefined) {
+                const codes = await this.resolveShortCodes(updateData, qrcode);
+
+                updates.aliases = codes.aliases;
+                updates.codes = QRCode.buildCodes(codes);
+
+                if (codes.shortCode !== qrcode.shortCode) {
+                    updates.shortCode = codes.shortCode;
+                    needsRegeneration = true;
+                }
+            }
+
+            // Логотип: true - поточний логотип бізнесу, false - без логотипу
+            if (updateData.useBusinessLogo !== undefined) {
+                updates.logoUrl = updateData.useBusinessLogo
+                    ? this.getBusinessLogoUrl(await Business.findById(qrcode.businessId._id).select('logo').lean())
+                    : null;
+            }
+
+            // Rollback: логотип ревізії (наявність в S3 перевіряє rollbackQRCode)
+            if (options.logoUrl !== undefined && options.logoUrl !== qrcode.logoUrl) {
+                updates.logoUrl = options.logoUrl;
+                needsRegeneration = true;
+            }
+
             // 3. Регенерація QR якщо потрібно
             if (needsRegeneration) {
                 const qrOptions = {
                     primaryColor: updates.primaryColor || qrcode.primaryColor,
-                    backgroundColor: updates.backgroundColor || qrcode.backgroundColor
+                    backgroundColor: updates.backgroundColor || qrcode.backgroundColor,
+                    style: updates.style || qrcode.style,
+                    logoUrl: updates.logoUrl !== undefined ? updates.logoUrl : qrcode.logoUrl
                 };
 
-                const qrImageBuffer = await generateQRCodeBuffer(
-                    updates.targetUrl || qrcode.targetUrl,
-                    qrOptions
-                );
+                const content = {
+                    shortCode: updates.shortCode || qrcode.shortCode,
+                    payloadType: updates.payloadType || qrcode.payloadType,
+                    payload: updates.payload !== undefined ? updates.payload : qrcode.payload
+                };
+
+                // Rollback: image ревізії, якщо він кодує той самий вміст (shortCode не змінювався)
+                const reusable = options.images?.qrImageUrl &&
+                    options.images.encodedUrl === this.getEncodedContent(content);
 
-                // Видалити старий image з S3
-                if (qrcode.qrImageUrl) {
-                    await this.s3Service.deleteFile(qrcode.qrImageUrl);
-                    logInfo('Old QR image deleted', { url: qrcode.qrImageUrl });
+                if (!reusable) {
+                    this.assertReadable(qrOptions);
                 }
 
-                // Завантажити новий
-                const newImageUrl = await this.s3Service.uploadBuffer(
-                    qrImageBuffer,
-                    `qrcode-${qrcode.shortCode}.png`,
-                    'qrcodes',
-                    'image/png'
-                );
+                // Попередні images лишаються в S3 - на них посилаються ревізії
+                const { qrImageUrl, qrSvgUrl, encodedUrl } = reusable
+                    ? options.images
+                    : await this.renderQRImage(content, qrOptions);
 
-                updates.qrImageUrl = newImageUrl;
-                logSuccess('QR image regenerated', { url: newImageUrl });
+                updates.qrImageUrl = qrImageUrl;
+                updates.qrSvgUrl = qrSvgUrl;
+                updates.encodedUrl = encodedUrl;
+                logSuccess('QR image regenerated', { url: qrImageUrl });
             }
 
             // 4. Оновлення в БД
@@ -358,6 +567,16 @@ class QRCodeService {
                 .populate('websiteId', 'name type slug')
                 .lean();
 
+            // Старі коди та нові (могли бути закешовані як "не знайдено")
+            invalidateQRCodeRedirects(qrcode);
+            invalidateQRCodeRedirects(updatedQRCode);
+
+            await this.revisionService.recordRevision(qrcode, updatedQRCode, {
+                action: options.action || QR_REVISION_ACTION.UPDATE,
+                userId,
+                rolledBackTo: options.rolledBackTo
+            });
+
             logSuccess('QR code updated', { qrcodeId });
 
             return updatedQRCode;
@@ -384,15 +603,22 @@ class QRCodeService {
             logInfo('Deleting QR code', { qrcodeId, userId });
 
             // Перевірка власника
-            await this.getQRCodeById(qrcodeId, userId);
+            const qrcode = await this.getQRCodeById(qrcodeId, userId);
 
             // Soft delete
-            await QRCode.findByIdAndUpdate(qrcodeId, {
+            const deletedQRCode = await QRCode.findByIdAndUpdate(qrcodeId, {
                 $set: {
                     isActive: false,
                     deletedAt: new Date(),
                     status: QR_STATUS.ARCHIVED
                 }
+            }, { new: true }).lean();
+
+            invalidateQRCodeRedirects(qrcode);
+
+            await this.revisionService.recordRevision(qrcode, deletedQRCode, {
+                action: QR_REVISION_ACTION.DELETE,
+                userId
             });
 
             logSuccess('QR code deleted (soft)', { qrcodeId });
@@ -430,34 +656,29 @@ class QRCodeService {
             // Генерація нового QR
             const qrOptions = {
                 primaryColor: qrcode.primaryColor,
-                backgroundColor: qrcode.backgroundColor
+                backgroundColor: qrcode.backgroundColor,
+                style: qrcode.style,
+                logoUrl: qrcode.logoUrl
             };
 
-            const qrImageBuffer = await generateQRCodeBuffer(qrcode.targetUrl, qrOptions);
-
-            // Видалити старий
-            if (qrcode.qrImageUrl) {
-                await this.s3Service.deleteFile(qrcode.qrImageUrl);
-            }
-
-            // Завантажити новий
-            const newImageUrl = await this.s3Service.uploadBuffer(
-                qrImageBuffer,
-                `qrcode-${qrcode.shortCode}.png`,
-                'qrcodes',
-                'image/png'
-            );
+            // Старі images лишаються в S3 - на них посилаються ревізії
+            const { qrImageUrl: newImageUrl, qrSvgUrl, encodedUrl } = await this.renderQRImage(qrcode, qrOptions);
 
             // Оновити в БД
             const updatedQRCode = await QRCode.findByIdAndUpdate(
                 qrcodeId,
-                { $set: { qrImageUrl: newImageUrl } },
+                { $set: { qrImageUrl: newImageUrl, qrSvgUrl, encodedUrl } },
                 { new: true }
             )
                 .populate('businessId', 'name slug')
                 .populate('websiteId', 'name type slug')
                 .lean();
 
+            await this.revisionService.recordRevision(qrcode, updatedQRCode, {
+                action: QR_REVISION_ACTION.REGENERATE,
+                userId
+            });
+
             logSuccess('QR image regenerated', { qrcodeId, newImageUrl });
 
             return updatedQRCode;
@@ -471,23 +692,141 @@ class QRCodeService {
         }
     }
 
+    /**
+     * Міграція старих "статичних" QR кодів
+     * Перегенеровує image для всіх QR кодів користувача, які не кодують shortUrl
+     * (створені до переходу на dynamic redirect і ведуть напряму на targetUrl).
+     * Wi-Fi / SMS / email кодують вміст навмисно - не мігруються
+     *
+     * @param {String} userId - ID користувача
+     * @param {Object} options - Опції
+     * @param {Boolean} options.dryRun - Тільки звіт, без перегенерації
+     * @returns {Promise<Object>} - { total, alreadyDynamic, migrated, failed }
+     */
+    async migrateQRImages(userId, options = {}) {
+        try {
+            const { dryRun = false } = options;
+
+            logInfo('Migrating QR images to short URLs', { userId, dryRun });
+
+            const userBusinesses = await Business.find({
+                userId,
+                isActive: true
+            }).select('_id');
+
+            const qrcodes = await QRCode.find({
+                businessId: { $in: userBusinesses.map(b => b._id) },
+                isActive: true,
+                payloadType: { $nin: STATIC_PAYLOAD_TYPES }
+            })
+                .select(['businessId', 'websiteId', ...QR_REVISION.TRACKED_FIELDS].join(' '))
+                .lean();
+
+            const report = {
+                total: qrcodes.length,
+                alreadyDynamic: 0,
+                migrated: [],
+                failed: []
+            };
+
+            for (const qrcode of qrcodes) {
+                const shortUrl = QRCode.buildShortUrl(qrcode.shortCode);
+
+                if (qrcode.encodedUrl === shortUrl) {
+                    report.alreadyDynamic += 1;
+                    continue;
+                }
+
+                const entry = {
+                    id: qrcode._id,
+                    name: qrcode.name,
+                    shortCode: qrcode.shortCode,
+                    // Без encodedUrl image кодував targetUrl напряму
+                    previouslyEncoded: qrcode.encodedUrl || qrcode.targetUrl,
+                    wasStatic: !qrcode.encodedUrl || qrcode.encodedUrl === qrcode.targetUrl,
+                    encodedUrl: shortUrl
+                };
+
+                if (dryRun) {
+                    report.migrated.push(entry);
+                    continue;
+                }
+
+                try {
+                    const { qrImageUrl, qrSvgUrl, encodedUrl } = await this.renderQRImage(qrcode, {
+                        primaryColor: qrcode.primaryColor,
+                        backgroundColor: qrcode.backgroundColor,
+                        style: qrcode.style,
+                        logoUrl: qrcode.logoUrl
+                    });
+
+                    await QRCode.updateOne(
+                        { _id: qrcode._id },
+                        { $set: { qrImageUrl, qrSvgUrl, encodedUrl } }
+                    );
+
+                    // Старі images лишаються в S3 - на них посилаються ревізії
+                    await this.revisionService.recordRevision(
+                        qrcode,
+                        { ...qrcode, qrImageUrl, qrSvgUrl, encodedUrl },
+                        { action: QR_REVISION_ACTION.REGENERATE, userId }
+                    );
+
+                    report.migrated.push({ ...entry, qrImageUrl });
+
+                } catch (error) {
+                    logWarn('Failed to migrate QR image', {
+                        qrcodeId: qrcode._id,
+                        error: error.message
+                    });
+                    report.failed.push({ ...entry, error: error.message });
+                }
+            }
+
+            logSuccess('QR images migration finished', {
+                userId,
+                dryRun,
+                total: report.total,
+                migrated: report.migrated.length,
+                failed: report.failed.length
+            });
+
+            return report;
+
+        } catch (error) {
+            logError('Failed to migrate QR images', {
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
     /**
      * Активувати QR код
      */
     async activateQRCode(qrcodeId, userId) {
         try {
-            await this.getQRCodeById(qrcodeId, userId);
+            const before = await this.getQRCodeById(qrcodeId, userId);
 
             const qrcode = await QRCode.findById(qrcodeId);
             await qrcode.activate();
+            invalidateQRCodeRedirects(qrcode);
 
-            logSuccess('QR code activated', { qrcodeId });
-
-            return await QRCode.findById(qrcodeId)
+            const updatedQRCode = await QRCode.findById(qrcodeId)
                 .populate('businessId', 'name slug')
                 .populate('websiteId', 'name type slug')
                 .lean();
 
+            await this.revisionService.recordRevision(before, updatedQRCode, {
+                action: QR_REVISION_ACTION.ACTIVATE,
+                userId
+            });
+
+            logSuccess('QR code activated', { qrcodeId });
+
+            return updatedQRCode;
+
         } catch (error) {
             logError('Failed to activate QR code', {
                 qrcodeId,
@@ -502,18 +841,26 @@ class QRCodeService {
      */
     async deactivateQRCode(qrcodeId, userId) {
         try {
-            await this.getQRCodeById(qrcodeId, userId);
+            const before = await this.getQRCodeById(qrcodeId, userId);
 
             const qrcode = await QRCode.findById(qrcodeId);
             await qrcode.deactivate();
+            invalidateQRCodeRedirects(qrcode);
 
-            logSuccess('QR code deactivated', { qrcodeId });
-
-            return await QRCode.findById(qrcodeId)
+            const updatedQRCode = await QRCode.findById(qrcodeId)
                 .populate('businessId', 'name slug')
                 .populate('websiteId', 'name type slug')
                 .lean();
 
+            await this.revisionService.recordRevision(before, updatedQRCode, {
+                action: QR_REVISION_ACTION.DEACTIVATE,
+                userId
+            });
+
+            logSuccess('QR code deactivated', { qrcodeId });
+
+            return updatedQRCode;
+
         } catch (error) {
             logError('Failed to deactivate QR code', {
                 qrcodeId,
@@ -525,11 +872,17 @@ class QRCodeService {
 
     /**
      * Отримати статистику QR коду
+     * variants - порівняння конверсій A/B split за весь час існування QR коду
      */
     async getQRCodeStats(qrcodeId, userId) {
         try {
             const qrcode = await this.getQRCodeById(qrcodeId, userId);
 
+            const variants = await this.analyticsService.getVariantComparison(qrcode, {
+                startDate: qrcode.createdAt,
+                endDate: new Date()
+            });
+
             const stats = {
                 qrCode: {
                     id: qrcode._id,
@@ -541,7 +894,9 @@ class QRCodeService {
                 uniqueScans: qrcode.uniqueScans,
                 lastScanAt: qrcode.lastScanAt,
                 createdAt: qrcode.createdAt,
-                shortUrl: `${process.env.API_URL || 'http://localhost:5000'}/s/${qrcode.shortCode}`
+                shortUrl: QRCode.buildShortUrl(qrcode.shortCode),
+                isDynamic: qrcode.encodedUrl === QRCode.buildShortUrl(qrcode.shortCode),
+                variants
             };
 
             logSuccess('QR code stats retrieved', { qrcodeId });
@@ -557,10 +912,595 @@ class QRCodeService {
         }
     }
 
+    // ============================================
+    // ІСТОРІЯ ЗМІН
+    // ============================================
+
+    /**
+     * Історія ревізій QR коду
+     *
+     * @param {String} qrcodeId - ID QR коду
+     * @param {String} userId - ID користувача
+     * @param {Object} options - { page, limit }
+     * @returns {Promise<Object>} - { qrCode, currentRevision, revisions, pagination }
+     */
+    async getQRCodeHistory(qrcodeId, userId, options = {}) {
+        try {
+            const qrcode = await this.getQRCodeById(qrcodeId, userId);
+
+            const history = await this.revisionService.getHistory(qrcode._id, options);
+
+            return {
+                qrCode: {
+                    id: qrcode._id,
+                    name: qrcode.name,
+                    shortCode: qrcode.shortCode,
+                    status: qrcode.status
+                },
+                ...history
+            };
+
+        } catch (error) {
+            logError('Failed to get QR code history', {
+                qrcodeId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Відкотити QR код до ревізії
+     * Відновлюються вміст, розклад та дизайн (QR_REVISION.ROLLBACK_FIELDS) разом з image ревізії.
+     * Статус, коди, захист та кампанія лишаються поточними. Сам rollback - нова ревізія
+     *
+     * @param {String} qrcodeId - ID QR коду
+     * @param {String} userId - ID користувача
+     * @param {Number} revision - Номер ревізії
+     * @returns {Promise<Object>} - Оновлений QR код
+     */
+    async rollbackQRCode(qrcodeId, userId, revision) {
+        try {
+            logInfo('Rolling back QR code', { qrcodeId, userId, revision });
+
+            const qrcode = await this.getQRCodeById(qrcodeId, userId);
+
+            const [target, latest] = await Promise.all([
+                this.revisionService.getRevision(qrcode._id, revision),
+                QRCodeRevision.findLatest(qrcode._id)
+            ]);
+
+            if (latest && latest.revision === target.revision) {
+                throw new BadRequestError('Ця ревізія вже є поточною');
+            }
+
+            const { snapshot } = target;
+            const updateData = {};
+
+            // null в розкладі - прибрати обмеження, в інших полях - значення не було
+            for (const field of QR_REVISION.ROLLBACK_FIELDS) {
+                if (field !== 'logoUrl' &&
+                    (snapshot[field] !== null || QR_REVISION.CLEARABLE_FIELDS.includes(field))) {
+                    updateData[field] = snapshot[field];
+                }
+            }
+
+            // Логотип бізнесу міг бути замінений (старий файл видалено) - тоді лишається поточний
+            // і image перегенеровується
+            const logoAvailable = !snapshot.logoUrl || await this.s3Service.fileExists(snapshot.logoUrl);
+
+            if (!logoAvailable) {
+                logWarn('Revision logo is no longer available, keeping current logo', {
+                    qrcodeId,
+                    revision: target.revision
+                });
+            }
+
+            const updatedQRCode = await this.updateQRCode(qrcodeId, userId, updateData, {
+                action: QR_REVISION_ACTION.ROLLBACK,
+                rolledBackTo: target.revision,
+                logoUrl: logoAvailable ? snapshot.logoUrl : undefined,
+                images: logoAvailable
+                    ? {
+                        qrImageUrl: snapshot.qrImageUrl,
+                        qrSvgUrl: snapshot.qrSvgUrl,
+                        encodedUrl: snapshot.encodedUrl
+                    }
+                    : null
+            });
+
+            logSuccess('QR code rolled back', { qrcodeId, revision: target.revision });
+
+            return updatedQRCode;
+
+        } catch (error) {
+            logError('Failed to roll back QR code', {
+                qrcodeId,
+                revision,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    // ============================================
+    // ДРУК
+    // ============================================
+
+    /**
+     * Друкована версія QR коду (генерується на запит, не зберігається в S3)
+     *
+     * @param {String} qrcodeId - ID QR коду
+     * @param {String} userId - ID користувача
+     * @param {Object} printOptions - { format, size, unit, bleed, cropMarks, dpi, layout }
+     * @returns {Promise<Object>} - { buffer, contentType, filename }
+     */
+    async exportPrintQR(qrcodeId, userId, printOptions) {
+        try {
+            logInfo('Exporting print QR code', { qrcodeId, userId, ...printOptions });
+
+            const qrcode = await this.getQRCodeById(qrcodeId, userId);
+            const scene = await this.buildPrintScene(qrcode);
+
+            // sheet: аркуш A4, заповнений копіями одного QR
+            const layout = buildPrintLayout([scene], {
+                ...this.resolvePrintSize(printOptions),
+                layout: printOptions.layout,
+                fillSheet: true
+            });
+
+            const file = await this.renderPrintFile(layout, printOptions, {
+                filename: `qr-${qrcode.shortCode}`,
+                title: qrcode.name
+            });
+
+            logSuccess('Print QR code exported', { qrcodeId, format: printOptions.format, size: file.buffer.length });
+
+            return file;
+
+        } catch (error) {
+            logError('Failed to export print QR code', {
+                qrcodeId,
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * PDF аркуші A4 з наліпками декількох QR кодів (стільки сторінок, скільки потрібно)
+     *
+     * @param {String} userId - ID користувача
+     * @param {Object} sheetData - { qrcodeIds, copies, size, unit, bleed, cropMarks }
+     * @returns {Promise<Object>} - { buffer, contentType, filename }
+     */
+    async exportPrintSheet(userId, sheetData) {
+        try {
+            const { qrcodeIds, copies = 1, ...printOptions } = sheetData;
+
+            logInfo('Exporting QR print sheet', { userId, count: qrcodeIds.length, copies });
+
+            if (qrcodeIds.length * copies > QR_PRINT.SHEET_MAX_STICKERS) {
+                throw new BadRequestError(`Максимум ${QR_PRINT.SHEET_MAX_STICKERS} наліпок за раз`);
+            }
+
+            const userBusinesses = await Business.find({
+                userId,
+                isActive: true
+            }).select('_id');
+
+            const qrcodes = await QRCode.find({
+                _id: { $in: qrcodeIds },
+                businessId: { $in: userBusinesses.map(b => b._id) },
+                isActive: true
+            }).lean();
+
+            if (qrcodes.length !== qrcodeIds.length) {
+                throw new NotFoundError('Деякі QR коди не знайдено');
+            }
+
+            // Порядок наліпок - як у запиті
+            const byId = new Map(qrcodes.map(qrcode => [qrcode._id.toString(), qrcode]));
+            const scenes = [];
+
+            for (const id of qrcodeIds) {
+                const scene = await this.buildPrintScene(byId.get(id));
+                scenes.push(...Array(copies).fill(scene));
+            }
+
+            const layout = buildPrintLayout(scenes, {
+                ...this.resolvePrintSize(printOptions),
+                layout: QR_PRINT_LAYOUT.SHEET
+            });
+
+            const file = await this.renderPrintFile(layout, { format: QR_DOWNLOAD_FORMAT.PDF }, {
+                filename: 'qr-sheet',
+                title: 'QR stickers'
+            });
+
+            logSuccess('QR print sheet exported', {
+                userId,
+                stickers: scenes.length,
+                pages: layout.pages.length
+            });
+
+            return file;
+
+        } catch (error) {
+            logError('Failed to export QR print sheet', {
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
     // ============================================
     // HELPERS
     // ============================================
 
+    /**
+     * Поля розкладу QR коду з перевіркою узгодженості
+     *
+     * @param {Object} data - { startsAt, expiresAt, maxScans, expiredBehavior, expiredUrl }
+     * @returns {Object} - Нормалізовані поля (null замість відсутніх)
+     * @throws {BadRequestError} - expiresAt раніше startsAt або redirect без expiredUrl
+     */
+    buildSchedule(data) {
+        const schedule = {
+            startsAt: data.startsAt ? new Date(data.startsAt) : null,
+            expiresAt: data.expiresAt ? new Date(data.expiresAt) : null,
+            maxScans: data.maxScans || null,
+            expiredBehavior: data.expiredBehavior || QR_EXPIRED_BEHAVIOR.ERROR_PAGE,
+            expiredUrl: data.expiredUrl || null
+        };
+
+        if (schedule.startsAt && schedule.expiresAt && schedule.expiresAt <= schedule.startsAt) {
+            throw new BadRequestError('expiresAt має бути пізніше startsAt');
+        }
+
+        if (schedule.expiredBehavior === QR_EXPIRED_BEHAVIOR.REDIRECT && !schedule.expiredUrl) {
+            throw new BadRequestError('expiredUrl є обов\'язковим для expiredBehavior=redirect');
+        }
+
+        return schedule;
+    }
+
+    /**
+     * Кампанія QR коду з перевіркою належності бізнесу
+     *
+     * @param {String|null} campaignId - ID кампанії (null / undefined - без кампанії)
+     * @param {String} businessId - ID бізнесу QR коду
+     * @param {String} payloadType - Тип вмісту QR коду
+     * @returns {Promise<String|null>} - campaignId або null
+     * @throws {NotFoundError} - Кампанію не знайдено в цьому бізнесі
+     * @throws {BadRequestError} - Wi-Fi / SMS / email: скан не проходить через redirect
+     */
+    async resolveCampaign(campaignId, businessId, payloadType = QR_PAYLOAD_TYPE.URL) {
+        if (!campaignId) {
+            return null;
+        }
+
+        if (STATIC_PAYLOAD_TYPES.includes(payloadType)) {
+            throw new BadRequestError(`Кампанія недоступна для QR з payloadType=${payloadType}`);
+        }
+
+        const campaign = await Campaign.exists({ _id: campaignId, businessId, isActive: true });
+
+        if (!campaign) {
+            throw new NotFoundError('Кампанію не знайдено або вона не належить до цього бізнесу');
+        }
+
+        return campaignId;
+    }
+
+    /**
+     * Поля захисту QR коду паролем / PIN
+     *
+     * @param {String} accessType - none | password | pin
+     * @param {String} accessSecret - Пароль / PIN у відкритому вигляді
+     * @returns {Promise<Object>} - { accessType, accessSecretHash }
+     * @throws {BadRequestError} - Немає секрету для захищеного QR або PIN не з цифр
+     */
+    async buildAccess(accessType = QR_ACCESS_TYPE.NONE, accessSecret) {
+        if (accessType === QR_ACCESS_TYPE.NONE) {
+            return { accessType, accessSecretHash: null };
+        }
+
+        if (!accessSecret) {
+            throw new BadRequestError('accessSecret є обов\'язковим для захищеного QR коду');
+        }
+
+        const pinPattern = new RegExp(`^\\d{${QR_ACCESS.PIN_MIN_LENGTH},${QR_ACCESS.PIN_MAX_LENGTH}}$`);
+
+        if (accessType === QR_ACCESS_TYPE.PIN && !pinPattern.test(accessSecret)) {
+            throw new BadRequestError(
+                `PIN має містити від ${QR_ACCESS.PIN_MIN_LENGTH} до ${QR_ACCESS.PIN_MAX_LENGTH} цифр`
+            );
+        }
+
+        return {
+            accessType,
+            accessSecretHash: await QRCode.hashAccessSecret(accessSecret)
+        };
+    }
+
+    /**
+     * Вміст QR коду з перевіркою сумісності з іншими налаштуваннями
+     * Не-URL типи не мають куди вести redirect правила / A/B split;
+     * Wi-Fi / SMS / email не проходять через /s/:shortCode, тому без розкладу та захисту
+     *
+     * @param {Object} data - { payloadType, payload, targetUrl, redirectRules, splitVariants,
+     *                          startsAt, expiresAt, maxScans, accessType }
+     * @returns {Object} - { payloadType, payload } (payload null для url)
+     * @throws {BadRequestError} - Несумісні налаштування або вміст завеликий для QR
+     */
+    buildContent(data) {
+        const payloadType = data.payloadType || QR_PAYLOAD_TYPE.URL;
+
+        if (payloadType === QR_PAYLOAD_TYPE.URL) {
+            if (!data.targetUrl) {
+                throw new BadRequestError('targetUrl є обов\'язковим для payloadType=url');
+            }
+
+            return { payloadType, payload: null };
+        }
+
+        if (data.redirectRules?.length || data.splitVariants?.length) {
+            throw new BadRequestError('Redirect правила та A/B split доступні тільки для payloadType=url');
+        }
+
+        if (isTrackablePayloadType(payloadType)) {
+            return { payloadType, payload: data.payload };
+        }
+
+        const isProtected = data.accessType && data.accessType !== QR_ACCESS_TYPE.NONE;
+
+        if (data.startsAt || data.expiresAt || data.maxScans || isProtected) {
+            throw new BadRequestError(
+                'Розклад, ліміт сканів та захист недоступні для Wi-Fi / SMS / email: вміст закодований в image без short URL'
+            );
+        }
+
+        if (Buffer.byteLength(encodeQRPayload(payloadType, data.payload)) > QR_PAYLOAD.STATIC_MAX_BYTES) {
+            throw new BadRequestError('Вміст завеликий для QR коду - скоротіть текст');
+        }
+
+        return { payloadType, payload: data.payload };
+    }
+
+    /**
+     * Рядок, який кодується в image
+     * url / vcard / geo / event - tracked shortUrl, Wi-Fi / SMS / email - сам вміст
+     *
+     * @param {Object} qrcode - { shortCode, payloadType, payload }
+     * @returns {String}
+     */
+    getEncodedContent({ shortCode, payloadType, payload }) {
+        return isTrackablePayloadType(payloadType)
+            ? QRCode.buildShortUrl(shortCode)
+            : encodeQRPayload(payloadType, payload);
+    }
+
+    /**
+     * shortCode та aliases з перевіркою формату, зарезервованих слів,
+     * profanity та унікальності серед усіх QR
+     * Перевіряються тільки нові коди: власні коди QR вже були перевірені.
+     * Одночасні запити з тим самим кодом відсікає унікальний індекс QRCode.codes
+     *
+     * @param {Object} requested - { shortCode, aliases } (undefined - без змін)
+     * @param {Object|null} current - Поточний QR (оновлення) або null (створення)
+     * @returns {Promise<Object>} - { shortCode (null - згенерувати), aliases }
+     * @throws {BadRequestError} - Невалідний код або забагато aliases
+     * @throws {ConflictError} - Код вже використовується іншим QR
+     */
+    async resolveShortCodes({ shortCode, aliases }, current = null) {
+        const currentCodes = current ? [current.shortCode, ...(current.aliases || [])] : [];
+        const nextShortCode = shortCode ? shortCode.toLowerCase() : current?.shortCode || null;
+
+        const nextAliases = (aliases ?? current?.aliases ?? []).map(alias => alias.toLowerCase());
+
+        // Перейменування: вже надруковані QR з попереднім кодом продовжують працювати
+        if (current && nextShortCode !== current.shortCode) {
+            nextAliases.push(current.shortCode);
+        }
+
+        const uniqueAliases = [...new Set(nextAliases)].filter(alias => alias !== nextShortCode);
+
+        if (uniqueAliases.length > SHORT_CODE_SETTINGS.MAX_ALIASES) {
+            throw new BadRequestError(
+                `QR код може мати максимум ${SHORT_CODE_SETTINGS.MAX_ALIASES} aliases (включно з попереднім shortCode)`
+            );
+        }
+
+        const newCodes = [nextShortCode, ...uniqueAliases]
+            .filter(code => code && !currentCodes.includes(code));
+
+        for (const code of newCodes) {
+            const { valid, errors } = validateCustomShortCode(code);
+
+            if (!valid) {
+                throw new BadRequestError(errors[0]);
+            }
+        }
+
+        if (newCodes.length > 0) {
+            const taken = await QRCode.findTakenShortCodes(newCodes, current?._id);
+
+            if (taken.length > 0) {
+                throw new ConflictError(`Код "${taken[0]}" вже використовується`);
+            }
+        }
+
+        return {
+            shortCode: nextShortCode,
+            aliases: uniqueAliases
+        };
+    }
+
+    /**
+     * Перевірка, що кольори дизайну не зроблять QR нечитабельним
+     *
+     * @param {Object} qrOptions - { primaryColor, backgroundColor, style }
+     * @throws {ValidationError} - Недостатній контраст (errors - список проблем)
+     */
+    assertReadable(qrOptions) {
+        const { isReadable, issues } = checkQRReadability(qrOptions);
+
+        if (!isReadable) {
+            throw new ValidationError('QR код з таким дизайном може не скануватись', issues);
+        }
+    }
+
+    /**
+     * Логотип бізнесу для QR
+     *
+     * @param {Object} business - Business з полем logo
+     * @returns {String} - URL логотипу в S3
+     * @throws {BadRequestError} - У бізнесу немає логотипу
+     */
+    getBusinessLogoUrl(business) {
+        if (!business?.logo) {
+            throw new BadRequestError('Спочатку завантажте логотип бізнесу');
+        }
+
+        return business.logo;
+    }
+
+    /**
+     * Генерує QR image (PNG та SVG) для shortCode та завантажує в S3
+     * Image кодує tracked shortUrl (/s/:shortCode), щоб кожне сканування
+     * проходило через ScanService; Wi-Fi / SMS / email - вміст напряму
+     *
+     * @param {Object} qrcode - { shortCode, payloadType, payload }
+     * @param {Object} qrOptions - { primaryColor, backgroundColor, style, logoUrl }
+     * @returns {Promise<Object>} - { qrImageUrl, qrSvgUrl, encodedUrl }
+     */
+    async renderQRImage(qrcode, qrOptions) {
+        const { shortCode } = qrcode;
+        const encodedUrl = this.getEncodedContent(qrcode);
+        const logo = await this.loadLogo(qrOptions.logoUrl);
+
+        const { png, svg } = await renderStyledQR(encodedUrl, {
+            primaryColor: qrOptions.primaryColor,
+            backgroundColor: qrOptions.backgroundColor,
+            style: qrOptions.style,
+            logo
+        });
+
+        const qrImageUrl = await this.s3Service.uploadBuffer(
+            png,
+            `qrcode-${shortCode}.png`,
+            'qrcodes',
+            'image/png'
+        );
+
+        const qrSvgUrl = await this.s3Service.uploadBuffer(
+            Buffer.from(svg),
+            `qrcode-${shortCode}.svg`,
+            'qrcodes',
+            'image/svg+xml'
+        );
+
+        logSuccess('QR image uploaded to S3', { qrImageUrl, qrSvgUrl, encodedUrl });
+
+        return { qrImageUrl, qrSvgUrl, encodedUrl };
+    }
+
+    /**
+     * Логотип для вбудовування в QR
+     * Тільки з нашого S3 (без запитів на довільні URL)
+     *
+     * @param {String|null} logoUrl - URL логотипу
+     * @returns {Promise<String|null>} - data URI або null
+     */
+    async loadLogo(logoUrl) {
+        if (!logoUrl) {
+            return null;
+        }
+
+        return prepareLogo(await this.s3Service.downloadFile(logoUrl));
+    }
+
+    /**
+     * Геометрія QR коду для друку (той самий дизайн, що й збережений image)
+     *
+     * @param {Object} qrcode - QR код (lean)
+     * @returns {Promise<Object>} - Сцена buildQRScene()
+     */
+    async buildPrintScene(qrcode) {
+        return buildQRScene(this.getEncodedContent(qrcode), {
+            primaryColor: qrcode.primaryColor,
+            backgroundColor: qrcode.backgroundColor,
+            style: qrcode.style,
+            logo: await this.loadLogo(qrcode.logoUrl)
+        });
+    }
+
+    /**
+     * Розмір наліпки та bleed у пунктах
+     *
+     * @param {Object} printOptions - { size, unit, bleed, cropMarks }
+     * @returns {Object} - { size, bleed, cropMarks }
+     */
+    resolvePrintSize({ size, unit = QR_PRINT_UNIT.MM, bleed = 0, cropMarks = false }) {
+        return {
+            size: size !== undefined ? toPoints(size, unit) : toPoints(QR_PRINT.DEFAULT_SIZE_MM),
+            bleed: toPoints(bleed, unit),
+            cropMarks
+        };
+    }
+
+    /**
+     * Файл друкованої версії за розкладкою
+     *
+     * @param {Object} layout - buildPrintLayout()
+     * @param {Object} printOptions - { format, dpi }
+     * @param {Object} meta - { filename (без розширення), title }
+     * @returns {Promise<Object>} - { buffer, contentType, filename }
+     * @throws {BadRequestError} - Не вміщується на аркуш або PNG завеликий
+     */
+    async renderPrintFile(layout, printOptions, meta) {
+        if (layout.perPage === 0) {
+            throw new BadRequestError('Наліпка такого розміру не вміщується на аркуш A4');
+        }
+
+        const { format } = printOptions;
+        const filename = `${meta.filename}.${format}`;
+
+        if (format === QR_DOWNLOAD_FORMAT.PDF) {
+            return {
+                buffer: await renderPrintPDF(layout.pages, { title: meta.title }),
+                contentType: 'application/pdf',
+                filename
+            };
+        }
+
+        if (format === QR_DOWNLOAD_FORMAT.EPS) {
+            return {
+                buffer: await renderPrintEPS(layout.pages[0], { title: meta.title }),
+                contentType: 'application/postscript',
+                filename
+            };
+        }
+
+        const dpi = printOptions.dpi || QR_PRINT.DEFAULT_DPI;
+        const { width, height } = getPNGPixelSize(layout.pages[0], dpi);
+
+        if (width * height > QR_PRINT.MAX_PNG_PIXELS) {
+            throw new BadRequestError(
+                `Зображення ${width}x${height} px завелике - зменшіть DPI або розмір, або оберіть pdf`
+            );
+        }
+
+        return {
+            buffer: await renderPrintPNG(layout.pages[0], { dpi }),
+            contentType: 'image/png',
+            filename
+        };
+    }
+
     /**
      * Генерує унікальний shortCode
      */
@@ -592,37 +1532,6 @@ class QRCodeService {
             throw new Error('Не вдалося згенерувати унікальний код');
         }
     }
-
-    /**
-     * Перевірка MVP ліміту QR кодів
-     */
-    async checkQRLimit(websiteId) {
-        try {
-            const count = await QRCode.countDocuments({
-                websiteId,
-                isActive: true,
-                status: { $ne: QR_STATUS.ARCHIVED }
-            });
-
-            if (count >= MVP_LIMITS.MAX_QR_CODES_PER_WEBSITE) {
-                throw new ConflictError(
-                    `Досягнуто ліміт QR кодів для MVP (${MVP_LIMITS.MAX_QR_CODES_PER_WEBSITE} на сайт)`
-                );
-            }
-
-            logInfo('QR limit check passed', { websiteId, current: count, limit: MVP_LIMITS.MAX_QR_CODES_PER_WEBSITE });
-
-        } catch (error) {
-            if (error instanceof ConflictError) {
-                throw error;
-            }
-            logError('Failed to check QR limit', {
-                websiteId,
-                error: error.message
-            });
-            throw error;
-        }
-    }
 }
 
 export default QRCodeService;
\ No newline at end of file
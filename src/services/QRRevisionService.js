@@ -0,0 +1,223 @@
+/**
+ * QRRevisionService
+ * Історія змін QR кодів (QRCodeRevision)
+ *
+ * Відповідальність:
+ * - Запис ревізії після кожної зміни QR коду: diff полів, snapshot стану, хто змінив
+ * - Baseline ревізія для QR кодів, створених до історії (перед їх першою зміною)
+ * - Читання історії та окремої ревізії (перевірку власника робить QRCodeService)
+ *
+ * Ревізія записується після збереження QR коду: помилка запису логується,
+ * але не відкочує вже збережену зміну.
+ */
+
+import QRCodeRevision from '../models/QRCodeRevision.js';
+import { logInfo, logError, logWarn } from '../utils/logger.js';
+import { NotFoundError } from '../utils/errorHandler.js';
+import { QR_REVISION_ACTION, QR_REVISION } from '../config/constants.js';
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+class QRRevisionService {
+
+    // ============================================
+    // RECORD
+    // ============================================
+
+    /**
+     * Записати ревізію QR коду
+     *
+     * @param {Object|null} before - Стан до зміни (null - QR створено)
+     * @param {Object} after - Стан після зміни (документ QRCode, lean)
+     * @param {Object} meta - { action, userId, rolledBackTo }
+     * @returns {Promise<Object|null>} - Ревізія або null (нічого не змінилось / помилка запису)
+     */
+    async recordRevision(before, after, meta) {
+        const { action, userId = null, rolledBackTo = null } = meta;
+
+        try {
+            const changes = before ? this.diffSnapshots(before, after) : [];
+
+            if (before && changes.length === 0) {
+                return null;
+            }
+
+            const changedFields = new Set(changes.map(change => change.field));
+
+            const data = {
+                ...this.getContext(after),
+                userId,
+                action,
+                rolledBackTo,
+                changes,
+                snapshot: this.buildSnapshot(after),
+                destinationChanged: QR_REVISION.DESTINATION_FIELDS.some(field => changedFields.has(field)),
+                previousTargetUrl: before ? before.targetUrl || null : null,
+                targetUrl: after.targetUrl || null,
+                previousImageUrl: before ? before.qrImageUrl || null : null,
+                imageUrl: after.qrImageUrl || null
+            };
+
+            const revision = await this.createWithNextNumber(data, before);
+
+            logInfo('QR code revision recorded', {
+                qrCodeId: data.qrCodeId,
+                revision: revision.revision,
+                action,
+                fields: [...changedFields]
+            });
+
+            return revision;
+
+        } catch (error) {
+            logError('Failed to record QR code revision', {
+                qrCodeId: after?._id,
+                action,
+                error: error.message
+            });
+            return null;
+        }
+    }
+
+    // ============================================
+    // READ
+    // ============================================
+
+    /**
+     * Історія ревізій QR коду (новіші спочатку)
+     *
+     * @param {String} qrCodeId - ID QR коду
+     * @param {Object} options - { page, limit }
+     * @returns {Promise<Object>} - { currentRevision, revisions, pagination }
+     */
+    async getHistory(qrCodeId, options = {}) {
+        const { page = 1, limit = QR_REVISION.HISTORY_DEFAULT_LIMIT } = options;
+        const skip = (page - 1) * limit;
+
+        const [revisions, total, latest] = await Promise.all([
+            QRCodeRevision.find({ qrCodeId })
+                .select('-__v')
+                .populate('userId', 'name email')
+                .sort({ revision: -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            QRCodeRevision.countDocuments({ qrCodeId }),
+            QRCodeRevision.findLatest(qrCodeId)
+        ]);
+
+        return {
+            currentRevision: latest ? latest.revision : null,
+            revisions,
+            pagination: {
+                total,
+                page: Number(page),
+                limit: Number(limit),
+                pages: Math.ceil(total / limit)
+            }
+        };
+    }
+
+    /**
+     * Ревізія QR коду за номером
+     *
+     * @param {String} qrCodeId - ID QR коду
+     * @param {Number} revision - Номер ревізії
+     * @returns {Promise<Object>} - Ревізія (lean)
+     * @throws {NotFoundError} - Ревізії не існує
+     */
+    async getRevision(qrCodeId, revision) {
+        const found = await QRCodeRevision.findOne({ qrCodeId, revision: Number(revision) }).lean();
+
+        if (!found) {
+            throw new NotFoundError(`Ревізію ${revision} не знайдено`);
+        }
+
+        return found;
+    }
+
+    // ============================================
+    // HELPER METHODS
+    // ============================================
+
+    /**
+     * Створити ревізію з наступним номером
+     * Перша зміна QR без історії спочатку записує baseline (стан до зміни)
+     *
+     * @param {Object} data - Поля ревізії без номера
+     * @param {Object|null} before - Стан до зміни
+     * @returns {Promise<Object>} - Створена ревізія
+     */
+    async createWithNextNumber(data, before) {
+        for (let attempt = 1; attempt <= QR_REVISION.MAX_RECORD_ATTEMPTS; attempt++) {
+            try {
+                const latest = await QRCodeRevision.findLatest(data.qrCodeId);
+                let revision = latest ? latest.revision + 1 : 1;
+
+                if (!latest && before && data.action !== QR_REVISION_ACTION.CREATE) {
+                    await QRCodeRevision.create({
+                        ...this.getContext(before),
+                        revision,
+                        action: QR_REVISION_ACTION.BASELINE,
+                        snapshot: this.buildSnapshot(before),
+                        targetUrl: before.targetUrl || null,
+                        imageUrl: before.qrImageUrl || null
+                    });
+                    revision += 1;
+                }
+
+                return await QRCodeRevision.create({ ...data, revision });
+
+            } catch (error) {
+                if (error.code !== DUPLICATE_KEY_ERROR || attempt === QR_REVISION.MAX_RECORD_ATTEMPTS) {
+                    throw error;
+                }
+
+                logWarn('QR code revision number taken, retrying', {
+                    qrCodeId: data.qrCodeId,
+                    attempt
+                });
+            }
+        }
+    }
+
+    /**
+     * Зв'язки ревізії з QR коду (businessId / websiteId можуть бути populated)
+     */
+    getContext(qrcode) {
+        const idOf = (value) => (value && value._id) || value || null;
+
+        return {
+            qrCodeId: qrcode._id,
+            businessId: idOf(qrcode.businessId),
+            websiteId: idOf(qrcode.websiteId),
+            campaignId: idOf(qrcode.campaignId)
+        };
+    }
+
+    /**
+     * Стан QR коду для ревізії (QR_REVISION.TRACKED_FIELDS, відсутні - null)
+     */
+    buildSnapshot(qrcode) {
+        return Object.fromEntries(
+            QR_REVISION.TRACKED_FIELDS.map(field => [field, qrcode[field] ?? null])
+        );
+    }
+
+    /**
+     * Змінені поля між двома станами
+     * Порівняння через JSON: ObjectId → hex, Date → ISO, subdocs → plain об'єкти
+     *
+     * @returns {Array<Object>} - [{ field, from, to }]
+     */
+    diffSnapshots(before, after) {
+        const previous = this.buildSnapshot(before);
+        const current = this.buildSnapshot(after);
+
+        return QR_REVISION.TRACKED_FIELDS
+            .filter(field => JSON.stringify(previous[field]) !== JSON.stringify(current[field]))
+            .map(field => ({ field, from: previous[field], to: current[field] }));
+    }
+}
+
+export default QRRevisionService;
@@ -0,0 +1,258 @@
+/**
+ * QRScheduleService
+ * Фонове оновлення статусів QR кодів за розкладом
+ *
+ * Відповідальність:
+ * - scheduled → active, коли настав startsAt
+ * - active / scheduled → expired, коли минув expiresAt або вичерпано maxScans
+ * - Лист власнику бізнесу про закінчення терміну дії QR коду
+ *
+ * Redirect не чекає на job: ScanService перевіряє розклад при кожному скані.
+ * Job потрібен для статусів у списках / фільтрах та сповіщень.
+ *
+ * Перехід у expired - умовний update по поточному статусу,
+ * тому при кількох інстансах API лист відправляє тільки один з них.
+ */
+
+import QRCode from '../models/QRCode.js';
+import User from '../models/User.js';
+import { sendEmail } from '../utils/emailSender.js';
+import { invalidateQRCodeRedirects } from '../utils/redirectCache.js';
+import { logInfo, logSuccess, logError } from '../utils/logger.js';
+import { QR_STATUS, QR_SCHEDULE_JOB } from '../config/constants.js';
+
+class QRScheduleService {
+    constructor(options = {}) {
+        // Dependency Injection
+        this.interval = options.interval || QR_SCHEDULE_JOB.INTERVAL_MS;
+        this.batchSize = options.batchSize || QR_SCHEDULE_JOB.BATCH_SIZE;
+
+        this.timer = null;
+        this.running = null;
+    }
+
+    // ============================================
+    // LIFECYCLE
+    // ============================================
+
+    /**
+     * Запуск періодичної перевірки (ідемпотентний)
+     * Перший прохід - одразу, щоб підхопити зміни за час простою
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => this.run(), this.interval);
+        // Таймер не тримає процес живим
+        this.timer.unref();
+
+        logInfo('QR schedule job started', { intervalMs: this.interval });
+
+        this.run();
+    }
+
+    /**
+     * Зупинка (graceful shutdown) - чекає на поточний прохід
+     *
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+
+        if (this.running) {
+            await this.running;
+        }
+    }
+
+    /**
+     * Один прохід (паралельні виклики чекають на той самий прохід)
+     *
+     * @returns {Promise<Object>} - { activated, expired }
+     */
+    async run() {
+        if (!this.running) {
+            this.running = this.processSchedule().finally(() => {
+                this.running = null;
+            });
+        }
+
+        return this.running;
+    }
+
+    // ============================================
+    // PROCESS
+    // ============================================
+
+    /**
+     * Активація scheduled та закінчення терміну дії QR кодів
+     * Помилки логуються - наступний прохід повторить
+     *
+     * @param {Date} now - Момент перевірки
+     * @returns {Promise<Object>} - { activated, expired }
+     */
+    async processSchedule(now = new Date()) {
+        try {
+            const expired = await this.expireQRCodes(now);
+            const activated = await this.activateScheduledQRCodes(now);
+
+            if (activated > 0 || expired > 0) {
+                logSuccess('QR schedule processed', { activated, expired });
+            }
+
+            return { activated, expired };
+
+        } catch (error) {
+            logError('Failed to process QR schedule', {
+                error: error.message
+            });
+            return { activated: 0, expired: 0 };
+        }
+    }
+
+    /**
+     * scheduled → active (startsAt настав, термін дії ще не минув)
+     *
+     * @param {Date} now - Момент перевірки
+     * @returns {Promise<Number>} - Кількість активованих QR
+     */
+    async activateScheduledQRCodes(now) {
+        const { modifiedCount } = await QRCode.updateMany(
+            {
+                isActive: true,
+                status: QR_STATUS.SCHEDULED,
+                startsAt: { $lte: now }
+            },
+            { $set: { status: QR_STATUS.ACTIVE } }
+        );
+
+        return modifiedCount;
+    }
+
+    /**
+     * active / scheduled → expired + сповіщення власника
+     *
+     * @param {Date} now - Момент перевірки
+     * @returns {Promise<Number>} - Кількість QR, що закінчились
+     */
+    async expireQRCodes(now) {
+        const candidates = await QRCode.find({
+            isActive: true,
+            status: { $in: [QR_STATUS.ACTIVE, QR_STATUS.SCHEDULED] },
+            $or: [
+                { expiresAt: { $lte: now } },
+                { $expr: { $and: [{ $gt: ['$maxScans', 0] }, { $gte: ['$totalScans', '$maxScans'] }] } }
+            ]
+        })
+            .select('name shortCode status businessId expiresAt maxScans totalScans')
+            .limit(this.batchSize)
+            .lean();
+
+        let expiredCount = 0;
+
+        for (const candidate of candidates) {
+            // Умовний update: інший інстанс або користувач міг змінити статус
+            const qrcode = await QRCode.findOneAndUpdate(
+                { _id: candidate._id, status: candidate.status },
+                { $set: { status: QR_STATUS.EXPIRED } },
+                { new: true }
+            )
+                .populate('businessId', 'name userId')
+                .lean();
+
+            if (!qrcode) {
+                continue;
+            }
+
+            expiredCount += 1;
+            invalidateQRCodeRedirects(qrcode);
+
+            logInfo('QR code expired', {
+                qrcodeId: qrcode._id,
+                shortCode: qrcode.shortCode,
+                reason: this.getExpiryReason(qrcode, now)
+            });
+
+            await this.notifyOwner(qrcode, now);
+        }
+
+        return expiredCount;
+    }
+
+    // ============================================
+    // NOTIFICATIONS
+    // ============================================
+
+    /**
+     * Лист власнику бізнесу про закінчення терміну дії QR коду
+     * Помилка відправки не відкочує статус
+     *
+     * @param {Object} qrcode - QR код з populated businessId
+     * @param {Date} now - Момент перевірки
+     * @returns {Promise<Boolean>} - true якщо лист відправлено
+     */
+    async notifyOwner(qrcode, now = new Date()) {
+        try {
+            const business = qrcode.businessId;
+            const owner = business?.userId
+                ? await User.findById(business.userId).select('email name').lean()
+                : null;
+
+            if (!owner) {
+                return false;
+            }
+
+            const reason = this.getExpiryReason(qrcode, now) === 'max_scans'
+                ? `досягнуто ліміт сканів (${qrcode.maxScans})`
+                : `минув термін дії (${new Date(qrcode.expiresAt).toISOString().slice(0, 10)})`;
+
+            const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+            return await sendEmail({
+                to: owner.email,
+                subject: `QR код "${qrcode.name}" більше не активний`,
+                text: [
+                    `Вітаємо${owner.name ? `, ${owner.name}` : ''}!`,
+                    '',
+                    `QR код "${qrcode.name}" бізнесу "${business.name}" більше не активний: ${reason}.`,
+                    'Відвідувачі бачать сторінку для простроченого QR коду.',
+                    '',
+                    `Щоб продовжити роботу QR коду, змініть термін дії або ліміт сканів у кабінеті: ${frontendUrl}`,
+                    '',
+                    'QRHub.online'
+                ].join('\n')
+            });
+
+        } catch (error) {
+            logError('Failed to notify owner about expired QR code', {
+                qrcodeId: qrcode._id,
+                error: error.message
+            });
+            return false;
+        }
+    }
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    /**
+     * Причина закінчення: 'expires_at' | 'max_scans'
+     */
+    getExpiryReason(qrcode, now = new Date()) {
+        return qrcode.expiresAt && new Date(qrcode.expiresAt) <= now
+            ? 'expires_at'
+            : 'max_scans';
+    }
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+// Один job на процес: server.js запускає та зупиняє
+export const qrScheduler = new QRScheduleService();
+
+export default QRScheduleService;
@@ -0,0 +1,349 @@
+/**
+ * ReferralService
+ * Бізнес-логіка реферальної програми
+ *
+ * Відповідальність:
+ * - Генерація реферальних кодів користувачів
+ * - Створення Referral при реєстрації по ?ref= коду
+ * - Відстеження умов активації (бізнес створено + оплачено мінімум місяців)
+ * - Перерахунок знижки реферера (REFERRAL.DISCOUNT_TIERS)
+ * - Огляд рефералів для GET /api/referrals
+ *
+ * Flow:
+ * 1. /api/auth/google?ref=CODE → код у підписаному OAuth state
+ * 2. Новий користувач → Referral (pending), User.referredBy
+ * 3. BusinessService / PaymentService повідомляють про прогрес запрошеного
+ * 4. Умови виконано → active, знижка реферера перераховується
+ */
+
+import { customAlphabet } from 'nanoid';
+import Referral from '../models/Referral.js';
+import User from '../models/User.js';
+import { logInfo, logSuccess, logError, logWarn } from '../utils/logger.js';
+import { NotFoundError } from '../utils/errorHandler.js';
+import { REFERRAL, REFERRAL_STATUS } from '../config/constants.js';
+
+const generateCode = customAlphabet(REFERRAL.CODE_ALPHABET, REFERRAL.CODE_LENGTH);
+
+class ReferralService {
+    // ============================================
+    // РЕФЕРАЛЬНІ КОДИ
+    // ============================================
+
+    /**
+     * Згенерувати унікальний реферальний код
+     *
+     * @returns {Promise<String>}
+     */
+    async generateUniqueCode() {
+        const maxAttempts = 10;
+
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            const code = generateCode();
+            const exists = await User.exists({ referralCode: code });
+
+            if (!exists) {
+                return code;
+            }
+        }
+
+        throw new Error('Не вдалося згенерувати унікальний реферальний код');
+    }
+
+    /**
+     * Реферальний код користувача (створюється, якщо ще немає)
+     *
+     * @param {Object} user - User document
+     * @returns {Promise<String>}
+     */
+    async ensureReferralCode(user) {
+        if (user.referralCode) {
+            return user.referralCode;
+        }
+
+        user.referralCode = await this.generateUniqueCode();
+        await user.save();
+
+        logInfo('Referral code assigned', { userId: user._id, referralCode: user.referralCode });
+
+        return user.referralCode;
+    }
+
+    /**
+     * Знайти реферера по коду
+     * Невалідний або невідомий код ігнорується (реєстрація не блокується)
+     *
+     * @param {String} referralCode - Код з ?ref=
+     * @returns {Promise<Object|null>} - User document або null
+     */
+    async findReferrer(referralCode) {
+        if (!referralCode || !REFERRAL.CODE_PATTERN.test(referralCode)) {
+            return null;
+        }
+
+        const referrer = await User.findByReferralCode(referralCode);
+
+        if (!referrer) {
+            logWarn('Unknown referral code', { referralCode });
+        }
+
+        return referrer;
+    }
+
+    // ============================================
+    // REFERRALS
+    // ============================================
+
+    /**
+     * Створити реферал для нового користувача
+     *
+     * @param {String} referrerId - Хто запросив
+     * @param {String} referredUserId - Новий користувач
+     * @returns {Promise<Object|null>} - Referral або null якщо вже існує
+     */
+    async createReferral(referrerId, referredUserId) {
+        try {
+            if (referrerId.toString() === referredUserId.toString()) {
+                return null;
+            }
+
+            const referral = await Referral.create({ referrerId, referredUserId });
+
+            logSuccess('Referral created', {
+                referralId: referral._id,
+                referrerId,
+                referredUserId
+            });
+
+            return referral;
+
+        } catch (error) {
+            if (error.code === 11000) {
+                logWarn('Referral already exists', { referredUserId });
+                return null;
+            }
+            logError('Failed to create referral', {
+                referrerId,
+                referredUserId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Запрошений створив бізнес
+     *
+     * @param {String} userId - ID запрошеного користувача
+     */
+    async recordBusinessCreated(userId) {
+        try {
+            const referral = await Referral.findByReferredUser(userId);
+
+            if (!referral || referral.hasCreatedBusiness) {
+                return referral;
+            }
+
+            referral.hasCreatedBusiness = true;
+
+            return await this.evaluateReferral(referral);
+
+        } catch (error) {
+            logError('Failed to record business for referral', {
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Запрошений оплатив підписку
+     *
+     * @param {String} userId - ID запрошеного користувача
+     * @param {Number} months - Оплачено місяців
+     */
+    async recordSubscriptionPayment(userId, months) {
+        try {
+            const referral = await Referral.findByReferredUser(userId);
+
+            if (!referral) {
+                return null;
+            }
+
+            referral.subscriptionMonths += months;
+            referral.hasPaidSubscription = true;
+
+            return await this.evaluateReferral(referral);
+
+        } catch (error) {
+            logError('Failed to record payment for referral', {
+                userId,
+                months,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Запрошеному повернули оплату підписки
+     *
+     * @param {String} userId - ID запрошеного користувача
+     * @param {Number} months - Повернуто місяців
+     */
+    async recordSubscriptionRefund(userId, months) {
+        try {
+            const referral = await Referral.findByReferredUser(userId);
+
+            if (!referral) {
+                return null;
+            }
+
+            referral.subscriptionMonths = Math.max(0, referral.subscriptionMonths - months);
+            referral.hasPaidSubscription = referral.subscriptionMonths > 0;
+
+            return await this.evaluateReferral(referral);
+
+        } catch (error) {
+            logError('Failed to record refund for referral', {
+                userId,
+                months,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Огляд реферальної програми користувача
+     *
+     * @param {String} userId - ID користувача
+     * @returns {Promise<Object>} - { referralCode, referralLink, discount, activeReferrals, rules, referrals }
+     */
+    async getReferralOverview(userId) {
+        try {
+            logInfo('Getting referral overview', { userId });
+
+            const user = await User.findById(userId);
+
+            if (!user) {
+                throw new NotFoundError('Користувача не знайдено');
+            }
+
+            const referralCode = await this.ensureReferralCode(user);
+
+            const referrals = await Referral.find({ referrerId: userId })
+                .populate('referredUserId', 'name avatar createdAt')
+                .sort({ createdAt: -1 })
+                .lean();
+
+            const activeReferrals = referrals.filter(r => r.status === REFERRAL_STATUS.ACTIVE).length;
+            const apiUrl = process.env.API_URL || 'http://localhost:5000';
+
+            return {
+                referralCode,
+                referralLink: `${apiUrl}/api/auth/google?ref=${referralCode}`,
+                discount: user.referralDiscount,
+                activeReferrals,
+                rules: {
+                    maxActiveReferrals: REFERRAL.MAX_ACTIVE_REFERRALS,
+                    minSubscriptionMonths: REFERRAL.MIN_SUBSCRIPTION_MONTHS,
+                    discountTiers: REFERRAL.DISCOUNT_TIERS
+                },
+                referrals: referrals.map(referral => ({
+                    id: referral._id,
+                    invitee: referral.referredUserId
+                        ? {
+                            name: referral.referredUserId.name,
+                            avatar: referral.referredUserId.avatar,
+                            joinedAt: referral.referredUserId.createdAt
+                        }
+                        : null,
+                    status: referral.status,
+                    hasCreatedBusiness: referral.hasCreatedBusiness,
+                    hasPaidSubscription: referral.hasPaidSubscription,
+                    subscriptionMonths: referral.subscriptionMonths,
+                    monthsUntilActivation: Math.max(0, REFERRAL.MIN_SUBSCRIPTION_MONTHS - referral.subscriptionMonths),
+                    discountPercentage: referral.discountPercentage,
+                    activatedAt: referral.activatedAt,
+                    createdAt: referral.createdAt
+                }))
+            };
+
+        } catch (error) {
+            logError('Failed to get referral overview', {
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    // ============================================
+    // ЗНИЖКИ
+    // ============================================
+
+    /**
+     * Перерахувати знижку реферера за кількістю активних рефералів
+     *
+     * @param {String} referrerId - ID реферера
+     * @returns {Promise<Number>} - Знижка у відсотках
+     */
+    async recomputeDiscount(referrerId) {
+        const activeCount = await Referral.countActiveByReferrer(referrerId);
+        const tier = Math.min(activeCount, REFERRAL.MAX_ACTIVE_REFERRALS);
+        const discount = REFERRAL.DISCOUNT_TIERS[tier] || 0;
+
+        await User.updateOne({ _id: referrerId }, { $set: { referralDiscount: discount } });
+
+        logInfo('Referrer discount recomputed', { referrerId, activeCount, discount });
+
+        return discount;
+    }
+
+    // ============================================
+    // HELPER METHODS (PRIVATE)
+    // ============================================
+
+    /**
+     * Перевірити умови активації та оновити статус
+     * При зміні статусу active ↔ inactive перераховує знижку реферера
+     */
+    async evaluateReferral(referral) {
+        const wasActive = referral.status === REFERRAL_STATUS.ACTIVE;
+        const meetsRules = referral.meetsActivationRules();
+
+        if (meetsRules && !wasActive) {
+            referral.status = REFERRAL_STATUS.ACTIVE;
+            referral.activatedAt = new Date();
+        } else if (!meetsRules && wasActive) {
+            referral.status = REFERRAL_STATUS.INACTIVE;
+        }
+
+        await referral.save();
+
+        if (meetsRules !== wasActive) {
+            const discount = await this.recomputeDiscount(referral.referrerId);
+
+            if (meetsRules) {
+                referral.discountPercentage = discount;
+                await referral.save();
+            }
+
+            logSuccess(`Referral ${referral.status}`, {
+                referralId: referral._id,
+                referrerId: referral.referrerId,
+                discount
+            });
+        }
+
+        return referral;
+    }
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+export default ReferralService;
@@ -0,0 +1,693 @@
+/**
+ * RequestService
+ * Бізнес-логіка для роботи з заявками (contact / order)
+ *
+ * Відповідальність:
+ * - Прийом заявок з публічних сайтів
+ * - Snapshot назви, варіанта, опцій та ціни товарів для замовлень
+ * - Визначення джерела заявки (QR / direct / referral)
+ * - Inbox власника: список, фільтри, статуси, видалення
+ * - Email власнику бізнесу про нову заявку
+ * - Синхронізація лічильників Website.requestsCount та Business.totalRequests
+ */
+
+import Request from '../models/Request.js';
+import Business from '../models/Business.js';
+import Website from '../models/Website.js';
+import Product from '../models/Product.js';
+import QRCode from '../models/QRCode.js';
+import User from '../models/User.js';
+import { sendEmail } from '../utils/emailSender.js';
+import { logInfo, logSuccess, logError, logWarn } from '../utils/logger.js';
+import { verifyAttributionToken, isExternalReferrer } from '../utils/attributionToken.js';
+import {
+    NotFoundError,
+    BadRequestError,
+    ForbiddenError
+} from '../utils/errorHandler.js';
+import {
+    REQUEST_TYPE,
+    REQUEST_SOURCE,
+    WEBSITE_TYPE,
+    DEFAULT_CURRENCY
+} from '../config/constants.js';
+
+class RequestService {
+    // ============================================
+    // PUBLIC
+    // ============================================
+
+    /**
+     * Створити заявку з публічного сайту
+     *
+     * @param {Object} requestData - Дані заявки (з validateBody)
+     * @param {String} requestData.websiteSlug - Slug сайту
+     * @param {String} requestData.type - contact | order
+     * @param {Array} requestData.items - [{ productId, variantId, optionIds, quantity }] для order
+     * @param {String} requestData.attributionToken - Токен скану (?qrh=), optional
+     * @param {Object} meta - Метадані запиту
+     * @param {String} meta.referrer - HTTP Referer
+     * @returns {Promise<Object>} - { id, type, status, totalAmount, currency, createdAt }
+     */
+    async createPublicRequest(requestData, meta = {}) {
+        try {
+            const { websiteSlug, type } = requestData;
+
+            logInfo('Creating public request', { websiteSlug, type });
+
+            // 1. Знайти активний сайт
+            const website = await Website.findBySlug(websiteSlug);
+
+            if (!website) {
+                throw new NotFoundError('Сайт не знайдено або неактивний');
+            }
+
+            const businessId = website.businessId._id || website.businessId;
+
+            const businessActive = await Business.exists({ _id: businessId, isActive: true });
+            if (!businessActive) {
+                throw new NotFoundError('Сайт не знайдено або неактивний');
+            }
+
+            // 2. Замовлення - тільки для каталогів
+            let order = { items: [], totalAmount: 0, currency: DEFAULT_CURRENCY };
+
+            if (type === REQUEST_TYPE.ORDER) {
+                if (website.type !== WEBSITE_TYPE.CATALOG) {
+                    throw new BadRequestError('Замовлення доступні тільки для сайтів-каталогів');
+                }
+
+                order = await this.buildOrderItems(website._id, requestData.items);
+            }
+
+            // 3. Джерело заявки (attribution токен скану має пріоритет над qrCodeId)
+            const attribution = verifyAttributionToken(requestData.attributionToken);
+            const attributedQRCodeId = attribution && attribution.websiteId === website._id.toString()
+                ? attribution.qrCodeId
+                : null;
+
+            const { source, qrCodeId } = await this.resolveSource(
+                website._id,
+                attributedQRCodeId || requestData.qrCodeId,
+                meta.referrer
+            );
+
+            // Варіант A/B split та кампанія - тільки якщо заявку атрибутовано токеном
+            const isAttributed = Boolean(attributedQRCodeId) && qrCodeId === attributedQRCodeId;
+
+            // 4. Створення заявки
+            const request = await Request.create({
+                businessId,
+                websiteId: website._id,
+                type,
+                customerName: requestData.customerName,
+                customerPhone: requestData.customerPhone,
+                customerEmail: requestData.customerEmail || null,
+                message: requestData.message || '',
+                items: order.items,
+                totalAmount: order.totalAmount,
+                currency: order.currency,
+                source,
+                qrCodeId,
+                variantId: isAttributed ? attribution.variantId : null,
+                campaignId: isAttributed ? attribution.campaignId : null
+            });
+
+            // 5. Лічильники (Website.requestsCount + Business.totalRequests)
+            // Помилка лічильника не повинна втрачати заявку клієнта
+            try {
+                await website.incrementRequests();
+            } catch (counterError) {
+                logWarn('Failed to increment request counters', {
+                    websiteId: website._id,
+                    error: counterError.message
+                });
+            }
+
+            // 6. Повідомлення власнику (асинхронно, без очікування)
+            this.notifyOwner(request, website, businessId);
+
+            logSuccess('Public request created', {
+                requestId: request._id,
+                websiteId: website._id,
+                type,
+                source
+            });
+
+            // Публічна відповідь - без внутрішніх даних
+            return {
+                id: request._id,
+                type: request.type,
+                status: request.status,
+                totalAmount: request.totalAmount,
+                currency: request.currency,
+                createdAt: request.createdAt
+            };
+
+        } catch (error) {
+            logError('Failed to create public request', {
+                websiteSlug: requestData.websiteSlug,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    // ============================================
+    // OWNER INBOX
+    // ============================================
+
+    /**
+     * Отримати заявки користувача (по всіх його бізнесах)
+     *
+     * @param {String} userId - ID користувача
+     * @param {Object} options - Фільтри, пагінація, сортування
+     * @returns {Promise<Object>} - { requests, summary, pagination }
+     */
+    async getUserRequests(userId, options = {}) {
+        try {
+            logInfo('Getting user requests', { userId });
+
+            const {
+                businessId,
+                websiteId,
+                type,
+                status,
+                dateFrom,
+                dateTo,
+                search,
+                page = 1,
+                limit = 20,
+                sortBy = 'createdAt',
+                sortOrder = 'desc'
+            } = options;
+
+            const businessIds = await this.getUserBusinessIds(userId);
+
+            if (businessIds.length === 0) {
+                return {
+                    requests: [],
+                    summary: {},
+                    pagination: {
+                        total: 0,
+                        page: Number(page),
+                        limit: Number(limit),
+                        pages: 0
+                    }
+                };
+            }
+
+            // Scope: тільки бізнеси користувача
+            let scopeIds = businessIds;
+
+            if (businessId) {
+                if (!businessIds.some(id => id.toString() === businessId.toString())) {
+                    throw new ForbiddenError('Доступ до цього бізнесу заборонено');
+                }
+                scopeIds = businessIds.filter(id => id.toString() === businessId.toString());
+            }
+
+            const query = {
+                businessId: { $in: scopeIds },
+                isActive: true
+            };
+
+            if (websiteId) {
+                query.websiteId = websiteId;
+            }
+
+            if (type) {
+                query.type = type;
+            }
+
+            if (status) {
+                query.status = status;
+            }
+
+            if (dateFrom || dateTo) {
+                query.createdAt = {};
+                if (dateFrom) query.createdAt.$gte = new Date(dateFrom);
+                if (dateTo) query.createdAt.$lte = new Date(dateTo);
+            }
+
+            if (search) {
+                const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+                query.$or = [
+                    { customerName: pattern },
+                    { customerPhone: pattern },
+                    { customerEmail: pattern }
+                ];
+            }
+
+            // Пагінація
+            const skip = (page - 1) * limit;
+            const sort = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
+
+            const [requests, total, summary] = await Promise.all([
+                Request.find(query)
+                    .select('-__v')
+                    .populate('businessId', 'name slug')
+                    .populate('websiteId', 'slug type metaTitle')
+                    .sort(sort)
+                    .skip(skip)
+                    .limit(limit)
+                    .lean(),
+                Request.countDocuments(query),
+                Request.countByStatus(scopeIds)
+            ]);
+
+            logSuccess('User requests retrieved', {
+                userId,
+                count: requests.length,
+                total
+            });
+
+            return {
+                requests,
+                summary,
+                pagination: {
+                    total,
+                    page: Number(page),
+                    limit: Number(limit),
+                    pages: Math.ceil(total / limit)
+                }
+            };
+
+        } catch (error) {
+            logError('Failed to get user requests', {
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Отримати заявки конкретного бізнесу
+     *
+     * @param {String} businessId - ID бізнесу
+     * @param {String} userId - ID користувача
+     * @param {Object} options - Фільтри, пагінація, сортування
+     * @returns {Promise<Object>} - { requests, summary, pagination }
+     */
+    async getBusinessRequests(businessId, userId, options = {}) {
+        try {
+            logInfo('Getting business requests', { businessId, userId });
+
+            const business = await Business.findOne({
+                _id: businessId,
+                userId,
+                isActive: true
+            }).select('_id');
+
+            if (!business) {
+                throw new NotFoundError('Бізнес не знайдено');
+            }
+
+            return await this.getUserRequests(userId, { ...options, businessId });
+
+        } catch (error) {
+            logError('Failed to get business requests', {
+                businessId,
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Отримати заявку по ID
+     *
+     * @param {String} requestId - ID заявки
+     * @param {String} userId - ID користувача (для перевірки власника)
+     * @returns {Promise<Object>} - Request document
+     */
+    async getRequestById(requestId, userId) {
+        try {
+            logInfo('Getting request by ID', { requestId, userId });
+
+            const request = await Request.findOne({
+                _id: requestId,
+                isActive: true
+            })
+                .select('-__v')
+                .populate('businessId', 'name slug userId')
+                .populate('websiteId', 'slug type metaTitle')
+                .populate('qrCodeId', 'name shortCode')
+                .lean();
+
+            if (!request) {
+                throw new NotFoundError('Заявку не знайдено');
+            }
+
+            // Перевірка власника
+            if (!request.businessId || request.businessId.userId.toString() !== userId.toString()) {
+                throw new ForbiddenError('Доступ до цієї заявки заборонено');
+            }
+
+            logSuccess('Request retrieved', { requestId });
+
+            return request;
+
+        } catch (error) {
+            logError('Failed to get request', {
+                requestId,
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Оновити статус заявки
+     *
+     * @param {String} requestId - ID заявки
+     * @param {String} userId - ID користувача
+     * @param {Object} updateData - { status }
+     * @returns {Promise<Object>} - Оновлена заявка
+     */
+    async updateRequestStatus(requestId, userId, updateData) {
+        try {
+            logInfo('Updating request status', { requestId, userId, status: updateData.status });
+
+            // Перевірка власника
+            const request = await this.getRequestById(requestId, userId);
+
+            if (request.status === updateData.status) {
+                return request;
+            }
+
+            const updatedRequest = await Request.findByIdAndUpdate(
+                requestId,
+                {
+                    $set: {
+                        status: updateData.status,
+                        statusChangedAt: new Date()
+                    }
+                },
+                { new: true, runValidators: true }
+            )
+                .select('-__v')
+                .populate('businessId', 'name slug')
+                .populate('websiteId', 'slug type metaTitle')
+                .populate('qrCodeId', 'name shortCode')
+                .lean();
+
+            logSuccess('Request status updated', {
+                requestId,
+                from: request.status,
+                to: updatedRequest.status
+            });
+
+            return updatedRequest;
+
+        } catch (error) {
+            logError('Failed to update request status', {
+                requestId,
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Видалити заявку (soft delete) та зменшити лічильники
+     *
+     * @param {String} requestId - ID заявки
+     * @param {String} userId - ID користувача
+     * @returns {Promise<Boolean>}
+     */
+    async deleteRequest(requestId, userId) {
+        try {
+            logInfo('Deleting request', { requestId, userId });
+
+            const request = await this.getRequestById(requestId, userId);
+
+            const result = await Request.updateOne(
+                { _id: requestId, isActive: true },
+                { $set: { isActive: false, deletedAt: new Date() } }
+            );
+
+            // Декремент тільки якщо саме цей запит видалив заявку
+            if (result.modifiedCount > 0) {
+                await Promise.all([
+                    Website.updateOne(
+                        { _id: request.websiteId._id || request.websiteId, requestsCount: { $gt: 0 } },
+                        { $inc: { requestsCount: -1 } }
+                    ),
+                    Business.updateOne(
+                        { _id: request.businessId._id, totalRequests: { $gt: 0 } },
+                        { $inc: { totalRequests: -1 } }
+                    )
+                ]);
+            }
+
+            logSuccess('Request deleted (soft)', { requestId });
+
+            return true;
+
+        } catch (error) {
+            logError('Failed to delete request', {
+                requestId,
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    // ============================================
+    // NOTIFICATIONS
+    // ============================================
+
+    /**
+     * Лист власнику бізнесу про нову заявку
+     * Викликається без очікування: помилка відправки не впливає на заявку клієнта
+     *
+     * @param {Object} request - Створена заявка
+     * @param {Object} website - Сайт заявки
+     * @param {String} businessId - ID бізнесу
+     * @returns {Promise<Boolean>} - true якщо лист відправлено
+     */
+    async notifyOwner(request, website, businessId) {
+        try {
+            const business = await Business.findById(businessId).select('name userId').lean();
+            const owner = business?.userId
+                ? await User.findById(business.userId).select('email name').lean()
+                : null;
+
+            if (!owner) {
+                return false;
+            }
+
+            const isOrder = request.type === REQUEST_TYPE.ORDER;
+            const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+            const orderLines = request.items.map(item => {
+                const details = [item.variantName, ...item.options.map(option => option.name)]
+                    .filter(Boolean)
+                    .join(', ');
+
+                return `- ${item.productName}${details ? ` (${details})` : ''} x${item.quantity}: ${item.price} ${request.currency}`;
+            });
+
+            return await sendEmail({
+                to: owner.email,
+                subject: isOrder
+                    ? `Нове замовлення на сайті "${website.slug}"`
+                    : `Нова заявка на сайті "${website.slug}"`,
+                text: [
+                    `Вітаємо${owner.name ? `, ${owner.name}` : ''}!`,
+                    '',
+                    `${isOrder ? 'Нове замовлення' : 'Нова заявка'} на сайті "${website.slug}" бізнесу "${business.name}".`,
+                    '',
+                    `Ім'я: ${request.customerName}`,
+                    `Телефон: ${request.customerPhone}`,
+                    ...(request.customerEmail ? [`Email: ${request.customerEmail}`] : []),
+                    ...(request.message ? ['', request.message] : []),
+                    ...(isOrder ? ['', ...orderLines, `Разом: ${request.totalAmount} ${request.currency}`] : []),
+                    '',
+                    `Заявка в кабінеті: ${frontendUrl}`,
+                    '',
+                    'QRHub.online'
+                ].join('\n')
+            });
+
+        } catch (error) {
+            logError('Failed to notify owner about new request', {
+                requestId: request._id,
+                error: error.message
+            });
+            return false;
+        }
+    }
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    /**
+     * Отримати ID активних бізнесів користувача
+     */
+    async getUserBusinessIds(userId) {
+        const businesses = await Business.find({
+            userId,
+            isActive: true
+        }).select('_id');
+
+        return businesses.map(b => b._id);
+    }
+
+    /**
+     * Сформувати позиції замовлення зі snapshot назви та ціни з Product
+     * Ціна позиції - ціна варіанта (або товару) + обрані опції
+     *
+     * @param {String} websiteId - ID сайту-каталогу
+     * @param {Array} items - [{ productId, variantId, optionIds, quantity }]
+     * @returns {Promise<Object>} - { items, totalAmount, currency }
+     */
+    async buildOrderItems(websiteId, items = []) {
+        // Об'єднуємо однакові позиції (товар + варіант + опції)
+        const lines = new Map();
+        for (const item of items) {
+            const line = {
+                productId: item.productId.toString(),
+                variantId: item.variantId ? item.variantId.toString() : null,
+                optionIds: (item.optionIds || []).map(String).sort(),
+                quantity: item.quantity || 1
+            };
+            const key = [line.productId, line.variantId, ...line.optionIds].join(':');
+
+            if (lines.has(key)) {
+                lines.get(key).quantity += line.quantity;
+            } else {
+                lines.set(key, line);
+            }
+        }
+
+        const productIds = [...new Set([...lines.values()].map(line => line.productId))];
+
+        const products = await Product.find({
+            _id: { $in: productIds },
+            websiteId,
+            isAvailable: true
+        })
+            .select('name price currency variants options')
+            .lean();
+
+        const missing = productIds.filter(
+            id => !products.some(p => p._id.toString() === id)
+        );
+
+        if (missing.length > 0) {
+            throw new BadRequestError(
+                `Товари недоступні або не належать цьому каталогу: ${missing.join(', ')}`
+            );
+        }
+
+        const currencies = [...new Set(products.map(p => p.currency))];
+        if (currencies.length > 1) {
+            throw new BadRequestError('Замовлення не може містити товари в різних валютах');
+        }
+
+        const productById = new Map(products.map(product => [product._id.toString(), product]));
+
+        const orderItems = [...lines.values()].map(
+            line => this.buildOrderItem(productById.get(line.productId), line)
+        );
+
+        const totalAmount = Math.round(
+            orderItems.reduce((sum, item) => sum + item.price * item.quantity, 0) * 100
+        ) / 100;
+
+        return {
+            items: orderItems,
+            totalAmount,
+            currency: currencies[0] || DEFAULT_CURRENCY
+        };
+    }
+
+    /**
+     * Позиція замовлення: перевірка варіанта та опцій товару
+     *
+     * @param {Object} product - Product (lean, з variants та options)
+     * @param {Object} line - { variantId, optionIds, quantity }
+     * @returns {Object} - Позиція Request.items
+     * @throws {BadRequestError} - Варіант не обрано / недоступний, опція недоступна
+     */
+    buildOrderItem(product, line) {
+        const variants = product.variants || [];
+        let variant = null;
+
+        if (variants.length > 0) {
+            variant = variants.find(v => v._id.toString() === line.variantId && v.isAvailable);
+
+            if (!variant) {
+                throw new BadRequestError(line.variantId
+                    ? `Варіант недоступний для товару "${product.name}"`
+                    : `Оберіть варіант товару "${product.name}"`);
+            }
+        } else if (line.variantId) {
+            throw new BadRequestError(`Товар "${product.name}" не має варіантів`);
+        }
+
+        const options = line.optionIds.map(optionId => {
+            const option = (product.options || []).find(o => o._id.toString() === optionId && o.isAvailable);
+
+            if (!option) {
+                throw new BadRequestError(`Опція недоступна для товару "${product.name}"`);
+            }
+
+            return { optionId: option._id, name: option.name, price: option.price };
+        });
+
+        const basePrice = variant ? variant.price : product.price;
+        const price = Math.round(
+            (basePrice + options.reduce((sum, option) => sum + option.price, 0)) * 100
+        ) / 100;
+
+        return {
+            productId: product._id,
+            productName: product.name,
+            variantId: variant ? variant._id : null,
+            variantName: variant ? variant.name : null,
+            options,
+            quantity: line.quantity,
+            price
+        };
+    }
+
+    /**
+     * Визначити джерело заявки
+     * - qr_code: передано qrCodeId, який належить цьому сайту
+     * - referral: Referer з іншого домену
+     * - direct: все інше
+     *
+     * @param {String} websiteId - ID сайту
+     * @param {String} qrCodeId - ID QR коду (optional)
+     * @param {String} referrer - HTTP Referer (optional)
+     * @returns {Promise<Object>} - { source, qrCodeId }
+     */
+    async resolveSource(websiteId, qrCodeId, referrer) {
+        if (qrCodeId) {
+            const qrcode = await QRCode.exists({ _id: qrCodeId, websiteId, isActive: true });
+
+            if (qrcode) {
+                return { source: REQUEST_SOURCE.QR_CODE, qrCodeId };
+            }
+
+            logWarn('Request qrCodeId does not belong to website, ignoring', { websiteId, qrCodeId });
+        }
+
+        if (isExternalReferrer(referrer)) {
+            return { source: REQUEST_SOURCE.REFERRAL, qrCodeId: null };
+        }
+
+        return { source: REQUEST_SOURCE.DIRECT, qrCodeId: null };
+    }
+}
+
+export default RequestService;
@@ -9,6 +9,7 @@
 import {
     S3Client,
     PutObjectCommand,
+    GetObjectCommand,
     DeleteObjectCommand,
     DeleteObjectsCommand,
     HeadObjectCommand
@@ -177,9 +178,71 @@ class S3Service {
         }
     }
 
+    /**
+     * Завантажити Buffer (згенерований на сервері файл, напр. QR image)
+     *
+     * @param {Buffer} buffer - Вміст файлу
+     * @param {String} originalName - Ім'я файлу (для розширення та metadata)
+     * @param {String} folder - Папка в bucket
+     * @param {String} contentType - MIME тип
+     * @param {Object} options - Додаткові опції (acl, cacheControl, metadata)
+     * @returns {Promise<String>} - Публічний URL завантаженого файлу
+     *
+     * @example
+     * const url = await s3Service.uploadBuffer(buffer, 'qrcode-abc123.png', 'qrcodes', 'image/png');
+     */
+    async uploadBuffer(buffer, originalName, folder, contentType, options = {}) {
+        try {
+            logInfo('Uploading buffer to S3', {
+                originalName,
+                folder,
+                size: buffer.length,
+                contentType
+            });
+
+            const fileName = this.generateFileName(originalName);
+            const key = `${folder}/${fileName}`;
+
+            const uploadParams = {
+                Bucket: this.bucket,
+                Key: key,
+                Body: buffer,
+                ContentType: contentType,
+                ACL: options.acl || 'public-read',
+                CacheControl: options.cacheControl || 'public, max-age=31536000',
+                Metadata: {
+                    originalName: this.sanitizeFileName(originalName),
+                    uploadedAt: new Date().toISOString(),
+                    ...options.metadata
+                }
+            };
+
+            await this.s3Client.send(new PutObjectCommand(uploadParams));
+
+            const publicUrl = this.getPublicUrl(key);
+
+            logSuccess('Buffer uploaded successfully', {
+                fileName,
+                folder,
+                size: buffer.length,
+                url: publicUrl
+            });
+
+            return publicUrl;
+
+        } catch (error) {
+            logError('Failed to upload buffer to S3', {
+                originalName,
+                folder,
+                error: error.message
+            });
+            throw new Error(`Failed to upload file: ${error.message}`);
+        }
+    }
+
     /**
      * Видалити файл з Hetzner Object Storage
-     * 
+     *
      * @param {String} fileUrl - Повний URL файлу або key
      * @returns {Promise<Boolean>} - true якщо успішно видалено
      * 
@@ -231,6 +294,42 @@ class S3Service {
         }
     }
 
+    /**
+     * Завантажити вміст файлу з S3
+     * Тільки файли нашого bucket (key з URL) - без HTTP запитів на довільні адреси
+     * 
+     * @param {String} fileUrl - Повний URL файлу або key
+     * @returns {Promise<Buffer>} - Вміст файлу
+     * 
+     * @example
+     * const logo = await s3Service.downloadFile(business.logo);
+     */
+    async downloadFile(fileUrl) {
+        try {
+            const key = this.extractKeyFromUrl(fileUrl);
+
+            if (!key) {
+                throw new Error('Invalid file URL');
+            }
+
+            const command = new GetObjectCommand({
+                Bucket: this.bucket,
+                Key: key
+            });
+
+            const response = await this.s3Client.send(command);
+
+            return Buffer.from(await response.Body.transformToByteArray());
+
+        } catch (error) {
+            logError('Failed to download file from S3', {
+                fileUrl,
+                error: error.message
+            });
+            throw new Error(`Failed to download file: ${error.message}`);
+        }
+    }
+
     /**
      * Видалити декілька файлів
      * 
@@ -0,0 +1,477 @@
+/**
+ * ScanQueueService
+ * Асинхронний запис сканів поза redirect
+ *
+ * Відповідальність:
+ * - Черга подій скану (backend: memory / file, див. scanQueueBackends.js)
+ * - Batch обробка: геолокація, унікальність, insertMany QRScan, $inc лічильників QRCode
+ * - Скани ботів (isBot) пишуться для звіту, але рахуються тільки в botScans
+ * - Backpressure: при переповненні redirect чекає на flush, потім скан відкидається
+ * - Drain при graceful shutdown (server.js)
+ *
+ * Подія видаляється з черги тільки після запису в БД.
+ * Повторна спроба того ж batch безпечна: _id скану генерується заздалегідь,
+ * вже записані скани дають duplicate key і рахуються як записані.
+ */
+
+import QRScan from '../models/QRScan.js';
+import QRCode from '../models/QRCode.js';
+import { getLocationFromIP } from '../utils/geolocation.js';
+import { createScanQueueBackend } from '../utils/scanQueueBackends.js';
+import { logInfo, logSuccess, logWarn, logError } from '../utils/logger.js';
+import { SCAN_QUEUE } from '../config/constants.js';
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+class ScanQueueService {
+    constructor(options = {}) {
+        // Dependency Injection
+        this.backend = options.backend || createScanQueueBackend();
+
+        this.batchSize = options.batchSize || SCAN_QUEUE.BATCH_SIZE;
+        this.flushInterval = options.flushInterval || SCAN_QUEUE.FLUSH_INTERVAL_MS;
+        this.maxPending = options.maxPending || SCAN_QUEUE.MAX_PENDING;
+
+        this.timer = null;
+        this.initializing = null;
+        this.flushing = null;
+        this.isDraining = false;
+        this.capacityWaiters = [];
+
+        this.stats = { enqueued: 0, written: 0, dropped: 0, failedFlushes: 0 };
+    }
+
+    // ============================================
+    // LIFECYCLE
+    // ============================================
+
+    /**
+     * Запуск періодичного flush (ідемпотентний)
+     * Durable backend відновлює незаписані події з попереднього запуску
+     *
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (!this.initializing) {
+            this.initializing = this.backend.init().then(() => {
+                this.timer = setInterval(() => this.flush(), this.flushInterval);
+                // Таймер не тримає процес живим
+                this.timer.unref();
+
+                logInfo('Scan queue started', {
+                    backend: this.backend.name,
+                    batchSize: this.batchSize
+                });
+            });
+        }
+
+        return this.initializing;
+    }
+
+    /**
+     * Дописати всі події перед завершенням процесу
+     *
+     * @param {Number} timeout - Максимальний час у мс
+     * @returns {Promise<Number>} - Кількість незаписаних подій
+     */
+    async drain(timeout = SCAN_QUEUE.DRAIN_TIMEOUT_MS) {
+        this.isDraining = true;
+        clearInterval(this.timer);
+
+        const deadline = Date.now() + timeout;
+        let pending = await this.backend.size();
+
+        logInfo('Draining scan queue', { pending });
+
+        while (pending > 0 && Date.now() < deadline) {
+            await this.flush();
+
+            const remaining = await this.backend.size();
+
+            // Flush не просунувся (БД недоступна) - невелика пауза перед повтором
+            if (remaining === pending) {
+                await new Promise(resolve => setTimeout(resolve, 200));
+            }
+            pending = remaining;
+        }
+
+        await this.backend.close();
+
+        if (pending > 0) {
+            logError('Scan queue drained partially', {
+                pending,
+                durable: this.backend.isDurable
+            });
+        } else {
+            logSuccess('Scan queue drained');
+        }
+
+        return pending;
+    }
+
+    // ============================================
+    // ENQUEUE
+    // ============================================
+
+    /**
+     * Додати скан у чергу
+     *
+     * @param {Object} event - Подія скану (serializable)
+     * @returns {Promise<Boolean>} - false якщо скан відкинуто (черга переповнена)
+     */
+    async enqueue(event) {
+        await this.start();
+
+        if (await this.backend.size() >= this.maxPending) {
+            logWarn('Scan queue is full, applying backpressure', {
+                pending: await this.backend.size()
+            });
+
+            this.flush();
+
+            const hasCapacity = await this.waitForCapacity(SCAN_QUEUE.BACKPRESSURE_TIMEOUT_MS);
+
+            if (!hasCapacity) {
+                this.stats.dropped += 1;
+                logError('Scan dropped: queue is full', {
+                    qrCodeId: event.qrCodeId,
+                    dropped: this.stats.dropped
+                });
+                return false;
+            }
+        }
+
+        await this.backend.push(event);
+        this.stats.enqueued += 1;
+
+        // Повний batch - пишемо одразу, не чекаючи таймера
+        if (await this.backend.size() >= this.batchSize) {
+            this.flush();
+        }
+
+        return true;
+    }
+
+    // ============================================
+    // FLUSH
+    // ============================================
+
+    /**
+     * Записати всі події з черги (один flush одночасно)
+     *
+     * @returns {Promise<void>}
+     */
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.processQueue().finally(() => {
+                this.flushing = null;
+            });
+        }
+
+        return this.flushing;
+    }
+
+    /**
+     * Обробка batch за batch, поки черга не порожня
+     * Помилка зупиняє flush - batch залишається в черзі до наступного
+     */
+    async processQueue() {
+        try {
+            let batch = await this.backend.peek(this.batchSize);
+
+            while (batch.length > 0) {
+                await this.writeBatch(batch);
+                await this.backend.ack(batch.length);
+
+                this.notifyCapacity();
+
+                batch = await this.backend.peek(this.batchSize);
+            }
+
+        } catch (error) {
+            this.stats.failedFlushes += 1;
+            logError('Failed to flush scan queue, will retry', {
+                pending: await this.backend.size(),
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Записати batch сканів
+     *
+     * @param {Array<Object>} events - Події скану
+     * @returns {Promise<void>}
+     */
+    async writeBatch(events) {
+        // 1. Геолокація (кеш + об'єднання запитів по підмережі), боти - без неї
+        const locations = await this.resolveLocations(events.filter(event => !event.isBot));
+        const unknownLocation = { country: 'Unknown', city: 'Unknown' };
+
+        // 2. Унікальність за день (БД + повтори всередині batch)
+        const uniqueFlags = await this.resolveUniqueness(events);
+
+        const docs = events.map(event => {
+            const location = locations.get(event.ip) || unknownLocation;
+
+            return {
+                _id: event.scanId,
+                qrCodeId: event.qrCodeId,
+                businessId: event.businessId,
+                websiteId: event.websiteId,
+                campaignId: event.campaignId || null,
+                scannedAt: event.scannedAt,
+                country: location.country || 'Unknown',
+                city: location.city || 'Unknown',
+                ipAddress: event.ip,
+                device: event.device,
+                browser: event.browser,
+                os: event.os,
+                userAgent: event.userAgent,
+                fingerprint: event.fingerprint,
+                isBot: Boolean(event.isBot),
+                botReason: event.botReason || null,
+                botName: event.botName || null,
+                matchedRuleId: event.matchedRuleId || null,
+                variantId: event.variantId || null,
+                referrer: event.referrer || null,
+                utmSource: event.utmSource || null,
+                utmMedium: event.utmMedium || null,
+                utmCampaign: event.utmCampaign || null
+            };
+        });
+
+        // 3. QRScan insertMany
+        const writtenIds = await this.insertScans(docs);
+
+        // 4. Лічильники QRCode тільки для записаних сканів.
+        // Помилка тут не повторює batch (інакше скани записались би двічі)
+        const written = events
+            .map((event, index) => ({ event, isUnique: uniqueFlags[index] }))
+            .filter(({ event }) => writtenIds.has(String(event.scanId)));
+
+        await this.updateQRCodeCounters(written);
+
+        this.stats.written += written.length;
+
+        logSuccess('Scan batch written', {
+            batch: events.length,
+            written: written.length
+        });
+    }
+
+    // ============================================
+    // BATCH STEPS (PRIVATE)
+    // ============================================
+
+    /**
+     * Геолокація для унікальних IP batch
+     *
+     * @returns {Promise<Map<String, Object>>} - ip → location
+     */
+    async resolveLocations(events) {
+        const ips = [...new Set(events.map(event => event.ip))];
+        const locations = await Promise.all(ips.map(ip => getLocationFromIP(ip)));
+
+        return new Map(ips.map((ip, index) => [ip, locations[index]]));
+    }
+
+    /**
+     * Унікальний скан = перший реальний скан fingerprint для QR коду за день
+     * Бот ніколи не унікальний і не займає місце унікального скану
+     *
+     * @returns {Promise<Array<Boolean>>} - Прапорець для кожної події
+     */
+    async resolveUniqueness(events) {
+        const pairKey = event => `${event.qrCodeId}:${event.fingerprint}`;
+        const pairs = new Map();
+
+        events.filter(event => !event.isBot).forEach(event => {
+            if (!pairs.has(pairKey(event))) {
+                const since = new Date(event.scannedAt);
+                since.setHours(0, 0, 0, 0);
+
+                pairs.set(pairKey(event), {
+                    qrCodeId: event.qrCodeId,
+                    fingerprint: event.fingerprint,
+                    since
+                });
+            }
+        });
+
+        const scanned = await QRScan.findScannedFingerprints(
+            [...pairs.values()],
+            events.map(event => event.scanId)
+        );
+
+        // Перший скан пари в batch - унікальний, наступні - повторні
+        return events.map(event => {
+            const key = pairKey(event);
+
+            if (event.isBot || scanned.has(key)) {
+                return false;
+            }
+
+            scanned.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * insertMany без зупинки на окремих документах
+     * Невалідні документи mongoose пропускає, duplicate key = записано попередньою спробою
+     *
+     * @returns {Promise<Set<String>>} - ID записаних сканів
+     */
+    async insertScans(docs) {
+        try {
+            const inserted = await QRScan.insertMany(docs, { ordered: false });
+
+            if (inserted.length < docs.length) {
+                logWarn('Invalid scans skipped', { skipped: docs.length - inserted.length });
+            }
+
+            return new Set(inserted.map(doc => String(doc._id)));
+
+        } catch (error) {
+            const writeErrors = error.writeErrors || [];
+
+            // Інші помилки (БД недоступна) - batch повториться
+            if (writeErrors.length === 0 || writeErrors.some(writeError => writeError.code !== DUPLICATE_KEY_ERROR)) {
+                throw error;
+            }
+
+            const duplicateIds = writeErrors.map(writeError => String(writeError.getOperation()._id));
+            const insertedIds = (error.insertedDocs || []).map(doc => String(doc._id));
+
+            logWarn('Scan batch retried, already written scans skipped', {
+                duplicates: duplicateIds.length
+            });
+
+            return new Set([...insertedIds, ...duplicateIds]);
+        }
+    }
+
+    /**
+     * Один $inc на QR код замість save() на кожен скан
+     * Боти - тільки botScans, lastScanAt - час останнього реального скану
+     */
+    async updateQRCodeCounters(written) {
+        const counters = new Map();
+
+        written.forEach(({ event, isUnique }) => {
+            const counter = counters.get(String(event.qrCodeId)) || {
+                totalScans: 0,
+                uniqueScans: 0,
+                botScans: 0,
+                lastScanAt: null
+            };
+
+            if (event.isBot) {
+                counter.botScans += 1;
+                counters.set(String(event.qrCodeId), counter);
+                return;
+            }
+
+            counter.totalScans += 1;
+            counter.uniqueScans += isUnique ? 1 : 0;
+
+            const scannedAt = new Date(event.scannedAt);
+            if (!counter.lastScanAt || scannedAt > counter.lastScanAt) {
+                counter.lastScanAt = scannedAt;
+            }
+
+            counters.set(String(event.qrCodeId), counter);
+        });
+
+        if (counters.size === 0) {
+            return;
+        }
+
+        try {
+            await QRCode.bulkWrite(
+                [...counters.entries()].map(([qrCodeId, counter]) => ({
+                    updateOne: {
+                        filter: { _id: qrCodeId },
+                        update: {
+                            $inc: {
+                                totalScans: counter.totalScans,
+                                uniqueScans: counter.uniqueScans,
+                                botScans: counter.botScans
+                            },
+                            ...(counter.lastScanAt && { $max: { lastScanAt: counter.lastScanAt } })
+                        }
+                    }
+                })),
+                { ordered: false }
+            );
+
+        } catch (error) {
+            logError('Failed to update QR code counters', {
+                qrCodes: counters.size,
+                error: error.message
+            });
+        }
+    }
+
+    // ============================================
+    // BACKPRESSURE (PRIVATE)
+    // ============================================
+
+    /**
+     * Чекати, поки flush звільнить місце в черзі
+     *
+     * @returns {Promise<Boolean>} - false після timeout
+     */
+    waitForCapacity(timeout) {
+        return new Promise(resolve => {
+            const waiter = (hasCapacity) => {
+                clearTimeout(timer);
+                resolve(hasCapacity);
+            };
+
+            const timer = setTimeout(() => {
+                this.capacityWaiters = this.capacityWaiters.filter(item => item !== waiter);
+                resolve(false);
+            }, timeout);
+
+            this.capacityWaiters.push(waiter);
+        });
+    }
+
+    /**
+     * Розбудити тих, хто чекає на місце
+     */
+    notifyCapacity() {
+        const waiters = this.capacityWaiters;
+        this.capacityWaiters = [];
+        waiters.forEach(waiter => waiter(true));
+    }
+
+    // ============================================
+    // STATS
+    // ============================================
+
+    /**
+     * Стан черги (health check)
+     *
+     * @returns {Promise<Object>}
+     */
+    async getStats() {
+        return {
+            backend: this.backend.name,
+            pending: await this.backend.size(),
+            isDraining: this.isDraining,
+            ...this.stats
+        };
+    }
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+// Одна черга на процес: ScanService додає події, server.js робить drain
+export const scanQueue = new ScanQueueService();
+
+export default ScanQueueService;
@@ -3,97 +3,197 @@
  * Бізнес-логіка для відстеження QR сканувань
  * 
  * Відповідальність:
- * - Обробка сканування QR коду
- * - Збір device та geo інформації
- * - Створення QRScan запису
- * - Інкремент статистики QRCode
- * - Перевірка унікальності скану
+ * - Redirect з кешу shortCode → targetUrl (БД тільки при промаху кешу)
+ * - Умовні redirect правила (пристрій, ОС, країна, мова, час, номер скану)
+ * - A/B split default destination за вагою (sticky по persistent fingerprint)
+ * - Розклад QR коду (startsAt / expiresAt / maxScans) та landing для простроченого
+ * - Захист паролем / PIN: скан записується тільки після правильного введення,
+ *   невдалі спроби логуються та обмежуються по ip + shortCode
+ * - Збір device інформації та fingerprint
+ * - Bot/prefetch фільтрація (redirect віддається, скан позначається isBot)
+ * - Подія скану в чергу (ScanQueueService): geo, унікальність,
+ *   QRScan та статистика QRCode записуються batch поза redirect
+ * - UTM параметри кампанії QR коду в redirect URL (копіюються в QRScan)
+ * - Attribution токен у redirect URL (скан → перегляд сайту → заявка)
+ * - Вміст не-URL QR: vCard (.vcf), подія (.ics), точка на карті (redirect)
  */
 
-import QRCode from '../models/QRCode.js';
+import mongoose from 'mongoose';
+import QRCode, { SCHEDULABLE_STATUSES } from '../models/QRCode.js';
 import QRScan from '../models/QRScan.js';
+import Business from '../models/Business.js';
+import { scanQueue } from './ScanQueueService.js';
 import { parseUserAgent } from '../utils/deviceDetector.js';
-import { getLocationFromIP, getClientIP } from '../utils/geolocation.js';
-import { generateFingerprint } from '../utils/fingerprint.js';
+import { getClientIP, getLocationFromIP, peekLocation } from '../utils/geolocation.js';
+import { generateFingerprint, generatePersistentFingerprint } from '../utils/fingerprint.js';
+import { detectBot } from '../utils/botDetector.js';
+import { getCachedRedirect, setCachedRedirect } from '../utils/redirectCache.js';
+import { matchRedirectRule, rulesNeedLocation, parseAcceptLanguage } from '../utils/redirectRules.js';
+import { pickSplitVariant } from '../utils/splitTest.js';
+import { appendUTMParams, getUTMParams } from '../utils/utmParams.js';
+import { createLRUCache } from '../utils/lruCache.js';
+import {
+    isTrackablePayloadType,
+    encodeVCard,
+    encodeICalendarEvent,
+    buildGeoMapUrl
+} from '../utils/qrGenerator.js';
+import {
+    createAttributionToken,
+    appendAttributionToken,
+    isPublicSiteUrl
+} from '../utils/attributionToken.js';
 import { logInfo, logSuccess, logError, logWarn } from '../utils/logger.js';
-import { NotFoundError } from '../utils/errorHandler.js';
+import {
+    NotFoundError,
+    GoneError,
+    UnauthorizedError,
+    TooManyRequestsError
+} from '../utils/errorHandler.js';
+import {
+    QR_STATUS,
+    QR_EXPIRED_BEHAVIOR,
+    QR_ACCESS_TYPE,
+    QR_ACCESS,
+    SCAN_RATE_LIMIT,
+    REDIRECT_RULES,
+    QR_PAYLOAD_TYPE
+} from '../config/constants.js';
+
+// Лічильники сканів ip + shortCode за вікно (без запиту до БД)
+const scanRateLimits = createLRUCache({
+    maxEntries: SCAN_RATE_LIMIT.MAX_TRACKED,
+    ttl: SCAN_RATE_LIMIT.WINDOW_MS
+});
+
+// Невдалі спроби пароля / PIN ip + shortCode (вікно стартує з першої невдалої)
+const failedAccessAttempts = createLRUCache({
+    maxEntries: QR_ACCESS.MAX_TRACKED,
+    ttl: QR_ACCESS.LOCKOUT_WINDOW_MS
+});
 
 class ScanService {
+    constructor() {
+        // Dependency Injection
+        this.scanQueue = scanQueue;
+    }
+
     // ============================================
     // PROCESS QR SCAN
     // ============================================
 
     /**
      * Обробка сканування QR коду
+     * Не чекає на запис скану: подія йде в чергу, redirect віддається одразу
+     * Скани неактивного за розкладом QR коду не записуються
      * 
      * @param {String} shortCode - Короткий код QR
      * @param {Object} scanData - Дані про скан з request
      * @param {String} scanData.ip - IP адреса
      * @param {String} scanData.userAgent - User-Agent
      * @param {String} scanData.referrer - Referrer URL
-     * @returns {Promise<Object>} - { targetUrl, qrCode, scan }
+     * @param {String} scanData.method - HTTP метод (HEAD = перевірка посилання)
+     * @param {String} scanData.purpose - Prefetch заголовок
+     * @param {String} scanData.language - Accept-Language
+     * @param {Object} options - { accessSecret } - пароль / PIN з форми (undefined - не вводився)
+     * @returns {Promise<Object>} - { targetUrl, payloadType, payload, qrCode, scan }
+     *                              (targetUrl - тільки для payloadType=url, з UTM кампанії)
+     * @throws {NotFoundError} - QR не знайдено, неактивний або startsAt ще не настав
+     *                           (або Wi-Fi / SMS / email - вміст закодований в image)
+     * @throws {GoneError} - expiresAt минув або вичерпано maxScans (details.landingUrl)
+     * @throws {UnauthorizedError} - QR захищений, пароль / PIN не введено або невірний
+     * @throws {TooManyRequestsError} - Вичерпано невдалі спроби пароля / PIN
      */
-    async processScan(shortCode, scanData) {
+    async processScan(shortCode, scanData, options = {}) {
         try {
             logInfo('Processing QR scan', { shortCode });
 
-            // 1. Знайти QR код по shortCode
-            const qrcode = await this.findActiveQRCode(shortCode);
+            // 1. Дані для redirect (кеш → БД)
+            const redirect = await this.resolveRedirect(shortCode);
 
-            if (!qrcode) {
+            if (!redirect || !isTrackablePayloadType(redirect.payloadType)) {
                 throw new NotFoundError('QR код не знайдено або неактивний');
             }
 
-            // 2. Зібрати device та geo інформацію
+            // 2. Розклад та ліміт сканів (запис живе в кеші - перевіряємо при кожному скані)
+            this.assertAvailable(redirect);
+
+            // 2.1. Пароль / PIN (до запису скану: без правильного введення скан не рахується)
+            await this.assertAccess(redirect, scanData, options.accessSecret);
+
+            // 3. Device інформація, fingerprint та bot detection (без I/O)
             const deviceInfo = this.getDeviceInfo(scanData.userAgent);
-            const geoInfo = await this.getGeoInfo(scanData.ip);
-
-            // 3. Генерувати fingerprint
-            const fingerprint = generateFingerprint(
-                scanData.ip,
-                scanData.userAgent,
-                new Date()
-            );
-
-            // 4. Перевірити чи це унікальний скан
-            const isUnique = await this.isUniqueScan(qrcode._id, fingerprint);
-
-            // 5. Створити QRScan запис
-            const scan = await this.createScanRecord({
-                qrCodeId: qrcode._id,
-                businessId: qrcode.businessId,
-                websiteId: qrcode.websiteId,
-                ip: scanData.ip,
-                userAgent: scanData.userAgent,
-                referrer: scanData.referrer,
-                deviceInfo,
-                geoInfo,
-                fingerprint
+            const bot = detectBot(scanData);
+            const scannedAt = new Date();
+            const fingerprint = generateFingerprint(scanData.ip, scanData.userAgent, scannedAt);
+
+            // 4. Destination: redirect правило → варіант A/B split → targetUrl
+            const destination = await this.resolveDestination(redirect, scanData, deviceInfo, {
+                scannedAt,
+                isBot: bot.isBot
             });
 
-            // 6. Оновити статистику QRCode
-            await this.updateQRCodeStats(qrcode, isUnique);
+            // 4.1. UTM кампанії (записуються ті, що реально потрапили в URL)
+            const targetUrl = this.applyCampaignUTM(redirect, destination.targetUrl);
+            const utm = redirect.campaign ? getUTMParams(targetUrl) : {};
+
+            // 5. ID скану генерується тут - потрібен attribution токену до запису в БД
+            const scanId = new mongoose.Types.ObjectId().toString();
+
+            // 6. Подія в чергу (geo, унікальність, QRScan, статистика - batch)
+            const isQueued = await this.scanQueue.enqueue({
+                scanId,
+                qrCodeId: redirect.qrCodeId,
+                businessId: redirect.businessId,
+                websiteId: redirect.websiteId,
+                campaignId: redirect.campaign?.id || null,
+                scannedAt: scannedAt.toISOString(),
+                ip: scanData.ip,
+                userAgent: deviceInfo.userAgent,
+                referrer: scanData.referrer || null,
+                device: deviceInfo.device,
+                browser: deviceInfo.browser,
+                os: deviceInfo.os,
+                fingerprint,
+                isBot: bot.isBot,
+                botReason: bot.reason,
+                botName: bot.name,
+                matchedRuleId: destination.ruleId,
+                variantId: destination.variantId,
+                utmSource: utm.source || null,
+                utmMedium: utm.medium || null,
+                utmCampaign: utm.campaign || null
+            });
 
-            logSuccess('QR scan processed successfully', {
-                qrCodeId: qrcode._id,
+            logSuccess('QR scan accepted', {
+                qrCodeId: redirect.qrCodeId,
                 shortCode,
-                isUnique,
-                device: deviceInfo.device,
-                country: geoInfo.country
+                isQueued,
+                isBot: bot.isBot,
+                matchedRuleId: destination.ruleId,
+                variantId: destination.variantId,
+                device: deviceInfo.device
             });
 
             return {
-                targetUrl: qrcode.targetUrl,
+                targetUrl,
+                payloadType: redirect.payloadType,
+                payload: redirect.payload,
                 qrCode: {
-                    id: qrcode._id,
-                    name: qrcode.name,
-                    shortCode: qrcode.shortCode
+                    id: redirect.qrCodeId,
+                    name: redirect.name,
+                    shortCode: redirect.shortCode,
+                    businessId: redirect.businessId,
+                    websiteId: redirect.websiteId,
+                    campaignId: redirect.campaign?.id || null
                 },
                 scan: {
-                    id: scan._id,
-                    isUnique,
-                    device: deviceInfo.device,
-                    location: `${geoInfo.city}, ${geoInfo.country}`
+                    id: scanId,
+                    isQueued,
+                    isBot: bot.isBot,
+                    matchedRuleId: destination.ruleId,
+                    variantId: destination.variantId,
+                    device: deviceInfo.device
                 }
             };
 
@@ -107,212 +207,482 @@ class ScanService {
     }
 
     // ============================================
-    // FIND ACTIVE QR CODE
+    // REDIRECT URL
     // ============================================
 
     /**
-     * Знаходить активний QR код по shortCode
-     * 
-     * @param {String} shortCode - Короткий код
-     * @returns {Promise<Object|null>} - QR код або null
+     * URL для redirect після скану
+     * Якщо QR веде на публічний сайт QRHub - додає підписаний attribution токен (?qrh=),
+     * щоб перегляд сайту та заявка були прив'язані до цього скану
+     *
+     * @param {Object} result - Результат processScan()
+     * @returns {String} - targetUrl з токеном
      */
-    async findActiveQRCode(shortCode) {
-        try {
-            logInfo('Finding QR code by shortCode', { shortCode });
-
-            const qrcode = await QRCode.findByShortCode(shortCode);
+    buildRedirectUrl(result) {
+        const { qrCode, scan, targetUrl } = result;
 
-            if (!qrcode) {
-                logWarn('QR code not found', { shortCode });
-                return null;
-            }
+        // Зовнішні URL (external сайти) - без токена
+        if (!qrCode.websiteId || !isPublicSiteUrl(targetUrl)) {
+            return targetUrl;
+        }
 
-            // Перевірка чи активний
-            if (!qrcode.isActiveStatus()) {
-                logWarn('QR code is not active', {
-                    shortCode,
-                    status: qrcode.status,
-                    isActive: qrcode.isActive
-                });
-                return null;
-            }
+        const token = createAttributionToken({
+            qrCodeId: qrCode.id,
+            scanId: scan.id,
+            websiteId: qrCode.websiteId,
+            variantId: scan.variantId,
+            campaignId: qrCode.campaignId
+        });
 
-            return qrcode;
+        return appendAttributionToken(targetUrl, token);
+    }
 
-        } catch (error) {
-            logError('Failed to find QR code', {
-                shortCode,
-                error: error.message
-            });
-            throw error;
+    /**
+     * Додає UTM параметри кампанії QR коду до destination
+     * Тільки для payloadType=url (vCard / подія / карта - не веб-сторінки бізнесу)
+     *
+     * @param {Object} redirect - Результат resolveRedirect()
+     * @param {String} targetUrl - Destination (правило / варіант / targetUrl)
+     * @returns {String} - URL з UTM або без змін (немає кампанії)
+     */
+    applyCampaignUTM(redirect, targetUrl) {
+        if (!redirect.campaign || !targetUrl || redirect.payloadType !== QR_PAYLOAD_TYPE.URL) {
+            return targetUrl;
         }
+
+        return appendUTMParams(targetUrl, redirect.campaign.utm, {
+            override: redirect.campaign.overrideExisting
+        });
     }
 
     // ============================================
-    // GET DEVICE INFO
+    // PAYLOAD RESPONSE
     // ============================================
 
     /**
-     * Отримує інформацію про пристрій з User-Agent
-     * 
-     * @param {String} userAgent - User-Agent string
-     * @returns {Object} - { device, browser, os, userAgent }
+     * Відповідь на скан QR з payloadType, відмінним від url
+     * vCard з fromBusiness доповнюється даними бізнесу на момент скану
+     * (зміни контактів бізнесу не потребують перегенерації QR)
+     *
+     * @param {Object} result - Результат processScan()
+     * @returns {Promise<Object>} - { payload, redirectUrl } (geo) або
+     *                              { payload, file: { content, contentType, filename } } (vcard / event)
      */
-    getDeviceInfo(userAgent) {
-        try {
-            if (!userAgent) {
-                logWarn('Missing User-Agent for device detection');
+    async buildPayloadResponse(result) {
+        const { payloadType, qrCode } = result;
+
+        switch (payloadType) {
+            case QR_PAYLOAD_TYPE.VCARD: {
+                const payload = await this.resolveContact(result.payload, qrCode.businessId);
+
                 return {
-                    device: 'Other',
-                    browser: 'Unknown',
-                    os: 'Unknown',
-                    userAgent: 'Unknown'
+                    payload,
+                    file: {
+                        content: encodeVCard(payload),
+                        contentType: 'text/vcard; charset=utf-8',
+                        filename: `contact-${qrCode.shortCode}.vcf`
+                    }
                 };
             }
 
-            return parseUserAgent(userAgent);
+            case QR_PAYLOAD_TYPE.EVENT:
+                return {
+                    payload: result.payload,
+                    file: {
+                        // Стабільний UID: повторне завантаження оновлює подію в календарі
+                        content: encodeICalendarEvent(result.payload, { uid: `${qrCode.id}@qrhub` }),
+                        contentType: 'text/calendar; charset=utf-8',
+                        filename: `event-${qrCode.shortCode}.ics`
+                    }
+                };
 
-        } catch (error) {
-            logError('Failed to parse device info', {
-                error: error.message
-            });
-            return {
-                device: 'Other',
-                browser: 'Unknown',
-                os: 'Unknown',
-                userAgent: userAgent || 'Unknown'
-            };
+            case QR_PAYLOAD_TYPE.GEO:
+                return {
+                    payload: result.payload,
+                    redirectUrl: buildGeoMapUrl(result.payload)
+                };
+
+            default:
+                throw new NotFoundError('QR код не знайдено або неактивний');
         }
     }
 
+    /**
+     * Контакт vCard з урахуванням fromBusiness
+     * Явно задані поля payload мають пріоритет над даними бізнесу
+     *
+     * @param {Object} payload - vCard payload
+     * @param {String} businessId - ID бізнесу QR коду
+     * @returns {Promise<Object>} - Поля для encodeVCard()
+     */
+    async resolveContact(payload, businessId) {
+        const { fromBusiness, ...contact } = payload;
+
+        if (!fromBusiness) {
+            return contact;
+        }
+
+        const business = await Business.findById(businessId)
+            .select('name phone email address socialMedia.website')
+            .lean();
+
+        if (!business) {
+            return contact;
+        }
+
+        const address = business.address || {};
+        const businessContact = {
+            organization: business.name,
+            phone: business.phone || undefined,
+            email: business.email || undefined,
+            website: business.socialMedia?.website || undefined,
+            address: {
+                street: address.street,
+                city: address.city,
+                region: address.state,
+                postalCode: address.zip,
+                country: address.country
+            }
+        };
+
+        return {
+            ...businessContact,
+            ...contact,
+            address: { ...businessContact.address, ...contact.address }
+        };
+    }
+
     // ============================================
-    // GET GEO INFO
+    // RESOLVE REDIRECT
     // ============================================
 
     /**
-     * Отримує геолокацію по IP адресі
+     * Дані для redirect по shortCode або alias (кеш, при промаху - БД)
+     * redirect.shortCode - основний код QR, навіть якщо скан прийшов по alias
      * 
-     * @param {String} ip - IP адреса
-     * @returns {Promise<Object>} - { country, city, region }
+     * @param {String} shortCode - Короткий код
+     * @returns {Promise<Object|null>} - { qrCodeId, businessId, websiteId, name, shortCode, targetUrl,
+     *                                   payloadType, payload, redirectRules, splitVariants, status, startsAt, expiresAt, maxScans,
+     *                                   expiredBehavior, expiredUrl, accessType, accessSecretHash,
+     *                                   campaign, scanCount } або null (не знайдено / неактивний)
      */
-    async getGeoInfo(ip) {
-        try {
-            if (!ip) {
-                logWarn('Missing IP for geolocation');
-                return {
-                    country: 'Unknown',
-                    city: 'Unknown',
-                    region: 'Unknown'
-                };
+    async resolveRedirect(shortCode) {
+        const cached = getCachedRedirect(shortCode);
+
+        if (cached !== undefined) {
+            return cached;
+        }
+
+        const qrcode = await this.findActiveQRCode(shortCode);
+
+        const redirect = qrcode
+            ? {
+                qrCodeId: qrcode._id.toString(),
+                businessId: (qrcode.businessId?._id || qrcode.businessId).toString(),
+                websiteId: qrcode.websiteId ? (qrcode.websiteId._id || qrcode.websiteId).toString() : null,
+                name: qrcode.name,
+                shortCode: qrcode.shortCode,
+                targetUrl: qrcode.targetUrl,
+                payloadType: qrcode.payloadType || QR_PAYLOAD_TYPE.URL,
+                payload: qrcode.payload || null,
+                redirectRules: (qrcode.redirectRules || []).map(rule => ({
+                    id: rule._id.toString(),
+                    name: rule.name,
+                    targetUrl: rule.targetUrl,
+                    conditions: rule.toObject().conditions,
+                    isEnabled: rule.isEnabled
+                })),
+                splitVariants: (qrcode.splitVariants || []).map(variant => ({
+                    id: variant._id.toString(),
+                    name: variant.name,
+                    targetUrl: variant.targetUrl,
+                    weight: variant.weight,
+                    isEnabled: variant.isEnabled
+                })),
+                status: qrcode.status,
+                startsAt: qrcode.startsAt,
+                expiresAt: qrcode.expiresAt,
+                maxScans: qrcode.maxScans,
+                expiredBehavior: qrcode.expiredBehavior,
+                expiredUrl: qrcode.expiredUrl,
+                accessType: qrcode.accessType || QR_ACCESS_TYPE.NONE,
+                accessSecretHash: qrcode.accessSecretHash || null,
+                // Видалена кампанія - як без кампанії (UTM не додаються)
+                campaign: qrcode.campaignId?.isActive
+                    ? {
+                        id: qrcode.campaignId._id.toString(),
+                        utm: qrcode.campaignId.utm?.toObject?.() || qrcode.campaignId.utm || {},
+                        overrideExisting: Boolean(qrcode.campaignId.overrideExisting)
+                    }
+                    : null,
+                // Збільшується при кожному скані, поки запис у кеші
+                scanCount: qrcode.totalScans || 0
             }
+            : null;
 
-            const location = await getLocationFromIP(ip);
+        setCachedRedirect(shortCode, redirect);
 
-            return {
-                country: location.country || 'Unknown',
-                city: location.city || 'Unknown',
-                region: location.region || 'Unknown'
-            };
+        return redirect;
+    }
 
-        } catch (error) {
-            logError('Failed to get geo info', {
-                ip,
-                error: error.message
-            });
-            return {
-                country: 'Unknown',
-                city: 'Unknown',
-                region: 'Unknown'
-            };
+    // ============================================
+    // AVAILABILITY
+    // ============================================
+
+    /**
+     * Перевірка розкладу та ліміту сканів QR коду
+     * Не залежить від QRScheduleService: job тільки оновлює status для списків і сповіщень
+     * 
+     * @param {Object} redirect - Результат resolveRedirect()
+     * @param {Date} now - Момент скану
+     * @throws {NotFoundError} - startsAt ще не настав
+     * @throws {GoneError} - expiresAt минув або вичерпано maxScans
+     */
+    assertAvailable(redirect, now = new Date()) {
+        const status = QRCode.resolveScheduledStatus({
+            status: redirect.status,
+            startsAt: redirect.startsAt,
+            expiresAt: redirect.expiresAt,
+            maxScans: redirect.maxScans,
+            totalScans: redirect.scanCount
+        }, now);
+
+        if (status === QR_STATUS.SCHEDULED) {
+            throw new NotFoundError('QR код ще не активний');
+        }
+
+        if (status === QR_STATUS.EXPIRED) {
+            const landingUrl = redirect.expiredBehavior === QR_EXPIRED_BEHAVIOR.REDIRECT
+                ? redirect.expiredUrl
+                : null;
+
+            throw new GoneError('Термін дії QR коду закінчився', { landingUrl });
         }
     }
 
     // ============================================
-    // CHECK UNIQUE SCAN
+    // ACCESS (PASSWORD / PIN)
     // ============================================
 
     /**
-     * Перевіряє чи це унікальний скан сьогодні
+     * Перевірка пароля / PIN захищеного QR коду
+     * Після MAX_FAILED_ATTEMPTS невдалих спроб ip + shortCode блокується
+     * до кінця вікна навіть з правильним значенням (захист від перебору PIN).
+     * Блокування тільки по IP: спільне для QR дозволило б будь-кому заблокувати
+     * QR для відвідувачів, які знають PIN
      * 
-     * @param {String} qrCodeId - ID QR коду
-     * @param {String} fingerprint - Fingerprint користувача
-     * @returns {Promise<Boolean>} - true якщо унікальний
+     * @param {Object} redirect - Результат resolveRedirect()
+     * @param {Object} scanData - Дані про скан з request
+     * @param {String|undefined} accessSecret - Введений пароль / PIN
+     * @throws {UnauthorizedError} - details: { accessType, isInvalid }
+     * @throws {TooManyRequestsError} - Вичерпано невдалі спроби
      */
-    async isUniqueScan(qrCodeId, fingerprint) {
-        try {
-            // Використовуємо static method з QRScan model
-            const isUnique = await QRScan.isUniqueScanToday(qrCodeId, fingerprint);
+    async assertAccess(redirect, scanData, accessSecret) {
+        const { accessType } = redirect;
 
-            logInfo('Checked scan uniqueness', {
-                qrCodeId,
-                isUnique
-            });
+        if (!accessType || accessType === QR_ACCESS_TYPE.NONE) {
+            return;
+        }
 
-            return isUnique;
+        // Перше відкриття - форма без помилки
+        if (accessSecret === undefined) {
+            throw new UnauthorizedError('QR код захищено', { accessType, isInvalid: false });
+        }
 
-        } catch (error) {
-            logError('Failed to check scan uniqueness', {
-                qrCodeId,
-                error: error.message
+        const key = `${scanData.ip}:${redirect.shortCode.toLowerCase()}`;
+        const attempts = failedAccessAttempts.get(key);
+
+        if (attempts && attempts.count >= QR_ACCESS.MAX_FAILED_ATTEMPTS) {
+            logWarn('QR access locked out', {
+                qrCodeId: redirect.qrCodeId,
+                shortCode: redirect.shortCode,
+                ip: scanData.ip
             });
-            // Якщо помилка - вважаємо унікальним (optimistic)
-            return true;
+            throw new TooManyRequestsError('Забагато невдалих спроб. Спробуйте пізніше.');
+        }
+
+        const isValid = await QRCode.compareAccessSecret(accessSecret, redirect.accessSecretHash);
+
+        if (isValid) {
+            failedAccessAttempts.delete(key);
+            return;
+        }
+
+        const failedCount = (attempts?.count || 0) + 1;
+
+        if (attempts) {
+            attempts.count = failedCount;
+        } else {
+            failedAccessAttempts.set(key, { count: failedCount });
         }
+
+        logWarn('QR access denied', {
+            qrCodeId: redirect.qrCodeId,
+            shortCode: redirect.shortCode,
+            accessType,
+            ip: scanData.ip,
+            userAgent: scanData.userAgent?.substring(0, 100),
+            failedAttempts: failedCount
+        });
+
+        throw new UnauthorizedError(
+            accessType === QR_ACCESS_TYPE.PIN ? 'Невірний PIN' : 'Невірний пароль',
+            { accessType, isInvalid: true }
+        );
     }
 
     // ============================================
-    // CREATE SCAN RECORD
+    // RESOLVE DESTINATION
     // ============================================
 
     /**
-     * Створює запис про сканування в БД
+     * URL для конкретного скану
+     * 1. Перше redirect правило, що співпало
+     * 2. Варіант A/B split (sticky: hash від persistent fingerprint відвідувача)
+     * 3. targetUrl QR коду
+     * 
+     * Номер скану - totalScans з БД + скани, прийняті з моменту кешування.
+     * Скани в черзі та на інших інстансах не враховуються, тому scanCount
+     * правила наближені (точність у межах REDIRECT_CACHE.TTL_MS).
+     * 
+     * @param {Object} redirect - Результат resolveRedirect()
+     * @param {Object} scanData - Дані про скан з request
+     * @param {Object} deviceInfo - Результат getDeviceInfo()
+     * @param {Object} options - { scannedAt, isBot }
+     * @returns {Promise<Object>} - { targetUrl, ruleId, variantId }
+     */
+    async resolveDestination(redirect, scanData, deviceInfo, { scannedAt, isBot }) {
+        const scanNumber = redirect.scanCount + 1;
+
+        // Боти не входять у totalScans - номер скану не зсувають
+        if (!isBot) {
+            redirect.scanCount = scanNumber;
+        }
+
+        if (!redirect.redirectRules.length) {
+            return this.resolveDefaultDestination(redirect, scanData);
+        }
+
+        const location = rulesNeedLocation(redirect.redirectRules)
+            ? await this.getRuleLocation(scanData.ip)
+            : null;
+
+        const rule = matchRedirectRule(redirect.redirectRules, {
+            device: deviceInfo.device,
+            os: deviceInfo.os,
+            country: location?.country,
+            city: location?.city,
+            languages: parseAcceptLanguage(scanData.language),
+            date: scannedAt,
+            scanNumber
+        });
+
+        if (!rule) {
+            return this.resolveDefaultDestination(redirect, scanData);
+        }
+
+        logInfo('Redirect rule matched', {
+            qrCodeId: redirect.qrCodeId,
+            ruleId: rule.id,
+            rule: rule.name
+        });
+
+        return { targetUrl: rule.targetUrl, ruleId: rule.id, variantId: null };
+    }
+
+    /**
+     * Default destination: варіант A/B split або targetUrl
+     * 
+     * @param {Object} redirect - Результат resolveRedirect()
+     * @param {Object} scanData - Дані про скан з request
+     * @returns {Object} - { targetUrl, ruleId, variantId }
+     */
+    resolveDefaultDestination(redirect, scanData) {
+        const variant = pickSplitVariant(
+            redirect.splitVariants,
+            redirect.qrCodeId,
+            generatePersistentFingerprint(scanData.ip, scanData.userAgent)
+        );
+
+        if (!variant) {
+            return { targetUrl: redirect.targetUrl, ruleId: null, variantId: null };
+        }
+
+        return { targetUrl: variant.targetUrl, ruleId: null, variantId: variant.id };
+    }
+
+    /**
+     * Геолокація для country/city правил
+     * Кеш - одразу; інакше чекаємо на провайдера не довше GEO_LOOKUP_TIMEOUT_MS.
+     * Lookup продовжується у фоні й потрапляє в кеш для черги сканів.
      * 
-     * @param {Object} scanData - Дані про скан
-     * @returns {Promise<Object>} - Створений QRScan документ
+     * @param {String} ip - IP адреса
+     * @returns {Promise<Object|null>} - Локація або null (не встигли)
      */
-    async createScanRecord(scanData) {
+    async getRuleLocation(ip) {
+        const known = peekLocation(ip);
+
+        if (known) {
+            return known;
+        }
+
+        let timer;
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(() => resolve(null), REDIRECT_RULES.GEO_LOOKUP_TIMEOUT_MS);
+        });
+
         try {
-            logInfo('Creating scan record', {
-                qrCodeId: scanData.qrCodeId,
-                device: scanData.deviceInfo.device
-            });
+            const location = await Promise.race([getLocationFromIP(ip), timeout]);
 
-            const scan = await QRScan.create({
-                qrCodeId: scanData.qrCodeId,
-                businessId: scanData.businessId,
-                websiteId: scanData.websiteId,
+            if (!location) {
+                logWarn('Geolocation timeout for redirect rules', { ip });
+            }
 
-                // Час
-                scannedAt: new Date(),
+            return location;
 
-                // Геолокація
-                country: scanData.geoInfo.country,
-                city: scanData.geoInfo.city,
-                ipAddress: scanData.ip,
+        } finally {
+            clearTimeout(timer);
+        }
+    }
 
-                // Пристрій
-                device: scanData.deviceInfo.device,
-                browser: scanData.deviceInfo.browser,
-                os: scanData.deviceInfo.os,
-                userAgent: scanData.deviceInfo.userAgent,
+    // ============================================
+    // FIND ACTIVE QR CODE
+    // ============================================
 
-                // Fingerprint
-                fingerprint: scanData.fingerprint,
+    /**
+     * Знаходить активний QR код по shortCode або alias
+     * scheduled / expired теж повертаються: розклад перевіряє assertAvailable()
+     * при кожному скані (QR у кеші, а час іде), а expired потрібен для landing
+     * 
+     * @param {String} shortCode - Короткий код
+     * @returns {Promise<Object|null>} - QR код або null
+     */
+    async findActiveQRCode(shortCode) {
+        try {
+            logInfo('Finding QR code by shortCode', { shortCode });
 
-                // Додаткове
-                referrer: scanData.referrer || null
-            });
+            const qrcode = await QRCode.findByShortCode(shortCode);
 
-            logSuccess('Scan record created', {
-                scanId: scan._id,
-                qrCodeId: scanData.qrCodeId
-            });
+            if (!qrcode) {
+                logWarn('QR code not found', { shortCode });
+                return null;
+            }
+
+            // Перевірка чи не вимкнено вручну (inactive / archived / видалено)
+            if (!qrcode.isActive || !SCHEDULABLE_STATUSES.includes(qrcode.status)) {
+                logWarn('QR code is not active', {
+                    shortCode,
+                    status: qrcode.status,
+                    isActive: qrcode.isActive
+                });
+                return null;
+            }
 
-            return scan;
+            return qrcode;
 
         } catch (error) {
-            logError('Failed to create scan record', {
-                qrCodeId: scanData.qrCodeId,
+            logError('Failed to find QR code', {
+                shortCode,
                 error: error.message
             });
             throw error;
@@ -320,39 +690,39 @@ class ScanService {
     }
 
     // ============================================
-    // UPDATE QR CODE STATS
+    // GET DEVICE INFO
     // ============================================
 
     /**
-     * Оновлює статистику QR коду
+     * Отримує інформацію про пристрій з User-Agent
      * 
-     * @param {Object} qrcode - QR код документ
-     * @param {Boolean} isUnique - Чи це унікальний скан
-     * @returns {Promise<void>}
+     * @param {String} userAgent - User-Agent string
+     * @returns {Object} - { device, browser, os, userAgent }
      */
-    async updateQRCodeStats(qrcode, isUnique) {
+    getDeviceInfo(userAgent) {
         try {
-            logInfo('Updating QR code stats', {
-                qrCodeId: qrcode._id,
-                isUnique
-            });
-
-            // Використовуємо instance method з QRCode model
-            await qrcode.incrementScans(isUnique);
+            if (!userAgent) {
+                logWarn('Missing User-Agent for device detection');
+                return {
+                    device: 'Other',
+                    browser: 'Unknown',
+                    os: 'Unknown',
+                    userAgent: 'Unknown'
+                };
+            }
 
-            logSuccess('QR code stats updated', {
-                qrCodeId: qrcode._id,
-                totalScans: qrcode.totalScans + 1,
-                uniqueScans: isUnique ? qrcode.uniqueScans + 1 : qrcode.uniqueScans
-            });
+            return parseUserAgent(userAgent);
 
         } catch (error) {
-            logError('Failed to update QR code stats', {
-                qrCodeId: qrcode._id,
+            logError('Failed to parse device info', {
                 error: error.message
             });
-            // Не кидаємо помилку, щоб не блокувати redirect
-            // Статистика може оновитись пізніше
+            return {
+                device: 'Other',
+                browser: 'Unknown',
+                os: 'Unknown',
+                userAgent: userAgent || 'Unknown'
+            };
         }
     }
 
@@ -398,58 +768,63 @@ class ScanService {
      * Витягує дані для скану з Express request
      * 
      * @param {Object} req - Express request object
-     * @returns {Object} - { ip, userAgent, referrer }
+     * @returns {Object} - { ip, userAgent, referrer, method, purpose, language }
      */
     extractScanDataFromRequest(req) {
         return {
             ip: getClientIP(req),
             userAgent: req.headers['user-agent'] || 'Unknown',
-            referrer: req.headers['referer'] || req.headers['referrer'] || null
+            referrer: req.headers['referer'] || req.headers['referrer'] || null,
+            method: req.method,
+            purpose: req.headers['sec-purpose'] ||
+                req.headers['purpose'] ||
+                req.headers['x-purpose'] ||
+                req.headers['x-moz'] ||
+                null,
+            language: req.headers['accept-language'] || null
         };
     }
 
+    /**
+     * Стан черги сканів (health check)
+     * 
+     * @returns {Promise<Object>}
+     */
+    async getQueueStats() {
+        return this.scanQueue.getStats();
+    }
+
     /**
      * Перевіряє чи дозволено сканувати з цього IP (rate limiting)
-     * Для захисту від спаму
+     * Для захисту від спаму. Лічильник у пам'яті: скани пишуться асинхронно,
+     * тому QRScan ще не містить останніх сканів
      * 
      * @param {String} ip - IP адреса
-     * @param {String} qrCodeId - ID QR коду
-     * @returns {Promise<Boolean>} - true якщо дозволено
+     * @param {String} shortCode - Короткий код QR
+     * @returns {Boolean} - true якщо дозволено
      */
-    async isRateLimitAllowed(ip, qrCodeId) {
-        try {
-            // Перевіряємо скільки разів цей IP сканував за останню хвилину
-            const oneMinuteAgo = new Date(Date.now() - 60 * 1000);
-
-            const recentScans = await QRScan.countDocuments({
-                qrCodeId,
-                ipAddress: ip,
-                scannedAt: { $gte: oneMinuteAgo }
-            });
-
-            // Максимум 10 сканів за хвилину з одного IP
-            const maxScansPerMinute = 10;
-
-            if (recentScans >= maxScansPerMinute) {
-                logWarn('Rate limit exceeded', {
-                    ip,
-                    qrCodeId,
-                    recentScans
-                });
-                return false;
-            }
+    isRateLimitAllowed(ip, shortCode) {
+        const key = `${ip}:${shortCode.toLowerCase()}`;
+        const counter = scanRateLimits.get(key);
 
+        // Перший скан у вікні - вікно стартує зараз
+        if (!counter) {
+            scanRateLimits.set(key, { count: 1 });
             return true;
+        }
 
-        } catch (error) {
-            logError('Failed to check rate limit', {
+        counter.count += 1;
+
+        if (counter.count > SCAN_RATE_LIMIT.MAX_SCANS) {
+            logWarn('Rate limit exceeded', {
                 ip,
-                qrCodeId,
-                error: error.message
+                shortCode,
+                recentScans: counter.count
             });
-            // Якщо помилка - дозволяємо (optimistic)
-            return true;
+            return false;
         }
+
+        return true;
     }
 }
 
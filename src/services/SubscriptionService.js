@@ -0,0 +1,586 @@
+/**
+ * SubscriptionService
+ * Бізнес-логіка для тарифних планів та підписок
+ *
+ * Відповідальність:
+ * - Визначення ефективного плану користувача (trial / active / cancelled / expired)
+ * - Єдина перевірка лімітів плану для всіх create операцій
+ * - Trial та скасування підписки
+ * - Активація / продовження / відкликання періоду за оплатами
+ * - Використання лімітів (usage) для dashboard
+ *
+ * Без активної підписки користувач працює на free плані.
+ */
+
+import Subscription from '../models/Subscription.js';
+import Business from '../models/Business.js';
+import Website from '../models/Website.js';
+import QRCode from '../models/QRCode.js';
+import Product from '../models/Product.js';
+import { logInfo, logSuccess, logError, logWarn } from '../utils/logger.js';
+import {
+    BadRequestError,
+    ConflictError,
+    NotFoundError,
+    UpgradeRequiredError
+} from '../utils/errorHandler.js';
+import {
+    SUBSCRIPTION_PLAN,
+    SUBSCRIPTION_STATUS,
+    SUBSCRIPTION_SETTINGS,
+    BILLING_CYCLE,
+    PLAN_LIMITS,
+    PLAN_LIMIT_KEYS,
+    QR_STATUS,
+    getPlanLimits,
+    isLimitReached
+} from '../config/constants.js';
+
+// Назви лімітів для повідомлень про помилку
+const LIMIT_LABELS = {
+    [PLAN_LIMIT_KEYS.BUSINESSES]: 'бізнесів',
+    [PLAN_LIMIT_KEYS.WEBSITES_PER_BUSINESS]: 'сайтів на бізнес',
+    [PLAN_LIMIT_KEYS.QR_CODES_PER_WEBSITE]: 'QR кодів на сайт',
+    [PLAN_LIMIT_KEYS.PRODUCTS_PER_CATALOG]: 'товарів у каталозі'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class SubscriptionService {
+    // ============================================
+    // ЕФЕКТИВНИЙ ПЛАН
+    // ============================================
+
+    /**
+     * Визначити ефективний план користувача
+     *
+     * - trial до trialEndsAt → план trial
+     * - active до endDate (або безстроково) → план підписки
+     * - cancelled до endDate → план підписки (діє до кінця оплаченого періоду)
+     * - прострочена підписка позначається як expired → free план
+     *
+     * @param {String} userId - ID користувача
+     * @returns {Promise<Object>} - { plan, status, isTrial, accessEndsAt, limits, subscription }
+     */
+    async getEffectivePlan(userId) {
+        try {
+            const subscription = await Subscription.findCurrentByUser(userId);
+
+            if (subscription && !subscription.isEffective()) {
+                await this.expireSubscription(subscription);
+            }
+
+            if (!subscription || subscription.status === SUBSCRIPTION_STATUS.EXPIRED) {
+                const plan = SUBSCRIPTION_SETTINGS.DEFAULT_PLAN;
+
+                return {
+                    plan,
+                    status: null,
+                    isTrial: false,
+                    accessEndsAt: null,
+                    limits: this.pickLimits(getPlanLimits(plan)),
+                    subscription: null
+                };
+            }
+
+            return {
+                plan: subscription.plan,
+                status: subscription.status,
+                isTrial: subscription.isTrial,
+                accessEndsAt: subscription.getAccessEndsAt(),
+                limits: this.pickLimits(subscription.getLimits(getPlanLimits(subscription.plan))),
+                subscription: subscription.toObject()
+            };
+
+        } catch (error) {
+            logError('Failed to resolve effective plan', {
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    // ============================================
+    // ENTITLEMENTS
+    // ============================================
+
+    /**
+     * Перевірка ліміту плану перед створенням ресурсу
+     * Єдина точка перевірки для Business / Website / QRCode / Product
+     *
+     * @param {String} userId - ID користувача
+     * @param {String} limitKey - Ключ з PLAN_LIMIT_KEYS
+     * @param {Object} scope - { businessId } або { websiteId } для лімітів "на ресурс"
+     * @returns {Promise<Object>} - Ефективний план (див. getEffectivePlan)
+     * @throws {UpgradeRequiredError} - Якщо ліміт досягнуто
+     */
+    async assertCanCreate(userId, limitKey, scope = {}) {
+        try {
+            const effective = await this.getEffectivePlan(userId);
+            const { plan, limits } = effective;
+            const max = limits[limitKey];
+            const current = await this.countUsage(userId, limitKey, scope);
+
+            if (isLimitReached(current, max)) {
+                const details = {
+                    limit: limitKey,
+                    current,
+                    max,
+                    plan,
+                    suggestedPlan: this.getSuggestedPlan(limitKey, current, plan)
+                };
+
+                logWarn('Plan limit reached', { userId, ...scope, ...details });
+
+                throw new UpgradeRequiredError(
+                    `Досягнуто ліміт ${LIMIT_LABELS[limitKey]} для плану ${plan} (${max}). Оновіть тарифний план`,
+                    details
+                );
+            }
+
+            logInfo('Plan limit check passed', { userId, limit: limitKey, current, max, plan });
+
+            return effective;
+
+        } catch (error) {
+            if (error instanceof UpgradeRequiredError) {
+                throw error;
+            }
+            logError('Failed to check plan limit', {
+                userId,
+                limit: limitKey,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Поточне використання ліміту
+     *
+     * @param {String} userId - ID користувача
+     * @param {String} limitKey - Ключ з PLAN_LIMIT_KEYS
+     * @param {Object} scope - { businessId } або { websiteId }
+     * @returns {Promise<Number>}
+     */
+    async countUsage(userId, limitKey, scope = {}) {
+        switch (limitKey) {
+            case PLAN_LIMIT_KEYS.BUSINESSES:
+                return Business.countDocuments({ userId, isActive: true });
+
+            case PLAN_LIMIT_KEYS.WEBSITES_PER_BUSINESS:
+                return Website.countByBusinessId(scope.businessId);
+
+            case PLAN_LIMIT_KEYS.QR_CODES_PER_WEBSITE:
+                return QRCode.countDocuments({
+                    websiteId: scope.websiteId,
+                    isActive: true,
+                    status: { $ne: QR_STATUS.ARCHIVED }
+                });
+
+            case PLAN_LIMIT_KEYS.PRODUCTS_PER_CATALOG:
+                return Product.countByWebsiteId(scope.websiteId);
+
+            default:
+                throw new BadRequestError(`Невідомий ліміт: ${limitKey}`);
+        }
+    }
+
+    // ============================================
+    // ПІДПИСКА КОРИСТУВАЧА
+    // ============================================
+
+    /**
+     * Поточна підписка з використанням лімітів
+     * Для лімітів "на ресурс" current - максимальне значення серед ресурсів
+     *
+     * @param {String} userId - ID користувача
+     * @returns {Promise<Object>} - { plan, status, isTrial, accessEndsAt, limits, usage, subscription }
+     */
+    async getCurrentSubscription(userId) {
+        try {
+            logInfo('Getting current subscription', { userId });
+
+            const effective = await this.getEffectivePlan(userId);
+
+            const businessIds = await Business.find({ userId, isActive: true }).distinct('_id');
+            const websiteIds = await Website.find({
+                businessId: { $in: businessIds },
+                isActive: true
+            }).distinct('_id');
+
+            const [websitesPerBusiness, qrCodesPerWebsite, productsPerCatalog] = await Promise.all([
+                this.getMaxGroupCount(Website, { businessId: { $in: businessIds }, isActive: true }, '$businessId'),
+                this.getMaxGroupCount(QRCode, {
+                    websiteId: { $in: websiteIds },
+                    isActive: true,
+                    status: { $ne: QR_STATUS.ARCHIVED }
+                }, '$websiteId'),
+                this.getMaxGroupCount(Product, { websiteId: { $in: websiteIds } }, '$websiteId')
+            ]);
+
+            const currentUsage = {
+                [PLAN_LIMIT_KEYS.BUSINESSES]: businessIds.length,
+                [PLAN_LIMIT_KEYS.WEBSITES_PER_BUSINESS]: websitesPerBusiness,
+                [PLAN_LIMIT_KEYS.QR_CODES_PER_WEBSITE]: qrCodesPerWebsite,
+                [PLAN_LIMIT_KEYS.PRODUCTS_PER_CATALOG]: productsPerCatalog
+            };
+
+            const usage = Object.values(PLAN_LIMIT_KEYS).reduce((acc, key) => {
+                acc[key] = {
+                    current: currentUsage[key],
+                    max: effective.limits[key],
+                    reached: isLimitReached(currentUsage[key], effective.limits[key])
+                };
+                return acc;
+            }, {});
+
+            return {
+                ...effective,
+                usage
+            };
+
+        } catch (error) {
+            logError('Failed to get current subscription', {
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Список тарифних планів
+     *
+     * @returns {Array<Object>}
+     */
+    getPlans() {
+        return Object.values(SUBSCRIPTION_PLAN).map(plan => ({
+            plan,
+            price: PLAN_LIMITS[plan].price,
+            creationFee: PLAN_LIMITS[plan].creationFee,
+            limits: this.pickLimits(PLAN_LIMITS[plan])
+        }));
+    }
+
+    /**
+     * Почати пробний період
+     * Trial доступний один раз і тільки без діючої підписки
+     *
+     * @param {String} userId - ID користувача
+     * @returns {Promise<Object>} - Створена підписка
+     */
+    async startTrial(userId) {
+        try {
+            logInfo('Starting trial', { userId });
+
+            if (await Subscription.hasUsedTrial(userId)) {
+                throw new ConflictError('Пробний період вже було використано');
+            }
+
+            const { subscription } = await this.getEffectivePlan(userId);
+
+            if (subscription) {
+                throw new ConflictError('У вас вже є діюча підписка');
+            }
+
+            const plan = SUBSCRIPTION_SETTINGS.TRIAL_PLAN;
+            const trialEndsAt = new Date(Date.now() + SUBSCRIPTION_SETTINGS.TRIAL_DAYS * DAY_MS);
+
+            const trial = await Subscription.create({
+                userId,
+                plan,
+                status: SUBSCRIPTION_STATUS.TRIAL,
+                price: 0,
+                discountedPrice: 0,
+                startDate: new Date(),
+                trialEndsAt
+            });
+
+            logSuccess('Trial started', {
+                userId,
+                subscriptionId: trial._id,
+                plan,
+                trialEndsAt
+            });
+
+            return trial.toObject();
+
+        } catch (error) {
+            logError('Failed to start trial', {
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Скасувати підписку
+     * План діє до кінця оплаченого періоду (або до кінця trial)
+     *
+     * @param {String} userId - ID користувача
+     * @returns {Promise<Object>} - Оновлена підписка
+     */
+    async cancelSubscription(userId) {
+        try {
+            logInfo('Cancelling subscription', { userId });
+
+            const { subscription } = await this.getEffectivePlan(userId);
+
+            if (!subscription) {
+                throw new NotFoundError('Активну підписку не знайдено');
+            }
+
+            if (subscription.status === SUBSCRIPTION_STATUS.CANCELLED) {
+                throw new ConflictError('Підписку вже скасовано');
+            }
+
+            const now = new Date();
+
+            const updated = await Subscription.findByIdAndUpdate(
+                subscription._id,
+                {
+                    $set: {
+                        status: SUBSCRIPTION_STATUS.CANCELLED,
+                        cancelledAt: now,
+                        endDate: subscription.endDate || subscription.trialEndsAt || now,
+                        nextBillingDate: null
+                    }
+                },
+                { new: true }
+            );
+
+            logSuccess('Subscription cancelled', {
+                userId,
+                subscriptionId: updated._id,
+                endDate: updated.endDate
+            });
+
+            return updated.toObject();
+
+        } catch (error) {
+            logError('Failed to cancel subscription', {
+                userId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    // ============================================
+    // ОПЛАТИ (викликається з PaymentService)
+    // ============================================
+
+    /**
+     * Активувати або продовжити підписку після успішної оплати
+     *
+     * - та сама діюча підписка (plan + billingCycle) → продовження від endDate
+     * - інакше (trial, інший план, немає підписки) → нова active підписка,
+     *   попередня позначається як expired
+     *
+     * @param {Object} payment - Payment (type = subscription)
+     * @returns {Promise<Object>} - Підписка
+     */
+    async activateFromPayment(payment) {
+        try {
+            logInfo('Activating subscription from payment', {
+                paymentId: payment._id,
+                userId: payment.userId,
+                plan: payment.plan,
+                billingCycle: payment.billingCycle
+            });
+
+            const now = new Date();
+            const current = await Subscription.findCurrentByUser(payment.userId);
+
+            if (current &&
+                current.isEffective(now) &&
+                current.status === SUBSCRIPTION_STATUS.ACTIVE &&
+                current.plan === payment.plan &&
+                current.billingCycle === payment.billingCycle) {
+                const from = current.endDate && current.endDate > now ? current.endDate : now;
+
+                current.endDate = this.addBillingPeriod(from, payment.billingCycle);
+                current.nextBillingDate = current.endDate;
+                current.discount = payment.discount;
+                current.discountedPrice = payment.amount;
+                await current.save();
+
+                logSuccess('Subscription extended', {
+                    subscriptionId: current._id,
+                    endDate: current.endDate
+                });
+
+                return current;
+            }
+
+            if (current) {
+                await this.expireSubscription(current);
+            }
+
+            const endDate = this.addBillingPeriod(now, payment.billingCycle);
+
+            const subscription = await Subscription.create({
+                userId: payment.userId,
+                plan: payment.plan,
+                status: SUBSCRIPTION_STATUS.ACTIVE,
+                price: PLAN_LIMITS[payment.plan].price,
+                currency: payment.currency,
+                billingCycle: payment.billingCycle,
+                discount: payment.discount,
+                discountedPrice: payment.amount,
+                startDate: now,
+                endDate,
+                nextBillingDate: endDate
+            });
+
+            logSuccess('Subscription activated', {
+                subscriptionId: subscription._id,
+                plan: subscription.plan,
+                endDate
+            });
+
+            return subscription;
+
+        } catch (error) {
+            logError('Failed to activate subscription from payment', {
+                paymentId: payment._id,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Відкликати оплачений період після повернення коштів
+     * Якщо оплаченого часу не лишилось - підписка завершується
+     *
+     * @param {Object} payment - Payment (type = subscription)
+     * @returns {Promise<Object|null>} - Підписка або null
+     */
+    async revokeFromPayment(payment) {
+        try {
+            if (!payment.subscriptionId) {
+                return null;
+            }
+
+            const subscription = await Subscription.findById(payment.subscriptionId);
+
+            if (!subscription || subscription.status === SUBSCRIPTION_STATUS.EXPIRED) {
+                return subscription;
+            }
+
+            const now = new Date();
+            const endDate = subscription.endDate
+                ? this.addBillingPeriod(subscription.endDate, payment.billingCycle, -1)
+                : now;
+
+            subscription.nextBillingDate = null;
+
+            if (endDate <= now) {
+                subscription.endDate = now;
+                subscription.status = SUBSCRIPTION_STATUS.EXPIRED;
+            } else {
+                subscription.endDate = endDate;
+            }
+
+            await subscription.save();
+
+            logSuccess('Subscription period revoked', {
+                subscriptionId: subscription._id,
+                paymentId: payment._id,
+                status: subscription.status,
+                endDate: subscription.endDate
+            });
+
+            return subscription;
+
+        } catch (error) {
+            logError('Failed to revoke subscription period', {
+                paymentId: payment._id,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    // ============================================
+    // HELPER METHODS (PRIVATE)
+    // ============================================
+
+    /**
+     * Позначити прострочену підписку як expired
+     */
+    async expireSubscription(subscription) {
+        subscription.status = SUBSCRIPTION_STATUS.EXPIRED;
+        await subscription.save();
+
+        logInfo('Subscription expired', {
+            subscriptionId: subscription._id,
+            userId: subscription.userId,
+            plan: subscription.plan
+        });
+    }
+
+    /**
+     * Додати (або відняти при direction = -1) один період оплати
+     * День обрізається до кінця місяця (31 січня + 1 місяць = 28/29 лютого)
+     */
+    addBillingPeriod(date, billingCycle, direction = 1) {
+        const result = new Date(date);
+        const day = result.getUTCDate();
+        const months = (billingCycle === BILLING_CYCLE.YEARLY ? 12 : 1) * direction;
+
+        result.setUTCDate(1);
+        result.setUTCMonth(result.getUTCMonth() + months);
+
+        const daysInMonth = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+        result.setUTCDate(Math.min(day, daysInMonth));
+
+        return result;
+    }
+
+    /**
+     * Тільки ліміти з об'єкта плану
+     */
+    pickLimits(planLimits) {
+        return Object.values(PLAN_LIMIT_KEYS).reduce((acc, key) => {
+            acc[key] = planLimits[key];
+            return acc;
+        }, {});
+    }
+
+    /**
+     * Найдешевший план вище поточного, де ліміт дозволяє ще один ресурс
+     *
+     * @returns {String|null}
+     */
+    getSuggestedPlan(limitKey, current, currentPlan) {
+        const plans = Object.values(SUBSCRIPTION_PLAN);
+        const higherPlans = plans.slice(plans.indexOf(currentPlan) + 1);
+
+        return higherPlans.find(plan => !isLimitReached(current, PLAN_LIMITS[plan][limitKey])) || null;
+    }
+
+    /**
+     * Максимальна кількість документів у групі
+     * (напр. найбільша кількість сайтів серед бізнесів користувача)
+     */
+    async getMaxGroupCount(Model, match, groupField) {
+        const [result] = await Model.aggregate([
+            { $match: match },
+            { $group: { _id: groupField, count: { $sum: 1 } } },
+            { $group: { _id: null, max: { $max: '$count' } } }
+        ]);
+
+        return result ? result.max : 0;
+    }
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+export default SubscriptionService;
@@ -5,21 +5,31 @@
 
 import Website from '../models/Website.js';
 import Product from '../models/Product.js';
+import ProductCategory from '../models/ProductCategory.js';
 import Business from '../models/Business.js';
 import S3Service from './S3Service.js';
+import SubscriptionService from './SubscriptionService.js';
+import WebsiteViewService from './WebsiteViewService.js';
 import { logInfo, logSuccess, logError, logWarn } from '../utils/logger.js';
 import {
     NotFoundError,
-    ConflictError,
     BadRequestError,
     ForbiddenError
 } from '../utils/errorHandler.js';
-import { MVP_LIMITS, WEBSITE_TYPE, WEBSITE_STATUS } from '../config/constants.js';
+import {
+    PLAN_LIMIT_KEYS,
+    WEBSITE_TYPE,
+    WEBSITE_STATUS,
+    PUBLIC_CACHE,
+    PRODUCT_IMAGE
+} from '../config/constants.js';
 
 class WebsiteService {
     constructor() {
         // Dependency Injection
         this.s3Service = new S3Service();
+        this.subscriptionService = new SubscriptionService();
+        this.websiteViewService = new WebsiteViewService();
     }
 
     // ============================================
@@ -199,9 +209,10 @@ class WebsiteService {
      * Отримати website по slug (PUBLIC метод)
      * 
      * @param {String} slug - Slug сайту
+     * @param {Object} visitData - Дані відвідувача для WebsiteView
      * @returns {Promise<Object>} - Website з products (якщо catalog)
      */
-    async getWebsiteBySlug(slug) {
+    async getWebsiteBySlug(slug, visitData = {}) {
         try {
             logInfo('Getting website by slug (PUBLIC)', { slug });
 
@@ -211,13 +222,8 @@ class WebsiteService {
                 throw new NotFoundError('Сайт не знайдено або неактивний');
             }
 
-            // Інкремент переглядів (асинхронно, без очікування)
-            website.incrementViews().catch(err => {
-                logError('Failed to increment views', {
-                    websiteId: website._id,
-                    error: err.message
-                });
-            });
+            // Перегляд (асинхронно, без очікування)
+            this.trackView(website, visitData);
 
             // Якщо catalog - завантажити products
             if (website.type === WEBSITE_TYPE.CATALOG) {
@@ -277,14 +283,8 @@ class WebsiteService {
                 throw new NotFoundError('Бізнес не знайдено');
             }
 
-            // 2. Перевірка MVP ліміту (1 website на business)
-            const existingWebsites = await Website.countByBusinessId(businessId);
-
-            if (existingWebsites >= MVP_LIMITS.MAX_WEBSITES_PER_BUSINESS) {
-                throw new ConflictError(
-                    `Досягнуто ліміт кількості сайтів для MVP (${MVP_LIMITS.MAX_WEBSITES_PER_BUSINESS})`
-                );
-            }
+            // 2. Перевірка ліміту тарифного плану (сайтів на business)
+            await this.subscriptionService.assertCanCreate(userId, PLAN_LIMIT_KEYS.WEBSITES_PER_BUSINESS, { businessId });
 
             // 3. Генерація slug
             const slug = await this.generateWebsiteSlug(businessId);
@@ -417,16 +417,21 @@ class WebsiteService {
                 const products = await Product.find({ websiteId: website._id });
 
                 for (const product of products) {
-                    if (product.image) {
-                        await this.s3Service.deleteFile(product.image);
-                        logInfo('Product image deleted from S3', {
+                    // Всі WebP варіанти галереї + обкладинка
+                    const imageUrls = Product.getImageUrls(product);
+
+                    if (imageUrls.length > 0) {
+                        await this.s3Service.deleteMultiple(imageUrls);
+                        logInfo('Product images deleted from S3', {
                             productId: product._id,
-                            url: product.image
+                            count: imageUrls.length
                         });
                     }
                     await product.deleteOne();
                 }
 
+                await ProductCategory.deleteMany({ websiteId: website._id });
+
                 logInfo('All products deleted', {
                     websiteId,
                     count: products.length
@@ -576,6 +581,400 @@ class WebsiteService {
             throw error;
         }
     }
+
+    // ============================================
+    // PUBLIC API (SSR)
+    // ============================================
+
+    /**
+     * Повний payload публічного сайту (PUBLIC метод)
+     * Website + business контакти + перша сторінка каталогу одним запитом
+     *
+     * Відповідь кешується (CDN / браузер / 304), тому перегляди тут не рахуються -
+     * їх надсилає браузер відвідувача через recordPublicView (view beacon)
+     *
+     * @param {String} slug - Slug сайту
+     * @param {Object} options - { category, tag, page, limit } для каталогу
+     * @returns {Promise<Object>} - { website, business, catalog }
+     */
+    async getPublicWebsite(slug, options = {}) {
+        try {
+            logInfo('Getting public website', { slug });
+
+            const website = await this.findPublicWebsite(slug);
+
+            const catalog = website.type === WEBSITE_TYPE.CATALOG
+                ? await this.getPublicCatalog(website._id, options)
+                : null;
+
+            logSuccess('Public website retrieved', {
+                slug,
+                type: website.type,
+                productsCount: catalog ? catalog.pagination.total : 0
+            });
+
+            return {
+                website: this.formatPublicWebsite(website),
+                business: this.formatPublicBusiness(website.businessId),
+                catalog
+            };
+
+        } catch (error) {
+            logError('Failed to get public website', {
+                slug,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Товари публічного каталогу (PUBLIC метод)
+     *
+     * @param {String} slug - Slug сайту
+     * @param {Object} options - { category, tag, page, limit }
+     * @returns {Promise<Object>} - { groups, categories, tags, pagination }
+     */
+    async getPublicWebsiteProducts(slug, options = {}) {
+        try {
+            logInfo('Getting public website products', { slug, options });
+
+            const website = await this.findPublicWebsite(slug);
+
+            if (website.type !== WEBSITE_TYPE.CATALOG) {
+                throw new NotFoundError('Сайт не є каталогом');
+            }
+
+            const catalog = await this.getPublicCatalog(website._id, options);
+
+            logSuccess('Public website products retrieved', {
+                slug,
+                page: catalog.pagination.page,
+                total: catalog.pagination.total
+            });
+
+            return catalog;
+
+        } catch (error) {
+            logError('Failed to get public website products', {
+                slug,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Зарахувати перегляд публічного сайту (view beacon, PUBLIC метод)
+     * Запис у фоні: beacon відповідає одразу, помилка трекінгу лише логується
+     *
+     * @param {String} slug - Slug сайту
+     * @param {Object} visitData - Дані відвідувача (extractBeaconVisitData)
+     * @throws {NotFoundError} - Сайт не знайдено або неактивний
+     */
+    async recordPublicView(slug, visitData) {
+        try {
+            const website = await this.findPublicWebsite(slug);
+
+            this.trackView(website, visitData);
+
+        } catch (error) {
+            logError('Failed to record public website view', {
+                slug,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Дані відвідувача з request (IP, User-Agent, Referer, ?qrh=)
+     *
+     * @param {Object} req - Express request
+     * @returns {Object} - visitData для getWebsiteBySlug
+     */
+    extractVisitDataFromRequest(req) {
+        return this.websiteViewService.extractVisitDataFromRequest(req);
+    }
+
+    /**
+     * Дані відвідувача з view beacon (IP та User-Agent браузера, document.referrer, qrh)
+     *
+     * @param {Object} req - Express request
+     * @returns {Object} - visitData для recordPublicView
+     */
+    extractBeaconVisitData(req) {
+        return this.websiteViewService.extractBeaconVisitData(req);
+    }
+
+    // ============================================
+    // HELPER METHODS (PRIVATE)
+    // ============================================
+
+    /**
+     * Зарахувати перегляд у фоні - помилка трекінгу не ламає відповідь сайту
+     */
+    trackView(website, visitData) {
+        this.websiteViewService.recordView(website, visitData).catch(err => {
+            logError('Failed to track website view', {
+                websiteId: website._id,
+                error: err.message
+            });
+        });
+    }
+
+    /**
+     * Знайти активний сайт активного бізнесу по slug
+     */
+    async findPublicWebsite(slug) {
+        const website = await Website.findOne({
+            slug: slug.toLowerCase(),
+            isActive: true,
+            status: WEBSITE_STATUS.ACTIVE
+        }).populate('businessId', 'name slug logo description phone email address socialMedia isActive');
+
+        if (!website || !website.businessId || !website.businessId.isActive) {
+            throw new NotFoundError('Сайт не знайдено або неактивний');
+        }
+
+        return website;
+    }
+
+    /**
+     * Сторінка доступних товарів каталогу, згрупована по категоріях
+     * Порядок: категорії за order, товари без категорії - в кінці; всередині категорії - order товару.
+     * Пагінація по товарах - категорія може продовжуватись на наступній сторінці
+     *
+     * @param {ObjectId} websiteId - ID сайту
+     * @param {Object} options - { category (slug), tag, page, limit }
+     * @returns {Promise<Object>} - { groups, categories, tags, category, tag, pagination }
+     */
+    async getPublicCatalog(websiteId, options = {}) {
+        const {
+            category,
+            tag,
+            page = 1,
+            limit = PUBLIC_CACHE.PRODUCTS_DEFAULT_LIMIT
+        } = options;
+
+        const available = { websiteId, isAvailable: true };
+
+        const [categories, counts, tags] = await Promise.all([
+            ProductCategory.findByWebsiteId(websiteId).lean(),
+            Product.aggregate([
+                { $match: available },
+                { $group: { _id: '$categoryId', count: { $sum: 1 } } }
+            ]),
+            Product.distinct('tags', available)
+        ]);
+
+        const countById = new Map(counts.map(item => [String(item._id), item.count]));
+        const categoryIds = categories.map(item => item._id);
+
+        const query = { ...available };
+
+        if (category) {
+            const selected = categories.find(item => item.slug === category);
+            // Невідома категорія (застаріле посилання) - порожня сторінка, а не 404 всього сайту
+            query.categoryId = { $in: selected ? [selected._id] : [] };
+        }
+
+        if (tag) {
+            query.tags = tag;
+        }
+
+        const skip = (page - 1) * limit;
+
+        const [products, total] = await Promise.all([
+            Product.aggregate([
+                { $match: query },
+                { $addFields: { categoryRank: { $indexOfArray: [categoryIds, '$categoryId'] } } },
+                // Без категорії (-1) - після всіх категорій
+                {
+                    $addFields: {
+                        categoryRank: {
+                            $cond: [{ $lt: ['$categoryRank', 0] }, categoryIds.length, '$categoryRank']
+                        }
+                    }
+                },
+                { $sort: { categoryRank: 1, order: 1, _id: 1 } },
+                { $skip: skip },
+                { $limit: limit }
+            ]),
+            Product.countDocuments(query)
+        ]);
+
+        return {
+            groups: this.groupPublicProducts(products, categories),
+            // Тільки категорії з доступними товарами
+            categories: categories
+                .filter(item => countById.has(item._id.toString()))
+                .map(item => ({
+                    ...this.formatPublicCategory(item),
+                    productsCount: countById.get(item._id.toString())
+                })),
+            tags: tags.sort((a, b) => a.localeCompare(b)),
+            category: category || null,
+            tag: tag || null,
+            pagination: {
+                total,
+                page: Number(page),
+                limit: Number(limit),
+                pages: Math.ceil(total / limit)
+            }
+        };
+    }
+
+    /**
+     * Згрупувати відсортовані товари сторінки по категоріях
+     *
+     * @param {Array} products - Товари в порядку каталогу
+     * @param {Array} categories - Категорії сайту
+     * @returns {Array} - [{ category (null - без категорії), items }]
+     */
+    groupPublicProducts(products, categories) {
+        const categoryById = new Map(categories.map(item => [item._id.toString(), item]));
+        const groups = [];
+
+        for (const product of products) {
+            const category = product.categoryId
+                ? categoryById.get(product.categoryId.toString()) || null
+                : null;
+            const last = groups[groups.length - 1];
+
+            if (last && last.categoryId === (category ? category._id.toString() : null)) {
+                last.items.push(this.formatPublicProduct(product));
+                continue;
+            }
+
+            groups.push({
+                categoryId: category ? category._id.toString() : null,
+                category: category ? this.formatPublicCategory(category) : null,
+                items: [this.formatPublicProduct(product)]
+            });
+        }
+
+        return groups.map(({ category, items }) => ({ category, items }));
+    }
+
+    /**
+     * Публічні поля сайту (SEO, cover, контакти)
+     * Контакти сайту мають пріоритет над контактами бізнесу
+     */
+    formatPublicWebsite(website) {
+        const business = website.businessId;
+
+        return {
+            id: website._id,
+            type: website.type,
+            slug: website.slug,
+            url: website.publicUrl,
+            slogan: website.slogan,
+            description: website.description,
+            coverImage: website.coverImage,
+            externalUrl: website.externalUrl,
+            seo: {
+                title: website.metaTitle,
+                description: website.metaDescription || website.description.slice(0, 160),
+                image: website.coverImage || business.logo || null,
+                canonicalUrl: website.publicUrl
+            },
+            contacts: {
+                phone: website.phone || business.phone || null,
+                email: website.email || business.email || null
+            },
+            socialMedia: this.mergeSocialMedia(business.socialMedia, website.socialMedia),
+            updatedAt: website.updatedAt
+        };
+    }
+
+    /**
+     * Публічні поля бізнесу (без статистики та платіжних даних)
+     */
+    formatPublicBusiness(business) {
+        return {
+            id: business._id,
+            name: business.name,
+            slug: business.slug,
+            logo: business.logo,
+            description: business.description,
+            contacts: {
+                phone: business.phone || null,
+                email: business.email || null,
+                address: business.address
+            },
+            socialMedia: this.mergeSocialMedia(business.socialMedia)
+        };
+    }
+
+    /**
+     * Публічні поля категорії
+     */
+    formatPublicCategory(category) {
+        return {
+            id: category._id,
+            name: category.name,
+            slug: category.slug,
+            description: category.description
+        };
+    }
+
+    /**
+     * Публічні поля товару (тільки доступні варіанти та опції)
+     */
+    formatPublicProduct(product) {
+        const formatChoice = (choice) => ({
+            id: choice._id,
+            name: choice.name,
+            price: choice.price,
+            formattedPrice: Product.formatPrice(choice.price, product.currency)
+        });
+
+        return {
+            id: product._id,
+            name: product.name,
+            description: product.description,
+            price: product.price,
+            currency: product.currency,
+            formattedPrice: Product.formatPrice(product.price, product.currency),
+            // З варіантами price - мінімальна ціна ("від ...")
+            variants: (product.variants || []).filter(variant => variant.isAvailable).map(formatChoice),
+            options: (product.options || []).filter(option => option.isAvailable).map(formatChoice),
+            tags: product.tags || [],
+            // Обкладинка + галерея (WebP варіанти з розмірами для srcset)
+            image: product.image,
+            images: (product.images || []).map(image => ({
+                id: image._id,
+                width: image.width,
+                height: image.height,
+                ...Object.fromEntries(
+                    Object.keys(PRODUCT_IMAGE.VARIANTS).map(name => [name, image[name]])
+                )
+            })),
+            order: product.order
+        };
+    }
+
+    /**
+     * Об'єднати соцмережі (непорожні значення, пізніші джерела мають пріоритет)
+     */
+    mergeSocialMedia(...sources) {
+        const merged = {};
+
+        for (const source of sources) {
+            if (!source) continue;
+
+            const values = source.toObject ? source.toObject() : source;
+
+            for (const [network, url] of Object.entries(values)) {
+                if (url) {
+                    merged[network] = url;
+                }
+            }
+        }
+
+        return merged;
+    }
 }
 
 // ============================================
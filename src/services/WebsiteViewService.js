@@ -0,0 +1,202 @@
+/**
+ * WebsiteViewService
+ * Бізнес-логіка для відстеження переглядів публічних сайтів
+ *
+ * Відповідальність:
+ * - Створення WebsiteView (device, geo, fingerprint як у QRScan)
+ * - Геолокація з кешу, інакше - асинхронно після створення запису
+ * - Attribution: токен скану (?qrh=) → qrCodeId + scanId перегляду
+ * - Дедуплікація оновлень сторінки (WEBSITE_VIEW.DEDUP_WINDOW_MINUTES)
+ * - Інкремент Website.viewsCount тільки для зарахованих переглядів
+ */
+
+import WebsiteView from '../models/WebsiteView.js';
+import Website from '../models/Website.js';
+import { parseUserAgent } from '../utils/deviceDetector.js';
+import { getLocationFromIP, peekLocation, getClientIP } from '../utils/geolocation.js';
+import { generateFingerprint } from '../utils/fingerprint.js';
+import { verifyAttributionToken, isExternalReferrer } from '../utils/attributionToken.js';
+import { logInfo, logSuccess, logError } from '../utils/logger.js';
+import { REQUEST_SOURCE, WEBSITE_VIEW, ATTRIBUTION } from '../config/constants.js';
+
+class WebsiteViewService {
+    // ============================================
+    // RECORD VIEW
+    // ============================================
+
+    /**
+     * Зарахувати перегляд сайту
+     *
+     * @param {Object} website - Website document (businessId може бути populated)
+     * @param {Object} visitData - { ip, userAgent, referrer, attributionToken }
+     * @returns {Promise<Object|null>} - WebsiteView або null (дублікат)
+     */
+    async recordView(website, visitData = {}) {
+        try {
+            const businessId = website.businessId._id || website.businessId;
+            const attribution = this.resolveAttribution(website._id, visitData.attributionToken);
+
+            // 1. Fingerprint відвідувача (той самий алгоритм що й для сканів)
+            const fingerprint = generateFingerprint(visitData.ip, visitData.userAgent, new Date());
+
+            // 2. Дедуплікація: оновлення сторінки не рахуються
+            const since = new Date(Date.now() - WEBSITE_VIEW.DEDUP_WINDOW_MINUTES * 60 * 1000);
+            const isDuplicate = await WebsiteView.hasRecentView(website._id, fingerprint, since);
+
+            if (isDuplicate) {
+                logInfo('Duplicate website view skipped', { websiteId: website._id });
+                return null;
+            }
+
+            // 3. Device, geo, унікальність за день
+            const deviceInfo = parseUserAgent(visitData.userAgent);
+            const location = peekLocation(visitData.ip);
+            const isUnique = await WebsiteView.isUniqueViewToday(website._id, fingerprint);
+
+            // 4. Створення запису
+            const view = await WebsiteView.create({
+                websiteId: website._id,
+                businessId,
+                qrCodeId: attribution ? attribution.qrCodeId : null,
+                scanId: attribution ? attribution.scanId : null,
+                variantId: attribution ? attribution.variantId : null,
+                campaignId: attribution ? attribution.campaignId : null,
+                source: this.resolveSource(attribution, visitData.referrer),
+                viewedAt: new Date(),
+                country: location?.country || 'Unknown',
+                city: location?.city || 'Unknown',
+                ipAddress: visitData.ip || null,
+                device: deviceInfo.device,
+                browser: deviceInfo.browser,
+                os: deviceInfo.os,
+                userAgent: deviceInfo.userAgent,
+                fingerprint,
+                isUnique,
+                referrer: visitData.referrer || null
+            });
+
+            // 5. Лічильник без зміни updatedAt (не інвалідує ETag публічного API)
+            await Website.updateOne(
+                { _id: website._id },
+                { $inc: { viewsCount: 1 } },
+                { timestamps: false }
+            );
+
+            if (!location) {
+                this.enrichViewLocation(view._id, visitData.ip);
+            }
+
+            logSuccess('Website view recorded', {
+                websiteId: website._id,
+                source: view.source,
+                qrCodeId: view.qrCodeId,
+                isUnique
+            });
+
+            return view;
+
+        } catch (error) {
+            logError('Failed to record website view', {
+                websiteId: website._id,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Дозаповнює геолокацію перегляду (помилки тільки логуються)
+     *
+     * @param {String} viewId - ID WebsiteView
+     * @param {String} ip - IP адреса
+     * @returns {Promise<void>}
+     */
+    async enrichViewLocation(viewId, ip) {
+        try {
+            const location = await getLocationFromIP(ip);
+
+            if (location.country === 'Unknown' && location.city === 'Unknown') {
+                return;
+            }
+
+            await WebsiteView.updateOne(
+                { _id: viewId },
+                { $set: { country: location.country, city: location.city } }
+            );
+
+        } catch (error) {
+            logError('Failed to enrich website view location', {
+                viewId,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Витягує дані відвідувача з request (GET /api/websites/slug/:slug)
+     *
+     * @param {Object} req - Express request
+     * @returns {Object} - { ip, userAgent, referrer, attributionToken }
+     */
+    extractVisitDataFromRequest(req) {
+        const attributionToken = req.query[ATTRIBUTION.QUERY_PARAM];
+
+        return {
+            ip: getClientIP(req),
+            userAgent: req.headers['user-agent'] || 'Unknown',
+            referrer: req.headers['referer'] || req.headers['referrer'] || null,
+            attributionToken: typeof attributionToken === 'string' ? attributionToken : null
+        };
+    }
+
+    /**
+     * Дані відвідувача з view beacon (POST /api/public/websites/:slug/views)
+     * Запит надсилає браузер відвідувача, тому IP та User-Agent - його власні;
+     * referrer - document.referrer сторінки (заголовок Referer тут - сам сайт)
+     *
+     * @param {Object} req - Express request (body після validateBody)
+     * @returns {Object} - { ip, userAgent, referrer, attributionToken }
+     */
+    extractBeaconVisitData(req) {
+        return {
+            ip: getClientIP(req),
+            userAgent: req.headers['user-agent'] || 'Unknown',
+            referrer: req.body.referrer || null,
+            attributionToken: req.body[ATTRIBUTION.QUERY_PARAM] || null
+        };
+    }
+
+    // ============================================
+    // HELPER METHODS (PRIVATE)
+    // ============================================
+
+    /**
+     * Токен скану валідний і виданий саме для цього сайту
+     */
+    resolveAttribution(websiteId, token) {
+        const attribution = verifyAttributionToken(token);
+
+        if (!attribution || attribution.websiteId !== websiteId.toString()) {
+            return null;
+        }
+
+        return attribution;
+    }
+
+    /**
+     * Джерело перегляду: qr_code (токен скану) → referral (інший домен) → direct
+     */
+    resolveSource(attribution, referrer) {
+        if (attribution) {
+            return REQUEST_SOURCE.QR_CODE;
+        }
+
+        return isExternalReferrer(referrer) ? REQUEST_SOURCE.REFERRAL : REQUEST_SOURCE.DIRECT;
+    }
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+export default WebsiteViewService;
@@ -0,0 +1,181 @@
+/**
+ * FakePaymentProvider
+ * Локальний платіжний провайдер для розробки та тестів
+ *
+ * - createPayment() не ходить у мережу, генерує fake_* ID транзакції
+ * - Webhook підписується HMAC-SHA256 так само, як очікує verifyWebhook(),
+ *   тому симуляція проходить повний шлях перевірки підпису
+ *
+ * Формат підпису (заголовок x-qrhub-signature):
+ *   t=<unix timestamp>,v1=<hex HMAC-SHA256(secret, `${t}.${rawBody}`)>
+ *
+ * Секрет: PAYMENT_WEBHOOK_SECRET (поза production є dev значення за замовчуванням)
+ */
+
+import crypto from 'crypto';
+import { nanoid } from 'nanoid';
+import PaymentProvider from './PaymentProvider.js';
+import { BadRequestError, InternalServerError } from '../../utils/errorHandler.js';
+import { PAYMENT_PROVIDER, PAYMENT_EVENT, PAYMENT_SETTINGS } from '../../config/constants.js';
+
+const DEV_WEBHOOK_SECRET = 'fake-webhook-secret';
+
+class FakePaymentProvider extends PaymentProvider {
+    constructor() {
+        super(PAYMENT_PROVIDER.FAKE);
+    }
+
+    // ============================================
+    // PAYMENTS
+    // ============================================
+
+    /**
+     * Створити fake транзакцію
+     * checkoutUrl = null: оплата завершується через simulate endpoint
+     */
+    async createPayment(payment) {
+        return {
+            providerPaymentId: `fake_pay_${nanoid(16)}`,
+            checkoutUrl: null
+        };
+    }
+
+    // ============================================
+    // WEBHOOKS
+    // ============================================
+
+    /**
+     * Перевірити підпис та нормалізувати подію
+     */
+    verifyWebhook(rawBody, headers = {}) {
+        if (!rawBody) {
+            throw new BadRequestError('Порожній body webhook');
+        }
+
+        const payload = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+        const signatureHeader = headers[PAYMENT_SETTINGS.SIGNATURE_HEADER];
+
+        if (!signatureHeader) {
+            throw new BadRequestError('Відсутній підпис webhook');
+        }
+
+        const { timestamp, signature } = this.parseSignatureHeader(signatureHeader);
+
+        const age = Math.abs(Math.floor(Date.now() / 1000) - timestamp);
+        if (age > PAYMENT_SETTINGS.SIGNATURE_TOLERANCE_SECONDS) {
+            throw new BadRequestError('Webhook застарів');
+        }
+
+        const expected = Buffer.from(this.sign(timestamp, payload), 'hex');
+        const received = Buffer.from(signature, 'hex');
+
+        if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+            throw new BadRequestError('Невалідний підпис webhook');
+        }
+
+        let event;
+        try {
+            event = JSON.parse(payload);
+        } catch {
+            throw new BadRequestError('Невалідний JSON webhook');
+        }
+
+        if (!event.id || !Object.values(PAYMENT_EVENT).includes(event.type) || !event.data?.providerPaymentId) {
+            throw new BadRequestError('Невалідна подія webhook');
+        }
+
+        return {
+            id: event.id,
+            type: event.type,
+            providerPaymentId: event.data.providerPaymentId,
+            amount: event.data.amount ?? null,
+            currency: event.data.currency ?? null,
+            occurredAt: event.createdAt ? new Date(event.createdAt * 1000) : new Date(),
+            receiptUrl: event.data.receiptUrl ?? null,
+            failureReason: event.data.failureReason ?? null
+        };
+    }
+
+    /**
+     * Побудувати підписаний webhook (як його надіслав би провайдер)
+     *
+     * @param {String} type - PAYMENT_EVENT.*
+     * @param {Object} data - { providerPaymentId, amount, currency, failureReason }
+     * @returns {Object} - { rawBody, headers }
+     */
+    buildWebhook(type, data) {
+        const timestamp = Math.floor(Date.now() / 1000);
+
+        const rawBody = JSON.stringify({
+            id: `fake_evt_${nanoid(16)}`,
+            type,
+            createdAt: timestamp,
+            data: {
+                providerPaymentId: data.providerPaymentId,
+                amount: data.amount,
+                currency: data.currency,
+                receiptUrl: type === PAYMENT_EVENT.SUCCEEDED
+                    ? `https://fake-payments.local/receipts/${data.providerPaymentId}`
+                    : null,
+                failureReason: data.failureReason || null
+            }
+        });
+
+        return {
+            rawBody,
+            headers: {
+                [PAYMENT_SETTINGS.SIGNATURE_HEADER]: `t=${timestamp},v1=${this.sign(timestamp, rawBody)}`
+            }
+        };
+    }
+
+    supportsSimulation() {
+        return true;
+    }
+
+    // ============================================
+    // HELPER METHODS (PRIVATE)
+    // ============================================
+
+    getSecret() {
+        const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+
+        if (secret) {
+            return secret;
+        }
+        if (process.env.NODE_ENV === 'production') {
+            throw new InternalServerError('PAYMENT_WEBHOOK_SECRET не налаштовано');
+        }
+        return DEV_WEBHOOK_SECRET;
+    }
+
+    sign(timestamp, payload) {
+        return crypto
+            .createHmac('sha256', this.getSecret())
+            .update(`${timestamp}.${payload}`)
+            .digest('hex');
+    }
+
+    /**
+     * 't=1700000000,v1=abc...' → { timestamp, signature }
+     */
+    parseSignatureHeader(header) {
+        const parts = Object.fromEntries(
+            String(header).split(',').map(part => part.trim().split('='))
+        );
+
+        const timestamp = Number(parts.t);
+
+        if (!Number.isInteger(timestamp) || !/^[0-9a-f]+$/i.test(parts.v1 || '')) {
+            throw new BadRequestError('Невалідний формат підпису webhook');
+        }
+
+        return { timestamp, signature: parts.v1 };
+    }
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+export default FakePaymentProvider;
@@ -0,0 +1,66 @@
+/**
+ * PaymentProvider
+ * Базовий клас (інтерфейс) адаптера платіжного провайдера
+ *
+ * Кожен провайдер (fake, stripe, paypal) реалізує:
+ * - createPayment(): створити транзакцію/checkout у провайдера
+ * - verifyWebhook(): перевірити підпис webhook та повернути нормалізовану подію
+ *
+ * Нормалізована подія:
+ * {
+ *   id: String,                  // ID події (для аудиту)
+ *   type: PAYMENT_EVENT.*,       // payment.succeeded | payment.failed | payment.refunded
+ *   providerPaymentId: String,   // ID транзакції у провайдера
+ *   amount: Number|null,         // Сума у major units (EUR, не центи)
+ *   currency: String|null,
+ *   occurredAt: Date,
+ *   receiptUrl: String|null,
+ *   failureReason: String|null
+ * }
+ */
+
+import { InternalServerError } from '../../utils/errorHandler.js';
+
+class PaymentProvider {
+    /**
+     * @param {String} name - Назва провайдера (PAYMENT_PROVIDER.*)
+     */
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Створити транзакцію у провайдера
+     *
+     * @param {Object} payment - { paymentId, amount, currency, description, metadata }
+     * @returns {Promise<Object>} - { providerPaymentId, checkoutUrl }
+     */
+    async createPayment(payment) {
+        throw new InternalServerError(`${this.name}: createPayment не реалізовано`);
+    }
+
+    /**
+     * Перевірити підпис webhook та нормалізувати подію
+     *
+     * @param {Buffer|String} rawBody - Сирий body запиту (до JSON parse)
+     * @param {Object} headers - HTTP заголовки
+     * @returns {Object} - Нормалізована подія
+     * @throws {BadRequestError} - Невалідний підпис або payload
+     */
+    verifyWebhook(rawBody, headers) {
+        throw new InternalServerError(`${this.name}: verifyWebhook не реалізовано`);
+    }
+
+    /**
+     * Чи провайдер підтримує локальну симуляцію webhook (тільки fake)
+     */
+    supportsSimulation() {
+        return false;
+    }
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+export default PaymentProvider;
@@ -0,0 +1,48 @@
+/**
+ * Payment Providers Registry
+ * Реєстр адаптерів платіжних провайдерів
+ *
+ * Активний провайдер для нових платежів: PAYMENT_PROVIDER env (default: fake).
+ * Webhook обробляється провайдером, вказаним у шляху (/api/payments/webhook/:provider).
+ *
+ * Fake провайдер (і симуляція оплати) підключається тільки з PAYMENT_SIMULATION_ENABLED=true:
+ * інакше будь-хто міг би позначити власний платіж оплаченим.
+ */
+
+import FakePaymentProvider from './FakePaymentProvider.js';
+import { NotFoundError } from '../../utils/errorHandler.js';
+import { PAYMENT_PROVIDER, PAYMENT_SETTINGS } from '../../config/constants.js';
+
+/**
+ * Чи дозволено fake провайдер та симуляцію webhook (явне ввімкнення, тільки для розробки / тестів)
+ */
+export const isPaymentSimulationEnabled = () => process.env.PAYMENT_SIMULATION_ENABLED === 'true';
+
+// Провайдери створюються один раз (stateless адаптери)
+const providers = {};
+
+if (isPaymentSimulationEnabled()) {
+    providers[PAYMENT_PROVIDER.FAKE] = new FakePaymentProvider();
+}
+
+/**
+ * Отримати адаптер провайдера
+ *
+ * @param {String} name - Назва провайдера (default: PAYMENT_PROVIDER env)
+ * @returns {PaymentProvider}
+ * @throws {NotFoundError} - Провайдер не підключено
+ */
+export const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || PAYMENT_SETTINGS.DEFAULT_PROVIDER) => {
+    const provider = providers[name];
+
+    if (!provider) {
+        throw new NotFoundError(`Платіжний провайдер "${name}" не підключено`);
+    }
+
+    return provider;
+};
+
+export default {
+    getPaymentProvider,
+    isPaymentSimulationEnabled
+};
@@ -0,0 +1,204 @@
+/**
+ * Attribution Token Utility
+ * Підписаний токен, що зв'язує QR скан з переглядом сайту та заявкою
+ *
+ * Flow:
+ * 1. /s/:shortCode → redirect на сайт з ?qrh=TOKEN
+ * 2. SSR передає qrh у GET /api/public/websites/:slug → WebsiteView з qrCodeId
+ * 3. Форма сайту передає attributionToken у POST /api/public/requests → Request з qrCodeId
+ *
+ * Формат: base64url(JSON { q, s, w, v, c, iat }).base64url(HMAC-SHA256)
+ * v - варіант A/B split (null, якщо split не застосовувався)
+ * c - кампанія QR коду (null, якщо QR не в кампанії)
+ * Невалідний або прострочений токен ігнорується (перегляд рахується як direct).
+ *
+ * Також: визначення джерела трафіку (qr_code / referral / direct) для переглядів і заявок.
+ */
+
+import crypto from 'crypto';
+import { logWarn } from './logger.js';
+import { ATTRIBUTION } from '../config/constants.js';
+
+// ============================================
+// CREATE TOKEN
+// ============================================
+
+/**
+ * Створює підписаний attribution токен
+ *
+ * @param {Object} data - { qrCodeId, scanId, websiteId, variantId, campaignId }
+ * @returns {String} - Token
+ */
+export function createAttributionToken({ qrCodeId, scanId, websiteId, variantId, campaignId }) {
+    const payload = Buffer.from(JSON.stringify({
+        q: String(qrCodeId),
+        s: scanId ? String(scanId) : null,
+        w: String(websiteId),
+        v: variantId ? String(variantId) : null,
+        c: campaignId ? String(campaignId) : null,
+        iat: Math.floor(Date.now() / 1000)
+    })).toString('base64url');
+
+    return `${payload}.${sign(payload)}`;
+}
+
+// ============================================
+// VERIFY TOKEN
+// ============================================
+
+/**
+ * Перевіряє підпис та термін дії токена
+ *
+ * @param {String} token - Token з ?qrh= або body
+ * @returns {Object|null} - { qrCodeId, scanId, websiteId, variantId, campaignId, issuedAt } або null
+ */
+export function verifyAttributionToken(token) {
+    if (!token || typeof token !== 'string' || token.length > ATTRIBUTION.MAX_TOKEN_LENGTH) {
+        return null;
+    }
+
+    const [payload, signature] = token.split('.');
+
+    if (!payload || !signature) {
+        return null;
+    }
+
+    const expected = Buffer.from(sign(payload));
+    const received = Buffer.from(signature);
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        logWarn('Invalid attribution token signature');
+        return null;
+    }
+
+    try {
+        const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+
+        if (Math.floor(Date.now() / 1000) - data.iat > ATTRIBUTION.TTL_SECONDS) {
+            return null;
+        }
+
+        return {
+            qrCodeId: data.q,
+            scanId: data.s,
+            websiteId: data.w,
+            // Токени до A/B split не містять v
+            variantId: data.v || null,
+            // Токени до кампаній не містять c
+            campaignId: data.c || null,
+            issuedAt: new Date(data.iat * 1000)
+        };
+
+    } catch {
+        return null;
+    }
+}
+
+// ============================================
+// REDIRECT URL
+// ============================================
+
+/**
+ * Додає токен до URL (зберігає існуючі query параметри та hash)
+ *
+ * @param {String} url - targetUrl QR коду
+ * @param {String} token - Attribution token
+ * @returns {String} - URL з ?qrh=TOKEN (або оригінальний URL, якщо він невалідний)
+ */
+export function appendAttributionToken(url, token) {
+    try {
+        const target = new URL(url);
+        target.searchParams.set(ATTRIBUTION.QUERY_PARAM, token);
+        return target.toString();
+    } catch {
+        return url;
+    }
+}
+
+// ============================================
+// REFERRER
+// ============================================
+
+/**
+ * Чи Referer з іншого домену (не з наших публічних сайтів)
+ *
+ * @param {String} referrer - HTTP Referer
+ * @returns {Boolean}
+ */
+export function isExternalReferrer(referrer) {
+    if (!referrer) {
+        return false;
+    }
+
+    try {
+        const referrerHost = new URL(referrer).host;
+        return Boolean(referrerHost) && !isSiteHost(referrerHost);
+    } catch {
+        // Невалідний Referer - вважаємо direct
+        return false;
+    }
+}
+
+/**
+ * Чи URL веде на публічні сайти QRHub (тільки туди додається токен)
+ *
+ * @param {String} url - targetUrl QR коду
+ * @returns {Boolean}
+ */
+export function isPublicSiteUrl(url) {
+    try {
+        return isSiteHost(new URL(url).host);
+    } catch {
+        return false;
+    }
+}
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Host належить QRHub (PUBLIC_SITE_URL / SITE_URL / FRONTEND_URL або їх піддомен)
+ */
+function isSiteHost(host) {
+    const siteUrls = [
+        process.env.PUBLIC_SITE_URL,
+        process.env.SITE_URL,
+        process.env.FRONTEND_URL
+    ].filter(Boolean);
+
+    if (siteUrls.length === 0) {
+        siteUrls.push('http://localhost:3000');
+    }
+
+    return siteUrls.some(siteUrl => {
+        try {
+            const siteHost = new URL(siteUrl).host;
+            return host === siteHost || host.endsWith(`.${siteHost}`);
+        } catch {
+            return false;
+        }
+    });
+}
+
+/**
+ * HMAC підпис (ATTRIBUTION_SECRET або JWT_SECRET)
+ */
+function sign(payload) {
+    return crypto
+        .createHmac('sha256', process.env.ATTRIBUTION_SECRET || process.env.JWT_SECRET)
+        .update(payload)
+        .digest('base64url');
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+export default {
+    createAttributionToken,
+    verifyAttributionToken,
+    appendAttributionToken,
+    isExternalReferrer,
+    isPublicSiteUrl
+};
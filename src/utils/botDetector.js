@@ -0,0 +1,157 @@
+/**
+ * Bot Detector Utility
+ * Визначення ботів та prefetch запитів на /s/:shortCode
+ *
+ * Боти все одно отримують redirect (інакше ламаються link preview),
+ * але скан позначається isBot і не рахується в totalScans/uniqueScans.
+ *
+ * Перевірки (перша спрацьована - причина):
+ * 1. HEAD запит
+ * 2. Prefetch/preview заголовки (Purpose, Sec-Purpose, X-Purpose, X-Moz)
+ * 3. Відсутній User-Agent
+ * 4. User-Agent: crawler, fetcher, CLI, бібліотека (ua-parser-js) + security scanners
+ * 5. IP з відомих діапазонів crawler (локальний список CIDR)
+ */
+
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+import { UAParser } from 'ua-parser-js';
+import { Bots } from 'ua-parser-js/extensions';
+import { isBot as isKnownBotUserAgent } from 'ua-parser-js/bot-detection';
+import { logInfo, logWarn } from './logger.js';
+import { BOT_REASON, BOT_DETECTION } from '../config/constants.js';
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+// Діапазони завантажуються при першій перевірці IP
+let ipRanges = null;
+
+// ============================================
+// DETECT BOT
+// ============================================
+
+/**
+ * Визначає чи запит зроблено ботом
+ *
+ * @param {Object} requestData - { userAgent, ip, method, purpose }
+ * @returns {Object} - { isBot, reason, name }
+ */
+export function detectBot({ userAgent, ip, method, purpose } = {}) {
+    if (method === 'HEAD') {
+        return botResult(BOT_REASON.HEAD_REQUEST);
+    }
+
+    if (purpose && BOT_DETECTION.PREFETCH_PURPOSES.some(value => purpose.toLowerCase().includes(value))) {
+        return botResult(BOT_REASON.PREFETCH);
+    }
+
+    // extractScanDataFromRequest підставляє 'Unknown' замість відсутнього заголовка
+    if (!userAgent || userAgent === 'Unknown') {
+        return botResult(BOT_REASON.MISSING_USER_AGENT);
+    }
+
+    if (isKnownBotUserAgent(userAgent) || BOT_DETECTION.EXTRA_USER_AGENT_PATTERNS.some(pattern => pattern.test(userAgent))) {
+        return botResult(BOT_REASON.USER_AGENT, getBotName(userAgent));
+    }
+
+    const rangeName = findIpRange(ip);
+    if (rangeName) {
+        return botResult(BOT_REASON.IP_RANGE, rangeName);
+    }
+
+    return { isBot: false, reason: null, name: null };
+}
+
+/**
+ * Назва бота з User-Agent (WhatsApp, Googlebot, curl...)
+ *
+ * @param {String} userAgent - User-Agent
+ * @returns {String|null}
+ */
+export function getBotName(userAgent) {
+    const { name } = new UAParser(userAgent, Bots).getBrowser();
+
+    return name || null;
+}
+
+// ============================================
+// IP RANGES
+// ============================================
+
+/**
+ * Назва crawler, якому належить IP, або null
+ *
+ * @param {String} ip - IP адреса
+ * @returns {String|null}
+ */
+export function findIpRange(ip) {
+    const version = net.isIP(ip);
+
+    if (!version) {
+        return null;
+    }
+
+    const family = version === 4 ? 'ipv4' : 'ipv6';
+    const range = getIpRanges().find(item => item.blockList.check(ip, family));
+
+    return range ? range.name : null;
+}
+
+/**
+ * Завантажує список діапазонів ([{ name, cidrs }]) у BlockList
+ */
+function getIpRanges() {
+    if (ipRanges) {
+        return ipRanges;
+    }
+
+    const filePath = path.resolve(process.env.BOT_IP_RANGES_FILE || BOT_DETECTION.IP_RANGES_FILE);
+
+    try {
+        const list = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+        ipRanges = list.map(({ name, cidrs }) => {
+            const blockList = new net.BlockList();
+
+            cidrs.forEach(cidr => {
+                const [address, prefix] = cidr.split('/');
+                const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+                blockList.addSubnet(address, Number(prefix), family);
+            });
+
+            return { name, blockList };
+        });
+
+        logInfo('Bot IP ranges loaded', { path: filePath, crawlers: ipRanges.length });
+
+    } catch (error) {
+        logWarn('Bot IP ranges unavailable, IP check disabled', {
+            path: filePath,
+            error: error.message
+        });
+        ipRanges = [];
+    }
+
+    return ipRanges;
+}
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+function botResult(reason, name = null) {
+    return { isBot: true, reason, name };
+}
+
+// ============================================
+// DEFAULT EXPORT
+// ============================================
+
+export default {
+    detectBot,
+    getBotName,
+    findIpRange
+};
@@ -0,0 +1,262 @@
+/**
+ * CSV Helpers
+ * Парсинг та формування CSV (RFC 4180, без зовнішніх бібліотек)
+ *
+ * Використовується для:
+ * - Пакетного створення QR кодів з CSV (рядки → об'єкти по заголовку)
+ * - Manifest / звіту помилок у ZIP архіві batch job
+ *
+ * Файли з Excel: UTF-8 BOM прибирається, роздільник (, ; tab) визначається
+ * по рядку заголовка. Значення, що починаються з = + - @, при формуванні
+ * CSV екрануються апострофом (CSV injection у табличних редакторах).
+ */
+
+const DELIMITERS = [',', ';', '\t'];
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// ============================================
+// PARSE
+// ============================================
+
+/**
+ * Декодування файлу (тільки UTF-8, з BOM або без)
+ *
+ * @param {Buffer|String} input - Вміст файлу
+ * @returns {String}
+ * @throws {Error} - Файл не у UTF-8 (напр. Windows-1251 з Excel)
+ */
+export function decodeCSV(input) {
+    let text = input;
+
+    if (Buffer.isBuffer(input)) {
+        try {
+            text = new TextDecoder('utf-8', { fatal: true }).decode(input);
+        } catch {
+            throw new Error('CSV має бути у кодуванні UTF-8');
+        }
+    }
+
+    return text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+}
+
+/**
+ * Роздільник по першому рядку (найчастіший символ поза лапками)
+ *
+ * @param {String} text - Вміст CSV
+ * @returns {String}
+ */
+export function detectDelimiter(text) {
+    const counts = new Map(DELIMITERS.map(delimiter => [delimiter, 0]));
+    let inQuotes = false;
+
+    for (const char of text) {
+        if (char === '"') {
+            inQuotes = !inQuotes;
+        } else if (!inQuotes && (char === '\n' || char === '\r')) {
+            break;
+        } else if (!inQuotes && counts.has(char)) {
+            counts.set(char, counts.get(char) + 1);
+        }
+    }
+
+    let best = DELIMITERS[0];
+    for (const [delimiter, count] of counts) {
+        if (count > counts.get(best)) {
+            best = delimiter;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Розбір CSV на записи
+ * Лапки можуть містити роздільник, переноси рядків та "" (екранована лапка)
+ *
+ * @param {String} text - Вміст CSV
+ * @param {String} delimiter - Роздільник
+ * @returns {Array<Object>} - [{ line, values }], line - рядок файлу, з якого починається запис
+ * @throws {Error} - Незакрита лапка
+ */
+export function parseCSV(text, delimiter = detectDelimiter(text)) {
+    const records = [];
+
+    let values = [];
+    let value = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const pushRecord = () => {
+        values.push(value);
+
+        // Пусті рядки (в т.ч. ";;;" з Excel) пропускаємо
+        if (values.some(item => item.trim() !== '')) {
+            records.push({ line: recordLine, values });
+        }
+
+        values = [];
+        value = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') {
+                    line++;
+                }
+                value += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            values.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            pushRecord();
+            line++;
+            recordLine = line;
+        } else {
+            value += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error(`Незакрита лапка у рядку ${recordLine}`);
+    }
+
+    if (value !== '' || values.length > 0) {
+        pushRecord();
+    }
+
+    return records;
+}
+
+/**
+ * Нормалізація назви колонки: 'Target URL', 'target_url' → 'targeturl'
+ *
+ * @param {String} name - Назва колонки
+ * @returns {String}
+ */
+const normalizeColumn = (name) => name.toLowerCase().replace(/[\s_-]/g, '');
+
+/**
+ * CSV з заголовком → об'єкти з відомими колонками
+ * Невідомі колонки ігноруються, порожні значення не потрапляють в об'єкт
+ *
+ * @param {Buffer|String} input - Вміст файлу
+ * @param {Object} options - { columns, requiredColumns, maxRows }
+ * @returns {Object} - { rows: [{ line, data }], unknownColumns }
+ * @throws {Error} - Порожній файл, немає обов'язкових колонок, забагато рядків
+ */
+export function parseCSVWithHeader(input, options = {}) {
+    const { columns, requiredColumns = [], maxRows = Infinity } = options;
+
+    const [header, ...records] = parseCSV(decodeCSV(input));
+
+    if (!header) {
+        throw new Error('CSV файл порожній');
+    }
+
+    const columnsByKey = new Map(columns.map(column => [normalizeColumn(column), column]));
+    const mapping = header.values.map(name => columnsByKey.get(normalizeColumn(name.trim())) || null);
+
+    const missing = requiredColumns.filter(column => !mapping.includes(column));
+    if (missing.length > 0) {
+        throw new Error(`CSV не містить обов'язкових колонок: ${missing.join(', ')}`);
+    }
+
+    if (records.length === 0) {
+        throw new Error('CSV не містить жодного рядка з даними');
+    }
+
+    if (records.length > maxRows) {
+        throw new Error(`CSV містить ${records.length} рядків, максимум - ${maxRows}`);
+    }
+
+    const rows = records.map(({ line, values }) => {
+        const data = {};
+
+        mapping.forEach((column, index) => {
+            const value = values[index]?.trim();
+            if (column && value) {
+                data[column] = value;
+            }
+        });
+
+        return { line, data };
+    });
+
+    const unknownColumns = header.values
+        .filter((name, index) => !mapping[index] && name.trim() !== '')
+        .map(name => name.trim());
+
+    return { rows, unknownColumns };
+}
+
+// ============================================
+// STRINGIFY
+// ============================================
+
+/**
+ * Екранування значення для CSV
+ *
+ * @param {*} value - Значення комірки
+ * @returns {String}
+ */
+export function escapeCSVValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let text = String(value);
+
+    if (FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+
+    if (/[",;\t\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+
+    return text;
+}
+
+/**
+ * Формування CSV (UTF-8 з BOM та CRLF - коректно відкривається в Excel)
+ *
+ * @param {Array<String>} header - Назви колонок
+ * @param {Array<Array>} rows - Значення по колонках
+ * @returns {String}
+ */
+export function stringifyCSV(header, rows) {
+    const lines = [header, ...rows].map(values => values.map(escapeCSVValue).join(','));
+
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+// ============================================
+// DEFAULT EXPORT
+// ============================================
+
+export default {
+    decodeCSV,
+    detectDelimiter,
+    parseCSV,
+    parseCSVWithHeader,
+    escapeCSVValue,
+    stringifyCSV
+};
@@ -0,0 +1,296 @@
+/**
+ * Date Helpers
+ * Утиліти для роботи з датами та часовими поясами (без зовнішніх бібліотек)
+ *
+ * Використовується для:
+ * - Парсингу періодів аналітики у часовому поясі користувача
+ * - Побудови часових bucket (hour/day/week/month) для графіків
+ * - Розрахунку попереднього періоду (period-over-period)
+ *
+ * Формати bucket співпадають з $dateToString у MongoDB агрегаціях,
+ * тому серії з БД можна напряму доповнювати пустими bucket.
+ */
+
+import { ANALYTICS } from '../config/constants.js';
+
+const { GRANULARITY } = ANALYTICS;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Формати для MongoDB $dateToString
+export const BUCKET_FORMATS = {
+    [GRANULARITY.HOUR]: '%Y-%m-%dT%H:00',
+    [GRANULARITY.DAY]: '%Y-%m-%d',
+    [GRANULARITY.WEEK]: '%G-W%V',
+    [GRANULARITY.MONTH]: '%Y-%m'
+};
+
+// Кеш Intl форматерів (створення дороге)
+const formatters = new Map();
+
+// ============================================
+// TIMEZONE
+// ============================================
+
+/**
+ * Перевірка чи timezone є валідною IANA назвою
+ *
+ * @param {String} timezone - Напр. 'Europe/Kyiv', 'UTC'
+ * @returns {Boolean}
+ */
+export function isValidTimezone(timezone) {
+    if (!timezone || typeof timezone !== 'string') {
+        return false;
+    }
+
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Отримати компоненти дати у вказаному часовому поясі
+ *
+ * @param {Date} date - Момент часу
+ * @param {String} timezone - IANA timezone
+ * @returns {Object} - { year, month, day, hour, minute, second }
+ */
+export function getZonedParts(date, timezone) {
+    let formatter = formatters.get(timezone);
+
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+        formatters.set(timezone, formatter);
+    }
+
+    const parts = {};
+    for (const { type, value } of formatter.formatToParts(date)) {
+        if (type !== 'literal') {
+            parts[type] = Number(value);
+        }
+    }
+
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: parts.hour,
+        minute: parts.minute,
+        second: parts.second
+    };
+}
+
+/**
+ * Зсув часового поясу відносно UTC у хвилинах для конкретного моменту
+ *
+ * @param {Date} date - Момент часу
+ * @param {String} timezone - IANA timezone
+ * @returns {Number} - Напр. 120 для Europe/Kyiv взимку
+ */
+export function getTimezoneOffset(date, timezone) {
+    const p = getZonedParts(date, timezone);
+    const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return Math.round((asUTC - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Перетворити локальний час у timezone на UTC момент
+ *
+ * @example
+ * zonedTimeToUtc(2025, 1, 1, 0, 0, 0, 'Europe/Kyiv')
+ * // => 2024-12-31T22:00:00.000Z
+ */
+export function zonedTimeToUtc(year, month, day, hour = 0, minute = 0, second = 0, ms = 0, timezone = 'UTC') {
+    const guess = Date.UTC(year, month - 1, day, hour, minute, second, ms);
+
+    // Дві ітерації для коректної обробки переходу на літній/зимовий час
+    let offset = getTimezoneOffset(new Date(guess), timezone);
+    let result = guess - offset * 60000;
+    const correctedOffset = getTimezoneOffset(new Date(result), timezone);
+
+    if (correctedOffset !== offset) {
+        offset = correctedOffset;
+        result = guess - offset * 60000;
+    }
+
+    return new Date(result);
+}
+
+// ============================================
+// PARSING
+// ============================================
+
+/**
+ * Парсинг дати з query параметра
+ * Дата без часу ('2025-01-31') трактується як початок/кінець дня у timezone,
+ * дата з часом без зсуву - як локальний час у timezone
+ *
+ * @param {String|Date} value - ISO дата
+ * @param {String} timezone - IANA timezone
+ * @param {Boolean} endOfDay - true для кінця дня (23:59:59.999)
+ * @returns {Date|null}
+ */
+export function parseDateInTimezone(value, timezone, endOfDay = false) {
+    if (!value) {
+        return null;
+    }
+
+    if (value instanceof Date) {
+        return value;
+    }
+
+    const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+
+    if (dateOnly) {
+        const [, year, month, day] = dateOnly.map(Number);
+        return endOfDay
+            ? zonedTimeToUtc(year, month, day, 23, 59, 59, 999, timezone)
+            : zonedTimeToUtc(year, month, day, 0, 0, 0, 0, timezone);
+    }
+
+    // Дата з часом без зсуву ('2025-01-31T10:00') - локальний час у timezone
+    const localDateTime = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?$/.exec(value);
+
+    if (localDateTime) {
+        const [, year, month, day, hour, minute, second] = localDateTime.map(v => Number(v || 0));
+        const ms = Number((localDateTime[7] || '0').padEnd(3, '0'));
+        return zonedTimeToUtc(year, month, day, hour, minute, second, ms, timezone);
+    }
+
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Попередній період такої ж тривалості (для порівняння)
+ *
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @returns {Object} - { startDate, endDate }
+ */
+export function getPreviousPeriod(startDate, endDate) {
+    const duration = endDate.getTime() - startDate.getTime();
+
+    return {
+        startDate: new Date(startDate.getTime() - duration - 1),
+        endDate: new Date(startDate.getTime() - 1)
+    };
+}
+
+/**
+ * Кількість днів між датами
+ */
+export function getDaysBetween(startDate, endDate) {
+    return (endDate.getTime() - startDate.getTime()) / DAY_MS;
+}
+
+// ============================================
+// BUCKETS
+// ============================================
+
+/**
+ * ISO тиждень для календарної дати
+ *
+ * @returns {Object} - { isoYear, week }
+ */
+export function getISOWeek(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    const dayOfWeek = date.getUTCDay() || 7;
+
+    // Четвер поточного тижня визначає ISO рік
+    date.setUTCDate(date.getUTCDate() + 4 - dayOfWeek);
+
+    const isoYear = date.getUTCFullYear();
+    const yearStart = Date.UTC(isoYear, 0, 1);
+    const week = Math.ceil(((date.getTime() - yearStart) / DAY_MS + 1) / 7);
+
+    return { isoYear, week };
+}
+
+/**
+ * Мітка bucket для моменту часу (формат як у BUCKET_FORMATS)
+ *
+ * @param {Date} date - Момент часу
+ * @param {String} granularity - hour | day | week | month
+ * @param {String} timezone - IANA timezone
+ * @returns {String} - Напр. '2025-01-31', '2025-W05', '2025-01'
+ */
+export function formatBucket(date, granularity, timezone) {
+    const p = getZonedParts(date, timezone);
+    const pad = (n) => String(n).padStart(2, '0');
+
+    switch (granularity) {
+        case GRANULARITY.HOUR:
+            return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:00`;
+        case GRANULARITY.WEEK: {
+            const { isoYear, week } = getISOWeek(p.year, p.month, p.day);
+            return `${isoYear}-W${pad(week)}`;
+        }
+        case GRANULARITY.MONTH:
+            return `${p.year}-${pad(p.month)}`;
+        case GRANULARITY.DAY:
+        default:
+            return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+    }
+}
+
+/**
+ * Побудувати впорядкований список усіх bucket у періоді
+ * Крок - 1 година, тому коректно працює з будь-яким зсувом та DST
+ *
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @param {String} granularity - hour | day | week | month
+ * @param {String} timezone - IANA timezone
+ * @returns {Array<String>}
+ */
+export function buildBuckets(startDate, endDate, granularity, timezone) {
+    const buckets = [];
+    let last = null;
+
+    for (let time = startDate.getTime(); time <= endDate.getTime(); time += HOUR_MS) {
+        const bucket = formatBucket(new Date(time), granularity, timezone);
+        if (bucket !== last) {
+            buckets.push(bucket);
+            last = bucket;
+        }
+    }
+
+    const endBucket = formatBucket(endDate, granularity, timezone);
+    if (endBucket !== last) {
+        buckets.push(endBucket);
+    }
+
+    return buckets;
+}
+
+// ============================================
+// DEFAULT EXPORT
+// ============================================
+
+export default {
+    BUCKET_FORMATS,
+    isValidTimezone,
+    getZonedParts,
+    getTimezoneOffset,
+    zonedTimeToUtc,
+    parseDateInTimezone,
+    getPreviousPeriod,
+    getDaysBetween,
+    getISOWeek,
+    formatBucket,
+    buildBuckets
+};
@@ -10,7 +10,7 @@
  * - Витягування інформації про браузер та ОС
  */
 
-import UAParser from 'ua-parser-js';
+import { UAParser } from 'ua-parser-js';
 import { logInfo, logWarn, logError } from './logger.js';
 import { DEVICE_TYPE } from '../config/constants.js';
 
@@ -0,0 +1,98 @@
+/**
+ * Email Sender Utility
+ * Відправка службових листів через SMTP (nodemailer)
+ *
+ * Налаштування: SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, EMAIL_FROM.
+ * Без SMTP_HOST листи не відправляються (тільки лог) - зручно для розробки.
+ * Помилки відправки логуються і не прокидаються далі: лист не повинен
+ * ламати бізнес-операцію, яка його викликала.
+ */
+
+import nodemailer from 'nodemailer';
+import { logInfo, logSuccess, logWarn, logError } from './logger.js';
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+// Transport створюється при першій відправці
+let transporter = null;
+
+/**
+ * Чи налаштовано SMTP
+ *
+ * @returns {Boolean}
+ */
+export function isEmailConfigured() {
+    return Boolean(process.env.SMTP_HOST);
+}
+
+function getTransporter() {
+    if (!transporter) {
+        const port = Number(process.env.SMTP_PORT) || 587;
+
+        transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port,
+            secure: port === 465,
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                : undefined
+        });
+    }
+
+    return transporter;
+}
+
+// ============================================
+// SEND EMAIL
+// ============================================
+
+/**
+ * Відправити лист
+ *
+ * @param {Object} email - { to, subject, text, html }
+ * @returns {Promise<Boolean>} - true якщо лист прийнято SMTP сервером
+ */
+export async function sendEmail({ to, subject, text, html }) {
+    if (!to) {
+        logWarn('Email recipient missing, email skipped', { subject });
+        return false;
+    }
+
+    if (!isEmailConfigured()) {
+        logInfo('SMTP not configured, email skipped', { to, subject });
+        return false;
+    }
+
+    try {
+        const info = await getTransporter().sendMail({
+            from: process.env.EMAIL_FROM || 'noreply@qrhub.online',
+            to,
+            subject,
+            text,
+            html
+        });
+
+        logSuccess('Email sent', { to, subject, messageId: info.messageId });
+
+        return true;
+
+    } catch (error) {
+        logError('Failed to send email', {
+            to,
+            subject,
+            error: error.message
+        });
+        return false;
+    }
+}
+
+// ============================================
+// DEFAULT EXPORT
+// ============================================
+
+export default {
+    isEmailConfigured,
+    sendEmail
+};
@@ -32,11 +32,14 @@ export class BadRequestError extends AppError {
 /**
  * 401 - Unauthorized
  * Необхідна авторизація
+ *
+ * details: { accessType, isInvalid } - для QR, захищеного паролем / PIN
  */
 export class UnauthorizedError extends AppError {
-    constructor(message = 'Необхідна авторизація') {
+    constructor(message = 'Необхідна авторизація', details = null) {
         super(message, 401);
         this.name = 'UnauthorizedError';
+        this.details = details;
     }
 }
 
@@ -62,6 +65,23 @@ export class NotFoundError extends AppError {
     }
 }
 
+/**
+ * 402 - Payment Required
+ * Досягнуто ліміт тарифного плану
+ *
+ * details: { limit, current, max, plan, suggestedPlan }
+ * - limit: ключ ліміту (напр. 'maxWebsitesPerBusiness')
+ * - suggestedPlan: найдешевший план, де ліміт не досягнуто (null якщо такого немає)
+ */
+export class UpgradeRequiredError extends AppError {
+    constructor(message = 'Досягнуто ліміт тарифного плану', details = null) {
+        super(message, 402);
+        this.name = 'UpgradeRequiredError';
+        this.code = 'UPGRADE_REQUIRED';
+        this.details = details;
+    }
+}
+
 /**
  * 409 - Conflict
  * Конфлікт даних (наприклад, email вже існує)
@@ -73,6 +93,31 @@ export class ConflictError extends AppError {
     }
 }
 
+/**
+ * 410 - Gone
+ * Ресурс більше недоступний (наприклад, QR код прострочений)
+ *
+ * details: { landingUrl } - куди відправити відвідувача замість сторінки помилки
+ */
+export class GoneError extends AppError {
+    constructor(message = 'Ресурс більше недоступний', details = null) {
+        super(message, 410);
+        this.name = 'GoneError';
+        this.details = details;
+    }
+}
+
+/**
+ * 429 - Too Many Requests
+ * Перевищено ліміт спроб (наприклад, введення PIN захищеного QR коду)
+ */
+export class TooManyRequestsError extends AppError {
+    constructor(message = 'Занадто багато запитів. Спробуйте пізніше.') {
+        super(message, 429);
+        this.name = 'TooManyRequestsError';
+    }
+}
+
 /**
  * 422 - Unprocessable Entity
  * Помилка валідації
@@ -184,7 +229,10 @@ export default {
     UnauthorizedError,
     ForbiddenError,
     NotFoundError,
+    UpgradeRequiredError,
     ConflictError,
+    GoneError,
+    TooManyRequestsError,
     ValidationError,
     InternalServerError,
     ServiceUnavailableError,
@@ -0,0 +1,133 @@
+/**
+ * Geo Cache Utility
+ * LRU + TTL кеш результатів геолокації
+ *
+ * Ключ - мережевий префікс, а не повний IP:
+ * - IPv4: /24 (192.0.2.17 → 192.0.2.0/24)
+ * - IPv6: /48 (2001:db8:abcd:12::1 → 2001:db8:abcd::/48)
+ *
+ * Адреси однієї підмережі майже завжди в одному місті,
+ * тому повторні скани з мобільного оператора не ходять до провайдера.
+ */
+
+import net from 'net';
+import { createLRUCache } from './lruCache.js';
+import { GEOLOCATION } from '../config/constants.js';
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const { MAX_ENTRIES, TTL_MS } = GEOLOCATION.CACHE;
+
+const cache = createLRUCache({ maxEntries: MAX_ENTRIES, ttl: TTL_MS });
+
+// ============================================
+// CACHE KEY
+// ============================================
+
+/**
+ * Ключ кешу для IP (мережевий префікс)
+ *
+ * @param {String} ip - IPv4 або IPv6
+ * @returns {String|null} - Префікс або null для невалідного IP
+ */
+export function getCacheKey(ip) {
+    const version = net.isIP(ip);
+
+    if (version === 4) {
+        return `${ip.split('.').slice(0, 3).join('.')}.0/24`;
+    }
+
+    if (version === 6) {
+        // IPv4-mapped (::ffff:192.0.2.17) - як IPv4
+        const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+        if (mapped) {
+            return getCacheKey(mapped[1]);
+        }
+
+        return `${expandIPv6(ip).slice(0, 3).join(':')}::/48`;
+    }
+
+    return null;
+}
+
+// ============================================
+// GET / SET
+// ============================================
+
+/**
+ * Отримати локацію з кешу
+ *
+ * @param {String} ip - IP адреса
+ * @returns {Object|null} - Локація або null (немає / прострочено)
+ */
+export function getCachedLocation(ip) {
+    const key = getCacheKey(ip);
+
+    return (key && cache.get(key)) || null;
+}
+
+/**
+ * Зберегти локацію в кеш
+ *
+ * @param {String} ip - IP адреса
+ * @param {Object} location - { country, city, region, lat, lon }
+ * @param {Number} ttl - Час життя у мс
+ */
+export function setCachedLocation(ip, location, ttl = TTL_MS) {
+    const key = getCacheKey(ip);
+
+    if (!key) {
+        return;
+    }
+
+    cache.set(key, location, ttl);
+}
+
+/**
+ * Очистити кеш (наприклад після оновлення MaxMind бази)
+ */
+export function clearGeoCache() {
+    cache.clear();
+}
+
+/**
+ * Розмір кешу (для health check / моніторингу)
+ */
+export function getGeoCacheSize() {
+    return cache.size();
+}
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Розгортає скорочений IPv6 у 8 груп
+ * 2001:db8::1 → ['2001', 'db8', '0', '0', '0', '0', '0', '1']
+ */
+function expandIPv6(ip) {
+    const [head, tail] = ip.toLowerCase().split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const missing = 8 - headGroups.length - tailGroups.length;
+
+    return [
+        ...headGroups,
+        ...Array(Math.max(missing, 0)).fill('0'),
+        ...tailGroups
+    ].map(group => group.replace(/^0+(?=.)/, ''));
+}
+
+// ============================================
+// DEFAULT EXPORT
+// ============================================
+
+export default {
+    getCacheKey,
+    getCachedLocation,
+    setCachedLocation,
+    clearGeoCache,
+    getGeoCacheSize
+};
@@ -0,0 +1,326 @@
+/**
+ * Geo Providers Utility
+ * Провайдери геолокації з єдиним інтерфейсом
+ *
+ * Провайдер: { name, isRemote, lookup(ip) }
+ * - lookup повертає { country, city, region, lat, lon }
+ * - null - IP не знайдено (не помилка)
+ * - throw - провайдер недоступний (рахується circuit breaker)
+ *
+ * Провайдери:
+ * - maxmind: офлайн база GeoLite2/GeoIP2 City (.mmdb), без мережі та лімітів
+ * - ip-api: ip-api.com (45 запитів/хв)
+ * - ipapi: ipapi.co (1000 запитів/день)
+ *
+ * Віддалені провайдери обгорнуті circuit breaker: після FAILURE_THRESHOLD
+ * помилок підряд провайдер пропускається RESET_TIMEOUT_MS, потім один пробний запит.
+ */
+
+import path from 'path';
+import maxmind from 'maxmind';
+import { logInfo, logWarn, logError } from './logger.js';
+import { GEOLOCATION } from '../config/constants.js';
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const { IP_API_ENDPOINTS, REQUEST_TIMEOUT, PROVIDER, CIRCUIT_BREAKER } = GEOLOCATION;
+
+const CIRCUIT_STATE = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half_open'
+};
+
+// ============================================
+// MAXMIND (OFFLINE DATABASE)
+// ============================================
+
+/**
+ * Офлайн провайдер на основі MaxMind .mmdb бази
+ * База відкривається один раз (lazy) і перечитується при оновленні файлу.
+ * Якщо файлу немає - провайдер вимикається, ланцюжок переходить до наступного.
+ *
+ * @param {String} dbPath - Шлях до GeoLite2-City.mmdb
+ * @returns {Object} - Provider
+ */
+export function createMaxMindProvider(dbPath = process.env.GEOIP_DB_PATH || GEOLOCATION.MAXMIND_DB_PATH) {
+    const resolvedPath = path.resolve(dbPath);
+    let readerPromise = null;
+
+    const getReader = () => {
+        if (!readerPromise) {
+            readerPromise = maxmind
+                .open(resolvedPath, { watchForUpdates: true, watchForUpdatesNonPersistent: true })
+                .then(reader => {
+                    logInfo('MaxMind database loaded', { path: resolvedPath });
+                    return reader;
+                })
+                .catch(error => {
+                    logWarn('MaxMind database unavailable, provider disabled', {
+                        path: resolvedPath,
+                        error: error.message
+                    });
+                    return null;
+                });
+        }
+
+        return readerPromise;
+    };
+
+    return {
+        name: PROVIDER.MAXMIND,
+        isRemote: false,
+
+        async lookup(ip) {
+            const reader = await getReader();
+
+            if (!reader) {
+                return null;
+            }
+
+            const record = reader.get(ip);
+
+            if (!record) {
+                return null;
+            }
+
+            return {
+                country: record.country?.names?.en || 'Unknown',
+                city: record.city?.names?.en || 'Unknown',
+                region: record.subdivisions?.[0]?.names?.en || 'Unknown',
+                lat: record.location?.latitude ?? null,
+                lon: record.location?.longitude ?? null
+            };
+        }
+    };
+}
+
+// ============================================
+// IP-API.COM
+// ============================================
+
+/**
+ * Віддалений провайдер ip-api.com
+ *
+ * @returns {Object} - Provider
+ */
+export function createIpApiProvider() {
+    return {
+        name: PROVIDER.IP_API,
+        isRemote: true,
+
+        async lookup(ip) {
+            const data = await fetchJSON(
+                `${IP_API_ENDPOINTS.PRIMARY}/${ip}?fields=status,message,country,city,regionName,lat,lon`
+            );
+
+            // fail = приватний/зарезервований IP, провайдер працює
+            if (data.status === 'fail') {
+                logWarn('IP API returned fail status', { ip, message: data.message });
+                return null;
+            }
+
+            return {
+                country: data.country || 'Unknown',
+                city: data.city || 'Unknown',
+                region: data.regionName || 'Unknown',
+                lat: data.lat ?? null,
+                lon: data.lon ?? null
+            };
+        }
+    };
+}
+
+// ============================================
+// IPAPI.CO
+// ============================================
+
+/**
+ * Віддалений провайдер ipapi.co
+ *
+ * @returns {Object} - Provider
+ */
+export function createIpapiProvider() {
+    return {
+        name: PROVIDER.IPAPI,
+        isRemote: true,
+
+        async lookup(ip) {
+            const data = await fetchJSON(`${IP_API_ENDPOINTS.BACKUP}/${ip}/json/`);
+
+            if (data.error) {
+                // RateLimited - проблема провайдера, Reserved IP - ні
+                if (data.reason === 'RateLimited') {
+                    throw new Error('ipapi.co rate limit exceeded');
+                }
+                return null;
+            }
+
+            return {
+                country: data.country_name || 'Unknown',
+                city: data.city || 'Unknown',
+                region: data.region || 'Unknown',
+                lat: data.latitude ?? null,
+                lon: data.longitude ?? null
+            };
+        }
+    };
+}
+
+// ============================================
+// CIRCUIT BREAKER
+// ============================================
+
+/**
+ * Обгортає провайдер circuit breaker
+ * closed → (N помилок підряд) → open → (timeout) → half_open → closed | open
+ *
+ * @param {Object} provider - Provider
+ * @param {Object} options - { failureThreshold, resetTimeout }
+ * @returns {Object} - Provider з тим самим інтерфейсом + getState()
+ */
+export function withCircuitBreaker(provider, options = {}) {
+    const failureThreshold = options.failureThreshold || CIRCUIT_BREAKER.FAILURE_THRESHOLD;
+    const resetTimeout = options.resetTimeout || CIRCUIT_BREAKER.RESET_TIMEOUT_MS;
+
+    let state = CIRCUIT_STATE.CLOSED;
+    let failures = 0;
+    let openedAt = 0;
+    let probeInFlight = false;
+
+    const open = (error) => {
+        state = CIRCUIT_STATE.OPEN;
+        openedAt = Date.now();
+        logError('Geo provider circuit opened', {
+            provider: provider.name,
+            failures,
+            error: error.message
+        });
+    };
+
+    return {
+        name: provider.name,
+        isRemote: provider.isRemote,
+
+        getState() {
+            return state;
+        },
+
+        async lookup(ip) {
+            if (state === CIRCUIT_STATE.OPEN) {
+                if (Date.now() - openedAt < resetTimeout) {
+                    return null;
+                }
+                state = CIRCUIT_STATE.HALF_OPEN;
+            }
+
+            // У half-open пропускаємо тільки один пробний запит
+            if (state === CIRCUIT_STATE.HALF_OPEN) {
+                if (probeInFlight) {
+                    return null;
+                }
+                probeInFlight = true;
+            }
+
+            try {
+                const location = await provider.lookup(ip);
+
+                if (state === CIRCUIT_STATE.HALF_OPEN) {
+                    logInfo('Geo provider circuit closed', { provider: provider.name });
+                }
+                state = CIRCUIT_STATE.CLOSED;
+                failures = 0;
+
+                return location;
+
+            } catch (error) {
+                failures += 1;
+
+                if (state === CIRCUIT_STATE.HALF_OPEN || failures >= failureThreshold) {
+                    open(error);
+                } else {
+                    logWarn('Geo provider request failed', {
+                        provider: provider.name,
+                        failures,
+                        error: error.message
+                    });
+                }
+
+                throw error;
+
+            } finally {
+                probeInFlight = false;
+            }
+        }
+    };
+}
+
+// ============================================
+// PROVIDER CHAIN
+// ============================================
+
+/**
+ * Створює провайдери у порядку GEO_PROVIDERS (або DEFAULT_PROVIDERS)
+ * Віддалені провайдери автоматично отримують circuit breaker
+ *
+ * @param {String} order - "maxmind,ip-api,ipapi"
+ * @returns {Array<Object>} - Providers
+ */
+export function createProviders(order = process.env.GEO_PROVIDERS) {
+    const factories = {
+        [PROVIDER.MAXMIND]: createMaxMindProvider,
+        [PROVIDER.IP_API]: createIpApiProvider,
+        [PROVIDER.IPAPI]: createIpapiProvider
+    };
+
+    const names = order
+        ? order.split(',').map(name => name.trim()).filter(Boolean)
+        : GEOLOCATION.DEFAULT_PROVIDERS;
+
+    return names
+        .filter(name => {
+            if (!factories[name]) {
+                logWarn('Unknown geo provider skipped', { provider: name });
+                return false;
+            }
+            return true;
+        })
+        .map(name => {
+            const provider = factories[name]();
+            return provider.isRemote ? withCircuitBreaker(provider) : provider;
+        });
+}
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * GET JSON з timeout (HTTP помилка = помилка провайдера)
+ */
+async function fetchJSON(url) {
+    const response = await fetch(url, {
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+        headers: { Accept: 'application/json' }
+    });
+
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+
+    return response.json();
+}
+
+// ============================================
+// DEFAULT EXPORT
+// ============================================
+
+export default {
+    createMaxMindProvider,
+    createIpApiProvider,
+    createIpapiProvider,
+    withCircuitBreaker,
+    createProviders
+};
@@ -2,19 +2,23 @@
  * Geolocation Utility
  * Визначення географічного розташування по IP адресі
  * 
- * Використовує безкоштовний API ip-api.com для отримання:
- * - Країни (country)
- * - Міста (city)
- * - Регіону (region)
- * - Координат (lat, lon)
+ * Використовує ланцюжок провайдерів (geoProviders.js):
+ * - maxmind - офлайн база (.mmdb), основний провайдер
+ * - ip-api.com, ipapi.co - віддалені, з circuit breaker
  * 
  * Відповідальність:
- * - Запит до IP API
- * - Кешування результатів (опціонально)
+ * - Валідація IP, пропуск приватних/локальних адрес
+ * - LRU + TTL кеш по /24 (geoCache.js)
+ * - Об'єднання одночасних запитів до однієї підмережі
  * - Fallback до Unknown при помилках
+ * 
+ * Скан не чекає на геолокацію: peekLocation() повертає лише те,
+ * що відомо без мережі, решту сервіси дозаповнюють асинхронно.
  */
 
-import axios from 'axios';
+import net from 'net';
+import { createProviders } from './geoProviders.js';
+import { getCachedLocation, setCachedLocation, getCacheKey } from './geoCache.js';
 import { logInfo, logSuccess, logWarn, logError } from './logger.js';
 import { GEOLOCATION } from '../config/constants.js';
 
@@ -22,7 +26,19 @@ import { GEOLOCATION } from '../config/constants.js';
 // CONFIGURATION
 // ============================================
 
-const { IP_API_ENDPOINTS, REQUEST_TIMEOUT, DEFAULT_LOCATION } = GEOLOCATION
+const { DEFAULT_LOCATION, CACHE } = GEOLOCATION;
+
+const LOCAL_LOCATION = {
+    ...DEFAULT_LOCATION,
+    country: 'Local',
+    city: 'Local'
+};
+
+// Провайдери створюються при першому lookup (після завантаження .env)
+let providers = null;
+
+// Запити в процесі: cacheKey → Promise (одна підмережа = один запит)
+const pendingLookups = new Map();
 
 // ============================================
 // GET LOCATION FROM IP
@@ -45,46 +61,25 @@ export async function getLocationFromIP(ip) {
         // Перевірка локальних/приватних IP
         if (isPrivateIP(ip) || isLocalIP(ip)) {
             logInfo('Private/Local IP detected, skipping geolocation', { ip });
-            return {
-                ...DEFAULT_LOCATION,
-                country: 'Local',
-                city: 'Local'
-            };
+            return LOCAL_LOCATION;
         }
 
-        logInfo('Fetching geolocation for IP', { ip });
+        // Кеш по підмережі
+        const cached = getCachedLocation(ip);
+        if (cached) {
+            return cached;
+        }
 
-        // Спроба отримати дані з primary API
-        try {
-            const location = await fetchFromPrimaryAPI(ip);
-            if (location) {
-                logSuccess('Geolocation fetched successfully', { ip, country: location.country, city: location.city });
-                return location;
-            }
-        } catch (primaryError) {
-            logWarn('Primary IP API failed, trying backup', {
-                ip,
-                error: primaryError.message
-            });
+        const key = getCacheKey(ip);
 
-            // Спроба з backup API
-            try {
-                const location = await fetchFromBackupAPI(ip);
-                if (location) {
-                    logSuccess('Geolocation fetched from backup API', { ip, country: location.country });
-                    return location;
-                }
-            } catch (backupError) {
-                logError('Backup IP API also failed', {
-                    ip,
-                    error: backupError.message
-                });
-            }
+        if (!pendingLookups.has(key)) {
+            pendingLookups.set(
+                key,
+                lookupWithProviders(ip).finally(() => pendingLookups.delete(key))
+            );
         }
 
-        // Якщо всі API провалились
-        logError('All geolocation APIs failed', { ip });
-        return DEFAULT_LOCATION;
+        return await pendingLookups.get(key);
 
     } catch (error) {
         logError('Failed to get location from IP', {
@@ -95,90 +90,79 @@ export async function getLocationFromIP(ip) {
     }
 }
 
-// ============================================
-// FETCH FROM PRIMARY API (ip-api.com)
-// ============================================
-
 /**
- * Запит до primary API (ip-api.com)
- * Безкоштовний, 45 запитів/хвилину
+ * Геолокація без мережевих запитів (для redirect)
  * 
  * @param {String} ip - IP адреса
- * @returns {Promise<Object|null>}
+ * @returns {Object|null} - Локація (кеш / Local / Unknown для невалідного IP) або null,
+ *                          якщо потрібен lookup у провайдера
  */
-async function fetchFromPrimaryAPI(ip) {
-    try {
-        const url = `${IP_API_ENDPOINTS.PRIMARY}/${ip}`;
-
-        const response = await axios.get(url, {
-            timeout: REQUEST_TIMEOUT,
-            params: {
-                fields: 'status,country,city,regionName,lat,lon' // Тільки потрібні поля
-            }
-        });
-
-        // Перевірка статусу відповіді
-        if (response.data.status === 'fail') {
-            logWarn('IP API returned fail status', {
-                ip,
-                message: response.data.message
-            });
-            return null;
-        }
-
-        // Формування результату
-        return {
-            country: response.data.country || 'Unknown',
-            city: response.data.city || 'Unknown',
-            region: response.data.regionName || 'Unknown',
-            lat: response.data.lat || null,
-            lon: response.data.lon || null
-        };
+export function peekLocation(ip) {
+    if (!ip || !isValidIP(ip)) {
+        return DEFAULT_LOCATION;
+    }
 
-    } catch (error) {
-        logError('Primary API request failed', {
-            ip,
-            error: error.message
-        });
-        throw error;
+    if (isPrivateIP(ip) || isLocalIP(ip)) {
+        return LOCAL_LOCATION;
     }
+
+    return getCachedLocation(ip);
 }
 
 // ============================================
-// FETCH FROM BACKUP API
+// PROVIDER CHAIN
 // ============================================
 
 /**
- * Запит до backup API (ipapi.co)
- * 1000 запитів/день
+ * Опитує провайдери по черзі, перший знайдений результат кешується
  * 
- * @param {String} ip - IP адреса
- * @returns {Promise<Object|null>}
+ * @param {String} ip - Публічна IP адреса
+ * @returns {Promise<Object>}
  */
-async function fetchFromBackupAPI(ip) {
-    try {
-        const url = `${IP_API_ENDPOINTS.BACKUP}/${ip}/json/`;
+async function lookupWithProviders(ip) {
+    if (!providers) {
+        providers = createProviders();
+    }
 
-        const response = await axios.get(url, {
-            timeout: REQUEST_TIMEOUT
-        });
+    logInfo('Fetching geolocation for IP', { ip });
 
-        // Формування результату
-        return {
-            country: response.data.country_name || 'Unknown',
-            city: response.data.city || 'Unknown',
-            region: response.data.region || 'Unknown',
-            lat: response.data.latitude || null,
-            lon: response.data.longitude || null
-        };
+    let hasFailures = false;
 
-    } catch (error) {
-        logError('Backup API request failed', {
-            ip,
-            error: error.message
-        });
-        throw error;
+    for (const provider of providers) {
+        try {
+            const location = await provider.lookup(ip);
+
+            if (location) {
+                setCachedLocation(ip, location);
+                logSuccess('Geolocation resolved', {
+                    ip,
+                    provider: provider.name,
+                    country: location.country,
+                    city: location.city
+                });
+                return location;
+            }
+
+        } catch (error) {
+            hasFailures = true;
+            logWarn('Geo provider failed, trying next', {
+                ip,
+                provider: provider.name,
+                error: error.message
+            });
+        }
     }
+
+    // Невдалий результат кешується коротше - провайдери можуть відновитись
+    setCachedLocation(ip, DEFAULT_LOCATION, CACHE.EMPTY_TTL_MS);
+
+    if (hasFailures) {
+        logError('All geolocation providers failed', { ip });
+    } else {
+        logWarn('IP not found in any geo provider', { ip });
+    }
+
+    return DEFAULT_LOCATION;
 }
 
 // ============================================
@@ -194,22 +178,8 @@ async function fetchFromBackupAPI(ip) {
 export function isValidIP(ip) {
     if (!ip || typeof ip !== 'string') return false;
 
-    // IPv4 pattern
-    const ipv4Pattern = /^(\d{1,3}\.){3}\d{1,3}$/;
-
-    // IPv6 pattern (спрощений)
-    const ipv6Pattern = /^([0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}$/;
-
-    if (ipv4Pattern.test(ip)) {
-        // Додаткова перевірка для IPv4 (кожен октет 0-255)
-        const parts = ip.split('.');
-        return parts.every(part => {
-            const num = parseInt(part, 10);
-            return num >= 0 && num <= 255;
-        });
-    }
-
-    return ipv6Pattern.test(ip);
+    // 4 або 6 (включно зі скороченим IPv6 та ::ffff:x.x.x.x), 0 - невалідний
+    return net.isIP(ip) !== 0;
 }
 
 /**
@@ -282,77 +252,36 @@ export function formatLocation(location) {
 
 /**
  * Отримує IP адресу з request object
- * Враховує proxy та load balancers
+ * 
+ * req.ip враховує X-Forwarded-For тільки від довірених proxy (app 'trust proxy',
+ * TRUST_PROXY). Заголовки напряму не читаються: клієнт може підставити будь-яке
+ * значення, а IP використовується для лімітів і блокування перебору PIN.
  * 
  * @param {Object} req - Express request object
  * @returns {String} - IP адреса
  */
 export function getClientIP(req) {
-    // Перевірка заголовків від proxy/load balancer
-    const forwarded = req.headers['x-forwarded-for'];
-    if (forwarded) {
-        // x-forwarded-for може містити список IP, беремо перший
-        return forwarded.split(',')[0].trim();
-    }
-
-    // Cloudflare
-    if (req.headers['cf-connecting-ip']) {
-        return req.headers['cf-connecting-ip'];
-    }
-
-    // AWS ELB
-    if (req.headers['x-real-ip']) {
-        return req.headers['x-real-ip'];
-    }
-
-    // Стандартний спосіб
     return req.ip ||
-        req.connection?.remoteAddress ||
         req.socket?.remoteAddress ||
         'Unknown';
 }
 
 /**
- * Batch запит для множинних IP (для оптимізації)
+ * Геолокація для множини IP (backfill, імпорт)
+ * Послідовно, щоб не перевищувати ліміти віддалених провайдерів;
+ * IP з однієї підмережі вирішуються одним запитом завдяки кешу
  * 
  * @param {Array<String>} ips - Масив IP адрес
- * @returns {Promise<Array<Object>>} - Масив локацій
+ * @returns {Promise<Array<Object>>} - Масив локацій (у тому ж порядку)
  */
 export async function getLocationsBatch(ips) {
-    try {
-        // ip-api.com підтримує batch запити (до 100 IP за раз)
-        const url = 'http://ip-api.com/batch';
-
-        const response = await axios.post(url, ips, {
-            timeout: REQUEST_TIMEOUT * 2,
-            params: {
-                fields: 'status,query,country,city,regionName,lat,lon'
-            }
-        });
-
-        return response.data.map(item => {
-            if (item.status === 'fail') {
-                return DEFAULT_LOCATION;
-            }
-
-            return {
-                country: item.country || 'Unknown',
-                city: item.city || 'Unknown',
-                region: item.regionName || 'Unknown',
-                lat: item.lat || null,
-                lon: item.lon || null
-            };
-        });
+    const locations = [];
 
-    } catch (error) {
-        logError('Batch geolocation request failed', {
-            count: ips.length,
-            error: error.message
-        });
-
-        // Fallback: повертаємо дефолтні значення для всіх
-        return ips.map(() => DEFAULT_LOCATION);
+    for (const ip of ips) {
+        locations.push(await getLocationFromIP(ip));
     }
+
+    return locations;
 }
 
 // ============================================
@@ -361,6 +290,7 @@ export async function getLocationsBatch(ips) {
 
 export default {
     getLocationFromIP,
+    peekLocation,
     isValidIP,
     isPrivateIP,
     isLocalIP,
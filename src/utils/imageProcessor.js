@@ -0,0 +1,82 @@
+/**
+ * Image Processor Utility
+ * Підготовка завантажених зображень товарів (галерея Product.images)
+ *
+ * З одного файлу генеруються WebP варіанти PRODUCT_IMAGE.VARIANTS:
+ * - Орієнтація з EXIF застосовується до пікселів (rotate), після чого
+ *   metadata (EXIF, GPS, ICC) не переноситься у вихідні файли
+ * - Зображення вписується в MAX_SIZE x MAX_SIZE зі збереженням пропорцій, без збільшення
+ *
+ * Оригінал не зберігається: large - найбільший доступний розмір.
+ */
+
+import sharp from 'sharp';
+import { logInfo, logSuccess, logError } from './logger.js';
+import { PRODUCT_IMAGE } from '../config/constants.js';
+
+// EXIF orientation 5-8: зображення повернуте на 90°, ширина та висота міняються місцями
+const ROTATED_ORIENTATIONS = [5, 6, 7, 8];
+
+/**
+ * Згенерувати WebP варіанти зображення товару
+ *
+ * @param {Buffer} buffer - Завантажене зображення (JPEG, PNG, WebP)
+ * @returns {Promise<Object>} - { width, height, variants: { [name]: { buffer, width, height, size } } }
+ *   width / height - розміри оригіналу з урахуванням EXIF орієнтації
+ */
+export async function processProductImage(buffer) {
+    try {
+        const options = { limitInputPixels: PRODUCT_IMAGE.MAX_INPUT_PIXELS };
+        const metadata = await sharp(buffer, options).metadata();
+        const isRotated = ROTATED_ORIENTATIONS.includes(metadata.orientation);
+
+        logInfo('Processing product image', {
+            format: metadata.format,
+            width: metadata.width,
+            height: metadata.height,
+            orientation: metadata.orientation || null
+        });
+
+        const variants = {};
+
+        // Послідовно: у пам'яті sharp лише один декодований варіант за раз
+        for (const [name, { MAX_SIZE, QUALITY }] of Object.entries(PRODUCT_IMAGE.VARIANTS)) {
+            const { data, info } = await sharp(buffer, options)
+                .rotate()
+                .resize(MAX_SIZE, MAX_SIZE, { fit: 'inside', withoutEnlargement: true })
+                .webp({ quality: QUALITY })
+                .toBuffer({ resolveWithObject: true });
+
+            variants[name] = {
+                buffer: data,
+                width: info.width,
+                height: info.height,
+                size: info.size
+            };
+        }
+
+        const result = {
+            width: isRotated ? metadata.height : metadata.width,
+            height: isRotated ? metadata.width : metadata.height,
+            variants
+        };
+
+        logSuccess('Product image processed', {
+            width: result.width,
+            height: result.height,
+            variants: Object.keys(variants)
+        });
+
+        return result;
+
+    } catch (error) {
+        logError('Failed to process product image', {
+            error: error.message
+        });
+        throw new Error(`Image processing failed: ${error.message}`);
+    }
+}
+
+export default {
+    processProductImage
+};
@@ -0,0 +1,91 @@
+/**
+ * LRU Cache Utility
+ * In-memory кеш з обмеженням розміру (LRU) та часом життя записів (TTL)
+ *
+ * Map зберігає порядок вставки: найстаріший запис - перший,
+ * при читанні запис переставляється в кінець.
+ *
+ * Використовується для geo кешу, redirect кешу та лімітів сканів.
+ */
+
+// ============================================
+// CREATE CACHE
+// ============================================
+
+/**
+ * Створює LRU + TTL кеш
+ *
+ * @param {Object} options - { maxEntries, ttl }
+ * @returns {Object} - { get, has, set, delete, clear, size }
+ */
+export function createLRUCache({ maxEntries, ttl }) {
+    const entries = new Map();
+
+    const getEntry = (key) => {
+        const entry = entries.get(key);
+
+        if (!entry) {
+            return null;
+        }
+
+        if (entry.expiresAt <= Date.now()) {
+            entries.delete(key);
+            return null;
+        }
+
+        // LRU: переставляємо в кінець
+        entries.delete(key);
+        entries.set(key, entry);
+
+        return entry;
+    };
+
+    return {
+        /**
+         * Значення або undefined (немає / прострочено)
+         */
+        get(key) {
+            return getEntry(key)?.value;
+        },
+
+        /**
+         * Чи є актуальний запис (включно зі збереженим null)
+         */
+        has(key) {
+            return Boolean(getEntry(key));
+        },
+
+        /**
+         * Зберегти значення (entryTtl перевизначає TTL кешу)
+         */
+        set(key, value, entryTtl = ttl) {
+            entries.delete(key);
+            entries.set(key, { value, expiresAt: Date.now() + entryTtl });
+
+            // Витісняємо найдавніше використані записи
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+
+        delete(key) {
+            entries.delete(key);
+        },
+
+        clear() {
+            entries.clear();
+        },
+
+        size() {
+            return entries.size;
+        }
+    };
+}
+
+// ============================================
+// DEFAULT EXPORT
+// ============================================
+
+export default {
+    createLRUCache
+};
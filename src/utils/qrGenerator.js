@@ -8,11 +8,14 @@
  * - Підтримка кастомних кольорів
  * - Підтримка різних розмірів
  * - Error correction levels
+ * - Кодування типізованого вмісту: Wi-Fi, SMS, email (в image),
+ *   vCard (.vcf), подія (.ics), точка на карті (віддаються через /s/:shortCode)
  */
 
+import crypto from 'crypto';
 import QRCode from 'qrcode';
 import { logInfo, logSuccess, logError } from './logger.js';
-import { QR_CODE_SETTINGS } from '../config/constants.js';
+import { QR_CODE_SETTINGS, QR_PAYLOAD_TYPE, QR_WIFI_ENCRYPTION, QR_PAYLOAD } from '../config/constants.js';
 
 // ============================================
 // GENERATE QR CODE AS BUFFER
@@ -260,6 +263,253 @@ export async function generatePrintQR(url, options = {}) {
     });
 }
 
+// ============================================
+// PAYLOAD ENCODERS
+// ============================================
+
+/**
+ * Екранування значення у форматі MECARD / WIFI: \ ; , : "
+ */
+const escapeMeCardValue = (value) => String(value).replace(/([\\;,:"])/g, '\\$1');
+
+/**
+ * Телефон без пробілів, дужок та дефісів: '+380 (50) 123-45-67' → '+380501234567'
+ */
+const normalizePhone = (phone) => String(phone).replace(/[\s()-]/g, '');
+
+/**
+ * Екранування тексту vCard / iCalendar (RFC 6350 / RFC 5545)
+ */
+const escapeCardText = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/([;,])/g, '\\$1')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Перенос рядка vCard / iCalendar: максимум 75 байт, продовження з пробілу
+ * Не розриває багатобайтові символи (кирилиця в UTF-8 - 2 байти)
+ */
+const foldCardLine = (line) => {
+    const parts = [];
+    let current = '';
+    let bytes = 0;
+
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        // Рядки продовження починаються з пробілу - на 1 байт менше
+        const limit = parts.length === 0 ? 75 : 74;
+
+        if (bytes + size > limit) {
+            parts.push(current);
+            current = '';
+            bytes = 0;
+        }
+
+        current += char;
+        bytes += size;
+    }
+
+    parts.push(current);
+
+    return parts.join('\r\n ');
+};
+
+/**
+ * Збирання vCard / iCalendar: пропуск порожніх властивостей, CRLF
+ *
+ * @param {Array<Array>} properties - [[name, value]], value вже екранований
+ * @returns {String}
+ */
+const buildCardText = (properties) => properties
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([name, value]) => foldCardLine(`${name}:${value}`))
+    .join('\r\n') + '\r\n';
+
+/**
+ * Дата iCalendar: 20261019T143000Z (UTC) або 20261019 (весь день)
+ */
+const formatCalendarDate = (date, allDay = false) => {
+    const iso = new Date(date).toISOString().replace(/[-:]/g, '');
+    return allDay ? iso.slice(0, 8) : `${iso.slice(0, 15)}Z`;
+};
+
+/**
+ * Підключення до Wi-Fi мережі (формат, який розпізнають камери iOS / Android)
+ *
+ * @param {Object} payload - { ssid, password, encryption, hidden }
+ * @returns {String} - WIFI:T:WPA;S:ssid;P:password;;
+ */
+export function encodeWifiPayload({ ssid, password, encryption = QR_WIFI_ENCRYPTION.WPA, hidden = false }) {
+    const fields = [`T:${encryption}`, `S:${escapeMeCardValue(ssid)}`];
+
+    if (encryption !== QR_WIFI_ENCRYPTION.NONE && password) {
+        fields.push(`P:${escapeMeCardValue(password)}`);
+    }
+
+    if (hidden) {
+        fields.push('H:true');
+    }
+
+    return `WIFI:${fields.join(';')};;`;
+}
+
+/**
+ * SMS з заповненим текстом
+ *
+ * @param {Object} payload - { phone, message }
+ * @returns {String} - SMSTO:+380501234567:text
+ */
+export function encodeSMSPayload({ phone, message }) {
+    const number = normalizePhone(phone);
+    return message ? `SMSTO:${number}:${message}` : `SMSTO:${number}`;
+}
+
+/**
+ * Лист з заповненою темою та текстом
+ *
+ * @param {Object} payload - { to, subject, body }
+ * @returns {String} - mailto:to?subject=...&body=...
+ */
+export function encodeEmailPayload({ to, subject, body }) {
+    const params = [];
+
+    if (subject) {
+        params.push(`subject=${encodeURIComponent(subject)}`);
+    }
+
+    if (body) {
+        params.push(`body=${encodeURIComponent(body)}`);
+    }
+
+    return `mailto:${to}${params.length > 0 ? `?${params.join('&')}` : ''}`;
+}
+
+/**
+ * Посилання на точку на карті (працює в браузері будь-якого пристрою)
+ *
+ * @param {Object} payload - { latitude, longitude }
+ * @returns {String}
+ */
+export function buildGeoMapUrl({ latitude, longitude }) {
+    return `${QR_PAYLOAD.MAP_URL}${encodeURIComponent(`${latitude},${longitude}`)}`;
+}
+
+/**
+ * Контакт у форматі vCard 3.0 (.vcf)
+ *
+ * @param {Object} contact - { firstName, lastName, organization, title, phone, email, website, address, note }
+ * @param {Object} contact.address - { street, city, region, postalCode, country }
+ * @returns {String}
+ */
+export function encodeVCard(contact) {
+    const {
+        firstName = '',
+        lastName = '',
+        organization = '',
+        title,
+        phone,
+        email,
+        website,
+        address,
+        note
+    } = contact;
+
+    // FN обов'язкове: без імені - назва організації
+    const fullName = [firstName, lastName].filter(Boolean).join(' ') || organization;
+
+    const addressFields = address
+        ? ['', '', address.street, address.city, address.region, address.postalCode, address.country]
+            .map(value => escapeCardText(value || ''))
+        : [];
+
+    return buildCardText([
+        ['BEGIN', 'VCARD'],
+        ['VERSION', '3.0'],
+        ['N', `${escapeCardText(lastName)};${escapeCardText(firstName)};;;`],
+        ['FN', escapeCardText(fullName)],
+        ['ORG', organization && escapeCardText(organization)],
+        ['TITLE', title && escapeCardText(title)],
+        ['TEL;TYPE=VOICE', phone && normalizePhone(phone)],
+        ['EMAIL;TYPE=INTERNET', email],
+        ['URL', website],
+        ['ADR;TYPE=WORK', addressFields.some(Boolean) ? addressFields.join(';') : null],
+        ['NOTE', note && escapeCardText(note)],
+        ['END', 'VCARD']
+    ]);
+}
+
+/**
+ * Подія у форматі iCalendar (.ics) для додавання в календар
+ * allDay - беруться тільки дати (UTC), endsAt включно
+ *
+ * @param {Object} event - { title, startsAt, endsAt, allDay, location, description, url }
+ * @param {Object} options - { uid } (стабільний між завантаженнями - календар оновлює подію, а не дублює)
+ * @returns {String}
+ */
+export function encodeICalendarEvent(event, options = {}) {
+    const { title, startsAt, endsAt, allDay = false, location, description, url } = event;
+    const uid = options.uid || crypto.randomUUID();
+
+    // DTEND для подій на весь день - не включно (наступний день після останнього)
+    let end = endsAt ? new Date(endsAt) : null;
+    if (allDay) {
+        end = new Date(end || startsAt);
+        end.setUTCDate(end.getUTCDate() + 1);
+    }
+
+    const dateProperty = allDay ? ';VALUE=DATE' : '';
+
+    return buildCardText([
+        ['BEGIN', 'VCALENDAR'],
+        ['VERSION', '2.0'],
+        ['PRODID', '-//QRHub//QR Event//UK'],
+        ['CALSCALE', 'GREGORIAN'],
+        ['METHOD', 'PUBLISH'],
+        ['BEGIN', 'VEVENT'],
+        ['UID', uid],
+        ['DTSTAMP', formatCalendarDate(new Date())],
+        [`DTSTART${dateProperty}`, formatCalendarDate(startsAt, allDay)],
+        [`DTEND${dateProperty}`, end && formatCalendarDate(end, allDay)],
+        ['SUMMARY', escapeCardText(title)],
+        ['LOCATION', location && escapeCardText(location)],
+        ['DESCRIPTION', description && escapeCardText(description)],
+        ['URL', url],
+        ['END', 'VEVENT'],
+        ['END', 'VCALENDAR']
+    ]);
+}
+
+/**
+ * Чи кодує image shortUrl (скан рахується) для типу вмісту
+ *
+ * @param {String} type - QR_PAYLOAD_TYPE
+ * @returns {Boolean}
+ */
+export function isTrackablePayloadType(type = QR_PAYLOAD_TYPE.URL) {
+    return QR_PAYLOAD.TRACKABLE_TYPES.includes(type);
+}
+
+/**
+ * Вміст image для статичних типів (Wi-Fi, SMS, email)
+ *
+ * @param {String} type - QR_PAYLOAD_TYPE
+ * @param {Object} payload - Дані типу
+ * @returns {String}
+ * @throws {Error} - Тип кодує shortUrl, а не вміст
+ */
+export function encodeQRPayload(type, payload) {
+    switch (type) {
+        case QR_PAYLOAD_TYPE.WIFI:
+            return encodeWifiPayload(payload);
+        case QR_PAYLOAD_TYPE.SMS:
+            return encodeSMSPayload(payload);
+        case QR_PAYLOAD_TYPE.EMAIL:
+            return encodeEmailPayload(payload);
+        default:
+            throw new Error(`Тип "${type}" кодує short URL, а не вміст`);
+    }
+}
+
 // ============================================
 // HELPER FUNCTIONS
 // ============================================
@@ -306,6 +556,14 @@ export default {
     generateMediumQR,
     generateLargeQR,
     generatePrintQR,
+    encodeWifiPayload,
+    encodeSMSPayload,
+    encodeEmailPayload,
+    buildGeoMapUrl,
+    encodeVCard,
+    encodeICalendarEvent,
+    isTrackablePayloadType,
+    encodeQRPayload,
     getRecommendedErrorCorrection,
     isValidHexColor,
     formatFileSize
@@ -0,0 +1,613 @@
+/**
+ * QR Print Exporter Utility
+ * Друковані версії стилізованого QR: PDF та EPS (вектор), PNG з заданим DPI
+ *
+ * Функціонал:
+ * - Фізичний розмір (mm / inch) по лінії обрізу
+ * - Bleed: фон біля краю виходить за лінію обрізу
+ * - Мітки обрізу (crop marks)
+ * - Аркуш A4 з сіткою наліпок (один QR на всі місця або декілька різних QR)
+ *
+ * Геометрія береться з buildQRScene (qrRenderer), тому всі формати
+ * виглядають так само, як збережені PNG / SVG.
+ *
+ * Розміри в цьому модулі - у пунктах (1 pt = 1/72 inch), початок координат - верхній лівий кут.
+ */
+
+import PDFDocument from 'pdfkit';
+import sharp from 'sharp';
+import { buildSceneSVG, GRADIENT_FILL } from './qrRenderer.js';
+import { logInfo, logSuccess, logError } from './logger.js';
+import { QR_PRINT, QR_PRINT_UNIT, QR_PRINT_LAYOUT, QR_GRADIENT_TYPE, QR_STYLE } from '../config/constants.js';
+
+const POINTS_PER_INCH = 72;
+const POINTS_PER_MM = POINTS_PER_INCH / 25.4;
+
+// ============================================
+// LAYOUT
+// ============================================
+
+/**
+ * Перевести mm / inch у пункти
+ *
+ * @param {Number} value - Значення
+ * @param {String} unit - mm | in
+ * @returns {Number}
+ */
+export function toPoints(value, unit = QR_PRINT_UNIT.MM) {
+    return unit === QR_PRINT_UNIT.INCH ? value * POINTS_PER_INCH : value * POINTS_PER_MM;
+}
+
+/**
+ * Розкладка QR по сторінках
+ *
+ * single - кожен QR на окремій сторінці розміром з QR + bleed (+ поле під мітки)
+ * sheet - сітка на A4; fillSheet заповнює всі місця першим QR
+ *
+ * @param {Array<Object>} scenes - Сцени QR (buildQRScene), по одній на наліпку
+ * @param {Object} options - Опції
+ * @param {Number} options.size - Ширина QR по лінії обрізу (pt)
+ * @param {Number} options.bleed - Bleed (pt)
+ * @param {Boolean} options.cropMarks - Мітки обрізу
+ * @param {String} options.layout - single | sheet
+ * @param {Boolean} options.fillSheet - Заповнити аркуш копіями першого QR
+ * @returns {Object} - { pages, perPage } (perPage 0 - наліпка не вміщується на аркуш)
+ */
+export function buildPrintLayout(scenes, options = {}) {
+    const { size, bleed = 0, cropMarks = false, layout = QR_PRINT_LAYOUT.SINGLE, fillSheet = false } = options;
+
+    const markOffset = Math.max(bleed, QR_PRINT.CROP_MARK_OFFSET_MM * POINTS_PER_MM);
+    const markLength = QR_PRINT.CROP_MARK_LENGTH_MM * POINTS_PER_MM;
+
+    // Поле навколо лінії обрізу: bleed або bleed + мітки
+    const pad = cropMarks ? markOffset + markLength : bleed;
+
+    const page = (width, height, items) => ({ width, height, bleed, cropMarks, markOffset, markLength, items });
+
+    const item = (scene, x, y) => ({
+        scene,
+        x,
+        y,
+        width: size,
+        height: size * scene.height / scene.width,
+        scale: size / scene.width
+    });
+
+    if (layout !== QR_PRINT_LAYOUT.SHEET) {
+        return {
+            pages: scenes.map(scene => {
+                const placed = item(scene, pad, pad);
+                return page(size + pad * 2, placed.height + pad * 2, [placed]);
+            }),
+            perPage: 1
+        };
+    }
+
+    const sheetWidth = QR_PRINT.SHEET_WIDTH_MM * POINTS_PER_MM;
+    const sheetHeight = QR_PRINT.SHEET_HEIGHT_MM * POINTS_PER_MM;
+    const margin = QR_PRINT.SHEET_MARGIN_MM * POINTS_PER_MM;
+    const gap = QR_PRINT.SHEET_GAP_MM * POINTS_PER_MM;
+
+    // Комірка сітки - найвища наліпка (рамка з CTA додає висоти)
+    const slotWidth = size + pad * 2;
+    const slotHeight = Math.max(...scenes.map(scene => size * scene.height / scene.width)) + pad * 2;
+
+    const cols = Math.floor((sheetWidth - margin * 2 + gap) / (slotWidth + gap));
+    const rows = Math.floor((sheetHeight - margin * 2 + gap) / (slotHeight + gap));
+    const perPage = Math.max(cols, 0) * Math.max(rows, 0);
+
+    if (perPage === 0) {
+        return { pages: [], perPage: 0 };
+    }
+
+    // Сітка по центру аркуша, однакова на всіх сторінках (зручно для висічки)
+    const startX = (sheetWidth - (cols * slotWidth + (cols - 1) * gap)) / 2;
+    const startY = (sheetHeight - (rows * slotHeight + (rows - 1) * gap)) / 2;
+
+    const queue = fillSheet ? Array(perPage).fill(scenes[0]) : scenes;
+    const pages = [];
+
+    for (let start = 0; start < queue.length; start += perPage) {
+        const items = queue.slice(start, start + perPage).map((scene, index) => item(
+            scene,
+            startX + (index % cols) * (slotWidth + gap) + pad,
+            startY + Math.floor(index / cols) * (slotHeight + gap) + pad
+        ));
+
+        pages.push(page(sheetWidth, sheetHeight, items));
+    }
+
+    return { pages, perPage };
+}
+
+/**
+ * Розмір PNG сторінки в пікселях
+ *
+ * @param {Object} page - Сторінка з buildPrintLayout()
+ * @param {Number} dpi - Роздільна здатність
+ * @returns {Object} - { width, height }
+ */
+export function getPNGPixelSize(page, dpi) {
+    return {
+        width: Math.round(page.width / POINTS_PER_INCH * dpi),
+        height: Math.round(page.height / POINTS_PER_INCH * dpi)
+    };
+}
+
+// ============================================
+// RENDER
+// ============================================
+
+/**
+ * PDF (вектор), по сторінці на кожну сторінку розкладки
+ *
+ * @param {Array<Object>} pages - buildPrintLayout().pages
+ * @param {Object} meta - { title }
+ * @returns {Promise<Buffer>}
+ */
+export async function renderPrintPDF(pages, meta = {}) {
+    try {
+        logInfo('Rendering print PDF', { pages: pages.length });
+
+        const doc = new PDFDocument({
+            autoFirstPage: false,
+            margin: 0,
+            info: { Title: meta.title || 'QR code', Creator: 'QRHub' }
+        });
+
+        const chunks = [];
+        const done = new Promise((resolve, reject) => {
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+        });
+
+        for (const page of pages) {
+            doc.addPage({ size: [page.width, page.height], margin: 0 });
+
+            for (const item of page.items) {
+                const { scene } = item;
+
+                doc.save();
+                doc.translate(item.x, item.y).scale(item.scale);
+
+                for (const layer of withBleed(scene, page.bleed / item.scale)) {
+                    const fill = layer.fill === GRADIENT_FILL ? pdfGradient(doc, scene.gradient) : layer.fill;
+                    doc.path(layer.d).fill(fill, layer.fillRule === 'evenodd' ? 'even-odd' : 'non-zero');
+                }
+
+                // data URI як ключ - pdfkit вбудовує однаковий логотип один раз
+                if (scene.logo) {
+                    doc.image(scene.logo.href, scene.logo.x, scene.logo.y, {
+                        width: scene.logo.size,
+                        height: scene.logo.size
+                    });
+                }
+
+                doc.restore();
+            }
+
+            if (page.cropMarks) {
+                doc.save();
+                doc.lineWidth(QR_PRINT.CROP_MARK_WIDTH_PT);
+
+                for (const [x1, y1, x2, y2] of cropMarkLines(page)) {
+                    doc.moveTo(x1, y1).lineTo(x2, y2);
+                }
+
+                doc.stroke('#000000');
+                doc.restore();
+            }
+        }
+
+        doc.end();
+
+        const buffer = await done;
+
+        logSuccess('Print PDF rendered', { pages: pages.length, size: buffer.length });
+
+        return buffer;
+
+    } catch (error) {
+        logError('Failed to render print PDF', { error: error.message });
+        throw new Error(`PDF rendering failed: ${error.message}`);
+    }
+}
+
+/**
+ * EPS (вектор, PostScript Level 3), одна сторінка
+ * Логотип вбудовується растром на фоні QR (EPS без прозорості)
+ *
+ * @param {Object} page - Сторінка з buildPrintLayout()
+ * @param {Object} meta - { title }
+ * @returns {Promise<Buffer>}
+ */
+export async function renderPrintEPS(page, meta = {}) {
+    try {
+        logInfo('Rendering print EPS', { items: page.items.length });
+
+        const out = [
+            '%!PS-Adobe-3.0 EPSF-3.0',
+            `%%BoundingBox: 0 0 ${Math.ceil(page.width)} ${Math.ceil(page.height)}`,
+            `%%HiResBoundingBox: 0 0 ${num(page.width)} ${num(page.height)}`,
+            `%%Title: ${(meta.title || 'QR code').replace(/[^\x20-\x7E]/g, '?')}`,
+            '%%Creator: QRHub',
+            '%%LanguageLevel: 3',
+            '%%Pages: 1',
+            '%%EndComments',
+            'save',
+            // Початок координат - верхній лівий кут, як у SVG
+            `0 ${num(page.height)} translate 1 -1 scale`
+        ];
+
+        // Логотип однаковий для всіх копій одного QR - дані один раз (ReusableStreamDecode)
+        const logoNames = new Map();
+
+        for (const { scene } of page.items) {
+            if (scene.logo && !logoNames.has(scene.logo.href)) {
+                const name = `qrLogo${logoNames.size}`;
+                const { hex } = await rasterizeLogo(scene.logo);
+
+                logoNames.set(scene.logo.href, name);
+                out.push(`/${name} currentfile /ASCIIHexDecode filter /ReusableStreamDecode filter`, `${hex}>`, 'def');
+            }
+        }
+
+        for (const item of page.items) {
+            const { scene } = item;
+
+            out.push('gsave', `${num(item.x)} ${num(item.y)} translate ${num(item.scale)} ${num(item.scale)} scale`);
+
+            for (const layer of withBleed(scene, page.bleed / item.scale)) {
+                const path = `newpath ${svgPathToPostScript(layer.d)}`;
+                const evenOdd = layer.fillRule === 'evenodd';
+
+                if (layer.fill === GRADIENT_FILL) {
+                    out.push(`gsave ${path} ${evenOdd ? 'eoclip' : 'clip'} newpath ${postScriptShading(scene.gradient)} shfill grestore`);
+                } else {
+                    out.push(`${postScriptColor(layer.fill)} setrgbcolor ${path} ${evenOdd ? 'eofill' : 'fill'}`);
+                }
+            }
+
+            if (scene.logo) {
+                const name = logoNames.get(scene.logo.href);
+                const pixels = QR_STYLE.LOGO_RASTER_SIZE;
+
+                out.push(
+                    'gsave',
+                    `${num(scene.logo.x)} ${num(scene.logo.y)} translate ${num(scene.logo.size)} ${num(scene.logo.size)} scale`,
+                    `${name} resetfile ${pixels} ${pixels} 8 [${pixels} 0 0 ${pixels} 0 0] ${name} false 3 colorimage`,
+                    'grestore'
+                );
+            }
+
+            out.push('grestore');
+        }
+
+        if (page.cropMarks) {
+            out.push(`${QR_PRINT.CROP_MARK_WIDTH_PT} setlinewidth 0 0 0 setrgbcolor`);
+
+            for (const [x1, y1, x2, y2] of cropMarkLines(page)) {
+                out.push(`newpath ${num(x1)} ${num(y1)} moveto ${num(x2)} ${num(y2)} lineto stroke`);
+            }
+        }
+
+        out.push('restore', 'showpage', '%%EOF', '');
+
+        const buffer = Buffer.from(out.join('\n'), 'latin1');
+
+        logSuccess('Print EPS rendered', { size: buffer.length });
+
+        return buffer;
+
+    } catch (error) {
+        logError('Failed to render print EPS', { error: error.message });
+        throw new Error(`EPS rendering failed: ${error.message}`);
+    }
+}
+
+/**
+ * PNG з заданим DPI (DPI записується в метадані файлу)
+ *
+ * @param {Object} page - Сторінка з buildPrintLayout()
+ * @param {Object} options - { dpi }
+ * @returns {Promise<Buffer>}
+ */
+export async function renderPrintPNG(page, options = {}) {
+    try {
+        const dpi = options.dpi || QR_PRINT.DEFAULT_DPI;
+        const { width, height } = getPNGPixelSize(page, dpi);
+
+        logInfo('Rendering print PNG', { width, height, dpi });
+
+        const defs = [];
+        const groups = page.items.map((item, index) => {
+            const svg = buildSceneSVG(
+                { ...item.scene, layers: withBleed(item.scene, page.bleed / item.scale) },
+                `qr-gradient-${index}`
+            );
+
+            defs.push(svg.defs);
+
+            return `
+    <g transform="translate(${num(item.x)} ${num(item.y)}) scale(${num(item.scale)})">${svg.body}
+    </g>`;
+        });
+
+        const marks = page.cropMarks
+            ? `
+    <path d="${cropMarkLines(page).map(([x1, y1, x2, y2]) => `M${num(x1)},${num(y1)}L${num(x2)},${num(y2)}`).join('')}" stroke="#000000" stroke-width="${QR_PRINT.CROP_MARK_WIDTH_PT}" fill="none"/>`
+            : '';
+
+        const svg = `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" viewBox="0 0 ${num(page.width)} ${num(page.height)}" width="${width}" height="${height}">
+    <defs>${defs.join('')}
+    </defs>
+    <rect width="${num(page.width)}" height="${num(page.height)}" fill="#FFFFFF"/>${groups.join('')}${marks}
+</svg>`;
+
+        const png = await sharp(Buffer.from(svg), { limitInputPixels: QR_PRINT.MAX_PNG_PIXELS })
+            .png()
+            .withMetadata({ density: dpi })
+            .toBuffer();
+
+        logSuccess('Print PNG rendered', { width, height, dpi, size: png.length });
+
+        return png;
+
+    } catch (error) {
+        logError('Failed to render print PNG', { error: error.message });
+        throw new Error(`PNG rendering failed: ${error.message}`);
+    }
+}
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Шари сцени з bleed: прямокутні фони біля краю розтягуються за лінію обрізу
+ */
+function withBleed(scene, bleed) {
+    if (!bleed) {
+        return scene.layers;
+    }
+
+    return scene.layers.map(layer => {
+        if (!layer.rect) {
+            return layer;
+        }
+
+        const { x, y, width, height } = layer.rect;
+        const left = x <= 0 ? bleed : 0;
+        const top = y <= 0 ? bleed : 0;
+        const right = x + width >= scene.width ? bleed : 0;
+        const bottom = y + height >= scene.height ? bleed : 0;
+
+        if (!left && !top && !right && !bottom) {
+            return layer;
+        }
+
+        const w = width + left + right;
+        const h = height + top + bottom;
+
+        return { ...layer, d: `M${x - left},${y - top}h${w}v${h}h${-w}z` };
+    });
+}
+
+/**
+ * Мітки обрізу біля кутів кожної наліпки: [x1, y1, x2, y2]
+ */
+function cropMarkLines(page) {
+    const { markOffset: offset, markLength: length } = page;
+    const lines = [];
+
+    for (const item of page.items) {
+        const left = item.x;
+        const right = item.x + item.width;
+        const top = item.y;
+        const bottom = item.y + item.height;
+
+        for (const y of [top, bottom]) {
+            lines.push([left - offset - length, y, left - offset, y]);
+            lines.push([right + offset, y, right + offset + length, y]);
+        }
+
+        for (const x of [left, right]) {
+            lines.push([x, top - offset - length, x, top - offset]);
+            lines.push([x, bottom + offset, x, bottom + offset + length]);
+        }
+    }
+
+    return lines;
+}
+
+function pdfGradient(doc, gradient) {
+    const [startColor, endColor] = gradient.colors;
+
+    const pdfkitGradient = gradient.type === QR_GRADIENT_TYPE.RADIAL
+        ? doc.radialGradient(gradient.cx, gradient.cy, 0, gradient.cx, gradient.cy, gradient.r)
+        : doc.linearGradient(gradient.x1, gradient.y1, gradient.x2, gradient.y2);
+
+    return pdfkitGradient.stop(0, startColor).stop(1, endColor);
+}
+
+function postScriptShading(gradient) {
+    const [startColor, endColor] = gradient.colors;
+
+    const coords = gradient.type === QR_GRADIENT_TYPE.RADIAL
+        ? `/ShadingType 3 /Coords [${num(gradient.cx)} ${num(gradient.cy)} 0 ${num(gradient.cx)} ${num(gradient.cy)} ${num(gradient.r)}]`
+        : `/ShadingType 2 /Coords [${num(gradient.x1)} ${num(gradient.y1)} ${num(gradient.x2)} ${num(gradient.y2)}]`;
+
+    return `<< ${coords} /ColorSpace /DeviceRGB /Extend [true true] ` +
+        `/Function << /FunctionType 2 /Domain [0 1] /C0 [${postScriptColor(startColor)}] /C1 [${postScriptColor(endColor)}] /N 1 >> >>`;
+}
+
+function postScriptColor(hex) {
+    const value = hex.replace('#', '');
+
+    return [0, 2, 4]
+        .map(offset => num(parseInt(value.slice(offset, offset + 2), 16) / 255))
+        .join(' ');
+}
+
+/**
+ * Логотип на фоні QR як RGB hex для colorimage
+ */
+async function rasterizeLogo(logo) {
+    const { data } = await sharp(dataURIToBuffer(logo.href))
+        .resize(QR_STYLE.LOGO_RASTER_SIZE, QR_STYLE.LOGO_RASTER_SIZE)
+        .flatten({ background: logo.background })
+        .removeAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    // Рядки по 64 байти - PostScript інтерпретатори не люблять дуже довгі рядки
+    const hex = data.toString('hex').replace(/(.{128})/g, '$1\n');
+
+    return { hex };
+}
+
+/**
+ * SVG path data (M L H V C Q A Z, абсолютні та відносні) → оператори PostScript
+ * Дуги - тільки колові (rx = ry), як у buildQRScene
+ */
+function svgPathToPostScript(d) {
+    const tokens = d.match(/[MmLlHhVvCcQqAaZz]|-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/g) || [];
+    const ops = [];
+
+    let index = 0;
+    let command = null;
+    let x = 0;
+    let y = 0;
+    let startX = 0;
+    let startY = 0;
+
+    const next = () => parseFloat(tokens[index++]);
+
+    while (index < tokens.length) {
+        if (/[A-Za-z]/.test(tokens[index])) {
+            command = tokens[index++];
+        }
+
+        const relative = command === command.toLowerCase();
+        const dx = relative ? x : 0;
+        const dy = relative ? y : 0;
+
+        switch (command.toUpperCase()) {
+            case 'M': {
+                x = next() + dx;
+                y = next() + dy;
+                startX = x;
+                startY = y;
+                ops.push(`${num(x)} ${num(y)} moveto`);
+                // Наступні пари координат після M - lineto
+                command = relative ? 'l' : 'L';
+                break;
+            }
+            case 'L': {
+                x = next() + dx;
+                y = next() + dy;
+                ops.push(`${num(x)} ${num(y)} lineto`);
+                break;
+            }
+            case 'H': {
+                x = next() + dx;
+                ops.push(`${num(x)} ${num(y)} lineto`);
+                break;
+            }
+            case 'V': {
+                y = next() + dy;
+                ops.push(`${num(x)} ${num(y)} lineto`);
+                break;
+            }
+            case 'C': {
+                const points = [next() + dx, next() + dy, next() + dx, next() + dy, next() + dx, next() + dy];
+                ops.push(`${points.map(num).join(' ')} curveto`);
+                [x, y] = points.slice(4);
+                break;
+            }
+            case 'Q': {
+                // Квадратична крива → кубічна з тими ж кінцями
+                const [qx, qy, endX, endY] = [next() + dx, next() + dy, next() + dx, next() + dy];
+                const points = [
+                    x + (qx - x) * 2 / 3, y + (qy - y) * 2 / 3,
+                    endX + (qx - endX) * 2 / 3, endY + (qy - endY) * 2 / 3,
+                    endX, endY
+                ];
+                ops.push(`${points.map(num).join(' ')} curveto`);
+                [x, y] = [endX, endY];
+                break;
+            }
+            case 'A': {
+                const r = next();
+                next(); // ry
+                next(); // x-axis-rotation
+                const largeArc = next();
+                const sweep = next();
+                const endX = next() + dx;
+                const endY = next() + dy;
+
+                ops.push(arcToPostScript(x, y, r, largeArc, sweep, endX, endY));
+                [x, y] = [endX, endY];
+                break;
+            }
+            case 'Z': {
+                ops.push('closepath');
+                [x, y] = [startX, startY];
+                break;
+            }
+            default:
+                throw new Error(`Unsupported path command: ${command}`);
+        }
+    }
+
+    return ops.join(' ');
+}
+
+/**
+ * Колова дуга SVG (кінцеві точки) → arc / arcn PostScript (центр та кути)
+ * sweep 1 - напрям зростання кута в координатах сцени (y вниз)
+ */
+function arcToPostScript(x1, y1, r, largeArc, sweep, x2, y2) {
+    if (x1 === x2 && y1 === y2) {
+        return '';
+    }
+
+    const midX = (x1 - x2) / 2;
+    const midY = (y1 - y2) / 2;
+    const distance = midX * midX + midY * midY;
+    const radius = Math.max(r, Math.sqrt(distance));
+
+    const sign = largeArc === sweep ? -1 : 1;
+    const coef = sign * Math.sqrt(Math.max(0, (radius * radius - distance) / distance));
+
+    const cx = coef * midY + (x1 + x2) / 2;
+    const cy = -coef * midX + (y1 + y2) / 2;
+
+    const startAngle = Math.atan2(y1 - cy, x1 - cx) * 180 / Math.PI;
+    const endAngle = Math.atan2(y2 - cy, x2 - cx) * 180 / Math.PI;
+
+    return `${num(cx)} ${num(cy)} ${num(radius)} ${num(startAngle)} ${num(endAngle)} ${sweep ? 'arc' : 'arcn'}`;
+}
+
+function dataURIToBuffer(dataURI) {
+    return Buffer.from(dataURI.slice(dataURI.indexOf(',') + 1), 'base64');
+}
+
+function num(value) {
+    return String(Math.round(value * 1000) / 1000);
+}
+
+// ============================================
+// DEFAULT EXPORT
+// ============================================
+
+export default {
+    toPoints,
+    buildPrintLayout,
+    getPNGPixelSize,
+    renderPrintPDF,
+    renderPrintEPS,
+    renderPrintPNG
+};
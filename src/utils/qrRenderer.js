@@ -0,0 +1,620 @@
+/**
+ * QR Renderer Utility
+ * Стилізований QR: форма модулів, кольори "очей", градієнт, логотип, рамка з CTA
+ *
+ * SVG будується з матриці модулів (qrcode.create), PNG - растеризація
+ * того ж SVG через sharp, тому обидва формати виглядають однаково.
+ *
+ * Логотип закриває центр QR: error correction примусово H (30% відновлення),
+ * а площа під логотипом обмежена QR_STYLE.LOGO_SIZE_RATIO.
+ *
+ * Координати SVG - у модулях (1 модуль = 1 одиниця viewBox).
+ * Геометрія (buildQRScene) спільна для SVG / PNG та друкованих форматів.
+ * Текст рамки - контури гліфів (DejaVu Sans Bold), без залежності від шрифтів системи.
+ */
+
+import { createRequire } from 'module';
+import QRCodeLib from 'qrcode';
+import sharp from 'sharp';
+import { openSync as openFont } from 'fontkit';
+import { logInfo, logSuccess, logError } from './logger.js';
+import {
+    QR_CODE_SETTINGS,
+    QR_MODULE_STYLE,
+    QR_GRADIENT_TYPE,
+    QR_FRAME_STYLE,
+    QR_STYLE
+} from '../config/constants.js';
+
+// Розмір "ока" (finder pattern) у модулях
+const EYE_SIZE = 7;
+
+// Висота смуги з текстом рамки (модулі) та відступ рамки навколо QR
+const FRAME_BAND = 5;
+const FRAME_PADDING = 1;
+
+// Шрифт тексту рамки (кирилиця + латиниця), завантажується при першому використанні
+const FRAME_FONT_PATH = createRequire(import.meta.url).resolve('dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf');
+let frameFont = null;
+
+// fill шару, який заливається градієнтом сцени
+export const GRADIENT_FILL = 'gradient';
+
+// ============================================
+// RENDER
+// ============================================
+
+/**
+ * Стилізований QR у форматах PNG та SVG
+ *
+ * @param {String} url - URL, який кодується в QR
+ * @param {Object} options - Опції дизайну
+ * @param {String} options.primaryColor - Колір модулів (#000000)
+ * @param {String} options.backgroundColor - Колір фону (#FFFFFF)
+ * @param {Object} options.style - { moduleStyle, eyeColors, gradient, frame }
+ * @param {String} options.logo - Логотип як data URI (prepareLogo) або null
+ * @param {Number} options.width - Ширина PNG у px (500)
+ * @param {Number} options.margin - Відступ навколо QR у модулях (2)
+ * @returns {Promise<Object>} - { png: Buffer, svg: String }
+ */
+export async function renderStyledQR(url, options = {}) {
+    try {
+        logInfo('Rendering styled QR code', {
+            url,
+            moduleStyle: options.style?.moduleStyle,
+            hasLogo: Boolean(options.logo)
+        });
+
+        const svg = buildStyledQRSVG(url, options);
+        const png = await sharp(Buffer.from(svg)).png().toBuffer();
+
+        logSuccess('Styled QR code rendered', {
+            url,
+            pngSize: png.length,
+            svgSize: svg.length
+        });
+
+        return { png, svg };
+
+    } catch (error) {
+        logError('Failed to render styled QR code', {
+            url,
+            error: error.message
+        });
+        throw new Error(`QR rendering failed: ${error.message}`);
+    }
+}
+
+/**
+ * SVG стилізованого QR
+ *
+ * @param {String} url - URL, який кодується в QR
+ * @param {Object} options - Див. renderStyledQR()
+ * @returns {String} - SVG документ
+ */
+export function buildStyledQRSVG(url, options = {}) {
+    const scene = buildQRScene(url, options);
+    const width = options.width || QR_CODE_SETTINGS.DEFAULT_SIZE;
+    const { defs, body } = buildSceneSVG(scene);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" viewBox="0 0 ${scene.width} ${scene.height}" width="${width}" height="${Math.round(width * scene.height / scene.width)}">
+    <defs>${defs}
+    </defs>${body}
+</svg>`;
+}
+
+/**
+ * Геометрія стилізованого QR, спільна для SVG / PNG та друкованих форматів (PDF, EPS)
+ *
+ * layers - шари знизу вгору: { d (SVG path), fill (hex або GRADIENT_FILL), fillRule, rect }
+ * rect - межі прямокутного фону (для bleed: шари біля краю розтягуються за межу обрізу)
+ *
+ * @param {String} url - URL, який кодується в QR
+ * @param {Object} options - Див. renderStyledQR()
+ * @returns {Object} - { width, height, layers, gradient, logo } (одиниці - модулі)
+ * logo - { href, x, y, size, background (колір під логотипом) }
+ */
+export function buildQRScene(url, options = {}) {
+    const style = options.style || {};
+    const primaryColor = options.primaryColor || QR_CODE_SETTINGS.DEFAULT_COLORS.dark;
+    const backgroundColor = options.backgroundColor || QR_CODE_SETTINGS.DEFAULT_COLORS.light;
+    const margin = options.margin !== undefined ? options.margin : QR_CODE_SETTINGS.DEFAULT_MARGIN;
+
+    const qr = QRCodeLib.create(url, {
+        errorCorrectionLevel: options.logo
+            ? 'H'
+            : options.errorCorrectionLevel || QR_CODE_SETTINGS.ERROR_CORRECTION_LEVEL
+    });
+
+    const size = qr.modules.size;
+    const qrSize = size + margin * 2;
+
+    // Рамка: фон, смуга з текстом і зсув QR всередині рамки
+    const frame = resolveFrame(style.frame, primaryColor, backgroundColor);
+    const { width, height, offset, layers } = buildFrame(frame, qrSize, backgroundColor);
+    const origin = offset + margin;
+
+    // Площа під логотип: непарна, щоб стояти точно по центру (size завжди непарний)
+    const logoModules = options.logo ? toOdd(size * QR_STYLE.LOGO_SIZE_RATIO) : 0;
+    const holeModules = logoModules ? logoModules + QR_STYLE.LOGO_PADDING_MODULES * 2 : 0;
+    const holeStart = (size - holeModules) / 2;
+
+    const isInHole = (row, col) => holeModules > 0 &&
+        row >= holeStart && row < holeStart + holeModules &&
+        col >= holeStart && col < holeStart + holeModules;
+
+    const isInEye = (row, col) =>
+        (row < EYE_SIZE && (col < EYE_SIZE || col >= size - EYE_SIZE)) ||
+        (row >= size - EYE_SIZE && col < EYE_SIZE);
+
+    // Модуль малюється, якщо він темний і не належить "оку" чи площі логотипу
+    const isDrawn = (row, col) =>
+        row >= 0 && col >= 0 && row < size && col < size &&
+        Boolean(qr.modules.get(row, col)) &&
+        !isInEye(row, col) &&
+        !isInHole(row, col);
+
+    const moduleFill = style.gradient?.type ? GRADIENT_FILL : primaryColor;
+    const eyeOuterFill = style.eyeColors?.outer || moduleFill;
+    const eyeInnerFill = style.eyeColors?.inner || style.eyeColors?.outer || moduleFill;
+
+    // Модулі
+    const modulePaths = [];
+
+    for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+            if (isDrawn(row, col)) {
+                modulePaths.push(modulePath(style.moduleStyle, col + origin, row + origin, row, col, isDrawn));
+            }
+        }
+    }
+
+    layers.push({
+        d: modulePaths.join(''),
+        fill: moduleFill,
+        crispEdges: style.moduleStyle !== QR_MODULE_STYLE.ROUNDED && style.moduleStyle !== QR_MODULE_STYLE.DOT
+    });
+
+    // "Очі"
+    for (const [row, col] of [[0, 0], [0, size - EYE_SIZE], [size - EYE_SIZE, 0]]) {
+        const { outer, inner } = eyeShapes(style.moduleStyle, col + origin, row + origin);
+
+        layers.push({ d: outer, fill: eyeOuterFill, fillRule: 'evenodd' });
+        layers.push({ d: inner, fill: eyeInnerFill });
+    }
+
+    // Логотип: фон під ним + зображення поверх усіх шарів
+    let logo = null;
+
+    if (options.logo) {
+        layers.push(rectLayer(holeStart + origin, holeStart + origin, holeModules, holeModules, backgroundColor));
+
+        logo = {
+            href: options.logo,
+            x: holeStart + origin + QR_STYLE.LOGO_PADDING_MODULES,
+            y: holeStart + origin + QR_STYLE.LOGO_PADDING_MODULES,
+            size: logoModules,
+            background: backgroundColor
+        };
+    }
+
+    // Текст рамки (контури, тому не залежить від шрифтів на сервері / у друкарні)
+    if (frame && frame.style !== QR_FRAME_STYLE.NONE && frame.text) {
+        layers.push(buildFrameText(frame, width, height, offset));
+    }
+
+    return {
+        width,
+        height,
+        layers,
+        gradient: buildGradient(style.gradient, origin, size),
+        logo
+    };
+}
+
+/**
+ * SVG розмітка шарів сцени
+ *
+ * @param {Object} scene - buildQRScene()
+ * @param {String} gradientId - id градієнту (унікальний в межах документа)
+ * @returns {Object} - { defs, body }
+ */
+export function buildSceneSVG(scene, gradientId = 'qr-gradient') {
+    const fillOf = (fill) => fill === GRADIENT_FILL ? `url(#${gradientId})` : fill;
+
+    const layers = scene.layers.map(layer => `
+    <path d="${layer.d}" fill="${fillOf(layer.fill)}"${layer.fillRule ? ` fill-rule="${layer.fillRule}"` : ''}${layer.crispEdges ? ' shape-rendering="crispEdges"' : ''}/>`);
+
+    const logo = scene.logo
+        ? `
+    <image xlink:href="${scene.logo.href}" x="${scene.logo.x}" y="${scene.logo.y}" width="${scene.logo.size}" height="${scene.logo.size}" preserveAspectRatio="xMidYMid meet"/>`
+        : '';
+
+    return {
+        defs: gradientSVG(scene.gradient, gradientId),
+        body: layers.join('') + logo
+    };
+}
+
+// ============================================
+// READABILITY
+// ============================================
+
+/**
+ * Перевірка, що комбінація кольорів скануватиметься
+ * Сканери очікують темні модулі на світлому фоні з достатнім контрастом
+ *
+ * @param {Object} options - { primaryColor, backgroundColor, style }
+ * @returns {Object} - { isReadable, issues }
+ */
+export function checkQRReadability(options = {}) {
+    const style = options.style || {};
+    const background = options.backgroundColor || QR_CODE_SETTINGS.DEFAULT_COLORS.light;
+    const issues = [];
+
+    // Градієнт замінює primaryColor для модулів - перевіряємо кожну точку
+    const moduleColors = style.gradient?.type
+        ? (style.gradient.colors || []).map((color, index) => [`Колір градієнту ${index + 1}`, color])
+        : [['Колір QR', options.primaryColor || QR_CODE_SETTINGS.DEFAULT_COLORS.dark]];
+
+    const colors = [
+        ...moduleColors,
+        ['Зовнішня частина "ока"', style.eyeColors?.outer],
+        ['Внутрішня частина "ока"', style.eyeColors?.inner]
+    ].filter(([, color]) => color);
+
+    for (const [label, color] of colors) {
+        const ratio = getContrastRatio(color, background);
+
+        if (getRelativeLuminance(color) > getRelativeLuminance(background)) {
+            issues.push(`${label}: світлі модулі на темному фоні не розпізнає більшість сканерів`);
+        } else if (ratio < QR_STYLE.MIN_CONTRAST_RATIO) {
+            issues.push(`${label}: недостатній контраст з фоном (${ratio.toFixed(1)}:1, потрібно мінімум ${QR_STYLE.MIN_CONTRAST_RATIO}:1)`);
+        }
+    }
+
+    const frame = resolveFrame(
+        style.frame,
+        options.primaryColor || QR_CODE_SETTINGS.DEFAULT_COLORS.dark,
+        background
+    );
+
+    if (frame?.style && frame.style !== QR_FRAME_STYLE.NONE && frame.text) {
+        const ratio = getContrastRatio(frame.textColor, frame.color);
+
+        if (ratio < QR_STYLE.MIN_FRAME_TEXT_CONTRAST) {
+            issues.push(`Текст рамки: недостатній контраст з кольором рамки (${ratio.toFixed(1)}:1, потрібно мінімум ${QR_STYLE.MIN_FRAME_TEXT_CONTRAST}:1)`);
+        }
+    }
+
+    return {
+        isReadable: issues.length === 0,
+        issues
+    };
+}
+
+/**
+ * WCAG contrast ratio двох hex кольорів (1 - 21)
+ *
+ * @param {String} colorA - #RRGGBB
+ * @param {String} colorB - #RRGGBB
+ * @returns {Number}
+ */
+export function getContrastRatio(colorA, colorB) {
+    const [lighter, darker] = [getRelativeLuminance(colorA), getRelativeLuminance(colorB)]
+        .sort((a, b) => b - a);
+
+    return (lighter + 0.05) / (darker + 0.05);
+}
+
+// ============================================
+// LOGO
+// ============================================
+
+/**
+ * Логотип для вбудовування в QR: квадрат QR_STYLE.LOGO_RASTER_SIZE (з прозорістю)
+ *
+ * @param {Buffer} buffer - Зображення (PNG, JPEG, WebP, SVG)
+ * @returns {Promise<String>} - data URI (image/png)
+ */
+export async function prepareLogo(buffer) {
+    const png = await sharp(buffer)
+        .resize(QR_STYLE.LOGO_RASTER_SIZE, QR_STYLE.LOGO_RASTER_SIZE, {
+            fit: 'contain',
+            background: { r: 0, g: 0, b: 0, alpha: 0 }
+        })
+        .png()
+        .toBuffer();
+
+    return `data:image/png;base64,${png.toString('base64')}`;
+}
+
+// ============================================
+// SHAPES
+// ============================================
+
+/**
+ * Path одного модуля
+ * rounded: кут заокруглюється, якщо обидва сусіди біля нього порожні
+ */
+function modulePath(moduleStyle, x, y, row, col, isDrawn) {
+    if (moduleStyle === QR_MODULE_STYLE.DOT) {
+        return circlePath(x + 0.5, y + 0.5, 0.45);
+    }
+
+    if (moduleStyle === QR_MODULE_STYLE.ROUNDED) {
+        const top = isDrawn(row - 1, col);
+        const bottom = isDrawn(row + 1, col);
+        const left = isDrawn(row, col - 1);
+        const right = isDrawn(row, col + 1);
+        const r = 0.5;
+
+        const tl = !top && !left ? r : 0;
+        const tr = !top && !right ? r : 0;
+        const br = !bottom && !right ? r : 0;
+        const bl = !bottom && !left ? r : 0;
+
+        return `M${x + tl},${y}` +
+            `H${x + 1 - tr}` + (tr ? `A${r},${r} 0 0 1 ${x + 1},${y + tr}` : '') +
+            `V${y + 1 - br}` + (br ? `A${r},${r} 0 0 1 ${x + 1 - br},${y + 1}` : '') +
+            `H${x + bl}` + (bl ? `A${r},${r} 0 0 1 ${x},${y + 1 - bl}` : '') +
+            `V${y + tl}` + (tl ? `A${r},${r} 0 0 1 ${x + tl},${y}` : '') +
+            'Z';
+    }
+
+    return `M${x},${y}h1v1h-1z`;
+}
+
+/**
+ * "Око": рамка 7x7 з отвором 5x5 (evenodd) та центр 3x3
+ */
+function eyeShapes(moduleStyle, x, y) {
+    if (moduleStyle === QR_MODULE_STYLE.DOT) {
+        const center = EYE_SIZE / 2;
+
+        return {
+            outer: circlePath(x + center, y + center, 3.5) + circlePath(x + center, y + center, 2.5),
+            inner: circlePath(x + center, y + center, 1.5)
+        };
+    }
+
+    if (moduleStyle === QR_MODULE_STYLE.ROUNDED) {
+        return {
+            outer: roundedRectPath(x, y, 7, 7, 2) + roundedRectPath(x + 1, y + 1, 5, 5, 1.2),
+            inner: roundedRectPath(x + 2, y + 2, 3, 3, 0.8)
+        };
+    }
+
+    return {
+        outer: `M${x},${y}h7v7h-7z M${x + 1},${y + 1}v5h5v-5z`,
+        inner: `M${x + 2},${y + 2}h3v3h-3z`
+    };
+}
+
+function circlePath(cx, cy, r) {
+    return `M${cx - r},${cy}a${r},${r} 0 1,0 ${r * 2},0a${r},${r} 0 1,0 ${-r * 2},0Z`;
+}
+
+function roundedRectPath(x, y, width, height, r) {
+    return `M${x + r},${y}H${x + width - r}A${r},${r} 0 0 1 ${x + width},${y + r}` +
+        `V${y + height - r}A${r},${r} 0 0 1 ${x + width - r},${y + height}` +
+        `H${x + r}A${r},${r} 0 0 1 ${x},${y + height - r}` +
+        `V${y + r}A${r},${r} 0 0 1 ${x + r},${y}Z`;
+}
+
+/**
+ * Прямокутний фон (rect - для розтягування в bleed)
+ */
+function rectLayer(x, y, width, height, fill) {
+    return {
+        d: `M${x},${y}h${width}v${height}h${-width}z`,
+        fill,
+        rect: { x, y, width, height }
+    };
+}
+
+// ============================================
+// GRADIENT & FRAME
+// ============================================
+
+/**
+ * Градієнт модулів у координатах сцени
+ * linear: { type, colors, x1, y1, x2, y2 }, radial: { type, colors, cx, cy, r }
+ */
+function buildGradient(gradient, origin, size) {
+    if (!gradient?.type) {
+        return null;
+    }
+
+    const center = origin + size / 2;
+
+    if (gradient.type === QR_GRADIENT_TYPE.RADIAL) {
+        return {
+            type: gradient.type,
+            colors: gradient.colors,
+            cx: center,
+            cy: center,
+            r: round(size / 2 * Math.SQRT2)
+        };
+    }
+
+    // rotation: 0 - зліва направо, 90 - згори вниз
+    const angle = (gradient.rotation || 0) * Math.PI / 180;
+    const dx = Math.cos(angle) * size / 2;
+    const dy = Math.sin(angle) * size / 2;
+
+    return {
+        type: gradient.type,
+        colors: gradient.colors,
+        x1: round(center - dx),
+        y1: round(center - dy),
+        x2: round(center + dx),
+        y2: round(center + dy)
+    };
+}
+
+/**
+ * <linearGradient> / <radialGradient> для SVG
+ */
+function gradientSVG(gradient, id) {
+    if (!gradient) {
+        return '';
+    }
+
+    const [startColor, endColor] = gradient.colors;
+    const stops = `
+            <stop offset="0" stop-color="${startColor}"/>
+            <stop offset="1" stop-color="${endColor}"/>`;
+
+    if (gradient.type === QR_GRADIENT_TYPE.RADIAL) {
+        return `
+        <radialGradient id="${id}" gradientUnits="userSpaceOnUse" cx="${gradient.cx}" cy="${gradient.cy}" r="${gradient.r}">${stops}
+        </radialGradient>`;
+    }
+
+    return `
+        <linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${gradient.x1}" y1="${gradient.y1}" x2="${gradient.x2}" y2="${gradient.y2}">${stops}
+        </linearGradient>`;
+}
+
+/**
+ * Фон та рамка навколо QR
+ *
+ * @returns {Object} - { width, height, offset (зсув QR), layers }
+ */
+function buildFrame(frame, qrSize, backgroundColor) {
+    const frameStyle = frame?.style || QR_FRAME_STYLE.NONE;
+
+    if (frameStyle === QR_FRAME_STYLE.NONE) {
+        return {
+            width: qrSize,
+            height: qrSize,
+            offset: 0,
+            layers: [rectLayer(0, 0, qrSize, qrSize, backgroundColor)]
+        };
+    }
+
+    const isBox = frameStyle === QR_FRAME_STYLE.BOX;
+    const offset = isBox ? FRAME_PADDING : 0;
+    const width = qrSize + offset * 2;
+    const height = qrSize + offset * 2 + FRAME_BAND;
+
+    const layers = isBox
+        ? [
+            { ...rectLayer(0, 0, width, height, frame.color), d: roundedRectPath(0, 0, width, height, 1.5) },
+            { ...rectLayer(offset, offset, qrSize, qrSize, backgroundColor), d: roundedRectPath(offset, offset, qrSize, qrSize, 0.5) }
+        ]
+        : [
+            rectLayer(0, 0, width, qrSize, backgroundColor),
+            rectLayer(0, qrSize, width, FRAME_BAND, frame.color)
+        ];
+
+    return { width, height, offset, layers };
+}
+
+/**
+ * Текст CTA у смузі рамки як контури гліфів
+ * Розмір вписується по ширині (максимум половина висоти смуги)
+ */
+function buildFrameText(frame, width, height, offset) {
+    const font = getFrameFont();
+    const run = font.layout(frame.text);
+    const textWidth = run.advanceWidth / font.unitsPerEm;
+
+    const fontSize = Math.min(FRAME_BAND * 0.5, width * 0.9 / Math.max(textWidth, 1));
+    const scale = fontSize / font.unitsPerEm;
+    const baseline = height - FRAME_BAND / 2 - offset / 2 + fontSize * 0.35;
+
+    let penX = (width - textWidth * fontSize) / 2;
+    const paths = [];
+
+    run.glyphs.forEach((glyph, index) => {
+        const position = run.positions[index];
+        const glyphX = penX + position.xOffset * scale;
+        const glyphY = baseline - position.yOffset * scale;
+
+        // Координати шрифту: y вгору
+        const point = (x, y) => `${round(glyphX + x * scale)},${round(glyphY - y * scale)}`;
+
+        for (const { command, args } of glyph.path.commands) {
+            if (command === 'moveTo') {
+                paths.push(`M${point(args[0], args[1])}`);
+            } else if (command === 'lineTo') {
+                paths.push(`L${point(args[0], args[1])}`);
+            } else if (command === 'quadraticCurveTo') {
+                paths.push(`Q${point(args[0], args[1])} ${point(args[2], args[3])}`);
+            } else if (command === 'bezierCurveTo') {
+                paths.push(`C${point(args[0], args[1])} ${point(args[2], args[3])} ${point(args[4], args[5])}`);
+            } else if (command === 'closePath') {
+                paths.push('Z');
+            }
+        }
+
+        penX += position.xAdvance * scale;
+    });
+
+    return { d: paths.join(''), fill: frame.textColor };
+}
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Рамка з кольорами за замовчуванням: рамка - primaryColor, текст - backgroundColor
+ */
+function resolveFrame(frame, primaryColor, backgroundColor) {
+    if (!frame) {
+        return null;
+    }
+
+    return {
+        ...frame,
+        color: frame.color || primaryColor,
+        textColor: frame.textColor || backgroundColor
+    };
+}
+
+/**
+ * Відносна яскравість hex кольору (WCAG 2.x)
+ */
+function getRelativeLuminance(hex) {
+    const value = hex.replace('#', '');
+    const [r, g, b] = [0, 2, 4]
+        .map(offset => parseInt(value.slice(offset, offset + 2), 16) / 255)
+        .map(channel => channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4);
+
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function getFrameFont() {
+    if (!frameFont) {
+        frameFont = openFont(FRAME_FONT_PATH);
+    }
+
+    return frameFont;
+}
+
+function toOdd(value) {
+    const rounded = Math.round(value);
+    return rounded % 2 === 0 ? rounded + 1 : rounded;
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// ============================================
+// DEFAULT EXPORT
+// ============================================
+
+export default {
+    renderStyledQR,
+    buildStyledQRSVG,
+    buildQRScene,
+    buildSceneSVG,
+    checkQRReadability,
+    getContrastRatio,
+    prepareLogo
+};
@@ -0,0 +1,90 @@
+/**
+ * Redirect Cache Utility
+ * Кеш shortCode → дані для redirect
+ *
+ * Redirect /s/:shortCode не ходить у БД, поки запис у кеші.
+ * Невідомі shortCode теж кешуються (коротше), щоб перебір кодів не навантажував БД.
+ *
+ * Ключ - код із запиту (shortCode або alias), тому зміна QR інвалідує всі його коди.
+ * QRCodeService інвалідує записи при зміні targetUrl/правил/варіантів/статусу/кодів.
+ * Інші інстанси API побачать зміну після REDIRECT_CACHE.TTL_MS.
+ */
+
+import { createLRUCache } from './lruCache.js';
+import { REDIRECT_CACHE } from '../config/constants.js';
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const cache = createLRUCache({
+    maxEntries: REDIRECT_CACHE.MAX_ENTRIES,
+    ttl: REDIRECT_CACHE.TTL_MS
+});
+
+const normalize = shortCode => shortCode.toLowerCase();
+
+// ============================================
+// GET / SET
+// ============================================
+
+/**
+ * Отримати запис з кешу
+ *
+ * @param {String} shortCode - Короткий код
+ * @returns {Object|null|undefined} - Запис, null (QR не знайдено) або undefined (немає в кеші)
+ */
+export function getCachedRedirect(shortCode) {
+    const key = normalize(shortCode);
+
+    return cache.has(key) ? cache.get(key) : undefined;
+}
+
+/**
+ * Зберегти запис (null - QR не знайдено або неактивний)
+ *
+ * @param {String} shortCode - Короткий код
+ * @param {Object|null} redirect - { qrCodeId, businessId, websiteId, name, shortCode, targetUrl, redirectRules, splitVariants, scanCount }
+ */
+export function setCachedRedirect(shortCode, redirect) {
+    cache.set(
+        normalize(shortCode),
+        redirect,
+        redirect ? REDIRECT_CACHE.TTL_MS : REDIRECT_CACHE.NOT_FOUND_TTL_MS
+    );
+}
+
+/**
+ * Видалити запис (після зміни QR коду)
+ *
+ * @param {String} shortCode - Короткий код
+ */
+export function invalidateRedirect(shortCode) {
+    if (shortCode) {
+        cache.delete(normalize(shortCode));
+    }
+}
+
+/**
+ * Видалити записи всіх кодів QR (shortCode + aliases)
+ *
+ * @param {Object} qrcode - { shortCode, aliases }
+ */
+export function invalidateQRCodeRedirects(qrcode) {
+    if (!qrcode) {
+        return;
+    }
+
+    [qrcode.shortCode, ...(qrcode.aliases || [])].forEach(invalidateRedirect);
+}
+
+// ============================================
+// DEFAULT EXPORT
+// ============================================
+
+export default {
+    getCachedRedirect,
+    setCachedRedirect,
+    invalidateRedirect,
+    invalidateQRCodeRedirects
+};
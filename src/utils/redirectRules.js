@@ -0,0 +1,225 @@
+/**
+ * Redirect Rules Utility
+ * Вибір destination для скану за умовними правилами QR коду
+ *
+ * Правила перевіряються по порядку, перше співпадіння визначає URL.
+ * Немає співпадінь - targetUrl QR коду (default).
+ *
+ * Умови (всі задані мають виконатись; в межах списку - будь-яке значення):
+ * - devices: тип пристрою з deviceDetector (iOS, Android, Desktop, Other)
+ * - os: назва ОС без версії ('iOS' співпадає з 'iOS 17.4')
+ * - countries / cities: з геолокації, без урахування регістру
+ * - languages: Accept-Language ('uk' співпадає з 'uk-UA')
+ * - timeWindow: дні тижня та години у timezone правила
+ * - scanCount: номер скану QR коду (min / max включно)
+ *
+ * Невідоме значення (геолокація недоступна, немає Accept-Language)
+ * не співпадає з умовою - скан іде далі по списку.
+ */
+
+import { getZonedParts } from './dateHelpers.js';
+
+const UNKNOWN = 'unknown';
+
+// ============================================
+// MATCH
+// ============================================
+
+/**
+ * Перше правило, умови якого виконуються для скану
+ *
+ * @param {Array} rules - QRCode.redirectRules
+ * @param {Object} context - { device, os, country, city, languages, date, scanNumber }
+ * @returns {Object|null} - Правило або null (default targetUrl)
+ */
+export function matchRedirectRule(rules = [], context = {}) {
+    return rules.find(rule => rule.isEnabled !== false && matchesConditions(rule.conditions || {}, context)) || null;
+}
+
+/**
+ * Чи потрібна геолокація для перевірки правил
+ * (щоб redirect без country/city правил не чекав на lookup)
+ *
+ * @param {Array} rules - QRCode.redirectRules
+ * @returns {Boolean}
+ */
+export function rulesNeedLocation(rules = []) {
+    return rules.some(({ isEnabled, conditions = {} }) =>
+        isEnabled !== false && (hasValues(conditions.countries) || hasValues(conditions.cities))
+    );
+}
+
+/**
+ * Мовні теги з Accept-Language у порядку пріоритету
+ * 'uk-UA,uk;q=0.9,en;q=0.8' → ['uk-ua', 'uk', 'en']
+ *
+ * @param {String} header - Accept-Language
+ * @returns {Array<String>}
+ */
+export function parseAcceptLanguage(header) {
+    if (!header || typeof header !== 'string') {
+        return [];
+    }
+
+    return header
+        .split(',')
+        .map(part => {
+            const [tag, ...params] = part.trim().split(';');
+            const quality = params
+                .map(param => param.trim())
+                .find(param => param.startsWith('q='));
+
+            return {
+                tag: tag.trim().toLowerCase(),
+                q: quality ? Number(quality.slice(2)) : 1
+            };
+        })
+        .filter(({ tag, q }) => tag && tag !== '*' && q > 0)
+        .sort((a, b) => b.q - a.q)
+        .map(({ tag }) => tag);
+}
+
+// ============================================
+// CONDITIONS
+// ============================================
+
+function matchesConditions(conditions, context) {
+    const { devices, os, countries, cities, languages, timeWindow, scanCount } = conditions;
+
+    if (hasValues(devices) && !devices.includes(context.device)) {
+        return false;
+    }
+
+    if (hasValues(os) && !matchesOS(os, context.os)) {
+        return false;
+    }
+
+    if (hasValues(countries) && !matchesName(countries, context.country)) {
+        return false;
+    }
+
+    if (hasValues(cities) && !matchesName(cities, context.city)) {
+        return false;
+    }
+
+    if (hasValues(languages) && !matchesLanguage(languages, context.languages)) {
+        return false;
+    }
+
+    if (isTimeWindowSet(timeWindow) && !matchesTimeWindow(timeWindow, context.date || new Date())) {
+        return false;
+    }
+
+    if (isScanCountSet(scanCount) && !matchesScanCount(scanCount, context.scanNumber)) {
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * 'iOS' співпадає з 'iOS 17.4', але 'Mac' не співпадає з 'Mac OS'
+ */
+function matchesOS(values, actual) {
+    const os = normalize(actual);
+
+    if (!os || os === UNKNOWN) {
+        return false;
+    }
+
+    return values.some(value => {
+        const expected = normalize(value);
+        return os === expected || os.startsWith(`${expected} `);
+    });
+}
+
+function matchesName(values, actual) {
+    const name = normalize(actual);
+
+    if (!name || name === UNKNOWN) {
+        return false;
+    }
+
+    return values.some(value => normalize(value) === name);
+}
+
+/**
+ * Будь-яка мова клієнта співпадає з правилом:
+ * правило 'uk' - з 'uk' та 'uk-ua', правило 'pt-br' - тільки з 'pt-br'
+ */
+function matchesLanguage(values, languages = []) {
+    return values.some(value => {
+        const expected = normalize(value);
+
+        return languages.some(tag => tag === expected || tag.startsWith(`${expected}-`));
+    });
+}
+
+function matchesTimeWindow({ days, startTime, endTime, timezone }, date) {
+    const { year, month, day, hour, minute } = getZonedParts(date, timezone || 'UTC');
+
+    if (hasValues(days)) {
+        const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+
+        if (!days.includes(weekday)) {
+            return false;
+        }
+    }
+
+    if (!startTime || !endTime) {
+        return true;
+    }
+
+    const current = hour * 60 + minute;
+    const start = toMinutes(startTime);
+    const end = toMinutes(endTime);
+
+    // Вікно через північ (22:00-02:00)
+    return start <= end
+        ? current >= start && current < end
+        : current >= start || current < end;
+}
+
+function matchesScanCount({ min, max }, scanNumber) {
+    if (!Number.isFinite(scanNumber)) {
+        return false;
+    }
+
+    return (min == null || scanNumber >= min) && (max == null || scanNumber <= max);
+}
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+function hasValues(list) {
+    return Array.isArray(list) && list.length > 0;
+}
+
+function isTimeWindowSet(timeWindow) {
+    return Boolean(timeWindow && (hasValues(timeWindow.days) || (timeWindow.startTime && timeWindow.endTime)));
+}
+
+function isScanCountSet(scanCount) {
+    return Boolean(scanCount && (scanCount.min != null || scanCount.max != null));
+}
+
+function normalize(value) {
+    return typeof value === 'string' ? value.trim().toLowerCase() : '';
+}
+
+// 'HH:mm' → хвилини від початку доби
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+// ============================================
+// DEFAULT EXPORT
+// ============================================
+
+export default {
+    matchRedirectRule,
+    rulesNeedLocation,
+    parseAcceptLanguage
+};
@@ -10,6 +10,8 @@
  * }
  */
 
+import crypto from 'crypto';
+
 /**
  * Успішна відповідь
  * @param {Object} res - Express response object
@@ -31,6 +33,33 @@ export const success = (res, message, data = null, statusCode = 200) => {
     return res.status(statusCode).json(response);
 };
 
+/**
+ * Успішна відповідь з HTTP кешуванням (публічні SSR endpoints)
+ * ETag рахується по data - Express сам відповідає 304 при співпадінні If-None-Match
+ * @param {Object} res - Express response object
+ * @param {String} message - Повідомлення про успіх
+ * @param {Object} data - Дані для відповіді
+ * @param {Object} options - { maxAge, staleWhileRevalidate } у секундах
+ */
+export const cached = (res, message, data, options = {}) => {
+    const { maxAge = 60, staleWhileRevalidate = 0 } = options;
+
+    const hash = crypto
+        .createHash('sha1')
+        .update(JSON.stringify(data))
+        .digest('base64url');
+
+    const cacheControl = ['public', `max-age=${maxAge}`];
+    if (staleWhileRevalidate) {
+        cacheControl.push(`stale-while-revalidate=${staleWhileRevalidate}`);
+    }
+
+    res.set('ETag', `W/"${hash}"`);
+    res.set('Cache-Control', cacheControl.join(', '));
+
+    return success(res, message, data);
+};
+
 /**
  * Відповідь з помилкою
  * @param {Object} res - Express response object
@@ -122,6 +151,7 @@ export const validationError = (res, message = 'Помилка валідаці
 // Default export з усіма методами
 export default {
     success,
+    cached,
     error,
     created,
     noContent,
@@ -0,0 +1,203 @@
+/**
+ * Scan Queue Backends Utility
+ * Сховища для черги сканів з єдиним інтерфейсом
+ *
+ * Backend: { name, isDurable, init(), push(event), peek(max), ack(count), size(), close() }
+ * - peek не видаляє події: вони видаляються тільки після успішного запису (ack),
+ *   тому збій БД не втрачає скани
+ * - всі методи async, щоб зовнішні backend (Redis, SQS) мали той самий інтерфейс
+ *
+ * Backend:
+ * - memory: масив у пам'яті (втрачається при падінні процесу)
+ * - file: масив у пам'яті + JSONL журнал на диску, відновлюється після рестарту
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { logInfo, logWarn, logError } from './logger.js';
+import { SCAN_QUEUE } from '../config/constants.js';
+
+// ============================================
+// MEMORY BACKEND
+// ============================================
+
+/**
+ * Черга в пам'яті процесу
+ *
+ * @returns {Object} - Backend
+ */
+export function createMemoryBackend() {
+    let events = [];
+
+    return {
+        name: SCAN_QUEUE.BACKEND.MEMORY,
+        isDurable: false,
+
+        async init() {},
+
+        async push(event) {
+            events.push(event);
+        },
+
+        async peek(max) {
+            return events.slice(0, max);
+        },
+
+        async ack(count) {
+            events = events.slice(count);
+        },
+
+        async size() {
+            return events.length;
+        },
+
+        async close() {
+            if (events.length > 0) {
+                logError('Memory scan queue closed with pending events', { lost: events.length });
+            }
+        }
+    };
+}
+
+// ============================================
+// FILE BACKEND
+// ============================================
+
+/**
+ * Черга з JSONL журналом
+ * Після кожної зміни журнал перезаписується знімком черги (tmp + rename),
+ * записи серіалізуються, тож файл завжди містить цілий знімок.
+ *
+ * @param {String} filePath - Шлях до журналу
+ * @returns {Object} - Backend
+ */
+export function createFileBackend(filePath = process.env.SCAN_QUEUE_FILE || SCAN_QUEUE.FILE_PATH) {
+    const resolvedPath = path.resolve(filePath);
+    const tmpPath = `${resolvedPath}.tmp`;
+
+    let events = [];
+    let writing = null;
+    let isDirty = false;
+
+    // Один запис одночасно; зміни під час запису - ще один знімок після нього
+    const persist = () => {
+        isDirty = true;
+
+        if (!writing) {
+            writing = (async () => {
+                while (isDirty) {
+                    isDirty = false;
+                    try {
+                        const snapshot = events.map(event => JSON.stringify(event)).join('\n');
+                        await fs.writeFile(tmpPath, snapshot ? `${snapshot}\n` : '');
+                        await fs.rename(tmpPath, resolvedPath);
+                    } catch (error) {
+                        logError('Failed to persist scan queue journal', {
+                            path: resolvedPath,
+                            error: error.message
+                        });
+                    }
+                }
+            })().finally(() => {
+                writing = null;
+            });
+        }
+
+        return writing;
+    };
+
+    return {
+        name: SCAN_QUEUE.BACKEND.FILE,
+        isDurable: true,
+
+        async init() {
+            await fs.mkdir(path.dirname(resolvedPath), { recursive: true });
+
+            try {
+                const content = await fs.readFile(resolvedPath, 'utf8');
+
+                events = content
+                    .split('\n')
+                    .filter(Boolean)
+                    .map(line => {
+                        try {
+                            return JSON.parse(line);
+                        } catch {
+                            logWarn('Corrupted scan queue journal line skipped');
+                            return null;
+                        }
+                    })
+                    .filter(Boolean);
+
+                if (events.length > 0) {
+                    logInfo('Scan queue restored from journal', {
+                        path: resolvedPath,
+                        pending: events.length
+                    });
+                }
+
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            }
+        },
+
+        async push(event) {
+            events.push(event);
+            // Не чекаємо на диск - redirect не блокується
+            persist();
+        },
+
+        async peek(max) {
+            return events.slice(0, max);
+        },
+
+        async ack(count) {
+            events = events.slice(count);
+            persist();
+        },
+
+        async size() {
+            return events.length;
+        },
+
+        async close() {
+            await persist();
+        }
+    };
+}
+
+// ============================================
+// FACTORY
+// ============================================
+
+/**
+ * Створює backend з SCAN_QUEUE_BACKEND (memory | file)
+ *
+ * @param {String} type - Тип backend
+ * @returns {Object} - Backend
+ */
+export function createScanQueueBackend(type = process.env.SCAN_QUEUE_BACKEND || SCAN_QUEUE.DEFAULT_BACKEND) {
+    switch (type) {
+        case SCAN_QUEUE.BACKEND.FILE:
+            return createFileBackend();
+
+        case SCAN_QUEUE.BACKEND.MEMORY:
+            return createMemoryBackend();
+
+        default:
+            logWarn('Unknown scan queue backend, using memory', { backend: type });
+            return createMemoryBackend();
+    }
+}
+
+// ============================================
+// DEFAULT EXPORT
+// ============================================
+
+export default {
+    createMemoryBackend,
+    createFileBackend,
+    createScanQueueBackend
+};
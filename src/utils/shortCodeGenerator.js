@@ -4,14 +4,21 @@
  * 
  * Використовує nanoid для створення URL-safe, collision-resistant кодів
  * Формат: qrhub.online/s/abc123Xy
+ *
+ * Custom коди власника (shortCode / aliases) додатково перевіряються
+ * на зарезервовані слова та profanity (validateCustomShortCode)
  */
 
 import { nanoid, customAlphabet } from 'nanoid';
 import { logInfo, logError } from './logger.js';
-import { SHORT_CODE_SETTINGS } from '../config/constants.js';
+import { SHORT_CODE_SETTINGS, SLUG_RULES } from '../config/constants.js';
+import PROFANITY_LIST from '../config/profanityList.js';
 
 // Отримуємо константи з config
-const { SAFE_ALPHABET, DEFAULT_LENGTH, MIN_LENGTH, MAX_LENGTH } = SHORT_CODE_SETTINGS;
+const { SAFE_ALPHABET, DEFAULT_LENGTH, MIN_LENGTH, MAX_LENGTH, RESERVED_CODES } = SHORT_CODE_SETTINGS;
+
+// Цифри, якими підміняють літери (h0rny → horny)
+const LEET_REPLACEMENTS = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't' };
 
 // ============================================
 // GENERATE SHORT CODE
@@ -246,6 +253,78 @@ export function validateShortCode(code) {
     }
 }
 
+// ============================================
+// VALIDATE CUSTOM SHORT CODE
+// ============================================
+
+/**
+ * Валідація коду, який обрав власник QR (custom shortCode або alias)
+ * Унікальність перевіряє QRCodeService (БД)
+ * 
+ * @param {String} code - Код для перевірки
+ * @returns {Object} - { valid, errors }
+ * 
+ * @example
+ * validateCustomShortCode('summer-menu')
+ * // => { valid: true, errors: [] }
+ */
+export function validateCustomShortCode(code) {
+    const errors = [];
+
+    if (!validateShortCode(code)) {
+        errors.push(`Код має містити від ${MIN_LENGTH} до ${MAX_LENGTH} символів: літери, цифри, дефіс`);
+        return { valid: false, errors };
+    }
+
+    if (isReservedShortCode(code)) {
+        errors.push(`Код "${code}" зарезервований`);
+    }
+
+    if (containsProfanity(code)) {
+        errors.push(`Код "${code}" містить недопустиме слово`);
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Перевіряє чи код зарезервований (маршрути /s та системні slug)
+ * 
+ * @param {String} code - Код для перевірки
+ * @returns {Boolean} - true якщо зарезервований
+ */
+export function isReservedShortCode(code) {
+    if (!code || typeof code !== 'string') {
+        return false;
+    }
+
+    const normalized = code.toLowerCase();
+
+    return RESERVED_CODES.includes(normalized) || SLUG_RULES.RESERVED_SLUGS.includes(normalized);
+}
+
+/**
+ * Перевіряє чи код містить слово з profanity списку
+ * 
+ * @param {String} code - Код для перевірки
+ * @returns {Boolean} - true якщо містить
+ */
+export function containsProfanity(code) {
+    if (!code || typeof code !== 'string') {
+        return false;
+    }
+
+    const normalized = code
+        .toLowerCase()
+        .replace(/-/g, '')
+        .replace(/[013457]/g, digit => LEET_REPLACEMENTS[digit]);
+
+    return PROFANITY_LIST.some(word => normalized.includes(word));
+}
+
 // ============================================
 // FALLBACK CODE GENERATOR
 // ============================================
@@ -348,6 +427,9 @@ export default {
     generateMemorableCode,
     generatePrefixedCode,
     validateShortCode,
+    validateCustomShortCode,
+    isReservedShortCode,
+    containsProfanity,
     estimateCollisionProbability,
     getRecommendedLength,
     MIN_LENGTH,
@@ -0,0 +1,83 @@
+/**
+ * Split Test Utility
+ * Вибір варіанту A/B split для скану
+ *
+ * Призначення детерміноване: hash(qrCodeId + persistent fingerprint) → точка
+ * на відрізку [0, сума ваг). Той самий відвідувач (IP + User-Agent) завжди
+ * потрапляє на той самий варіант без збереження стану.
+ *
+ * Зміна ваг або набору варіантів перерозподіляє частину відвідувачів -
+ * для чистого порівняння варіанти краще не змінювати під час кампанії.
+ */
+
+import crypto from 'crypto';
+
+// Точок на відрізку (32 біти hash)
+const HASH_SPACE = 0x100000000;
+
+// ============================================
+// PICK VARIANT
+// ============================================
+
+/**
+ * Варіант для відвідувача
+ *
+ * @param {Array} variants - QRCode.splitVariants
+ * @param {String} qrCodeId - ID QR коду (різні QR - незалежні розподіли)
+ * @param {String} fingerprint - Persistent fingerprint відвідувача
+ * @returns {Object|null} - Варіант або null (немає увімкнених варіантів)
+ */
+export function pickSplitVariant(variants = [], qrCodeId, fingerprint) {
+    const enabled = variants.filter(variant => variant.isEnabled !== false && variant.weight > 0);
+
+    if (enabled.length === 0) {
+        return null;
+    }
+
+    const totalWeight = enabled.reduce((sum, variant) => sum + variant.weight, 0);
+    const point = getBucket(`${qrCodeId}:${fingerprint}`) * totalWeight;
+
+    let cumulative = 0;
+
+    for (const variant of enabled) {
+        cumulative += variant.weight;
+
+        if (point < cumulative) {
+            return variant;
+        }
+    }
+
+    return enabled[enabled.length - 1];
+}
+
+/**
+ * Чи є варіанти, між якими ділиться трафік
+ *
+ * @param {Array} variants - QRCode.splitVariants
+ * @returns {Boolean}
+ */
+export function isSplitEnabled(variants = []) {
+    return variants.some(variant => variant.isEnabled !== false);
+}
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Рівномірне число [0, 1) з рядка
+ */
+function getBucket(value) {
+    const hash = crypto.createHash('sha256').update(value).digest();
+
+    return hash.readUInt32BE(0) / HASH_SPACE;
+}
+
+// ============================================
+// DEFAULT EXPORT
+// ============================================
+
+export default {
+    pickSplitVariant,
+    isSplitEnabled
+};
@@ -0,0 +1,91 @@
+/**
+ * UTM Params Utility
+ * UTM мітки кампанії для destination URL при redirect
+ *
+ * Campaign.utm { source, medium, campaign, term, content } → utm_* query параметри.
+ * Параметри, що вже є в URL (задані вручну в targetUrl / правилі / варіанті),
+ * за замовчуванням не перезаписуються - overrideExisting кампанії змінює це.
+ *
+ * В QRScan записуються значення з фінального URL, тобто ті, що реально
+ * отримає аналітика сайту (Google Analytics тощо).
+ */
+
+import { CAMPAIGN_UTM } from '../config/constants.js';
+
+// ============================================
+// BUILD
+// ============================================
+
+/**
+ * Заповнені UTM параметри кампанії
+ *
+ * @param {Object} utm - Campaign.utm
+ * @returns {Array<Array>} - [[utm_source, value], ...] у порядку CAMPAIGN_UTM.PARAMS
+ */
+export function buildUTMParams(utm = {}) {
+    return Object.entries(CAMPAIGN_UTM.PARAMS)
+        .filter(([field]) => typeof utm?.[field] === 'string' && utm[field].trim() !== '')
+        .map(([field, param]) => [param, utm[field].trim()]);
+}
+
+/**
+ * Додає UTM параметри до URL (зберігає інші query параметри та hash)
+ *
+ * @param {String} url - Destination URL
+ * @param {Object} utm - Campaign.utm
+ * @param {Object} options - { override } - перезаписати utm_*, що вже є в URL
+ * @returns {String} - URL з UTM (або оригінальний URL, якщо він невалідний)
+ */
+export function appendUTMParams(url, utm, options = {}) {
+    const { override = false } = options;
+
+    try {
+        const target = new URL(url);
+
+        for (const [param, value] of buildUTMParams(utm)) {
+            if (override || !target.searchParams.has(param)) {
+                target.searchParams.set(param, value);
+            }
+        }
+
+        return target.toString();
+    } catch {
+        return url;
+    }
+}
+
+// ============================================
+// EXTRACT
+// ============================================
+
+/**
+ * UTM параметри з URL
+ *
+ * @param {String} url - URL
+ * @returns {Object} - { source, medium, campaign, term, content } (null - параметра немає)
+ */
+export function getUTMParams(url) {
+    const result = Object.fromEntries(Object.keys(CAMPAIGN_UTM.PARAMS).map(field => [field, null]));
+
+    try {
+        const { searchParams } = new URL(url);
+
+        for (const [field, param] of Object.entries(CAMPAIGN_UTM.PARAMS)) {
+            result[field] = searchParams.get(param) || null;
+        }
+    } catch {
+        // Невалідний URL - без UTM
+    }
+
+    return result;
+}
+
+// ============================================
+// DEFAULT EXPORT
+// ============================================
+
+export default {
+    buildUTMParams,
+    appendUTMParams,
+    getUTMParams
+};
@@ -0,0 +1,102 @@
+/**
+ * Analytics Validators
+ * Joi схеми для валідації параметрів аналітики
+ *
+ * Використовується в validateMiddleware для перевірки:
+ * - req.params (analyticsIdSchema)
+ * - req.query (analyticsQuerySchema)
+ */
+
+import Joi from 'joi';
+import { ANALYTICS } from '../config/constants.js';
+import { isValidTimezone } from '../utils/dateHelpers.js';
+
+// ============================================
+// HELPER SCHEMAS
+// ============================================
+
+// ISO дата без конвертації (Joi.isoDate() перетворює '2025-01-31' в UTC
+// datetime, а нам потрібно знати, що час не вказано - див. dateHelpers)
+const isoDateSchema = Joi.string()
+    .trim()
+    .pattern(/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})?)?$/)
+    .custom((value, helpers) => {
+        if (Number.isNaN(new Date(value).getTime())) {
+            return helpers.error('any.invalid');
+        }
+        return value;
+    });
+
+// ============================================
+// PARAMS SCHEMAS
+// ============================================
+
+/**
+ * Схема для валідації ID в params
+ * GET /api/analytics/qrcode/:id, /website/:id, /business/:id
+ */
+export const analyticsIdSchema = Joi.object({
+    id: Joi.string()
+        .pattern(/^[0-9a-fA-F]{24}$/)
+        .required()
+        .messages({
+            'string.pattern.base': 'Невалідний формат ID',
+            'any.required': 'ID є обов\'язковим'
+        })
+});
+
+// ============================================
+// QUERY SCHEMAS
+// ============================================
+
+/**
+ * Схема для валідації періоду та деталізації
+ *
+ * startDate/endDate: ISO дата ('2025-01-31') або дата з часом.
+ * Дата без часу трактується як початок/кінець дня у timezone.
+ */
+export const analyticsQuerySchema = Joi.object({
+    startDate: isoDateSchema
+        .optional()
+        .messages({
+            'string.pattern.base': 'startDate має бути у форматі ISO (YYYY-MM-DD)',
+            'any.invalid': 'startDate не є валідною датою'
+        }),
+
+    endDate: isoDateSchema
+        .optional()
+        .messages({
+            'string.pattern.base': 'endDate має бути у форматі ISO (YYYY-MM-DD)',
+            'any.invalid': 'endDate не є валідною датою'
+        }),
+
+    granularity: Joi.string()
+        .valid(...Object.values(ANALYTICS.GRANULARITY))
+        .default(ANALYTICS.DEFAULT_GRANULARITY)
+        .optional()
+        .messages({
+            'any.only': `granularity має бути одним з: ${Object.values(ANALYTICS.GRANULARITY).join(', ')}`
+        }),
+
+    timezone: Joi.string()
+        .default(ANALYTICS.DEFAULT_TIMEZONE)
+        .custom((value, helpers) => {
+            if (!isValidTimezone(value)) {
+                return helpers.error('any.invalid');
+            }
+            return value;
+        })
+        .optional()
+        .messages({
+            'any.invalid': 'timezone має бути валідною IANA назвою (напр. Europe/Kyiv)'
+        })
+}).options({ stripUnknown: true });
+
+// ============================================
+// EXPORT
+// ============================================
+
+export default {
+    analyticsIdSchema,
+    analyticsQuerySchema
+};
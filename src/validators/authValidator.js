@@ -0,0 +1,82 @@
+/**
+ * Auth Validators
+ * Joi схеми для валідації аутентифікації та сесій
+ *
+ * Використовується в validateMiddleware для перевірки:
+ * - req.body (refreshTokenSchema, loginCodeSchema)
+ * - req.params (sessionIdSchema)
+ */
+
+import Joi from 'joi';
+
+// ============================================
+// HELPER SCHEMAS
+// ============================================
+
+// MongoDB ObjectId валідація
+const objectIdSchema = Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({
+        'string.pattern.base': 'Невалідний формат ID'
+    });
+
+// ============================================
+// BODY SCHEMAS
+// ============================================
+
+/**
+ * Схема для оновлення токенів
+ * POST /api/auth/refresh
+ */
+export const refreshTokenSchema = Joi.object({
+    refreshToken: Joi.string()
+        .trim()
+        .max(200)
+        .required()
+        .messages({
+            'string.empty': 'Refresh token не може бути порожнім',
+            'string.max': 'Невалідний refresh token',
+            'any.required': 'Refresh token є обов\'язковим'
+        })
+}).options({ stripUnknown: true });
+
+/**
+ * Схема для обміну коду входу на токени
+ * POST /api/auth/token
+ */
+export const loginCodeSchema = Joi.object({
+    loginCode: Joi.string()
+        .trim()
+        .max(100)
+        .required()
+        .messages({
+            'string.empty': 'Код входу не може бути порожнім',
+            'string.max': 'Невалідний код входу',
+            'any.required': 'Код входу є обов\'язковим'
+        })
+}).options({ stripUnknown: true });
+
+// ============================================
+// PARAMS SCHEMAS
+// ============================================
+
+/**
+ * Схема для ID сесії
+ * DELETE /api/auth/sessions/:id
+ */
+export const sessionIdSchema = Joi.object({
+    id: objectIdSchema.required()
+        .messages({
+            'any.required': 'Session ID є обов\'язковим'
+        })
+});
+
+// ============================================
+// EXPORT
+// ============================================
+
+export default {
+    refreshTokenSchema,
+    loginCodeSchema,
+    sessionIdSchema
+};
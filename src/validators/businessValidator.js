@@ -106,7 +106,7 @@ export const createBusinessSchema = Joi.object({
     // - slug (генерується з name)
     // - logo (завантажується через multipart/form-data, req.file)
     // - status (за замовчуванням 'active')
-    // - creationPaid, creationFee (для MVP завжди true/10)
+    // - creationFee (з тарифного плану), creationPaid (ставить payment webhook)
     // - userId (з req.userId через authMiddleware)
 });
 
@@ -180,7 +180,7 @@ export const updateBusinessSchema = Joi.object({
     // Поля які НЕ можна оновити:
     // - userId (immutable)
     // - slug (оновлюється автоматично якщо змінили name)
-    // - creationPaid, creationFee (immutable для MVP)
+    // - creationPaid, creationFee (змінюються тільки через платежі)
     // - лічильники (оновлюються автоматично)
 })
     .min(1) // Мінімум одне поле має бути передано
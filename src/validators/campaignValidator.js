@@ -0,0 +1,208 @@
+/**
+ * Campaign Validators
+ * Joi схеми для валідації даних кампаній
+ *
+ * Використовується в validateMiddleware для перевірки:
+ * - req.body (createCampaignSchema, updateCampaignSchema, campaignQRCodesSchema)
+ * - req.params (campaignIdSchema)
+ * - req.query (campaignQuerySchema)
+ */
+
+import Joi from 'joi';
+import { CAMPAIGN_LIMITS, CAMPAIGN_UTM } from '../config/constants.js';
+
+// ============================================
+// HELPER SCHEMAS
+// ============================================
+
+/**
+ * Значення UTM параметра (null / '' - не додавати параметр)
+ */
+const utmValue = (label) => Joi.string()
+    .trim()
+    .max(CAMPAIGN_UTM.VALUE_MAX_LENGTH)
+    .pattern(CAMPAIGN_UTM.VALUE_PATTERN)
+    .allow(null, '')
+    .optional()
+    .messages({
+        'string.base': `${label} має бути строкою`,
+        'string.max': `${label} має містити максимум ${CAMPAIGN_UTM.VALUE_MAX_LENGTH} символів`,
+        'string.pattern.base': `${label} може містити тільки літери, цифри та символи _ - . +`
+    });
+
+/**
+ * UTM параметри кампанії
+ * source / medium за замовчуванням - qrhub / qr, campaign - slug назви
+ */
+const utmSchema = Joi.object({
+    source: utmValue('utm_source'),
+    medium: utmValue('utm_medium'),
+    campaign: utmValue('utm_campaign'),
+    term: utmValue('utm_term'),
+    content: utmValue('utm_content')
+}).optional();
+
+// ============================================
+// CREATE CAMPAIGN SCHEMA
+// ============================================
+
+/**
+ * Схема для створення кампанії
+ * POST /api/campaigns
+ *
+ * Required: businessId, name
+ * Optional: description, utm, overrideExisting
+ */
+export const createCampaignSchema = Joi.object({
+    businessId: Joi.string()
+        .required()
+        .pattern(/^[0-9a-fA-F]{24}$/)
+        .messages({
+            'string.base': 'Business ID має бути строкою',
+            'string.empty': 'Business ID є обов\'язковим',
+            'string.pattern.base': 'Невалідний формат Business ID',
+            'any.required': 'Business ID є обов\'язковим'
+        }),
+
+    name: Joi.string()
+        .trim()
+        .min(CAMPAIGN_LIMITS.NAME.MIN_LENGTH)
+        .max(CAMPAIGN_LIMITS.NAME.MAX_LENGTH)
+        .required()
+        .messages({
+            'string.base': 'Назва має бути строкою',
+            'string.empty': 'Назва є обов\'язковою',
+            'string.min': `Назва має містити мінімум ${CAMPAIGN_LIMITS.NAME.MIN_LENGTH} символи`,
+            'string.max': `Назва має містити максимум ${CAMPAIGN_LIMITS.NAME.MAX_LENGTH} символів`,
+            'any.required': 'Назва є обов\'язковою'
+        }),
+
+    description: Joi.string()
+        .trim()
+        .max(CAMPAIGN_LIMITS.DESCRIPTION.MAX_LENGTH)
+        .allow('')
+        .optional()
+        .messages({
+            'string.max': `Опис має містити максимум ${CAMPAIGN_LIMITS.DESCRIPTION.MAX_LENGTH} символів`
+        }),
+
+    utm: utmSchema,
+
+    // Перезаписувати utm_*, що вже є в targetUrl QR коду
+    overrideExisting: Joi.boolean()
+        .optional()
+        .messages({
+            'boolean.base': 'overrideExisting має бути boolean'
+        })
+});
+
+// ============================================
+// UPDATE CAMPAIGN SCHEMA
+// ============================================
+
+/**
+ * Схема для оновлення кампанії
+ * PATCH /api/campaigns/:id
+ *
+ * All fields optional (utm - тільки передані параметри, null - прибрати параметр)
+ */
+export const updateCampaignSchema = Joi.object({
+    name: createCampaignSchema.extract('name').optional(),
+    description: createCampaignSchema.extract('description'),
+    utm: utmSchema,
+    overrideExisting: createCampaignSchema.extract('overrideExisting')
+}).min(1).messages({
+    'object.min': 'Потрібно передати хоча б одне поле для оновлення'
+});
+
+// ============================================
+// QR CODES SCHEMA
+// ============================================
+
+/**
+ * Схема для додавання / видалення QR кодів кампанії
+ * POST /api/campaigns/:id/qrcodes
+ * DELETE /api/campaigns/:id/qrcodes
+ */
+export const campaignQRCodesSchema = Joi.object({
+    qrcodeIds: Joi.array()
+        .items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/))
+        .min(1)
+        .max(CAMPAIGN_LIMITS.MAX_ASSIGN_QRCODES)
+        .unique()
+        .required()
+        .messages({
+            'array.base': 'qrcodeIds має бути масивом',
+            'array.min': 'Потрібно передати хоча б один QR код',
+            'array.max': `Можна передати максимум ${CAMPAIGN_LIMITS.MAX_ASSIGN_QRCODES} QR кодів`,
+            'array.unique': 'QR коди не повинні повторюватись',
+            'any.required': 'qrcodeIds є обов\'язковим',
+            'string.pattern.base': 'Невалідний формат ID'
+        })
+});
+
+// ============================================
+// PARAMS & QUERY SCHEMAS
+// ============================================
+
+/**
+ * Схема для валідації ID в params
+ * GET/PATCH/DELETE /api/campaigns/:id
+ */
+export const campaignIdSchema = Joi.object({
+    id: Joi.string()
+        .pattern(/^[0-9a-fA-F]{24}$/)
+        .required()
+        .messages({
+            'string.pattern.base': 'Невалідний формат Campaign ID',
+            'any.required': 'Campaign ID є обов\'язковим'
+        })
+});
+
+/**
+ * Схема для query параметрів
+ * GET /api/campaigns
+ */
+export const campaignQuerySchema = Joi.object({
+    businessId: Joi.string()
+        .pattern(/^[0-9a-fA-F]{24}$/)
+        .optional()
+        .messages({
+            'string.pattern.base': 'Невалідний формат Business ID'
+        }),
+
+    // Пагінація
+    page: Joi.number()
+        .integer()
+        .min(1)
+        .optional()
+        .messages({
+            'number.base': 'Page має бути числом',
+            'number.integer': 'Page має бути цілим числом',
+            'number.min': 'Page має бути мінімум 1'
+        }),
+
+    limit: Joi.number()
+        .integer()
+        .min(1)
+        .max(100)
+        .optional()
+        .messages({
+            'number.base': 'Limit має бути числом',
+            'number.integer': 'Limit має бути цілим числом',
+            'number.min': 'Limit має бути мінімум 1',
+            'number.max': 'Limit має бути максимум 100'
+        })
+});
+
+// ============================================
+// EXPORT ALL SCHEMAS
+// ============================================
+
+export default {
+    createCampaignSchema,
+    updateCampaignSchema,
+    campaignQRCodesSchema,
+    campaignIdSchema,
+    campaignQuerySchema
+};
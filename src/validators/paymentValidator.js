@@ -0,0 +1,178 @@
+/**
+ * Payment Validators
+ * Joi схеми для валідації платежів
+ *
+ * Використовується в validateMiddleware для перевірки:
+ * - req.body (createSubscriptionPaymentSchema, createBusinessCreationPaymentSchema, simulatePaymentSchema)
+ * - req.params (paymentIdSchema, paymentProviderSchema)
+ * - req.query (paymentQuerySchema)
+ *
+ * Webhook body НЕ валідується Joi - провайдер перевіряє підпис по сирому body.
+ */
+
+import Joi from 'joi';
+import {
+    SUBSCRIPTION_PLAN,
+    BILLING_CYCLE,
+    PAYMENT_TYPE,
+    PAYMENT_STATUS,
+    PAYMENT_PROVIDER
+} from '../config/constants.js';
+
+// ============================================
+// HELPER SCHEMAS
+// ============================================
+
+// MongoDB ObjectId валідація
+const objectIdSchema = Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({
+        'string.pattern.base': 'Невалідний формат ID'
+    });
+
+// Плани, які можна оплатити онлайн (free - безкоштовний, enterprise - індивідуально)
+const PAYABLE_PLANS = [SUBSCRIPTION_PLAN.STARTER, SUBSCRIPTION_PLAN.PRO];
+
+// Події, які можна симулювати (fake провайдер)
+const SIMULATED_EVENTS = ['succeeded', 'failed', 'refunded'];
+
+// ============================================
+// BODY SCHEMAS
+// ============================================
+
+/**
+ * Схема для створення платежу за підписку
+ * POST /api/payments/subscription
+ */
+export const createSubscriptionPaymentSchema = Joi.object({
+    plan: Joi.string()
+        .valid(...PAYABLE_PLANS)
+        .required()
+        .messages({
+            'any.only': `План має бути одним з: ${PAYABLE_PLANS.join(', ')}`,
+            'any.required': 'План є обов\'язковим'
+        }),
+
+    billingCycle: Joi.string()
+        .valid(...Object.values(BILLING_CYCLE))
+        .default(BILLING_CYCLE.MONTHLY)
+        .optional()
+        .messages({
+            'any.only': `billingCycle має бути одним з: ${Object.values(BILLING_CYCLE).join(', ')}`
+        })
+}).options({ stripUnknown: true });
+
+/**
+ * Схема для створення платежу за створення бізнесу
+ * POST /api/payments/business-creation
+ */
+export const createBusinessCreationPaymentSchema = Joi.object({
+    businessId: objectIdSchema.required()
+        .messages({
+            'any.required': 'Business ID є обов\'язковим'
+        })
+}).options({ stripUnknown: true });
+
+/**
+ * Схема для симуляції події платежу
+ * POST /api/payments/:id/simulate
+ */
+export const simulatePaymentSchema = Joi.object({
+    event: Joi.string()
+        .valid(...SIMULATED_EVENTS)
+        .required()
+        .messages({
+            'any.only': `event має бути одним з: ${SIMULATED_EVENTS.join(', ')}`,
+            'any.required': 'event є обов\'язковим'
+        }),
+
+    failureReason: Joi.string()
+        .trim()
+        .max(200)
+        .optional()
+}).options({ stripUnknown: true });
+
+// ============================================
+// PARAMS SCHEMAS
+// ============================================
+
+/**
+ * Схема для валідації ID в params
+ * GET /api/payments/:id
+ */
+export const paymentIdSchema = Joi.object({
+    id: objectIdSchema.required()
+        .messages({
+            'any.required': 'Payment ID є обов\'язковим'
+        })
+});
+
+/**
+ * Схема для валідації провайдера в params
+ * POST /api/payments/webhook/:provider
+ */
+export const paymentProviderSchema = Joi.object({
+    provider: Joi.string()
+        .valid(...Object.values(PAYMENT_PROVIDER))
+        .required()
+        .messages({
+            'any.only': 'Невідомий платіжний провайдер'
+        })
+});
+
+// ============================================
+// QUERY SCHEMAS
+// ============================================
+
+/**
+ * Схема для валідації query params
+ * GET /api/payments
+ */
+export const paymentQuerySchema = Joi.object({
+    type: Joi.string()
+        .valid(...Object.values(PAYMENT_TYPE))
+        .optional()
+        .messages({
+            'any.only': `Тип має бути одним з: ${Object.values(PAYMENT_TYPE).join(', ')}`
+        }),
+
+    status: Joi.string()
+        .valid(...Object.values(PAYMENT_STATUS))
+        .optional()
+        .messages({
+            'any.only': `Статус має бути одним з: ${Object.values(PAYMENT_STATUS).join(', ')}`
+        }),
+
+    page: Joi.number()
+        .integer()
+        .min(1)
+        .default(1)
+        .optional()
+        .messages({
+            'number.min': 'Page має бути не менше 1'
+        }),
+
+    limit: Joi.number()
+        .integer()
+        .min(1)
+        .max(100)
+        .default(20)
+        .optional()
+        .messages({
+            'number.min': 'Limit має бути не менше 1',
+            'number.max': 'Limit не може перевищувати 100'
+        })
+}).options({ stripUnknown: true });
+
+// ============================================
+// EXPORT
+// ============================================
+
+export default {
+    createSubscriptionPaymentSchema,
+    createBusinessCreationPaymentSchema,
+    simulatePaymentSchema,
+    paymentIdSchema,
+    paymentProviderSchema,
+    paymentQuerySchema
+};
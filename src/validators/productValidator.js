@@ -4,6 +4,7 @@
  */
 
 import Joi from 'joi';
+import { PRODUCT_LIMITS } from '../config/constants.js';
 
 // ============================================
 // HELPER SCHEMAS
@@ -14,6 +15,106 @@ const objectIdSchema = Joi.string()
     .regex(/^[0-9a-fA-F]{24}$/)
     .message('Invalid MongoDB ObjectId format');
 
+// Категорія товару ('' / null - без категорії; '' - для multipart/form-data)
+const categoryIdSchema = objectIdSchema
+    .allow(null, '')
+    .optional();
+
+// Ціна товару / варіанта / опції
+const priceSchema = Joi.number()
+    .min(PRODUCT_LIMITS.PRICE.MIN)
+    .max(PRODUCT_LIMITS.PRICE.MAX)
+    .precision(2)
+    .messages({
+        'number.min': 'Price cannot be negative',
+        'number.max': `Price must not exceed ${PRODUCT_LIMITS.PRICE.MAX}`,
+        'number.base': 'Price must be a number'
+    });
+
+// Варіант (розмір, вага). _id - зберегти існуючий варіант при оновленні
+const variantSchema = Joi.object({
+    _id: objectIdSchema.optional(),
+
+    name: Joi.string()
+        .trim()
+        .max(PRODUCT_LIMITS.VARIANT.NAME_MAX_LENGTH)
+        .required()
+        .messages({
+            'any.required': 'Variant name is required',
+            'string.empty': 'Variant name cannot be empty',
+            'string.max': `Variant name must not exceed ${PRODUCT_LIMITS.VARIANT.NAME_MAX_LENGTH} characters`
+        }),
+
+    price: priceSchema.required()
+        .messages({
+            'any.required': 'Variant price is required'
+        }),
+
+    isAvailable: Joi.boolean()
+        .optional()
+});
+
+// Додаткова опція. _id - зберегти існуючу опцію при оновленні
+const optionSchema = Joi.object({
+    _id: objectIdSchema.optional(),
+
+    name: Joi.string()
+        .trim()
+        .max(PRODUCT_LIMITS.OPTION.NAME_MAX_LENGTH)
+        .required()
+        .messages({
+            'any.required': 'Option name is required',
+            'string.empty': 'Option name cannot be empty',
+            'string.max': `Option name must not exceed ${PRODUCT_LIMITS.OPTION.NAME_MAX_LENGTH} characters`
+        }),
+
+    price: priceSchema.default(0),
+
+    isAvailable: Joi.boolean()
+        .optional()
+});
+
+// Унікальні назви в межах товару (назва - в snapshot замовлення)
+const uniqueByName = (a, b) => a.name.toLowerCase() === b.name.toLowerCase();
+
+const variantsSchema = Joi.array()
+    .items(variantSchema)
+    .max(PRODUCT_LIMITS.VARIANT.MAX_COUNT)
+    .unique(uniqueByName)
+    .messages({
+        'array.max': `Product can have at most ${PRODUCT_LIMITS.VARIANT.MAX_COUNT} variants`,
+        'array.unique': 'Variant names must be unique'
+    });
+
+const optionsSchema = Joi.array()
+    .items(optionSchema)
+    .max(PRODUCT_LIMITS.OPTION.MAX_COUNT)
+    .unique(uniqueByName)
+    .messages({
+        'array.max': `Product can have at most ${PRODUCT_LIMITS.OPTION.MAX_COUNT} options`,
+        'array.unique': 'Option names must be unique'
+    });
+
+// Мітки: lowercase, літери / цифри / дефіс (vegan, gluten-free)
+const tagSchema = Joi.string()
+    .trim()
+    .lowercase()
+    .max(PRODUCT_LIMITS.TAG.MAX_LENGTH)
+    .pattern(PRODUCT_LIMITS.TAG.PATTERN)
+    .messages({
+        'string.max': `Tag must not exceed ${PRODUCT_LIMITS.TAG.MAX_LENGTH} characters`,
+        'string.pattern.base': 'Tag may contain only letters, digits and hyphens'
+    });
+
+const tagsSchema = Joi.array()
+    .items(tagSchema)
+    .max(PRODUCT_LIMITS.TAG.MAX_COUNT)
+    .unique()
+    .messages({
+        'array.max': `Product can have at most ${PRODUCT_LIMITS.TAG.MAX_COUNT} tags`,
+        'array.unique': 'Tags must be unique'
+    });
+
 // ============================================
 // CREATE PRODUCT SCHEMA
 // ============================================
@@ -38,14 +139,15 @@ export const createProductSchema = Joi.object({
             'string.max': 'Product name must not exceed 100 characters'
         }),
 
-    price: Joi.number()
-        .min(0)
-        .precision(2)
-        .required()
+    // З варіантами - не обов'язкова (мінімальна ціна варіанта)
+    price: priceSchema
+        .when('variants', {
+            is: Joi.array().min(1).required(),
+            then: Joi.optional(),
+            otherwise: Joi.required()
+        })
         .messages({
-            'any.required': 'Product price is required',
-            'number.min': 'Price cannot be negative',
-            'number.base': 'Price must be a number'
+            'any.required': 'Product price is required'
         }),
 
     // Опціональні поля
@@ -58,6 +160,14 @@ export const createProductSchema = Joi.object({
             'string.max': 'Description must not exceed 500 characters'
         }),
 
+    categoryId: categoryIdSchema,
+
+    variants: variantsSchema.optional(),
+
+    options: optionsSchema.optional(),
+
+    tags: tagsSchema.optional(),
+
     currency: Joi.string()
         .valid('UAH', 'EUR', 'USD')
         .uppercase()
@@ -112,14 +222,17 @@ export const updateProductSchema = Joi.object({
             'string.max': 'Description must not exceed 500 characters'
         }),
 
-    price: Joi.number()
-        .min(0)
-        .precision(2)
-        .optional()
-        .messages({
-            'number.min': 'Price cannot be negative',
-            'number.base': 'Price must be a number'
-        }),
+    // Ігнорується, якщо у товару є варіанти (мінімальна ціна варіанта)
+    price: priceSchema.optional(),
+
+    categoryId: categoryIdSchema,
+
+    // Повний список (замінює поточний); [] - прибрати
+    variants: variantsSchema.optional(),
+
+    options: optionsSchema.optional(),
+
+    tags: tagsSchema.optional(),
 
     currency: Joi.string()
         .valid('UAH', 'EUR', 'USD')
@@ -159,6 +272,16 @@ export const productIdSchema = Joi.object({
         })
 });
 
+export const productImageParamsSchema = Joi.object({
+    id: productIdSchema.extract('id'),
+
+    imageId: objectIdSchema.required()
+        .messages({
+            'any.required': 'Image ID is required',
+            'string.empty': 'Image ID cannot be empty'
+        })
+});
+
 export const websiteIdParamSchema = Joi.object({
     websiteId: objectIdSchema.required()
         .messages({
@@ -207,6 +330,12 @@ export const productQuerySchema = Joi.object({
             'any.only': 'Currency must be one of: UAH, EUR, USD'
         }),
 
+    categoryId: objectIdSchema
+        .optional(),
+
+    tag: tagSchema
+        .optional(),
+
     // Пагінація
     page: Joi.number()
         .integer()
@@ -283,6 +412,124 @@ export const bulkUpdateOrderSchema = Joi.object({
         })
 }).options({ stripUnknown: true });
 
+// ============================================
+// IMAGE GALLERY SCHEMAS
+// ============================================
+
+export const reorderProductImagesSchema = Joi.object({
+    imageIds: Joi.array()
+        .items(objectIdSchema.required())
+        .min(1)
+        .max(PRODUCT_LIMITS.IMAGE.MAX_COUNT)
+        .unique()
+        .required()
+        .messages({
+            'any.required': 'Image IDs array is required',
+            'array.min': 'At least one image ID must be provided',
+            'array.max': `Maximum ${PRODUCT_LIMITS.IMAGE.MAX_COUNT} images allowed`,
+            'array.unique': 'Image IDs must be unique'
+        })
+}).options({ stripUnknown: true });
+
+// ============================================
+// CATEGORY SCHEMAS
+// ============================================
+
+export const createCategorySchema = Joi.object({
+    websiteId: objectIdSchema.required()
+        .messages({
+            'any.required': 'Website ID is required',
+            'string.empty': 'Website ID cannot be empty'
+        }),
+
+    name: Joi.string()
+        .trim()
+        .max(PRODUCT_LIMITS.CATEGORY.MAX_LENGTH)
+        .required()
+        .messages({
+            'any.required': 'Category name is required',
+            'string.empty': 'Category name cannot be empty',
+            'string.max': `Category name must not exceed ${PRODUCT_LIMITS.CATEGORY.MAX_LENGTH} characters`
+        }),
+
+    description: Joi.string()
+        .trim()
+        .max(PRODUCT_LIMITS.CATEGORY.DESCRIPTION_MAX_LENGTH)
+        .allow('')
+        .optional()
+        .messages({
+            'string.max': `Description must not exceed ${PRODUCT_LIMITS.CATEGORY.DESCRIPTION_MAX_LENGTH} characters`
+        }),
+
+    order: Joi.number()
+        .integer()
+        .min(0)
+        .optional()
+        .messages({
+            'number.min': 'Order must be a positive number',
+            'number.integer': 'Order must be an integer'
+        })
+}).options({ stripUnknown: true });
+
+export const updateCategorySchema = Joi.object({
+    websiteId: Joi.forbidden()
+        .messages({
+            'any.unknown': 'Website ID cannot be changed after creation'
+        }),
+
+    name: createCategorySchema.extract('name').optional(),
+    description: createCategorySchema.extract('description'),
+    order: createCategorySchema.extract('order')
+})
+    .min(1)
+    .options({ stripUnknown: true })
+    .messages({
+        'object.min': 'At least one field must be provided for update'
+    });
+
+export const categoryIdParamSchema = Joi.object({
+    id: objectIdSchema.required()
+        .messages({
+            'any.required': 'Category ID is required',
+            'string.empty': 'Category ID cannot be empty'
+        })
+});
+
+export const categoryQuerySchema = Joi.object({
+    websiteId: objectIdSchema.required()
+        .messages({
+            'any.required': 'Website ID is required'
+        })
+}).options({ stripUnknown: true });
+
+export const bulkUpdateCategoryOrderSchema = Joi.object({
+    websiteId: objectIdSchema.required()
+        .messages({
+            'any.required': 'Website ID is required',
+            'string.empty': 'Website ID cannot be empty'
+        }),
+
+    orders: Joi.array()
+        .items(
+            Joi.object({
+                categoryId: objectIdSchema.required()
+                    .messages({
+                        'any.required': 'Category ID is required in order item'
+                    }),
+                order: createCategorySchema.extract('order').required()
+                    .messages({
+                        'any.required': 'Order number is required'
+                    })
+            })
+        )
+        .min(1)
+        .required()
+        .messages({
+            'any.required': 'Orders array is required',
+            'array.min': 'At least one order item must be provided'
+        })
+}).options({ stripUnknown: true });
+
 // ============================================
 // EXPORT
 // ============================================
@@ -291,7 +538,14 @@ export default {
     createProductSchema,
     updateProductSchema,
     productIdSchema,
+    productImageParamsSchema,
     websiteIdParamSchema,
     productQuerySchema,
-    bulkUpdateOrderSchema
+    bulkUpdateOrderSchema,
+    reorderProductImagesSchema,
+    createCategorySchema,
+    updateCategorySchema,
+    categoryIdParamSchema,
+    categoryQuerySchema,
+    bulkUpdateCategoryOrderSchema
 };
\ No newline at end of file
@@ -3,13 +3,768 @@
  * Joi схеми для валідації даних QR кодів
  * 
  * Використовується в validateMiddleware для перевірки:
- * - req.body (createQRCodeSchema, updateQRCodeSchema)
+ * - req.body (createQRCodeSchema, updateQRCodeSchema, redirectRuleSchema, splitVariantSchema)
  * - req.params (qrcodeIdSchema)
  * - req.query (qrcodeQuerySchema)
  */
 
 import Joi from 'joi';
-import { QR_STATUS, QR_CODE_LIMITS } from '../config/constants.js';
+import {
+    QR_STATUS,
+    QR_CODE_LIMITS,
+    QR_EXPIRED_BEHAVIOR,
+    QR_ACCESS_TYPE,
+    QR_ACCESS,
+    SHORT_CODE_SETTINGS,
+    DEVICE_TYPE,
+    REDIRECT_RULES,
+    SPLIT_TEST,
+    QR_MODULE_STYLE,
+    QR_GRADIENT_TYPE,
+    QR_FRAME_STYLE,
+    QR_STYLE,
+    QR_DOWNLOAD_FORMAT,
+    QR_PRINT_UNIT,
+    QR_PRINT_LAYOUT,
+    QR_PRINT,
+    QR_BATCH,
+    QR_PAYLOAD_TYPE,
+    QR_WIFI_ENCRYPTION,
+    QR_PAYLOAD,
+    CONTACT_VALIDATION
+} from '../config/constants.js';
+import { isValidTimezone } from '../utils/dateHelpers.js';
+
+// ============================================
+// REDIRECT RULE SCHEMA
+// ============================================
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Список значень умови (os, countries, cities)
+ */
+const conditionValues = (label) => Joi.array()
+    .items(Joi.string().trim().min(1).max(100))
+    .max(REDIRECT_RULES.MAX_CONDITION_VALUES)
+    .unique((a, b) => a.toLowerCase() === b.toLowerCase())
+    .optional()
+    .messages({
+        'array.base': `${label} має бути масивом`,
+        'array.max': `${label}: максимум ${REDIRECT_RULES.MAX_CONDITION_VALUES} значень`,
+        'array.unique': `${label} містить дублікати`
+    });
+
+/**
+ * Схема умовного redirect правила
+ * Правила перевіряються по порядку, перше співпадіння визначає targetUrl
+ *
+ * _id - для збереження ID існуючого правила при оновленні (аналітика по правилах)
+ */
+export const redirectRuleSchema = Joi.object({
+    _id: Joi.string()
+        .pattern(/^[0-9a-fA-F]{24}$/)
+        .optional()
+        .messages({
+            'string.pattern.base': 'Невалідний формат ID правила'
+        }),
+
+    name: Joi.string()
+        .trim()
+        .max(100)
+        .allow('')
+        .optional()
+        .messages({
+            'string.max': 'Назва правила має містити максимум 100 символів'
+        }),
+
+    targetUrl: Joi.string()
+        .trim()
+        .uri({ scheme: ['http', 'https'] })
+        .max(QR_CODE_LIMITS.TARGET_URL.MAX_LENGTH)
+        .required()
+        .messages({
+            'string.empty': 'Target URL правила є обов\'язковим',
+            'string.uri': 'Target URL правила має бути валідним URL',
+            'string.uriCustomScheme': 'Target URL правила має бути http або https URL',
+            'string.max': `Target URL правила має містити максимум ${QR_CODE_LIMITS.TARGET_URL.MAX_LENGTH} символів`,
+            'any.required': 'Target URL правила є обов\'язковим'
+        }),
+
+    conditions: Joi.object({
+        devices: Joi.array()
+            .items(Joi.string().valid(...Object.values(DEVICE_TYPE)))
+            .unique()
+            .optional()
+            .messages({
+                'any.only': `Пристрій має бути одним з: ${Object.values(DEVICE_TYPE).join(', ')}`,
+                'array.unique': 'devices містить дублікати'
+            }),
+
+        os: conditionValues('os'),
+        countries: conditionValues('countries'),
+        cities: conditionValues('cities'),
+
+        languages: Joi.array()
+            .items(Joi.string().trim().pattern(/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/))
+            .max(REDIRECT_RULES.MAX_CONDITION_VALUES)
+            .unique((a, b) => a.toLowerCase() === b.toLowerCase())
+            .optional()
+            .messages({
+                'string.pattern.base': 'Мова має бути мовним тегом (напр. uk, en-US)',
+                'array.unique': 'languages містить дублікати'
+            }),
+
+        timeWindow: Joi.object({
+            days: Joi.array()
+                .items(Joi.number().integer().min(0).max(6))
+                .unique()
+                .optional()
+                .messages({
+                    'number.base': 'День тижня має бути числом 0-6 (0 - неділя)',
+                    'number.min': 'День тижня має бути числом 0-6 (0 - неділя)',
+                    'number.max': 'День тижня має бути числом 0-6 (0 - неділя)'
+                }),
+
+            startTime: Joi.string()
+                .pattern(TIME_PATTERN)
+                .optional()
+                .messages({
+                    'string.pattern.base': 'startTime має бути у форматі HH:mm'
+                }),
+
+            endTime: Joi.string()
+                .pattern(TIME_PATTERN)
+                .optional()
+                .messages({
+                    'string.pattern.base': 'endTime має бути у форматі HH:mm'
+                }),
+
+            timezone: Joi.string()
+                .default('UTC')
+                .custom((value, helpers) => {
+                    if (!isValidTimezone(value)) {
+                        return helpers.error('any.invalid');
+                    }
+                    return value;
+                })
+                .messages({
+                    'any.invalid': 'timezone має бути валідною IANA назвою (напр. Europe/Kyiv)'
+                })
+        })
+            .and('startTime', 'endTime')
+            .or('days', 'startTime')
+            .optional()
+            .messages({
+                'object.and': 'startTime та endTime задаються разом',
+                'object.missing': 'timeWindow має містити days або startTime/endTime'
+            }),
+
+        scanCount: Joi.object({
+            min: Joi.number().integer().min(1).optional(),
+            max: Joi.number().integer().min(Joi.ref('min', { adjust: (min) => min || 1 })).optional()
+        })
+            .or('min', 'max')
+            .optional()
+            .messages({
+                'number.base': 'scanCount має містити цілі числа',
+                'number.min': 'scanCount: min має бути ≥ 1, max - не менше min',
+                'object.missing': 'scanCount має містити min або max'
+            })
+    })
+        .min(1)
+        .required()
+        .messages({
+            'object.min': 'Правило має містити хоча б одну умову',
+            'any.required': 'Умови правила є обов\'язковими'
+        }),
+
+    isEnabled: Joi.boolean()
+        .optional()
+        .messages({
+            'boolean.base': 'isEnabled має бути true або false'
+        })
+});
+
+const redirectRulesSchema = Joi.array()
+    .items(redirectRuleSchema)
+    .max(REDIRECT_RULES.MAX_RULES)
+    .optional()
+    .messages({
+        'array.base': 'redirectRules має бути масивом',
+        'array.max': `Максимум ${REDIRECT_RULES.MAX_RULES} redirect правил`
+    });
+
+// ============================================
+// SPLIT VARIANT SCHEMA
+// ============================================
+
+/**
+ * Схема варіанту A/B split
+ * _id - для збереження ID існуючого варіанту при оновленні (аналітика по варіантах)
+ */
+export const splitVariantSchema = Joi.object({
+    _id: Joi.string()
+        .pattern(/^[0-9a-fA-F]{24}$/)
+        .optional()
+        .messages({
+            'string.pattern.base': 'Невалідний формат ID варіанту'
+        }),
+
+    name: Joi.string()
+        .trim()
+        .min(1)
+        .max(50)
+        .required()
+        .messages({
+            'string.empty': 'Назва варіанту є обов\'язковою',
+            'string.max': 'Назва варіанту має містити максимум 50 символів',
+            'any.required': 'Назва варіанту є обов\'язковою'
+        }),
+
+    targetUrl: Joi.string()
+        .trim()
+        .uri({ scheme: ['http', 'https'] })
+        .max(QR_CODE_LIMITS.TARGET_URL.MAX_LENGTH)
+        .required()
+        .messages({
+            'string.empty': 'Target URL варіанту є обов\'язковим',
+            'string.uri': 'Target URL варіанту має бути валідним URL',
+            'string.uriCustomScheme': 'Target URL варіанту має бути http або https URL',
+            'string.max': `Target URL варіанту має містити максимум ${QR_CODE_LIMITS.TARGET_URL.MAX_LENGTH} символів`,
+            'any.required': 'Target URL варіанту є обов\'язковим'
+        }),
+
+    weight: Joi.number()
+        .integer()
+        .min(SPLIT_TEST.MIN_WEIGHT)
+        .max(SPLIT_TEST.MAX_WEIGHT)
+        .optional()
+        .messages({
+            'number.base': 'Вага варіанту має бути числом',
+            'number.integer': 'Вага варіанту має бути цілим числом',
+            'number.min': `Вага варіанту має бути мінімум ${SPLIT_TEST.MIN_WEIGHT}`,
+            'number.max': `Вага варіанту має бути максимум ${SPLIT_TEST.MAX_WEIGHT}`
+        }),
+
+    isEnabled: Joi.boolean()
+        .optional()
+        .messages({
+            'boolean.base': 'isEnabled має бути true або false'
+        })
+});
+
+// [] - вимкнути split; інакше від MIN_VARIANTS варіантів з унікальними назвами
+const splitVariantsSchema = Joi.array()
+    .items(splitVariantSchema)
+    .max(SPLIT_TEST.MAX_VARIANTS)
+    .unique((a, b) => a.name.toLowerCase() === b.name.toLowerCase())
+    .custom((value, helpers) => {
+        if (value.length > 0 && value.length < SPLIT_TEST.MIN_VARIANTS) {
+            return helpers.error('array.min', { limit: SPLIT_TEST.MIN_VARIANTS });
+        }
+        return value;
+    })
+    .optional()
+    .messages({
+        'array.base': 'splitVariants має бути масивом',
+        'array.min': `A/B split має містити мінімум ${SPLIT_TEST.MIN_VARIANTS} варіанти`,
+        'array.max': `A/B split має містити максимум ${SPLIT_TEST.MAX_VARIANTS} варіантів`,
+        'array.unique': 'Назви варіантів A/B split мають бути унікальними'
+    });
+
+// ============================================
+// SCHEDULE FIELDS
+// ============================================
+
+// Розклад та ліміти: null - прибрати обмеження.
+// Узгодженість з поточними значеннями QR (update) перевіряє QRCodeService
+const scheduleFields = {
+    startsAt: Joi.date()
+        .iso()
+        .allow(null)
+        .optional()
+        .messages({
+            'date.base': 'startsAt має бути датою',
+            'date.format': 'startsAt має бути датою у форматі ISO 8601'
+        }),
+
+    expiresAt: Joi.date()
+        .iso()
+        .allow(null)
+        .optional()
+        .when('startsAt', {
+            is: Joi.date().required(),
+            then: Joi.date().greater(Joi.ref('startsAt'))
+        })
+        .messages({
+            'date.base': 'expiresAt має бути датою',
+            'date.format': 'expiresAt має бути датою у форматі ISO 8601',
+            'date.greater': 'expiresAt має бути пізніше startsAt'
+        }),
+
+    maxScans: Joi.number()
+        .integer()
+        .min(1)
+        .allow(null)
+        .optional()
+        .messages({
+            'number.base': 'maxScans має бути числом',
+            'number.integer': 'maxScans має бути цілим числом',
+            'number.min': 'maxScans має бути не менше 1'
+        }),
+
+    expiredBehavior: Joi.string()
+        .valid(...Object.values(QR_EXPIRED_BEHAVIOR))
+        .optional()
+        .messages({
+            'any.only': `expiredBehavior має бути одним з: ${Object.values(QR_EXPIRED_BEHAVIOR).join(', ')}`
+        }),
+
+    expiredUrl: Joi.string()
+        .trim()
+        .uri({ scheme: ['http', 'https'] })
+        .max(QR_CODE_LIMITS.TARGET_URL.MAX_LENGTH)
+        .allow(null)
+        .optional()
+        .when('expiredBehavior', {
+            is: QR_EXPIRED_BEHAVIOR.REDIRECT,
+            then: Joi.required().invalid(null)
+        })
+        .messages({
+            'string.base': 'expiredUrl має бути строкою',
+            'string.uri': 'expiredUrl має бути валідним http(s) URL',
+            'string.uriCustomScheme': 'expiredUrl має бути валідним http(s) URL',
+            'string.max': `expiredUrl має містити максимум ${QR_CODE_LIMITS.TARGET_URL.MAX_LENGTH} символів`,
+            'any.required': 'expiredUrl є обов\'язковим для expiredBehavior=redirect',
+            'any.invalid': 'expiredUrl є обов\'язковим для expiredBehavior=redirect'
+        })
+};
+
+// ============================================
+// ACCESS FIELDS
+// ============================================
+
+const PIN_PATTERN = new RegExp(`^\\d{${QR_ACCESS.PIN_MIN_LENGTH},${QR_ACCESS.PIN_MAX_LENGTH}}$`);
+
+// Захист паролем / PIN. Секрет тільки на запис (зберігається bcrypt hash);
+// при оновленні без accessType перевіряється під поточний тип у QRCodeService
+const accessFields = {
+    accessType: Joi.string()
+        .valid(...Object.values(QR_ACCESS_TYPE))
+        .optional()
+        .messages({
+            'any.only': `accessType має бути одним з: ${Object.values(QR_ACCESS_TYPE).join(', ')}`
+        }),
+
+    accessSecret: Joi.when('accessType', {
+        switch: [
+            {
+                is: QR_ACCESS_TYPE.PIN,
+                then: Joi.string().pattern(PIN_PATTERN)
+            },
+            {
+                is: QR_ACCESS_TYPE.PASSWORD,
+                then: Joi.string()
+                    .min(QR_ACCESS.PASSWORD_MIN_LENGTH)
+                    .max(QR_ACCESS.PASSWORD_MAX_LENGTH)
+            },
+            {
+                is: QR_ACCESS_TYPE.NONE,
+                then: Joi.forbidden()
+            }
+        ],
+        otherwise: Joi.string().max(QR_ACCESS.PASSWORD_MAX_LENGTH)
+    })
+        .messages({
+            'string.base': 'accessSecret має бути строкою',
+            'string.empty': 'accessSecret не може бути порожнім',
+            'string.pattern.base': `PIN має містити від ${QR_ACCESS.PIN_MIN_LENGTH} до ${QR_ACCESS.PIN_MAX_LENGTH} цифр`,
+            'string.min': `Пароль має містити мінімум ${QR_ACCESS.PASSWORD_MIN_LENGTH} символи`,
+            'string.max': `Пароль має містити максимум ${QR_ACCESS.PASSWORD_MAX_LENGTH} символів`,
+            'any.unknown': 'accessSecret не потрібен для accessType=none',
+            'any.required': 'accessSecret є обов\'язковим для захищеного QR коду'
+        })
+};
+
+// ============================================
+// SHORT CODE FIELDS
+// ============================================
+
+// Формат; зарезервовані слова, profanity та унікальність перевіряє QRCodeService
+const customShortCodeSchema = Joi.string()
+    .trim()
+    .lowercase()
+    .min(SHORT_CODE_SETTINGS.MIN_LENGTH)
+    .max(SHORT_CODE_SETTINGS.MAX_LENGTH)
+    .pattern(/^[a-z0-9-]+$/)
+    .messages({
+        'string.base': 'Short code має бути строкою',
+        'string.empty': 'Short code не може бути порожнім',
+        'string.min': `Short code має містити мінімум ${SHORT_CODE_SETTINGS.MIN_LENGTH} символів`,
+        'string.max': `Short code має містити максимум ${SHORT_CODE_SETTINGS.MAX_LENGTH} символів`,
+        'string.pattern.base': 'Short code може містити тільки літери, цифри та дефіс'
+    });
+
+const shortCodeFields = {
+    shortCode: customShortCodeSchema.optional(),
+
+    // Замінює весь список (попередній shortCode при перейменуванні додається автоматично)
+    aliases: Joi.array()
+        .items(customShortCodeSchema)
+        .max(SHORT_CODE_SETTINGS.MAX_ALIASES)
+        .unique()
+        .optional()
+        .messages({
+            'array.base': 'aliases має бути масивом',
+            'array.max': `QR код може мати максимум ${SHORT_CODE_SETTINGS.MAX_ALIASES} aliases`,
+            'array.unique': 'aliases не повинні повторюватись'
+        })
+};
+
+// ============================================
+// STYLE FIELDS
+// ============================================
+
+const hexColorSchema = (label) => Joi.string()
+    .trim()
+    .pattern(/^#[0-9A-Fa-f]{6}$/)
+    .messages({
+        'string.base': `${label} має бути строкою`,
+        'string.pattern.base': `${label} має бути валідним hex кольором (наприклад: #000000)`
+    });
+
+// Читабельність кольорів (контраст) перевіряє QRCodeService
+const qrStyleSchema = Joi.object({
+    moduleStyle: Joi.string()
+        .valid(...Object.values(QR_MODULE_STYLE))
+        .optional()
+        .messages({
+            'any.only': `Форма модулів має бути однією з: ${Object.values(QR_MODULE_STYLE).join(', ')}`
+        }),
+
+    // null - колір модулів (primaryColor)
+    eyeColors: Joi.object({
+        outer: hexColorSchema('Колір зовнішньої рамки "ока"').allow(null).optional(),
+        inner: hexColorSchema('Колір центру "ока"').allow(null).optional()
+    }).allow(null).optional(),
+
+    // null - суцільний primaryColor
+    gradient: Joi.object({
+        type: Joi.string()
+            .valid(...Object.values(QR_GRADIENT_TYPE))
+            .required()
+            .messages({
+                'any.only': `Тип градієнту має бути одним з: ${Object.values(QR_GRADIENT_TYPE).join(', ')}`,
+                'any.required': 'Тип градієнту є обов\'язковим'
+            }),
+
+        colors: Joi.array()
+            .items(hexColorSchema('Колір градієнту'))
+            .length(2)
+            .required()
+            .messages({
+                'array.length': 'Градієнт має містити 2 кольори',
+                'any.required': 'Кольори градієнту є обов\'язковими'
+            }),
+
+        rotation: Joi.number()
+            .min(0)
+            .max(360)
+            .optional()
+            .messages({
+                'number.min': 'Кут градієнту має бути від 0 до 360',
+                'number.max': 'Кут градієнту має бути від 0 до 360'
+            })
+    }).allow(null).optional(),
+
+    frame: Joi.object({
+        style: Joi.string()
+            .valid(...Object.values(QR_FRAME_STYLE))
+            .required()
+            .messages({
+                'any.only': `Стиль рамки має бути одним з: ${Object.values(QR_FRAME_STYLE).join(', ')}`,
+                'any.required': 'Стиль рамки є обов\'язковим'
+            }),
+
+        text: Joi.string()
+            .trim()
+            .max(QR_STYLE.FRAME_TEXT_MAX_LENGTH)
+            .allow('', null)
+            .optional()
+            .messages({
+                'string.max': `Текст рамки має містити максимум ${QR_STYLE.FRAME_TEXT_MAX_LENGTH} символів`
+            }),
+
+        color: hexColorSchema('Колір рамки').allow(null).optional(),
+
+        textColor: hexColorSchema('Колір тексту рамки').allow(null).optional()
+    }).allow(null).optional()
+}).messages({
+    'object.base': 'style має бути об\'єктом'
+});
+
+const styleFields = {
+    // Замінює весь стиль (не передані поля - значення за замовчуванням)
+    style: qrStyleSchema.optional(),
+
+    // Логотип бізнесу в центрі QR (error correction H); false - прибрати
+    useBusinessLogo: Joi.boolean()
+        .optional()
+        .messages({
+            'boolean.base': 'useBusinessLogo має бути boolean'
+        })
+};
+
+// ============================================
+// PAYLOAD FIELDS
+// ============================================
+
+/**
+ * Текстове поле payload
+ */
+const payloadText = (label, max = QR_PAYLOAD.TEXT_MAX_LENGTH) => Joi.string()
+    .trim()
+    .max(max)
+    .messages({
+        'string.base': `${label} має бути строкою`,
+        'string.empty': `${label} не може бути порожнім`,
+        'string.max': `${label} має містити максимум ${max} символів`,
+        'any.required': `${label} є обов'язковим`
+    });
+
+// Пробіли, дужки та дефіси прибираються при кодуванні
+const payloadPhone = (label) => Joi.string()
+    .trim()
+    .replace(/[\s()-]/g, '')
+    .pattern(CONTACT_VALIDATION.PHONE.PATTERN)
+    .messages({
+        'string.base': `${label} має бути строкою`,
+        'string.empty': `${label} не може бути порожнім`,
+        'string.pattern.base': `${label} має бути у форматі E.164 (наприклад: +380501234567)`,
+        'any.required': `${label} є обов'язковим`
+    });
+
+const payloadEmail = (label) => Joi.string()
+    .trim()
+    .lowercase()
+    .email()
+    .messages({
+        'string.base': `${label} має бути строкою`,
+        'string.empty': `${label} не може бути порожнім`,
+        'string.email': `${label} має бути валідним email`,
+        'any.required': `${label} є обов'язковим`
+    });
+
+const payloadUrl = (label) => Joi.string()
+    .trim()
+    .uri({ scheme: ['http', 'https'] })
+    .max(QR_CODE_LIMITS.TARGET_URL.MAX_LENGTH)
+    .messages({
+        'string.base': `${label} має бути строкою`,
+        'string.uri': `${label} має бути валідним http(s) URL`,
+        'string.uriCustomScheme': `${label} має бути валідним http(s) URL`,
+        'string.max': `${label} має містити максимум ${QR_CODE_LIMITS.TARGET_URL.MAX_LENGTH} символів`
+    });
+
+/**
+ * Контакт (.vcf)
+ * fromBusiness - назва, телефон, email, адреса та сайт бізнесу QR коду
+ * на момент скану; явно передані поля мають пріоритет
+ */
+const vcardPayloadSchema = Joi.object({
+    fromBusiness: Joi.boolean()
+        .default(false)
+        .messages({
+            'boolean.base': 'payload.fromBusiness має бути boolean'
+        }),
+
+    firstName: payloadText('Ім\'я').optional(),
+    lastName: payloadText('Прізвище').optional(),
+    organization: payloadText('Організація').optional(),
+    title: payloadText('Посада').optional(),
+    phone: payloadPhone('Телефон').optional(),
+    email: payloadEmail('Email').optional(),
+    website: payloadUrl('Сайт').optional(),
+
+    address: Joi.object({
+        street: payloadText('Вулиця').allow('').optional(),
+        city: payloadText('Місто').allow('').optional(),
+        region: payloadText('Область').allow('').optional(),
+        postalCode: payloadText('Поштовий індекс', 20).allow('').optional(),
+        country: payloadText('Країна').allow('').optional()
+    }).optional().messages({
+        'object.base': 'payload.address має бути об\'єктом'
+    }),
+
+    note: payloadText('Примітка', QR_PAYLOAD.NOTE_MAX_LENGTH).allow('').optional()
+}).custom((value, helpers) => {
+    if (!value.fromBusiness && !value.firstName && !value.lastName && !value.organization) {
+        return helpers.error('vcard.name');
+    }
+    return value;
+}).messages({
+    'vcard.name': 'Контакт має містити ім\'я, прізвище або організацію (або fromBusiness: true)'
+});
+
+// Пароль обов'язковий для WPA / WEP, без шифрування - заборонений
+const wifiPayloadSchema = Joi.object({
+    ssid: Joi.string()
+        .max(32)
+        .required()
+        .messages({
+            'string.base': 'SSID має бути строкою',
+            'string.empty': 'SSID є обов\'язковим',
+            'string.max': 'SSID має містити максимум 32 символи',
+            'any.required': 'SSID є обов\'язковим'
+        }),
+
+    encryption: Joi.string()
+        .valid(...Object.values(QR_WIFI_ENCRYPTION))
+        .default(QR_WIFI_ENCRYPTION.WPA)
+        .messages({
+            'any.only': `Шифрування має бути одним з: ${Object.values(QR_WIFI_ENCRYPTION).join(', ')}`
+        }),
+
+    password: Joi.string()
+        .max(QR_PAYLOAD.WIFI_PASSWORD_MAX_LENGTH)
+        .when('encryption', {
+            is: QR_WIFI_ENCRYPTION.NONE,
+            then: Joi.forbidden(),
+            otherwise: Joi.required()
+        })
+        .messages({
+            'string.base': 'Пароль Wi-Fi має бути строкою',
+            'string.empty': 'Пароль Wi-Fi є обов\'язковим',
+            'string.max': `Пароль Wi-Fi має містити максимум ${QR_PAYLOAD.WIFI_PASSWORD_MAX_LENGTH} символи`,
+            'any.required': 'Пароль Wi-Fi є обов\'язковим для WPA / WEP',
+            'any.unknown': 'Пароль Wi-Fi не використовується для мережі без шифрування'
+        }),
+
+    hidden: Joi.boolean()
+        .default(false)
+        .messages({
+            'boolean.base': 'payload.hidden має бути boolean'
+        })
+});
+
+const smsPayloadSchema = Joi.object({
+    phone: payloadPhone('Телефон').required(),
+    message: payloadText('Текст SMS', QR_PAYLOAD.MESSAGE_MAX_LENGTH).allow('').optional()
+});
+
+const emailPayloadSchema = Joi.object({
+    to: payloadEmail('Email отримувача').required(),
+    subject: payloadText('Тема листа').allow('').optional(),
+    body: payloadText('Текст листа', QR_PAYLOAD.MESSAGE_MAX_LENGTH).allow('').optional()
+});
+
+const geoPayloadSchema = Joi.object({
+    latitude: Joi.number()
+        .min(-90)
+        .max(90)
+        .required()
+        .messages({
+            'number.base': 'Широта має бути числом',
+            'number.min': 'Широта має бути від -90 до 90',
+            'number.max': 'Широта має бути від -90 до 90',
+            'any.required': 'Широта є обов\'язковою'
+        }),
+
+    longitude: Joi.number()
+        .min(-180)
+        .max(180)
+        .required()
+        .messages({
+            'number.base': 'Довгота має бути числом',
+            'number.min': 'Довгота має бути від -180 до 180',
+            'number.max': 'Довгота має бути від -180 до 180',
+            'any.required': 'Довгота є обов\'язковою'
+        }),
+
+    // Назва точки для preview
+    label: payloadText('Назва точки').allow('').optional()
+});
+
+// allDay - беруться тільки дати (UTC): startsAt: '2026-10-20'
+const eventPayloadSchema = Joi.object({
+    title: payloadText('Назва події').required(),
+
+    startsAt: Joi.date()
+        .iso()
+        .required()
+        .messages({
+            'date.base': 'Початок події має бути датою',
+            'date.format': 'Початок події має бути датою у форматі ISO 8601',
+            'any.required': 'Початок події є обов\'язковим'
+        }),
+
+    endsAt: Joi.date()
+        .iso()
+        .min(Joi.ref('startsAt'))
+        .optional()
+        .messages({
+            'date.base': 'Кінець події має бути датою',
+            'date.format': 'Кінець події має бути датою у форматі ISO 8601',
+            'date.min': 'Кінець події не може бути раніше початку'
+        }),
+
+    allDay: Joi.boolean()
+        .default(false)
+        .messages({
+            'boolean.base': 'payload.allDay має бути boolean'
+        }),
+
+    location: payloadText('Місце події', QR_PAYLOAD.NOTE_MAX_LENGTH).allow('').optional(),
+    description: payloadText('Опис події', QR_PAYLOAD.NOTE_MAX_LENGTH).allow('').optional(),
+    url: payloadUrl('Посилання події').optional()
+});
+
+const payloadSchemas = {
+    [QR_PAYLOAD_TYPE.VCARD]: vcardPayloadSchema,
+    [QR_PAYLOAD_TYPE.WIFI]: wifiPayloadSchema,
+    [QR_PAYLOAD_TYPE.SMS]: smsPayloadSchema,
+    [QR_PAYLOAD_TYPE.EMAIL]: emailPayloadSchema,
+    [QR_PAYLOAD_TYPE.GEO]: geoPayloadSchema,
+    [QR_PAYLOAD_TYPE.EVENT]: eventPayloadSchema
+};
+
+// payload замінюється цілком і завжди передається разом з payloadType.
+// Сумісність з розкладом / захистом / правилами перевіряє QRCodeService
+const payloadFields = {
+    payloadType: Joi.string()
+        .valid(...Object.values(QR_PAYLOAD_TYPE))
+        .optional()
+        .messages({
+            'any.only': `payloadType має бути одним з: ${Object.values(QR_PAYLOAD_TYPE).join(', ')}`
+        }),
+
+    payload: Joi.any()
+        .when('payloadType', {
+            switch: Object.entries(payloadSchemas).map(([type, schema]) => ({
+                is: type,
+                then: schema.required().messages({
+                    'object.base': 'payload має бути об\'єктом',
+                    'any.required': `payload є обов'язковим для payloadType=${type}`
+                })
+            })),
+            otherwise: Joi.forbidden()
+        })
+        .messages({
+            'any.unknown': 'payload передається тільки разом з payloadType, відмінним від url'
+        })
+};
+
+// targetUrl - тільки для url (payloadType не передано - url або без змін)
+const targetUrlByPayloadType = (schema) => schema.when('payloadType', {
+    is: Joi.exist().invalid(QR_PAYLOAD_TYPE.URL),
+    then: Joi.forbidden().messages({
+        'any.unknown': 'targetUrl не використовується для payloadType, відмінного від url'
+    })
+});
+
+// Статуси, які користувач може встановити вручну (scheduled / expired - за розкладом)
+const MANUAL_STATUSES = [QR_STATUS.ACTIVE, QR_STATUS.INACTIVE, QR_STATUS.ARCHIVED];
 
 // ============================================
 // CREATE QR CODE SCHEMA
@@ -19,8 +774,12 @@ import { QR_STATUS, QR_CODE_LIMITS } from '../config/constants.js';
  * Схема для створення QR коду
  * POST /api/qrcodes
  * 
- * Required: businessId, websiteId, name, targetUrl
- * Optional: description, primaryColor, backgroundColor
+ * Required: businessId, websiteId, name, targetUrl (payloadType=url) або payload
+ * Optional: campaignId, payloadType (url за замовчуванням), description, primaryColor, backgroundColor, redirectRules, splitVariants,
+ *           startsAt, expiresAt, maxScans, expiredBehavior, expiredUrl,
+ *           accessType, accessSecret (required для password / pin),
+ *           shortCode (custom, інакше генерується), aliases,
+ *           style, useBusinessLogo
  */
 export const createQRCodeSchema = Joi.object({
     // Обов'язкові поля
@@ -44,6 +803,15 @@ export const createQRCodeSchema = Joi.object({
             'any.required': 'Website ID є обов\'язковим'
         }),
 
+    // Кампанія того ж бізнесу (UTM при redirect)
+    campaignId: Joi.string()
+        .pattern(/^[0-9a-fA-F]{24}$/)
+        .allow(null)
+        .optional()
+        .messages({
+            'string.pattern.base': 'Невалідний формат Campaign ID'
+        }),
+
     name: Joi.string()
         .trim()
         .min(QR_CODE_LIMITS.NAME.MIN_LENGTH)
@@ -57,7 +825,7 @@ export const createQRCodeSchema = Joi.object({
             'any.required': 'Назва є обов\'язковою'
         }),
 
-    targetUrl: Joi.string()
+    targetUrl: targetUrlByPayloadType(Joi.string()
         .trim()
         .uri()
         .max(QR_CODE_LIMITS.TARGET_URL.MAX_LENGTH)
@@ -68,7 +836,10 @@ export const createQRCodeSchema = Joi.object({
             'string.uri': 'Target URL має бути валідним URL',
             'string.max': `Target URL має містити максимум ${QR_CODE_LIMITS.TARGET_URL.MAX_LENGTH} символів`,
             'any.required': 'Target URL є обов\'язковим'
-        }),
+        })),
+
+    // vCard / Wi-Fi / SMS / email / geo / event замість targetUrl
+    ...payloadFields,
 
     // Опціональні поля
     description: Joi.string()
@@ -94,7 +865,26 @@ export const createQRCodeSchema = Joi.object({
         .optional()
         .messages({
             'string.pattern.base': 'Background color має бути валідним hex кольором (наприклад: #FFFFFF)'
-        })
+        }),
+
+    // Умовні правила; targetUrl - default, якщо жодне не співпало
+    redirectRules: redirectRulesSchema,
+
+    // A/B split default destination (замість targetUrl, якщо є увімкнені варіанти)
+    splitVariants: splitVariantsSchema,
+
+    ...scheduleFields,
+
+    ...accessFields,
+
+    ...shortCodeFields,
+
+    ...styleFields,
+
+    accessSecret: accessFields.accessSecret.when('accessType', {
+        is: Joi.valid(QR_ACCESS_TYPE.PASSWORD, QR_ACCESS_TYPE.PIN).required(),
+        then: Joi.required()
+    })
 });
 
 // ============================================
@@ -105,9 +895,11 @@ export const createQRCodeSchema = Joi.object({
  * Схема для оновлення QR коду
  * PATCH /api/qrcodes/:id
  * 
- * All fields optional
+ * All fields optional (campaignId: null - відв'язати від кампанії)
  */
 export const updateQRCodeSchema = Joi.object({
+    campaignId: createQRCodeSchema.extract('campaignId'),
+
     name: Joi.string()
         .trim()
         .min(QR_CODE_LIMITS.NAME.MIN_LENGTH)
@@ -127,7 +919,7 @@ export const updateQRCodeSchema = Joi.object({
             'string.max': `Опис має містити максимум ${QR_CODE_LIMITS.DESCRIPTION.MAX_LENGTH} символів`
         }),
 
-    targetUrl: Joi.string()
+    targetUrl: targetUrlByPayloadType(Joi.string()
         .trim()
         .uri()
         .max(QR_CODE_LIMITS.TARGET_URL.MAX_LENGTH)
@@ -135,7 +927,11 @@ export const updateQRCodeSchema = Joi.object({
         .messages({
             'string.uri': 'Target URL має бути валідним URL',
             'string.max': `Target URL має містити максимум ${QR_CODE_LIMITS.TARGET_URL.MAX_LENGTH} символів`
-        }),
+        })),
+
+    // Зміна типу на url потребує targetUrl (якщо QR його ще не мав);
+    // Wi-Fi / SMS / email кодуються в image - зміна перегенеровує image
+    ...payloadFields,
 
     primaryColor: Joi.string()
         .trim()
@@ -153,11 +949,29 @@ export const updateQRCodeSchema = Joi.object({
             'string.pattern.base': 'Background color має бути валідним hex кольором'
         }),
 
+    // Замінює весь список (порядок = пріоритет); [] - видалити всі правила
+    redirectRules: redirectRulesSchema,
+
+    // Замінює весь список; [] - вимкнути split
+    splitVariants: splitVariantsSchema,
+
+    ...scheduleFields,
+
+    // Новий пароль / PIN замінює попередній; зміна типу потребує нового значення
+    ...accessFields,
+
+    // Новий shortCode перегенеровує image; попередній стає alias
+    ...shortCodeFields,
+
+    // Зміна стилю / логотипу перегенеровує image
+    ...styleFields,
+
+    // active з розкладом у майбутньому / минулому стане scheduled / expired
     status: Joi.string()
-        .valid(...Object.values(QR_STATUS))
+        .valid(...MANUAL_STATUSES)
         .optional()
         .messages({
-            'any.only': `Статус має бути одним з: ${Object.values(QR_STATUS).join(', ')}`
+            'any.only': `Статус має бути одним з: ${MANUAL_STATUSES.join(', ')}`
         })
 }).min(1).messages({
     'object.min': 'Потрібно передати хоча б одне поле для оновлення'
@@ -234,6 +1048,13 @@ export const qrcodeQuerySchema = Joi.object({
             'string.pattern.base': 'Невалідний формат Website ID'
         }),
 
+    campaignId: Joi.string()
+        .pattern(/^[0-9a-fA-F]{24}$/)
+        .optional()
+        .messages({
+            'string.pattern.base': 'Невалідний формат Campaign ID'
+        }),
+
     // Пагінація
     page: Joi.number()
         .integer()
@@ -273,17 +1094,226 @@ export const qrcodeQuerySchema = Joi.object({
         })
 });
 
+// ============================================
+// PRINT EXPORT
+// ============================================
+
+const MM_PER_INCH = 25.4;
+const inches = (mm) => Math.round(mm / MM_PER_INCH * 100) / 100;
+
+// size / bleed задаються в одиницях unit (mm або in)
+const printOptionFields = {
+    size: Joi.number()
+        .when('unit', {
+            is: QR_PRINT_UNIT.INCH,
+            then: Joi.number().min(inches(QR_PRINT.MIN_SIZE_MM)).max(inches(QR_PRINT.MAX_SIZE_MM)),
+            otherwise: Joi.number().min(QR_PRINT.MIN_SIZE_MM).max(QR_PRINT.MAX_SIZE_MM)
+        })
+        .optional()
+        .messages({
+            'number.base': 'Розмір має бути числом',
+            'number.min': `Розмір має бути від ${QR_PRINT.MIN_SIZE_MM} до ${QR_PRINT.MAX_SIZE_MM} mm`,
+            'number.max': `Розмір має бути від ${QR_PRINT.MIN_SIZE_MM} до ${QR_PRINT.MAX_SIZE_MM} mm`
+        }),
+
+    unit: Joi.string()
+        .valid(...Object.values(QR_PRINT_UNIT))
+        .optional()
+        .default(QR_PRINT_UNIT.MM)
+        .messages({
+            'any.only': `Одиниця має бути однією з: ${Object.values(QR_PRINT_UNIT).join(', ')}`
+        }),
+
+    bleed: Joi.number()
+        .min(0)
+        .when('unit', {
+            is: QR_PRINT_UNIT.INCH,
+            then: Joi.number().max(inches(QR_PRINT.MAX_BLEED_MM)),
+            otherwise: Joi.number().max(QR_PRINT.MAX_BLEED_MM)
+        })
+        .optional()
+        .messages({
+            'number.base': 'Bleed має бути числом',
+            'number.min': 'Bleed не може бути від\'ємним',
+            'number.max': `Bleed має бути максимум ${QR_PRINT.MAX_BLEED_MM} mm`
+        }),
+
+    cropMarks: Joi.boolean()
+        .optional()
+        .messages({
+            'boolean.base': 'cropMarks має бути true або false'
+        })
+};
+
+// Параметри друку не застосовуються до збереженого SVG
+const printOnly = (schema) => schema.when('format', {
+    is: QR_DOWNLOAD_FORMAT.SVG,
+    then: Joi.forbidden().messages({
+        'any.unknown': 'Параметри друку доступні тільки для png, pdf та eps'
+    })
+});
+
 /**
  * Схема для валідації download query params
  * GET /api/qrcodes/:id/download
+ *
+ * png / svg без параметрів друку - збережений image (URL)
+ * pdf / eps або png з параметрами друку - файл, згенерований на запит
  */
 export const downloadQuerySchema = Joi.object({
     format: Joi.string()
-        .valid('png', 'svg')
+        .valid(...Object.values(QR_DOWNLOAD_FORMAT))
+        .optional()
+        .default(QR_DOWNLOAD_FORMAT.PNG)
+        .messages({
+            'any.only': `Format має бути одним з: ${Object.values(QR_DOWNLOAD_FORMAT).join(', ')}`
+        }),
+
+    size: printOnly(printOptionFields.size),
+
+    unit: printOnly(printOptionFields.unit),
+
+    bleed: printOnly(printOptionFields.bleed),
+
+    cropMarks: printOnly(printOptionFields.cropMarks),
+
+    // Тільки для png
+    dpi: printOnly(Joi.number()
+        .integer()
+        .min(QR_PRINT.MIN_DPI)
+        .max(QR_PRINT.MAX_DPI)
         .optional()
-        .default('png')
         .messages({
-            'any.only': 'Format має бути png або svg'
+            'number.base': 'DPI має бути числом',
+            'number.integer': 'DPI має бути цілим числом',
+            'number.min': `DPI має бути від ${QR_PRINT.MIN_DPI} до ${QR_PRINT.MAX_DPI}`,
+            'number.max': `DPI має бути від ${QR_PRINT.MIN_DPI} до ${QR_PRINT.MAX_DPI}`
+        })),
+
+    // sheet - аркуш A4, заповнений копіями QR (наліпки на столи)
+    layout: printOnly(Joi.string()
+        .valid(...Object.values(QR_PRINT_LAYOUT))
+        .optional()
+        .messages({
+            'any.only': `Layout має бути одним з: ${Object.values(QR_PRINT_LAYOUT).join(', ')}`
+        }))
+});
+
+/**
+ * Схема для аркуша наліпок з декількох QR кодів (PDF, A4)
+ * POST /api/qrcodes/print-sheet
+ */
+export const printSheetSchema = Joi.object({
+    qrcodeIds: Joi.array()
+        .items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/))
+        .min(1)
+        .max(QR_PRINT.SHEET_MAX_QR_CODES)
+        .unique()
+        .required()
+        .messages({
+            'array.base': 'qrcodeIds має бути масивом',
+            'array.min': 'Потрібно передати хоча б один QR код',
+            'array.max': `Можна додати максимум ${QR_PRINT.SHEET_MAX_QR_CODES} QR кодів`,
+            'array.unique': 'QR коди не повинні повторюватись (використайте copies)',
+            'any.required': 'qrcodeIds є обов\'язковим',
+            'string.pattern.base': 'Невалідний формат ID'
+        }),
+
+    // Копій кожного QR (наприклад, по наліпці на кожен стіл)
+    copies: Joi.number()
+        .integer()
+        .min(1)
+        .max(QR_PRINT.SHEET_MAX_COPIES)
+        .optional()
+        .default(1)
+        .messages({
+            'number.base': 'copies має бути числом',
+            'number.min': 'copies має бути мінімум 1',
+            'number.max': `copies має бути максимум ${QR_PRINT.SHEET_MAX_COPIES}`
+        }),
+
+    ...printOptionFields
+});
+
+/**
+ * Схема для валідації migrate-images query params
+ * POST /api/qrcodes/migrate-images
+ */
+export const migrateImagesQuerySchema = Joi.object({
+    dryRun: Joi.boolean()
+        .optional()
+        .default(false)
+        .messages({
+            'boolean.base': 'dryRun має бути true або false'
+        })
+});
+
+// ============================================
+// ІСТОРІЯ ЗМІН
+// ============================================
+
+/**
+ * Схема для валідації params rollback
+ * POST /api/qrcodes/:id/rollback/:revision
+ */
+export const qrcodeRevisionParamsSchema = Joi.object({
+    id: qrcodeIdSchema.extract('id'),
+
+    revision: Joi.number()
+        .integer()
+        .min(1)
+        .required()
+        .messages({
+            'number.base': 'Ревізія має бути числом',
+            'number.integer': 'Ревізія має бути цілим числом',
+            'number.min': 'Ревізія має бути мінімум 1',
+            'any.required': 'Ревізія є обов\'язковою'
+        })
+});
+
+/**
+ * Схема для query params історії
+ * GET /api/qrcodes/:id/history
+ */
+export const qrcodeHistoryQuerySchema = Joi.object({
+    page: qrcodeQuerySchema.extract('page'),
+    limit: qrcodeQuerySchema.extract('limit')
+});
+
+// ============================================
+// BATCH (CSV)
+// ============================================
+
+/**
+ * Схема для текстових полів form-data (CSV - req.file)
+ * POST /api/qrcodes/batch
+ */
+export const batchCreateSchema = Joi.object({
+    businessId: createQRCodeSchema.extract('businessId'),
+    websiteId: createQRCodeSchema.extract('websiteId')
+});
+
+/**
+ * Схема рядка CSV - ті самі правила, що й у createQRCodeSchema
+ * Використовується в QRBatchService (звіт по рядках), не в middleware
+ */
+export const batchRowSchema = Joi.object(
+    Object.fromEntries(QR_BATCH.COLUMNS.map(column => [column, createQRCodeSchema.extract(column)]))
+);
+
+/**
+ * Схема для валідації Batch Job ID в params
+ * GET /api/qrcodes/batch/:id
+ */
+export const batchJobIdSchema = Joi.object({
+    id: Joi.string()
+        .required()
+        .pattern(/^[0-9a-fA-F]{24}$/)
+        .messages({
+            'string.base': 'Batch job ID має бути строкою',
+            'string.empty': 'Batch job ID є обов\'язковим',
+            'string.pattern.base': 'Невалідний формат batch job ID',
+            'any.required': 'Batch job ID є обов\'язковим'
         })
 });
 
@@ -374,10 +1404,19 @@ export const isValidShortCode = (code) => {
 export default {
     createQRCodeSchema,
     updateQRCodeSchema,
+    redirectRuleSchema,
+    splitVariantSchema,
     qrcodeIdSchema,
     shortCodeSchema,
     qrcodeQuerySchema,
     downloadQuerySchema,
+    printSheetSchema,
+    migrateImagesQuerySchema,
+    qrcodeRevisionParamsSchema,
+    qrcodeHistoryQuerySchema,
+    batchCreateSchema,
+    batchRowSchema,
+    batchJobIdSchema,
     bulkCreateQRCodesSchema,
     bulkDeleteQRCodesSchema,
     isValidHexColor,
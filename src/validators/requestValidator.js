@@ -0,0 +1,312 @@
+/**
+ * Request Validators
+ * Joi схеми для валідації заявок (contact / order)
+ *
+ * Використовується в validateMiddleware для перевірки:
+ * - req.body (createPublicRequestSchema, updateRequestSchema)
+ * - req.params (requestIdSchema, requestBusinessIdSchema)
+ * - req.query (requestQuerySchema)
+ */
+
+import Joi from 'joi';
+import {
+    REQUEST_TYPE,
+    REQUEST_STATUS,
+    REQUEST_LIMITS,
+    CONTACT_VALIDATION,
+    ATTRIBUTION,
+    PRODUCT_LIMITS
+} from '../config/constants.js';
+
+// ============================================
+// HELPER SCHEMAS
+// ============================================
+
+// MongoDB ObjectId валідація
+const objectIdSchema = Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({
+        'string.pattern.base': 'Невалідний формат ID'
+    });
+
+// Позиція замовлення (ціна та назва беруться з Product на сервері)
+const orderItemSchema = Joi.object({
+    productId: objectIdSchema.required()
+        .messages({
+            'any.required': 'Product ID є обов\'язковим'
+        }),
+
+    // Обов'язковий для товару з варіантами (перевіряє RequestService)
+    variantId: objectIdSchema
+        .allow(null)
+        .optional(),
+
+    optionIds: Joi.array()
+        .items(objectIdSchema)
+        .max(PRODUCT_LIMITS.OPTION.MAX_COUNT)
+        .unique()
+        .optional()
+        .messages({
+            'array.max': `Можна обрати максимум ${PRODUCT_LIMITS.OPTION.MAX_COUNT} опцій`,
+            'array.unique': 'Опції не повинні повторюватись'
+        }),
+
+    quantity: Joi.number()
+        .integer()
+        .min(1)
+        .max(REQUEST_LIMITS.MAX_ITEM_QUANTITY)
+        .default(1)
+        .messages({
+            'number.base': 'Кількість має бути числом',
+            'number.integer': 'Кількість має бути цілим числом',
+            'number.min': 'Кількість має бути не менше 1',
+            'number.max': `Кількість має бути не більше ${REQUEST_LIMITS.MAX_ITEM_QUANTITY}`
+        })
+});
+
+// ============================================
+// PUBLIC CREATE SCHEMA
+// ============================================
+
+/**
+ * Схема для відправки заявки з публічного сайту
+ * POST /api/public/requests
+ *
+ * Required: websiteSlug, type, customerName, customerPhone
+ * Required для order: items
+ * Optional: customerEmail, message, qrCodeId, attributionToken
+ */
+export const createPublicRequestSchema = Joi.object({
+    websiteSlug: Joi.string()
+        .lowercase()
+        .trim()
+        .pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+        .required()
+        .messages({
+            'string.empty': 'Slug сайту є обов\'язковим',
+            'string.pattern.base': 'Невалідний формат slug сайту',
+            'any.required': 'Slug сайту є обов\'язковим'
+        }),
+
+    type: Joi.string()
+        .valid(...Object.values(REQUEST_TYPE))
+        .required()
+        .messages({
+            'any.only': `Тип заявки має бути одним з: ${Object.values(REQUEST_TYPE).join(', ')}`,
+            'any.required': 'Тип заявки є обов\'язковим'
+        }),
+
+    customerName: Joi.string()
+        .trim()
+        .min(REQUEST_LIMITS.CUSTOMER_NAME.MIN_LENGTH)
+        .max(REQUEST_LIMITS.CUSTOMER_NAME.MAX_LENGTH)
+        .required()
+        .messages({
+            'string.empty': 'Ім\'я є обов\'язковим',
+            'string.min': `Ім'я має містити мінімум ${REQUEST_LIMITS.CUSTOMER_NAME.MIN_LENGTH} символи`,
+            'string.max': `Ім'я має містити максимум ${REQUEST_LIMITS.CUSTOMER_NAME.MAX_LENGTH} символів`,
+            'any.required': 'Ім\'я є обов\'язковим'
+        }),
+
+    customerPhone: Joi.string()
+        .trim()
+        .pattern(CONTACT_VALIDATION.PHONE.PATTERN)
+        .required()
+        .messages({
+            'string.empty': 'Телефон є обов\'язковим',
+            'string.pattern.base': 'Невалідний формат телефону. Використовуйте формат: +380123456789',
+            'any.required': 'Телефон є обов\'язковим'
+        }),
+
+    customerEmail: Joi.string()
+        .trim()
+        .email()
+        .allow('', null)
+        .optional()
+        .messages({
+            'string.email': 'Невалідний формат email'
+        }),
+
+    message: Joi.string()
+        .trim()
+        .max(REQUEST_LIMITS.MESSAGE.MAX_LENGTH)
+        .allow('')
+        .optional()
+        .messages({
+            'string.max': `Повідомлення має містити максимум ${REQUEST_LIMITS.MESSAGE.MAX_LENGTH} символів`
+        }),
+
+    items: Joi.array()
+        .items(orderItemSchema)
+        .max(REQUEST_LIMITS.MAX_ITEMS_PER_ORDER)
+        .when('type', {
+            is: REQUEST_TYPE.ORDER,
+            then: Joi.array().min(1).required(),
+            otherwise: Joi.forbidden()
+        })
+        .messages({
+            'array.min': 'Замовлення має містити хоча б один товар',
+            'array.max': `Замовлення може містити максимум ${REQUEST_LIMITS.MAX_ITEMS_PER_ORDER} позицій`,
+            'any.required': 'Товари є обов\'язковими для замовлення',
+            'any.unknown': 'Товари дозволені тільки для замовлень'
+        }),
+
+    // Якщо відвідувач прийшов через QR скан
+    qrCodeId: objectIdSchema
+        .allow(null)
+        .optional(),
+
+    // Підписаний токен скану (?qrh= з redirect URL)
+    attributionToken: Joi.string()
+        .max(ATTRIBUTION.MAX_TOKEN_LENGTH)
+        .allow(null, '')
+        .optional()
+        .messages({
+            'string.max': 'Невалідний attribution токен'
+        })
+}).options({ stripUnknown: true });
+
+// ============================================
+// UPDATE SCHEMA
+// ============================================
+
+/**
+ * Схема для оновлення статусу заявки
+ * PATCH /api/requests/:id
+ */
+export const updateRequestSchema = Joi.object({
+    status: Joi.string()
+        .valid(...Object.values(REQUEST_STATUS))
+        .required()
+        .messages({
+            'any.only': `Статус має бути одним з: ${Object.values(REQUEST_STATUS).join(', ')}`,
+            'any.required': 'Статус є обов\'язковим'
+        })
+}).options({ stripUnknown: true });
+
+// ============================================
+// PARAMS SCHEMAS
+// ============================================
+
+/**
+ * Схема для валідації ID в params
+ * GET/PATCH/DELETE /api/requests/:id
+ */
+export const requestIdSchema = Joi.object({
+    id: objectIdSchema.required()
+        .messages({
+            'any.required': 'Request ID є обов\'язковим'
+        })
+});
+
+/**
+ * Схема для валідації businessId в params
+ * GET /api/requests/business/:businessId
+ */
+export const requestBusinessIdSchema = Joi.object({
+    businessId: objectIdSchema.required()
+        .messages({
+            'any.required': 'Business ID є обов\'язковим'
+        })
+});
+
+// ============================================
+// QUERY SCHEMAS
+// ============================================
+
+/**
+ * Схема для валідації query params
+ * GET /api/requests
+ */
+export const requestQuerySchema = Joi.object({
+    // Фільтри
+    businessId: objectIdSchema.optional(),
+
+    websiteId: objectIdSchema.optional(),
+
+    type: Joi.string()
+        .valid(...Object.values(REQUEST_TYPE))
+        .optional()
+        .messages({
+            'any.only': `Тип має бути одним з: ${Object.values(REQUEST_TYPE).join(', ')}`
+        }),
+
+    status: Joi.string()
+        .valid(...Object.values(REQUEST_STATUS))
+        .optional()
+        .messages({
+            'any.only': `Статус має бути одним з: ${Object.values(REQUEST_STATUS).join(', ')}`
+        }),
+
+    dateFrom: Joi.date()
+        .iso()
+        .optional()
+        .messages({
+            'date.format': 'dateFrom має бути у форматі ISO'
+        }),
+
+    dateTo: Joi.date()
+        .iso()
+        .min(Joi.ref('dateFrom'))
+        .optional()
+        .messages({
+            'date.format': 'dateTo має бути у форматі ISO',
+            'date.min': 'dateTo має бути пізніше dateFrom'
+        }),
+
+    // Пошук по імені / телефону / email клієнта
+    search: Joi.string()
+        .trim()
+        .max(100)
+        .optional(),
+
+    // Пагінація
+    page: Joi.number()
+        .integer()
+        .min(1)
+        .default(1)
+        .optional()
+        .messages({
+            'number.min': 'Page має бути не менше 1'
+        }),
+
+    limit: Joi.number()
+        .integer()
+        .min(1)
+        .max(100)
+        .default(20)
+        .optional()
+        .messages({
+            'number.min': 'Limit має бути не менше 1',
+            'number.max': 'Limit не може перевищувати 100'
+        }),
+
+    // Сортування
+    sortBy: Joi.string()
+        .valid('createdAt', 'updatedAt', 'status', 'totalAmount')
+        .default('createdAt')
+        .optional()
+        .messages({
+            'any.only': 'sortBy має бути одним з: createdAt, updatedAt, status, totalAmount'
+        }),
+
+    sortOrder: Joi.string()
+        .valid('asc', 'desc')
+        .default('desc')
+        .optional()
+        .messages({
+            'any.only': 'sortOrder має бути asc або desc'
+        })
+}).options({ stripUnknown: true });
+
+// ============================================
+// EXPORT
+// ============================================
+
+export default {
+    createPublicRequestSchema,
+    updateRequestSchema,
+    requestIdSchema,
+    requestBusinessIdSchema,
+    requestQuerySchema
+};
@@ -4,7 +4,7 @@
  */
 
 import Joi from 'joi';
-import { WEBSITE_TYPE, WEBSITE_STATUS } from '../config/constants.js';
+import { WEBSITE_TYPE, WEBSITE_STATUS, PRODUCT_LIMITS, PUBLIC_CACHE, ATTRIBUTION } from '../config/constants.js';
 
 // ============================================
 // HELPER SCHEMAS
@@ -306,6 +306,78 @@ export const websiteQuerySchema = Joi.object({
         .optional()
 }).options({ stripUnknown: true });
 
+// ============================================
+// PUBLIC QUERY SCHEMAS
+// ============================================
+
+/**
+ * Фільтр та пагінація публічного каталогу, attribution токен скану
+ * GET /api/public/websites/:slug, GET /api/public/websites/:slug/products
+ */
+export const publicWebsiteQuerySchema = Joi.object({
+    // Slug категорії
+    category: Joi.string()
+        .max(PRODUCT_LIMITS.CATEGORY.SLUG_MAX_LENGTH)
+        .trim()
+        .lowercase()
+        .pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+        .optional()
+        .messages({
+            'string.max': `Category must not exceed ${PRODUCT_LIMITS.CATEGORY.SLUG_MAX_LENGTH} characters`,
+            'string.pattern.base': 'Invalid category slug format'
+        }),
+
+    tag: Joi.string()
+        .max(PRODUCT_LIMITS.TAG.MAX_LENGTH)
+        .trim()
+        .lowercase()
+        .pattern(PRODUCT_LIMITS.TAG.PATTERN)
+        .optional()
+        .messages({
+            'string.max': `Tag must not exceed ${PRODUCT_LIMITS.TAG.MAX_LENGTH} characters`,
+            'string.pattern.base': 'Invalid tag format'
+        }),
+
+    page: Joi.number()
+        .integer()
+        .min(1)
+        .default(1)
+        .optional()
+        .messages({
+            'number.min': 'Page must be at least 1'
+        }),
+
+    limit: Joi.number()
+        .integer()
+        .min(1)
+        .max(PUBLIC_CACHE.PRODUCTS_MAX_LIMIT)
+        .default(PUBLIC_CACHE.PRODUCTS_DEFAULT_LIMIT)
+        .optional()
+        .messages({
+            'number.min': 'Limit must be at least 1',
+            'number.max': `Limit must not exceed ${PUBLIC_CACHE.PRODUCTS_MAX_LIMIT}`
+        })
+}).options({ stripUnknown: true });
+
+// View beacon браузера відвідувача (POST /api/public/websites/:slug/views)
+export const websiteViewBeaconSchema = Joi.object({
+    // Attribution токен QR скану (?qrh= з URL сайту)
+    [ATTRIBUTION.QUERY_PARAM]: Joi.string()
+        .max(ATTRIBUTION.MAX_TOKEN_LENGTH)
+        .optional(),
+
+    // document.referrer сторінки
+    referrer: Joi.string()
+        .trim()
+        .uri({ scheme: ['http', 'https'] })
+        .max(2048)
+        .allow('')
+        .optional()
+        .messages({
+            'string.uri': 'Referrer must be a valid URL'
+        })
+}).options({ stripUnknown: true });
+
 // ============================================
 // EXPORT
 // ============================================
@@ -315,5 +387,7 @@ export default {
     updateWebsiteSchema,
     websiteIdSchema,
     websiteSlugSchema,
-    websiteQuerySchema
+    websiteQuerySchema,
+    publicWebsiteQuerySchema,
+    websiteViewBeaconSchema
 };
\ No newline at end of file